@@ -1,8 +1,11 @@
 import { useMemo, useState, useEffect } from 'react';
 import { AlertTriangle, CheckCircle2, Clock, ListTodo, ChevronDown, ChevronRight } from 'lucide-react';
 import { isOverdue as checkIsOverdue } from '../utils/dateUtils';
+import useStatusStore from '../store/statusStore';
+import { getStatusCategory } from '../utils/workflowStatuses';
 
 function BoardStats({ tasks }) {
+  const { statuses } = useStatusStore();
   const [isCollapsed, setIsCollapsed] = useState(() => {
     if (typeof window !== 'undefined') {
       return localStorage.getItem('todoria_stats_collapsed') === 'true';
@@ -31,11 +34,13 @@ function BoardStats({ tasks }) {
     let completedThisWeek = 0;
 
     tasks.forEach((task) => {
-      if (checkIsOverdue(task.dueDate, task.status)) {
+      const isDone = getStatusCategory(task, statuses) === 'done';
+
+      if (!isDone && checkIsOverdue(task.dueDate, task.status)) {
         overdue++;
       }
 
-      if (task.dueDate && task.status !== 'completed') {
+      if (task.dueDate && !isDone) {
         const dueDate = new Date(task.dueDate);
         const dueDateLocal = new Date(dueDate.getUTCFullYear(), dueDate.getUTCMonth(), dueDate.getUTCDate());
         if (dueDateLocal >= todayStart && dueDateLocal < todayEnd) {
@@ -43,7 +48,7 @@ function BoardStats({ tasks }) {
         }
       }
 
-      if (task.status === 'completed' && task.completedAt) {
+      if (isDone && task.completedAt) {
         const completedDate = new Date(task.completedAt);
         if (completedDate >= weekStart) {
           completedThisWeek++;
@@ -57,7 +62,7 @@ function BoardStats({ tasks }) {
       dueToday,
       completedThisWeek,
     };
-  }, [tasks]);
+  }, [tasks, statuses]);
 
   return (
     <div className="mb-4 sm:mb-6">
@@ -0,0 +1,225 @@
+import { useState, useRef, useCallback } from 'react';
+import { CircleDot, Flag, Users, Folder, Calendar, Trash2, X, Loader2 } from 'lucide-react';
+import useTaskStore from '../store/taskStore';
+import useStatusStore from '../store/statusStore';
+import useUserStore from '../store/userStore';
+import DatePicker from './DatePicker';
+import { toUTCISOString } from '../utils/dateUtils';
+import { priorityDotColors } from '../utils/priorityStyles';
+import { Button } from 'components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from 'components/ui/dropdown-menu';
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogAction, AlertDialogCancel } from 'components/ui/alert-dialog';
+
+const PRIORITIES = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' },
+];
+
+// Floating bar for changing or deleting every selected task at once.
+// Shown on the board and list views while tasks are multi-selected.
+function BulkActionBar({ selectedIds, onClear, categories = [] }) {
+  const { bulkUpdateTasks, bulkDeleteTasks } = useTaskStore();
+  const { statuses } = useStatusStore();
+  const { users } = useUserStore();
+  const [isWorking, setIsWorking] = useState(false);
+  const [isDatePickerOpen, setIsDatePickerOpen] = useState(false);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const dateButtonRef = useRef(null);
+
+  const count = selectedIds.length;
+
+  const applyChanges = async (changes) => {
+    setIsWorking(true);
+    const result = await bulkUpdateTasks(selectedIds, changes);
+    setIsWorking(false);
+    if (result.success) onClear();
+  };
+
+  const handleDateSelect = (date) => {
+    setIsDatePickerOpen(false);
+    applyChanges({ due_date: toUTCISOString(date) });
+  };
+
+  const closeDatePicker = useCallback(() => setIsDatePickerOpen(false), []);
+
+  const confirmDelete = async () => {
+    setIsConfirmingDelete(false);
+    setIsWorking(true);
+    const result = await bulkDeleteTasks(selectedIds);
+    setIsWorking(false);
+    if (result.success) onClear();
+  };
+
+  if (count === 0) return null;
+
+  return (
+    <>
+      <div
+        role="toolbar"
+        aria-label="Bulk task actions"
+        className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 flex items-center gap-1 bg-card border border-border rounded-xl shadow-elevated px-3 py-2 max-w-[calc(100vw-2rem)] overflow-x-auto"
+      >
+        <span className="text-sm font-medium text-foreground whitespace-nowrap pr-2 mr-1 border-r border-border">
+          {isWorking && <Loader2 size={14} className="inline mr-1.5 animate-spin" />}
+          {count} selected
+        </span>
+
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="ghost" size="sm" disabled={isWorking}>
+              <CircleDot size={14} />
+              Status
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent side="top" align="start">
+            {statuses.map((status) => (
+              <DropdownMenuItem key={status.key} onClick={() => applyChanges({ status: status.key })}>
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: status.color }} />
+                {status.name}
+              </DropdownMenuItem>
+            ))}
+          </DropdownMenuContent>
+        </DropdownMenu>
+
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="ghost" size="sm" disabled={isWorking}>
+              <Flag size={14} />
+              Priority
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent side="top" align="start">
+            {PRIORITIES.map((priority) => (
+              <DropdownMenuItem key={priority.value} onClick={() => applyChanges({ priority: priority.value })}>
+                <span className={`w-2 h-2 rounded-full ${priorityDotColors[priority.value]}`} />
+                {priority.label}
+              </DropdownMenuItem>
+            ))}
+          </DropdownMenuContent>
+        </DropdownMenu>
+
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="ghost" size="sm" disabled={isWorking}>
+              <Users size={14} />
+              Assign
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent side="top" align="start" className="max-h-64 overflow-y-auto">
+            {users.map((user) => (
+              <DropdownMenuItem key={user.id} onClick={() => applyChanges({ assignee_ids: [user.id] })}>
+                <span className="w-5 h-5 rounded-full bg-neutral-500 flex items-center justify-center text-white text-[10px] font-semibold">
+                  {user.name.charAt(0).toUpperCase()}
+                </span>
+                {user.name}
+              </DropdownMenuItem>
+            ))}
+            <DropdownMenuSeparator />
+            <DropdownMenuItem onClick={() => applyChanges({ assignee_ids: [] })}>
+              Unassigned
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+
+        {categories.length > 0 && (
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="sm" disabled={isWorking}>
+                <Folder size={14} />
+                Move
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent side="top" align="start">
+              {categories.map((category) => (
+                <DropdownMenuItem key={category.id} onClick={() => applyChanges({ category_id: category.id })}>
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: category.color }} />
+                  {category.name}
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        )}
+
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button ref={dateButtonRef} variant="ghost" size="sm" disabled={isWorking}>
+              <Calendar size={14} />
+              Due date
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent side="top" align="start">
+            <DropdownMenuItem onClick={() => setIsDatePickerOpen(true)}>
+              Pick a date...
+            </DropdownMenuItem>
+            <DropdownMenuItem onClick={() => applyChanges({ due_date: null })}>
+              Clear due date
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => setIsConfirmingDelete(true)}
+          disabled={isWorking}
+          className="text-destructive hover:text-destructive"
+        >
+          <Trash2 size={14} />
+          Delete
+        </Button>
+
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onClear}
+          className="h-8 w-8 ml-1 text-muted-foreground"
+          title="Clear selection (Esc)"
+          aria-label="Clear selection"
+        >
+          <X size={16} />
+        </Button>
+      </div>
+
+      {isDatePickerOpen && (
+        <DatePicker
+          selected={null}
+          onSelect={handleDateSelect}
+          onClose={closeDatePicker}
+          triggerRef={dateButtonRef}
+        />
+      )}
+
+      <AlertDialog open={isConfirmingDelete} onOpenChange={setIsConfirmingDelete}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete {count} Task{count === 1 ? '' : 's'}</AlertDialogTitle>
+            <AlertDialogDescription>
+              Are you sure you want to delete the selected tasks and their subtasks? This action cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={confirmDelete}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90 focus:ring-destructive"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+}
+
+export default BulkActionBar;
@@ -24,6 +24,8 @@ function CategorySection({
   isDraggingCategory = false,
   canEdit = true,
   focusedTaskIndex = -1,
+  selectedTaskIds,
+  onSelectTask,
 }) {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [quickAddTitle, setQuickAddTitle] = useState('');
@@ -194,6 +196,8 @@ function CategorySection({
                 searchQuery={searchQuery}
                 canEdit={canEdit}
                 isFocused={focusedTaskIndex === taskIndex}
+                isSelected={selectedTaskIds?.has(task.id) ?? false}
+                onSelect={onSelectTask}
               />
             ))
           ) : (
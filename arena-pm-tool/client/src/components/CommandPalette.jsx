@@ -0,0 +1,190 @@
+import { useState, useEffect, useRef } from 'react';
+import { CheckSquare, MessageSquare, Loader2 } from 'lucide-react';
+import useTaskStore from '../store/taskStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import { searchAPI } from '../utils/api';
+import { splitHighlights, groupSearchResults } from '../utils/search';
+import TaskDetailModal from './TaskDetailModal';
+import { Dialog, DialogContent, DialogTitle } from 'components/ui/dialog';
+import { Command, CommandInput, CommandList, CommandEmpty, CommandGroup, CommandItem } from 'components/ui/command';
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogAction, AlertDialogCancel } from 'components/ui/alert-dialog';
+import * as VisuallyHidden from '@radix-ui/react-visually-hidden';
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+function Highlighted({ value }) {
+  return splitHighlights(value).map((part, index) =>
+    part.highlighted ? (
+      <mark key={index} className="bg-primary/15 text-foreground rounded-sm">{part.text}</mark>
+    ) : (
+      <span key={index}>{part.text}</span>
+    )
+  );
+}
+
+function SearchResultItem({ result, onSelect }) {
+  const Icon = result.type === 'comment' ? MessageSquare : CheckSquare;
+  return (
+    <CommandItem
+      value={`${result.type}-${result.commentId || result.taskId}`}
+      onSelect={() => onSelect(result)}
+      className="items-start gap-3"
+    >
+      <Icon className="mt-0.5 text-muted-foreground flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        <div className="text-sm text-foreground truncate">
+          <Highlighted value={result.titleHighlight || result.taskTitle} />
+        </div>
+        {result.snippet && (
+          <div className="text-xs text-muted-foreground line-clamp-2">
+            {result.authorName && <span className="font-medium">{result.authorName}: </span>}
+            <Highlighted value={result.snippet} />
+          </div>
+        )}
+      </div>
+    </CommandItem>
+  );
+}
+
+// Cmd/Ctrl+K palette: full-text search over the workspace's tasks and
+// comments. Picking a result opens the task, loading it if needed.
+function CommandPalette({ open, onOpenChange }) {
+  const { tasks, fetchTask, deleteTask } = useTaskStore();
+  const { currentWorkspaceId } = useWorkspaceStore();
+  const [searchText, setSearchText] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [deletingTask, setDeletingTask] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const openTask = openTaskId ? tasks.find((t) => t.id === openTaskId) : null;
+  const { tasks: taskResults, comments: commentResults } = groupSearchResults(results);
+
+  // Start fresh each time the palette opens
+  useEffect(() => {
+    if (open) {
+      setSearchText('');
+      setResults([]);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    const text = searchText.trim();
+    if (!text || !currentWorkspaceId) {
+      setResults([]);
+      setIsSearching(false);
+      return undefined;
+    }
+
+    setIsSearching(true);
+    const requestId = ++requestIdRef.current;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await searchAPI.search(currentWorkspaceId, text);
+        // Ignore responses for text the user has already changed
+        if (requestId === requestIdRef.current) {
+          setResults(response.data.data.results || []);
+        }
+      } catch (error) {
+        if (requestId === requestIdRef.current) setResults([]);
+      } finally {
+        if (requestId === requestIdRef.current) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [searchText, currentWorkspaceId]);
+
+  const handleSelect = async (result) => {
+    onOpenChange(false);
+    const { success } = await fetchTask(result.taskId);
+    if (success) setOpenTaskId(result.taskId);
+  };
+
+  const confirmDelete = async () => {
+    if (deletingTask) {
+      const id = deletingTask.id;
+      setDeletingTask(null);
+      setOpenTaskId(null);
+      await deleteTask(id);
+    }
+  };
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="overflow-hidden p-0 top-[20%] translate-y-0">
+          <VisuallyHidden.Root>
+            <DialogTitle>Search tasks and comments</DialogTitle>
+          </VisuallyHidden.Root>
+          {/* The server ranks results; cmdk's own filtering would reorder them */}
+          <Command shouldFilter={false} className="[&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:font-medium [&_[cmdk-group-heading]]:text-muted-foreground [&_[cmdk-input-wrapper]_svg]:h-5 [&_[cmdk-input-wrapper]_svg]:w-5 [&_[cmdk-input]]:h-12 [&_[cmdk-item]]:px-2 [&_[cmdk-item]]:py-2.5 [&_[cmdk-item]_svg]:h-4 [&_[cmdk-item]_svg]:w-4">
+            <CommandInput
+              value={searchText}
+              onValueChange={setSearchText}
+              placeholder="Search tasks and comments..."
+            />
+            <CommandList className="max-h-[400px]">
+              {isSearching && results.length === 0 ? (
+                <div className="flex items-center justify-center py-6 text-sm text-muted-foreground">
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Searching...
+                </div>
+              ) : (
+                <CommandEmpty>
+                  {searchText.trim() ? 'No matching tasks or comments' : 'Type to search this workspace'}
+                </CommandEmpty>
+              )}
+              {taskResults.length > 0 && (
+                <CommandGroup heading="Tasks">
+                  {taskResults.map((result) => (
+                    <SearchResultItem key={`task-${result.taskId}`} result={result} onSelect={handleSelect} />
+                  ))}
+                </CommandGroup>
+              )}
+              {commentResults.length > 0 && (
+                <CommandGroup heading="Comments">
+                  {commentResults.map((result) => (
+                    <SearchResultItem key={`comment-${result.commentId}`} result={result} onSelect={handleSelect} />
+                  ))}
+                </CommandGroup>
+              )}
+            </CommandList>
+          </Command>
+        </DialogContent>
+      </Dialog>
+
+      <TaskDetailModal
+        task={openTask}
+        isOpen={!!openTask}
+        onClose={() => setOpenTaskId(null)}
+        onDelete={setDeletingTask}
+      />
+
+      <AlertDialog open={!!deletingTask} onOpenChange={(isOpen) => { if (!isOpen) setDeletingTask(null); }}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Task</AlertDialogTitle>
+            <AlertDialogDescription>
+              Are you sure you want to delete "{deletingTask?.title}"? This action cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={confirmDelete}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90 focus:ring-destructive"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+}
+
+export default CommandPalette;
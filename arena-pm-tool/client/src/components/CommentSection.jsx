@@ -1,9 +1,19 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { format, formatDistanceToNow } from 'date-fns';
-import { Send, MoreHorizontal, Pencil, Trash2, Loader2 } from 'lucide-react';
+import { Send, MoreHorizontal, Pencil, Trash2, Loader2, Paperclip, FileText, X } from 'lucide-react';
 import useAuthStore from '../store/authStore';
-import { commentsAPI } from '../utils/api';
+import useUserStore from '../store/userStore';
+import { commentsAPI, tasksAPI } from '../utils/api';
+import { subscribeToWorkspaceEvents } from '../utils/realtime';
+import { splitMentions } from '../utils/mentions';
+import {
+  MAX_ATTACHMENT_BYTES,
+  isImageAttachment,
+  formatFileSize,
+  getUploadErrorMessage,
+} from '../utils/attachments';
 import { InlineSpinner } from './Loader';
+import MentionTextarea from './MentionTextarea';
 import { toast } from 'sonner';
 import { Button } from 'components/ui/button';
 import { Avatar, AvatarFallback } from 'components/ui/avatar';
@@ -14,8 +24,52 @@ import {
   DropdownMenuTrigger,
 } from 'components/ui/dropdown-menu';
 
+function CommentAttachments({ taskId, attachments }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-2">
+      {attachments.map((attachment) => {
+        const url = tasksAPI.getAttachmentUrl(taskId, attachment.id);
+        return isImageAttachment(attachment) ? (
+          <a key={attachment.id} href={url} target="_blank" rel="noopener noreferrer">
+            <img
+              src={url}
+              alt={attachment.fileName}
+              loading="lazy"
+              className="h-20 max-w-[160px] rounded border border-border object-cover"
+            />
+          </a>
+        ) : (
+          <a
+            key={attachment.id}
+            href={tasksAPI.getAttachmentUrl(taskId, attachment.id, { download: true })}
+            className="flex items-center gap-1.5 px-2 py-1 rounded border border-border text-xs text-foreground hover:bg-muted max-w-[220px]"
+          >
+            <FileText size={12} className="flex-shrink-0 text-muted-foreground" aria-hidden="true" />
+            <span className="truncate">{attachment.fileName}</span>
+            <span className="flex-shrink-0 text-muted-foreground">{formatFileSize(attachment.sizeBytes)}</span>
+          </a>
+        );
+      })}
+    </div>
+  );
+}
+
+// Comment text with @mentions of workspace members highlighted
+function CommentContent({ content, users }) {
+  return splitMentions(content, users).map((part, index) => (
+    part.mention ? (
+      <span key={index} className="font-medium text-primary">{part.text}</span>
+    ) : (
+      part.text
+    )
+  ));
+}
+
 function CommentSection({ taskId }) {
   const { user } = useAuthStore();
+  const { users } = useUserStore();
   const [comments, setComments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [newComment, setNewComment] = useState('');
@@ -23,13 +77,17 @@ function CommentSection({ taskId }) {
   const [editingCommentId, setEditingCommentId] = useState(null);
   const [editingContent, setEditingContent] = useState('');
   const [deletingIds, setDeletingIds] = useState(new Set());
+  const [pendingFiles, setPendingFiles] = useState([]);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
   const editTextareaRef = useRef(null);
+  const editingCommentIdRef = useRef(null);
+  editingCommentIdRef.current = editingCommentId;
 
   // Fetch comments
-  const fetchComments = useCallback(async () => {
+  const fetchComments = useCallback(async ({ showLoading = true } = {}) => {
     try {
-      setIsLoading(true);
+      if (showLoading) setIsLoading(true);
       const response = await commentsAPI.getByTaskId(taskId);
       setComments(response.data.data.comments || []);
     } catch (error) {
@@ -46,6 +104,36 @@ function CommentSection({ taskId }) {
     fetchComments();
   }, [fetchComments]);
 
+  // Apply comments other people add, edit or delete on this task
+  useEffect(() => {
+    return subscribeToWorkspaceEvents((event) => {
+      const { type, data } = event;
+      if (type === 'resync') {
+        fetchComments({ showLoading: false });
+        return;
+      }
+      const eventTaskId = data?.comment?.taskId ?? data?.taskId;
+      if (String(eventTaskId) !== String(taskId)) return;
+
+      if (type === 'comment.created') {
+        setComments((prev) => (
+          prev.some((comment) => comment.id === data.comment.id) ? prev : [...prev, data.comment]
+        ));
+      } else if (type === 'comment.updated') {
+        setComments((prev) => prev.map((comment) =>
+          comment.id === data.comment.id ? { ...comment, ...data.comment } : comment
+        ));
+      } else if (type === 'comment.deleted') {
+        setComments((prev) => prev.filter((comment) => comment.id !== data.commentId));
+        if (editingCommentIdRef.current === data.commentId) {
+          setEditingCommentId(null);
+          setEditingContent('');
+          toast.warning('The comment you were editing was deleted by someone else');
+        }
+      }
+    });
+  }, [taskId, fetchComments]);
+
   // Focus edit textarea
   useEffect(() => {
     if (editingCommentId && editTextareaRef.current) {
@@ -62,8 +150,18 @@ function CommentSection({ taskId }) {
 
     setIsSubmitting(true);
     try {
-      await commentsAPI.create(taskId, { content: newComment.trim() });
+      const response = await commentsAPI.create(taskId, { content: newComment.trim() });
+      const commentId = response.data.data.comment.id;
+      // Files go up once the comment exists; a failed file doesn't undo the comment
+      for (const file of pendingFiles) {
+        try {
+          await tasksAPI.uploadAttachment(taskId, file, { commentId });
+        } catch (error) {
+          toast.error(getUploadErrorMessage(error, file.name));
+        }
+      }
       setNewComment('');
+      setPendingFiles([]);
       await fetchComments();
       toast.success('Comment added');
     } catch (error) {
@@ -73,6 +171,20 @@ function CommentSection({ taskId }) {
     }
   };
 
+  const handleAddFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    const tooLarge = files.filter((file) => file.size > MAX_ATTACHMENT_BYTES);
+    tooLarge.forEach((file) => {
+      toast.error(`${file.name} is too large. Maximum size is ${formatFileSize(MAX_ATTACHMENT_BYTES)}.`);
+    });
+    setPendingFiles((prev) => [...prev, ...files.filter((file) => file.size <= MAX_ATTACHMENT_BYTES)]);
+  };
+
+  const handleRemovePendingFile = (index) => {
+    setPendingFiles((prev) => prev.filter((_, i) => i !== index));
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
       e.preventDefault();
@@ -146,20 +258,61 @@ function CommentSection({ taskId }) {
           </AvatarFallback>
         </Avatar>
         <div className="flex-1">
-          <textarea
+          <MentionTextarea
             ref={textareaRef}
             value={newComment}
-            onChange={(e) => setNewComment(e.target.value)}
+            onChange={setNewComment}
             onKeyDown={handleKeyDown}
-            placeholder="Write a comment..."
+            users={users}
+            aria-label="Write a comment"
+            placeholder="Write a comment... Type @ to mention someone"
             className="w-full px-3 py-2 border border-input rounded-lg focus:outline-none focus:ring-2 focus:ring-ring/20 focus:border-ring resize-none text-sm placeholder:text-muted-foreground"
             rows={2}
             disabled={isSubmitting}
           />
+          {pendingFiles.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mt-1">
+              {pendingFiles.map((file, index) => (
+                <span
+                  key={`${file.name}-${index}`}
+                  className="flex items-center gap-1 px-2 py-0.5 rounded bg-muted text-xs text-foreground max-w-[200px]"
+                >
+                  <span className="truncate">{file.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => handleRemovePendingFile(index)}
+                    disabled={isSubmitting}
+                    className="text-muted-foreground hover:text-foreground"
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    <X size={12} />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
           <div className="flex items-center justify-between mt-2">
-            <span className="text-xs text-muted-foreground">
-              Press {navigator.platform.includes('Mac') ? 'Cmd' : 'Ctrl'}+Enter to send
-            </span>
+            <div className="flex items-center gap-2">
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                className="hidden"
+                onChange={handleAddFiles}
+              />
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isSubmitting}
+                className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-accent disabled:opacity-50"
+                aria-label="Attach files to comment"
+              >
+                <Paperclip size={14} />
+              </button>
+              <span className="text-xs text-muted-foreground">
+                Press {navigator.platform.includes('Mac') ? 'Cmd' : 'Ctrl'}+Enter to send
+              </span>
+            </div>
             <Button
               onClick={handleSubmitComment}
               disabled={!newComment.trim() || isSubmitting}
@@ -258,10 +411,12 @@ function CommentSection({ taskId }) {
                 {/* Comment Content */}
                 {editingCommentId === comment.id ? (
                   <div className="mt-1">
-                    <textarea
+                    <MentionTextarea
                       ref={editTextareaRef}
                       value={editingContent}
-                      onChange={(e) => setEditingContent(e.target.value)}
+                      onChange={setEditingContent}
+                      users={users}
+                      aria-label="Edit comment"
                       className="w-full px-3 py-2 border border-input rounded-lg focus:outline-none focus:ring-2 focus:ring-ring/20 focus:border-ring resize-none text-sm placeholder:text-muted-foreground"
                       rows={2}
                     />
@@ -286,9 +441,10 @@ function CommentSection({ taskId }) {
                   </div>
                 ) : (
                   <p className="mt-1 text-sm text-foreground whitespace-pre-wrap break-words">
-                    {comment.content}
+                    <CommentContent content={comment.content} users={users} />
                   </p>
                 )}
+                <CommentAttachments taskId={taskId} attachments={comment.attachments} />
               </div>
             </div>
           ))}
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { SlidersHorizontal, Trash2, Plus, Check } from 'lucide-react';
+import useCustomFieldStore from '../store/customFieldStore';
+import { CUSTOM_FIELD_TYPE_OPTIONS, getFieldTypeLabel, parseOptions } from '../utils/customFields';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from 'components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+
+// One saved field: rename, edit dropdown options, delete
+function CustomFieldRow({ field }) {
+  const { updateField, deleteField } = useCustomFieldStore();
+  const [name, setName] = useState(field.name);
+  const [options, setOptions] = useState(field.options.join(', '));
+
+  const isDropdown = field.fieldType === 'dropdown';
+  const nameChanged = name.trim() && name.trim() !== field.name;
+  const optionsChanged = isDropdown && parseOptions(options).join(',') !== field.options.join(',');
+
+  const handleSave = async () => {
+    const changes = {};
+    if (nameChanged) changes.name = name.trim();
+    if (optionsChanged) changes.options = parseOptions(options);
+    const result = await updateField(field.id, changes);
+    if (!result.success) {
+      // Server rejected (e.g. option still in use) - show the saved values again
+      setName(field.name);
+      setOptions(field.options.join(', '));
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${field.name}"? Its value will be removed from every task.`)) {
+      deleteField(field.id);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <Input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={100}
+        className="flex-1"
+        aria-label="Field name"
+      />
+      <span className="w-24 text-sm text-muted-foreground">{getFieldTypeLabel(field.fieldType)}</span>
+      {isDropdown && (
+        <Input
+          value={options}
+          onChange={(e) => setOptions(e.target.value)}
+          placeholder="Option A, Option B"
+          className="flex-1"
+          aria-label={`${field.name} options`}
+        />
+      )}
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={handleSave}
+        disabled={!nameChanged && !optionsChanged}
+        aria-label={`Save ${field.name}`}
+      >
+        <Check className="h-4 w-4" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={handleDelete}
+        className="text-muted-foreground hover:text-red-500"
+        aria-label={`Delete ${field.name}`}
+      >
+        <Trash2 className="h-4 w-4" />
+      </Button>
+    </div>
+  );
+}
+
+// Admin editor for the workspace's custom task fields
+function CustomFieldSettings() {
+  const { fields, createField } = useCustomFieldStore();
+  const [name, setName] = useState('');
+  const [fieldType, setFieldType] = useState('text');
+  const [options, setOptions] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  const needsOptions = fieldType === 'dropdown' && parseOptions(options).length === 0;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || needsOptions) return;
+
+    setIsCreating(true);
+    const result = await createField({
+      name: name.trim(),
+      field_type: fieldType,
+      ...(fieldType === 'dropdown' && { options: parseOptions(options) }),
+    });
+    setIsCreating(false);
+
+    if (result.success) {
+      setName('');
+      setOptions('');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-0">
+        <div className="flex items-center gap-2">
+          <SlidersHorizontal className="h-5 w-5 text-muted-foreground" />
+          <CardTitle className="text-base">Custom Fields</CardTitle>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          Structured task fields like story points or environment. Members can fill them in on any task.
+        </p>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-2">
+        {fields.map((field) => (
+          <CustomFieldRow key={`${field.id}-${field.name}-${field.options.join(',')}`} field={field} />
+        ))}
+
+        <form onSubmit={handleCreate} className="flex items-center gap-2 pt-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="New field name"
+            maxLength={100}
+            className="flex-1"
+            aria-label="New field name"
+          />
+          <Select value={fieldType} onValueChange={setFieldType}>
+            <SelectTrigger className="w-32" aria-label="New field type">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {CUSTOM_FIELD_TYPE_OPTIONS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {fieldType === 'dropdown' && (
+            <Input
+              value={options}
+              onChange={(e) => setOptions(e.target.value)}
+              placeholder="Option A, Option B"
+              className="flex-1"
+              aria-label="New field options"
+            />
+          )}
+          <Button type="submit" size="sm" disabled={!name.trim() || needsOptions || isCreating}>
+            <Plus className="h-4 w-4" />
+            Add field
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default CustomFieldSettings;
@@ -3,18 +3,22 @@ import { Filter } from 'lucide-react';
 import useUserStore from '../store/userStore';
 import useCategoryStore from '../store/categoryStore';
 import useWorkspaceStore from '../store/workspaceStore';
+import useStatusStore from '../store/statusStore';
 import AssigneeListItem from './AssigneeListItem';
+import SavedViewsSection from './SavedViewsSection';
 import { Button } from 'components/ui/button';
 import { Checkbox } from 'components/ui/checkbox';
 import { Popover, PopoverContent, PopoverTrigger } from 'components/ui/popover';
 
 const PRIORITY_OPTIONS = ['Low', 'Medium', 'High', 'Urgent'];
 
-function FilterDropdown({ filters, onFiltersChange, disabled = false }) {
+function FilterDropdown({ filters, onFiltersChange, savedViews, disabled = false }) {
   const { users, fetchUsers } = useUserStore();
   const { categories, fetchCategories } = useCategoryStore();
   const { currentWorkspaceId } = useWorkspaceStore();
+  const { statuses } = useStatusStore();
   const [isOpen, setIsOpen] = useState(false);
+  const statusFilter = filters.statuses || [];
 
   useEffect(() => {
     if (currentWorkspaceId) {
@@ -53,6 +57,14 @@ function FilterDropdown({ filters, onFiltersChange, disabled = false }) {
     onFiltersChange({ ...filters, categories: newCategories });
   };
 
+  const handleToggleStatus = (statusKey) => {
+    const newStatuses = statusFilter.includes(statusKey)
+      ? statusFilter.filter((key) => key !== statusKey)
+      : [...statusFilter, statusKey];
+
+    onFiltersChange({ ...filters, statuses: newStatuses });
+  };
+
   const handleToggleCompleted = () => {
     onFiltersChange({ ...filters, hideCompleted: !filters.hideCompleted });
   };
@@ -62,6 +74,7 @@ function FilterDropdown({ filters, onFiltersChange, disabled = false }) {
       assignees: [],
       priorities: [],
       categories: [],
+      statuses: [],
       hideCompleted: false,
     });
   };
@@ -71,6 +84,7 @@ function FilterDropdown({ filters, onFiltersChange, disabled = false }) {
     filters.assignees.length +
     filters.priorities.length +
     filters.categories.length +
+    statusFilter.length +
     (filters.hideCompleted ? 1 : 0);
 
   return (
@@ -88,7 +102,7 @@ function FilterDropdown({ filters, onFiltersChange, disabled = false }) {
           }`}
         >
           <Filter size={18} className="sm:w-5 sm:h-5" />
-          <span className="hidden sm:inline">Filters</span>
+          <span className="hidden sm:inline max-w-[10rem] truncate">{savedViews?.activeView?.name || 'Filters'}</span>
           {activeFilterCount > 0 && (
             <span className="flex items-center justify-center w-5 h-5 text-xs font-semibold text-primary-foreground bg-primary rounded-full">
               {activeFilterCount}
@@ -116,6 +130,8 @@ function FilterDropdown({ filters, onFiltersChange, disabled = false }) {
           </div>
         </div>
 
+        {savedViews && <SavedViewsSection savedViews={savedViews} />}
+
         {/* Assignee Filter */}
         <div className="mb-3">
           <h4 className="text-xs font-medium text-muted-foreground mb-1.5 uppercase tracking-wide">Assignee</h4>
@@ -193,7 +209,40 @@ function FilterDropdown({ filters, onFiltersChange, disabled = false }) {
           </div>
         </div>
 
-        {/* Completed Filter */}
+        {/* Status Filter */}
+        <div className="mb-3">
+          <h4 className="text-xs font-medium text-muted-foreground mb-1.5 uppercase tracking-wide">Status</h4>
+          <div className="space-y-0.5 max-h-40 overflow-y-auto">
+            {statuses.map((status) => {
+              const isActive = statusFilter.includes(status.key);
+              return (
+                <label
+                  key={status.key}
+                  className={`flex items-center gap-3 cursor-pointer px-2 py-1.5 rounded-md transition-colors duration-150 ${
+                    isActive
+                      ? 'bg-primary/10 text-primary'
+                      : 'hover:bg-accent text-foreground'
+                  }`}
+                >
+                  <Checkbox
+                    checked={isActive}
+                    onCheckedChange={() => handleToggleStatus(status.key)}
+                    className="data-[state=checked]:bg-primary data-[state=checked]:border-primary"
+                  />
+                  <div className="flex items-center gap-2">
+                    <div
+                      className="w-3 h-3 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: status.color }}
+                    ></div>
+                    <span className="text-sm">{status.name}</span>
+                  </div>
+                </label>
+              );
+            })}
+          </div>
+        </div>
+
+                {/* Completed Filter */}
         <div className="pt-2 border-t border-border">
           <label className={`flex items-center gap-3 cursor-pointer px-2 py-1.5 rounded-md transition-colors duration-150 ${
             filters.hideCompleted
@@ -0,0 +1,48 @@
+import { X } from 'lucide-react';
+import { describeHolidayRegions, getAvailableHolidayRegions } from '../utils/holidays';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+
+// Chosen countries/regions as removable chips, plus a dropdown to add one more
+function HolidayRegionPicker({ value, options, onChange, disabled = false, label = 'Add holiday region' }) {
+  const available = getAvailableHolidayRegions(options, value);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {value.map((code) => (
+        <span
+          key={code}
+          className="inline-flex items-center gap-1 rounded-full border border-border bg-muted px-2.5 py-1 text-sm text-foreground"
+        >
+          {describeHolidayRegions([code], options)}
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((c) => c !== code))}
+            disabled={disabled}
+            className="rounded-full p-0.5 text-muted-foreground hover:bg-accent hover:text-foreground"
+            aria-label={`Remove ${describeHolidayRegions([code], options)}`}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+
+      {available.length > 0 && (
+        // Remounted after each pick so the trigger shows the placeholder again
+        <Select key={value.join(',')} onValueChange={(code) => onChange([...value, code])} disabled={disabled}>
+          <SelectTrigger className="w-56" aria-label={label}>
+            <SelectValue placeholder="Add a country or region" />
+          </SelectTrigger>
+          <SelectContent>
+            {available.map((region) => (
+              <SelectItem key={region.code} value={region.code}>
+                {region.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+    </div>
+  );
+}
+
+export default HolidayRegionPicker;
@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { CalendarDays, Trash2, Plus } from 'lucide-react';
+import useHolidayCalendarStore from '../store/holidayCalendarStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import { describeHolidayRegions, describeCompanyHolidayDate } from '../utils/holidays';
+import HolidayRegionPicker from './HolidayRegionPicker';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { Checkbox } from 'components/ui/checkbox';
+import { Card, CardContent, CardHeader, CardTitle } from 'components/ui/card';
+
+// ISO weekdays, as stored in workspaces.working_days
+const WEEKDAYS = [
+  { value: 1, label: 'Mon', name: 'Monday' },
+  { value: 2, label: 'Tue', name: 'Tuesday' },
+  { value: 3, label: 'Wed', name: 'Wednesday' },
+  { value: 4, label: 'Thu', name: 'Thursday' },
+  { value: 5, label: 'Fri', name: 'Friday' },
+  { value: 6, label: 'Sat', name: 'Saturday' },
+  { value: 7, label: 'Sun', name: 'Sunday' },
+];
+
+// Admin editor for the workspace's holiday regions, working days and company holidays
+function HolidaySettings() {
+  const currentWorkspaceId = useWorkspaceStore((state) => state.currentWorkspaceId);
+  const {
+    regionOptions,
+    defaultRegions,
+    regions,
+    workingDays,
+    companyHolidays,
+    fetchRegionOptions,
+    fetchCalendar,
+    updateRegions,
+    updateWorkingDays,
+    addCompanyHoliday,
+    removeCompanyHoliday,
+  } = useHolidayCalendarStore();
+  const [isSavingRegions, setIsSavingRegions] = useState(false);
+  const [isSavingWorkingDays, setIsSavingWorkingDays] = useState(false);
+  const [date, setDate] = useState('');
+  const [name, setName] = useState('');
+  const [recurring, setRecurring] = useState(false);
+  const [isAdding, setIsAdding] = useState(false);
+
+  useEffect(() => {
+    fetchRegionOptions();
+  }, [fetchRegionOptions]);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [currentWorkspaceId, fetchCalendar]);
+
+  const handleRegionsChange = async (next) => {
+    setIsSavingRegions(true);
+    await updateRegions(next.length > 0 ? next : null);
+    setIsSavingRegions(false);
+  };
+
+  const handleWorkingDayToggle = async (day) => {
+    const next = workingDays.includes(day)
+      ? workingDays.filter((d) => d !== day)
+      : [...workingDays, day].sort((a, b) => a - b);
+    if (next.length === 0) return;
+
+    setIsSavingWorkingDays(true);
+    await updateWorkingDays(next);
+    setIsSavingWorkingDays(false);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!date || !name.trim()) return;
+
+    setIsAdding(true);
+    const result = await addCompanyHoliday({ date, name: name.trim(), recurring });
+    setIsAdding(false);
+
+    if (result.success) {
+      setDate('');
+      setName('');
+      setRecurring(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-0">
+        <div className="flex items-center gap-2">
+          <CalendarDays className="h-5 w-5 text-muted-foreground" />
+          <CardTitle className="text-base">Holidays & working days</CardTitle>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          Public holidays shown in the calendar, plus your own company days off. Members can pick their own
+          countries in their preferences. Due dates set in working days and reminders skip days off.
+        </p>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-4">
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium text-foreground">Countries and regions</h4>
+          <HolidayRegionPicker
+            value={regions || []}
+            options={regionOptions}
+            onChange={handleRegionsChange}
+            disabled={isSavingRegions}
+            label="Add workspace holiday region"
+          />
+          {!regions && (
+            <p className="text-xs text-muted-foreground">
+              None chosen, so the default is used: {describeHolidayRegions(defaultRegions, regionOptions)}.
+            </p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium text-foreground">Working days</h4>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAYS.map((day) => {
+              const isWorking = workingDays.includes(day.value);
+              return (
+                <Button
+                  key={day.value}
+                  type="button"
+                  variant={isWorking ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => handleWorkingDayToggle(day.value)}
+                  disabled={isSavingWorkingDays || (isWorking && workingDays.length === 1)}
+                  aria-pressed={isWorking}
+                  aria-label={day.name}
+                  className="w-12"
+                >
+                  {day.label}
+                </Button>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium text-foreground">Company holidays</h4>
+          {companyHolidays.length === 0 && (
+            <p className="text-sm text-muted-foreground">No company holidays yet.</p>
+          )}
+          {companyHolidays.map((holiday) => (
+            <div key={holiday.id} className="flex items-center gap-3 rounded-md border border-border px-3 py-2">
+              <span className="w-40 text-sm text-muted-foreground">{describeCompanyHolidayDate(holiday)}</span>
+              <span className="flex-1 truncate text-sm text-foreground">{holiday.name}</span>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => removeCompanyHoliday(holiday.id)}
+                aria-label={`Remove ${holiday.name}`}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+
+          <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 pt-2">
+            <Input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="w-40"
+              aria-label="Company holiday date"
+            />
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Summer office closure"
+              maxLength={100}
+              className="flex-1"
+              aria-label="Company holiday name"
+            />
+            <label className="flex cursor-pointer items-center gap-2 text-sm">
+              <Checkbox
+                id="company-holiday-recurring"
+                checked={recurring}
+                onCheckedChange={(checked) => setRecurring(checked === true)}
+              />
+              Every year
+            </label>
+            <Button type="submit" size="sm" disabled={!date || !name.trim() || isAdding}>
+              <Plus className="h-4 w-4" />
+              Add holiday
+            </Button>
+          </form>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default HolidaySettings;
@@ -5,7 +5,10 @@ const shortcuts = [
   { keys: ['←', '→'], description: 'Navigate between columns' },
   { keys: ['Enter'], description: 'Open selected task' },
   { keys: ['N'], description: 'Create new task' },
-  { keys: ['⌘', 'K'], description: 'Focus search' },
+  { keys: ['/'], description: 'Focus search' },
+  { keys: ['⌘', 'K'], description: 'Search tasks and comments' },
+  { keys: ['Shift', 'Click'], description: 'Select a range of tasks' },
+  { keys: ['⌘', 'Click'], description: 'Add a task to the selection' },
   { keys: ['Esc'], description: 'Close modal / deselect' },
   { keys: ['?'], description: 'Toggle this cheat sheet' },
 ];
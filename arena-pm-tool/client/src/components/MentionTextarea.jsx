@@ -0,0 +1,122 @@
+import { forwardRef, useId, useImperativeHandle, useRef, useState } from 'react';
+import { getMentionQuery, filterMentionCandidates, insertMention } from '../utils/mentions';
+
+// Textarea that suggests workspace members after "@" and inserts "@Full Name ".
+// Arrow keys move through the suggestions, Enter or Tab picks one, Escape closes them.
+const MentionTextarea = forwardRef(function MentionTextarea(
+  { value, onChange, onKeyDown, users = [], className = '', ...props },
+  ref
+) {
+  const textareaRef = useRef(null);
+  const listboxId = useId();
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  useImperativeHandle(ref, () => textareaRef.current);
+
+  const candidates = mention ? filterMentionCandidates(users, mention.query) : [];
+  const isOpen = candidates.length > 0;
+
+  const updateMention = (text, caret) => {
+    const next = getMentionQuery(text, caret);
+    setMention(next);
+    if (next?.query !== mention?.query) setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart);
+  };
+
+  const selectUser = (user) => {
+    const textarea = textareaRef.current;
+    const { text, caret } = insertMention(value, mention.start, textarea.selectionStart, user.name);
+    onChange(text);
+    setMention(null);
+    // Move the caret past the mention once React has rendered the new value
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (isOpen) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex((index) => (index + step + candidates.length) % candidates.length);
+        return;
+      }
+      if ((e.key === 'Enter' && !e.metaKey && !e.ctrlKey) || e.key === 'Tab') {
+        e.preventDefault();
+        selectUser(candidates[Math.min(activeIndex, candidates.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        // Close the suggestions, not the surrounding modal
+        e.preventDefault();
+        e.stopPropagation();
+        setMention(null);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateMention(e.target.value, e.target.selectionStart)}
+        onBlur={() => setMention(null)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={isOpen ? listboxId : undefined}
+        aria-activedescendant={isOpen ? `${listboxId}-${activeIndex}` : undefined}
+        className={className}
+        {...props}
+      />
+      {isOpen && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label="Mention a member"
+          className="absolute left-0 top-full mt-1 z-50 w-64 max-h-56 overflow-y-auto rounded-xl border border-border bg-popover p-1 text-popover-foreground shadow-elevated"
+        >
+          {candidates.map((user, index) => (
+            <li
+              key={user.id}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the textarea so the pick isn't lost to onBlur
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectUser(user);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`flex items-center gap-2 rounded-md px-2 py-1.5 text-sm cursor-pointer ${
+                index === activeIndex ? 'bg-accent text-accent-foreground' : ''
+              }`}
+            >
+              <span className="w-5 h-5 rounded-full bg-neutral-500 flex items-center justify-center text-white text-[10px] font-semibold flex-shrink-0">
+                {user.name.charAt(0).toUpperCase()}
+              </span>
+              <span className="truncate">{user.name}</span>
+              {user.email && (
+                <span className="ml-auto truncate text-xs text-muted-foreground">{user.email}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default MentionTextarea;
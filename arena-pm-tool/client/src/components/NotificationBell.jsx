@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { Bell, Check, Circle, Loader2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import useNotificationStore from '../store/notificationStore';
+import useTaskStore from '../store/taskStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { getNotificationMessage } from '../utils/notifications';
+import TaskDetailModal from './TaskDetailModal';
+import { Button } from 'components/ui/button';
+import { Popover, PopoverContent, PopoverTrigger } from 'components/ui/popover';
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogAction, AlertDialogCancel } from 'components/ui/alert-dialog';
+
+const formatBadgeCount = (count) => (count > 99 ? '99+' : String(count));
+
+function NotificationItem({ notification, onOpen, onToggleRead }) {
+  const isUnread = !notification.readAt;
+  return (
+    <li className={`group flex items-start gap-2 rounded-lg px-2 py-2 ${isUnread ? 'bg-accent/40' : ''} hover:bg-accent`}>
+      <button
+        type="button"
+        onClick={() => onOpen(notification)}
+        className="flex-1 min-w-0 text-left"
+      >
+        <p className={`text-sm ${isUnread ? 'font-medium text-foreground' : 'text-muted-foreground'}`}>
+          {getNotificationMessage(notification)}
+        </p>
+        {notification.data?.excerpt && (
+          <p className="mt-0.5 text-xs text-muted-foreground line-clamp-2">{notification.data.excerpt}</p>
+        )}
+        {notification.createdAt && (
+          <p className="mt-0.5 text-[11px] text-muted-foreground">
+            {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+          </p>
+        )}
+      </button>
+      <button
+        type="button"
+        onClick={() => onToggleRead(notification)}
+        aria-label={isUnread ? 'Mark as read' : 'Mark as unread'}
+        title={isUnread ? 'Mark as read' : 'Mark as unread'}
+        className="mt-0.5 flex h-6 w-6 shrink-0 items-center justify-center rounded-md text-muted-foreground hover:bg-background hover:text-foreground"
+      >
+        {isUnread ? <Circle size={10} className="fill-primary text-primary" /> : <Check size={14} />}
+      </button>
+    </li>
+  );
+}
+
+// Bell with the unread count that opens the notification inbox.
+// `label` shows the text next to the icon, as in the expanded sidebar.
+function NotificationBell({ label = false, className = '' }) {
+  const { notifications, unreadCount, hasMore, isLoading, loadMore, markRead, markAllRead } = useNotificationStore();
+  const { tasks, fetchTask, deleteTask } = useTaskStore();
+  const { currentWorkspaceId } = useWorkspaceStore();
+  const { switchWorkspace } = useWorkspace();
+  const [open, setOpen] = useState(false);
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [deletingTask, setDeletingTask] = useState(null);
+
+  const openTask = openTaskId ? tasks.find((t) => t.id === openTaskId) : null;
+
+  // Opening a notification shows its task, or switches to its workspace first
+  const handleOpen = async (notification) => {
+    setOpen(false);
+    markRead(notification.id);
+
+    if (notification.workspaceId && notification.workspaceId !== currentWorkspaceId) {
+      await switchWorkspace(notification.workspaceId);
+      return;
+    }
+    if (notification.taskId) {
+      const { success } = await fetchTask(notification.taskId);
+      if (success) setOpenTaskId(notification.taskId);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (deletingTask) {
+      const id = deletingTask.id;
+      setDeletingTask(null);
+      setOpenTaskId(null);
+      await deleteTask(id);
+    }
+  };
+
+  return (
+    <>
+      <Popover open={open} onOpenChange={setOpen}>
+        <PopoverTrigger asChild>
+          <button
+            type="button"
+            aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+            title={label ? undefined : 'Notifications'}
+            className={`relative flex items-center text-muted-foreground hover:text-foreground transition-all duration-150 ${className}`}
+          >
+            <span className="relative">
+              <Bell size={18} />
+              {unreadCount > 0 && (
+                <span className="absolute -top-1.5 -right-2 min-w-4 h-4 px-1 rounded-full bg-primary text-primary-foreground text-[10px] font-semibold leading-4 text-center">
+                  {formatBadgeCount(unreadCount)}
+                </span>
+              )}
+            </span>
+            {label && <span className="flex-1 text-left">Notifications</span>}
+          </button>
+        </PopoverTrigger>
+        <PopoverContent align="start" className="w-80 p-0">
+          <div className="flex items-center justify-between border-b border-border px-3 py-2">
+            <h3 className="text-sm font-semibold text-foreground">Notifications</h3>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={markAllRead}
+              disabled={unreadCount === 0}
+              className="h-7 px-2 text-xs"
+            >
+              Mark all read
+            </Button>
+          </div>
+          <div className="max-h-[60vh] overflow-y-auto p-1">
+            {notifications.length === 0 ? (
+              <p className="px-3 py-8 text-center text-sm text-muted-foreground">
+                {isLoading ? 'Loading...' : "You're all caught up"}
+              </p>
+            ) : (
+              <ul className="flex flex-col gap-0.5">
+                {notifications.map((notification) => (
+                  <NotificationItem
+                    key={notification.id}
+                    notification={notification}
+                    onOpen={handleOpen}
+                    onToggleRead={(n) => markRead(n.id, !n.readAt)}
+                  />
+                ))}
+              </ul>
+            )}
+            {hasMore && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={loadMore}
+                disabled={isLoading}
+                className="mt-1 w-full text-xs"
+              >
+                {isLoading && <Loader2 className="mr-2 h-3 w-3 animate-spin" />}
+                Load older notifications
+              </Button>
+            )}
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      <TaskDetailModal
+        task={openTask}
+        isOpen={!!openTask}
+        onClose={() => setOpenTaskId(null)}
+        onDelete={setDeletingTask}
+      />
+
+      <AlertDialog open={!!deletingTask} onOpenChange={(isOpen) => { if (!isOpen) setDeletingTask(null); }}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Task</AlertDialogTitle>
+            <AlertDialogDescription>
+              Are you sure you want to delete "{deletingTask?.title}"? This action cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={confirmDelete}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90 focus:ring-destructive"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,132 @@
+import { Input } from 'components/ui/input';
+import { Label } from 'components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+import { FREQUENCY_OPTIONS } from '../utils/recurrence';
+
+const NO_REPEAT = 'none';
+
+const getEndMode = (rule) => {
+  if (rule?.count) return 'count';
+  if (rule && rule.end_date !== null && rule.end_date !== undefined) return 'date';
+  return 'never';
+};
+
+// Repeat settings for a task. `value` is a recurrence rule or null.
+const RecurrenceEditor = ({ value, onChange, disabled = false, idPrefix = 'recurrence' }) => {
+  const rule = value || null;
+  const endMode = getEndMode(rule);
+  const unit = FREQUENCY_OPTIONS.find((o) => o.value === rule?.frequency)?.unit;
+
+  const handleFrequencyChange = (frequency) => {
+    if (frequency === NO_REPEAT) {
+      onChange(null);
+      return;
+    }
+    onChange({ interval: 1, end_date: null, count: null, ...rule, frequency });
+  };
+
+  const handleIntervalChange = (e) => {
+    const interval = Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 365);
+    onChange({ ...rule, interval });
+  };
+
+  const handleEndModeChange = (mode) => {
+    onChange({
+      ...rule,
+      end_date: mode === 'date' ? (rule.end_date || '') : null,
+      count: mode === 'count' ? (rule.count || 10) : null,
+    });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="space-y-1.5">
+        <Label htmlFor={`${idPrefix}-frequency`} className="text-sm font-medium text-foreground">
+          Repeat
+        </Label>
+        <Select
+          value={rule?.frequency || NO_REPEAT}
+          onValueChange={handleFrequencyChange}
+          disabled={disabled}
+        >
+          <SelectTrigger id={`${idPrefix}-frequency`} className="focus-visible:ring-2 focus-visible:ring-ring">
+            <SelectValue placeholder="Does not repeat" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NO_REPEAT}>Does not repeat</SelectItem>
+            {FREQUENCY_OPTIONS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {rule && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div className="space-y-1.5">
+            <Label htmlFor={`${idPrefix}-interval`} className="text-sm font-medium text-foreground">
+              Every
+            </Label>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                id={`${idPrefix}-interval`}
+                min={1}
+                max={365}
+                value={rule.interval || 1}
+                onChange={handleIntervalChange}
+                disabled={disabled}
+                className="w-20 focus-visible:ring-2 focus-visible:ring-ring"
+              />
+              <span className="text-sm text-muted-foreground">
+                {unit}{(rule.interval || 1) === 1 ? '' : 's'}
+              </span>
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <Label htmlFor={`${idPrefix}-ends`} className="text-sm font-medium text-foreground">
+              Ends
+            </Label>
+            <Select value={endMode} onValueChange={handleEndModeChange} disabled={disabled}>
+              <SelectTrigger id={`${idPrefix}-ends`} className="focus-visible:ring-2 focus-visible:ring-ring">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="never">Never</SelectItem>
+                <SelectItem value="date">On date</SelectItem>
+                <SelectItem value="count">After occurrences</SelectItem>
+              </SelectContent>
+            </Select>
+            {endMode === 'date' && (
+              <Input
+                type="date"
+                aria-label="Repeat until"
+                value={rule.end_date || ''}
+                onChange={(e) => onChange({ ...rule, end_date: e.target.value })}
+                disabled={disabled}
+                className="focus-visible:ring-2 focus-visible:ring-ring"
+              />
+            )}
+            {endMode === 'count' && (
+              <Input
+                type="number"
+                aria-label="Number of occurrences"
+                min={1}
+                max={1000}
+                value={rule.count || ''}
+                onChange={(e) => onChange({ ...rule, count: Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 1000) })}
+                disabled={disabled}
+                className="focus-visible:ring-2 focus-visible:ring-ring"
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
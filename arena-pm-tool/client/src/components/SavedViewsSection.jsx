@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Star, Link2, Trash2, Users, Check, Plus } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { Checkbox } from 'components/ui/checkbox';
+
+const MAX_VIEW_NAME_LENGTH = 100;
+
+// Saved views list and "save current view" form, shown at the top of FilterDropdown.
+// `savedViews` is the object returned by useSavedViews.
+function SavedViewsSection({ savedViews }) {
+  const {
+    views,
+    activeView,
+    defaultViewId,
+    isModified,
+    canShare,
+    selectView,
+    saveView,
+    updateActiveView,
+    deleteView,
+    toggleDefaultView,
+    canManageView,
+    getViewLink,
+  } = savedViews;
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [name, setName] = useState('');
+  const [isShared, setIsShared] = useState(false);
+  const [isDefault, setIsDefault] = useState(false);
+
+  const resetForm = () => {
+    setIsSaving(false);
+    setName('');
+    setIsShared(false);
+    setIsDefault(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || isSubmitting) return;
+
+    setIsSubmitting(true);
+    const result = await saveView({
+      name: name.trim(),
+      visibility: isShared ? 'shared' : 'personal',
+      isDefault,
+    });
+    setIsSubmitting(false);
+    if (result.success) resetForm();
+  };
+
+  const handleCopyLink = async (view) => {
+    try {
+      await navigator.clipboard.writeText(getViewLink(view));
+      toast.success('View link copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  return (
+    <div className="mb-3 pb-3 border-b border-border">
+      <h4 className="text-xs font-medium text-muted-foreground mb-1.5 uppercase tracking-wide">Saved Views</h4>
+
+      {views.length === 0 && !isSaving && (
+        <p className="text-sm text-muted-foreground px-2 py-1">Save these filters to get back to them quickly.</p>
+      )}
+
+      <div className="space-y-0.5 max-h-40 overflow-y-auto">
+        {views.map((view) => {
+          const isActive = activeView?.id === view.id;
+          const isDefaultView = defaultViewId === view.id;
+          return (
+            <div
+              key={view.id}
+              className={`group flex items-center gap-1 px-2 py-1 rounded-md transition-colors duration-150 ${
+                isActive ? 'bg-primary/10 text-primary' : 'hover:bg-accent text-foreground'
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => selectView(view)}
+                className="flex flex-1 items-center gap-2 min-w-0 text-left text-sm outline-none focus-visible:ring-2 focus-visible:ring-ring rounded-sm"
+                title={view.visibility === 'shared' && view.ownerName ? `Shared by ${view.ownerName}` : undefined}
+              >
+                {isActive ? <Check size={14} className="flex-shrink-0" /> : <span className="w-3.5 flex-shrink-0" />}
+                <span className="truncate">{view.name}</span>
+                {view.visibility === 'shared' && (
+                  <Users size={12} className="flex-shrink-0 text-muted-foreground" aria-label="Shared" />
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={() => toggleDefaultView(view)}
+                className={`p-1 rounded-sm hover:text-foreground ${isDefaultView ? 'text-amber-500' : 'text-muted-foreground opacity-0 group-hover:opacity-100 focus-visible:opacity-100'}`}
+                title={isDefaultView ? 'Default view (click to unset)' : 'Open this view by default'}
+                aria-label={isDefaultView ? `Unset ${view.name} as default` : `Set ${view.name} as default`}
+              >
+                <Star size={14} className={isDefaultView ? 'fill-current' : ''} />
+              </button>
+              <button
+                type="button"
+                onClick={() => handleCopyLink(view)}
+                className="p-1 rounded-sm text-muted-foreground hover:text-foreground opacity-0 group-hover:opacity-100 focus-visible:opacity-100"
+                title="Copy link"
+                aria-label={`Copy link to ${view.name}`}
+              >
+                <Link2 size={14} />
+              </button>
+              {canManageView(view) && (
+                <button
+                  type="button"
+                  onClick={() => deleteView(view)}
+                  className="p-1 rounded-sm text-muted-foreground hover:text-destructive opacity-0 group-hover:opacity-100 focus-visible:opacity-100"
+                  title="Delete view"
+                  aria-label={`Delete ${view.name}`}
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {activeView && isModified && canManageView(activeView) && !isSaving && (
+        <button
+          type="button"
+          onClick={updateActiveView}
+          className="mt-1 px-2 text-sm text-primary hover:underline"
+        >
+          Update "{activeView.name}" with current filters
+        </button>
+      )}
+
+      {isSaving ? (
+        <form onSubmit={handleSave} className="mt-2 space-y-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="View name"
+            maxLength={MAX_VIEW_NAME_LENGTH}
+            aria-label="View name"
+            autoFocus
+          />
+          <label className={`flex items-center gap-2 text-sm ${canShare ? 'cursor-pointer' : 'opacity-50'}`}>
+            <Checkbox checked={isShared} onCheckedChange={(checked) => setIsShared(checked === true)} disabled={!canShare} />
+            Share with workspace
+          </label>
+          <label className="flex items-center gap-2 text-sm cursor-pointer">
+            <Checkbox checked={isDefault} onCheckedChange={(checked) => setIsDefault(checked === true)} />
+            Open by default
+          </label>
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="ghost" size="sm" onClick={resetForm}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" disabled={!name.trim() || isSubmitting}>
+              Save
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => setIsSaving(true)}
+          className="mt-1 w-full justify-start text-muted-foreground"
+        >
+          <Plus size={14} />
+          Save current view
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default SavedViewsSection;
@@ -3,9 +3,11 @@ import { Plus, Check, Trash2, Calendar, ChevronDown, Loader2 } from 'lucide-reac
 import useTaskStore from '../store/taskStore';
 import useUserStore from '../store/userStore';
 import useWorkspaceStore from '../store/workspaceStore';
+import useStatusStore from '../store/statusStore';
 import { tasksAPI } from '../utils/api';
 import { toLocalDate, toUTCISOString, formatDueDate, isOverdue as checkOverdue } from '../utils/dateUtils';
 import { getPriorityColor } from '../utils/priorityStyles';
+import { isDoneStatus, getStatusName, getToggleTarget, getStatusCategory } from '../utils/workflowStatuses';
 import { InlineSpinner } from './Loader';
 import DatePicker from './DatePicker';
 import AssigneeDropdown from './AssigneeDropdown';
@@ -17,6 +19,7 @@ import { toast } from 'sonner';
 function SubtaskList({ taskId, categoryId }) {
   const [subtasks, setSubtasks] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const { statuses } = useStatusStore();
   const [isAddingSubtask, setIsAddingSubtask] = useState(false);
   const [newSubtaskTitle, setNewSubtaskTitle] = useState('');
   const [newSubtaskPriority, setNewSubtaskPriority] = useState('medium');
@@ -133,10 +136,10 @@ function SubtaskList({ taskId, categoryId }) {
 
     setTogglingIds(prev => new Set([...prev, subtask.id]));
     try {
-      const newStatus = subtask.status === 'completed' ? 'todo' : 'completed';
+      const { status: newStatus, statusCategory } = getToggleTarget(subtask, statuses);
       await updateTask(subtask.id, {
         status: newStatus,
-        completed_at: newStatus === 'completed' ? new Date().toISOString() : null,
+        completed_at: statusCategory === 'done' ? new Date().toISOString() : null,
       });
       await fetchSubtasks();
       // Also refresh parent tasks to update subtask counts
@@ -268,7 +271,7 @@ function SubtaskList({ taskId, categoryId }) {
   // Get user by ID
   const getUserById = (userId) => users.find(u => u.id === userId);
 
-  const completedCount = subtasks.filter(s => s.status === 'completed').length;
+  const completedCount = subtasks.filter(s => isDoneStatus(s, statuses)).length;
   const totalCount = subtasks.length;
   const progressPercent = totalCount > 0 ? (completedCount / totalCount) * 100 : 0;
 
@@ -300,7 +303,8 @@ function SubtaskList({ taskId, categoryId }) {
         <div className="border-l-2 border-border pl-3 space-y-1">
           {subtasks.map((subtask) => {
             const dueDateFormatted = formatDueDate(subtask.dueDate);
-            const subtaskIsOverdue = checkOverdue(subtask.dueDate, subtask.status);
+            const subtaskIsDone = isDoneStatus(subtask, statuses);
+            const subtaskIsOverdue = checkOverdue(subtask.dueDate, getStatusCategory(subtask, statuses));
             const dueDateObj = toLocalDate(subtask.dueDate);
 
             return (
@@ -309,17 +313,17 @@ function SubtaskList({ taskId, categoryId }) {
               className={`
                 group flex flex-col gap-1 px-2 py-2 rounded-lg
                 hover:bg-muted transition-colors
-                ${subtask.status === 'completed' ? 'opacity-60' : ''}
+                ${subtaskIsDone ? 'opacity-60' : ''}
               `}
             >
               {/* Top row: Checkbox, Title, Delete */}
               <div className="flex items-center gap-2">
                 {/* Checkbox */}
                 <Checkbox
-                  checked={subtask.status === 'completed'}
+                  checked={subtaskIsDone}
                   onCheckedChange={() => handleToggleComplete(subtask)}
                   disabled={togglingIds.has(subtask.id)}
-                  aria-label={subtask.status === 'completed' ? `Mark "${subtask.title}" as incomplete` : `Mark "${subtask.title}" as complete`}
+                  aria-label={subtaskIsDone ? `Mark "${subtask.title}" as incomplete` : `Mark "${subtask.title}" as complete`}
                   className="flex-shrink-0"
                 />
 
@@ -339,7 +343,7 @@ function SubtaskList({ taskId, categoryId }) {
                     onClick={() => handleStartEdit(subtask)}
                     className={`
                       flex-1 text-sm cursor-text
-                      ${subtask.status === 'completed' ? 'line-through text-muted-foreground' : 'text-foreground'}
+                      ${subtaskIsDone ? 'line-through text-muted-foreground' : 'text-foreground'}
                     `}
                   >
                     {subtask.title}
@@ -347,8 +351,8 @@ function SubtaskList({ taskId, categoryId }) {
                 )}
 
                 {/* Status badge */}
-                <span className={`text-xs px-1.5 py-0.5 rounded ${subtask.status === 'completed' ? 'bg-green-100 text-green-700' : 'bg-muted text-muted-foreground'}`}>
-                  {subtask.status === 'completed' ? 'Done' : 'To do'}
+                <span className={`text-xs px-1.5 py-0.5 rounded ${subtaskIsDone ? 'bg-green-100 text-green-700' : 'bg-muted text-muted-foreground'}`}>
+                  {getStatusName(subtask.status, statuses)}
                 </span>
 
                 {/* Delete button */}
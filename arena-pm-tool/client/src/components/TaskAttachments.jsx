@@ -0,0 +1,244 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Paperclip, FileText, Download, Trash2, Loader2, Upload } from 'lucide-react';
+import useAuthStore from '../store/authStore';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { tasksAPI } from '../utils/api';
+import {
+  MAX_ATTACHMENT_BYTES,
+  isImageAttachment,
+  canPreviewAttachment,
+  formatFileSize,
+  getUploadErrorMessage,
+} from '../utils/attachments';
+import { InlineSpinner } from './Loader';
+import { Button } from 'components/ui/button';
+import { toast } from 'sonner';
+
+function AttachmentRow({ taskId, attachment, onDelete, isDeleting }) {
+  const previewUrl = tasksAPI.getAttachmentUrl(taskId, attachment.id);
+  const downloadUrl = tasksAPI.getAttachmentUrl(taskId, attachment.id, { download: true });
+
+  return (
+    <div className="group flex items-center gap-3 px-2 py-1.5 rounded-lg hover:bg-muted transition-colors">
+      {isImageAttachment(attachment) ? (
+        <a href={previewUrl} target="_blank" rel="noopener noreferrer" className="flex-shrink-0">
+          <img
+            src={previewUrl}
+            alt={attachment.fileName}
+            loading="lazy"
+            className="h-10 w-10 rounded object-cover border border-border"
+          />
+        </a>
+      ) : (
+        <div className="h-10 w-10 flex-shrink-0 flex items-center justify-center rounded border border-border bg-muted">
+          <FileText size={18} className="text-muted-foreground" aria-hidden="true" />
+        </div>
+      )}
+      <div className="flex-1 min-w-0">
+        {canPreviewAttachment(attachment) ? (
+          <a
+            href={previewUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block text-sm text-foreground truncate hover:underline"
+          >
+            {attachment.fileName}
+          </a>
+        ) : (
+          <span className="block text-sm text-foreground truncate">{attachment.fileName}</span>
+        )}
+        <span className="text-xs text-muted-foreground">
+          {formatFileSize(attachment.sizeBytes)}
+          {attachment.uploaderName && ` · ${attachment.uploaderName}`}
+          {attachment.createdAt && ` · ${formatDistanceToNow(new Date(attachment.createdAt), { addSuffix: true })}`}
+          {attachment.commentId && ' · in a comment'}
+        </span>
+      </div>
+      <a
+        href={downloadUrl}
+        className="opacity-0 group-hover:opacity-100 focus:opacity-100 p-1 rounded text-muted-foreground hover:text-foreground hover:bg-accent transition-opacity"
+        aria-label={`Download ${attachment.fileName}`}
+      >
+        <Download size={14} />
+      </a>
+      {onDelete && (
+        <button
+          type="button"
+          onClick={() => onDelete(attachment)}
+          disabled={isDeleting}
+          className="opacity-0 group-hover:opacity-100 focus:opacity-100 p-1 rounded text-muted-foreground hover:text-destructive hover:bg-accent transition-opacity disabled:opacity-50"
+          aria-label={`Delete ${attachment.fileName}`}
+        >
+          {isDeleting ? <Loader2 size={14} className="animate-spin" /> : <Trash2 size={14} />}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function TaskAttachments({ taskId }) {
+  const { user } = useAuthStore();
+  const { canEdit, isCurrentUserAdmin } = useWorkspace();
+  const [attachments, setAttachments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [deletingIds, setDeletingIds] = useState(new Set());
+  const fileInputRef = useRef(null);
+
+  const userCanEdit = canEdit();
+  const userIsAdmin = isCurrentUserAdmin();
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await tasksAPI.getAttachments(taskId);
+      setAttachments(response.data.data.attachments || []);
+    } catch (error) {
+      toast.error('Failed to load attachments');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const uploadFiles = async (files) => {
+    if (!files.length || isUploading) return;
+
+    setIsUploading(true);
+    let uploaded = 0;
+    // One at a time so a plan limit stops the batch with a clear message
+    for (const file of files) {
+      if (file.size > MAX_ATTACHMENT_BYTES) {
+        toast.error(`${file.name} is too large. Maximum size is ${formatFileSize(MAX_ATTACHMENT_BYTES)}.`);
+        continue;
+      }
+      try {
+        const response = await tasksAPI.uploadAttachment(taskId, file);
+        setAttachments((prev) => [...prev, response.data.data.attachment]);
+        uploaded += 1;
+      } catch (error) {
+        toast.error(getUploadErrorMessage(error, file.name));
+        if (error.response?.data?.code === 'PLAN_LIMIT_STORAGE') break;
+      }
+    }
+    setIsUploading(false);
+
+    if (uploaded > 0) {
+      toast.success(uploaded === 1 ? 'File attached' : `${uploaded} files attached`);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    uploadFiles(files);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!userCanEdit) return;
+    uploadFiles(Array.from(e.dataTransfer.files || []));
+  };
+
+  const handleDelete = async (attachment) => {
+    if (deletingIds.has(attachment.id)) return;
+
+    setDeletingIds((prev) => new Set([...prev, attachment.id]));
+    try {
+      await tasksAPI.deleteAttachment(taskId, attachment.id);
+      setAttachments((prev) => prev.filter((a) => a.id !== attachment.id));
+      toast.success('Attachment deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete attachment');
+    } finally {
+      setDeletingIds((prev) => {
+        const next = new Set(prev);
+        next.delete(attachment.id);
+        return next;
+      });
+    }
+  };
+
+  const canDelete = (attachment) =>
+    userCanEdit && (attachment.uploadedBy === user?.id || userIsAdmin);
+
+  return (
+    <div
+      onDragOver={(e) => {
+        if (!userCanEdit) return;
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`rounded-lg transition-colors ${isDragging ? 'bg-muted ring-2 ring-ring/20' : ''}`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-foreground flex items-center gap-1.5">
+          <Paperclip size={14} aria-hidden="true" />
+          Attachments
+          {attachments.length > 0 && (
+            <span className="text-xs font-normal text-muted-foreground">({attachments.length})</span>
+          )}
+        </h3>
+        {userCanEdit && (
+          <>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              className="hidden"
+              onChange={handleFileChange}
+              data-testid="attachment-input"
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-7 text-xs"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isUploading}
+            >
+              {isUploading ? (
+                <Loader2 className="mr-1 h-3.5 w-3.5 animate-spin" />
+              ) : (
+                <Upload size={12} className="mr-1" />
+              )}
+              {isUploading ? 'Uploading...' : 'Attach files'}
+            </Button>
+          </>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-4">
+          <InlineSpinner />
+          <span className="ml-2 text-sm text-muted-foreground">Loading attachments...</span>
+        </div>
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-muted-foreground px-2 py-1">
+          {userCanEdit ? 'No attachments yet. Drop files here to attach them.' : 'No attachments'}
+        </p>
+      ) : (
+        <div className="space-y-1">
+          {attachments.map((attachment) => (
+            <AttachmentRow
+              key={attachment.id}
+              taskId={taskId}
+              attachment={attachment}
+              onDelete={canDelete(attachment) ? handleDelete : null}
+              isDeleting={deletingIds.has(attachment.id)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskAttachments;
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import useTaskStore from '../store/taskStore';
+import useCustomFieldStore from '../store/customFieldStore';
+import { getCustomFieldValue } from '../utils/customFields';
+import { Input } from 'components/ui/input';
+import { Checkbox } from 'components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+
+// Radix Select items can't use '' as a value
+const NO_OPTION = '__none__';
+
+// Text-like inputs keep a local draft and save on blur/Enter
+function DraftInput({ field, value, type, onSave }) {
+  const [draft, setDraft] = useState(value ?? '');
+
+  useEffect(() => {
+    setDraft(value ?? '');
+  }, [value]);
+
+  const commit = () => {
+    const next = typeof draft === 'string' ? draft.trim() : draft;
+    if (String(next) === String(value ?? '')) return;
+    onSave(next === '' ? null : next);
+  };
+
+  return (
+    <Input
+      type={type}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+      }}
+      placeholder="Empty"
+      className="h-8"
+      aria-label={field.name}
+    />
+  );
+}
+
+function CustomFieldInput({ field, value, onSave }) {
+  switch (field.fieldType) {
+    case 'number':
+      return <DraftInput field={field} value={value} type="number" onSave={(v) => onSave(v === null ? null : Number(v))} />;
+    case 'date':
+      return <DraftInput field={field} value={value} type="date" onSave={onSave} />;
+    case 'checkbox':
+      return (
+        <Checkbox
+          checked={value === true}
+          onCheckedChange={(checked) => onSave(checked === true)}
+          aria-label={field.name}
+        />
+      );
+    case 'dropdown':
+      return (
+        <Select
+          value={value ?? NO_OPTION}
+          onValueChange={(option) => onSave(option === NO_OPTION ? null : option)}
+        >
+          <SelectTrigger className="h-8 w-48" aria-label={field.name}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NO_OPTION}>
+              <span className="text-muted-foreground">None</span>
+            </SelectItem>
+            {field.options.map((option) => (
+              <SelectItem key={option} value={option}>{option}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      );
+    default:
+      return <DraftInput field={field} value={value} type="text" onSave={onSave} />;
+  }
+}
+
+// Property rows for the workspace's custom fields in TaskDetailModal
+function TaskCustomFields({ task }) {
+  const { updateTask } = useTaskStore();
+  const { fields } = useCustomFieldStore();
+
+  if (fields.length === 0) return null;
+
+  const handleSave = async (field, value) => {
+    try {
+      await updateTask(task.id, { custom_fields: { [field.id]: value } });
+    } catch (error) {
+      // Error handled in store
+    }
+  };
+
+  return fields.map((field) => (
+    <div key={field.id} className="flex items-center gap-4">
+      <div className="w-24 flex items-center gap-2 text-sm text-muted-foreground">
+        <SlidersHorizontal size={16} className="flex-shrink-0" />
+        <span className="truncate" title={field.name}>{field.name}</span>
+      </div>
+      <div className="flex-1 px-2">
+        <CustomFieldInput
+          field={field}
+          value={getCustomFieldValue(task, field)}
+          onSave={(value) => handleSave(field, value)}
+        />
+      </div>
+    </div>
+  ));
+}
+
+export default TaskCustomFields;
@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Lock, ArrowRight, X, Check } from 'lucide-react';
+import useTaskStore from '../store/taskStore';
+import { tasksAPI } from '../utils/api';
+import { InlineSpinner } from './Loader';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+import { toast } from 'sonner';
+
+function DependencyRow({ task, onRemove, isRemoving }) {
+  const isDone = task.statusCategory === 'done';
+
+  return (
+    <div className="group flex items-center gap-2 px-2 py-1.5 rounded-lg hover:bg-muted transition-colors">
+      {isDone ? (
+        <Check size={14} className="text-green-600 flex-shrink-0" aria-label="Completed" />
+      ) : (
+        <Lock size={14} className="text-amber-600 dark:text-amber-400 flex-shrink-0" aria-label="Open" />
+      )}
+      <span className={`flex-1 text-sm truncate ${isDone ? 'line-through text-muted-foreground' : 'text-foreground'}`}>
+        {task.title}
+      </span>
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(task)}
+          disabled={isRemoving}
+          className="opacity-0 group-hover:opacity-100 focus:opacity-100 p-1 rounded text-muted-foreground hover:text-foreground hover:bg-accent transition-opacity disabled:opacity-50"
+          aria-label={`Remove dependency on ${task.title}`}
+        >
+          <X size={14} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+function TaskDependencies({ taskId }) {
+  const [blockedBy, setBlockedBy] = useState([]);
+  const [blocking, setBlocking] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isAdding, setIsAdding] = useState(false);
+  const [removingIds, setRemovingIds] = useState(new Set());
+
+  const { tasks, fetchTasks, filters } = useTaskStore();
+
+  const fetchDependencies = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await tasksAPI.getDependencies(taskId);
+      setBlockedBy(response.data.data.blockedBy || []);
+      setBlocking(response.data.data.blocking || []);
+    } catch (error) {
+      toast.error('Failed to load dependencies');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchDependencies();
+  }, [fetchDependencies]);
+
+  // Top-level tasks that aren't already linked to this one
+  const candidates = useMemo(() => {
+    const linkedIds = new Set([taskId, ...blockedBy.map((t) => t.id)]);
+    return tasks.filter((t) => !t.parentTaskId && !linkedIds.has(t.id));
+  }, [tasks, taskId, blockedBy]);
+
+  // Refresh the board so "Blocked" badges reflect the change
+  const refreshTasks = () => fetchTasks(filters, { showLoading: false });
+
+  const handleAdd = async (value) => {
+    if (!value || isAdding) return;
+
+    setIsAdding(true);
+    try {
+      await tasksAPI.addDependency(taskId, parseInt(value, 10));
+      await fetchDependencies();
+      refreshTasks();
+      toast.success('Dependency added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add dependency');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const handleRemove = async (blocker) => {
+    if (removingIds.has(blocker.id)) return;
+
+    setRemovingIds((prev) => new Set([...prev, blocker.id]));
+    try {
+      await tasksAPI.removeDependency(taskId, blocker.id);
+      await fetchDependencies();
+      refreshTasks();
+      toast.success('Dependency removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove dependency');
+    } finally {
+      setRemovingIds((prev) => {
+        const next = new Set(prev);
+        next.delete(blocker.id);
+        return next;
+      });
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-foreground mb-3">Dependencies</h3>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-4">
+          <InlineSpinner />
+          <span className="ml-2 text-sm text-muted-foreground">Loading dependencies...</span>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <p className="text-xs font-medium text-muted-foreground mb-1">Blocked by</p>
+            {blockedBy.length === 0 ? (
+              <p className="text-sm text-muted-foreground px-2 py-1">No blocking tasks</p>
+            ) : (
+              <div className="border-l-2 border-border pl-3 space-y-1">
+                {blockedBy.map((blocker) => (
+                  <DependencyRow
+                    key={blocker.id}
+                    task={blocker}
+                    onRemove={handleRemove}
+                    isRemoving={removingIds.has(blocker.id)}
+                  />
+                ))}
+              </div>
+            )}
+
+            {candidates.length > 0 && (
+              <div className="mt-2">
+                <Select value="" onValueChange={handleAdd} disabled={isAdding}>
+                  <SelectTrigger className="h-8 text-sm" aria-label="Add blocking task">
+                    <SelectValue placeholder={isAdding ? 'Adding...' : 'Add blocking task...'} />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {candidates.map((candidate) => (
+                      <SelectItem key={candidate.id} value={String(candidate.id)}>
+                        {candidate.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </div>
+
+          {blocking.length > 0 && (
+            <div>
+              <p className="text-xs font-medium text-muted-foreground mb-1 flex items-center gap-1">
+                <ArrowRight size={12} aria-hidden="true" />
+                Blocking
+              </p>
+              <div className="border-l-2 border-border pl-3 space-y-1">
+                {blocking.map((blocked) => (
+                  <DependencyRow key={blocked.id} task={blocked} />
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskDependencies;
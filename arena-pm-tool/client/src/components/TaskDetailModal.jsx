@@ -1,18 +1,26 @@
 import { useState, useEffect, useRef } from 'react';
 import { format } from 'date-fns';
 import {
-  X, Check, Calendar, User, FolderOpen, Flag,
+  X, Check, Calendar, User, FolderOpen, Flag, Repeat, CircleDot,
   ChevronDown, MoreHorizontal, Trash2, AlertCircle, Loader2
 } from 'lucide-react';
 import useTaskStore from '../store/taskStore';
 import useCategoryStore from '../store/categoryStore';
 import useUserStore from '../store/userStore';
 import useWorkspaceStore from '../store/workspaceStore';
+import useStatusStore from '../store/statusStore';
 import { toLocalDate, toUTCISOString, formatDueDateLong } from '../utils/dateUtils';
 import DatePicker from './DatePicker';
 import AssigneeDropdown from './AssigneeDropdown';
 import SubtaskList from './SubtaskList';
 import CommentSection from './CommentSection';
+import TaskDependencies from './TaskDependencies';
+import TaskAttachments from './TaskAttachments';
+import TaskTimeTracking from './TaskTimeTracking';
+import RecurrenceEditor from './RecurrenceEditor';
+import TaskCustomFields from './TaskCustomFields';
+import { formatRecurrenceRule, toRecurrencePayload } from '../utils/recurrence';
+import { findStatus, getStatusCategory, getToggleTarget } from '../utils/workflowStatuses';
 import { toast } from 'sonner';
 import { Dialog, DialogContent } from 'components/ui/dialog';
 import { Button } from 'components/ui/button';
@@ -30,6 +38,7 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
   const { categories, fetchCategories } = useCategoryStore();
   const { users, fetchUsers } = useUserStore();
   const { currentWorkspaceId } = useWorkspaceStore();
+  const { statuses } = useStatusStore();
 
   const [isEditingTitle, setIsEditingTitle] = useState(false);
   const [editedTitle, setEditedTitle] = useState('');
@@ -40,15 +49,19 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
 
   const [showAssigneeDropdown, setShowAssigneeDropdown] = useState(false);
   const [showCategoryDropdown, setShowCategoryDropdown] = useState(false);
+  const [showStatusDropdown, setShowStatusDropdown] = useState(false);
   const [showPriorityDropdown, setShowPriorityDropdown] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showMoreMenu, setShowMoreMenu] = useState(false);
+  const [isEditingRecurrence, setIsEditingRecurrence] = useState(false);
+  const [draftRecurrenceRule, setDraftRecurrenceRule] = useState(null);
 
   const titleInputRef = useRef(null);
   const descriptionRef = useRef(null);
   const datePickerRef = useRef(null);
   const assigneeDropdownRef = useRef(null);
   const categoryDropdownRef = useRef(null);
+  const statusDropdownRef = useRef(null);
   const priorityDropdownRef = useRef(null);
   const moreMenuRef = useRef(null);
 
@@ -56,8 +69,8 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
   const formattedDueDate = formatDueDateLong(task?.dueDate);
   const today = new Date();
   const todayLocal = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const isOverdue = dueDateObj && dueDateObj < todayLocal && task?.status !== 'completed';
-  const isCompleted = task?.status === 'completed';
+  const isCompleted = getStatusCategory(task, statuses) === 'done';
+  const isOverdue = dueDateObj && dueDateObj < todayLocal && !isCompleted;
 
   // Initialize form values
   useEffect(() => {
@@ -84,6 +97,9 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
       if (categoryDropdownRef.current && !categoryDropdownRef.current.contains(event.target)) {
         setShowCategoryDropdown(false);
       }
+      if (statusDropdownRef.current && !statusDropdownRef.current.contains(event.target)) {
+        setShowStatusDropdown(false);
+      }
       if (priorityDropdownRef.current && !priorityDropdownRef.current.contains(event.target)) {
         setShowPriorityDropdown(false);
       }
@@ -145,7 +161,8 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
     if (isTogglingRef.current) return;
     isTogglingRef.current = true;
     try {
-      const newStatus = isCompleted ? 'todo' : 'completed';
+      const { status: newStatus, statusCategory } = getToggleTarget(task, statuses);
+      const isCompleting = statusCategory === 'done';
 
       // Find the Completed category and To Do category
       const completedCategory = categories.find(c => c.name === 'Completed');
@@ -153,15 +170,15 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
 
       // Determine the new category based on completion status
       let newCategoryId = task.categoryId;
-      if (newStatus === 'completed' && completedCategory) {
+      if (isCompleting && completedCategory) {
         newCategoryId = completedCategory.id;
-      } else if (newStatus === 'todo' && todoCategory) {
+      } else if (!isCompleting && todoCategory) {
         newCategoryId = todoCategory.id;
       }
 
       await updateTask(task.id, {
         status: newStatus,
-        completed_at: newStatus === 'completed' ? new Date().toISOString() : null,
+        completed_at: isCompleting ? new Date().toISOString() : null,
         category_id: newCategoryId,
       });
     } catch (error) {
@@ -201,6 +218,19 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
     }
   };
 
+  const handleStatusSelect = async (status) => {
+    setShowStatusDropdown(false);
+    if (status.key === task.status) return;
+    try {
+      await updateTask(task.id, {
+        status: status.key,
+        completed_at: status.category === 'done' ? new Date().toISOString() : null,
+      });
+    } catch (error) {
+      // Error handled in store
+    }
+  };
+
   const handlePrioritySelect = async (priority) => {
     try {
       await updateTask(task.id, { priority });
@@ -229,6 +259,24 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
     }
   };
 
+  const handleEditRecurrence = () => {
+    setDraftRecurrenceRule(task.recurrenceRule || null);
+    setIsEditingRecurrence(true);
+  };
+
+  const handleSaveRecurrence = async () => {
+    if (draftRecurrenceRule && !task.dueDate) {
+      toast.error('Set a due date to repeat this task');
+      return;
+    }
+    try {
+      await updateTask(task.id, { recurrence_rule: toRecurrencePayload(draftRecurrenceRule) });
+      setIsEditingRecurrence(false);
+    } catch (error) {
+      // Error handled in store
+    }
+  };
+
   const handleDelete = () => {
     setShowMoreMenu(false);
     onDelete?.(task);
@@ -237,6 +285,7 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
   if (!task) return null;
 
   const currentCategory = categories.find(c => c.id === task.categoryId);
+  const currentStatus = findStatus(statuses, task.status);
   const currentPriority = priorityConfig[task.priority] || priorityConfig.medium;
 
   return (
@@ -468,6 +517,48 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
                     </div>
                   </div>
 
+                  {/* Status */}
+                  <div className="flex items-center gap-4">
+                    <div className="w-24 flex items-center gap-2 text-sm text-muted-foreground">
+                      <CircleDot size={16} />
+                      <span>Status</span>
+                    </div>
+                    <div className="relative flex-1" ref={statusDropdownRef}>
+                      <button
+                        onClick={() => setShowStatusDropdown(!showStatusDropdown)}
+                        className="flex items-center gap-2 px-2 py-1.5 hover:bg-accent rounded-lg transition-colors text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                      >
+                        <div
+                          className="w-3 h-3 rounded-full"
+                          style={{ backgroundColor: currentStatus?.color || '#94A3B8' }}
+                        />
+                        <span className="text-foreground">{currentStatus?.name || task.statusName || task.status}</span>
+                        <ChevronDown size={14} className="text-muted-foreground" />
+                      </button>
+
+                      {showStatusDropdown && (
+                        <div className="absolute left-0 mt-1 w-48 bg-card border border-border rounded-lg shadow-sm z-50">
+                          <div className="py-1">
+                            {statuses.map((status) => (
+                              <button
+                                key={status.key}
+                                onClick={() => handleStatusSelect(status)}
+                                className={`w-full px-3 py-2 text-left text-sm hover:bg-accent flex items-center gap-2 transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring ${task.status === status.key ? 'bg-muted' : ''}`}
+                              >
+                                <div
+                                  className="w-3 h-3 rounded-full"
+                                  style={{ backgroundColor: status.color }}
+                                />
+                                <span>{status.name}</span>
+                                {task.status === status.key && <Check size={14} className="ml-auto text-muted-foreground" />}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+
                   {/* Category */}
                   <div className="flex items-center gap-4">
                     <div className="w-24 flex items-center gap-2 text-sm text-muted-foreground">
@@ -515,6 +606,50 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
                       )}
                     </div>
                   </div>
+
+                  {/* Custom Fields */}
+                  <TaskCustomFields task={task} />
+
+                  {/* Repeat */}
+                  <div className="flex items-start gap-4">
+                    <div className="w-24 flex items-center gap-2 text-sm text-muted-foreground py-1.5">
+                      <Repeat size={16} />
+                      <span>Repeat</span>
+                    </div>
+                    <div className="flex-1">
+                      {isEditingRecurrence ? (
+                        <div className="space-y-2 rounded-lg border border-border p-3">
+                          <RecurrenceEditor
+                            idPrefix={`task-${task.id}-recurrence`}
+                            value={draftRecurrenceRule}
+                            onChange={setDraftRecurrenceRule}
+                          />
+                          <div className="flex justify-end gap-2">
+                            <Button variant="outline" size="sm" onClick={() => setIsEditingRecurrence(false)}>
+                              Cancel
+                            </Button>
+                            <Button size="sm" onClick={handleSaveRecurrence}>
+                              Save
+                            </Button>
+                          </div>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={handleEditRecurrence}
+                          className="flex items-center gap-2 px-2 py-1.5 hover:bg-accent rounded-lg transition-colors text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                        >
+                          <span className={task.recurrenceRule ? 'text-foreground' : 'text-muted-foreground'}>
+                            {formatRecurrenceRule(task.recurrenceRule)}
+                          </span>
+                          {task.recurrenceRule && task.recurrenceIndex > 1 && (
+                            <span className="text-xs text-muted-foreground">
+                              Occurrence #{task.recurrenceIndex}
+                            </span>
+                          )}
+                        </button>
+                      )}
+                    </div>
+                  </div>
                 </div>
               </div>
 
@@ -567,6 +702,18 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
                 )}
               </div>
 
+              {/* Attachments Section */}
+              <Separator className="my-5" />
+              <div className="mb-5">
+                <TaskAttachments taskId={task.id} />
+              </div>
+
+              {/* Time Tracking Section */}
+              <Separator className="my-5" />
+              <div className="mb-5">
+                <TaskTimeTracking task={task} />
+              </div>
+
               {/* Subtasks Section */}
               <Separator className="my-5" />
               <div className="mb-5">
@@ -576,6 +723,12 @@ function TaskDetailModal({ task, isOpen, onClose, onDelete }) {
                 />
               </div>
 
+              {/* Dependencies Section */}
+              <Separator className="my-5" />
+              <div className="mb-5">
+                <TaskDependencies taskId={task.id} />
+              </div>
+
               {/* Comments Section */}
               <Separator className="my-5" />
               <div>
@@ -1,17 +1,20 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { createPortal } from 'react-dom';
-import { Pencil, Trash2, Check, ChevronDown, Calendar, ArrowRightLeft } from 'lucide-react';
+import { Pencil, Trash2, Check, ChevronDown, Calendar, ArrowRightLeft, Repeat, Lock } from 'lucide-react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import useUserStore from '../store/userStore';
 import useTaskStore from '../store/taskStore';
 import useWorkspaceStore from '../store/workspaceStore';
+import useStatusStore from '../store/statusStore';
 import { toLocalDate, toUTCISOString, formatDueDate, isOverdue as checkIsOverdue } from '../utils/dateUtils';
+import { formatRecurrenceRule } from '../utils/recurrence';
+import { findStatus, getStatusCategory } from '../utils/workflowStatuses';
 import { priorityPillStyles, priorityBorderColors } from '../utils/priorityStyles';
 import DatePicker from './DatePicker';
 import AssigneeDropdown from './AssigneeDropdown';
 
-function TaskItem({ task, index, onOpenDetail, onEdit, onDelete, onToggleComplete, isToggling = false, searchQuery = '', canEdit = true, noDrag = false, categories = [], isFocused = false }) {
+function TaskItem({ task, index, onOpenDetail, onEdit, onDelete, onToggleComplete, isToggling = false, searchQuery = '', canEdit = true, noDrag = false, categories = [], isFocused = false, isSelected = false, onSelect }) {
   const [showAssigneeDropdown, setShowAssigneeDropdown] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showPriorityDropdown, setShowPriorityDropdown] = useState(false);
@@ -29,9 +32,12 @@ function TaskItem({ task, index, onOpenDetail, onEdit, onDelete, onToggleComplet
   const { users, fetchUsers } = useUserStore();
   const { updateTask } = useTaskStore();
   const { currentWorkspaceId } = useWorkspaceStore();
+  const { statuses } = useStatusStore();
+  const statusCategory = getStatusCategory(task, statuses);
+  const workflowStatus = findStatus(statuses, task.status);
   const dueDateObj = toLocalDate(task.dueDate);
   const dueDate = formatDueDate(task.dueDate);
-  const isOverdue = checkIsOverdue(task.dueDate, task.status);
+  const isOverdue = checkIsOverdue(task.dueDate, statusCategory);
 
   // @dnd-kit sortable hook — disabled when noDrag or viewer mode
   const {
@@ -71,7 +77,7 @@ function TaskItem({ task, index, onOpenDetail, onEdit, onDelete, onToggleComplet
     onToggleComplete(task);
   };
 
-  const isCompleted = task.status === 'completed';
+  const isCompleted = statusCategory === 'done';
 
   // Scroll focused card into view
   useEffect(() => {
@@ -287,6 +293,12 @@ function TaskItem({ task, index, onOpenDetail, onEdit, onDelete, onToggleComplet
     ) {
       return;
     }
+    // Shift selects a range, Cmd/Ctrl toggles this task
+    if (onSelect && (e.shiftKey || e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      onSelect(task.id, { range: e.shiftKey });
+      return;
+    }
     onOpenDetail?.(task);
   };
 
@@ -302,7 +314,7 @@ function TaskItem({ task, index, onOpenDetail, onEdit, onDelete, onToggleComplet
         aria-label={`Task: ${task.title}`}
         className={`bg-card border border-border rounded-xl p-3 space-y-2 shadow-card hover:-translate-y-1 hover:shadow-elevated hover:border-border/80 transition-all duration-200 ease-out cursor-pointer border-l-[3px] ${isOverdue && !isCompleted ? 'border-l-red-500 bg-red-50/40 dark:bg-red-950/20' : priorityBorderColors[task.priority] || ''} ${canEdit && !noDrag ? 'cursor-grab active:cursor-grabbing' : ''} group relative ${
           isCompleted ? 'opacity-50' : ''
-        } ${isDragging ? 'shadow-elevated' : ''} ${isFocused ? 'ring-2 ring-primary/40 ring-offset-1 ring-offset-background' : ''}`}
+        } ${isDragging ? 'shadow-elevated' : ''} ${isFocused ? 'ring-2 ring-primary/40 ring-offset-1 ring-offset-background' : ''} ${isSelected ? 'ring-2 ring-primary bg-primary/5' : ''}`}
       >
         {/* Action Buttons - visible on mobile, hover on desktop (hidden for viewers) */}
         {canEdit && (
@@ -410,6 +422,37 @@ function TaskItem({ task, index, onOpenDetail, onEdit, onDelete, onToggleComplet
           </div>
         )}
 
+        {/* Recurrence */}
+        {task.recurrenceRule && (
+          <div className="flex items-center gap-1.5 text-xs text-muted-foreground ml-7">
+            <Repeat size={14} aria-hidden="true" />
+            <span>{formatRecurrenceRule(task.recurrenceRule)}</span>
+          </div>
+        )}
+
+        {/* Blocked by open dependencies */}
+        {!isCompleted && task.blockedBy?.length > 0 && (
+          <div
+            className="flex items-center gap-1.5 text-xs text-amber-600 dark:text-amber-400 ml-7"
+            title={`Blocked by: ${task.blockedBy.map((b) => b.title).join(', ')}`}
+          >
+            <Lock size={14} aria-hidden="true" />
+            <span>Blocked by {task.blockedBy.length} {task.blockedBy.length === 1 ? 'task' : 'tasks'}</span>
+          </div>
+        )}
+
+        {/* Workflow status (in-flight statuses only; open/done show via the checkbox) */}
+        {statusCategory === 'active' && workflowStatus && (
+          <div className="flex items-center gap-1.5 text-xs text-muted-foreground ml-7">
+            <span
+              className="w-2 h-2 rounded-full flex-shrink-0"
+              style={{ backgroundColor: workflowStatus.color }}
+              aria-hidden="true"
+            ></span>
+            <span>{workflowStatus.name}</span>
+          </div>
+        )}
+
         {/* Task Metadata Row */}
         <div className="flex flex-wrap items-center gap-2 ml-7">
           {/* Priority Badge */}
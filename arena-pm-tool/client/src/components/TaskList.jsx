@@ -15,10 +15,13 @@ import AddCategoryButton from './AddCategoryButton';
 import FilterDropdown from './FilterDropdown';
 import BoardStats from './BoardStats';
 import KeyboardShortcutsModal from './KeyboardShortcutsModal';
+import BulkActionBar from './BulkActionBar';
 import { InlineSpinner, TaskColumnSkeleton } from './Loader';
 import EmptyState from './EmptyState';
 import { useTaskActions } from '../hooks/useTaskActions';
 import { useTaskFilters } from '../hooks/useTaskFilters';
+import { useSavedViews } from '../hooks/useSavedViews';
+import { useTaskSelection } from '../hooks/useTaskSelection';
 import { Button } from 'components/ui/button';
 import { Input } from 'components/ui/input';
 import {
@@ -104,7 +107,12 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
     hasActiveFilters,
     clearSearch,
     clearSearchAndFilters,
+    applyView,
   } = useTaskFilters(topLevelTasks, { debounceSearch: true });
+  const savedViews = useSavedViews({
+    onApply: applyView,
+    currentState: { filters, search: searchInput },
+  });
 
   useEffect(() => {
     fetchTasks();
@@ -283,6 +291,13 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
     [categories, filters.categories]
   );
 
+  // Multi-select follows the board's column-by-column order
+  const orderedTaskIds = useMemo(() =>
+    visibleCategories.flatMap((category) => getTasksByCategory(category.id).map((task) => task.id)),
+    [visibleCategories, getTasksByCategory]
+  );
+  const { selectedTaskIds, selectedIds, handleSelect, clearSelection } = useTaskSelection(orderedTaskIds);
+
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -290,16 +305,16 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
       const tag = e.target.tagName;
       const isTyping = tag === 'INPUT' || tag === 'TEXTAREA' || e.target.isContentEditable;
 
-      // Cmd/Ctrl+K to focus search (works even when typing)
-      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+      // Don't handle shortcuts while typing or when modals are open
+      if (isTyping || isModalOpen || isDetailModalOpen || isCategoryModalOpen) return;
+
+      // / to focus search (Cmd/Ctrl+K opens the search palette)
+      if (e.key === '/' && !e.metaKey && !e.ctrlKey) {
         e.preventDefault();
         searchInputRef.current?.focus();
         return;
       }
 
-      // Don't handle other shortcuts while typing or when modals are open
-      if (isTyping || isModalOpen || isDetailModalOpen || isCategoryModalOpen) return;
-
       // ? to toggle shortcuts cheat sheet
       if (e.key === '?' || (e.shiftKey && e.key === '/')) {
         e.preventDefault();
@@ -307,9 +322,10 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
         return;
       }
 
-      // Escape to clear focus
+      // Escape to clear focus and selection
       if (e.key === 'Escape') {
         setFocusedTaskIndex(-1);
+        clearSelection();
         return;
       }
 
@@ -364,7 +380,7 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
     };
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [focusedColumnIndex, focusedTaskIndex, visibleCategories, isModalOpen, isDetailModalOpen, isCategoryModalOpen, userCanEdit, getTasksByCategory]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [focusedColumnIndex, focusedTaskIndex, visibleCategories, isModalOpen, isDetailModalOpen, isCategoryModalOpen, userCanEdit, getTasksByCategory, clearSelection]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // Get the active dragged item for DragOverlay preview
   const activeTask = activeId && String(activeId).startsWith('task-')
@@ -432,7 +448,7 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
               type="text"
               value={searchInput}
               onChange={(e) => setSearchInput(e.target.value)}
-              placeholder="Search tasks... (Cmd+K)"
+              placeholder="Search tasks..."
               className="w-full pl-9 sm:pl-10 pr-9 sm:pr-10 h-10"
               disabled={disableControls}
             />
@@ -446,11 +462,11 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
                 <X size={18} />
               </button>
             )}
-            {!searchInput && <span className="absolute right-3 top-1/2 -translate-y-1/2 hidden sm:inline-flex items-center gap-0.5 bg-muted rounded-md px-1.5 py-0.5 text-[11px] font-mono text-muted-foreground">Cmd+K</span>}
+            {!searchInput && <span className="absolute right-3 top-1/2 -translate-y-1/2 hidden sm:inline-flex items-center gap-0.5 bg-muted rounded-md px-1.5 py-0.5 text-[11px] font-mono text-muted-foreground">/</span>}
           </div>
 
           {/* Filter Dropdown */}
-          <FilterDropdown filters={filters} onFiltersChange={setFilters} disabled={disableControls} />
+          <FilterDropdown filters={filters} onFiltersChange={setFilters} savedViews={savedViews} disabled={disableControls} />
         </div>
       </div>
 
@@ -624,6 +640,8 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
                       isDraggingCategory={isDraggingCategory}
                       canEdit={userCanEdit}
                       focusedTaskIndex={focusedColumnIndex === index ? focusedTaskIndex : -1}
+                      selectedTaskIds={selectedTaskIds}
+                      onSelectTask={userCanEdit ? handleSelect : undefined}
                     />
                   ))}
 
@@ -739,6 +757,15 @@ function TaskList({ mobileAddTask, onMobileAddTaskClose }) {
         onDelete={handleDelete}
       />
 
+      {/* Bulk actions for multi-selected tasks */}
+      {userCanEdit && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          onClear={clearSelection}
+          categories={categories}
+        />
+      )}
+
       {/* Keyboard Shortcuts Button */}
       <button
         onClick={() => setIsShortcutsOpen(true)}
@@ -4,6 +4,7 @@ import useTaskStore from '../store/taskStore';
 import useCategoryStore from '../store/categoryStore';
 import useUserStore from '../store/userStore';
 import useWorkspaceStore from '../store/workspaceStore';
+import useHolidayStore from '../store/holidayStore';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter } from 'components/ui/dialog';
 import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogAction, AlertDialogCancel } from 'components/ui/alert-dialog';
 import { Button } from 'components/ui/button';
@@ -12,6 +13,9 @@ import { Textarea } from 'components/ui/textarea';
 import { Label } from 'components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
 import { Separator } from 'components/ui/separator';
+import RecurrenceEditor from './RecurrenceEditor';
+import { toRecurrencePayload } from '../utils/recurrence';
+import { parseRelativeDueDate, getNonWorkingReason } from '../utils/dateUtils';
 
 const TaskModal = ({
   isOpen,
@@ -26,6 +30,7 @@ const TaskModal = ({
   const { categories, fetchCategories } = useCategoryStore();
   const { users, fetchUsers } = useUserStore();
   const { currentWorkspaceId } = useWorkspaceStore();
+  const { fetchHolidays, getWorkingCalendar } = useHolidayStore();
 
   const isEditMode = !!task;
   const isSubtask = !!parentTaskId;
@@ -34,15 +39,19 @@ const TaskModal = ({
     title: '',
     description: '',
     assigneeIds: [], // Changed to array for multiple assignees
+    startDate: '',
     dueDate: '',
     priority: 'medium',
     categoryId: '',
+    recurrenceRule: null,
   });
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showUnsavedWarning, setShowUnsavedWarning] = useState(false);
   const [initialFormData, setInitialFormData] = useState(null);
+  // Relative due date being typed, e.g. "+3 working days"
+  const [dueIn, setDueIn] = useState('');
   const titleInputRef = useRef(null);
 
   // Track if form has unsaved changes
@@ -51,8 +60,10 @@ const TaskModal = ({
     formData.description !== initialFormData.description ||
     formData.priority !== initialFormData.priority ||
     formData.categoryId !== initialFormData.categoryId ||
+    formData.startDate !== initialFormData.startDate ||
     formData.dueDate !== initialFormData.dueDate ||
-    JSON.stringify(formData.assigneeIds) !== JSON.stringify(initialFormData.assigneeIds)
+    JSON.stringify(formData.assigneeIds) !== JSON.stringify(initialFormData.assigneeIds) ||
+    JSON.stringify(formData.recurrenceRule) !== JSON.stringify(initialFormData.recurrenceRule)
   );
 
   // Warn on browser back/refresh when form is dirty
@@ -101,9 +112,11 @@ const TaskModal = ({
           title: task.title || '',
           description: task.description || '',
           assigneeIds: existingAssigneeIds,
+          startDate: task.startDate ? task.startDate.split('T')[0] : '',
           dueDate: formattedDate,
           priority: task.priority || 'medium',
           categoryId: task.categoryId || '',
+          recurrenceRule: task.recurrenceRule || null,
         };
         setFormData(editData);
         setInitialFormData(editData);
@@ -113,17 +126,32 @@ const TaskModal = ({
           title: '',
           description: '',
           assigneeIds: [],
+          startDate: '',
           dueDate: initialDueDate || '',
           priority: 'medium',
           categoryId: defaultCategoryId ?? parentTask?.categoryId ?? '',
+          recurrenceRule: null,
         };
         setFormData(newData);
         setInitialFormData(newData);
       }
+      setDueIn('');
       setShowUnsavedWarning(false);
     }
   }, [isOpen, task, initialDueDate, parentTask, fetchCategories, fetchUsers, defaultCategoryId, currentWorkspaceId]);
 
+  // Holidays for working-day due dates: this year, next year and the due date's year
+  const dueYear = formData.dueDate ? Number(formData.dueDate.slice(0, 4)) : null;
+  useEffect(() => {
+    if (!isOpen) return;
+    const thisYear = new Date().getFullYear();
+    const years = new Set([thisYear, thisYear + 1]);
+    if (dueYear) years.add(dueYear);
+    years.forEach((year) => fetchHolidays(year, currentWorkspaceId));
+  }, [isOpen, dueYear, fetchHolidays, currentWorkspaceId]);
+
+  const dueDateWarning = formData.dueDate ? getNonWorkingReason(formData.dueDate, getWorkingCalendar()) : null;
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({
@@ -136,6 +164,20 @@ const TaskModal = ({
     }
   };
 
+  // Resolve "+3 working days" and the like into the due date
+  const applyDueIn = () => {
+    if (!dueIn.trim()) return;
+
+    const resolved = parseRelativeDueDate(dueIn, getWorkingCalendar());
+    if (!resolved) {
+      setErrors((prev) => ({ ...prev, dueDate: 'Try "+3 working days", "+2 days" or "+1 week"' }));
+      return;
+    }
+    setFormData((prev) => ({ ...prev, dueDate: resolved }));
+    setDueIn('');
+    if (errors.dueDate) setErrors((prev) => ({ ...prev, dueDate: '' }));
+  };
+
   const validate = () => {
     const newErrors = {};
 
@@ -148,6 +190,15 @@ const TaskModal = ({
       newErrors.categoryId = 'Category is required';
     }
 
+    if (formData.startDate && formData.dueDate && formData.startDate > formData.dueDate) {
+      newErrors.startDate = 'Start date must be on or before the due date';
+    }
+
+    // Recurrence is scheduled from the due date
+    if (formData.recurrenceRule && !formData.dueDate) {
+      newErrors.recurrence = 'Set a due date to repeat this task';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -166,10 +217,12 @@ const TaskModal = ({
         title: formData.title.trim(),
         description: formData.description.trim(),
         assignee_ids: formData.assigneeIds, // Changed to array
+        start_date: formData.startDate || null,
         due_date: formData.dueDate || null,
         priority: formData.priority,
         category_id: parseInt(formData.categoryId),
         parent_task_id: parentTaskId || null,
+        recurrence_rule: toRecurrencePayload(formData.recurrenceRule),
       };
 
       if (isEditMode) {
@@ -183,10 +236,13 @@ const TaskModal = ({
         title: '',
         description: '',
         assigneeIds: [],
+        startDate: '',
         dueDate: '',
         priority: 'medium',
         categoryId: '',
+        recurrenceRule: null,
       });
+      setDueIn('');
       setErrors({});
       onClose();
     } catch (error) {
@@ -212,10 +268,13 @@ const TaskModal = ({
       title: '',
       description: '',
       assigneeIds: [],
+      startDate: '',
       dueDate: '',
       priority: 'medium',
       categoryId: '',
+      recurrenceRule: null,
     });
+    setDueIn('');
     setErrors({});
     setInitialFormData(null);
     setShowUnsavedWarning(false);
@@ -316,7 +375,7 @@ const TaskModal = ({
 
               <Separator />
 
-              {/* Priority & Due Date */}
+              {/* Priority & Dates */}
               <div>
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
                   {/* Priority */}
@@ -355,10 +414,69 @@ const TaskModal = ({
                       disabled={isSubmitting}
                       className="focus-visible:ring-2 focus-visible:ring-ring"
                     />
+                    <Input
+                      value={dueIn}
+                      onChange={(e) => setDueIn(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          applyDueIn();
+                        }
+                      }}
+                      onBlur={applyDueIn}
+                      placeholder="or e.g. +3 working days"
+                      aria-label="Due in"
+                      disabled={isSubmitting}
+                      className={`focus-visible:ring-2 focus-visible:ring-ring ${errors.dueDate ? 'border-red-500' : ''}`}
+                    />
+                    {errors.dueDate && (
+                      <p className="text-sm text-red-500">{errors.dueDate}</p>
+                    )}
+                    {!errors.dueDate && dueDateWarning && (
+                      <p className="text-xs text-amber-600">Not a working day ({dueDateWarning})</p>
+                    )}
+                  </div>
+
+                  {/* Start Date */}
+                  <div className="space-y-1.5">
+                    <Label htmlFor="startDate" className="text-sm font-medium text-foreground">
+                      Start Date
+                    </Label>
+                    <Input
+                      type="date"
+                      id="startDate"
+                      name="startDate"
+                      value={formData.startDate}
+                      onChange={handleChange}
+                      max={formData.dueDate || undefined}
+                      disabled={isSubmitting}
+                      className={`focus-visible:ring-2 focus-visible:ring-ring ${errors.startDate ? 'border-red-500' : ''}`}
+                    />
+                    {errors.startDate ? (
+                      <p className="text-sm text-red-500">{errors.startDate}</p>
+                    ) : (
+                      <p className="text-xs text-muted-foreground">Optional. Shown as a bar on the timeline.</p>
+                    )}
                   </div>
                 </div>
               </div>
 
+              {/* Repeat */}
+              <div className="space-y-1.5">
+                <RecurrenceEditor
+                  idPrefix="task-recurrence"
+                  value={formData.recurrenceRule}
+                  onChange={(rule) => {
+                    setFormData(prev => ({ ...prev, recurrenceRule: rule }));
+                    if (errors.recurrence) setErrors(prev => ({ ...prev, recurrence: '' }));
+                  }}
+                  disabled={isSubmitting}
+                />
+                {errors.recurrence && (
+                  <p className="text-sm text-red-500">{errors.recurrence}</p>
+                )}
+              </div>
+
               {/* Category - hidden for subtasks */}
               {!isSubtask && (
                 <div className="space-y-1.5">
@@ -0,0 +1,383 @@
+import { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import { Timer, Play, Square, Plus, Trash2, Loader2 } from 'lucide-react';
+import useAuthStore from '../store/authStore';
+import useTaskStore from '../store/taskStore';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { tasksAPI, timeEntriesAPI } from '../utils/api';
+import {
+  MAX_ENTRY_MINUTES,
+  formatDuration,
+  formatElapsed,
+  parseDurationInput,
+  getEstimateProgress,
+  getElapsedSeconds,
+} from '../utils/timeTracking';
+import { InlineSpinner } from './Loader';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { toast } from 'sonner';
+
+const toLocalInputValue = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+// Ticks once a second while a timer is running
+function useElapsed(entry) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!entry) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [entry]);
+
+  return entry ? getElapsedSeconds(entry, now) : 0;
+}
+
+function EstimateEditor({ task, disabled }) {
+  const { updateTask } = useTaskStore();
+  const [draft, setDraft] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+
+  const startEditing = () => {
+    setDraft(task.estimateMinutes ? formatDuration(task.estimateMinutes * 60) : '');
+    setIsEditing(true);
+  };
+
+  const commit = async () => {
+    setIsEditing(false);
+    const minutes = draft.trim() === '' ? null : parseDurationInput(draft);
+    if (minutes === null && draft.trim() !== '') {
+      toast.error('Enter an estimate like "2h", "90m" or "1.5"');
+      return;
+    }
+    if (minutes === (task.estimateMinutes ?? null)) return;
+    try {
+      await updateTask(task.id, { estimate_minutes: minutes });
+    } catch (error) {
+      // Error handled in store
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <Input
+        autoFocus
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+          if (e.key === 'Escape') setIsEditing(false);
+        }}
+        placeholder="e.g. 2h 30m"
+        className="h-7 w-28 text-xs"
+        aria-label="Estimate"
+      />
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={startEditing}
+      disabled={disabled}
+      className="px-2 py-1 rounded text-xs hover:bg-accent transition-colors disabled:hover:bg-transparent"
+    >
+      {task.estimateMinutes ? (
+        <span className="text-foreground">Estimate {formatDuration(task.estimateMinutes * 60)}</span>
+      ) : (
+        <span className="text-muted-foreground">{disabled ? 'No estimate' : 'Add estimate'}</span>
+      )}
+    </button>
+  );
+}
+
+function ManualEntryForm({ onSubmit, onCancel }) {
+  const [startedAt, setStartedAt] = useState(() => toLocalInputValue(new Date()));
+  const [duration, setDuration] = useState('');
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const minutes = parseDurationInput(duration);
+    if (!minutes || minutes > MAX_ENTRY_MINUTES) {
+      toast.error('Enter a duration between 1m and 24h');
+      return;
+    }
+    setIsSaving(true);
+    const saved = await onSubmit({
+      started_at: new Date(startedAt).toISOString(),
+      duration_minutes: minutes,
+      note: note.trim() || null,
+    });
+    setIsSaving(false);
+    if (saved) onCancel();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 rounded-lg border border-border p-3 mb-3">
+      <div className="flex gap-2">
+        <Input
+          type="datetime-local"
+          value={startedAt}
+          onChange={(e) => setStartedAt(e.target.value)}
+          className="h-8 flex-1"
+          aria-label="Started at"
+          required
+        />
+        <Input
+          value={duration}
+          onChange={(e) => setDuration(e.target.value)}
+          placeholder="1h 30m"
+          className="h-8 w-28"
+          aria-label="Duration"
+          required
+        />
+      </div>
+      <Input
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="What did you work on? (optional)"
+        maxLength={500}
+        className="h-8"
+        aria-label="Note"
+      />
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={isSaving}>
+          {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Log time
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Time tracking section in TaskDetailModal: estimate, timer and logged entries
+function TaskTimeTracking({ task }) {
+  const { user } = useAuthStore();
+  const { canEdit, isCurrentUserAdmin } = useWorkspace();
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isTimerBusy, setIsTimerBusy] = useState(false);
+  const [showManualForm, setShowManualForm] = useState(false);
+  const [deletingIds, setDeletingIds] = useState(new Set());
+
+  const userCanEdit = canEdit();
+  const userIsAdmin = isCurrentUserAdmin();
+
+  const runningEntry = entries.find((entry) => entry.isRunning && entry.userId === user?.id) || null;
+  const elapsed = useElapsed(runningEntry);
+  const totalSeconds = entries.reduce((sum, entry) => sum + (entry.durationSeconds || 0), 0);
+  const progress = getEstimateProgress(totalSeconds, task.estimateMinutes);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await tasksAPI.getTimeEntries(task.id);
+      setEntries(response.data.data.entries || []);
+    } catch (error) {
+      toast.error('Failed to load time entries');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [task.id]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleStart = async () => {
+    setIsTimerBusy(true);
+    try {
+      const response = await tasksAPI.startTimer(task.id);
+      const { entry, stoppedEntry } = response.data.data;
+      setEntries((prev) => [entry, ...prev.filter((e) => e.id !== entry.id)]);
+      if (stoppedEntry) {
+        toast.info(`Stopped your timer on "${stoppedEntry.taskTitle || 'another task'}"`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start timer');
+    } finally {
+      setIsTimerBusy(false);
+    }
+  };
+
+  const handleStop = async () => {
+    setIsTimerBusy(true);
+    try {
+      const response = await tasksAPI.stopTimer(task.id);
+      const { entry } = response.data.data;
+      setEntries((prev) => prev.map((e) => (e.id === entry.id ? entry : e)));
+      toast.success(`Logged ${formatDuration(entry.durationSeconds)}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to stop timer');
+    } finally {
+      setIsTimerBusy(false);
+    }
+  };
+
+  const handleCreate = async (data) => {
+    try {
+      const response = await tasksAPI.createTimeEntry(task.id, data);
+      const { entry } = response.data.data;
+      setEntries((prev) =>
+        [entry, ...prev].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      );
+      toast.success(`Logged ${formatDuration(entry.durationSeconds)}`);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to log time');
+      return false;
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (deletingIds.has(entry.id)) return;
+
+    setDeletingIds((prev) => new Set([...prev, entry.id]));
+    try {
+      await timeEntriesAPI.delete(entry.id);
+      setEntries((prev) => prev.filter((e) => e.id !== entry.id));
+      toast.success('Time entry deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete time entry');
+    } finally {
+      setDeletingIds((prev) => {
+        const next = new Set(prev);
+        next.delete(entry.id);
+        return next;
+      });
+    }
+  };
+
+  const canDelete = (entry) =>
+    userCanEdit && (entry.userId === user?.id || userIsAdmin);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-foreground flex items-center gap-1.5">
+          <Timer size={14} aria-hidden="true" />
+          Time
+          <span className="text-xs font-normal text-muted-foreground">
+            {formatDuration(totalSeconds)} tracked
+          </span>
+        </h3>
+        <div className="flex items-center gap-2">
+          <EstimateEditor task={task} disabled={!userCanEdit} />
+          {userCanEdit && (
+            runningEntry ? (
+              <Button
+                variant="outline"
+                size="sm"
+                className="h-7 text-xs tabular-nums"
+                onClick={handleStop}
+                disabled={isTimerBusy}
+              >
+                <Square size={12} className="mr-1 fill-current text-destructive" />
+                Stop {formatElapsed(elapsed)}
+              </Button>
+            ) : (
+              <Button
+                variant="outline"
+                size="sm"
+                className="h-7 text-xs"
+                onClick={handleStart}
+                disabled={isTimerBusy}
+              >
+                <Play size={12} className="mr-1" />
+                Start timer
+              </Button>
+            )
+          )}
+        </div>
+      </div>
+
+      {progress && (
+        <div className="mb-3 px-2">
+          <div
+            className="h-1.5 w-full rounded-full bg-muted overflow-hidden"
+            role="progressbar"
+            aria-valuenow={progress.percent}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-label="Tracked time against estimate"
+          >
+            <div
+              className={`h-full rounded-full ${progress.isOver ? 'bg-destructive' : 'bg-primary'}`}
+              style={{ width: `${progress.percent}%` }}
+            />
+          </div>
+          {progress.isOver && (
+            <p className="mt-1 text-xs text-destructive">
+              {formatDuration(totalSeconds - task.estimateMinutes * 60)} over estimate
+            </p>
+          )}
+        </div>
+      )}
+
+      {showManualForm && (
+        <ManualEntryForm onSubmit={handleCreate} onCancel={() => setShowManualForm(false)} />
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-4">
+          <InlineSpinner />
+          <span className="ml-2 text-sm text-muted-foreground">Loading time entries...</span>
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-muted-foreground px-2 py-1">No time logged yet</p>
+      ) : (
+        <div className="space-y-1">
+          {entries.map((entry) => (
+            <div
+              key={entry.id}
+              className="group flex items-center gap-3 px-2 py-1.5 rounded-lg hover:bg-muted transition-colors"
+            >
+              <span className="w-16 flex-shrink-0 text-sm font-medium text-foreground tabular-nums">
+                {entry.isRunning ? 'Running' : formatDuration(entry.durationSeconds)}
+              </span>
+              <div className="flex-1 min-w-0">
+                {entry.note && (
+                  <span className="block text-sm text-foreground truncate">{entry.note}</span>
+                )}
+                <span className="text-xs text-muted-foreground">
+                  {entry.userName || (entry.userId === user?.id ? user.name : 'Unknown')} · {format(new Date(entry.startedAt), 'MMM d, h:mm a')}
+                </span>
+              </div>
+              {canDelete(entry) && !entry.isRunning && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(entry)}
+                  disabled={deletingIds.has(entry.id)}
+                  className="opacity-0 group-hover:opacity-100 focus:opacity-100 p-1 rounded text-muted-foreground hover:text-destructive hover:bg-accent transition-opacity disabled:opacity-50"
+                  aria-label="Delete time entry"
+                >
+                  {deletingIds.has(entry.id) ? <Loader2 size={14} className="animate-spin" /> : <Trash2 size={14} />}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {userCanEdit && !showManualForm && (
+        <button
+          type="button"
+          onClick={() => setShowManualForm(true)}
+          className="mt-2 flex items-center gap-1.5 px-2 py-1 text-sm text-muted-foreground hover:text-foreground transition-colors"
+        >
+          <Plus size={14} />
+          Log time manually
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TaskTimeTracking;
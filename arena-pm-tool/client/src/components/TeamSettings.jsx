@@ -13,6 +13,10 @@ import {
 } from 'lucide-react';
 import { useWorkspace } from '../contexts/WorkspaceContext';
 import InviteMemberModal from './InviteMemberModal';
+import WorkflowStatusSettings from './WorkflowStatusSettings';
+import CustomFieldSettings from './CustomFieldSettings';
+import WebhookSettings from './WebhookSettings';
+import HolidaySettings from './HolidaySettings';
 import { formatDistanceToNow } from 'date-fns';
 import { Button } from 'components/ui/button';
 import { Badge } from 'components/ui/badge';
@@ -354,6 +358,18 @@ function TeamSettings() {
         </CardContent>
       </Card>
 
+      {/* Workflow Statuses (Admin Only) */}
+      {isAdmin && <WorkflowStatusSettings />}
+
+      {/* Custom Fields (Admin Only) */}
+      {isAdmin && <CustomFieldSettings />}
+
+      {/* Holidays (Admin Only) */}
+      {isAdmin && <HolidaySettings />}
+
+      {/* Webhooks (Admin Only) */}
+      {isAdmin && <WebhookSettings />}
+
       {/* Role Permissions Info (for non-admins) */}
       {!isAdmin && (
         <Card className="bg-muted">
@@ -0,0 +1,277 @@
+import { useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Webhook, Trash2, Plus, Send, ChevronDown, ChevronRight, Copy, Check } from 'lucide-react';
+import { toast } from 'sonner';
+import useWebhookStore from '../store/webhookStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import {
+  WEBHOOK_EVENT_GROUPS,
+  toggleWebhookEvent,
+  describeWebhookEvents,
+  describeDelivery,
+} from '../utils/webhooks';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { Checkbox } from 'components/ui/checkbox';
+import { Switch } from 'components/ui/switch';
+import { Card, CardContent, CardHeader, CardTitle } from 'components/ui/card';
+
+const DELIVERY_STATUS_CLASSES = {
+  delivered: 'text-green-600',
+  failed: 'text-red-500',
+  pending: 'text-muted-foreground',
+};
+
+// Event checkboxes, one column per resource
+function WebhookEventPicker({ events, onChange, idPrefix }) {
+  return (
+    <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+      {WEBHOOK_EVENT_GROUPS.map((group) => (
+        <div key={group.label}>
+          <h4 className="mb-1 text-xs font-medium uppercase tracking-wide text-muted-foreground">{group.label}</h4>
+          {group.events.map((event) => (
+            <label key={event.value} className="flex cursor-pointer items-center gap-2 py-0.5 text-sm">
+              <Checkbox
+                id={`${idPrefix}-${event.value}`}
+                checked={events.includes(event.value)}
+                onCheckedChange={() => onChange(toggleWebhookEvent(events, event.value))}
+              />
+              {event.label}
+            </label>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Recent deliveries of one webhook, newest first
+function WebhookDeliveryLog({ deliveries }) {
+  if (!deliveries) {
+    return <p className="text-sm text-muted-foreground">Loading deliveries…</p>;
+  }
+  if (deliveries.length === 0) {
+    return <p className="text-sm text-muted-foreground">No deliveries yet.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-border text-sm">
+      {deliveries.map((delivery) => (
+        <li key={delivery.id} className="flex items-center gap-3 py-1.5">
+          <span className="w-40 truncate font-mono text-xs">{delivery.event}</span>
+          <span className={`flex-1 truncate ${DELIVERY_STATUS_CLASSES[delivery.status]}`} title={delivery.error || undefined}>
+            {describeDelivery(delivery)}
+            {delivery.status !== 'delivered' && delivery.error ? ` — ${delivery.error}` : ''}
+          </span>
+          <span className="text-xs text-muted-foreground">
+            {formatDistanceToNow(new Date(delivery.createdAt), { addSuffix: true })}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// One saved webhook: pause, test, edit events, see deliveries, delete
+function WebhookRow({ webhook }) {
+  const { updateWebhook, deleteWebhook, fetchDeliveries, sendTestEvent, deliveries } = useWebhookStore();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [events, setEvents] = useState(webhook.events);
+
+  const eventsChanged = events.join(',') !== webhook.events.join(',');
+
+  const handleToggleExpanded = () => {
+    if (!isExpanded) fetchDeliveries(webhook.id);
+    setIsExpanded(!isExpanded);
+  };
+
+  const handleSaveEvents = async () => {
+    const result = await updateWebhook(webhook.id, { events });
+    if (!result.success) setEvents(webhook.events);
+  };
+
+  const handleTest = async () => {
+    const result = await sendTestEvent(webhook.id);
+    if (result.success) setIsExpanded(true);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the webhook to ${webhook.url}? Its delivery log is deleted too.`)) {
+      deleteWebhook(webhook.id);
+    }
+  };
+
+  return (
+    <div className="rounded-md border border-border">
+      <div className="flex items-center gap-2 p-2">
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={handleToggleExpanded}
+          aria-expanded={isExpanded}
+          aria-label={`${isExpanded ? 'Hide' : 'Show'} details for ${webhook.url}`}
+        >
+          {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        </Button>
+        <div className="min-w-0 flex-1">
+          <p className="truncate text-sm font-medium text-foreground">{webhook.url}</p>
+          <p className="truncate text-xs text-muted-foreground">
+            {webhook.description ? `${webhook.description} · ` : ''}
+            {describeWebhookEvents(webhook.events)}
+          </p>
+        </div>
+        <Switch
+          checked={webhook.isActive}
+          onCheckedChange={(checked) => updateWebhook(webhook.id, { is_active: checked })}
+          aria-label={`${webhook.isActive ? 'Pause' : 'Resume'} ${webhook.url}`}
+        />
+        <Button variant="ghost" size="icon" onClick={handleTest} aria-label={`Send test event to ${webhook.url}`}>
+          <Send className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={handleDelete}
+          className="text-muted-foreground hover:text-red-500"
+          aria-label={`Delete ${webhook.url}`}
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {isExpanded && (
+        <div className="space-y-4 border-t border-border p-3">
+          <div className="space-y-2">
+            <WebhookEventPicker events={events} onChange={setEvents} idPrefix={`webhook-${webhook.id}`} />
+            <div className="flex items-center justify-between">
+              <span className="text-xs text-muted-foreground">
+                Signing secret ending in {webhook.secretHint}
+              </span>
+              <Button size="sm" onClick={handleSaveEvents} disabled={!eventsChanged || events.length === 0}>
+                Save events
+              </Button>
+            </div>
+          </div>
+          <div>
+            <h4 className="mb-1 text-sm font-medium text-foreground">Recent deliveries</h4>
+            <WebhookDeliveryLog deliveries={deliveries[webhook.id]} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Shown once after creating a webhook; the server never returns the secret again
+function WebhookSecretNotice({ secret, onDismiss }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      setCopied(true);
+    } catch (error) {
+      toast.error('Could not copy the secret');
+    }
+  };
+
+  return (
+    <div className="space-y-2 rounded-md border border-primary/30 bg-primary/5 p-3">
+      <p className="text-sm text-foreground">
+        Copy this signing secret now — it won&apos;t be shown again. Use it to verify the
+        <code className="mx-1 font-mono text-xs">X-Todoria-Signature</code> header of each delivery.
+      </p>
+      <div className="flex items-center gap-2">
+        <Input value={secret} readOnly className="flex-1 font-mono text-xs" aria-label="Webhook signing secret" />
+        <Button variant="outline" size="sm" onClick={handleCopy}>
+          {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+          {copied ? 'Copied' : 'Copy'}
+        </Button>
+        <Button size="sm" onClick={onDismiss}>Done</Button>
+      </div>
+    </div>
+  );
+}
+
+// Admin editor for the workspace's outgoing webhooks
+function WebhookSettings() {
+  const currentWorkspaceId = useWorkspaceStore((state) => state.currentWorkspaceId);
+  const { webhooks, fetchWebhooks, createWebhook } = useWebhookStore();
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [events, setEvents] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newSecret, setNewSecret] = useState(null);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [currentWorkspaceId, fetchWebhooks]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!url.trim() || events.length === 0) return;
+
+    setIsCreating(true);
+    const result = await createWebhook({ url: url.trim(), description: description.trim(), events });
+    setIsCreating(false);
+
+    if (result.success) {
+      setUrl('');
+      setDescription('');
+      setEvents([]);
+      setNewSecret(result.secret);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-0">
+        <div className="flex items-center gap-2">
+          <Webhook className="h-5 w-5 text-muted-foreground" />
+          <CardTitle className="text-base">Webhooks</CardTitle>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          Send task, comment, member and category events to other tools. Failed deliveries are retried for a few hours.
+        </p>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-2">
+        {newSecret && <WebhookSecretNotice secret={newSecret} onDismiss={() => setNewSecret(null)} />}
+
+        {webhooks.map((webhook) => (
+          <WebhookRow key={`${webhook.id}-${webhook.events.join(',')}`} webhook={webhook} />
+        ))}
+
+        <form onSubmit={handleCreate} className="space-y-3 pt-2">
+          <div className="flex items-center gap-2">
+            <Input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/webhooks/todoria"
+              maxLength={2000}
+              className="flex-1"
+              aria-label="New webhook URL"
+            />
+            <Input
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Description (optional)"
+              maxLength={255}
+              className="w-48"
+              aria-label="New webhook description"
+            />
+          </div>
+          <WebhookEventPicker events={events} onChange={setEvents} idPrefix="new-webhook" />
+          <div className="flex justify-end">
+            <Button type="submit" size="sm" disabled={!url.trim() || events.length === 0 || isCreating}>
+              <Plus className="h-4 w-4" />
+              Add webhook
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default WebhookSettings;
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { ListChecks, ArrowUp, ArrowDown, Trash2, Plus, Loader2 } from 'lucide-react';
+import useStatusStore from '../store/statusStore';
+import { STATUS_CATEGORY_OPTIONS } from '../utils/workflowStatuses';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from 'components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+
+const STATUS_COLORS = [
+  { name: 'Slate', value: '#94A3B8' },
+  { name: 'Blue', value: '#3B82F6' },
+  { name: 'Sky', value: '#0EA5E9' },
+  { name: 'Purple', value: '#A855F7' },
+  { name: 'Amber', value: '#F59E0B' },
+  { name: 'Orange', value: '#F97316' },
+  { name: 'Rose', value: '#F43F5E' },
+  { name: 'Green', value: '#22C55E' },
+];
+
+const MAX_STATUSES = 20;
+
+const toDraft = (statuses) => statuses.map(({ key, name, category, color }) => ({ key, name, category, color }));
+
+// Admin editor for the workspace's ordered workflow statuses
+function WorkflowStatusSettings() {
+  const { statuses, isSaving, updateStatuses } = useStatusStore();
+  const [draft, setDraft] = useState(() => toDraft(statuses));
+
+  // Reset the draft whenever the saved statuses change (load, save, workspace switch)
+  useEffect(() => {
+    setDraft(toDraft(statuses));
+  }, [statuses]);
+
+  const updateRow = (index, changes) => {
+    setDraft(prev => prev.map((status, i) => (i === index ? { ...status, ...changes } : status)));
+  };
+
+  const moveRow = (index, offset) => {
+    setDraft(prev => {
+      const next = [...prev];
+      const [row] = next.splice(index, 1);
+      next.splice(index + offset, 0, row);
+      return next;
+    });
+  };
+
+  const removeRow = (index) => {
+    setDraft(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addRow = () => {
+    setDraft(prev => [...prev, { name: '', category: 'active', color: STATUS_COLORS[1].value }]);
+  };
+
+  const hasCategory = (category) => draft.some(status => status.category === category);
+  const hasEmptyName = draft.some(status => !status.name.trim());
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(toDraft(statuses));
+  const validationMessage = hasEmptyName
+    ? 'Every status needs a name.'
+    : !hasCategory('not_started') || !hasCategory('done')
+      ? 'Keep at least one "Not started" and one "Done" status.'
+      : null;
+
+  const handleSave = async () => {
+    if (validationMessage) return;
+    await updateStatuses(draft.map(status => ({ ...status, name: status.name.trim() })));
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-0">
+        <div className="flex items-center gap-2">
+          <ListChecks className="h-5 w-5 text-muted-foreground" />
+          <CardTitle className="text-base">Workflow Statuses</CardTitle>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          Tasks move through these statuses in order. Statuses in the "Done" category count as completed.
+        </p>
+      </CardHeader>
+      <CardContent className="pt-4 space-y-2">
+        {draft.map((status, index) => (
+          <div key={status.key || `new-${index}`} className="flex items-center gap-2">
+            <div className="flex flex-col">
+              <button
+                type="button"
+                onClick={() => moveRow(index, -1)}
+                disabled={index === 0}
+                className="p-0.5 text-muted-foreground hover:text-foreground disabled:opacity-30"
+                aria-label={`Move ${status.name || 'status'} up`}
+              >
+                <ArrowUp className="h-3.5 w-3.5" />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveRow(index, 1)}
+                disabled={index === draft.length - 1}
+                className="p-0.5 text-muted-foreground hover:text-foreground disabled:opacity-30"
+                aria-label={`Move ${status.name || 'status'} down`}
+              >
+                <ArrowDown className="h-3.5 w-3.5" />
+              </button>
+            </div>
+
+            <Select value={status.color} onValueChange={(color) => updateRow(index, { color })}>
+              <SelectTrigger className="w-14" aria-label="Status color">
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: status.color }} />
+              </SelectTrigger>
+              <SelectContent>
+                {STATUS_COLORS.map((color) => (
+                  <SelectItem key={color.value} value={color.value}>
+                    <div className="flex items-center gap-2">
+                      <span className="w-3 h-3 rounded-full" style={{ backgroundColor: color.value }} />
+                      <span>{color.name}</span>
+                    </div>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Input
+              value={status.name}
+              onChange={(e) => updateRow(index, { name: e.target.value })}
+              placeholder="Status name"
+              maxLength={50}
+              className="flex-1"
+              aria-label="Status name"
+            />
+
+            <Select value={status.category} onValueChange={(category) => updateRow(index, { category })}>
+              <SelectTrigger className="w-36" aria-label="Status category">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {STATUS_CATEGORY_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => removeRow(index)}
+              disabled={draft.length === 1}
+              className="text-muted-foreground hover:text-red-500"
+              aria-label={`Remove ${status.name || 'status'}`}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+
+        {validationMessage && (
+          <p className="text-sm text-red-500">{validationMessage}</p>
+        )}
+
+        <div className="flex items-center justify-between pt-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={addRow}
+            disabled={draft.length >= MAX_STATUSES}
+          >
+            <Plus className="h-4 w-4" />
+            Add status
+          </Button>
+          <Button
+            size="sm"
+            onClick={handleSave}
+            disabled={!isDirty || !!validationMessage || isSaving}
+          >
+            {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+            Save statuses
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default WorkflowStatusSettings;
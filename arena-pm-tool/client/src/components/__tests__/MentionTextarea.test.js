@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import MentionTextarea from '../MentionTextarea';
+
+const users = [
+  { id: 1, name: 'Ann Lee', email: 'ann@example.com' },
+  { id: 2, name: 'Bob', email: 'bob@example.com' },
+];
+
+function Harness({ onKeyDown }) {
+  const [value, setValue] = useState('');
+  return <MentionTextarea aria-label="Comment" value={value} onChange={setValue} onKeyDown={onKeyDown} users={users} />;
+}
+
+const type = (textarea, text) => {
+  fireEvent.change(textarea, { target: { value: text, selectionStart: text.length } });
+};
+
+describe('MentionTextarea', () => {
+  beforeEach(() => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation((cb) => cb());
+  });
+
+  afterEach(() => {
+    window.requestAnimationFrame.mockRestore();
+  });
+
+  it('suggests members after "@"', () => {
+    render(<Harness />);
+    const textarea = screen.getByRole('combobox', { name: 'Comment' });
+
+    type(textarea, 'Hi @b');
+
+    expect(screen.getByRole('listbox')).toBeInTheDocument();
+    expect(screen.getAllByRole('option')).toHaveLength(1);
+    expect(screen.getByRole('option')).toHaveTextContent('Bob');
+  });
+
+  it('inserts the highlighted member on Enter', () => {
+    const onKeyDown = jest.fn();
+    render(<Harness onKeyDown={onKeyDown} />);
+    const textarea = screen.getByRole('combobox', { name: 'Comment' });
+
+    type(textarea, '@');
+    fireEvent.keyDown(textarea, { key: 'ArrowDown' });
+    fireEvent.keyDown(textarea, { key: 'Enter' });
+
+    expect(textarea).toHaveValue('@Bob ');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    expect(onKeyDown).not.toHaveBeenCalled();
+  });
+
+  it('inserts a member on click', () => {
+    render(<Harness />);
+    const textarea = screen.getByRole('combobox', { name: 'Comment' });
+
+    type(textarea, 'cc @an');
+    fireEvent.mouseDown(screen.getByRole('option', { name: /Ann Lee/ }));
+
+    expect(textarea).toHaveValue('cc @Ann Lee ');
+  });
+
+  it('closes on Escape without passing the key on', () => {
+    const onKeyDown = jest.fn();
+    render(<Harness onKeyDown={onKeyDown} />);
+    const textarea = screen.getByRole('combobox', { name: 'Comment' });
+
+    type(textarea, '@');
+    fireEvent.keyDown(textarea, { key: 'Escape' });
+
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    expect(onKeyDown).not.toHaveBeenCalled();
+  });
+
+  it('passes other keys through when no suggestions are shown', () => {
+    const onKeyDown = jest.fn();
+    render(<Harness onKeyDown={onKeyDown} />);
+    const textarea = screen.getByRole('combobox', { name: 'Comment' });
+
+    type(textarea, 'plain text');
+    fireEvent.keyDown(textarea, { key: 'Enter', metaKey: true });
+
+    expect(onKeyDown).toHaveBeenCalled();
+  });
+});
@@ -5,7 +5,15 @@ import useWorkspaceStore from '../store/workspaceStore';
 import useAuthStore from '../store/authStore';
 import useTaskStore from '../store/taskStore';
 import useCategoryStore from '../store/categoryStore';
+import useStatusStore from '../store/statusStore';
+import useCustomFieldStore from '../store/customFieldStore';
+import useSavedViewStore from '../store/savedViewStore';
+import useNotificationStore from '../store/notificationStore';
+import useHolidayStore from '../store/holidayStore';
 import Loader from '../components/Loader';
+import { toast } from 'sonner';
+import { connectWorkspaceEvents, disconnectWorkspaceEvents, subscribeToWorkspaceEvents } from '../utils/realtime';
+import { getNotificationMessage } from '../utils/notifications';
 
 // Create the context
 const WorkspaceContext = createContext(null);
@@ -48,6 +56,11 @@ export function WorkspaceProvider({ children }) {
   // Get store actions for clearing/refetching data
   const { clearTasks, fetchTasks } = useTaskStore();
   const { clearCategories, fetchCategories } = useCategoryStore();
+  const { clearStatuses, fetchStatuses } = useStatusStore();
+  const { clearFields, fetchFields } = useCustomFieldStore();
+  const { clearViews } = useSavedViewStore();
+  const { clearNotifications, fetchNotifications } = useNotificationStore();
+  const { reset: resetHolidays } = useHolidayStore();
 
   // Track previous workspace ID to detect changes
   const prevWorkspaceIdRef = useRef(currentWorkspaceId);
@@ -59,6 +72,13 @@ export function WorkspaceProvider({ children }) {
     }
   }, [isAuthenticated, isInitialized, initialize]);
 
+  // Load the notification inbox once per sign-in
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchNotifications();
+    }
+  }, [isAuthenticated, fetchNotifications]);
+
   // Redirect to workspace selection if user has no workspaces and is on dashboard
   useEffect(() => {
     const protectedRoutes = ['/dashboard'];
@@ -75,8 +95,14 @@ export function WorkspaceProvider({ children }) {
       clear();
       clearTasks();
       clearCategories();
+      clearStatuses();
+      clearFields();
+      clearViews();
+      clearNotifications();
+      // Holidays follow the signed-in user's regions
+      resetHolidays();
     }
-  }, [isAuthenticated, isInitialized, clear, clearTasks, clearCategories]);
+  }, [isAuthenticated, isInitialized, clear, clearTasks, clearCategories, clearStatuses, clearFields, clearViews, clearNotifications, resetHolidays]);
 
   // Refetch data when workspace changes (skip during onboarding/invite flows to reduce concurrent requests)
   useEffect(() => {
@@ -87,13 +113,44 @@ export function WorkspaceProvider({ children }) {
       // Clear and refetch data for new workspace
       clearTasks();
       clearCategories();
+      clearStatuses();
+      clearFields();
       if (!skipFetch) {
         fetchTasks();
         fetchCategories();
+        fetchStatuses();
+        fetchFields();
       }
     }
     prevWorkspaceIdRef.current = currentWorkspaceId;
-  }, [currentWorkspaceId, clearTasks, clearCategories, fetchTasks, fetchCategories, location.pathname]);
+  }, [currentWorkspaceId, clearTasks, clearCategories, clearStatuses, clearFields, fetchTasks, fetchCategories, fetchStatuses, fetchFields, location.pathname]);
+
+  // Keep the current workspace's event stream open and apply other people's changes
+  useEffect(() => {
+    if (!isAuthenticated || !currentWorkspaceId) return undefined;
+
+    connectWorkspaceEvents(currentWorkspaceId);
+    const unsubscribe = subscribeToWorkspaceEvents((event) => {
+      // Notifications are addressed to this user, whichever workspace they are for
+      if (event.type === 'notification.created') {
+        useNotificationStore.getState().addNotification(event.data.notification);
+        toast.info(getNotificationMessage(event.data.notification));
+        return;
+      }
+      // Notifications may have been missed while the stream was down
+      if (event.type === 'resync') {
+        useNotificationStore.getState().fetchNotifications();
+      }
+      if (event.workspaceId !== currentWorkspaceId) return;
+      useTaskStore.getState().applyRemoteEvent(event);
+      useCategoryStore.getState().applyRemoteEvent(event);
+    });
+
+    return () => {
+      unsubscribe();
+      disconnectWorkspaceEvents();
+    };
+  }, [isAuthenticated, currentWorkspaceId]);
 
   // Memoized switch workspace function that also triggers data refresh
   const handleSwitchWorkspace = useCallback(async (workspaceId) => {
@@ -40,10 +40,15 @@ const defaultTaskState = { clearTasks: jest.fn(), fetchTasks: jest.fn() };
 let mockCategoryState;
 const defaultCategoryState = { clearCategories: jest.fn(), fetchCategories: jest.fn() };
 
+let mockStatusState;
+let mockCustomFieldState;
+
 jest.mock('../../store/workspaceStore', () => () => mockWorkspaceState);
 jest.mock('../../store/authStore', () => () => mockAuthState);
 jest.mock('../../store/taskStore', () => () => mockTaskState);
 jest.mock('../../store/categoryStore', () => () => mockCategoryState);
+jest.mock('../../store/statusStore', () => () => mockStatusState);
+jest.mock('../../store/customFieldStore', () => () => mockCustomFieldState);
 
 // ---------- Router mocks ----------
 const mockNavigate = jest.fn();
@@ -73,6 +78,8 @@ beforeEach(() => {
   mockAuthState = { ...defaultAuthState };
   mockTaskState = { clearTasks: jest.fn(), fetchTasks: jest.fn() };
   mockCategoryState = { clearCategories: jest.fn(), fetchCategories: jest.fn() };
+  mockStatusState = { clearStatuses: jest.fn(), fetchStatuses: jest.fn() };
+  mockCustomFieldState = { clearFields: jest.fn(), fetchFields: jest.fn() };
   mockNavigate.mockClear();
   mockLocation = { pathname: '/dashboard' };
 });
@@ -420,6 +427,8 @@ describe('WorkspaceContext', () => {
       expect(mockWorkspaceState.clear).toHaveBeenCalled();
       expect(mockTaskState.clearTasks).toHaveBeenCalled();
       expect(mockCategoryState.clearCategories).toHaveBeenCalled();
+      expect(mockStatusState.clearStatuses).toHaveBeenCalled();
+      expect(mockCustomFieldState.clearFields).toHaveBeenCalled();
     });
 
     it('should not clear stores when unauthenticated and not initialized', () => {
@@ -472,6 +481,8 @@ describe('WorkspaceContext', () => {
       expect(mockCategoryState.clearCategories).toHaveBeenCalled();
       expect(mockTaskState.fetchTasks).toHaveBeenCalled();
       expect(mockCategoryState.fetchCategories).toHaveBeenCalled();
+      expect(mockStatusState.fetchStatuses).toHaveBeenCalled();
+      expect(mockCustomFieldState.fetchFields).toHaveBeenCalled();
     });
 
     it('should skip fetchTasks/fetchCategories on /onboarding path', () => {
@@ -1,5 +1,9 @@
+/* eslint-disable import/first */
+jest.mock('axios', () => require('axios/dist/node/axios.cjs'));
+
 import { renderHook, act } from '@testing-library/react';
 import { useTaskFilters } from '../useTaskFilters';
+import useStatusStore from '../../store/statusStore';
 
 const mockTasks = [
   { id: 1, title: 'Build login page', description: 'Auth UI', status: 'todo', priority: 'high', categoryId: 10, assignees: [{ id: 1, name: 'Alice' }] },
@@ -161,6 +165,36 @@ describe('useTaskFilters', () => {
       expect(result.current.filteredTasks).toHaveLength(3);
       expect(result.current.filteredTasks.find(t => t.status === 'completed')).toBeUndefined();
     });
+
+    it('should hide tasks in any done-category workflow status', () => {
+      useStatusStore.setState({
+        statuses: [
+          { key: 'todo', name: 'To Do', category: 'not_started', color: '#94A3B8', position: 0 },
+          { key: 'in_progress', name: 'Shipped', category: 'done', color: '#22C55E', position: 1 },
+        ],
+      });
+      const { result } = renderHook(() => useTaskFilters(mockTasks));
+
+      act(() => {
+        result.current.setFilters(prev => ({ ...prev, hideCompleted: true }));
+      });
+
+      expect(result.current.filteredTasks.map(t => t.id)).toEqual([1, 4]);
+      useStatusStore.getState().clearStatuses();
+    });
+  });
+
+  describe('status filter', () => {
+    it('should filter by workflow status keys', () => {
+      const { result } = renderHook(() => useTaskFilters(mockTasks));
+
+      act(() => {
+        result.current.setFilters(prev => ({ ...prev, statuses: ['todo', 'in_progress'] }));
+      });
+
+      expect(result.current.filteredTasks.map(t => t.id)).toEqual([1, 2, 4]);
+      expect(result.current.hasActiveFilters).toBe(true);
+    });
   });
 
   describe('combined filters', () => {
@@ -320,4 +354,38 @@ describe('useTaskFilters', () => {
       });
     });
   });
+
+  describe('applyView', () => {
+    it('should replace search and filters without waiting for the debounce', () => {
+      const { result } = renderHook(() => useTaskFilters(mockTasks, { debounceSearch: true }));
+
+      act(() => {
+        result.current.setFilters({ ...result.current.filters, hideCompleted: true });
+      });
+      act(() => {
+        result.current.applyView({ filters: { assignees: [1] }, search: 'tests' });
+      });
+
+      expect(result.current.searchInput).toBe('tests');
+      expect(result.current.searchQuery).toBe('tests');
+      expect(result.current.filters).toEqual({
+        assignees: [1], priorities: [], categories: [], statuses: [], hideCompleted: false,
+      });
+      expect(result.current.filteredTasks.map((t) => t.id)).toEqual([3]);
+    });
+
+    it('should reset to no filters without a view', () => {
+      const { result } = renderHook(() => useTaskFilters(mockTasks));
+
+      act(() => {
+        result.current.setSearchInput('login');
+      });
+      act(() => {
+        result.current.applyView(null);
+      });
+
+      expect(result.current.hasActiveFilters).toBe(false);
+      expect(result.current.filteredTasks).toHaveLength(4);
+    });
+  });
 });
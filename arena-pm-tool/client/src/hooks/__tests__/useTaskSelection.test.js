@@ -0,0 +1,57 @@
+import { renderHook, act } from '@testing-library/react';
+import { useTaskSelection } from '../useTaskSelection';
+
+describe('useTaskSelection', () => {
+  const ids = [1, 2, 3, 4, 5];
+
+  it('should toggle single tasks', () => {
+    const { result } = renderHook(() => useTaskSelection(ids));
+
+    act(() => result.current.handleSelect(2));
+    act(() => result.current.handleSelect(4));
+    expect(result.current.selectedIds).toEqual([2, 4]);
+
+    act(() => result.current.handleSelect(2));
+    expect(result.current.selectedIds).toEqual([4]);
+  });
+
+  it('should select a range from the last clicked task', () => {
+    const { result } = renderHook(() => useTaskSelection(ids));
+
+    act(() => result.current.handleSelect(4));
+    act(() => result.current.handleSelect(2, { range: true }));
+
+    expect(result.current.selectedIds).toEqual([2, 3, 4]);
+    expect(result.current.selectedTaskIds.has(3)).toBe(true);
+  });
+
+  it('should treat a range click without an anchor as a single selection', () => {
+    const { result } = renderHook(() => useTaskSelection(ids));
+
+    act(() => result.current.handleSelect(3, { range: true }));
+
+    expect(result.current.selectedIds).toEqual([3]);
+  });
+
+  it('should clear the selection', () => {
+    const { result } = renderHook(() => useTaskSelection(ids));
+
+    act(() => result.current.handleSelect(1));
+    act(() => result.current.clearSelection());
+
+    expect(result.current.selectedIds).toEqual([]);
+  });
+
+  it('should drop tasks that are no longer shown', () => {
+    const { result, rerender } = renderHook(({ orderedIds }) => useTaskSelection(orderedIds), {
+      initialProps: { orderedIds: ids },
+    });
+
+    act(() => result.current.handleSelect(1));
+    act(() => result.current.handleSelect(5));
+    rerender({ orderedIds: [1, 2, 3] });
+
+    expect(result.current.selectedIds).toEqual([1]);
+    expect(result.current.selectedTaskIds.size).toBe(1);
+  });
+});
@@ -0,0 +1,196 @@
+import { useEffect, useRef, useCallback, useMemo } from 'react';
+import { useSearchParams, useLocation } from 'react-router-dom';
+import { toast } from 'sonner';
+import useSavedViewStore from '../store/savedViewStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import useAuthStore from '../store/authStore';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const VIEW_PARAM = 'view';
+
+const FILTER_KEYS = ['assignees', 'priorities', 'categories', 'statuses'];
+
+// Compare two filter/sort/search states, ignoring the order of selected values
+const isSameViewState = (a, b) => {
+  const sameFilters = FILTER_KEYS.every((key) => {
+    const left = [...(a.filters[key] || [])].sort();
+    const right = [...(b.filters[key] || [])].sort();
+    return left.length === right.length && left.every((value, i) => value === right[i]);
+  }) && Boolean(a.filters.hideCompleted) === Boolean(b.filters.hideCompleted);
+
+  // Views saved without a sort leave the page's sort alone
+  const sameSort = !a.sort || !b.sort ||
+    (a.sort.key === b.sort.key && a.sort.direction === b.sort.direction);
+
+  return sameFilters && sameSort && (a.search || '').trim() === (b.search || '').trim();
+};
+
+/**
+ * Saved views for the board and list pages.
+ * The active view lives in the `?view=<id>` query param so views can be linked to;
+ * without one, the member's default view is applied when the page first loads.
+ *
+ * @param {Object} options
+ * @param {Function} options.onApply - Called with a view to load its filters (and sort)
+ * @param {Object} options.currentState - `{ filters, search, sort }`; omit `sort` on pages without sorting
+ */
+export function useSavedViews({ onApply, currentState }) {
+  const { currentWorkspaceId } = useWorkspaceStore();
+  const { user } = useAuthStore();
+  const { canEdit, isCurrentUserAdmin } = useWorkspace();
+  const {
+    views,
+    defaultViewId,
+    loadedWorkspaceId,
+    fetchViews,
+    createView,
+    updateView,
+    deleteView: removeView,
+    setDefaultView,
+  } = useSavedViewStore();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+  const viewParam = searchParams.get(VIEW_PARAM);
+
+  const onApplyRef = useRef(onApply);
+  onApplyRef.current = onApply;
+  // Workspace whose default view has been considered, and the view id last applied
+  const initializedWorkspaceRef = useRef(null);
+  const appliedViewRef = useRef(null);
+
+  const isLoaded = Boolean(currentWorkspaceId) && loadedWorkspaceId === currentWorkspaceId;
+  const activeView = useMemo(
+    () => (viewParam ? views.find((view) => String(view.id) === viewParam) || null : null),
+    [views, viewParam]
+  );
+
+  const setViewParam = useCallback((viewId, { replace = false } = {}) => {
+    setSearchParams((params) => {
+      const next = new URLSearchParams(params);
+      if (viewId) {
+        next.set(VIEW_PARAM, String(viewId));
+      } else {
+        next.delete(VIEW_PARAM);
+      }
+      return next;
+    }, { replace });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    if (currentWorkspaceId && loadedWorkspaceId !== currentWorkspaceId) {
+      fetchViews();
+    }
+  }, [currentWorkspaceId, loadedWorkspaceId, fetchViews]);
+
+  // Apply the view named in the URL, falling back to the default on first load
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    const isPageLoad = initializedWorkspaceRef.current === null;
+    if (initializedWorkspaceRef.current !== currentWorkspaceId) {
+      const isWorkspaceSwitch = !isPageLoad;
+      initializedWorkspaceRef.current = currentWorkspaceId;
+      appliedViewRef.current = null;
+
+      if ((!viewParam || isWorkspaceSwitch) && defaultViewId) {
+        // Re-runs this effect with the default in the URL
+        setViewParam(defaultViewId, { replace: true });
+        return;
+      }
+      if (viewParam && isWorkspaceSwitch) {
+        // A view from the previous workspace
+        setViewParam(null, { replace: true });
+        return;
+      }
+    }
+
+    if (viewParam === appliedViewRef.current) return;
+    appliedViewRef.current = viewParam;
+    if (!viewParam) return;
+
+    const view = views.find((v) => String(v.id) === viewParam);
+    if (view) {
+      onApplyRef.current(view);
+    } else {
+      if (isPageLoad) toast.error('That saved view is not available');
+      setViewParam(null, { replace: true });
+    }
+  }, [isLoaded, currentWorkspaceId, viewParam, views, defaultViewId, setViewParam]);
+
+  // Selecting the active view again reloads it, discarding unsaved changes
+  const selectView = useCallback((view) => {
+    appliedViewRef.current = String(view.id);
+    onApplyRef.current(view);
+    setViewParam(view.id);
+  }, [setViewParam]);
+
+  const clearView = useCallback(() => {
+    appliedViewRef.current = null;
+    setViewParam(null);
+  }, [setViewParam]);
+
+  const saveView = useCallback(async ({ name, visibility, isDefault }) => {
+    const result = await createView({
+      name,
+      visibility,
+      filters: currentState.filters,
+      sort: currentState.sort ?? null,
+      search: currentState.search.trim(),
+      is_default: isDefault,
+    });
+    if (result.success) {
+      appliedViewRef.current = String(result.view.id);
+      setViewParam(result.view.id);
+    }
+    return result;
+  }, [createView, currentState, setViewParam]);
+
+  // Overwrite the active view with the current filters
+  const updateActiveView = useCallback(() => {
+    if (!activeView) return Promise.resolve({ success: false });
+    return updateView(activeView.id, {
+      filters: currentState.filters,
+      search: currentState.search.trim(),
+      ...(currentState.sort !== undefined && { sort: currentState.sort }),
+    });
+  }, [activeView, currentState, updateView]);
+
+  const deleteView = useCallback(async (view) => {
+    const result = await removeView(view.id);
+    if (result.success && activeView?.id === view.id) clearView();
+    return result;
+  }, [removeView, activeView, clearView]);
+
+  const toggleDefaultView = useCallback(
+    (view) => setDefaultView(defaultViewId === view.id ? null : view.id),
+    [defaultViewId, setDefaultView]
+  );
+
+  const canManageView = useCallback(
+    (view) => view.ownerId === user?.id || (view.visibility === 'shared' && isCurrentUserAdmin()),
+    [user?.id, isCurrentUserAdmin]
+  );
+
+  const getViewLink = useCallback(
+    (view) => `${window.location.origin}${location.pathname}?${VIEW_PARAM}=${view.id}`,
+    [location.pathname]
+  );
+
+  return {
+    views,
+    activeView,
+    defaultViewId,
+    isModified: Boolean(activeView) && !isSameViewState(activeView, currentState),
+    canShare: canEdit(),
+    selectView,
+    clearView,
+    saveView,
+    updateActiveView,
+    deleteView,
+    toggleDefaultView,
+    canManageView,
+    getViewLink,
+  };
+}
+
+export default useSavedViews;
@@ -1,9 +1,12 @@
-import { useState, useMemo, useRef, useEffect } from 'react';
+import { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import useStatusStore from '../store/statusStore';
+import { isDoneStatus } from '../utils/workflowStatuses';
 
 const DEFAULT_FILTERS = {
   assignees: [],
   priorities: [],
   categories: [],
+  statuses: [],
   hideCompleted: false,
 };
 
@@ -16,6 +19,7 @@ export function useTaskFilters(tasks, { debounceSearch = false } = {}) {
   const [searchQuery, setSearchQuery] = useState('');
   const [filters, setFilters] = useState(DEFAULT_FILTERS);
   const searchDebounceRef = useRef(null);
+  const workflowStatuses = useStatusStore((state) => state.statuses);
 
   // Debounce search when enabled (used in board view)
   useEffect(() => {
@@ -52,18 +56,23 @@ export function useTaskFilters(tasks, { debounceSearch = false } = {}) {
       const matchesCategory = filters.categories.length === 0 ||
         filters.categories.includes(task.categoryId);
 
+      const statusFilter = filters.statuses || [];
+      const matchesStatus = statusFilter.length === 0 ||
+        statusFilter.includes(task.status);
+
       const matchesCompleted = !filters.hideCompleted ||
-        task.status !== 'completed';
+        !isDoneStatus(task, workflowStatuses);
 
-      return matchesSearch && matchesAssignee && matchesPriority && matchesCategory && matchesCompleted;
+      return matchesSearch && matchesAssignee && matchesPriority && matchesCategory && matchesStatus && matchesCompleted;
     });
-  }, [tasks, searchQuery, filters]);
+  }, [tasks, searchQuery, filters, workflowStatuses]);
 
   const hasActiveFilters = useMemo(() => {
     return Boolean(searchInput.trim() || searchQuery.trim()) ||
       filters.assignees.length > 0 ||
       filters.priorities.length > 0 ||
       filters.categories.length > 0 ||
+      (filters.statuses || []).length > 0 ||
       filters.hideCompleted;
   }, [searchInput, searchQuery, filters]);
 
@@ -78,6 +87,14 @@ export function useTaskFilters(tasks, { debounceSearch = false } = {}) {
     setFilters(DEFAULT_FILTERS);
   };
 
+  // Replace the current search and filters with a saved view's (skips the debounce)
+  const applyView = useCallback((view) => {
+    const search = view?.search || '';
+    setSearchInput(search);
+    setSearchQuery(search);
+    setFilters({ ...DEFAULT_FILTERS, ...(view?.filters || {}) });
+  }, []);
+
   return {
     searchInput,
     setSearchInput,
@@ -88,6 +105,7 @@ export function useTaskFilters(tasks, { debounceSearch = false } = {}) {
     hasActiveFilters,
     clearSearch,
     clearSearchAndFilters,
+    applyView,
   };
 }
 
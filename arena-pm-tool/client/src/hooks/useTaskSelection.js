@@ -0,0 +1,64 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+
+/**
+ * Multi-select for the board and list views.
+ * Cmd/Ctrl-click toggles one task; shift-click selects every task between the
+ * last clicked task and this one, in the order the page shows them.
+ *
+ * @param {Array<number>} orderedIds - Ids of the tasks on screen, in display order
+ */
+export function useTaskSelection(orderedIds) {
+  const [selected, setSelected] = useState(() => new Set());
+  const anchorRef = useRef(null);
+
+  // Drop tasks that were deleted or filtered out of view
+  useEffect(() => {
+    setSelected((prev) => {
+      if (prev.size === 0) return prev;
+      const visible = new Set(orderedIds);
+      const next = new Set([...prev].filter((id) => visible.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [orderedIds]);
+
+  const handleSelect = useCallback((taskId, { range = false } = {}) => {
+    const anchorIndex = anchorRef.current === null ? -1 : orderedIds.indexOf(anchorRef.current);
+    const targetIndex = orderedIds.indexOf(taskId);
+
+    if (range && anchorIndex !== -1 && targetIndex !== -1) {
+      const [start, end] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+      setSelected((prev) => new Set([...prev, ...orderedIds.slice(start, end + 1)]));
+      return;
+    }
+
+    anchorRef.current = taskId;
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(taskId)) {
+        next.delete(taskId);
+      } else {
+        next.add(taskId);
+      }
+      return next;
+    });
+  }, [orderedIds]);
+
+  const clearSelection = useCallback(() => {
+    anchorRef.current = null;
+    setSelected((prev) => (prev.size === 0 ? prev : new Set()));
+  }, []);
+
+  const selectedIds = useMemo(
+    () => orderedIds.filter((id) => selected.has(id)),
+    [orderedIds, selected]
+  );
+
+  return {
+    selectedTaskIds: selected,
+    selectedIds,
+    handleSelect,
+    clearSelection,
+  };
+}
+
+export default useTaskSelection;
@@ -0,0 +1,318 @@
+import { useState, useEffect } from 'react';
+import { ChartColumn, Download, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import useWorkspaceStore from '../store/workspaceStore';
+import useCategoryStore from '../store/categoryStore';
+import EmptyState from '../components/EmptyState';
+import { PageLoader } from '../components/Loader';
+import { Button } from 'components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from 'components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+import { workspacesAPI } from '../utils/api';
+import { formatDueDate } from '../utils/dateUtils';
+import {
+  getChartMax,
+  getSlotCenter,
+  getValueHeight,
+  getLinePoints,
+  getAxisLabelIndexes,
+} from '../utils/reportCharts';
+
+const WEEK_OPTIONS = [4, 8, 12, 26, 52];
+const ALL_CATEGORIES = 'all';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+function StatCard({ label, value, sub }) {
+  return (
+    <Card>
+      <CardContent className="p-4">
+        <p className="text-sm font-medium text-muted-foreground">{label}</p>
+        <p className="text-2xl font-bold text-foreground mt-1">{value}</p>
+        {sub && <p className="text-xs text-muted-foreground mt-1">{sub}</p>}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Chart frame: y axis bound, the SVG and week labels underneath
+function ChartCard({ title, description, weeks, max, legend, children }) {
+  const labelIndexes = getAxisLabelIndexes(weeks.length);
+
+  return (
+    <Card>
+      <CardHeader className="p-4 pb-2">
+        <div className="flex flex-wrap items-start justify-between gap-2">
+          <div>
+            <CardTitle className="text-base">{title}</CardTitle>
+            <CardDescription className="text-xs mt-0.5">{description}</CardDescription>
+          </div>
+          {legend && (
+            <div className="flex items-center gap-3 text-xs text-muted-foreground">
+              {legend.map((item) => (
+                <span key={item.label} className="flex items-center gap-1.5">
+                  <span className={`h-2 w-2 rounded-full ${item.className}`} />
+                  {item.label}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="p-4 pt-0">
+        <div className="flex gap-2">
+          <div className="flex flex-col justify-between text-[11px] text-muted-foreground text-right w-6 shrink-0" style={{ height: CHART_HEIGHT }}>
+            <span>{max}</span>
+            <span>0</span>
+          </div>
+          <div className="flex-1 min-w-0">
+            <svg
+              viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+              preserveAspectRatio="none"
+              className="w-full border-b border-l border-border overflow-visible"
+              style={{ height: CHART_HEIGHT }}
+              role="img"
+              aria-label={title}
+            >
+              {children}
+            </svg>
+            <div className="flex mt-1 text-[11px] text-muted-foreground">
+              {weeks.map((week, index) => (
+                <span key={week.weekStart} className="flex-1 text-center truncate">
+                  {labelIndexes.includes(index) ? formatDueDate(week.weekStart) : ''}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Bars side by side per week, one per series
+function Bars({ weeks, series, max }) {
+  const slotWidth = CHART_WIDTH / weeks.length;
+  const barWidth = (slotWidth * 0.7) / series.length;
+
+  return weeks.map((week, index) => series.map((item, seriesIndex) => {
+    const value = week[item.key];
+    if (!value) return null;
+    const height = getValueHeight(value, max, CHART_HEIGHT);
+    const x = getSlotCenter(index, weeks.length, CHART_WIDTH) - (barWidth * series.length) / 2 + seriesIndex * barWidth;
+    return (
+      <rect
+        key={`${week.weekStart}-${item.key}`}
+        x={x}
+        y={CHART_HEIGHT - height}
+        width={barWidth * 0.9}
+        height={height}
+        className={item.fillClassName}
+      >
+        <title>{`Week of ${formatDueDate(week.weekStart)}: ${value} ${item.label.toLowerCase()}`}</title>
+      </rect>
+    );
+  }));
+}
+
+function Line({ values, max, className }) {
+  return (
+    <polyline
+      points={getLinePoints(values, { width: CHART_WIDTH, height: CHART_HEIGHT, max })}
+      fill="none"
+      strokeWidth={2}
+      vectorEffect="non-scaling-stroke"
+      className={className}
+    />
+  );
+}
+
+function AnalyticsView() {
+  const currentWorkspaceId = useWorkspaceStore((s) => s.currentWorkspaceId);
+  const { categories, fetchCategories } = useCategoryStore();
+  const [weekCount, setWeekCount] = useState(12);
+  const [categoryId, setCategoryId] = useState(ALL_CATEGORIES);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const params = { weeks: weekCount, categoryId: categoryId === ALL_CATEGORIES ? null : categoryId };
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories, currentWorkspaceId]);
+
+  // A category from another workspace can't be reported on
+  useEffect(() => {
+    setCategoryId(ALL_CATEGORIES);
+  }, [currentWorkspaceId]);
+
+  useEffect(() => {
+    if (!currentWorkspaceId) return;
+
+    let cancelled = false;
+    const fetchReport = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const { data } = await workspacesAPI.getAnalytics(currentWorkspaceId, {
+          weeks: weekCount,
+          categoryId: categoryId === ALL_CATEGORIES ? null : categoryId,
+        });
+        if (!cancelled) setReport(data.data);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load analytics.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    fetchReport();
+    return () => {
+      cancelled = true;
+    };
+  }, [currentWorkspaceId, weekCount, categoryId]);
+
+  const handleExportCsv = async () => {
+    setIsExporting(true);
+    try {
+      const response = await workspacesAPI.exportAnalyticsCsv(currentWorkspaceId, params);
+      const blob = new Blob([response.data], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `todoria-analytics-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error('Failed to export analytics.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (isLoading && !report) {
+    return <PageLoader />;
+  }
+
+  if (error && !report) {
+    return <EmptyState icon={ChartColumn} title="Couldn't load analytics" description={error} />;
+  }
+
+  const { weeks, summary } = report;
+  const throughputMax = getChartMax(weeks.flatMap((week) => [week.created, week.completed]));
+  const remainingMax = getChartMax(weeks.map((week) => week.remaining));
+  const overdueMax = getChartMax(weeks.map((week) => week.overdue));
+  const cycleTimeMax = getChartMax(weeks.map((week) => week.cycleTimeDays));
+  const burndownScope = report.category ? report.category.name : 'all categories';
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Analytics Header */}
+      <div className="mb-4 sm:mb-6 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <h2 className="text-lg sm:text-2xl font-semibold text-foreground">Analytics</h2>
+          {isLoading && <Loader2 size={16} className="animate-spin text-muted-foreground" />}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={String(weekCount)} onValueChange={(value) => setWeekCount(Number(value))}>
+            <SelectTrigger className="h-9 w-36" aria-label="Period">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {WEEK_OPTIONS.map((option) => (
+                <SelectItem key={option} value={String(option)}>Last {option} weeks</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={String(categoryId)} onValueChange={setCategoryId}>
+            <SelectTrigger className="h-9 w-44" aria-label="Burndown category">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_CATEGORIES}>All categories</SelectItem>
+              {categories.map((category) => (
+                <SelectItem key={category.id} value={String(category.id)}>{category.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="sm" className="h-9" onClick={handleExportCsv} disabled={isExporting}>
+            {isExporting ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+            Export CSV
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-3 sm:gap-4 mb-4 sm:mb-6">
+        <StatCard label="Created" value={summary.created} sub={`Last ${weeks.length} weeks`} />
+        <StatCard label="Completed" value={summary.completed} sub={`Last ${weeks.length} weeks`} />
+        <StatCard label="Open" value={summary.remaining} sub={report.category ? report.category.name : 'All categories'} />
+        <StatCard label="Overdue" value={summary.overdue} sub="Open past their due date" />
+        <StatCard
+          label="Avg. cycle time"
+          value={summary.averageCycleTimeDays === null ? '–' : `${summary.averageCycleTimeDays} d`}
+          sub="From start to done"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4 pb-6">
+        <ChartCard
+          title="Created vs. completed"
+          description="Tasks per week"
+          weeks={weeks}
+          max={throughputMax}
+          legend={[
+            { label: 'Created', className: 'bg-blue-500' },
+            { label: 'Completed', className: 'bg-emerald-500' },
+          ]}
+        >
+          <Bars
+            weeks={weeks}
+            max={throughputMax}
+            series={[
+              { key: 'created', label: 'Created', fillClassName: 'fill-blue-500' },
+              { key: 'completed', label: 'Completed', fillClassName: 'fill-emerald-500' },
+            ]}
+          />
+        </ChartCard>
+
+        <ChartCard
+          title="Burndown"
+          description={`Open tasks at the end of each week, ${burndownScope}`}
+          weeks={weeks}
+          max={remainingMax}
+        >
+          <Line values={weeks.map((week) => week.remaining)} max={remainingMax} className="stroke-primary" />
+        </ChartCard>
+
+        <ChartCard
+          title="Overdue trend"
+          description="Open tasks past their due date at the end of each week"
+          weeks={weeks}
+          max={overdueMax}
+        >
+          <Line values={weeks.map((week) => week.overdue)} max={overdueMax} className="stroke-red-500" />
+        </ChartCard>
+
+        <ChartCard
+          title="Cycle time"
+          description="Average days from start to done of the tasks completed each week"
+          weeks={weeks}
+          max={cycleTimeMax}
+        >
+          <Bars
+            weeks={weeks}
+            max={cycleTimeMax}
+            series={[{ key: 'cycleTimeDays', label: 'Days', fillClassName: 'fill-amber-500' }]}
+          />
+        </ChartCard>
+      </div>
+    </div>
+  );
+}
+
+export default AnalyticsView;
@@ -1,13 +1,20 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { ChevronLeft, ChevronRight, Calendar, Plus } from 'lucide-react';
+import { ChevronLeft, ChevronRight, Calendar, Plus, Repeat } from 'lucide-react';
 import { DndContext, DragOverlay, useDraggable, useDroppable } from '@dnd-kit/core';
+import { toast } from 'sonner';
 import useTaskStore from '../store/taskStore';
 import useHolidayStore from '../store/holidayStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import useStatusStore from '../store/statusStore';
 import TaskModal from '../components/TaskModal';
 import BoardStats from '../components/BoardStats';
 import { PageLoader } from '../components/Loader';
 import { Button } from 'components/ui/button';
 import { useDndSensors } from '../hooks/useDndSensors';
+import { getUpcomingOccurrences } from '../utils/recurrence';
+import { findStatus, getStatusName } from '../utils/workflowStatuses';
+import { getHolidayLabel, getHolidayTitle, getHolidayStyle } from '../utils/holidays';
+import { getNonWorkingReason } from '../utils/dateUtils';
 
 // Render-prop wrapper for draggable calendar task cards
 function DraggableCalendarTask({ task, children }) {
@@ -27,10 +34,28 @@ function DroppableCalendarDay({ dateKey, children }) {
   return children({ ref: setNodeRef, isOver });
 }
 
+// Faded, non-draggable preview of a future occurrence of a recurring task
+function ProjectedOccurrence({ occurrence, onClick }) {
+  return (
+    <div
+      onClick={onClick}
+      className="text-xs py-1.5 px-2 rounded-md border border-dashed border-border text-muted-foreground opacity-60 cursor-pointer hover:opacity-80 transition-all duration-150"
+      title={`${occurrence.task.title}\nUpcoming occurrence (not created yet)`}
+    >
+      <div className="flex items-center gap-1">
+        <Repeat size={10} className="flex-shrink-0" aria-hidden="true" />
+        <span className="line-clamp-1 leading-snug">{occurrence.task.title}</span>
+      </div>
+    </div>
+  );
+}
+
 function CalendarView() {
   const { tasks, isLoading: loading, fetchTasks, updateTask } = useTaskStore();
   const holidayFetchRef = useRef(null);
-  const { fetchHolidays, getHolidayByDate } = useHolidayStore();
+  const { fetchHolidays, getHolidayByDate, getWorkingCalendar } = useHolidayStore();
+  const currentWorkspaceId = useWorkspaceStore((s) => s.currentWorkspaceId);
+  const { statuses } = useStatusStore();
   const [currentDate, setCurrentDate] = useState(new Date());
   const [viewMode, setViewMode] = useState('week'); // 'week' or 'month'
   const [selectedTask, setSelectedTask] = useState(null);
@@ -197,14 +222,15 @@ function CalendarView() {
 
     holidayFetchRef.current = setTimeout(() => {
       // For month view, fetch current month's year
-      fetchHolidays(year);
+      // The workspace's regions and company holidays
+      fetchHolidays(year, currentWorkspaceId);
 
       // For week view, might span two years (December/January)
       if (viewMode === 'week' && weekDays.length > 0) {
         const weekStartYear = weekDays[0]?.year;
         const weekEndYear = weekDays[6]?.year;
-        if (weekStartYear && weekStartYear !== year) fetchHolidays(weekStartYear);
-        if (weekEndYear && weekEndYear !== year) fetchHolidays(weekEndYear);
+        if (weekStartYear && weekStartYear !== year) fetchHolidays(weekStartYear, currentWorkspaceId);
+        if (weekEndYear && weekEndYear !== year) fetchHolidays(weekEndYear, currentWorkspaceId);
       }
     }, 300);
 
@@ -213,7 +239,7 @@ function CalendarView() {
         clearTimeout(holidayFetchRef.current);
       }
     };
-  }, [year, viewMode, weekDays, fetchHolidays]);
+  }, [year, viewMode, weekDays, fetchHolidays, currentWorkspaceId]);
 
   // Group tasks by due date - memoized for performance
   // Only include parent tasks (exclude subtasks which have parentTaskId)
@@ -239,6 +265,46 @@ function CalendarView() {
     return grouped;
   }, [tasks]);
 
+  // Last visible date in either the month grid or the week view
+  const rangeEndKey = useMemo(() => {
+    const monthEnd = `${year}-${String(month + 1).padStart(2, '0')}-${String(daysInMonth).padStart(2, '0')}`;
+    const weekEnd = weekDays[weekDays.length - 1].dateKey;
+    return monthEnd > weekEnd ? monthEnd : weekEnd;
+  }, [year, month, daysInMonth, weekDays]);
+
+  // Project upcoming occurrences of recurring tasks that don't exist yet.
+  // Only the latest occurrence of each series is projected from, since
+  // earlier ones already have their successor created.
+  const occurrencesByDate = useMemo(() => {
+    const grouped = {};
+    if (!Array.isArray(tasks)) return grouped;
+
+    const latestBySeries = {};
+    tasks.forEach(task => {
+      if (task.parentTaskId || !task.recurrenceRule || !task.dueDate) return;
+      const seriesId = task.recurrenceSeriesId || task.id;
+      const latest = latestBySeries[seriesId];
+      if (!latest || (task.recurrenceIndex || 1) > (latest.recurrenceIndex || 1)) {
+        latestBySeries[seriesId] = task;
+      }
+    });
+
+    Object.values(latestBySeries).forEach(task => {
+      getUpcomingOccurrences(task.recurrenceRule, task.dueDate, {
+        currentIndex: task.recurrenceIndex || 1,
+        limit: 62,
+        until: rangeEndKey,
+      }).forEach(({ index, dueDate }) => {
+        if (!grouped[dueDate]) {
+          grouped[dueDate] = [];
+        }
+        grouped[dueDate].push({ key: `${task.id}-${index}`, task });
+      });
+    });
+
+    return grouped;
+  }, [tasks, rangeEndKey]);
+
   // Get tasks for a specific day
   const getTasksForDay = useCallback((day) => {
     // Create YYYY-MM-DD format key
@@ -304,24 +370,10 @@ function CalendarView() {
   };
 
   // Get status label
-  const getStatusLabel = (status) => {
-    const labels = {
-      todo: 'To Do',
-      in_progress: 'In Progress',
-      completed: 'Done',
-    };
-    return labels[status] || status;
-  };
+  const getStatusLabel = (status) => getStatusName(status, statuses);
 
   // Get status dot color
-  const getStatusDotColor = (status) => {
-    const colors = {
-      todo: 'bg-gray-400',
-      in_progress: 'bg-blue-500',
-      completed: 'bg-green-500',
-    };
-    return colors[status] || 'bg-gray-400';
-  };
+  const getStatusDotColor = (status) => findStatus(statuses, status)?.color || '#94A3B8';
 
   // Check if date is today
   const isToday = (day) => {
@@ -357,7 +409,12 @@ function CalendarView() {
 
       if (task && dateKey) {
         try {
-          await updateTask(task.id, { due_date: dateKey });
+          const result = await updateTask(task.id, { due_date: dateKey });
+          // Still moved, but nobody is expected to work that day
+          const dayOff = getNonWorkingReason(dateKey, getWorkingCalendar());
+          if (result?.success && dayOff) {
+            toast.warning(`"${task.title}" is now due on a day off (${dayOff})`);
+          }
         } catch (error) {
           await fetchTasks();
         }
@@ -365,7 +422,7 @@ function CalendarView() {
     }
 
     setTimeout(() => setIsDragging(false), 100);
-  }, [updateTask, fetchTasks]);
+  }, [updateTask, fetchTasks, getWorkingCalendar]);
 
   // Generate calendar days
   const calendarDays = [];
@@ -538,7 +595,7 @@ function CalendarView() {
                 {({ ref, isOver }) => (
                   <div
                     ref={ref}
-                    className={`border-r border-b border-border last:border-r-0 p-2.5 transition-all duration-150 bg-card hover:bg-muted/50 ${holiday ? 'bg-red-50/50' : ''} ${isToday(day) ? 'ring-1 ring-inset ring-primary/20 bg-accent/30' : ''} ${
+                    className={`border-r border-b border-border last:border-r-0 p-2.5 transition-all duration-150 bg-card hover:bg-muted/50 ${holiday ? getHolidayStyle(holiday).cell : ''} ${isToday(day) ? 'ring-1 ring-inset ring-primary/20 bg-accent/30' : ''} ${
                       isOver ? 'bg-accent/60 ring-2 ring-inset ring-primary/40' : ''
                     }`}
                   >
@@ -577,8 +634,8 @@ function CalendarView() {
 
                       {/* Holiday label */}
                       {holiday && (
-                        <div className="text-xs text-red-600 font-medium truncate mb-1.5" title={holiday.localName || holiday.name}>
-                          {holiday.localName || holiday.name}
+                        <div className={`text-xs ${getHolidayStyle(holiday).text} font-medium truncate mb-1.5`} title={getHolidayTitle(holiday)}>
+                          {getHolidayLabel(holiday)}
                         </div>
                       )}
 
@@ -588,7 +645,9 @@ function CalendarView() {
                           const dayTasks = getTasksForDay(day);
                           const maxVisible = holiday ? 2 : 3;
                           const visibleTasks = dayTasks.slice(0, maxVisible);
-                          const remainingCount = dayTasks.length - maxVisible;
+                          const dayOccurrences = occurrencesByDate[dateKey] || [];
+                          const visibleOccurrences = dayOccurrences.slice(0, Math.max(maxVisible - visibleTasks.length, 0));
+                          const remainingCount = dayTasks.length + dayOccurrences.length - visibleTasks.length - visibleOccurrences.length;
 
                           return (
                             <>
@@ -601,17 +660,24 @@ function CalendarView() {
                                       {...listeners}
                                       onClick={() => handleTaskClick(task)}
                                       className={`text-xs font-medium py-1.5 px-2 rounded-md border border-l-[3px] ${getPriorityBorderColor(task.priority)} cursor-move hover:shadow-sm hover:opacity-90 transition-all duration-150 ${getPriorityColor(task.priority)} ${isTaskDragging ? 'opacity-50' : ''}`}
-                                      title={`${task.title}\n${task.description || ''}\nPriority: ${task.priority || 'none'}\nStatus: ${task.status}`}
+                                      title={`${task.title}\n${task.description || ''}\nPriority: ${task.priority || 'none'}\nStatus: ${getStatusLabel(task.status)}`}
                                     >
                                       <div className="line-clamp-2 leading-snug">{task.title}</div>
                                       <div className="flex items-center gap-1 mt-0.5">
-                                        <span className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${getStatusDotColor(task.status)}`} />
+                                        <span className="w-1.5 h-1.5 rounded-full flex-shrink-0" style={{ backgroundColor: getStatusDotColor(task.status) }} />
                                         <span className="text-[10px] text-muted-foreground truncate">{getStatusLabel(task.status)}</span>
                                       </div>
                                     </div>
                                   )}
                                 </DraggableCalendarTask>
                               ))}
+                              {visibleOccurrences.map((occurrence) => (
+                                <ProjectedOccurrence
+                                  key={occurrence.key}
+                                  occurrence={occurrence}
+                                  onClick={() => handleTaskClick(occurrence.task)}
+                                />
+                              ))}
                               {remainingCount > 0 && (
                                 <div className="text-xs text-muted-foreground hover:text-foreground cursor-pointer px-2 py-0.5 transition-colors">
                                   +{remainingCount} more
@@ -643,7 +709,7 @@ function CalendarView() {
                 <div
                   key={index}
                   className={`py-3 text-center border-r border-border last:border-r-0 ${
-                    holiday ? 'bg-red-50/50' : ''
+                    holiday ? getHolidayStyle(holiday).cell : ''
                   } ${isTodayDate(day.date) ? 'bg-accent/30' : ''}`}
                 >
                   <div className="text-xs font-medium text-muted-foreground uppercase tracking-wider">
@@ -660,7 +726,7 @@ function CalendarView() {
                   </div>
                   {/* Holiday indicator dot */}
                   {holiday && (
-                    <div className="w-2 h-2 rounded-full bg-red-400 mx-auto mt-1" title={holiday.localName || holiday.name} />
+                    <div className={`w-2 h-2 rounded-full ${getHolidayStyle(holiday).dot} mx-auto mt-1`} title={getHolidayTitle(holiday)} />
                   )}
                 </div>
               );
@@ -679,15 +745,15 @@ function CalendarView() {
                     <div
                       ref={ref}
                       className={`border-r border-border last:border-r-0 flex flex-col transition-all duration-150 ${
-                        holiday ? 'bg-red-50/50' : ''
+                        holiday ? getHolidayStyle(holiday).cell : ''
                       } ${isTodayDate(day.date) ? 'bg-accent/30' : 'bg-card'} ${
                         isOver ? 'bg-accent/60 ring-2 ring-inset ring-primary/40' : ''
                       }`}
                     >
                       {/* Holiday label at top of column */}
                       {holiday && (
-                        <div className="px-2 py-1 text-xs text-red-600 font-medium bg-red-50 border-b border-red-100 truncate" title={holiday.localName || holiday.name}>
-                          {holiday.localName || holiday.name}
+                        <div className={`px-2 py-1 text-xs ${getHolidayStyle(holiday).text} font-medium ${getHolidayStyle(holiday).banner} border-b truncate`} title={getHolidayTitle(holiday)}>
+                          {getHolidayLabel(holiday)}
                         </div>
                       )}
 
@@ -715,17 +781,24 @@ function CalendarView() {
                                 {...listeners}
                                 onClick={() => handleTaskClick(task)}
                                 className={`text-xs font-medium py-1.5 px-2 rounded-md border border-l-[3px] ${getPriorityBorderColor(task.priority)} cursor-move hover:shadow-sm hover:opacity-90 transition-all duration-150 ${getPriorityColor(task.priority)} ${isTaskDragging ? 'opacity-50' : ''}`}
-                                title={`${task.title}\n${task.description || ''}\nPriority: ${task.priority || 'none'}\nStatus: ${task.status}`}
+                                title={`${task.title}\n${task.description || ''}\nPriority: ${task.priority || 'none'}\nStatus: ${getStatusLabel(task.status)}`}
                               >
                                 <div className="line-clamp-2 leading-snug">{task.title}</div>
                                 <div className="flex items-center gap-1 mt-0.5">
-                                  <span className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${getStatusDotColor(task.status)}`} />
+                                  <span className="w-1.5 h-1.5 rounded-full flex-shrink-0" style={{ backgroundColor: getStatusDotColor(task.status) }} />
                                   <span className="text-[10px] text-muted-foreground truncate">{getStatusLabel(task.status)}</span>
                                 </div>
                               </div>
                             )}
                           </DraggableCalendarTask>
                         ))}
+                        {(occurrencesByDate[day.dateKey] || []).map((occurrence) => (
+                          <ProjectedOccurrence
+                            key={occurrence.key}
+                            occurrence={occurrence}
+                            onClick={() => handleTaskClick(occurrence.task)}
+                          />
+                        ))}
                       </div>
                     </div>
                   )}
@@ -776,8 +849,8 @@ function CalendarView() {
                   const dateKey = `${currentDate.getFullYear()}-${mm}-${dd}`;
                   const holiday = getHolidayByDate(dateKey);
                   return holiday ? (
-                    <div className="text-xs text-red-600 font-medium mt-1">
-                      {holiday.localName || holiday.name}
+                    <div className={`text-xs ${getHolidayStyle(holiday).text} font-medium mt-1`} title={getHolidayTitle(holiday)}>
+                      {getHolidayLabel(holiday)}
                     </div>
                   ) : null;
                 })()}
@@ -867,7 +940,7 @@ function CalendarView() {
                         <span className="text-xs px-1.5 py-0.5 bg-accent text-primary rounded-full">Today</span>
                       )}
                       {holiday && (
-                        <span className="text-xs text-red-600 font-medium">{holiday.localName || holiday.name}</span>
+                        <span className={`text-xs ${getHolidayStyle(holiday).text} font-medium`} title={getHolidayTitle(holiday)}>{getHolidayLabel(holiday)}</span>
                       )}
                     </div>
                     <button
@@ -931,8 +1004,9 @@ function CalendarView() {
                         setIsModalOpen(true);
                       }}
                       className={`p-2 text-center transition-all duration-150 ${
-                        holiday ? 'bg-red-50/70' : ''
+                        holiday ? getHolidayStyle(holiday).cell : ''
                       } ${isTodayDate(day.date) ? 'bg-accent/50' : ''}`}
+                      title={holiday ? getHolidayTitle(holiday) : undefined}
                     >
                       <span className="text-xs text-muted-foreground block">
                         {dayNamesShort[day.dayOfWeek]}
@@ -942,7 +1016,7 @@ function CalendarView() {
                           isTodayDate(day.date)
                             ? 'flex items-center justify-center w-6 h-6 bg-primary text-primary-foreground rounded-full mx-auto'
                             : holiday
-                            ? 'text-red-600'
+                            ? getHolidayStyle(holiday).text
                             : 'text-foreground'
                         }`}
                       >
@@ -964,7 +1038,7 @@ function CalendarView() {
                         </div>
                       )}
                       {holiday && !hasTask && (
-                        <div className="w-1.5 h-1.5 rounded-full bg-red-400 mx-auto mt-1" />
+                        <div className={`w-1.5 h-1.5 rounded-full ${getHolidayStyle(holiday).dot} mx-auto mt-1`} />
                       )}
                     </button>
                   );
@@ -1,9 +1,12 @@
 import { useState, useEffect, lazy, Suspense } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { LayoutGrid, Calendar, List, Menu, Settings, Users, CreditCard, LogOut, PanelLeftClose, PanelLeft, Plus, Loader2, Sun, Moon } from 'lucide-react';
+import { LayoutGrid, Calendar, List, ChartGantt, Gauge, ChartColumn, Menu, Settings, Users, CreditCard, LogOut, PanelLeftClose, PanelLeft, Plus, Loader2, Sun, Moon, Search } from 'lucide-react';
 import { AnimatePresence, motion } from 'framer-motion';
 import useAuthStore from '../store/authStore';
+import useWorkspaceStore from '../store/workspaceStore';
 import WorkspaceSwitcher from '../components/WorkspaceSwitcher';
+import CommandPalette from '../components/CommandPalette';
+import NotificationBell from '../components/NotificationBell';
 import { Button } from 'components/ui/button';
 import { Sheet, SheetContent, SheetTitle } from 'components/ui/sheet';
 import { Avatar, AvatarFallback } from 'components/ui/avatar';
@@ -13,6 +16,9 @@ import * as VisuallyHidden from '@radix-ui/react-visually-hidden';
 const TaskList = lazy(() => import('../components/TaskList'));
 const CalendarView = lazy(() => import('./CalendarView'));
 const ListView = lazy(() => import('./ListView'));
+const TimelineView = lazy(() => import('./TimelineView'));
+const WorkloadView = lazy(() => import('./WorkloadView'));
+const AnalyticsView = lazy(() => import('./AnalyticsView'));
 
 // Lightweight loader for view transitions
 const ViewLoader = () => (
@@ -24,13 +30,15 @@ const ViewLoader = () => (
 function Dashboard() {
   const navigate = useNavigate();
   const { user, logout } = useAuthStore();
-  const [activeView, setActiveView] = useState('board'); // 'board', 'list', or 'calendar'
+  const isWorkspaceAdmin = useWorkspaceStore((s) => s.currentWorkspace?.userRole === 'admin');
+  const [activeView, setActiveView] = useState('board'); // 'board', 'list', 'calendar', 'timeline', 'workload' or 'analytics'
   const [isLoggingOut, setIsLoggingOut] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(() => {
     return typeof window !== 'undefined' && window.matchMedia('(min-width: 768px) and (max-width: 1024px)').matches;
   });
   const [showMobileAddTask, setShowMobileAddTask] = useState(false);
+  const [isCommandPaletteOpen, setIsCommandPaletteOpen] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(() => {
     if (typeof window !== 'undefined') {
       return localStorage.getItem('todoria_dark_mode') === 'true' ||
@@ -55,6 +63,25 @@ function Dashboard() {
     return () => tabletQuery.removeEventListener('change', handleTabletChange);
   }, []);
 
+  // Analytics is for admins only; leave it after switching to a workspace where the user isn't one
+  useEffect(() => {
+    if (activeView === 'analytics' && !isWorkspaceAdmin) {
+      setActiveView('board');
+    }
+  }, [activeView, isWorkspaceAdmin]);
+
+  // Cmd/Ctrl+K opens the search palette from any view
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+        e.preventDefault();
+        setIsCommandPaletteOpen((prev) => !prev);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   const handleLogout = async () => {
     setIsLoggingOut(true);
     await logout();
@@ -71,6 +98,10 @@ function Dashboard() {
     { id: 'board', label: 'Task Board', icon: LayoutGrid },
     { id: 'list', label: 'List', icon: List },
     { id: 'calendar', label: 'Calendar', icon: Calendar },
+    { id: 'timeline', label: 'Timeline', icon: ChartGantt },
+    { id: 'workload', label: 'Workload', icon: Gauge },
+    // Reporting is for workspace admins only
+    ...(isWorkspaceAdmin ? [{ id: 'analytics', label: 'Analytics', icon: ChartColumn }] : []),
   ];
 
   const sidebarContent = (mobile = false) => (
@@ -94,6 +125,32 @@ function Dashboard() {
         </div>
       )}
 
+      {/* Search */}
+      <div className={`${isSidebarCollapsed && !mobile ? 'px-1' : 'px-3'}`}>
+        <button
+          onClick={() => {
+            setIsMobileMenuOpen(false);
+            setIsCommandPaletteOpen(true);
+          }}
+          title={isSidebarCollapsed && !mobile ? 'Search (⌘K)' : undefined}
+          className={`flex items-center ${isSidebarCollapsed && !mobile ? 'justify-center' : 'gap-3 px-3'} h-11 sm:h-9 w-full rounded-lg text-sm text-muted-foreground hover:bg-accent/50 hover:text-foreground transition-all duration-150`}
+        >
+          <Search size={18} />
+          {(!isSidebarCollapsed || mobile) && (
+            <>
+              <span className="flex-1 text-left">Search</span>
+              {!mobile && (
+                <kbd className="text-[11px] font-mono text-muted-foreground border border-border rounded px-1.5">⌘K</kbd>
+              )}
+            </>
+          )}
+        </button>
+        <NotificationBell
+          label={!isSidebarCollapsed || mobile}
+          className={`${isSidebarCollapsed && !mobile ? 'justify-center' : 'gap-3 px-3'} h-11 sm:h-9 w-full rounded-lg text-sm hover:bg-accent/50`}
+        />
+      </div>
+
       {/* Views Section */}
       <div className={`${isSidebarCollapsed && !mobile ? 'px-1' : 'px-3'}`}>
         {(!isSidebarCollapsed || mobile) && (
@@ -254,6 +311,7 @@ function Dashboard() {
             <span className="w-2 h-2 rounded-full bg-primary inline-block" />
           </span>
           <div className="flex-1" />
+          <NotificationBell className="justify-center h-10 w-10 mr-1 rounded-lg" />
           <Button
             onClick={() => setShowMobileAddTask(true)}
             size="default"
@@ -284,6 +342,12 @@ function Dashboard() {
                     <TaskList mobileAddTask={showMobileAddTask} onMobileAddTaskClose={() => setShowMobileAddTask(false)} />
                   ) : activeView === 'list' ? (
                     <ListView mobileAddTask={showMobileAddTask} onMobileAddTaskClose={() => setShowMobileAddTask(false)} />
+                  ) : activeView === 'timeline' ? (
+                    <TimelineView />
+                  ) : activeView === 'workload' ? (
+                    <WorkloadView />
+                  ) : activeView === 'analytics' ? (
+                    <AnalyticsView />
                   ) : (
                     <CalendarView mobileAddTask={showMobileAddTask} onMobileAddTaskClose={() => setShowMobileAddTask(false)} />
                   )}
@@ -293,6 +357,8 @@ function Dashboard() {
           </div>
         </main>
       </div>
+
+      <CommandPalette open={isCommandPaletteOpen} onOpenChange={setIsCommandPaletteOpen} />
     </div>
   );
 }
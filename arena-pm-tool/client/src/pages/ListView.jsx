@@ -17,11 +17,15 @@ import {
   Loader2,
   SearchX,
   ListTodo,
+  Columns3,
 } from 'lucide-react';
 import useTaskStore from '../store/taskStore';
 import useCategoryStore from '../store/categoryStore';
 import useUserStore from '../store/userStore';
 import useWorkspaceStore from '../store/workspaceStore';
+import useStatusStore from '../store/statusStore';
+import useCustomFieldStore from '../store/customFieldStore';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 import FilterDropdown from '../components/FilterDropdown';
 import TaskModal from '../components/TaskModal';
 import TaskDetailModal from '../components/TaskDetailModal';
@@ -30,12 +34,24 @@ import AssigneeDropdown from '../components/AssigneeDropdown';
 import { InlineSpinner, TaskRowSkeleton } from '../components/Loader';
 import EmptyState from '../components/EmptyState';
 import BoardStats from '../components/BoardStats';
+import BulkActionBar from '../components/BulkActionBar';
 import { toLocalDate, toUTCISOString, formatDueDate, isOverdue } from '../utils/dateUtils';
 import { priorityPillStyles, priorityDotColors } from '../utils/priorityStyles';
+import { getStatusCategory, getStatusOrder } from '../utils/workflowStatuses';
+import { getCustomFieldValue, formatCustomFieldValue, loadVisibleFieldIds, saveVisibleFieldIds } from '../utils/customFields';
 import { useTaskActions } from '../hooks/useTaskActions';
 import { useTaskFilters } from '../hooks/useTaskFilters';
+import { useSavedViews } from '../hooks/useSavedViews';
+import { useTaskSelection } from '../hooks/useTaskSelection';
 import { Button } from 'components/ui/button';
 import { Input } from 'components/ui/input';
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuTrigger,
+} from 'components/ui/dropdown-menu';
 import {
   AlertDialog,
   AlertDialogContent,
@@ -50,8 +66,12 @@ import {
 // Context for sharing ListView state with virtualized row components
 const ListViewContext = createContext(null);
 
-// Grid column template for div-based virtualized rows
-const GRID_COLS = "grid grid-cols-[40px_1fr_100px_140px_140px_90px] items-center";
+// Grid for div-based virtualized rows; columns come from getGridTemplate
+const GRID_COLS = "grid items-center";
+
+// Fixed columns plus one per visible custom field (inserted before Actions)
+const getGridTemplate = (customColumnCount) =>
+  ['40px', '1fr', '100px', '140px', '140px', ...Array(customColumnCount).fill('120px'), '90px'].join(' ');
 
 // Virtual row dispatcher — delegates to header or task row
 function VirtualRow({ index, style, ariaAttributes, allRows }) {
@@ -94,7 +114,7 @@ function VirtualTaskRow({ row, style, ariaAttributes }) {
   const ctx = useContext(ListViewContext);
   const task = row.task;
   const isSubtask = row.type === 'subtask';
-  const isCompleted = task.status === 'completed';
+  const isCompleted = ctx.isTaskCompleted(task);
   const draggableId = `${isSubtask ? 'subtask' : 'task'}-${task.id}`;
 
   const { attributes, listeners, setNodeRef, isDragging } = useSortable({
@@ -107,14 +127,24 @@ function VirtualTaskRow({ row, style, ariaAttributes }) {
   const isExpanded = ctx.expandedTasks[task.id];
   const isToggling = ctx.togglingTaskIds.has(task.id);
   const taskOverdue = ctx.isTaskOverdue(task);
+  const isSelected = ctx.selectedTaskIds.has(task.id);
+
+  // Shift selects a range, Cmd/Ctrl toggles this row; either skips the row's own buttons
+  const handleClickCapture = (e) => {
+    if (!ctx.handleSelectTask || !(e.shiftKey || e.metaKey || e.ctrlKey)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    ctx.handleSelectTask(task.id, { range: e.shiftKey });
+  };
 
   return (
     <div
       ref={setNodeRef}
       {...ariaAttributes}
       {...attributes}
-      style={style}
-      className={`${GRID_COLS} border-b border-border hover:bg-muted/50 transition-colors duration-150 ${isCompleted ? 'opacity-50' : ''} ${isDragging ? 'bg-muted shadow-sm opacity-50' : ''}`}
+      onClickCapture={handleClickCapture}
+      style={{ ...style, ...ctx.gridStyle }}
+      className={`${GRID_COLS} border-b border-border hover:bg-muted/50 transition-colors duration-150 ${isCompleted ? 'opacity-50' : ''} ${isDragging ? 'bg-muted shadow-sm opacity-50' : ''} ${isSelected ? 'bg-primary/10 hover:bg-primary/10' : ''}`}
     >
       {/* Drag handle + expand/collapse */}
       <div className="px-3 py-2">
@@ -278,6 +308,18 @@ function VirtualTaskRow({ row, style, ariaAttributes }) {
         </div>
       </div>
 
+      {/* Custom field columns */}
+      {ctx.visibleFields.map((field) => {
+        const text = formatCustomFieldValue(field, getCustomFieldValue(task, field));
+        return (
+          <div key={field.id} className="px-3 py-2 min-w-0">
+            <span className={`block truncate text-xs ${text ? 'text-foreground' : 'text-muted-foreground'}`} title={text || undefined}>
+              {text || '—'}
+            </span>
+          </div>
+        );
+      })}
+
       {/* Actions */}
       <div className="px-3 py-2">
         <div className="flex items-center justify-end gap-1">
@@ -334,6 +376,11 @@ function ListView() {
   const { categories, fetchCategories, isLoading: isCategoriesLoading } = useCategoryStore();
   const { users, fetchUsers } = useUserStore();
   const { currentWorkspaceId } = useWorkspaceStore();
+  const { canEdit } = useWorkspace();
+  const userCanEdit = canEdit();
+  const { statuses } = useStatusStore();
+  const { fields: customFields } = useCustomFieldStore();
+  const [visibleFieldIds, setVisibleFieldIds] = useState(loadVisibleFieldIds);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
   const [, setDefaultCategoryId] = useState(null);
@@ -354,8 +401,6 @@ function ListView() {
 
   // eslint-disable-next-line react-hooks/exhaustive-deps
   const PRIORITY_ORDER = useMemo(() => ({ urgent: 0, high: 1, medium: 2, low: 3 }), []);
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  const STATUS_ORDER = useMemo(() => ({ todo: 0, in_progress: 1, completed: 2 }), []);
 
   const handleSort = (key) => {
     setSortConfig(prev => ({
@@ -373,7 +418,15 @@ function ListView() {
     setFilters,
     filteredTasks,
     clearSearch,
+    applyView,
   } = useTaskFilters(tasks);
+  const savedViews = useSavedViews({
+    onApply: (view) => {
+      applyView(view);
+      if (view.sort) setSortConfig(view.sort);
+    },
+    currentState: { filters, search: searchQuery, sort: sortConfig },
+  });
 
   // Get the selected task from the tasks array to ensure it's always fresh
   const selectedTask = selectedTaskId ? tasks.find(t => t.id === selectedTaskId) : null;
@@ -386,10 +439,12 @@ function ListView() {
     }
   }, [fetchTasks, fetchCategories, fetchUsers, currentWorkspaceId]);
 
-  // Cmd+K to focus search
+  // / to focus search (Cmd/Ctrl+K opens the search palette)
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+      const tag = e.target.tagName;
+      const isTyping = tag === 'INPUT' || tag === 'TEXTAREA' || e.target.isContentEditable;
+      if (e.key === '/' && !isTyping && !e.metaKey && !e.ctrlKey) {
         e.preventDefault();
         searchInputRef.current?.focus();
       }
@@ -608,7 +663,9 @@ function ListView() {
     return tasks.filter(task => task.parentTaskId === parentTaskId);
   }, [tasks]);
 
-  const isTaskOverdue = useCallback((task) => isOverdue(task.dueDate, task.status), []);
+  const isTaskCompleted = useCallback((task) => getStatusCategory(task, statuses) === 'done', [statuses]);
+
+  const isTaskOverdue = useCallback((task) => isOverdue(task.dueDate, getStatusCategory(task, statuses)), [statuses]);
 
   const sortTasks = useCallback((tasksToSort) => {
     return [...tasksToSort].sort((a, b) => {
@@ -633,14 +690,14 @@ function ListView() {
           break;
         }
         case 'status':
-          comparison = (STATUS_ORDER[a.status] ?? 99) - (STATUS_ORDER[b.status] ?? 99);
+          comparison = getStatusOrder(a.status, statuses) - getStatusOrder(b.status, statuses);
           break;
         default:
           comparison = 0;
       }
       return sortConfig.direction === 'asc' ? comparison : -comparison;
     });
-  }, [sortConfig, PRIORITY_ORDER, STATUS_ORDER]);
+  }, [sortConfig, PRIORITY_ORDER, statuses]);
 
   // Memoize inline editing handlers
   const toggleDropdown = useCallback((taskId, dropdownType) => {
@@ -765,6 +822,25 @@ function ListView() {
     return rows;
   }, [visibleCategories, tasksByCategory, collapsedCategories, expandedTasks, getSubtasks]);
 
+  // Multi-select follows the rows as shown, including expanded subtasks
+  const orderedTaskIds = useMemo(() =>
+    allRows
+      .filter(row => row.type === 'task' || row.type === 'subtask')
+      .map(row => row.task.id),
+    [allRows]
+  );
+  const { selectedTaskIds, selectedIds, handleSelect, clearSelection } = useTaskSelection(orderedTaskIds);
+
+  // Escape clears the selection
+  useEffect(() => {
+    if (selectedIds.length === 0) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') clearSelection();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [selectedIds.length, clearSelection]);
+
   // Sortable item IDs for the single SortableContext
   const sortableItems = useMemo(() =>
     allRows
@@ -773,6 +849,24 @@ function ListView() {
     [allRows]
   );
 
+  // Custom fields the user chose to show as columns, in workspace order
+  const visibleFields = useMemo(
+    () => customFields.filter(field => visibleFieldIds.includes(field.id)),
+    [customFields, visibleFieldIds]
+  );
+  const gridStyle = useMemo(
+    () => ({ gridTemplateColumns: getGridTemplate(visibleFields.length) }),
+    [visibleFields.length]
+  );
+
+  const toggleFieldColumn = (fieldId) => {
+    setVisibleFieldIds(prev => {
+      const next = prev.includes(fieldId) ? prev.filter(id => id !== fieldId) : [...prev, fieldId];
+      saveVisibleFieldIds(next);
+      return next;
+    });
+  };
+
   // Context value for virtual row components
   const listViewCtx = useMemo(() => ({
     expandedTasks,
@@ -782,6 +876,7 @@ function ListView() {
     users,
     dropdownRefs,
     getSubtasks,
+    isTaskCompleted,
     isTaskOverdue,
     handleToggleComplete,
     handleOpenDetail,
@@ -795,11 +890,15 @@ function ListView() {
     handleAddSubtask: handleAddSubtask,
     handleEdit,
     handleDelete,
+    visibleFields,
+    gridStyle,
+    selectedTaskIds,
+    handleSelectTask: userCanEdit ? handleSelect : null,
   }), [expandedTasks, collapsedCategories, togglingTaskIds, activeDropdown, users,
-    getSubtasks, isTaskOverdue, handleToggleComplete, handleOpenDetail,
+    getSubtasks, isTaskCompleted, isTaskOverdue, handleToggleComplete, handleOpenDetail,
     toggleTaskExpansion, toggleCategoryCollapse, toggleDropdown, closeDropdown,
     handlePrioritySelect, handleDateSelect, handleAssigneeToggle, handleAddSubtask,
-    handleEdit, handleDelete]);
+    handleEdit, handleDelete, visibleFields, gridStyle, selectedTaskIds, userCanEdit, handleSelect]);
 
   const isLoadingData = isLoading || isFetching || isCategoriesLoading;
   const disableControls = isLoadingData;
@@ -842,7 +941,7 @@ function ListView() {
               type="text"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="Search tasks... (Cmd+K)"
+              placeholder="Search tasks..."
               className="pl-9 sm:pl-10 pr-9 sm:pr-10"
               disabled={disableControls}
             />
@@ -857,11 +956,39 @@ function ListView() {
                 <X size={18} />
               </button>
             )}
-            {!searchQuery && <span className="absolute right-3 top-1/2 -translate-y-1/2 hidden sm:inline-flex items-center gap-0.5 bg-muted rounded-md px-1.5 py-0.5 text-[11px] font-mono text-muted-foreground">Cmd+K</span>}
+            {!searchQuery && <span className="absolute right-3 top-1/2 -translate-y-1/2 hidden sm:inline-flex items-center gap-0.5 bg-muted rounded-md px-1.5 py-0.5 text-[11px] font-mono text-muted-foreground">/</span>}
           </div>
 
           {/* Filter Dropdown */}
-          <FilterDropdown filters={filters} onFiltersChange={setFilters} disabled={disableControls} />
+          <FilterDropdown filters={filters} onFiltersChange={setFilters} savedViews={savedViews} disabled={disableControls} />
+
+          {/* Custom field column picker (desktop table only) */}
+          {customFields.length > 0 && (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="outline" className="hidden md:inline-flex" disabled={disableControls}>
+                  <Columns3 size={16} />
+                  <span>Columns</span>
+                  {visibleFields.length > 0 && (
+                    <span className="text-xs text-muted-foreground">({visibleFields.length})</span>
+                  )}
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end" className="w-52">
+                <DropdownMenuLabel>Custom fields</DropdownMenuLabel>
+                {customFields.map((field) => (
+                  <DropdownMenuCheckboxItem
+                    key={field.id}
+                    checked={visibleFieldIds.includes(field.id)}
+                    onCheckedChange={() => toggleFieldColumn(field.id)}
+                    onSelect={(e) => e.preventDefault()}
+                  >
+                    {field.name}
+                  </DropdownMenuCheckboxItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
         </div>
       </div>
 
@@ -912,7 +1039,7 @@ function ListView() {
             {/* Desktop Virtualized View */}
             <div className="w-full hidden md:block">
               {/* Column Headers */}
-              <div className={`${GRID_COLS} bg-muted/80 border-b border-border`}>
+              <div className={`${GRID_COLS} bg-muted/80 border-b border-border`} style={gridStyle}>
                 <div className="px-3 py-2"></div>
                 <div className="text-left px-3 py-2 text-xs font-semibold uppercase tracking-wide text-foreground cursor-pointer hover:text-foreground/80 select-none"
                     onClick={() => handleSort('title')}>
@@ -950,6 +1077,11 @@ function ListView() {
                     )}
                   </div>
                 </div>
+                {visibleFields.map((field) => (
+                  <div key={field.id} className="text-left px-3 py-2 text-xs font-semibold uppercase tracking-wide text-foreground truncate" title={field.name}>
+                    {field.name}
+                  </div>
+                ))}
                 <div className="text-right px-3 py-2 text-xs font-semibold uppercase tracking-wide text-foreground">Actions</div>
               </div>
               {/* Quick-Add Row */}
@@ -1036,7 +1168,7 @@ function ListView() {
                       {!isCategoryCollapsed && (
                         <div className="divide-y divide-border">
                           {categoryTasks.map((task) => {
-                            const isCompleted = task.status === 'completed';
+                            const isCompleted = isTaskCompleted(task);
                             const isToggling = togglingTaskIds.has(task.id);
                             const subtasks = getSubtasks(task.id);
                             const hasSubtasks = subtasks.length > 0;
@@ -1174,7 +1306,7 @@ function ListView() {
 
                                 {/* Subtasks (expanded) */}
                                 {isExpanded && subtasks.map((subtask) => {
-                                  const isSubtaskCompleted = subtask.status === 'completed';
+                                  const isSubtaskCompleted = isTaskCompleted(subtask);
                                   const isSubtaskToggling = togglingTaskIds.has(subtask.id);
 
                                   return (
@@ -1310,6 +1442,15 @@ function ListView() {
         </AlertDialogContent>
       </AlertDialog>
 
+      {/* Bulk actions for multi-selected rows */}
+      {userCanEdit && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          onClear={clearSelection}
+          categories={categories}
+        />
+      )}
+
       {/* Task Detail Modal */}
       <TaskDetailModal
         task={selectedTask}
@@ -0,0 +1,460 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { ChevronLeft, ChevronRight, ChartGantt } from 'lucide-react';
+import { DndContext, useDraggable } from '@dnd-kit/core';
+import { toast } from 'sonner';
+import useTaskStore from '../store/taskStore';
+import useCategoryStore from '../store/categoryStore';
+import useHolidayStore from '../store/holidayStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import TaskModal from '../components/TaskModal';
+import EmptyState from '../components/EmptyState';
+import { PageLoader } from '../components/Loader';
+import { Button } from 'components/ui/button';
+import { useDndSensors } from '../hooks/useDndSensors';
+import { tasksAPI } from '../utils/api';
+import { getNonWorkingReason, toDateKey, formatDueDate, formatDueDateLong } from '../utils/dateUtils';
+import {
+  shiftDateKey,
+  daysBetween,
+  getTimelineDays,
+  applyTimelineDrag,
+  getTimelineChanges,
+  groupTimelineTasks,
+  getBarPosition,
+  getDependencyPath,
+} from '../utils/timeline';
+
+const DAY_WIDTH = 32;
+const ROW_HEIGHT = 36;
+const GROUP_HEIGHT = 32;
+const LABEL_WIDTH = 208;
+const VISIBLE_DAYS = 42;
+
+const WEEKDAY_INITIALS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const PRIORITY_BAR_COLORS = {
+  urgent: 'bg-red-500/80 hover:bg-red-500',
+  high: 'bg-orange-500/80 hover:bg-orange-500',
+  medium: 'bg-amber-500/80 hover:bg-amber-500',
+  low: 'bg-blue-500/80 hover:bg-blue-500',
+};
+
+// Monday of the week before the one containing `date`, so today isn't on the left edge
+const getDefaultRangeStart = (date = new Date()) => {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const day = d.getDay();
+  d.setDate(d.getDate() - (day === 0 ? 6 : day - 1) - 7);
+  return toDateKey(d);
+};
+
+// Render-prop wrapper for the draggable parts of a bar: its body ('move') and edges ('start', 'end')
+function DraggableBarPart({ task, mode, children }) {
+  const { attributes, listeners, setNodeRef } = useDraggable({
+    id: `timeline-${mode}-${task.id}`,
+    data: { type: 'timeline-bar', task, mode },
+  });
+  return children({ ref: setNodeRef, attributes, listeners });
+}
+
+function TimelineView() {
+  const { tasks, isLoading: loading, fetchTasks, updateTask } = useTaskStore();
+  const { categories, fetchCategories } = useCategoryStore();
+  const { fetchHolidays, getWorkingCalendar } = useHolidayStore();
+  const currentWorkspaceId = useWorkspaceStore((s) => s.currentWorkspaceId);
+  const [rangeStart, setRangeStart] = useState(() => getDefaultRangeStart());
+  const [dependencies, setDependencies] = useState([]);
+  const [drag, setDrag] = useState(null); // { taskId, mode, days } while a bar is dragged
+  const [selectedTask, setSelectedTask] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const justDraggedRef = useRef(false);
+  const sensors = useDndSensors();
+
+  const days = useMemo(() => getTimelineDays(rangeStart, VISIBLE_DAYS), [rangeStart]);
+  const rangeEnd = days[days.length - 1];
+  const todayKey = toDateKey(new Date());
+
+  // Dependency arrows are a nicety, so a failed fetch just leaves them out
+  const fetchDependencies = useCallback(async () => {
+    if (!currentWorkspaceId) return;
+    try {
+      const response = await tasksAPI.getWorkspaceDependencies(currentWorkspaceId);
+      setDependencies(response.data.data.dependencies);
+    } catch (error) {
+      setDependencies([]);
+    }
+  }, [currentWorkspaceId]);
+
+  useEffect(() => {
+    fetchTasks();
+    fetchCategories();
+  }, [fetchTasks, fetchCategories, currentWorkspaceId]);
+
+  useEffect(() => {
+    fetchDependencies();
+  }, [fetchDependencies]);
+
+  // Holidays of every year the range touches, for shading days off
+  const startYear = Number(rangeStart.slice(0, 4));
+  const endYear = Number(rangeEnd.slice(0, 4));
+  useEffect(() => {
+    fetchHolidays(startYear, currentWorkspaceId);
+    if (endYear !== startYear) fetchHolidays(endYear, currentWorkspaceId);
+  }, [startYear, endYear, fetchHolidays, currentWorkspaceId]);
+
+  const groups = useMemo(() => groupTimelineTasks(tasks, categories), [tasks, categories]);
+
+  const unscheduledCount = useMemo(
+    () => tasks.filter((task) => !task.parentTaskId && !task.startDate && !task.dueDate).length,
+    [tasks]
+  );
+
+  // The span each bar shows, following the bar being dragged
+  const getDisplaySpan = useCallback((task, span) => (
+    drag && drag.taskId === task.id ? applyTimelineDrag(span, drag.mode, drag.days) : span
+  ), [drag]);
+
+  // Vertical middle of each task's row, for the dependency arrows
+  const { rowCenters, bodyHeight } = useMemo(() => {
+    const centers = {};
+    let top = 0;
+    groups.forEach((group) => {
+      top += GROUP_HEIGHT;
+      group.tasks.forEach(({ task }) => {
+        centers[task.id] = top + ROW_HEIGHT / 2;
+        top += ROW_HEIGHT;
+      });
+    });
+    return { rowCenters: centers, bodyHeight: top };
+  }, [groups]);
+
+  const arrows = useMemo(() => {
+    const spans = {};
+    groups.forEach((group) => group.tasks.forEach(({ task, span }) => {
+      spans[task.id] = getDisplaySpan(task, span);
+    }));
+
+    return dependencies
+      .filter(({ taskId, dependsOnTaskId }) => spans[taskId] && spans[dependsOnTaskId])
+      .map(({ taskId, dependsOnTaskId }) => {
+        const blocking = getBarPosition(spans[dependsOnTaskId], rangeStart, DAY_WIDTH);
+        const blocked = getBarPosition(spans[taskId], rangeStart, DAY_WIDTH);
+        return {
+          key: `${dependsOnTaskId}-${taskId}`,
+          path: getDependencyPath(
+            { x: blocking.left + blocking.width, y: rowCenters[dependsOnTaskId] },
+            { x: blocked.left, y: rowCenters[taskId] }
+          ),
+        };
+      });
+  }, [groups, dependencies, rangeStart, rowCenters, getDisplaySpan]);
+
+  const goToPrevious = () => setRangeStart((start) => shiftDateKey(start, -7));
+  const goToNext = () => setRangeStart((start) => shiftDateKey(start, 7));
+  const goToToday = () => setRangeStart(getDefaultRangeStart());
+
+  const handleTaskClick = (task) => {
+    // A drag ends with a click on the bar; don't open the task for it
+    if (justDraggedRef.current) return;
+    setSelectedTask(task);
+    setIsModalOpen(true);
+  };
+
+  const handleModalClose = () => {
+    setIsModalOpen(false);
+    setSelectedTask(null);
+    fetchTasks();
+    fetchDependencies();
+  };
+
+  const handleDragStart = useCallback((event) => {
+    const { task, mode } = event.active.data.current || {};
+    if (!task) return;
+    justDraggedRef.current = true;
+    setDrag({ taskId: task.id, mode, days: 0 });
+  }, []);
+
+  const handleDragMove = useCallback((event) => {
+    const dayDelta = Math.round(event.delta.x / DAY_WIDTH);
+    setDrag((current) => (current && current.days !== dayDelta ? { ...current, days: dayDelta } : current));
+  }, []);
+
+  const handleDragEnd = useCallback(async (event) => {
+    const { task, mode } = event.active.data.current || {};
+    const dayDelta = Math.round(event.delta.x / DAY_WIDTH);
+    setDrag(null);
+    setTimeout(() => { justDraggedRef.current = false; }, 100);
+
+    if (!task || dayDelta === 0) return;
+
+    const span = groups.flatMap((group) => group.tasks).find((entry) => entry.task.id === task.id)?.span;
+    if (!span) return;
+
+    const changes = getTimelineChanges(task, applyTimelineDrag(span, mode, dayDelta));
+    if (!changes) return;
+
+    const result = await updateTask(task.id, changes);
+    // Still moved, but nobody is expected to work that day
+    const dayOff = getNonWorkingReason(changes.due_date, getWorkingCalendar());
+    if (result?.success && dayOff) {
+      toast.warning(`"${task.title}" is now due on a day off (${dayOff})`);
+    }
+  }, [groups, updateTask, getWorkingCalendar]);
+
+  const handleDragCancel = useCallback(() => {
+    setDrag(null);
+    setTimeout(() => { justDraggedRef.current = false; }, 100);
+  }, []);
+
+  if (loading) {
+    return <PageLoader />;
+  }
+
+  const calendar = getWorkingCalendar();
+  const trackWidth = VISIBLE_DAYS * DAY_WIDTH;
+  const todayOffset = daysBetween(rangeStart, todayKey);
+
+  // Shading for days off, drawn behind every row
+  const dayBackground = (
+    <div className="absolute inset-0 flex pointer-events-none" aria-hidden="true">
+      {days.map((dateKey) => (
+        <div
+          key={dateKey}
+          className={`h-full border-r border-border/40 ${getNonWorkingReason(dateKey, calendar) ? 'bg-muted/60' : ''}`}
+          style={{ width: DAY_WIDTH }}
+        />
+      ))}
+      {todayOffset >= 0 && todayOffset < VISIBLE_DAYS && (
+        <div className="absolute top-0 bottom-0 w-px bg-primary/60" style={{ left: todayOffset * DAY_WIDTH + DAY_WIDTH / 2 }} />
+      )}
+    </div>
+  );
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Timeline Header */}
+      <div className="mb-4 sm:mb-6 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2 sm:gap-4">
+          <h2 className="text-lg sm:text-2xl font-semibold text-foreground">
+            {formatDueDate(rangeStart)} – {formatDueDateLong(rangeEnd)}
+          </h2>
+          <div className="flex items-center gap-1 sm:gap-2">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={goToPrevious}
+              className="h-8 w-8 sm:h-9 sm:w-9 text-muted-foreground hover:text-foreground"
+              title="Previous week"
+              aria-label="Previous week"
+            >
+              <ChevronLeft size={18} className="sm:w-5 sm:h-5" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={goToNext}
+              className="h-8 w-8 sm:h-9 sm:w-9 text-muted-foreground hover:text-foreground"
+              title="Next week"
+              aria-label="Next week"
+            >
+              <ChevronRight size={18} className="sm:w-5 sm:h-5" />
+            </Button>
+          </div>
+        </div>
+
+        <Button variant="outline" size="sm" onClick={goToToday}>
+          Today
+        </Button>
+      </div>
+
+      {groups.length === 0 ? (
+        <EmptyState
+          icon={ChartGantt}
+          title="Nothing scheduled yet"
+          description="Give tasks a due date, and a start date for longer work, to see them on the timeline."
+        />
+      ) : (
+        <DndContext
+          sensors={sensors}
+          onDragStart={handleDragStart}
+          onDragMove={handleDragMove}
+          onDragEnd={handleDragEnd}
+          onDragCancel={handleDragCancel}
+        >
+          <div className="bg-card rounded-2xl border border-border shadow-card overflow-x-auto">
+            <div style={{ width: LABEL_WIDTH + trackWidth }}>
+              {/* Day header */}
+              <div className="flex border-b border-border">
+                <div
+                  className="sticky left-0 z-10 bg-card border-r border-border px-3 flex items-end pb-2 text-xs font-medium text-muted-foreground uppercase tracking-wider"
+                  style={{ width: LABEL_WIDTH, minWidth: LABEL_WIDTH }}
+                >
+                  Task
+                </div>
+                <div className="flex">
+                  {days.map((dateKey, index) => {
+                    const date = new Date(`${dateKey}T00:00:00`);
+                    const dayOff = getNonWorkingReason(dateKey, calendar);
+                    const showMonth = index === 0 || date.getDate() === 1;
+                    return (
+                      <div
+                        key={dateKey}
+                        className={`flex flex-col items-center justify-end py-1.5 border-r border-border/40 ${dayOff ? 'bg-muted/60' : ''}`}
+                        style={{ width: DAY_WIDTH }}
+                        title={dayOff || undefined}
+                      >
+                        <span className="h-4 text-[10px] font-medium text-muted-foreground whitespace-nowrap">
+                          {showMonth ? formatDueDate(dateKey).split(' ')[0] : ''}
+                        </span>
+                        <span className="text-[10px] text-muted-foreground">{WEEKDAY_INITIALS[date.getDay()]}</span>
+                        <span
+                          className={`text-xs font-medium ${
+                            dateKey === todayKey
+                              ? 'flex items-center justify-center w-6 h-6 bg-primary text-primary-foreground rounded-full'
+                              : 'text-foreground'
+                          }`}
+                        >
+                          {date.getDate()}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Rows */}
+              <div className="relative" style={{ height: bodyHeight }}>
+                {groups.map((group) => (
+                  <div key={group.id ?? 'none'}>
+                    <div className="flex border-b border-border bg-muted/40" style={{ height: GROUP_HEIGHT }}>
+                      <div
+                        className="sticky left-0 z-10 bg-muted flex items-center gap-2 px-3 border-r border-border"
+                        style={{ width: LABEL_WIDTH, minWidth: LABEL_WIDTH }}
+                      >
+                        <span
+                          className="w-2.5 h-2.5 rounded-full flex-shrink-0 bg-muted-foreground/40"
+                          style={group.color ? { backgroundColor: group.color } : undefined}
+                        />
+                        <span className="text-sm font-semibold text-foreground truncate">{group.name}</span>
+                        <span className="text-xs text-muted-foreground">{group.tasks.length}</span>
+                      </div>
+                    </div>
+
+                    {group.tasks.map(({ task, span }) => {
+                      const displaySpan = getDisplaySpan(task, span);
+                      const { left, width } = getBarPosition(displaySpan, rangeStart, DAY_WIDTH);
+                      const isDraggingBar = drag?.taskId === task.id;
+                      const dates = displaySpan.start === displaySpan.end
+                        ? formatDueDateLong(displaySpan.end)
+                        : `${formatDueDate(displaySpan.start)} – ${formatDueDateLong(displaySpan.end)}`;
+
+                      return (
+                        <div key={task.id} className="flex border-b border-border/60" style={{ height: ROW_HEIGHT }}>
+                          <button
+                            type="button"
+                            onClick={() => handleTaskClick(task)}
+                            className="sticky left-0 z-10 bg-card hover:bg-accent text-left text-sm text-foreground truncate px-3 border-r border-border"
+                            style={{ width: LABEL_WIDTH, minWidth: LABEL_WIDTH }}
+                            title={task.title}
+                          >
+                            {task.title}
+                          </button>
+                          <div className="relative overflow-hidden" style={{ width: trackWidth }}>
+                            {dayBackground}
+                            <div
+                              className={`absolute top-1.5 bottom-1.5 flex rounded-md shadow-sm ${PRIORITY_BAR_COLORS[task.priority] || 'bg-muted-foreground/60'} ${isDraggingBar ? 'ring-2 ring-primary/60' : ''}`}
+                              style={{ left, width }}
+                            >
+                              <DraggableBarPart task={task} mode="start">
+                                {({ ref, attributes, listeners }) => (
+                                  <div
+                                    ref={ref}
+                                    {...attributes}
+                                    {...listeners}
+                                    aria-label={`Change start of ${task.title}`}
+                                    className="w-1.5 flex-shrink-0 cursor-ew-resize rounded-l-md hover:bg-black/20"
+                                  />
+                                )}
+                              </DraggableBarPart>
+                              <DraggableBarPart task={task} mode="move">
+                                {({ ref, attributes, listeners }) => (
+                                  <div
+                                    ref={ref}
+                                    {...attributes}
+                                    {...listeners}
+                                    onClick={() => handleTaskClick(task)}
+                                    aria-label={`${task.title}, ${dates}`}
+                                    title={`${task.title}\n${dates}`}
+                                    className="flex-1 min-w-0 flex items-center px-1 cursor-move"
+                                  >
+                                    <span className="text-xs font-medium text-white truncate">{task.title}</span>
+                                  </div>
+                                )}
+                              </DraggableBarPart>
+                              <DraggableBarPart task={task} mode="end">
+                                {({ ref, attributes, listeners }) => (
+                                  <div
+                                    ref={ref}
+                                    {...attributes}
+                                    {...listeners}
+                                    aria-label={`Change due date of ${task.title}`}
+                                    className="w-1.5 flex-shrink-0 cursor-ew-resize rounded-r-md hover:bg-black/20"
+                                  />
+                                )}
+                              </DraggableBarPart>
+                            </div>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+
+                {/* Dependency arrows, from the end of the blocking task to the start of the blocked one */}
+                {arrows.length > 0 && (
+                  <svg
+                    className="absolute top-0 pointer-events-none text-muted-foreground"
+                    style={{ left: LABEL_WIDTH }}
+                    width={trackWidth}
+                    height={bodyHeight}
+                    aria-hidden="true"
+                  >
+                    <defs>
+                      <marker id="timeline-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M 0 0 L 6 3 L 0 6 z" fill="currentColor" />
+                      </marker>
+                    </defs>
+                    {arrows.map((arrow) => (
+                      <path
+                        key={arrow.key}
+                        d={arrow.path}
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="1.5"
+                        markerEnd="url(#timeline-arrow)"
+                      />
+                    ))}
+                  </svg>
+                )}
+              </div>
+            </div>
+          </div>
+        </DndContext>
+      )}
+
+      {unscheduledCount > 0 && (
+        <p className="mt-3 text-xs text-muted-foreground">
+          {unscheduledCount} {unscheduledCount === 1 ? 'task has' : 'tasks have'} no dates and {unscheduledCount === 1 ? "isn't" : "aren't"} shown.
+        </p>
+      )}
+
+      {/* Task Modal */}
+      <TaskModal
+        isOpen={isModalOpen}
+        onClose={handleModalClose}
+        task={selectedTask}
+      />
+    </div>
+  );
+}
+
+export default TimelineView;
@@ -3,6 +3,9 @@ import { Lock, Download, Trash2, Loader2, AlertTriangle } from 'lucide-react';
 import { meAPI } from '../../utils/api';
 import useAuthStore from '../../store/authStore';
 import useWorkspaceStore from '../../store/workspaceStore';
+import ApiTokensCard from './ApiTokensCard';
+import ImportTasksCard from './ImportTasksCard';
+import ExternalImportCard from './ExternalImportCard';
 import { toast } from 'sonner';
 import { Button } from 'components/ui/button';
 import { Input } from 'components/ui/input';
@@ -135,7 +138,7 @@ const AccountTab = () => {
       <div>
         <h2 className="text-2xl font-semibold text-foreground">Account</h2>
         <p className="mt-1 text-sm text-muted-foreground">
-          Manage your password, export data, or delete your account.
+          Manage your password and API tokens, import or export tasks, or delete your account.
         </p>
       </div>
 
@@ -209,6 +212,9 @@ const AccountTab = () => {
         </CardContent>
       </Card>
 
+      {/* API Tokens */}
+      <ApiTokensCard />
+
       {/* Export Data */}
       <Card>
         <CardHeader>
@@ -238,6 +244,10 @@ const AccountTab = () => {
         </CardContent>
       </Card>
 
+      {/* Import Data */}
+      <ImportTasksCard />
+      <ExternalImportCard />
+
       {/* Delete Account */}
       <Card className="border-red-200">
         <CardHeader>
@@ -0,0 +1,244 @@
+import { useEffect, useState } from 'react';
+import { KeyRound, Trash2, Plus, Copy, Check, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { meAPI } from '../../utils/api';
+import useWorkspaceStore from '../../store/workspaceStore';
+import {
+  API_TOKEN_SCOPE_OPTIONS,
+  API_TOKEN_EXPIRY_OPTIONS,
+  DEFAULT_API_TOKEN_EXPIRY_DAYS,
+  isApiTokenExpired,
+  describeApiTokenExpiry,
+  describeApiTokenUse,
+  canCreateWriteToken,
+} from '../../utils/apiTokens';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { Label } from 'components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from 'components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+
+// Shown once after creating a token; the server only keeps its hash
+const NewTokenNotice = ({ token, onDismiss }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(token);
+      setCopied(true);
+    } catch (error) {
+      toast.error('Could not copy the token');
+    }
+  };
+
+  return (
+    <div className="space-y-2 rounded-md border border-primary/30 bg-primary/5 p-3">
+      <p className="text-sm text-foreground">
+        Copy this token now — it won&apos;t be shown again. Send it as
+        <code className="mx-1 font-mono text-xs">Authorization: Bearer &lt;token&gt;</code>
+        to the API.
+      </p>
+      <div className="flex items-center gap-2">
+        <Input value={token} readOnly className="flex-1 font-mono text-xs" aria-label="New API token" />
+        <Button variant="outline" size="sm" onClick={handleCopy}>
+          {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+          {copied ? 'Copied' : 'Copy'}
+        </Button>
+        <Button size="sm" onClick={onDismiss}>Done</Button>
+      </div>
+    </div>
+  );
+};
+
+// Personal access tokens for scripts and CI, each limited to one workspace
+const ApiTokensCard = () => {
+  const workspaces = useWorkspaceStore((s) => s.workspaces);
+  const currentWorkspaceId = useWorkspaceStore((s) => s.currentWorkspaceId);
+
+  const [tokens, setTokens] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [workspaceId, setWorkspaceId] = useState(currentWorkspaceId || '');
+  const [scope, setScope] = useState('read');
+  const [expiresInDays, setExpiresInDays] = useState(DEFAULT_API_TOKEN_EXPIRY_DAYS);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  const selectedWorkspace = workspaces.find((w) => w.id === workspaceId);
+  const allowWrite = canCreateWriteToken(selectedWorkspace);
+
+  useEffect(() => {
+    const loadTokens = async () => {
+      try {
+        const response = await meAPI.getApiTokens();
+        setTokens(response.data.data.tokens);
+      } catch (error) {
+        toast.error('Failed to load API tokens.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadTokens();
+  }, []);
+
+  const handleWorkspaceChange = (value) => {
+    setWorkspaceId(value);
+    if (!canCreateWriteToken(workspaces.find((w) => w.id === value))) {
+      setScope('read');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !workspaceId) return;
+
+    setIsCreating(true);
+    try {
+      const response = await meAPI.createApiToken({
+        name: name.trim(),
+        workspace_id: workspaceId,
+        scope,
+        expires_in_days: expiresInDays,
+      });
+      const { token, ...created } = response.data.data.token;
+      setTokens((prev) => [created, ...prev]);
+      setNewToken(token);
+      setName('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create API token.');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await meAPI.revokeApiToken(token.id);
+      setTokens((prev) => prev.filter((t) => t.id !== token.id));
+      toast.success('API token revoked.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke API token.');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <KeyRound className="h-5 w-5 text-muted-foreground" />
+          <CardTitle className="text-lg">API Tokens</CardTitle>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Use personal access tokens in scripts and CI instead of your password. Each token can only reach one workspace.
+        </p>
+
+        {newToken && <NewTokenNotice token={newToken} onDismiss={() => setNewToken(null)} />}
+
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading tokens…</p>
+        ) : tokens.length === 0 ? (
+          <p className="text-sm text-muted-foreground">You have no API tokens yet.</p>
+        ) : (
+          <ul className="divide-y divide-border rounded-md border border-border">
+            {tokens.map((token) => (
+              <li key={token.id} className="flex items-center gap-3 p-2">
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-sm font-medium text-foreground">
+                    {token.name}
+                    <span className="ml-2 font-mono text-xs text-muted-foreground">{token.tokenHint}</span>
+                  </p>
+                  <p className="truncate text-xs text-muted-foreground">
+                    {token.workspaceName} · {token.scope === 'write' ? 'Read and write' : 'Read only'} ·{' '}
+                    <span className={isApiTokenExpired(token) ? 'text-red-500' : ''}>{describeApiTokenExpiry(token)}</span>
+                    {' · '}{describeApiTokenUse(token)}
+                  </p>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleRevoke(token)}
+                  className="text-muted-foreground hover:text-red-500"
+                  aria-label={`Revoke ${token.name}`}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3">
+          <div className="grid gap-3 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label htmlFor="apiTokenName">Name</Label>
+              <Input
+                id="apiTokenName"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. CI deploys"
+                maxLength={100}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Workspace</Label>
+              <Select value={workspaceId} onValueChange={handleWorkspaceChange}>
+                <SelectTrigger aria-label="Token workspace">
+                  <SelectValue placeholder="Choose a workspace" />
+                </SelectTrigger>
+                <SelectContent>
+                  {workspaces.map((workspace) => (
+                    <SelectItem key={workspace.id} value={workspace.id}>{workspace.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Access</Label>
+              <Select value={scope} onValueChange={setScope}>
+                <SelectTrigger aria-label="Token access">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {API_TOKEN_SCOPE_OPTIONS.map((option) => (
+                    <SelectItem
+                      key={option.value}
+                      value={option.value}
+                      disabled={option.value === 'write' && !allowWrite}
+                    >
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Expires after</Label>
+              <Select value={String(expiresInDays)} onValueChange={(value) => setExpiresInDays(Number(value))}>
+                <SelectTrigger aria-label="Token expiry">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {API_TOKEN_EXPIRY_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={String(option.value)}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit" disabled={!name.trim() || !workspaceId || isCreating}>
+              {isCreating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+              Create Token
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApiTokensCard;
@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react';
+import { CalendarDays, Copy, Check, RefreshCw, Trash2, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { meAPI, getCalendarFeedUrl } from '../../utils/api';
+import useWorkspaceStore from '../../store/workspaceStore';
+import { getWebcalUrl, findCalendarFeed } from '../../utils/calendarFeeds';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { Card, CardContent } from 'components/ui/card';
+
+// One subscribable calendar: "My assigned tasks" or a whole workspace
+const CalendarFeedRow = ({ label, description, feed, onCreate, onRevoke }) => {
+  const [copied, setCopied] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const feedUrl = feed ? getCalendarFeedUrl(feed.token) : '';
+
+  const run = async (action) => {
+    setIsBusy(true);
+    await action();
+    setIsBusy(false);
+    setCopied(false);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm(`Reset the ${label} link? Calendars subscribed to the old link stop updating.`)) {
+      run(onCreate);
+    }
+  };
+
+  const handleRevoke = () => {
+    if (window.confirm(`Revoke the ${label} link? Calendars subscribed to it stop updating.`)) {
+      run(onRevoke);
+    }
+  };
+
+  return (
+    <div className="space-y-2 rounded-md border border-border p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <p className="truncate text-sm font-medium text-foreground">{label}</p>
+          <p className="text-xs text-muted-foreground">{description}</p>
+        </div>
+        {!feed && (
+          <Button type="button" variant="outline" size="sm" onClick={() => run(onCreate)} disabled={isBusy}>
+            {isBusy && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Create link
+          </Button>
+        )}
+      </div>
+
+      {feed && (
+        <div className="flex items-center gap-2">
+          <Input value={feedUrl} readOnly className="flex-1 font-mono text-xs" aria-label={`${label} calendar link`} />
+          <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+            {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+            {copied ? 'Copied' : 'Copy'}
+          </Button>
+          <Button type="button" variant="ghost" size="sm" asChild>
+            <a href={getWebcalUrl(feedUrl)}>Subscribe</a>
+          </Button>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={handleReset}
+            disabled={isBusy}
+            aria-label={`Reset the ${label} link`}
+          >
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            onClick={handleRevoke}
+            disabled={isBusy}
+            className="text-muted-foreground hover:text-red-500"
+            aria-label={`Revoke the ${label} link`}
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Read-only .ics subscription links for Google Calendar, Outlook and Apple Calendar
+const CalendarFeedsCard = () => {
+  const workspaces = useWorkspaceStore((s) => s.workspaces);
+  const [feeds, setFeeds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadFeeds = async () => {
+      try {
+        const response = await meAPI.getCalendarFeeds();
+        setFeeds(response.data.data.feeds);
+      } catch (error) {
+        toast.error('Failed to load calendar links.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadFeeds();
+  }, []);
+
+  // Creating a feed replaces any existing one for the same workspace
+  const handleCreate = async (workspaceId) => {
+    try {
+      const response = await meAPI.createCalendarFeed(workspaceId);
+      const { feed } = response.data.data;
+      setFeeds((prev) => [...prev.filter((f) => (f.workspaceId || null) !== workspaceId), feed]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create calendar link.');
+    }
+  };
+
+  const handleRevoke = async (feed) => {
+    try {
+      await meAPI.revokeCalendarFeed(feed.id);
+      setFeeds((prev) => prev.filter((f) => f.id !== feed.id));
+      toast.success('Calendar link revoked.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke calendar link.');
+    }
+  };
+
+  const targets = [
+    { workspaceId: null, label: 'My assigned tasks', description: 'Tasks assigned to you in every workspace' },
+    ...workspaces.map((workspace) => ({
+      workspaceId: workspace.id,
+      label: workspace.name,
+      description: 'Every task with a due date in this workspace',
+    })),
+  ];
+
+  return (
+    <Card>
+      <CardContent className="p-6">
+        <div className="flex items-start gap-4">
+          <div className="p-3 bg-muted rounded-lg">
+            <CalendarDays className="h-6 w-6 text-foreground" />
+          </div>
+          <div className="flex-1 space-y-3">
+            <div>
+              <h3 className="text-lg font-medium text-foreground">Calendar Subscriptions</h3>
+              <p className="mt-1 text-sm text-muted-foreground">
+                Show due dates in Google Calendar, Outlook or Apple Calendar. Anyone with a link can read those
+                tasks, so reset or revoke a link you have shared by mistake.
+              </p>
+            </div>
+
+            {isLoading ? (
+              <p className="text-sm text-muted-foreground">Loading calendar links…</p>
+            ) : (
+              targets.map((target) => {
+                const feed = findCalendarFeed(feeds, target.workspaceId);
+                return (
+                  <CalendarFeedRow
+                    key={target.workspaceId || 'assigned'}
+                    label={target.label}
+                    description={target.description}
+                    feed={feed}
+                    onCreate={() => handleCreate(target.workspaceId)}
+                    onRevoke={() => handleRevoke(feed)}
+                  />
+                );
+              })
+            )}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CalendarFeedsCard;
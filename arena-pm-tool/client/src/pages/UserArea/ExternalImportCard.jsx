@@ -0,0 +1,214 @@
+import { useEffect, useRef, useState } from 'react';
+import { ArrowRightLeft, Loader2, CheckCircle2, XCircle } from 'lucide-react';
+import { toast } from 'sonner';
+import { workspacesAPI } from '../../utils/api';
+import useWorkspaceStore from '../../store/workspaceStore';
+import {
+  IMPORT_SOURCE_OPTIONS,
+  IMPORT_POLL_INTERVAL_MS,
+  getImportSource,
+  isImportJobFinished,
+  getImportProgress,
+  describeImportStatus,
+  describeImportSummary,
+} from '../../utils/externalImports';
+import { Button } from 'components/ui/button';
+import { Label } from 'components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from 'components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+
+// Only the first few skipped items are listed; the report gives the total
+const MAX_LISTED_SKIPS = 10;
+
+// Progress, then what was created and skipped once the job finishes
+const ImportJobReport = ({ job }) => {
+  const finished = isImportJobFinished(job);
+  const summary = job.summary;
+
+  return (
+    <div className="space-y-3 rounded-md border border-border p-3 text-sm">
+      <div className="flex items-center gap-2">
+        {!finished && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+        {job.status === 'completed' && <CheckCircle2 className="h-4 w-4 text-green-600" />}
+        {job.status === 'failed' && <XCircle className="h-4 w-4 text-red-500" />}
+        <span className="font-medium text-foreground">
+          {getImportSource(job.source)?.label} · {job.fileName || 'export'}
+        </span>
+      </div>
+
+      <p className={job.status === 'failed' ? 'text-red-500' : 'text-muted-foreground'}>{describeImportStatus(job)}</p>
+
+      {!finished && (
+        <div
+          className="h-2 w-full overflow-hidden rounded-full bg-muted"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={getImportProgress(job)}
+        >
+          <div className="h-full bg-primary transition-all" style={{ width: `${getImportProgress(job)}%` }} />
+        </div>
+      )}
+
+      {summary && (
+        <>
+          <p className="text-foreground">Created {describeImportSummary(summary).join(', ')}.</p>
+
+          {summary.unmatchedUsers.length > 0 && (
+            <p className="text-amber-600">
+              Not members of this workspace, so left unassigned: {summary.unmatchedUsers.join(', ')}
+            </p>
+          )}
+
+          {summary.skippedCount > 0 && (
+            <div className="space-y-1">
+              <p className="text-muted-foreground">Skipped {summary.skippedCount}:</p>
+              <ul className="max-h-40 space-y-1 overflow-y-auto">
+                {summary.skipped.slice(0, MAX_LISTED_SKIPS).map((skip, idx) => (
+                  <li key={idx}>
+                    <span className="text-foreground">{skip.item}</span>{' '}
+                    <span className="text-muted-foreground">— {skip.reason}</span>
+                  </li>
+                ))}
+                {summary.skippedCount > MAX_LISTED_SKIPS && (
+                  <li className="text-muted-foreground">…and {summary.skippedCount - MAX_LISTED_SKIPS} more</li>
+                )}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Upload a Trello, Asana or Jira export; the import runs in the background
+const ExternalImportCard = () => {
+  const currentWorkspace = useWorkspaceStore((s) => s.currentWorkspace);
+  const fileInputRef = useRef(null);
+
+  const [source, setSource] = useState(IMPORT_SOURCE_OPTIONS[0].value);
+  const [file, setFile] = useState(null);
+  const [job, setJob] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const workspaceId = currentWorkspace?.id;
+  const isViewer = currentWorkspace?.userRole === 'viewer';
+  const selectedSource = getImportSource(source);
+  const isRunning = Boolean(job) && !isImportJobFinished(job);
+
+  // Show the workspace's latest import, e.g. one still running from an earlier visit
+  useEffect(() => {
+    if (!workspaceId) return undefined;
+    let cancelled = false;
+    setJob(null);
+    workspacesAPI.getImportJobs(workspaceId)
+      .then((response) => {
+        if (!cancelled) setJob(response.data.data.jobs[0] || null);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [workspaceId]);
+
+  // Poll until the job finishes
+  useEffect(() => {
+    if (!workspaceId || !job || isImportJobFinished(job)) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await workspacesAPI.getImportJob(workspaceId, job.id);
+        const updated = response.data.data.job;
+        setJob(updated);
+        if (updated.status === 'completed') toast.success(`${getImportSource(updated.source)?.label} import complete`);
+        if (updated.status === 'failed') toast.error(describeImportStatus(updated));
+      } catch (error) {
+        // Try again on the next tick
+        setJob((prev) => ({ ...prev }));
+      }
+    }, IMPORT_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [workspaceId, job]);
+
+  const resetFile = () => {
+    setFile(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleSourceChange = (value) => {
+    setSource(value);
+    resetFile();
+  };
+
+  const handleImport = async () => {
+    setIsUploading(true);
+    try {
+      const response = await workspacesAPI.createImportJob(workspaceId, source, file);
+      setJob(response.data.data.job);
+      resetFile();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload the export.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <ArrowRightLeft className="h-5 w-5 text-muted-foreground" />
+          <CardTitle className="text-lg">Import from Trello, Asana or Jira</CardTitle>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Bring a board or project into {currentWorkspace?.name || 'this workspace'}. Lists, sections and projects become
+          categories, and people are matched to workspace members by email. The import runs in the background, so you
+          can keep working while it finishes.
+        </p>
+
+        {isViewer ? (
+          <p className="text-sm text-muted-foreground">Viewers cannot import tasks.</p>
+        ) : (
+          <div className="space-y-3">
+            <div className="space-y-1">
+              <Label className="text-xs text-muted-foreground">Import from</Label>
+              <Select value={source} onValueChange={handleSourceChange} disabled={isUploading || isRunning}>
+                <SelectTrigger aria-label="Import source" className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {IMPORT_SOURCE_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">Export from {selectedSource.label}: {selectedSource.hint}</p>
+            </div>
+
+            <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={selectedSource.accept}
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+                disabled={!workspaceId || isUploading || isRunning}
+                className="block w-full text-sm text-muted-foreground file:mr-3 file:rounded-md file:border file:border-border file:bg-background file:px-3 file:py-1.5 file:text-sm file:text-foreground"
+                aria-label={`${selectedSource.label} export file`}
+              />
+              <Button onClick={handleImport} disabled={!file || isUploading || isRunning}>
+                {isUploading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Import
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {job && <ImportJobReport job={job} />}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ExternalImportCard;
@@ -0,0 +1,197 @@
+import { useRef, useState } from 'react';
+import { Upload, Loader2, AlertTriangle } from 'lucide-react';
+import { toast } from 'sonner';
+import { tasksAPI } from '../../utils/api';
+import useWorkspaceStore from '../../store/workspaceStore';
+import {
+  IMPORT_FIELD_OPTIONS,
+  IMPORT_FILE_ACCEPT,
+  describeImportReport,
+  describeImportLimit,
+  canImport,
+} from '../../utils/taskImport';
+import { Button } from 'components/ui/button';
+import { Label } from 'components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from 'components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
+
+// Select items can't have an empty value
+const SKIP_COLUMN = '__skip__';
+
+// Only the first few row errors are listed; the summary gives the total
+const MAX_LISTED_ERRORS = 10;
+
+// Which file column fills each task field
+const ColumnMappingEditor = ({ columns, mapping, onChange, disabled }) => (
+  <div className="grid gap-3 sm:grid-cols-2">
+    {IMPORT_FIELD_OPTIONS.map((field) => (
+      <div key={field.value} className="space-y-1">
+        <Label className="text-xs text-muted-foreground">{field.label}</Label>
+        <Select
+          value={mapping[field.value] || SKIP_COLUMN}
+          onValueChange={(value) => onChange(field.value, value === SKIP_COLUMN ? null : value)}
+          disabled={disabled}
+        >
+          <SelectTrigger aria-label={`Column for ${field.label}`}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {!field.required && <SelectItem value={SKIP_COLUMN}>Don&apos;t import</SelectItem>}
+            {columns.map((column) => (
+              <SelectItem key={column} value={column}>{column}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+    ))}
+  </div>
+);
+
+// Upload a CSV (same columns as the export) or JSON file into the current workspace
+const ImportTasksCard = () => {
+  const currentWorkspace = useWorkspaceStore((s) => s.currentWorkspace);
+  const fileInputRef = useRef(null);
+
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [report, setReport] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const isViewer = currentWorkspace?.userRole === 'viewer';
+
+  const reset = () => {
+    setFile(null);
+    setMapping(null);
+    setReport(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  // Dry run: validate every row with the chosen mapping, create nothing
+  const checkFile = async (selectedFile, selectedMapping) => {
+    setIsChecking(true);
+    try {
+      const response = await tasksAPI.importTasks(currentWorkspace.id, selectedFile, {
+        mapping: selectedMapping || undefined,
+        dryRun: true,
+      });
+      const { data } = response.data;
+      setReport(data);
+      setMapping(data.mapping);
+    } catch (error) {
+      setReport(null);
+      toast.error(error.response?.data?.message || 'Failed to read the file.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files?.[0];
+    if (!selectedFile) return;
+    setFile(selectedFile);
+    setMapping(null);
+    checkFile(selectedFile, null);
+  };
+
+  const handleMappingChange = (field, column) => {
+    const nextMapping = { ...mapping, [field]: column };
+    setMapping(nextMapping);
+    checkFile(file, nextMapping);
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const response = await tasksAPI.importTasks(currentWorkspace.id, file, { mapping });
+      toast.success(response.data.message);
+      reset();
+    } catch (error) {
+      const data = error.response?.data;
+      if (data?.data?.errors) setReport((prev) => ({ ...prev, ...data.data }));
+      toast.error(data?.message || 'Failed to import tasks.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const limitMessage = report ? describeImportLimit(report) : null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <Upload className="h-5 w-5 text-muted-foreground" />
+          <CardTitle className="text-lg">Import Tasks</CardTitle>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Add tasks to {currentWorkspace?.name || 'this workspace'} from a CSV file with the same columns as the export,
+          or a JSON list of tasks. Statuses and categories are matched by name and assignees by email. Every row is
+          checked before anything is imported.
+        </p>
+
+        {isViewer ? (
+          <p className="text-sm text-muted-foreground">Viewers cannot import tasks.</p>
+        ) : (
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={IMPORT_FILE_ACCEPT}
+            onChange={handleFileChange}
+            disabled={!currentWorkspace || isChecking || isImporting}
+            className="block w-full text-sm text-muted-foreground file:mr-3 file:rounded-md file:border file:border-border file:bg-background file:px-3 file:py-1.5 file:text-sm file:text-foreground"
+            aria-label="Task import file"
+          />
+        )}
+
+        {report && mapping && (
+          <div className="space-y-4">
+            <ColumnMappingEditor
+              columns={report.columns}
+              mapping={mapping}
+              onChange={handleMappingChange}
+              disabled={isChecking || isImporting}
+            />
+
+            <p className="text-sm font-medium text-foreground">{describeImportReport(report)}</p>
+
+            {limitMessage && (
+              <p className="flex items-start gap-2 text-sm text-amber-600">
+                <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0" />
+                {limitMessage}
+              </p>
+            )}
+
+            {report.errors.length > 0 && (
+              <ul className="max-h-48 space-y-1 overflow-y-auto rounded-md border border-border p-2 text-sm">
+                {report.errors.slice(0, MAX_LISTED_ERRORS).map((rowError) => (
+                  <li key={rowError.row}>
+                    <span className="font-medium text-foreground">Row {rowError.row}:</span>{' '}
+                    <span className="text-red-500">{rowError.messages.join('; ')}</span>
+                  </li>
+                ))}
+                {report.errors.length > MAX_LISTED_ERRORS && (
+                  <li className="text-muted-foreground">
+                    …and {report.errors.length - MAX_LISTED_ERRORS} more rows with errors
+                  </li>
+                )}
+              </ul>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <Button variant="ghost" onClick={reset} disabled={isImporting}>Cancel</Button>
+              <Button onClick={handleImport} disabled={!canImport(report) || isChecking || isImporting}>
+                {isImporting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Import {report.validRows} task{report.validRows === 1 ? '' : 's'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ImportTasksCard;
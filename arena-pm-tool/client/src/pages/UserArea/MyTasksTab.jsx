@@ -15,6 +15,7 @@ import { Button } from 'components/ui/button';
 import { Badge } from 'components/ui/badge';
 import { Card, CardContent } from 'components/ui/card';
 import { meAPI } from '../../utils/api';
+import { isDoneStatus } from '../../utils/workflowStatuses';
 
 const MyTasksTab = () => {
   const navigate = useNavigate();
@@ -100,8 +101,9 @@ const MyTasksTab = () => {
     }
   };
 
-  const getStatusIcon = (status) => {
-    if (status === 'completed') {
+  // Tasks here span workspaces, so rely on the category the server sent
+  const getStatusIcon = (task) => {
+    if (isDoneStatus(task, [])) {
       return <CheckCircle2 className="h-5 w-5 text-green-500" />;
     }
     return <Circle className="h-5 w-5 text-neutral-500" />;
@@ -185,14 +187,14 @@ const MyTasksTab = () => {
                     className="flex items-center gap-4 px-4 py-4 hover:bg-muted cursor-pointer transition-colors group"
                   >
                     {/* Status Icon */}
-                    <div className="flex-shrink-0">{getStatusIcon(task.status)}</div>
+                    <div className="flex-shrink-0">{getStatusIcon(task)}</div>
 
                     {/* Task Info */}
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center gap-3">
                         <h4
                           className={`font-medium truncate ${
-                            task.status === 'completed'
+                            isDoneStatus(task, [])
                               ? 'text-muted-foreground line-through'
                               : 'text-foreground'
                           }`}
@@ -211,6 +213,11 @@ const MyTasksTab = () => {
 
                       {/* Meta Info */}
                       <div className="flex items-center gap-4 mt-1">
+                        {/* Workflow status */}
+                        {task.statusName && (
+                          <span className="text-sm text-muted-foreground">{task.statusName}</span>
+                        )}
+
                         {/* Category */}
                         {task.categoryName && (
                           <span className="flex items-center gap-1.5 text-sm text-muted-foreground">
@@ -1,16 +1,24 @@
 import { useState, useEffect } from 'react';
-import { Mail, Bell, Loader2 } from 'lucide-react';
+import { Mail, Bell, BellRing, CalendarClock, Loader2 } from 'lucide-react';
 import { Button } from 'components/ui/button';
 import { Card, CardContent } from 'components/ui/card';
 import { Switch } from 'components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
 import useAuthStore from '../../store/authStore';
+import useNotificationStore from '../../store/notificationStore';
+import { NOTIFICATION_TYPE_OPTIONS, DIGEST_MODE_OPTIONS, REMINDER_LOOKAHEAD_OPTIONS } from '../../utils/notifications';
+
+const DEFAULT_LOOKAHEAD_DAYS = 2;
 
 const NotificationsTab = () => {
   const { user, isLoading, updateNotifications } = useAuthStore();
+  const { preferences, fetchPreferences, updatePreference } = useNotificationStore();
+  const emailEnabled = (user?.emailNotificationsEnabled ?? true) && user?.emailDigestMode !== 'none';
 
   const [formData, setFormData] = useState({
     emailNotificationsEnabled: true,
     emailDigestMode: 'immediate',
+    reminderLookaheadDays: DEFAULT_LOOKAHEAD_DAYS,
   });
   const [hasChanges, setHasChanges] = useState(false);
 
@@ -20,18 +28,25 @@ const NotificationsTab = () => {
       setFormData({
         emailNotificationsEnabled: user.emailNotificationsEnabled ?? true,
         emailDigestMode: user.emailDigestMode || 'immediate',
+        reminderLookaheadDays: user.reminderLookaheadDays ?? DEFAULT_LOOKAHEAD_DAYS,
       });
     }
   }, [user]);
 
+  useEffect(() => {
+    fetchPreferences();
+  }, [fetchPreferences]);
+
   // Check for changes
   useEffect(() => {
     if (user) {
       const originalEnabled = user.emailNotificationsEnabled ?? true;
       const originalMode = user.emailDigestMode || 'immediate';
+      const originalLookahead = user.reminderLookaheadDays ?? DEFAULT_LOOKAHEAD_DAYS;
       const changed =
         formData.emailNotificationsEnabled !== originalEnabled ||
-        formData.emailDigestMode !== originalMode;
+        formData.emailDigestMode !== originalMode ||
+        formData.reminderLookaheadDays !== originalLookahead;
       setHasChanges(changed);
     }
   }, [formData, user]);
@@ -50,6 +65,13 @@ const NotificationsTab = () => {
     }));
   };
 
+  const handleLookaheadChange = (value) => {
+    setFormData((prev) => ({
+      ...prev,
+      reminderLookaheadDays: Number(value),
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     await updateNotifications(formData);
@@ -60,7 +82,7 @@ const NotificationsTab = () => {
       <div>
         <h2 className="text-2xl font-semibold text-foreground">Notifications</h2>
         <p className="mt-1 text-sm text-muted-foreground">
-          Manage how and when you receive email notifications.
+          Manage how and when you receive notifications.
         </p>
       </div>
 
@@ -77,7 +99,7 @@ const NotificationsTab = () => {
                   <div>
                     <h3 className="text-lg font-medium text-foreground">Email Notifications</h3>
                     <p className="mt-1 text-sm text-muted-foreground">
-                      Receive email reminders about upcoming task due dates.
+                      Receive notification emails. Turning this off stops every email type below.
                     </p>
                   </div>
 
@@ -106,69 +128,72 @@ const NotificationsTab = () => {
               <div className="flex-1">
                 <h3 className="text-lg font-medium text-foreground">Notification Frequency</h3>
                 <p className="mt-1 text-sm text-muted-foreground mb-4">
-                  Choose how often you want to receive task reminder emails.
+                  Choose how often assignment, comment and reminder emails arrive. Digests go out in the morning of your timezone.
                 </p>
 
                 <div className="space-y-3">
-                  {/* Immediate Option */}
-                  <label
-                    className={`flex items-start gap-4 p-4 rounded-lg border cursor-pointer transition-colors ${
-                      formData.emailDigestMode === 'immediate'
-                        ? 'border-ring bg-accent'
-                        : 'border-border hover:border-input'
-                    }`}
-                  >
-                    <input
-                      type="radio"
-                      name="digestMode"
-                      value="immediate"
-                      checked={formData.emailDigestMode === 'immediate'}
-                      onChange={() => handleDigestModeChange('immediate')}
-                      className="mt-1 h-4 w-4 text-primary border-input focus:ring-ring/20"
-                    />
-                    <div>
-                      <span className="text-foreground font-medium">Immediate</span>
-                      <p className="text-sm text-muted-foreground mt-0.5">
-                        Receive individual email reminders for each task as it approaches its due date.
-                      </p>
-                    </div>
-                  </label>
-
-                  {/* Daily Digest Option */}
-                  <label
-                    className={`flex items-start gap-4 p-4 rounded-lg border cursor-pointer transition-colors ${
-                      formData.emailDigestMode === 'daily_digest'
-                        ? 'border-ring bg-accent'
-                        : 'border-border hover:border-input'
-                    }`}
-                  >
-                    <input
-                      type="radio"
-                      name="digestMode"
-                      value="daily_digest"
-                      checked={formData.emailDigestMode === 'daily_digest'}
-                      onChange={() => handleDigestModeChange('daily_digest')}
-                      className="mt-1 h-4 w-4 text-primary border-input focus:ring-ring/20"
-                    />
-                    <div>
-                      <span className="text-foreground font-medium">Daily Digest</span>
-                      <p className="text-sm text-muted-foreground mt-0.5">
-                        Receive a single daily email summarizing all your upcoming tasks.
-                      </p>
-                    </div>
-                  </label>
+                  {DIGEST_MODE_OPTIONS.map(({ value, label, description }) => (
+                    <label
+                      key={value}
+                      className={`flex items-start gap-4 p-4 rounded-lg border cursor-pointer transition-colors ${
+                        formData.emailDigestMode === value
+                          ? 'border-ring bg-accent'
+                          : 'border-border hover:border-input'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="digestMode"
+                        value={value}
+                        checked={formData.emailDigestMode === value}
+                        onChange={() => handleDigestModeChange(value)}
+                        className="mt-1 h-4 w-4 text-primary border-input focus:ring-ring/20"
+                      />
+                      <div>
+                        <span className="text-foreground font-medium">{label}</span>
+                        <p className="text-sm text-muted-foreground mt-0.5">{description}</p>
+                      </div>
+                    </label>
+                  ))}
                 </div>
               </div>
             </div>
           </CardContent>
         </Card>
 
-        {/* Info Box */}
-        <Card className="bg-muted">
-          <CardContent className="p-4">
-            <p className="text-sm text-muted-foreground">
-              Email reminders are sent for tasks due within the next 2 days. The reminder schedule runs daily at 9:00 AM.
-            </p>
+        {/* Reminder Lookahead */}
+        <Card>
+          <CardContent className="p-6">
+            <div className="flex items-start gap-4">
+              <div className="p-3 bg-muted rounded-lg">
+                <CalendarClock className="h-6 w-6 text-foreground" />
+              </div>
+              <div className="flex-1">
+                <h3 className="text-lg font-medium text-foreground">Due Date Reminders</h3>
+                <p className="mt-1 text-sm text-muted-foreground mb-4">
+                  Choose how early you are reminded about your tasks, counted in working days so weekends
+                  and holidays are skipped. Reminders go out each morning in the timezone set under Preferences,
+                  with a daily nudge for a few days if a task goes overdue.
+                  On a digest, reminder emails arrive with your next digest.
+                </p>
+
+                <Select
+                  value={String(formData.reminderLookaheadDays)}
+                  onValueChange={handleLookaheadChange}
+                >
+                  <SelectTrigger className="w-full sm:w-64" aria-label="Remind me">
+                    <SelectValue placeholder="Select when to be reminded" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {REMINDER_LOOKAHEAD_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={String(option.value)}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
           </CardContent>
         </Card>
 
@@ -183,6 +208,69 @@ const NotificationsTab = () => {
           </Button>
         </div>
       </form>
+
+      {/* Per-type settings, saved as soon as they are switched */}
+      <Card>
+        <CardContent className="p-6">
+          <div className="flex items-start gap-4">
+            <div className="p-3 bg-muted rounded-lg">
+              <BellRing className="h-6 w-6 text-foreground" />
+            </div>
+            <div className="flex-1 min-w-0">
+              <h3 className="text-lg font-medium text-foreground">Notification Types</h3>
+              <p className="mt-1 text-sm text-muted-foreground mb-4">
+                Choose what shows up in your inbox and what is also sent by email.
+                {!emailEnabled && ' Email notifications are turned off above.'}
+              </p>
+
+              {!preferences ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+                </div>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase tracking-wider text-muted-foreground">
+                      <th className="pb-2 font-medium">Type</th>
+                      <th className="pb-2 font-medium text-center w-20">In-app</th>
+                      <th className="pb-2 font-medium text-center w-20">Email</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-border">
+                    {NOTIFICATION_TYPE_OPTIONS.map((option) => (
+                      <tr key={option.type}>
+                        <td className="py-3 pr-4">
+                          <span className="font-medium text-foreground">{option.label}</span>
+                          <p className="text-muted-foreground">{option.description}</p>
+                        </td>
+                        <td className="py-3 text-center">
+                          <Switch
+                            checked={preferences[option.type]?.inApp !== false}
+                            onCheckedChange={(checked) => updatePreference(option.type, 'inApp', checked)}
+                            aria-label={`${option.label} in-app notifications`}
+                          />
+                        </td>
+                        <td className="py-3 text-center">
+                          {option.email ? (
+                            <Switch
+                              checked={emailEnabled && preferences[option.type]?.email !== false}
+                              onCheckedChange={(checked) => updatePreference(option.type, 'email', checked)}
+                              disabled={!emailEnabled}
+                              aria-label={`${option.label} email notifications`}
+                            />
+                          ) : (
+                            <span className="text-muted-foreground" title="Only shown in-app">—</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
     </div>
   );
 };
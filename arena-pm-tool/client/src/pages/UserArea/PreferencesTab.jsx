@@ -1,9 +1,15 @@
 import { useState, useEffect } from 'react';
-import { Globe, Clock, Loader2 } from 'lucide-react';
+import { Globe, Clock, CalendarDays, Loader2 } from 'lucide-react';
 import { Button } from 'components/ui/button';
 import { Card, CardContent } from 'components/ui/card';
+import { Label } from 'components/ui/label';
+import { Switch } from 'components/ui/switch';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from 'components/ui/select';
 import useAuthStore from '../../store/authStore';
+import useHolidayStore from '../../store/holidayStore';
+import useHolidayCalendarStore from '../../store/holidayCalendarStore';
+import HolidayRegionPicker from '../../components/HolidayRegionPicker';
+import CalendarFeedsCard from './CalendarFeedsCard';
 
 const LANGUAGES = [
   { code: 'en', label: 'English' },
@@ -36,10 +42,13 @@ const COMMON_TIMEZONES = [
 
 const PreferencesTab = () => {
   const { user, isLoading, updatePreferences } = useAuthStore();
+  const resetHolidays = useHolidayStore((s) => s.reset);
+  const { regionOptions, fetchRegionOptions } = useHolidayCalendarStore();
 
   const [formData, setFormData] = useState({
     language: 'en',
     timezone: 'UTC',
+    holidayRegions: null, // null = use the workspace's holidays
   });
   const [hasChanges, setHasChanges] = useState(false);
   const [detectedTimezone, setDetectedTimezone] = useState('');
@@ -54,12 +63,17 @@ const PreferencesTab = () => {
     }
   }, []);
 
+  useEffect(() => {
+    fetchRegionOptions();
+  }, [fetchRegionOptions]);
+
   // Initialize form with user data
   useEffect(() => {
     if (user) {
       setFormData({
         language: user.language || 'en',
         timezone: user.timezone || 'UTC',
+        holidayRegions: user.holidayRegions || null,
       });
     }
   }, [user]);
@@ -69,7 +83,8 @@ const PreferencesTab = () => {
     if (user) {
       const changed =
         formData.language !== (user.language || 'en') ||
-        formData.timezone !== (user.timezone || 'UTC');
+        formData.timezone !== (user.timezone || 'UTC') ||
+        (formData.holidayRegions || []).join(',') !== (user.holidayRegions || []).join(',');
       setHasChanges(changed);
     }
   }, [formData, user]);
@@ -88,9 +103,19 @@ const PreferencesTab = () => {
     }
   };
 
+  const handleUseWorkspaceHolidays = (checked) => {
+    setFormData((prev) => ({ ...prev, holidayRegions: checked ? null : [] }));
+  };
+
+  const handleHolidayRegionsChange = (regions) => {
+    setFormData((prev) => ({ ...prev, holidayRegions: regions }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    await updatePreferences(formData);
+    const result = await updatePreferences(formData);
+    // The calendar loads holidays for the new regions next time
+    if (result.success) resetHolidays();
   };
 
   // Build the full list of timezone options, including detected if not already present
@@ -104,7 +129,7 @@ const PreferencesTab = () => {
       <div>
         <h2 className="text-2xl font-semibold text-foreground">Preferences</h2>
         <p className="mt-1 text-sm text-muted-foreground">
-          Customize your language and timezone settings.
+          Customize your language, timezone and holidays, and subscribe to your due dates.
         </p>
       </div>
 
@@ -182,6 +207,44 @@ const PreferencesTab = () => {
           </CardContent>
         </Card>
 
+        {/* Holiday Setting */}
+        <Card>
+          <CardContent className="p-6">
+            <div className="flex items-start gap-4">
+              <div className="p-3 bg-muted rounded-lg">
+                <CalendarDays className="h-6 w-6 text-foreground" />
+              </div>
+              <div className="flex-1">
+                <h3 className="text-lg font-medium text-foreground">Holidays</h3>
+                <p className="mt-1 text-sm text-muted-foreground mb-4">
+                  Choose whose public holidays appear in your calendar, e.g. when you work from a different country
+                  than the rest of your team.
+                </p>
+
+                <div className="space-y-3">
+                  <div className="flex items-center gap-3">
+                    <Switch
+                      id="use-workspace-holidays"
+                      checked={formData.holidayRegions === null}
+                      onCheckedChange={handleUseWorkspaceHolidays}
+                    />
+                    <Label htmlFor="use-workspace-holidays">Use my workspace&apos;s holidays</Label>
+                  </div>
+
+                  {formData.holidayRegions !== null && (
+                    <HolidayRegionPicker
+                      value={formData.holidayRegions}
+                      options={regionOptions}
+                      onChange={handleHolidayRegionsChange}
+                      label="Add your holiday region"
+                    />
+                  )}
+                </div>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
         {/* Submit Button */}
         <div className="flex justify-end">
           <Button
@@ -193,6 +256,9 @@ const PreferencesTab = () => {
           </Button>
         </div>
       </form>
+
+      {/* Calendar Subscriptions */}
+      <CalendarFeedsCard />
     </div>
   );
 };
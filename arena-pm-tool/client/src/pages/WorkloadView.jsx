@@ -0,0 +1,300 @@
+import { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, Gauge } from 'lucide-react';
+import { DndContext, DragOverlay, useDraggable, useDroppable } from '@dnd-kit/core';
+import useWorkloadStore from '../store/workloadStore';
+import useWorkspaceStore from '../store/workspaceStore';
+import EmptyState from '../components/EmptyState';
+import { PageLoader } from '../components/Loader';
+import { Button } from 'components/ui/button';
+import { Input } from 'components/ui/input';
+import { useDndSensors } from '../hooks/useDndSensors';
+import { priorityBorderColors } from '../utils/priorityStyles';
+import { formatDueDate, formatDueDateLong, toDateKey } from '../utils/dateUtils';
+import { shiftDateKey } from '../utils/timeline';
+import { getLoadLevel } from '../utils/workload';
+
+// Task chips shown per cell before "+n more"
+const MAX_VISIBLE_TASKS = 3;
+
+const LOAD_LEVEL_STYLES = {
+  over: 'bg-red-50 dark:bg-red-950/40',
+  full: 'bg-amber-50 dark:bg-amber-950/30',
+};
+
+const LOAD_COUNT_STYLES = {
+  over: 'bg-red-600 text-white',
+  full: 'bg-amber-500 text-white',
+};
+
+// Render-prop wrapper for a draggable task chip; fromUserId is null in the unassigned row
+function DraggableWorkloadTask({ task, fromUserId, disabled, children }) {
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({
+    id: `workload-task-${task.id}-${fromUserId ?? 'none'}`,
+    data: { type: 'workload-task', task, fromUserId },
+    disabled,
+  });
+  return children({ ref: setNodeRef, attributes, listeners, isDragging });
+}
+
+// Render-prop wrapper for a droppable person row
+function DroppableWorkloadRow({ userId, children }) {
+  const { setNodeRef, isOver } = useDroppable({
+    id: `workload-row-${userId ?? 'none'}`,
+    data: { type: 'workload-row', userId },
+  });
+  return children({ ref: setNodeRef, isOver });
+}
+
+function TaskChip({ task, className = '' }) {
+  return (
+    <div
+      className={`text-xs py-1 px-1.5 rounded border border-border border-l-[3px] ${priorityBorderColors[task.priority] || 'border-l-gray-400'} bg-card truncate ${className}`}
+      title={`${task.title}\nDue ${formatDueDateLong(task.dueDate)}`}
+    >
+      {task.title}
+    </div>
+  );
+}
+
+// Capacity input for admins; saves on blur or Enter, empty clears it
+function CapacityInput({ member, onSave }) {
+  const [value, setValue] = useState(member.weeklyCapacity ?? '');
+
+  useEffect(() => {
+    setValue(member.weeklyCapacity ?? '');
+  }, [member.weeklyCapacity]);
+
+  const save = () => {
+    const next = value === '' ? null : Number(value);
+    if (next === member.weeklyCapacity) return;
+    if (next !== null && (!Number.isInteger(next) || next < 1)) {
+      setValue(member.weeklyCapacity ?? '');
+      return;
+    }
+    onSave(member.memberId, next);
+  };
+
+  return (
+    <Input
+      type="number"
+      min={1}
+      max={200}
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+      }}
+      placeholder="–"
+      aria-label={`Weekly capacity of ${member.name}`}
+      className="h-7 w-14 px-2 text-xs"
+    />
+  );
+}
+
+function WorkloadView() {
+  const { from, weeks, members, unassigned, isLoading, error, fetchWorkload, updateCapacity, reassignTask } = useWorkloadStore();
+  const currentWorkspaceId = useWorkspaceStore((s) => s.currentWorkspaceId);
+  const userRole = useWorkspaceStore((s) => s.currentWorkspace?.userRole);
+  const [activeTask, setActiveTask] = useState(null);
+  const sensors = useDndSensors();
+
+  const isAdmin = userRole === 'admin';
+  const canReassign = userRole !== 'viewer';
+
+  useEffect(() => {
+    fetchWorkload();
+  }, [fetchWorkload, currentWorkspaceId]);
+
+  const goToPrevious = () => fetchWorkload({ from: shiftDateKey(from, -7) });
+  const goToNext = () => fetchWorkload({ from: shiftDateKey(from, 7) });
+  const goToToday = () => fetchWorkload({ from: toDateKey(new Date()) });
+
+  const handleDragStart = (event) => {
+    setActiveTask(event.active.data.current?.task || null);
+  };
+
+  const handleDragEnd = async (event) => {
+    const { active, over } = event;
+    setActiveTask(null);
+
+    if (over?.data.current?.type !== 'workload-row') return;
+    const { task, fromUserId } = active.data.current;
+    const toUserId = over.data.current.userId;
+    // Dropping onto someone who already has the task changes nothing
+    if (toUserId !== null && task.assigneeIds.includes(toUserId)) return;
+
+    await reassignTask(task, fromUserId, toUserId);
+  };
+
+  if (isLoading && weeks.length === 0) {
+    return <PageLoader />;
+  }
+
+  const rangeEnd = weeks.length > 0 ? shiftDateKey(weeks[weeks.length - 1], 6) : from;
+
+  // One row per person, plus unassigned work to hand out
+  const rows = [
+    ...members.map((member) => ({ key: member.userId, userId: member.userId, member })),
+    ...(unassigned ? [{ key: 'none', userId: null, member: { name: 'Unassigned', weeklyCapacity: null, ...unassigned } }] : []),
+  ];
+
+  const renderTasks = (tasks, userId) => (
+    <div className="space-y-1">
+      {tasks.slice(0, MAX_VISIBLE_TASKS).map((task) => (
+        <DraggableWorkloadTask key={task.id} task={task} fromUserId={userId} disabled={!canReassign}>
+          {({ ref, attributes, listeners, isDragging }) => (
+            <div ref={ref} {...attributes} {...listeners} className={canReassign ? 'cursor-move' : ''}>
+              <TaskChip task={task} className={isDragging ? 'opacity-40' : ''} />
+            </div>
+          )}
+        </DraggableWorkloadTask>
+      ))}
+      {tasks.length > MAX_VISIBLE_TASKS && (
+        <div className="text-[11px] text-muted-foreground px-1">+{tasks.length - MAX_VISIBLE_TASKS} more</div>
+      )}
+    </div>
+  );
+
+  const renderCount = (count, level) => (
+    <span
+      className={`inline-flex min-w-[1.5rem] justify-center rounded-full px-1.5 py-0.5 text-[11px] font-medium ${
+        LOAD_COUNT_STYLES[level] || 'bg-muted text-muted-foreground'
+      }`}
+    >
+      {count}
+    </span>
+  );
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Workload Header */}
+      <div className="mb-4 sm:mb-6 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2 sm:gap-4">
+          <h2 className="text-lg sm:text-2xl font-semibold text-foreground">
+            {formatDueDate(from)} – {formatDueDateLong(rangeEnd)}
+          </h2>
+          <div className="flex items-center gap-1 sm:gap-2">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={goToPrevious}
+              className="h-8 w-8 sm:h-9 sm:w-9 text-muted-foreground hover:text-foreground"
+              title="Previous week"
+              aria-label="Previous week"
+            >
+              <ChevronLeft size={18} className="sm:w-5 sm:h-5" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={goToNext}
+              className="h-8 w-8 sm:h-9 sm:w-9 text-muted-foreground hover:text-foreground"
+              title="Next week"
+              aria-label="Next week"
+            >
+              <ChevronRight size={18} className="sm:w-5 sm:h-5" />
+            </Button>
+          </div>
+        </div>
+
+        <Button variant="outline" size="sm" onClick={goToToday}>
+          This week
+        </Button>
+      </div>
+
+      {error && members.length === 0 ? (
+        <EmptyState icon={Gauge} title="Couldn't load the workload" description={error} />
+      ) : (
+        <DndContext sensors={sensors} onDragStart={handleDragStart} onDragEnd={handleDragEnd} onDragCancel={() => setActiveTask(null)}>
+          <div className="bg-card rounded-2xl border border-border shadow-card overflow-x-auto">
+            <table className="w-full min-w-[960px] table-fixed text-sm">
+              <thead>
+                <tr className="border-b border-border text-xs font-medium text-muted-foreground uppercase tracking-wider">
+                  <th className="w-52 px-3 py-3 text-left">Person</th>
+                  <th className="w-32 px-2 py-3 text-left">Overdue</th>
+                  {weeks.map((weekStart) => (
+                    <th key={weekStart} className="px-2 py-3 text-left">
+                      Week of {formatDueDate(weekStart)}
+                    </th>
+                  ))}
+                  <th className="w-20 px-2 py-3 text-left">No date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ key, userId, member }) => (
+                  <DroppableWorkloadRow key={key} userId={userId}>
+                    {({ ref, isOver }) => (
+                      <tr
+                        ref={ref}
+                        className={`border-b border-border last:border-b-0 align-top transition-colors ${
+                          isOver ? 'bg-accent/60' : ''
+                        } ${userId === null ? 'bg-muted/30' : ''}`}
+                      >
+                        <td className="px-3 py-2.5">
+                          <div className="font-medium text-foreground truncate" title={member.name}>{member.name}</div>
+                          {userId !== null && (
+                            <div className="mt-1 flex items-center gap-1.5 text-xs text-muted-foreground">
+                              {isAdmin ? (
+                                <>
+                                  <CapacityInput member={member} onSave={updateCapacity} />
+                                  <span>tasks / week</span>
+                                </>
+                              ) : (
+                                <span>{member.weeklyCapacity ? `${member.weeklyCapacity} tasks / week` : 'No capacity set'}</span>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-2 py-2.5">
+                          {member.overdue.length > 0 && (
+                            <div className="space-y-1">
+                              <span className="inline-flex rounded-full bg-red-100 dark:bg-red-950/60 px-1.5 py-0.5 text-[11px] font-medium text-red-700 dark:text-red-300">
+                                {member.overdue.length} overdue
+                              </span>
+                              {renderTasks(member.overdue, userId)}
+                            </div>
+                          )}
+                        </td>
+                        {member.weeks.map((week) => {
+                          const level = getLoadLevel(week.tasks.length, member.weeklyCapacity);
+                          return (
+                            <td
+                              key={week.weekStart}
+                              className={`px-2 py-2.5 ${LOAD_LEVEL_STYLES[level] || ''}`}
+                              title={level === 'over' ? `Over capacity: ${week.tasks.length} of ${member.weeklyCapacity} tasks` : undefined}
+                            >
+                              {week.tasks.length > 0 && (
+                                <div className="space-y-1">
+                                  {renderCount(week.tasks.length, level)}
+                                  {renderTasks(week.tasks, userId)}
+                                </div>
+                              )}
+                            </td>
+                          );
+                        })}
+                        <td className="px-2 py-2.5 text-xs text-muted-foreground">
+                          {member.noDueDateCount > 0 ? member.noDueDateCount : ''}
+                        </td>
+                      </tr>
+                    )}
+                  </DroppableWorkloadRow>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <DragOverlay>
+            {activeTask ? <TaskChip task={activeTask} className="w-48 shadow-lg" /> : null}
+          </DragOverlay>
+        </DndContext>
+      )}
+
+      <p className="mt-3 text-xs text-muted-foreground">
+        Open tasks by the week they are due.{canReassign && ' Drag a task onto another person to reassign it.'}
+      </p>
+    </div>
+  );
+}
+
+export default WorkloadView;
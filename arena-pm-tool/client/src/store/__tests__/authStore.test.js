@@ -383,6 +383,22 @@ describe('Auth Store', () => {
       const state = useAuthStore.getState();
       expect(state.user.language).toBe('en');
       expect(state.user.timezone).toBe('UTC');
+      expect(state.user.holidayRegions).toBeNull();
+    });
+
+    it('should merge holiday regions into user state', async () => {
+      useAuthStore.setState({
+        user: { id: 1, name: 'User' },
+      });
+      meAPI.updatePreferences.mockResolvedValue({
+        data: { data: { preferences: { language: 'en', timezone: 'UTC', holidayRegions: ['PL', 'DE-BY'] } } }
+      });
+
+      await act(async () => {
+        await useAuthStore.getState().updatePreferences({ holidayRegions: ['PL', 'DE-BY'] });
+      });
+
+      expect(useAuthStore.getState().user.holidayRegions).toEqual(['PL', 'DE-BY']);
     });
 
     it('should handle updatePreferences error with server message', async () => {
@@ -424,18 +440,19 @@ describe('Auth Store', () => {
         user: { id: 1, name: 'User' },
       });
       meAPI.updateNotifications.mockResolvedValue({
-        data: { data: { notifications: { emailNotificationsEnabled: true, emailDigestMode: 'daily' } } }
+        data: { data: { notifications: { emailNotificationsEnabled: true, emailDigestMode: 'daily', reminderLookaheadDays: 3 } } }
       });
 
       await act(async () => {
         const result = await useAuthStore.getState().updateNotifications({ emailNotificationsEnabled: true });
         expect(result.success).toBe(true);
-        expect(result.notifications).toEqual({ emailNotificationsEnabled: true, emailDigestMode: 'daily' });
+        expect(result.notifications).toEqual({ emailNotificationsEnabled: true, emailDigestMode: 'daily', reminderLookaheadDays: 3 });
       });
 
       const state = useAuthStore.getState();
       expect(state.user.emailNotificationsEnabled).toBe(true);
       expect(state.user.emailDigestMode).toBe('daily');
+      expect(state.user.reminderLookaheadDays).toBe(3);
       expect(state.isLoading).toBe(false);
       expect(state.error).toBeNull();
       expect(toast.success).toHaveBeenCalledWith('Notification settings updated successfully');
@@ -574,4 +574,60 @@ describe('Category Store', () => {
       expect(state.error).toBeNull();
     });
   });
+
+  describe('applyRemoteEvent', () => {
+    const apply = (type, data) => {
+      act(() => {
+        useCategoryStore.getState().applyRemoteEvent({ type, workspaceId: 'test-workspace-id', data });
+      });
+    };
+
+    it('should add a created category once', () => {
+      const category = { id: 1, name: 'Remote', position: 0 };
+
+      apply('category.created', { category });
+      apply('category.created', { category });
+
+      expect(useCategoryStore.getState().categories).toEqual([category]);
+    });
+
+    it('should merge an updated category', () => {
+      useCategoryStore.setState({ categories: [{ id: 1, name: 'Old', color: '#fff' }] });
+
+      apply('category.updated', { category: { id: 1, name: 'New' } });
+
+      expect(useCategoryStore.getState().categories[0]).toEqual({ id: 1, name: 'New', color: '#fff' });
+    });
+
+    it('should reorder categories', () => {
+      useCategoryStore.setState({
+        categories: [{ id: 1, position: 0 }, { id: 2, position: 1 }, { id: 3, position: 2 }],
+      });
+
+      apply('categories.reordered', { categoryIds: [3, 1, 2] });
+
+      expect(useCategoryStore.getState().categories).toEqual([
+        { id: 3, position: 0 },
+        { id: 1, position: 1 },
+        { id: 2, position: 2 },
+      ]);
+    });
+
+    it('should remove a deleted category', () => {
+      useCategoryStore.setState({ categories: [{ id: 1 }, { id: 2 }] });
+
+      apply('category.deleted', { categoryId: 1 });
+
+      expect(useCategoryStore.getState().categories).toEqual([{ id: 2 }]);
+    });
+
+    it('should refetch without a loading state on resync', () => {
+      categoriesAPI.getAll.mockResolvedValue({ data: { data: { categories: [] } } });
+
+      apply('resync', {});
+
+      expect(categoriesAPI.getAll).toHaveBeenCalledWith({ workspace_id: 'test-workspace-id' });
+      expect(useCategoryStore.getState().isLoading).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,142 @@
+import { act } from 'react';
+import useCustomFieldStore from '../customFieldStore';
+import useWorkspaceStore from '../workspaceStore';
+import { workspacesAPI } from '../../utils/api';
+import { toast } from 'sonner';
+
+jest.mock('../../utils/api', () => ({
+  workspacesAPI: {
+    getCustomFields: jest.fn(),
+    createCustomField: jest.fn(),
+    updateCustomField: jest.fn(),
+    deleteCustomField: jest.fn(),
+  },
+}));
+
+jest.mock('sonner', () => ({
+  toast: Object.assign(jest.fn(), {
+    success: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+const envField = { id: 7, name: 'Environment', fieldType: 'dropdown', options: ['staging', 'prod'], position: 0 };
+const pointsField = { id: 8, name: 'Story points', fieldType: 'number', options: [], position: 1 };
+
+describe('Custom Field Store', () => {
+  beforeEach(() => {
+    useWorkspaceStore.setState({ currentWorkspaceId: 'ws-1' });
+    useCustomFieldStore.getState().clearFields();
+    jest.clearAllMocks();
+  });
+
+  describe('fetchFields', () => {
+    it('should load the current workspace fields', async () => {
+      workspacesAPI.getCustomFields.mockResolvedValueOnce({ data: { data: { fields: [envField, pointsField] } } });
+
+      await act(async () => {
+        await useCustomFieldStore.getState().fetchFields();
+      });
+
+      expect(workspacesAPI.getCustomFields).toHaveBeenCalledWith('ws-1');
+      expect(useCustomFieldStore.getState().fields).toEqual([envField, pointsField]);
+      expect(useCustomFieldStore.getState().isLoading).toBe(false);
+    });
+
+    it('should skip fetching without a workspace', async () => {
+      useWorkspaceStore.setState({ currentWorkspaceId: null });
+
+      await act(async () => {
+        await useCustomFieldStore.getState().fetchFields();
+      });
+
+      expect(workspacesAPI.getCustomFields).not.toHaveBeenCalled();
+    });
+
+    it('should record the error without a toast when the request fails', async () => {
+      workspacesAPI.getCustomFields.mockRejectedValueOnce({ response: { data: { message: 'Nope' } } });
+
+      await act(async () => {
+        await useCustomFieldStore.getState().fetchFields();
+      });
+
+      expect(useCustomFieldStore.getState().fields).toEqual([]);
+      expect(useCustomFieldStore.getState().error).toBe('Nope');
+      expect(toast.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createField', () => {
+    it('should append the created field', async () => {
+      useCustomFieldStore.setState({ fields: [envField] });
+      workspacesAPI.createCustomField.mockResolvedValueOnce({ data: { data: { field: pointsField } } });
+
+      let result;
+      await act(async () => {
+        result = await useCustomFieldStore.getState().createField({ name: 'Story points', field_type: 'number' });
+      });
+
+      expect(workspacesAPI.createCustomField).toHaveBeenCalledWith('ws-1', { name: 'Story points', field_type: 'number' });
+      expect(result).toEqual({ success: true, field: pointsField });
+      expect(useCustomFieldStore.getState().fields).toEqual([envField, pointsField]);
+    });
+
+    it('should surface server validation errors', async () => {
+      workspacesAPI.createCustomField.mockRejectedValueOnce({
+        response: { data: { message: 'Custom field with this name already exists' } },
+      });
+
+      let result;
+      await act(async () => {
+        result = await useCustomFieldStore.getState().createField({ name: 'Environment', field_type: 'text' });
+      });
+
+      expect(result.success).toBe(false);
+      expect(toast.error).toHaveBeenCalledWith('Custom field with this name already exists');
+      expect(useCustomFieldStore.getState().fields).toEqual([]);
+    });
+  });
+
+  describe('updateField', () => {
+    it('should replace the updated field in place', async () => {
+      const updated = { ...envField, options: ['staging', 'prod', 'dev'] };
+      useCustomFieldStore.setState({ fields: [envField, pointsField] });
+      workspacesAPI.updateCustomField.mockResolvedValueOnce({ data: { data: { field: updated } } });
+
+      await act(async () => {
+        await useCustomFieldStore.getState().updateField(7, { options: updated.options });
+      });
+
+      expect(workspacesAPI.updateCustomField).toHaveBeenCalledWith('ws-1', 7, { options: updated.options });
+      expect(useCustomFieldStore.getState().fields).toEqual([updated, pointsField]);
+    });
+  });
+
+  describe('deleteField', () => {
+    it('should remove the field optimistically', async () => {
+      useCustomFieldStore.setState({ fields: [envField, pointsField] });
+      workspacesAPI.deleteCustomField.mockResolvedValueOnce({});
+
+      await act(async () => {
+        await useCustomFieldStore.getState().deleteField(7);
+      });
+
+      expect(workspacesAPI.deleteCustomField).toHaveBeenCalledWith('ws-1', 7);
+      expect(useCustomFieldStore.getState().fields).toEqual([pointsField]);
+    });
+
+    it('should restore the field when the delete fails', async () => {
+      useCustomFieldStore.setState({ fields: [envField, pointsField] });
+      workspacesAPI.deleteCustomField.mockRejectedValueOnce(new Error('Network error'));
+
+      let result;
+      await act(async () => {
+        result = await useCustomFieldStore.getState().deleteField(7);
+      });
+
+      expect(result.success).toBe(false);
+      expect(useCustomFieldStore.getState().fields).toEqual([envField, pointsField]);
+      expect(toast.error).toHaveBeenCalledWith('Failed to delete custom field');
+    });
+  });
+});
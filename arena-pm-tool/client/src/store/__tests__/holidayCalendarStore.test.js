@@ -0,0 +1,212 @@
+import { act } from 'react';
+import useHolidayCalendarStore from '../holidayCalendarStore';
+import useHolidayStore from '../holidayStore';
+import useWorkspaceStore from '../workspaceStore';
+import { holidaysAPI, workspacesAPI } from '../../utils/api';
+import { toast } from 'sonner';
+
+jest.mock('../../utils/api', () => ({
+  holidaysAPI: {
+    getByYear: jest.fn(),
+    getRegions: jest.fn(),
+  },
+  workspacesAPI: {
+    getHolidayCalendar: jest.fn(),
+    updateHolidayRegions: jest.fn(),
+    updateWorkingDays: jest.fn(),
+    createCompanyHoliday: jest.fn(),
+    deleteCompanyHoliday: jest.fn(),
+  },
+}));
+
+jest.mock('sonner', () => ({
+  toast: Object.assign(jest.fn(), {
+    success: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+const initialState = {
+  regionOptions: [],
+  defaultRegions: [],
+  regions: null,
+  effectiveRegions: [],
+  workingDays: [1, 2, 3, 4, 5],
+  companyHolidays: [],
+  isLoading: false,
+  error: null,
+};
+
+const regionOptions = [
+  { code: 'DE-BY', name: 'Germany – Bavaria', country: 'DE' },
+  { code: 'PL', name: 'Poland', country: 'PL' },
+];
+const closure = { id: 9, date: '2026-12-31', name: 'Office closed', recurring: false };
+const anniversary = { id: 7, date: '2026-07-17', name: 'Company anniversary', recurring: true };
+
+describe('Holiday Calendar Store', () => {
+  beforeEach(() => {
+    useWorkspaceStore.setState({ currentWorkspaceId: 'ws-1' });
+    useHolidayCalendarStore.setState(initialState);
+    useHolidayStore.setState({ workspaceId: 'ws-1', loadedYears: [2026] });
+    jest.clearAllMocks();
+  });
+
+  describe('fetchRegionOptions', () => {
+    it('should load the regions once', async () => {
+      holidaysAPI.getRegions.mockResolvedValueOnce({
+        data: { data: { regions: regionOptions, defaultRegions: ['LT'] } },
+      });
+
+      await act(async () => {
+        await useHolidayCalendarStore.getState().fetchRegionOptions();
+        await useHolidayCalendarStore.getState().fetchRegionOptions();
+      });
+
+      expect(holidaysAPI.getRegions).toHaveBeenCalledTimes(1);
+      expect(useHolidayCalendarStore.getState().regionOptions).toEqual(regionOptions);
+      expect(useHolidayCalendarStore.getState().defaultRegions).toEqual(['LT']);
+    });
+  });
+
+  describe('fetchCalendar', () => {
+    it("should load the current workspace's regions and company holidays", async () => {
+      workspacesAPI.getHolidayCalendar.mockResolvedValueOnce({
+        data: {
+          data: {
+            regions: ['PL'],
+            effectiveRegions: ['PL'],
+            defaultRegions: ['LT'],
+            workingDays: [1, 2, 3, 4, 7],
+            holidays: [anniversary],
+          },
+        },
+      });
+
+      await act(async () => {
+        await useHolidayCalendarStore.getState().fetchCalendar();
+      });
+
+      expect(workspacesAPI.getHolidayCalendar).toHaveBeenCalledWith('ws-1');
+      expect(useHolidayCalendarStore.getState()).toMatchObject({
+        regions: ['PL'],
+        effectiveRegions: ['PL'],
+        workingDays: [1, 2, 3, 4, 7],
+        companyHolidays: [anniversary],
+        isLoading: false,
+      });
+    });
+
+    it('should record the error without a toast when the request fails', async () => {
+      workspacesAPI.getHolidayCalendar.mockRejectedValueOnce({ response: { data: { message: 'Nope' } } });
+
+      await act(async () => {
+        await useHolidayCalendarStore.getState().fetchCalendar();
+      });
+
+      expect(useHolidayCalendarStore.getState().error).toBe('Nope');
+      expect(toast.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateRegions', () => {
+    it('should save the regions and reload the calendar holidays', async () => {
+      workspacesAPI.updateHolidayRegions.mockResolvedValueOnce({
+        data: { data: { regions: ['DE-BY', 'PL'], effectiveRegions: ['DE-BY', 'PL'] } },
+      });
+
+      let result;
+      await act(async () => {
+        result = await useHolidayCalendarStore.getState().updateRegions(['DE-BY', 'PL']);
+      });
+
+      expect(result.success).toBe(true);
+      expect(workspacesAPI.updateHolidayRegions).toHaveBeenCalledWith('ws-1', ['DE-BY', 'PL']);
+      expect(useHolidayCalendarStore.getState().regions).toEqual(['DE-BY', 'PL']);
+      expect(useHolidayStore.getState().loadedYears).toEqual([]);
+    });
+
+    it('should show the error and keep the loaded holidays on failure', async () => {
+      workspacesAPI.updateHolidayRegions.mockRejectedValueOnce({ response: { data: { message: 'Unknown holiday region' } } });
+
+      let result;
+      await act(async () => {
+        result = await useHolidayCalendarStore.getState().updateRegions(['XX']);
+      });
+
+      expect(result).toEqual({ success: false, error: 'Unknown holiday region' });
+      expect(toast.error).toHaveBeenCalledWith('Unknown holiday region');
+      expect(useHolidayStore.getState().loadedYears).toEqual([2026]);
+    });
+  });
+
+  describe('updateWorkingDays', () => {
+    it('should save the working days and reload the calendar holidays', async () => {
+      workspacesAPI.updateWorkingDays.mockResolvedValueOnce({
+        data: { data: { regions: null, effectiveRegions: ['LT'], workingDays: [1, 2, 3, 4, 5, 6] } },
+      });
+
+      let result;
+      await act(async () => {
+        result = await useHolidayCalendarStore.getState().updateWorkingDays([1, 2, 3, 4, 5, 6]);
+      });
+
+      expect(result.success).toBe(true);
+      expect(workspacesAPI.updateWorkingDays).toHaveBeenCalledWith('ws-1', [1, 2, 3, 4, 5, 6]);
+      expect(useHolidayCalendarStore.getState().workingDays).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(useHolidayStore.getState().loadedYears).toEqual([]);
+    });
+
+    it('should show the error and keep the working days on failure', async () => {
+      workspacesAPI.updateWorkingDays.mockRejectedValueOnce({ response: { data: { message: 'Choose at least one working day' } } });
+
+      let result;
+      await act(async () => {
+        result = await useHolidayCalendarStore.getState().updateWorkingDays([]);
+      });
+
+      expect(result).toEqual({ success: false, error: 'Choose at least one working day' });
+      expect(toast.error).toHaveBeenCalledWith('Choose at least one working day');
+      expect(useHolidayCalendarStore.getState().workingDays).toEqual([1, 2, 3, 4, 5]);
+    });
+  });
+
+  describe('company holidays', () => {
+    it('should add a holiday in date order', async () => {
+      useHolidayCalendarStore.setState({ companyHolidays: [closure] });
+      workspacesAPI.createCompanyHoliday.mockResolvedValueOnce({ data: { data: { holiday: anniversary } } });
+
+      await act(async () => {
+        await useHolidayCalendarStore.getState().addCompanyHoliday({ date: '2026-07-17', name: 'Company anniversary', recurring: true });
+      });
+
+      expect(workspacesAPI.createCompanyHoliday).toHaveBeenCalledWith('ws-1', { date: '2026-07-17', name: 'Company anniversary', recurring: true });
+      expect(useHolidayCalendarStore.getState().companyHolidays).toEqual([anniversary, closure]);
+      expect(useHolidayStore.getState().loadedYears).toEqual([]);
+    });
+
+    it('should remove a holiday optimistically', async () => {
+      useHolidayCalendarStore.setState({ companyHolidays: [anniversary, closure] });
+      workspacesAPI.deleteCompanyHoliday.mockResolvedValueOnce({});
+
+      await act(async () => {
+        await useHolidayCalendarStore.getState().removeCompanyHoliday(9);
+      });
+
+      expect(workspacesAPI.deleteCompanyHoliday).toHaveBeenCalledWith('ws-1', 9);
+      expect(useHolidayCalendarStore.getState().companyHolidays).toEqual([anniversary]);
+    });
+
+    it('should restore the list when removing fails', async () => {
+      useHolidayCalendarStore.setState({ companyHolidays: [anniversary, closure] });
+      workspacesAPI.deleteCompanyHoliday.mockRejectedValueOnce(new Error('Network error'));
+
+      await act(async () => {
+        await useHolidayCalendarStore.getState().removeCompanyHoliday(9);
+      });
+
+      expect(useHolidayCalendarStore.getState().companyHolidays).toEqual([anniversary, closure]);
+      expect(toast.error).toHaveBeenCalledWith('Failed to remove company holiday');
+    });
+  });
+});
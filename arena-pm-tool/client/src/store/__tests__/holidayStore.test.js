@@ -14,6 +14,8 @@ const initialState = {
   isLoading: false,
   error: null,
   loadedYears: [],
+  workingDays: [1, 2, 3, 4, 5],
+  workspaceId: null,
 };
 
 const mockHolidays = [
@@ -41,7 +43,71 @@ describe('Holiday Store', () => {
       expect(state.holidaysByYear[2026]).toEqual(mockHolidays);
       expect(state.loadedYears).toContain(2026);
       expect(state.isLoading).toBe(false);
-      expect(holidaysAPI.getByYear).toHaveBeenCalledWith(2026);
+      expect(holidaysAPI.getByYear).toHaveBeenCalledWith(2026, null);
+    });
+
+    it("should fetch a workspace's holidays and start over when the workspace changes", async () => {
+      holidaysAPI.getByYear.mockResolvedValue({
+        data: { data: { holidays: mockHolidays } },
+      });
+
+      await act(async () => {
+        await useHolidayStore.getState().fetchHolidays(2026, 'ws-1');
+      });
+      expect(holidaysAPI.getByYear).toHaveBeenCalledWith(2026, 'ws-1');
+
+      await act(async () => {
+        await useHolidayStore.getState().fetchHolidays(2026, 'ws-2');
+      });
+
+      expect(holidaysAPI.getByYear).toHaveBeenCalledTimes(2);
+      expect(holidaysAPI.getByYear).toHaveBeenLastCalledWith(2026, 'ws-2');
+      expect(useHolidayStore.getState().workspaceId).toBe('ws-2');
+      expect(useHolidayStore.getState().loadedYears).toEqual([2026]);
+    });
+
+    it("should keep the workspace's working days", async () => {
+      holidaysAPI.getByYear.mockResolvedValueOnce({
+        data: { data: { holidays: mockHolidays, workingDays: [1, 2, 3, 4, 7] } },
+      });
+
+      await act(async () => {
+        await useHolidayStore.getState().fetchHolidays(2026, 'ws-1');
+      });
+
+      expect(useHolidayStore.getState().workingDays).toEqual([1, 2, 3, 4, 7]);
+    });
+
+    it('should ignore a response for a workspace that is no longer current', async () => {
+      let resolveRequest;
+      holidaysAPI.getByYear.mockImplementationOnce(() => new Promise((resolve) => { resolveRequest = resolve; }));
+
+      let pending;
+      act(() => {
+        pending = useHolidayStore.getState().fetchHolidays(2026, 'ws-1');
+      });
+      useHolidayStore.setState({ workspaceId: 'ws-2' });
+
+      await act(async () => {
+        resolveRequest({ data: { data: { holidays: mockHolidays } } });
+        await pending;
+      });
+
+      expect(useHolidayStore.getState().holidaysByDate).toEqual({});
+      expect(useHolidayStore.getState().loadedYears).toEqual([]);
+    });
+
+    it('should prefer a company holiday over a public one on the same day', async () => {
+      const companyHoliday = { name: 'Office closed', localName: 'Office closed', date: '2026-01-01', source: 'company' };
+      holidaysAPI.getByYear.mockResolvedValueOnce({
+        data: { data: { holidays: [companyHoliday, { ...mockHolidays[0], source: 'public' }] } },
+      });
+
+      await act(async () => {
+        await useHolidayStore.getState().fetchHolidays(2026, 'ws-1');
+      });
+
+      expect(useHolidayStore.getState().holidaysByDate['2026-01-01']).toEqual(companyHoliday);
     });
 
     it('should build date-keyed lookup map', async () => {
@@ -124,6 +190,24 @@ describe('Holiday Store', () => {
     });
   });
 
+  describe('reset', () => {
+    it('should forget loaded holidays so they are fetched again', () => {
+      useHolidayStore.setState({
+        workspaceId: 'ws-1',
+        loadedYears: [2026],
+        holidaysByYear: { 2026: mockHolidays },
+        holidaysByDate: { '2026-01-01': mockHolidays[0] },
+      });
+
+      useHolidayStore.getState().reset();
+
+      const state = useHolidayStore.getState();
+      expect(state.loadedYears).toEqual([]);
+      expect(state.holidaysByDate).toEqual({});
+      expect(state.workspaceId).toBe('ws-1');
+    });
+  });
+
   describe('getHolidayByDate', () => {
     it('should return holiday for a known date', () => {
       useHolidayStore.setState({
@@ -161,4 +245,18 @@ describe('Holiday Store', () => {
       expect(useHolidayStore.getState().isHoliday('2026-03-15')).toBe(false);
     });
   });
+
+  describe('getWorkingCalendar', () => {
+    it('should return the working days and holidays by date', () => {
+      useHolidayStore.setState({
+        workingDays: [1, 2, 3, 4, 5, 6],
+        holidaysByDate: { '2026-01-01': mockHolidays[0] },
+      });
+
+      expect(useHolidayStore.getState().getWorkingCalendar()).toEqual({
+        workingDays: [1, 2, 3, 4, 5, 6],
+        holidaysByDate: { '2026-01-01': mockHolidays[0] },
+      });
+    });
+  });
 });
@@ -0,0 +1,193 @@
+import { act } from 'react';
+import useNotificationStore from '../notificationStore';
+import { meAPI } from '../../utils/api';
+import { toast } from 'sonner';
+
+jest.mock('../../utils/api', () => ({
+  meAPI: {
+    getNotifications: jest.fn(),
+    updateNotification: jest.fn(),
+    markAllNotificationsRead: jest.fn(),
+    getNotificationPreferences: jest.fn(),
+    updateNotificationPreferences: jest.fn(),
+  },
+}));
+
+jest.mock('sonner', () => ({
+  toast: Object.assign(jest.fn(), {
+    success: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+const mention = { id: 12, type: 'mention', data: { actorName: 'Ann', taskTitle: 'Launch' }, readAt: null };
+const assignment = { id: 11, type: 'assignment', data: { actorName: 'Bob', taskTitle: 'Plan' }, readAt: '2026-03-01T10:00:00Z' };
+
+const page = (overrides = {}) => ({
+  data: { data: { notifications: [mention, assignment], unreadCount: 1, nextCursor: null, hasMore: false, ...overrides } },
+});
+
+describe('Notification Store', () => {
+  beforeEach(() => {
+    useNotificationStore.getState().clearNotifications();
+    jest.clearAllMocks();
+  });
+
+  describe('fetchNotifications', () => {
+    it('should load the newest notifications and the unread count', async () => {
+      meAPI.getNotifications.mockResolvedValueOnce(page());
+
+      await act(async () => {
+        await useNotificationStore.getState().fetchNotifications();
+      });
+
+      expect(meAPI.getNotifications).toHaveBeenCalledWith({ limit: 20 });
+      expect(useNotificationStore.getState()).toEqual(expect.objectContaining({
+        notifications: [mention, assignment],
+        unreadCount: 1,
+        hasMore: false,
+        isLoading: false,
+      }));
+    });
+  });
+
+  describe('loadMore', () => {
+    it('should append the next page from the cursor', async () => {
+      useNotificationStore.setState({ notifications: [mention], unreadCount: 1, nextCursor: 12, hasMore: true });
+      meAPI.getNotifications.mockResolvedValueOnce(page({ notifications: [assignment] }));
+
+      await act(async () => {
+        await useNotificationStore.getState().loadMore();
+      });
+
+      expect(meAPI.getNotifications).toHaveBeenCalledWith({ cursor: 12, limit: 20 });
+      expect(useNotificationStore.getState().notifications).toEqual([mention, assignment]);
+      expect(useNotificationStore.getState().hasMore).toBe(false);
+    });
+
+    it('should do nothing without more pages', async () => {
+      await act(async () => {
+        await useNotificationStore.getState().loadMore();
+      });
+
+      expect(meAPI.getNotifications).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addNotification', () => {
+    it('should prepend new notifications once and count them as unread', () => {
+      useNotificationStore.setState({ notifications: [assignment], unreadCount: 0 });
+
+      act(() => {
+        useNotificationStore.getState().addNotification(mention);
+        useNotificationStore.getState().addNotification(mention);
+      });
+
+      expect(useNotificationStore.getState().notifications).toEqual([mention, assignment]);
+      expect(useNotificationStore.getState().unreadCount).toBe(1);
+    });
+  });
+
+  describe('markRead', () => {
+    it('should mark a notification read and take the server count', async () => {
+      useNotificationStore.setState({ notifications: [mention, assignment], unreadCount: 1 });
+      meAPI.updateNotification.mockResolvedValueOnce({
+        data: { data: { notification: { ...mention, readAt: '2026-03-02T08:00:00Z' }, unreadCount: 0 } },
+      });
+
+      await act(async () => {
+        await useNotificationStore.getState().markRead(12);
+      });
+
+      expect(meAPI.updateNotification).toHaveBeenCalledWith(12, { read: true });
+      expect(useNotificationStore.getState().notifications[0].readAt).toBe('2026-03-02T08:00:00Z');
+      expect(useNotificationStore.getState().unreadCount).toBe(0);
+    });
+
+    it('should not call the API when nothing changes', async () => {
+      useNotificationStore.setState({ notifications: [assignment], unreadCount: 0 });
+
+      await act(async () => {
+        await useNotificationStore.getState().markRead(11);
+      });
+
+      expect(meAPI.updateNotification).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when the request fails', async () => {
+      useNotificationStore.setState({ notifications: [assignment], unreadCount: 0 });
+      meAPI.updateNotification.mockRejectedValueOnce({ response: { data: { message: 'Nope' } } });
+
+      let result;
+      await act(async () => {
+        result = await useNotificationStore.getState().markRead(11, false);
+      });
+
+      expect(result.success).toBe(false);
+      expect(useNotificationStore.getState().notifications[0].readAt).toBe(assignment.readAt);
+      expect(useNotificationStore.getState().unreadCount).toBe(0);
+      expect(toast.error).toHaveBeenCalledWith('Nope');
+    });
+  });
+
+  describe('markAllRead', () => {
+    it('should mark everything read', async () => {
+      useNotificationStore.setState({ notifications: [mention, assignment], unreadCount: 1 });
+      meAPI.markAllNotificationsRead.mockResolvedValueOnce({ data: { data: { updated: 1, unreadCount: 0 } } });
+
+      await act(async () => {
+        await useNotificationStore.getState().markAllRead();
+      });
+
+      const { notifications, unreadCount } = useNotificationStore.getState();
+      expect(notifications.every((n) => n.readAt)).toBe(true);
+      expect(notifications[1].readAt).toBe(assignment.readAt);
+      expect(unreadCount).toBe(0);
+    });
+
+    it('should restore the inbox when the request fails', async () => {
+      useNotificationStore.setState({ notifications: [mention], unreadCount: 1 });
+      meAPI.markAllNotificationsRead.mockRejectedValueOnce(new Error('offline'));
+
+      await act(async () => {
+        await useNotificationStore.getState().markAllRead();
+      });
+
+      expect(useNotificationStore.getState().notifications).toEqual([mention]);
+      expect(useNotificationStore.getState().unreadCount).toBe(1);
+    });
+  });
+
+  describe('updatePreference', () => {
+    const preferences = {
+      assignment: { inApp: true, email: true },
+      comment: { inApp: true, email: true },
+    };
+
+    it('should switch one channel and keep the server result', async () => {
+      useNotificationStore.setState({ preferences });
+      meAPI.updateNotificationPreferences.mockResolvedValueOnce({
+        data: { data: { preferences: { ...preferences, comment: { inApp: true, email: false } } } },
+      });
+
+      await act(async () => {
+        await useNotificationStore.getState().updatePreference('comment', 'email', false);
+      });
+
+      expect(meAPI.updateNotificationPreferences).toHaveBeenCalledWith({ comment: { email: false } });
+      expect(useNotificationStore.getState().preferences.comment).toEqual({ inApp: true, email: false });
+    });
+
+    it('should roll back when saving fails', async () => {
+      useNotificationStore.setState({ preferences });
+      meAPI.updateNotificationPreferences.mockRejectedValueOnce(new Error('offline'));
+
+      await act(async () => {
+        await useNotificationStore.getState().updatePreference('assignment', 'inApp', false);
+      });
+
+      expect(useNotificationStore.getState().preferences).toEqual(preferences);
+      expect(toast.error).toHaveBeenCalledWith('Failed to update notification preferences');
+    });
+  });
+});
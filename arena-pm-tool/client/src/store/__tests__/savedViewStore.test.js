@@ -0,0 +1,149 @@
+import { act } from 'react';
+import useSavedViewStore from '../savedViewStore';
+import useWorkspaceStore from '../workspaceStore';
+import { workspacesAPI } from '../../utils/api';
+import { toast } from 'sonner';
+
+jest.mock('../../utils/api', () => ({
+  workspacesAPI: {
+    getSavedViews: jest.fn(),
+    createSavedView: jest.fn(),
+    updateSavedView: jest.fn(),
+    deleteSavedView: jest.fn(),
+    setDefaultSavedView: jest.fn(),
+  },
+}));
+
+jest.mock('sonner', () => ({
+  toast: Object.assign(jest.fn(), {
+    success: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+const filters = { assignees: [], priorities: ['Urgent'], categories: [], statuses: [], hideCompleted: false };
+const urgentView = { id: 5, name: 'Urgent', visibility: 'personal', filters, sort: null, search: '', ownerId: 1 };
+const sprintView = { id: 6, name: 'Sprint', visibility: 'shared', filters, sort: { key: 'priority', direction: 'desc' }, search: 'api', ownerId: 2 };
+
+describe('Saved View Store', () => {
+  beforeEach(() => {
+    useWorkspaceStore.setState({ currentWorkspaceId: 'ws-1' });
+    useSavedViewStore.getState().clearViews();
+    jest.clearAllMocks();
+  });
+
+  describe('fetchViews', () => {
+    it('should load views and the default for the current workspace', async () => {
+      workspacesAPI.getSavedViews.mockResolvedValueOnce({
+        data: { data: { views: [urgentView, sprintView], defaultViewId: 6 } },
+      });
+
+      await act(async () => {
+        await useSavedViewStore.getState().fetchViews();
+      });
+
+      expect(workspacesAPI.getSavedViews).toHaveBeenCalledWith('ws-1');
+      expect(useSavedViewStore.getState()).toEqual(expect.objectContaining({
+        views: [urgentView, sprintView],
+        defaultViewId: 6,
+        loadedWorkspaceId: 'ws-1',
+        isLoading: false,
+      }));
+    });
+
+    it('should still mark the workspace as loaded when the request fails', async () => {
+      workspacesAPI.getSavedViews.mockRejectedValueOnce({ response: { data: { message: 'Nope' } } });
+
+      await act(async () => {
+        await useSavedViewStore.getState().fetchViews();
+      });
+
+      expect(useSavedViewStore.getState().error).toBe('Nope');
+      expect(useSavedViewStore.getState().loadedWorkspaceId).toBe('ws-1');
+      expect(toast.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createView', () => {
+    it('should append the view and track it as the default when asked', async () => {
+      useSavedViewStore.setState({ views: [urgentView], defaultViewId: 5 });
+      workspacesAPI.createSavedView.mockResolvedValueOnce({ data: { data: { view: sprintView, isDefault: true } } });
+
+      let result;
+      await act(async () => {
+        result = await useSavedViewStore.getState().createView({ name: 'Sprint', is_default: true });
+      });
+
+      expect(result).toEqual({ success: true, view: sprintView });
+      expect(useSavedViewStore.getState().views).toEqual([urgentView, sprintView]);
+      expect(useSavedViewStore.getState().defaultViewId).toBe(6);
+    });
+  });
+
+  describe('updateView', () => {
+    it('should replace the updated view in place', async () => {
+      const renamed = { ...urgentView, name: 'Fires' };
+      useSavedViewStore.setState({ views: [urgentView, sprintView] });
+      workspacesAPI.updateSavedView.mockResolvedValueOnce({ data: { data: { view: renamed } } });
+
+      await act(async () => {
+        await useSavedViewStore.getState().updateView(5, { name: 'Fires' });
+      });
+
+      expect(workspacesAPI.updateSavedView).toHaveBeenCalledWith('ws-1', 5, { name: 'Fires' });
+      expect(useSavedViewStore.getState().views).toEqual([renamed, sprintView]);
+    });
+  });
+
+  describe('deleteView', () => {
+    it('should remove the view and clear it as the default', async () => {
+      useSavedViewStore.setState({ views: [urgentView, sprintView], defaultViewId: 5 });
+      workspacesAPI.deleteSavedView.mockResolvedValueOnce({});
+
+      await act(async () => {
+        await useSavedViewStore.getState().deleteView(5);
+      });
+
+      expect(useSavedViewStore.getState().views).toEqual([sprintView]);
+      expect(useSavedViewStore.getState().defaultViewId).toBeNull();
+    });
+
+    it('should restore the view when the delete fails', async () => {
+      useSavedViewStore.setState({ views: [urgentView, sprintView], defaultViewId: 5 });
+      workspacesAPI.deleteSavedView.mockRejectedValueOnce({ response: { data: { message: 'You can only delete your own views' } } });
+
+      await act(async () => {
+        await useSavedViewStore.getState().deleteView(5);
+      });
+
+      expect(useSavedViewStore.getState().views).toEqual([urgentView, sprintView]);
+      expect(useSavedViewStore.getState().defaultViewId).toBe(5);
+      expect(toast.error).toHaveBeenCalledWith('You can only delete your own views');
+    });
+  });
+
+  describe('setDefaultView', () => {
+    it('should update the default optimistically', async () => {
+      workspacesAPI.setDefaultSavedView.mockResolvedValueOnce({});
+
+      await act(async () => {
+        await useSavedViewStore.getState().setDefaultView(6);
+      });
+
+      expect(workspacesAPI.setDefaultSavedView).toHaveBeenCalledWith('ws-1', 6);
+      expect(useSavedViewStore.getState().defaultViewId).toBe(6);
+    });
+
+    it('should roll back when the request fails', async () => {
+      useSavedViewStore.setState({ defaultViewId: 5 });
+      workspacesAPI.setDefaultSavedView.mockRejectedValueOnce(new Error('Network error'));
+
+      await act(async () => {
+        await useSavedViewStore.getState().setDefaultView(null);
+      });
+
+      expect(useSavedViewStore.getState().defaultViewId).toBe(5);
+      expect(toast.error).toHaveBeenCalledWith('Failed to update default view');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { act } from 'react';
+import useStatusStore from '../statusStore';
+import useWorkspaceStore from '../workspaceStore';
+import { workspacesAPI } from '../../utils/api';
+import { toast } from 'sonner';
+import { DEFAULT_STATUSES } from '../../utils/workflowStatuses';
+
+jest.mock('../../utils/api', () => ({
+  workspacesAPI: {
+    getStatuses: jest.fn(),
+    updateStatuses: jest.fn(),
+  },
+}));
+
+jest.mock('sonner', () => ({
+  toast: Object.assign(jest.fn(), {
+    success: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+const customStatuses = [
+  { key: 'backlog', name: 'Backlog', category: 'not_started', color: '#94A3B8', position: 0 },
+  { key: 'in_review', name: 'In Review', category: 'active', color: '#F59E0B', position: 1 },
+  { key: 'shipped', name: 'Shipped', category: 'done', color: '#22C55E', position: 2 },
+];
+
+describe('Status Store', () => {
+  beforeEach(() => {
+    useWorkspaceStore.setState({ currentWorkspaceId: 'ws-1' });
+    useStatusStore.getState().clearStatuses();
+    jest.clearAllMocks();
+  });
+
+  it('should start with the built-in statuses', () => {
+    expect(useStatusStore.getState().statuses).toEqual(DEFAULT_STATUSES);
+  });
+
+  describe('fetchStatuses', () => {
+    it('should load the current workspace statuses', async () => {
+      workspacesAPI.getStatuses.mockResolvedValueOnce({ data: { data: { statuses: customStatuses } } });
+
+      await act(async () => {
+        await useStatusStore.getState().fetchStatuses();
+      });
+
+      expect(workspacesAPI.getStatuses).toHaveBeenCalledWith('ws-1');
+      expect(useStatusStore.getState().statuses).toEqual(customStatuses);
+      expect(useStatusStore.getState().isLoading).toBe(false);
+    });
+
+    it('should skip fetching without a workspace', async () => {
+      useWorkspaceStore.setState({ currentWorkspaceId: null });
+
+      await act(async () => {
+        await useStatusStore.getState().fetchStatuses();
+      });
+
+      expect(workspacesAPI.getStatuses).not.toHaveBeenCalled();
+    });
+
+    it('should keep the current statuses when the request fails', async () => {
+      workspacesAPI.getStatuses.mockRejectedValueOnce({ response: { data: { message: 'Nope' } } });
+
+      await act(async () => {
+        await useStatusStore.getState().fetchStatuses();
+      });
+
+      expect(useStatusStore.getState().statuses).toEqual(DEFAULT_STATUSES);
+      expect(useStatusStore.getState().error).toBe('Nope');
+      expect(toast.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateStatuses', () => {
+    it('should save and store the returned statuses', async () => {
+      workspacesAPI.updateStatuses.mockResolvedValueOnce({ data: { data: { statuses: customStatuses } } });
+
+      let result;
+      await act(async () => {
+        result = await useStatusStore.getState().updateStatuses(customStatuses);
+      });
+
+      expect(workspacesAPI.updateStatuses).toHaveBeenCalledWith('ws-1', customStatuses);
+      expect(result.success).toBe(true);
+      expect(useStatusStore.getState().statuses).toEqual(customStatuses);
+      expect(toast.success).toHaveBeenCalledWith('Workflow statuses updated');
+    });
+
+    it('should surface the server message on failure', async () => {
+      const message = 'Cannot remove status "In Progress" while 3 task(s) use it. Move them to another status first.';
+      workspacesAPI.updateStatuses.mockRejectedValueOnce({ response: { data: { message } } });
+
+      let result;
+      await act(async () => {
+        result = await useStatusStore.getState().updateStatuses(customStatuses);
+      });
+
+      expect(result).toEqual({ success: false, error: message });
+      expect(useStatusStore.getState().statuses).toEqual(DEFAULT_STATUSES);
+      expect(useStatusStore.getState().isSaving).toBe(false);
+      expect(toast.error).toHaveBeenCalledWith(message);
+    });
+  });
+});
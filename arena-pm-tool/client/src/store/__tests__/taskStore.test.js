@@ -2,6 +2,7 @@ import { act } from 'react';
 import useTaskStore from '../taskStore';
 import useWorkspaceStore from '../workspaceStore';
 import useUserStore from '../userStore';
+import useStatusStore from '../statusStore';
 import { tasksAPI } from '../../utils/api';
 import { toast } from 'sonner';
 import analytics from '../../utils/analytics';
@@ -10,10 +11,13 @@ import analytics from '../../utils/analytics';
 jest.mock('../../utils/api', () => ({
   tasksAPI: {
     getAll: jest.fn(),
+    getById: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
     updatePosition: jest.fn(),
     delete: jest.fn(),
+    bulkUpdate: jest.fn(),
+    bulkDelete: jest.fn(),
   },
 }));
 
@@ -22,6 +26,8 @@ jest.mock('sonner', () => ({
   toast: Object.assign(jest.fn(), {
     success: jest.fn(),
     error: jest.fn(),
+    info: jest.fn(),
+    warning: jest.fn(),
   }),
 }));
 
@@ -49,6 +55,8 @@ describe('Task Store', () => {
       nextCursor: null,
       hasMore: false,
       _taskMutationGeneration: {},
+      _pendingTaskMutations: {},
+      _remoteTaskVersions: {},
       filters: {
         category_id: null,
         assignee_ids: [],
@@ -326,6 +334,44 @@ describe('Task Store', () => {
     });
   });
 
+  describe('fetchTask', () => {
+    it('should add a task that is not loaded yet', async () => {
+      useTaskStore.setState({ tasks: [{ id: 1, title: 'Task 1' }] });
+      tasksAPI.getById.mockResolvedValue({ data: { data: { task: { id: 7, title: 'Found' } } } });
+
+      let result;
+      await act(async () => {
+        result = await useTaskStore.getState().fetchTask(7);
+      });
+
+      expect(result).toEqual({ success: true, task: { id: 7, title: 'Found' } });
+      expect(useTaskStore.getState().tasks.map((t) => t.id)).toEqual([1, 7]);
+    });
+
+    it('should refresh a task that is already loaded', async () => {
+      useTaskStore.setState({ tasks: [{ id: 7, title: 'Old' }] });
+      tasksAPI.getById.mockResolvedValue({ data: { data: { task: { id: 7, title: 'New' } } } });
+
+      await act(async () => {
+        await useTaskStore.getState().fetchTask(7);
+      });
+
+      expect(useTaskStore.getState().tasks).toEqual([{ id: 7, title: 'New' }]);
+    });
+
+    it('should show an error toast on failure', async () => {
+      tasksAPI.getById.mockRejectedValue({ response: { data: { message: 'Task not found' } } });
+
+      let result;
+      await act(async () => {
+        result = await useTaskStore.getState().fetchTask(7);
+      });
+
+      expect(result).toEqual({ success: false, error: 'Task not found' });
+      expect(toast.error).toHaveBeenCalledWith('Task not found');
+    });
+  });
+
   describe('createTask', () => {
     it('should set isMutating flag', async () => {
       tasksAPI.create.mockImplementation(() => new Promise(() => {}));
@@ -636,6 +682,7 @@ describe('Task Store', () => {
       tasksAPI.update.mockImplementation(() => new Promise((resolve) => { resolveApi = resolve; }));
 
       const updatePromise = useTaskStore.getState().updateTask(1, {
+        start_date: '2026-02-23',
         due_date: '2026-03-01',
         category_id: 'cat-2',
         completed_at: '2026-02-28T12:00:00Z',
@@ -644,6 +691,7 @@ describe('Task Store', () => {
 
       // Verify optimistic update uses camelCase
       const task = useTaskStore.getState().tasks.find(t => t.id === 1);
+      expect(task.startDate).toBe('2026-02-23');
       expect(task.dueDate).toBe('2026-03-01');
       expect(task.categoryId).toBe('cat-2');
       expect(task.completedAt).toBe('2026-02-28T12:00:00Z');
@@ -1000,6 +1048,93 @@ describe('Task Store', () => {
     });
   });
 
+  describe('bulkUpdateTasks', () => {
+    const tasks = [
+      { id: 1, title: 'Task 1', priority: 'low', status: 'todo' },
+      { id: 2, title: 'Task 2', priority: 'low', status: 'todo' },
+      { id: 3, title: 'Task 3', priority: 'low', status: 'todo' },
+    ];
+
+    it('should apply changes to the selected tasks before the API resolves', async () => {
+      useTaskStore.setState({ tasks });
+      tasksAPI.bulkUpdate.mockImplementation(() => new Promise(() => {}));
+
+      useTaskStore.getState().bulkUpdateTasks([1, 3], { priority: 'urgent', assignee_ids: [10] });
+
+      const state = useTaskStore.getState().tasks;
+      expect(state.map((t) => t.priority)).toEqual(['urgent', 'low', 'urgent']);
+      expect(state[0].assignees).toEqual([{ id: 10, name: 'Alice' }]);
+      expect(tasksAPI.bulkUpdate).toHaveBeenCalledWith('test-workspace-id', [1, 3], { priority: 'urgent', assignee_ids: [10] }, {});
+    });
+
+    it('should refetch and report the count on success', async () => {
+      useTaskStore.setState({ tasks });
+      tasksAPI.bulkUpdate.mockResolvedValue({ data: { data: { updatedCount: 2, nextOccurrenceCount: 0 } } });
+      tasksAPI.getAll.mockResolvedValue({ data: { data: { tasks, nextCursor: null, hasMore: false } } });
+
+      let result;
+      await act(async () => {
+        result = await useTaskStore.getState().bulkUpdateTasks([1, 2], { status: 'in_progress' });
+      });
+
+      expect(result).toEqual({ success: true, updatedCount: 2 });
+      expect(tasksAPI.getAll).toHaveBeenCalled();
+      expect(toast.success).toHaveBeenCalledWith('Updated 2 tasks');
+      expect(useTaskStore.getState().isMutating).toBe(false);
+    });
+
+    it('should roll back and offer an override when tasks are blocked', async () => {
+      useTaskStore.setState({ tasks });
+      const blockedTasks = [{ id: 2, title: 'Task 2', blockedBy: [{ id: 9, title: 'Blocker' }] }];
+      tasksAPI.bulkUpdate.mockRejectedValue({
+        response: { status: 409, data: { message: '1 of the selected tasks is blocked by open tasks', blockedTasks } },
+      });
+
+      let result;
+      await act(async () => {
+        result = await useTaskStore.getState().bulkUpdateTasks([1, 2], { status: 'completed' });
+      });
+
+      expect(result.blockedTasks).toEqual(blockedTasks);
+      expect(useTaskStore.getState().tasks).toEqual(tasks);
+      expect(toast.error).toHaveBeenCalledWith(
+        '1 of the selected tasks is blocked by open tasks',
+        expect.objectContaining({ action: expect.objectContaining({ label: 'Complete anyway' }) })
+      );
+    });
+  });
+
+  describe('bulkDeleteTasks', () => {
+    it('should remove the selected tasks and their subtasks', async () => {
+      useTaskStore.setState({
+        tasks: [
+          { id: 1, title: 'Parent' },
+          { id: 2, title: 'Child', parentTaskId: 1 },
+          { id: 3, title: 'Other' },
+        ],
+      });
+      tasksAPI.bulkDelete.mockImplementation(() => new Promise(() => {}));
+
+      useTaskStore.getState().bulkDeleteTasks([1]);
+
+      expect(useTaskStore.getState().tasks.map((t) => t.id)).toEqual([3]);
+      expect(tasksAPI.bulkDelete).toHaveBeenCalledWith('test-workspace-id', [1]);
+    });
+
+    it('should restore the tasks when the delete fails', async () => {
+      const tasks = [{ id: 1, title: 'Task 1' }, { id: 2, title: 'Task 2' }];
+      useTaskStore.setState({ tasks });
+      tasksAPI.bulkDelete.mockRejectedValue(new Error('Network error'));
+
+      await act(async () => {
+        await useTaskStore.getState().bulkDeleteTasks([1, 2]);
+      });
+
+      expect(useTaskStore.getState().tasks).toEqual(tasks);
+      expect(toast.error).toHaveBeenCalledWith('Failed to delete tasks');
+    });
+  });
+
   describe('toggleComplete', () => {
     it('should toggle status from todo to completed', async () => {
       const task = { id: 1, title: 'Task', status: 'todo' };
@@ -1037,6 +1172,33 @@ describe('Task Store', () => {
       expect(toast.success).toHaveBeenCalledWith('Marked "Task" as incomplete');
     });
 
+    it('should use the workspace workflow statuses', async () => {
+      useStatusStore.setState({
+        statuses: [
+          { key: 'backlog', name: 'Backlog', category: 'not_started', color: '#94A3B8', position: 0 },
+          { key: 'in_review', name: 'In Review', category: 'active', color: '#F59E0B', position: 1 },
+          { key: 'shipped', name: 'Shipped', category: 'done', color: '#22C55E', position: 2 },
+        ],
+      });
+      const task = { id: 1, title: 'Task', status: 'in_review' };
+      useTaskStore.setState({ tasks: [task] });
+
+      tasksAPI.update.mockResolvedValue({
+        data: { data: { task: { ...task, status: 'shipped', statusCategory: 'done' } } }
+      });
+
+      await act(async () => {
+        await useTaskStore.getState().toggleComplete(task);
+      });
+
+      expect(tasksAPI.update).toHaveBeenCalledWith(1, expect.objectContaining({
+        status: 'shipped',
+        completed_at: expect.any(String),
+      }));
+      expect(toast.success).toHaveBeenCalledWith('Marked "Task" as completed');
+      useStatusStore.getState().clearStatuses();
+    });
+
     it('should optimistically change status and category', async () => {
       const task = { id: 1, title: 'Task', status: 'todo', categoryId: 10 };
       useTaskStore.setState({ tasks: [task] });
@@ -1175,6 +1337,230 @@ describe('Task Store', () => {
       expect(unchangedTask.status).toBe('in_progress');
       expect(unchangedTask.categoryId).toBe(15);
     });
+
+    it('should refetch tasks when a recurring task creates its next occurrence', async () => {
+      const task = { id: 1, title: 'Weekly report', status: 'todo', recurrenceRule: { frequency: 'weekly', interval: 1 } };
+      useTaskStore.setState({ tasks: [task] });
+
+      tasksAPI.update.mockResolvedValue({
+        data: { data: { task: { ...task, status: 'completed' }, nextOccurrence: { id: 2, dueDate: '2025-01-13' } } }
+      });
+      tasksAPI.getAll.mockResolvedValue({
+        data: { data: { tasks: [{ ...task, status: 'completed' }, { ...task, id: 2 }], nextCursor: null, hasMore: false } }
+      });
+
+      await act(async () => {
+        await useTaskStore.getState().toggleComplete(task);
+      });
+
+      expect(tasksAPI.getAll).toHaveBeenCalled();
+      expect(toast.info).toHaveBeenCalledWith('Next occurrence due Jan 13');
+    });
+
+    it('should offer "Complete anyway" when the task is blocked', async () => {
+      const task = { id: 1, title: 'Ship release', status: 'todo' };
+      useTaskStore.setState({ tasks: [task] });
+
+      const blockedBy = [{ id: 2, title: 'QA sign-off', status: 'todo' }];
+      tasksAPI.update
+        .mockRejectedValueOnce({
+          response: { status: 409, data: { message: 'This task is blocked by 1 open task(s)', blockedBy } }
+        })
+        .mockResolvedValueOnce({
+          data: { data: { task: { ...task, status: 'completed' } } }
+        });
+
+      let result;
+      await act(async () => {
+        result = await useTaskStore.getState().toggleComplete(task);
+      });
+
+      expect(result.blockedBy).toEqual(blockedBy);
+      expect(useTaskStore.getState().tasks[0].status).toBe('todo');
+      expect(toast.error).toHaveBeenCalledWith(
+        'This task is blocked by 1 open task(s)',
+        expect.objectContaining({ action: expect.objectContaining({ label: 'Complete anyway' }) })
+      );
+
+      const { action } = toast.error.mock.calls[toast.error.mock.calls.length - 1][1];
+      await act(async () => {
+        await action.onClick();
+      });
+
+      expect(tasksAPI.update).toHaveBeenLastCalledWith(1, expect.objectContaining({ ignore_blockers: true }));
+      expect(useTaskStore.getState().tasks[0].status).toBe('completed');
+    });
+  });
+
+  describe('applyRemoteEvent', () => {
+    const apply = (type, data) => {
+      act(() => {
+        useTaskStore.getState().applyRemoteEvent({ type, workspaceId: 'test-workspace-id', data });
+      });
+    };
+
+    it('should add a created task once', () => {
+      const task = { id: 3, title: 'Remote', categoryId: 1 };
+
+      apply('task.created', { task });
+      apply('task.created', { task });
+
+      expect(useTaskStore.getState().tasks).toEqual([task]);
+    });
+
+    it('should count a created subtask on its parent', () => {
+      useTaskStore.setState({ tasks: [{ id: 1, subtaskCount: 1, completedSubtaskCount: 0 }] });
+
+      apply('task.created', { task: { id: 2, parentTaskId: 1, statusCategory: 'done' } });
+
+      const parent = useTaskStore.getState().tasks.find((t) => t.id === 1);
+      expect(parent.subtaskCount).toBe(2);
+      expect(parent.completedSubtaskCount).toBe(1);
+    });
+
+    it('should merge a newer remote update', () => {
+      useTaskStore.setState({
+        tasks: [{ id: 1, title: 'Old', priority: 'low', updatedAt: '2026-01-01T10:00:00Z' }],
+      });
+
+      apply('task.updated', { task: { id: 1, title: 'New', updatedAt: '2026-01-01T11:00:00Z' } });
+
+      expect(useTaskStore.getState().tasks[0]).toMatchObject({ title: 'New', priority: 'low' });
+    });
+
+    it('should ignore a remote update older than the loaded task', () => {
+      useTaskStore.setState({
+        tasks: [{ id: 1, title: 'Current', updatedAt: '2026-01-01T11:00:00Z' }],
+      });
+
+      apply('task.updated', { task: { id: 1, title: 'Stale', updatedAt: '2026-01-01T10:00:00Z' } });
+
+      expect(useTaskStore.getState().tasks[0].title).toBe('Current');
+    });
+
+    it('should move a task between categories', () => {
+      useTaskStore.setState({
+        tasks: [
+          { id: 1, categoryId: 1, position: 0 },
+          { id: 2, categoryId: 2, position: 0 },
+        ],
+      });
+
+      apply('task.moved', { task: { id: 1, categoryId: 2, position: 0 } });
+
+      const tasks = useTaskStore.getState().tasks;
+      expect(tasks.find((t) => t.id === 1)).toMatchObject({ categoryId: 2, position: 0 });
+      expect(tasks.find((t) => t.id === 2).position).toBe(1);
+    });
+
+    it('should remove deleted tasks with their subtasks', () => {
+      useTaskStore.setState({
+        tasks: [
+          { id: 1, subtaskCount: 1 },
+          { id: 2, parentTaskId: 1 },
+          { id: 3 },
+        ],
+      });
+
+      apply('task.deleted', { taskId: 1, parentTaskId: null });
+
+      expect(useTaskStore.getState().tasks.map((t) => t.id)).toEqual([3]);
+    });
+
+    it('should remove bulk deleted tasks', () => {
+      useTaskStore.setState({ tasks: [{ id: 1 }, { id: 2 }, { id: 3 }] });
+
+      apply('tasks.deleted', { taskIds: [1, 3] });
+
+      expect(useTaskStore.getState().tasks.map((t) => t.id)).toEqual([2]);
+    });
+
+    it('should refetch quietly when tasks are invalidated', () => {
+      tasksAPI.getAll.mockResolvedValue({ data: { data: { tasks: [] } } });
+
+      apply('tasks.invalidated', { taskIds: [1] });
+
+      expect(tasksAPI.getAll).toHaveBeenCalled();
+      expect(useTaskStore.getState().isLoading).toBe(false);
+    });
+
+    it('should let a newer remote change win over an in-flight update', async () => {
+      useTaskStore.setState({
+        tasks: [{ id: 1, title: 'Original', priority: 'low', updatedAt: '2026-01-01T10:00:00Z' }],
+      });
+
+      let resolveApi;
+      tasksAPI.update.mockReturnValue(new Promise((resolve) => { resolveApi = resolve; }));
+
+      let updatePromise;
+      act(() => {
+        updatePromise = useTaskStore.getState().updateTask(1, { priority: 'high' });
+      });
+
+      // Held back while this tab's request is in flight
+      apply('task.updated', {
+        task: { id: 1, title: 'Renamed elsewhere', priority: 'low', updatedAt: '2026-01-01T10:00:02Z' },
+      });
+      expect(useTaskStore.getState().tasks[0].priority).toBe('high');
+
+      let result;
+      await act(async () => {
+        resolveApi({
+          data: { data: { task: { id: 1, title: 'Original', priority: 'high', updatedAt: '2026-01-01T10:00:01Z' } } },
+        });
+        result = await updatePromise;
+      });
+
+      expect(result.conflict).toBe(true);
+      expect(useTaskStore.getState().tasks[0]).toMatchObject({ title: 'Renamed elsewhere', priority: 'low' });
+      expect(toast.warning).toHaveBeenCalledWith(expect.stringContaining('also changed by someone else'));
+      expect(useTaskStore.getState()._remoteTaskVersions).toEqual({});
+    });
+
+    it('should keep this tab\'s result when it is newer than the held remote change', async () => {
+      useTaskStore.setState({
+        tasks: [{ id: 1, title: 'Original', updatedAt: '2026-01-01T10:00:00Z' }],
+      });
+
+      let resolveApi;
+      tasksAPI.update.mockReturnValue(new Promise((resolve) => { resolveApi = resolve; }));
+
+      let updatePromise;
+      act(() => {
+        updatePromise = useTaskStore.getState().updateTask(1, { title: 'Mine' });
+      });
+      apply('task.updated', { task: { id: 1, title: 'Theirs', updatedAt: '2026-01-01T10:00:01Z' } });
+
+      await act(async () => {
+        resolveApi({ data: { data: { task: { id: 1, title: 'Mine', updatedAt: '2026-01-01T10:00:02Z' } } } });
+        await updatePromise;
+      });
+
+      expect(useTaskStore.getState().tasks[0].title).toBe('Mine');
+      expect(toast.warning).not.toHaveBeenCalled();
+    });
+
+    it('should apply the held remote change when the update fails', async () => {
+      useTaskStore.setState({
+        tasks: [{ id: 1, title: 'Original', updatedAt: '2026-01-01T10:00:00Z' }],
+      });
+
+      let rejectApi;
+      tasksAPI.update.mockReturnValue(new Promise((resolve, reject) => { rejectApi = reject; }));
+
+      let updatePromise;
+      act(() => {
+        updatePromise = useTaskStore.getState().updateTask(1, { title: 'Mine' });
+      });
+      apply('task.updated', { task: { id: 1, title: 'Theirs', updatedAt: '2026-01-01T10:00:01Z' } });
+
+      await act(async () => {
+        rejectApi(new Error('Network error'));
+        await updatePromise;
+      });
+
+      expect(useTaskStore.getState().tasks[0].title).toBe('Theirs');
+    });
   });
 
   describe('setFilters', () => {
@@ -0,0 +1,158 @@
+import { act } from 'react';
+import useWebhookStore from '../webhookStore';
+import useWorkspaceStore from '../workspaceStore';
+import { workspacesAPI } from '../../utils/api';
+import { toast } from 'sonner';
+
+jest.mock('../../utils/api', () => ({
+  workspacesAPI: {
+    getWebhooks: jest.fn(),
+    createWebhook: jest.fn(),
+    updateWebhook: jest.fn(),
+    deleteWebhook: jest.fn(),
+    getWebhookDeliveries: jest.fn(),
+    testWebhook: jest.fn(),
+  },
+}));
+
+jest.mock('sonner', () => ({
+  toast: Object.assign(jest.fn(), {
+    success: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+const deployHook = {
+  id: 4,
+  url: 'https://hooks.example.com/deploy',
+  description: 'Deploy bot',
+  events: ['task.created'],
+  isActive: true,
+  secretHint: '…cdef',
+};
+const chatHook = { ...deployHook, id: 5, url: 'https://hooks.example.com/chat', description: '' };
+const delivery = { id: 31, event: 'task.created', status: 'delivered', attempts: 1, responseStatus: 200 };
+
+describe('Webhook Store', () => {
+  beforeEach(() => {
+    useWorkspaceStore.setState({ currentWorkspaceId: 'ws-1' });
+    useWebhookStore.getState().clearWebhooks();
+    jest.clearAllMocks();
+  });
+
+  describe('fetchWebhooks', () => {
+    it('should load the current workspace webhooks', async () => {
+      workspacesAPI.getWebhooks.mockResolvedValueOnce({ data: { data: { webhooks: [deployHook, chatHook] } } });
+
+      await act(async () => {
+        await useWebhookStore.getState().fetchWebhooks();
+      });
+
+      expect(workspacesAPI.getWebhooks).toHaveBeenCalledWith('ws-1');
+      expect(useWebhookStore.getState().webhooks).toEqual([deployHook, chatHook]);
+      expect(useWebhookStore.getState().isLoading).toBe(false);
+    });
+
+    it('should record the error without a toast when the request fails', async () => {
+      workspacesAPI.getWebhooks.mockRejectedValueOnce({ response: { data: { message: 'Nope' } } });
+
+      await act(async () => {
+        await useWebhookStore.getState().fetchWebhooks();
+      });
+
+      expect(useWebhookStore.getState().error).toBe('Nope');
+      expect(toast.error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createWebhook', () => {
+    it('should add the webhook and hand back its secret without storing it', async () => {
+      workspacesAPI.createWebhook.mockResolvedValueOnce({
+        data: { data: { webhook: { ...deployHook, secret: 'whsec_0123456789abcdef' } } },
+      });
+
+      let result;
+      await act(async () => {
+        result = await useWebhookStore.getState().createWebhook({ url: deployHook.url, events: ['task.created'] });
+      });
+
+      expect(workspacesAPI.createWebhook).toHaveBeenCalledWith('ws-1', { url: deployHook.url, events: ['task.created'] });
+      expect(result).toEqual({ success: true, webhook: deployHook, secret: 'whsec_0123456789abcdef' });
+      expect(useWebhookStore.getState().webhooks).toEqual([deployHook]);
+    });
+
+    it('should surface server validation errors', async () => {
+      workspacesAPI.createWebhook.mockRejectedValueOnce({
+        response: { data: { message: 'Webhook URL must point to a public host' } },
+      });
+
+      let result;
+      await act(async () => {
+        result = await useWebhookStore.getState().createWebhook({ url: 'http://localhost', events: ['task.created'] });
+      });
+
+      expect(result.success).toBe(false);
+      expect(toast.error).toHaveBeenCalledWith('Webhook URL must point to a public host');
+      expect(useWebhookStore.getState().webhooks).toEqual([]);
+    });
+  });
+
+  describe('updateWebhook', () => {
+    it('should replace the updated webhook in place', async () => {
+      const paused = { ...deployHook, isActive: false };
+      useWebhookStore.setState({ webhooks: [deployHook, chatHook] });
+      workspacesAPI.updateWebhook.mockResolvedValueOnce({ data: { data: { webhook: paused } } });
+
+      await act(async () => {
+        await useWebhookStore.getState().updateWebhook(4, { is_active: false });
+      });
+
+      expect(workspacesAPI.updateWebhook).toHaveBeenCalledWith('ws-1', 4, { is_active: false });
+      expect(useWebhookStore.getState().webhooks).toEqual([paused, chatHook]);
+    });
+  });
+
+  describe('deleteWebhook', () => {
+    it('should restore the webhook when the delete fails', async () => {
+      useWebhookStore.setState({ webhooks: [deployHook, chatHook] });
+      workspacesAPI.deleteWebhook.mockRejectedValueOnce(new Error('Network error'));
+
+      let result;
+      await act(async () => {
+        result = await useWebhookStore.getState().deleteWebhook(4);
+      });
+
+      expect(result.success).toBe(false);
+      expect(useWebhookStore.getState().webhooks).toEqual([deployHook, chatHook]);
+      expect(toast.error).toHaveBeenCalledWith('Failed to delete webhook');
+    });
+  });
+
+  describe('deliveries', () => {
+    it('should load a webhook delivery log', async () => {
+      workspacesAPI.getWebhookDeliveries.mockResolvedValueOnce({ data: { data: { deliveries: [delivery] } } });
+
+      await act(async () => {
+        await useWebhookStore.getState().fetchDeliveries(4);
+      });
+
+      expect(workspacesAPI.getWebhookDeliveries).toHaveBeenCalledWith('ws-1', 4);
+      expect(useWebhookStore.getState().deliveries).toEqual({ 4: [delivery] });
+    });
+
+    it('should put a queued test event at the top of the log', async () => {
+      const ping = { id: 32, event: 'webhook.ping', status: 'pending', attempts: 0 };
+      useWebhookStore.setState({ deliveries: { 4: [delivery] } });
+      workspacesAPI.testWebhook.mockResolvedValueOnce({
+        data: { message: 'Test event queued', data: { delivery: ping } },
+      });
+
+      await act(async () => {
+        await useWebhookStore.getState().sendTestEvent(4);
+      });
+
+      expect(useWebhookStore.getState().deliveries[4]).toEqual([ping, delivery]);
+      expect(toast.success).toHaveBeenCalledWith('Test event queued');
+    });
+  });
+});
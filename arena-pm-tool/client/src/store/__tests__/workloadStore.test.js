@@ -0,0 +1,157 @@
+import { act } from 'react';
+import useWorkloadStore from '../workloadStore';
+import useWorkspaceStore from '../workspaceStore';
+import useTaskStore from '../taskStore';
+import { workspacesAPI } from '../../utils/api';
+import { toast } from 'sonner';
+
+jest.mock('../../utils/api', () => ({
+  workspacesAPI: {
+    getWorkload: jest.fn(),
+    updateMemberCapacity: jest.fn(),
+  },
+  tasksAPI: {},
+}));
+
+jest.mock('sonner', () => ({
+  toast: Object.assign(jest.fn(), {
+    success: jest.fn(),
+    error: jest.fn(),
+  }),
+}));
+
+const task = { id: 3, title: 'Ship it', priority: 'high', status: 'todo', dueDate: '2026-10-20', assigneeIds: [1] };
+
+const member = (memberId, userId, tasks, weeklyCapacity = null) => ({
+  memberId,
+  userId,
+  name: `User ${userId}`,
+  weeklyCapacity,
+  overdue: [],
+  weeks: [{ weekStart: '2026-10-19', tasks, overCapacity: false }],
+  noDueDateCount: 0,
+});
+
+const workload = {
+  from: '2026-10-19',
+  weeks: ['2026-10-19'],
+  members: [member(11, 1, [task]), member(12, 2, [])],
+  unassigned: { overdue: [], weeks: [{ weekStart: '2026-10-19', tasks: [] }], noDueDateCount: 0 },
+};
+
+describe('Workload Store', () => {
+  let updateTask;
+
+  beforeEach(() => {
+    useWorkspaceStore.setState({ currentWorkspaceId: 'ws-1' });
+    useWorkloadStore.setState({
+      from: '2026-10-19',
+      weeks: workload.weeks,
+      members: workload.members,
+      unassigned: workload.unassigned,
+      isLoading: false,
+      error: null,
+    });
+    updateTask = jest.fn();
+    useTaskStore.setState({ updateTask });
+    jest.clearAllMocks();
+  });
+
+  describe('fetchWorkload', () => {
+    it('should load six weeks from the Monday of the given date', async () => {
+      workspacesAPI.getWorkload.mockResolvedValueOnce({ data: { data: { ...workload, from: '2026-11-02' } } });
+
+      await act(async () => {
+        await useWorkloadStore.getState().fetchWorkload({ from: '2026-11-04' });
+      });
+
+      expect(workspacesAPI.getWorkload).toHaveBeenCalledWith('ws-1', { from: '2026-11-02', weeks: 6 });
+      expect(useWorkloadStore.getState()).toMatchObject({ from: '2026-11-02', members: workload.members, isLoading: false });
+    });
+
+    it('should record the error when the request fails', async () => {
+      workspacesAPI.getWorkload.mockRejectedValueOnce({ response: { data: { message: 'Nope' } } });
+
+      await act(async () => {
+        await useWorkloadStore.getState().fetchWorkload();
+      });
+
+      expect(workspacesAPI.getWorkload).toHaveBeenCalledWith('ws-1', { from: '2026-10-19', weeks: 6 });
+      expect(useWorkloadStore.getState().error).toBe('Nope');
+    });
+  });
+
+  describe('updateCapacity', () => {
+    it('should save the capacity and flag the weeks over it', async () => {
+      useWorkloadStore.setState({ members: [member(11, 1, [task, { ...task, id: 4 }]), member(12, 2, [])] });
+      workspacesAPI.updateMemberCapacity.mockResolvedValueOnce({});
+
+      await act(async () => {
+        await useWorkloadStore.getState().updateCapacity(11, 1);
+      });
+
+      expect(workspacesAPI.updateMemberCapacity).toHaveBeenCalledWith('ws-1', 11, 1);
+      const [first, second] = useWorkloadStore.getState().members;
+      expect(first.weeklyCapacity).toBe(1);
+      expect(first.weeks[0].overCapacity).toBe(true);
+      expect(second.weeklyCapacity).toBeNull();
+      expect(toast.success).toHaveBeenCalledWith('Capacity updated');
+    });
+
+    it('should show the error on failure', async () => {
+      workspacesAPI.updateMemberCapacity.mockRejectedValueOnce({ response: { data: { message: 'Only workspace admins can change member capacity' } } });
+
+      let result;
+      await act(async () => {
+        result = await useWorkloadStore.getState().updateCapacity(11, 3);
+      });
+
+      expect(result.success).toBe(false);
+      expect(toast.error).toHaveBeenCalledWith('Only workspace admins can change member capacity');
+      expect(useWorkloadStore.getState().members[0].weeklyCapacity).toBeNull();
+    });
+  });
+
+  describe('reassignTask', () => {
+    it('should move the task and save the new assignees', async () => {
+      updateTask.mockResolvedValueOnce({ success: true });
+
+      await act(async () => {
+        await useWorkloadStore.getState().reassignTask(task, 1, 2);
+      });
+
+      expect(updateTask).toHaveBeenCalledWith(3, { assignee_ids: [2] });
+      const [first, second] = useWorkloadStore.getState().members;
+      expect(first.weeks[0].tasks).toEqual([]);
+      expect(second.weeks[0].tasks).toEqual([{ ...task, assigneeIds: [2] }]);
+    });
+
+    it('should keep assignees who have left the workspace', async () => {
+      updateTask.mockResolvedValueOnce({ success: true });
+
+      await act(async () => {
+        await useWorkloadStore.getState().reassignTask({ ...task, assigneeIds: [1, 9] }, 1, 2);
+      });
+
+      expect(updateTask).toHaveBeenCalledWith(3, { assignee_ids: [9, 2] });
+    });
+
+    it('should put the task back when saving fails', async () => {
+      updateTask.mockResolvedValueOnce({ success: false, error: 'Failed to update task' });
+
+      await act(async () => {
+        await useWorkloadStore.getState().reassignTask(task, 1, 2);
+      });
+
+      expect(useWorkloadStore.getState().members).toEqual(workload.members);
+    });
+
+    it('should do nothing when dropped on the same person', async () => {
+      await act(async () => {
+        await useWorkloadStore.getState().reassignTask(task, 1, 1);
+      });
+
+      expect(updateTask).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -186,6 +186,7 @@ const useAuthStore = create((set) => ({
           ...state.user,
           language: preferences.language,
           timezone: preferences.timezone,
+          holidayRegions: preferences.holidayRegions ?? null,
         };
         localStorage.setItem('user', JSON.stringify(sanitizeUserForStorage(updatedUser)));
         return {
@@ -221,6 +222,7 @@ const useAuthStore = create((set) => ({
           ...state.user,
           emailNotificationsEnabled: notifications.emailNotificationsEnabled,
           emailDigestMode: notifications.emailDigestMode,
+          reminderLookaheadDays: notifications.reminderLookaheadDays,
         };
         localStorage.setItem('user', JSON.stringify(sanitizeUserForStorage(updatedUser)));
         return {
@@ -18,7 +18,8 @@ const useCategoryStore = create((set, get) => ({
   hasMore: false,
 
   // Fetch all categories (filtered by workspace_id)
-  fetchCategories: async () => {
+  fetchCategories: async (options = { showLoading: true }) => {
+    const showLoading = options?.showLoading !== false;
     const workspaceId = getWorkspaceId();
 
     // Don't fetch if no workspace is selected - avoids "workspace_id is required" errors
@@ -26,7 +27,9 @@ const useCategoryStore = create((set, get) => ({
       return;
     }
 
-    set({ isLoading: true, isFetching: true, error: null });
+    if (showLoading) {
+      set({ isLoading: true, isFetching: true, error: null });
+    }
     try {
       // Include workspace_id in query params
       const params = { workspace_id: workspaceId };
@@ -192,6 +195,54 @@ const useCategoryStore = create((set, get) => ({
     }
   },
 
+  // Apply a change made by someone else, received from the workspace event stream
+  applyRemoteEvent: (event) => {
+    const { type, data } = event;
+
+    switch (type) {
+      case 'category.created':
+        set((state) => (
+          state.categories.some((cat) => cat.id === data.category.id)
+            ? {}
+            : { categories: [...state.categories, data.category] }
+        ));
+        break;
+
+      case 'category.updated':
+        set((state) => ({
+          categories: state.categories.map((cat) =>
+            cat.id === data.category.id ? { ...cat, ...data.category } : cat
+          ),
+        }));
+        break;
+
+      case 'categories.reordered':
+        set((state) => {
+          const byId = new Map(state.categories.map((cat) => [cat.id, cat]));
+          const reordered = data.categoryIds
+            .filter((id) => byId.has(id))
+            .map((id, index) => ({ ...byId.get(id), position: index }));
+          // Keep any categories the event didn't mention at the end
+          const rest = state.categories.filter((cat) => !data.categoryIds.includes(cat.id));
+          return { categories: [...reordered, ...rest] };
+        });
+        break;
+
+      case 'category.deleted':
+        set((state) => ({
+          categories: state.categories.filter((cat) => cat.id !== data.categoryId),
+        }));
+        break;
+
+      case 'resync':
+        get().fetchCategories({ showLoading: false });
+        break;
+
+      default:
+        break;
+    }
+  },
+
   // Clear categories (used when switching workspaces)
   clearCategories: () => {
     set({
@@ -0,0 +1,93 @@
+// Custom Field State Management with Zustand
+import { create } from 'zustand';
+import { workspacesAPI } from '../utils/api';
+import { toast } from 'sonner';
+import useWorkspaceStore from './workspaceStore';
+
+// Helper to get current workspace ID
+const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
+
+const useCustomFieldStore = create((set, get) => ({
+  // Ordered field definitions for the current workspace
+  fields: [],
+  isLoading: false,
+  error: null,
+
+  fetchFields: async () => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return;
+
+    set({ isLoading: true, error: null });
+    try {
+      const response = await workspacesAPI.getCustomFields(workspaceId);
+      set({ fields: response.data.data.fields, isLoading: false });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch custom fields';
+      set({ error: errorMessage, isLoading: false });
+    }
+  },
+
+  // Create a field (admin only)
+  createField: async (fieldData) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.createCustomField(workspaceId, fieldData);
+      const field = response.data.data.field;
+      set((state) => ({ fields: [...state.fields, field] }));
+      toast.success(`Added field "${field.name}"`);
+      return { success: true, field };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to create custom field';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Rename or change a field's options (admin only)
+  updateField: async (fieldId, fieldData) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.updateCustomField(workspaceId, fieldId, fieldData);
+      const field = response.data.data.field;
+      set((state) => ({
+        fields: state.fields.map((f) => (f.id === fieldId ? field : f)),
+      }));
+      toast.success(`Updated field "${field.name}"`);
+      return { success: true, field };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update custom field';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Delete a field and all of its values (admin only, optimistic)
+  deleteField: async (fieldId) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    const prevFields = get().fields;
+    set({ fields: prevFields.filter((f) => f.id !== fieldId) });
+
+    try {
+      await workspacesAPI.deleteCustomField(workspaceId, fieldId);
+      toast.success('Custom field deleted');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete custom field';
+      set({ fields: prevFields });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  clearFields: () => {
+    set({ fields: [], isLoading: false, error: null });
+  },
+}));
+
+export default useCustomFieldStore;
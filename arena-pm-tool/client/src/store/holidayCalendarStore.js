@@ -0,0 +1,135 @@
+// Holiday Calendar Settings State Management with Zustand
+// The workspace's holiday regions, working days and company holidays (edited by
+// admins), and the regions anyone can pick from. Changes clear the loaded
+// holidays so the calendar picks them up.
+import { create } from 'zustand';
+import { holidaysAPI, workspacesAPI } from '../utils/api';
+import { toast } from 'sonner';
+import useWorkspaceStore from './workspaceStore';
+import useHolidayStore from './holidayStore';
+import { DEFAULT_WORKING_DAYS } from '../utils/dateUtils';
+
+// Helper to get current workspace ID
+const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
+
+const useHolidayCalendarStore = create((set, get) => ({
+  // Countries and regions: [{ code: 'DE-BY', name: 'Germany – Bavaria', country: 'DE' }, ...]
+  regionOptions: [],
+  defaultRegions: [],
+  // The workspace's own regions; null means the app default
+  regions: null,
+  effectiveRegions: [],
+  // ISO weekdays the workspace works (1 = Monday ... 7 = Sunday)
+  workingDays: DEFAULT_WORKING_DAYS,
+  companyHolidays: [],
+  isLoading: false,
+  error: null,
+
+  fetchRegionOptions: async () => {
+    if (get().regionOptions.length > 0) return;
+
+    try {
+      const response = await holidaysAPI.getRegions();
+      const { regions, defaultRegions } = response.data.data;
+      set({ regionOptions: regions, defaultRegions });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch holiday regions';
+      set({ error: errorMessage });
+    }
+  },
+
+  fetchCalendar: async () => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return;
+
+    set({ isLoading: true, error: null });
+    try {
+      const response = await workspacesAPI.getHolidayCalendar(workspaceId);
+      const { regions, effectiveRegions, defaultRegions, workingDays, holidays } = response.data.data;
+      set({ regions, effectiveRegions, defaultRegions, workingDays, companyHolidays: holidays, isLoading: false });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch the holiday calendar';
+      set({ error: errorMessage, isLoading: false });
+    }
+  },
+
+  // Pass null (or []) to go back to the app default
+  updateRegions: async (regions) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.updateHolidayRegions(workspaceId, regions);
+      const { regions: saved, effectiveRegions } = response.data.data;
+      set({ regions: saved, effectiveRegions });
+      useHolidayStore.getState().reset();
+      toast.success('Holiday regions updated');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update holiday regions';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Which weekdays are worked; due dates and reminders count only these
+  updateWorkingDays: async (workingDays) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.updateWorkingDays(workspaceId, workingDays);
+      set({ workingDays: response.data.data.workingDays });
+      useHolidayStore.getState().reset();
+      toast.success('Working days updated');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update working days';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  addCompanyHoliday: async (holidayData) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.createCompanyHoliday(workspaceId, holidayData);
+      const holiday = response.data.data.holiday;
+      set((state) => ({
+        companyHolidays: [...state.companyHolidays, holiday].sort((a, b) => a.date.localeCompare(b.date)),
+      }));
+      useHolidayStore.getState().reset();
+      toast.success('Company holiday added');
+      return { success: true, holiday };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to add company holiday';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Remove a company holiday (optimistic)
+  removeCompanyHoliday: async (holidayId) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    const prevHolidays = get().companyHolidays;
+    set({ companyHolidays: prevHolidays.filter((h) => h.id !== holidayId) });
+
+    try {
+      await workspacesAPI.deleteCompanyHoliday(workspaceId, holidayId);
+      useHolidayStore.getState().reset();
+      toast.success('Company holiday removed');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to remove company holiday';
+      set({ companyHolidays: prevHolidays });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+}));
+
+export default useHolidayCalendarStore;
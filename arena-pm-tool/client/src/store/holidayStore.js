@@ -1,17 +1,29 @@
 // Holiday State Management with Zustand
 import { create } from 'zustand';
 import { holidaysAPI } from '../utils/api';
+import { DEFAULT_WORKING_DAYS } from '../utils/dateUtils';
+
+const emptyHolidays = {
+  holidaysByYear: {},   // { 2026: [holiday1, holiday2, ...] }
+  holidaysByDate: {},   // { '2026-01-01': { name, localName, source, ... } }
+  loadedYears: [],      // Track which years have been loaded
+  workingDays: DEFAULT_WORKING_DAYS, // ISO weekdays the workspace works (1 = Monday)
+};
 
 const useHolidayStore = create((set, get) => ({
   // State
-  holidaysByYear: {},   // { 2026: [holiday1, holiday2, ...] }
-  holidaysByDate: {},   // { '2026-01-01': { name, localName, ... } }
+  ...emptyHolidays,
+  workspaceId: null,    // Holidays depend on the workspace's regions and company holidays
   isLoading: false,
   error: null,
-  loadedYears: [],      // Track which years have been loaded
 
-  // Fetch holidays for a specific year
-  fetchHolidays: async (year) => {
+  // Fetch holidays for a specific year (and workspace)
+  fetchHolidays: async (year, workspaceId = null) => {
+    // Another workspace has other regions and company holidays
+    if (get().workspaceId !== workspaceId) {
+      set({ ...emptyHolidays, workspaceId });
+    }
+
     // Skip if already loaded
     if (get().loadedYears.includes(year)) {
       return;
@@ -20,13 +32,21 @@ const useHolidayStore = create((set, get) => ({
     set({ isLoading: true, error: null });
 
     try {
-      const response = await holidaysAPI.getByYear(year);
-      const holidays = response.data.data.holidays;
+      const response = await holidaysAPI.getByYear(year, workspaceId);
+      const { holidays, workingDays } = response.data.data;
+
+      // The workspace changed while this year was loading
+      if (get().workspaceId !== workspaceId) {
+        return;
+      }
 
-      // Create a date-keyed map for O(1) lookups
+      // Create a date-keyed map for O(1) lookups; a company holiday wins over
+      // a public holiday on the same day
       const newHolidaysByDate = { ...get().holidaysByDate };
       holidays.forEach(holiday => {
-        newHolidaysByDate[holiday.date] = holiday;
+        if (!newHolidaysByDate[holiday.date] || holiday.source === 'company') {
+          newHolidaysByDate[holiday.date] = holiday;
+        }
       });
 
       set((state) => ({
@@ -36,6 +56,7 @@ const useHolidayStore = create((set, get) => ({
         },
         holidaysByDate: newHolidaysByDate,
         loadedYears: [...state.loadedYears, year],
+        workingDays: workingDays || state.workingDays,
         isLoading: false,
       }));
 
@@ -49,6 +70,11 @@ const useHolidayStore = create((set, get) => ({
     }
   },
 
+  // Forget loaded holidays, e.g. after the regions or company holidays change
+  reset: () => {
+    set({ ...emptyHolidays, error: null });
+  },
+
   // Get holiday for a specific date (returns undefined if not a holiday)
   getHolidayByDate: (dateKey) => {
     return get().holidaysByDate[dateKey];
@@ -58,6 +84,12 @@ const useHolidayStore = create((set, get) => ({
   isHoliday: (dateKey) => {
     return !!get().holidaysByDate[dateKey];
   },
+
+  // Working weekdays plus holidays, for the working-day helpers in utils/dateUtils
+  getWorkingCalendar: () => {
+    const { workingDays, holidaysByDate } = get();
+    return { workingDays, holidaysByDate };
+  },
 }));
 
 export default useHolidayStore;
@@ -0,0 +1,170 @@
+// Notification State Management with Zustand
+import { create } from 'zustand';
+import { meAPI } from '../utils/api';
+import { toast } from 'sonner';
+
+const PAGE_SIZE = 20;
+
+const setReadAt = (notifications, id, readAt) =>
+  notifications.map((n) => (n.id === id ? { ...n, readAt } : n));
+
+const useNotificationStore = create((set, get) => ({
+  // The current user's inbox, newest first, across all workspaces
+  notifications: [],
+  unreadCount: 0,
+  nextCursor: null,
+  hasMore: false,
+  isLoading: false,
+  error: null,
+  // Per-type { inApp, email } switches, null until loaded
+  preferences: null,
+
+  fetchNotifications: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await meAPI.getNotifications({ limit: PAGE_SIZE });
+      const { notifications, unreadCount, nextCursor, hasMore } = response.data.data;
+      set({ notifications, unreadCount, nextCursor, hasMore, isLoading: false });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch notifications';
+      set({ error: errorMessage, isLoading: false });
+    }
+  },
+
+  // Append the next page of older notifications
+  loadMore: async () => {
+    const { nextCursor, hasMore, isLoading } = get();
+    if (!hasMore || isLoading) return;
+
+    set({ isLoading: true });
+    try {
+      const response = await meAPI.getNotifications({ cursor: nextCursor, limit: PAGE_SIZE });
+      const page = response.data.data;
+      set((state) => ({
+        notifications: [
+          ...state.notifications,
+          ...page.notifications.filter((n) => !state.notifications.some((existing) => existing.id === n.id)),
+        ],
+        unreadCount: page.unreadCount,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+        isLoading: false,
+      }));
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load more notifications';
+      toast.error(errorMessage);
+      set({ isLoading: false });
+    }
+  },
+
+  // A notification pushed over the event stream
+  addNotification: (notification) => {
+    set((state) => {
+      if (state.notifications.some((n) => n.id === notification.id)) return state;
+      return {
+        notifications: [notification, ...state.notifications],
+        unreadCount: state.unreadCount + (notification.readAt ? 0 : 1),
+      };
+    });
+  },
+
+  // Mark one notification read or unread (optimistic)
+  markRead: async (id, read = true) => {
+    const notification = get().notifications.find((n) => n.id === id);
+    if (!notification || Boolean(notification.readAt) === read) return { success: true };
+
+    const prevReadAt = notification.readAt;
+    set((state) => ({
+      notifications: setReadAt(state.notifications, id, read ? new Date().toISOString() : null),
+      unreadCount: Math.max(0, state.unreadCount + (read ? -1 : 1)),
+    }));
+
+    try {
+      const response = await meAPI.updateNotification(id, { read });
+      const { notification: updated, unreadCount } = response.data.data;
+      set((state) => ({
+        notifications: setReadAt(state.notifications, id, updated.readAt),
+        unreadCount,
+      }));
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update notification';
+      set((state) => ({
+        notifications: setReadAt(state.notifications, id, prevReadAt),
+        unreadCount: Math.max(0, state.unreadCount + (read ? 1 : -1)),
+      }));
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Mark everything read (optimistic)
+  markAllRead: async () => {
+    const { notifications: prevNotifications, unreadCount: prevUnreadCount } = get();
+    if (prevUnreadCount === 0) return { success: true };
+
+    const readAt = new Date().toISOString();
+    set({
+      notifications: prevNotifications.map((n) => (n.readAt ? n : { ...n, readAt })),
+      unreadCount: 0,
+    });
+
+    try {
+      await meAPI.markAllNotificationsRead();
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to mark notifications as read';
+      set({ notifications: prevNotifications, unreadCount: prevUnreadCount });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  fetchPreferences: async () => {
+    try {
+      const response = await meAPI.getNotificationPreferences();
+      set({ preferences: response.data.data.preferences });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load notification preferences';
+      toast.error(errorMessage);
+    }
+  },
+
+  // Switch one channel of one type on or off (optimistic)
+  updatePreference: async (type, channel, enabled) => {
+    const prevPreferences = get().preferences;
+    if (!prevPreferences) return { success: false, error: 'Preferences not loaded' };
+
+    set({
+      preferences: {
+        ...prevPreferences,
+        [type]: { ...prevPreferences[type], [channel]: enabled },
+      },
+    });
+
+    try {
+      const response = await meAPI.updateNotificationPreferences({ [type]: { [channel]: enabled } });
+      set({ preferences: response.data.data.preferences });
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update notification preferences';
+      set({ preferences: prevPreferences });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  clearNotifications: () => {
+    set({
+      notifications: [],
+      unreadCount: 0,
+      nextCursor: null,
+      hasMore: false,
+      isLoading: false,
+      error: null,
+      preferences: null,
+    });
+  },
+}));
+
+export default useNotificationStore;
@@ -0,0 +1,123 @@
+// Saved View State Management with Zustand
+import { create } from 'zustand';
+import { workspacesAPI } from '../utils/api';
+import { toast } from 'sonner';
+import useWorkspaceStore from './workspaceStore';
+
+// Helper to get current workspace ID
+const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
+
+const useSavedViewStore = create((set, get) => ({
+  // The current user's own views plus the workspace's shared ones
+  views: [],
+  defaultViewId: null,
+  // Workspace the views were loaded for (null until the first fetch finishes)
+  loadedWorkspaceId: null,
+  isLoading: false,
+  error: null,
+
+  fetchViews: async () => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return;
+
+    set({ isLoading: true, error: null });
+    try {
+      const response = await workspacesAPI.getSavedViews(workspaceId);
+      const { views, defaultViewId } = response.data.data;
+      set({ views, defaultViewId, loadedWorkspaceId: workspaceId, isLoading: false });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch saved views';
+      // Mark as loaded so the board still renders without views
+      set({ error: errorMessage, loadedWorkspaceId: workspaceId, isLoading: false });
+    }
+  },
+
+  // Save filters, sort and search under a name
+  createView: async (viewData) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.createSavedView(workspaceId, viewData);
+      const { view, isDefault } = response.data.data;
+      set((state) => ({
+        views: [...state.views, view],
+        defaultViewId: isDefault ? view.id : state.defaultViewId,
+      }));
+      toast.success(`Saved view "${view.name}"`);
+      return { success: true, view };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to save view';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Rename, re-share or overwrite a view's filters (owner, or admin for shared views)
+  updateView: async (viewId, viewData) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.updateSavedView(workspaceId, viewId, viewData);
+      const view = response.data.data.view;
+      set((state) => ({
+        views: state.views.map((v) => (v.id === viewId ? view : v)),
+      }));
+      toast.success(`Updated view "${view.name}"`);
+      return { success: true, view };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update view';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Delete a view (optimistic)
+  deleteView: async (viewId) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    const { views: prevViews, defaultViewId: prevDefaultViewId } = get();
+    set({
+      views: prevViews.filter((v) => v.id !== viewId),
+      defaultViewId: prevDefaultViewId === viewId ? null : prevDefaultViewId,
+    });
+
+    try {
+      await workspacesAPI.deleteSavedView(workspaceId, viewId);
+      toast.success('View deleted');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete view';
+      set({ views: prevViews, defaultViewId: prevDefaultViewId });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Make a view the one the board opens with, or pass null to clear it
+  setDefaultView: async (viewId) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    const prevDefaultViewId = get().defaultViewId;
+    set({ defaultViewId: viewId });
+
+    try {
+      await workspacesAPI.setDefaultSavedView(workspaceId, viewId);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update default view';
+      set({ defaultViewId: prevDefaultViewId });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  clearViews: () => {
+    set({ views: [], defaultViewId: null, loadedWorkspaceId: null, isLoading: false, error: null });
+  },
+}));
+
+export default useSavedViewStore;
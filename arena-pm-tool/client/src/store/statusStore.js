@@ -0,0 +1,58 @@
+// Workflow Status State Management with Zustand
+import { create } from 'zustand';
+import { workspacesAPI } from '../utils/api';
+import { toast } from 'sonner';
+import useWorkspaceStore from './workspaceStore';
+import { DEFAULT_STATUSES } from '../utils/workflowStatuses';
+
+// Helper to get current workspace ID
+const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
+
+const useStatusStore = create((set) => ({
+  // Ordered statuses for the current workspace (built-in set until loaded)
+  statuses: DEFAULT_STATUSES,
+  isLoading: false,
+  isSaving: false,
+  error: null,
+
+  fetchStatuses: async () => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return;
+
+    set({ isLoading: true, error: null });
+    try {
+      const response = await workspacesAPI.getStatuses(workspaceId);
+      set({ statuses: response.data.data.statuses, isLoading: false });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch statuses';
+      // Keep the current list — the built-in statuses still work
+      set({ error: errorMessage, isLoading: false });
+    }
+  },
+
+  // Replace the workspace's status set (admin only)
+  updateStatuses: async (statuses) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    set({ isSaving: true, error: null });
+    try {
+      const response = await workspacesAPI.updateStatuses(workspaceId, statuses);
+      const saved = response.data.data.statuses;
+      set({ statuses: saved, isSaving: false });
+      toast.success('Workflow statuses updated');
+      return { success: true, statuses: saved };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update statuses';
+      set({ error: errorMessage, isSaving: false });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  clearStatuses: () => {
+    set({ statuses: DEFAULT_STATUSES, isLoading: false, isSaving: false, error: null });
+  },
+}));
+
+export default useStatusStore;
@@ -4,7 +4,10 @@ import { tasksAPI } from '../utils/api';
 import { toast } from 'sonner';
 import useWorkspaceStore from './workspaceStore';
 import useUserStore from './userStore';
+import useStatusStore from './statusStore';
 import analytics, { EVENTS } from '../utils/analytics';
+import { formatDueDate } from '../utils/dateUtils';
+import { getToggleTarget } from '../utils/workflowStatuses';
 
 // Helper to get current workspace ID
 const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
@@ -12,10 +15,12 @@ const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
 // Maps snake_case API fields to camelCase task object fields for optimistic updates
 const buildOptimisticTaskData = (apiData) => {
   const mapped = {};
+  if ('start_date' in apiData) mapped.startDate = apiData.start_date;
   if ('due_date' in apiData) mapped.dueDate = apiData.due_date;
   if ('category_id' in apiData) mapped.categoryId = apiData.category_id;
   if ('completed_at' in apiData) mapped.completedAt = apiData.completed_at;
   if ('parent_task_id' in apiData) mapped.parentTaskId = apiData.parent_task_id;
+  if ('recurrence_rule' in apiData) mapped.recurrenceRule = apiData.recurrence_rule;
   if ('assignee_ids' in apiData) {
     const allUsers = useUserStore.getState().users;
     mapped.assignees = apiData.assignee_ids.map((id) => {
@@ -24,7 +29,8 @@ const buildOptimisticTaskData = (apiData) => {
     });
   }
   // Pass through camelCase fields directly (title, description, priority, status, etc.)
-  const snakeKeys = ['due_date', 'category_id', 'completed_at', 'parent_task_id', 'assignee_ids', 'workspace_id'];
+  // custom_fields is a partial patch - merged per task in updateTask via mergeCustomFields
+  const snakeKeys = ['start_date', 'due_date', 'category_id', 'completed_at', 'parent_task_id', 'assignee_ids', 'workspace_id', 'recurrence_rule', 'custom_fields'];
   for (const [key, value] of Object.entries(apiData)) {
     if (!snakeKeys.includes(key)) {
       mapped[key] = value;
@@ -33,6 +39,116 @@ const buildOptimisticTaskData = (apiData) => {
   return mapped;
 };
 
+// Apply a custom_fields patch ({ fieldId: value }) to task.customFields.
+// Empty values and unchecked boxes clear the field, matching the server.
+const mergeCustomFields = (current = {}, changes = {}) => {
+  const merged = { ...current };
+  for (const [fieldId, value] of Object.entries(changes)) {
+    if (value === null || value === '' || value === false) {
+      delete merged[fieldId];
+    } else {
+      merged[fieldId] = value;
+    }
+  }
+  return merged;
+};
+
+// Completing a recurring task creates its next occurrence on the server.
+// Positions in the destination category shift, so refetch instead of inserting locally.
+const syncNextOccurrence = (get, nextOccurrence) => {
+  if (!nextOccurrence) return;
+  get().fetchTasks(get().filters, { showLoading: false });
+  const due = formatDueDate(nextOccurrence.dueDate);
+  toast.info(due ? `Next occurrence due ${due}` : 'Next occurrence created');
+};
+
+const isDone = (task) => task?.statusCategory === 'done';
+
+// Whether `candidate` is at least as recent as `current`, by the server's updatedAt
+const isNewerVersion = (candidate, current) =>
+  !candidate?.updatedAt || !current?.updatedAt ||
+  new Date(candidate.updatedAt) >= new Date(current.updatedAt);
+
+// Keep a parent's subtask counters in step when its subtasks change
+const adjustSubtaskCounts = (tasks, parentId, totalDelta, completedDelta) =>
+  tasks.map((task) =>
+    task.id === parentId
+      ? {
+          ...task,
+          subtaskCount: Math.max(0, (task.subtaskCount || 0) + totalDelta),
+          completedSubtaskCount: Math.max(0, (task.completedSubtaskCount || 0) + completedDelta),
+        }
+      : task
+  );
+
+// Move a task to `position` in a category and renumber that category
+const moveTask = (tasks, id, categoryId, position) => {
+  const task = tasks.find((t) => t.id === id);
+  if (!task) return tasks;
+
+  const remaining = tasks.filter((t) => t.id !== id);
+  const destTasks = remaining
+    .filter((t) => t.categoryId === categoryId)
+    .sort((a, b) => (a.position || 0) - (b.position || 0));
+  destTasks.splice(position, 0, { ...task, categoryId, position });
+
+  const otherTasks = remaining.filter((t) => t.categoryId !== categoryId);
+  return [...otherTasks, ...destTasks.map((t, i) => ({ ...t, position: i }))];
+};
+
+// Drop tasks along with their subtasks
+const removeTasks = (tasks, ids) => {
+  const removed = new Set(ids);
+  let remaining = tasks.filter((task) => !removed.has(task.id) && !removed.has(task.parentTaskId));
+  tasks.forEach((task) => {
+    if (removed.has(task.id) && task.parentTaskId && !removed.has(task.parentTaskId)) {
+      remaining = adjustSubtaskCounts(remaining, task.parentTaskId, -1, isDone(task) ? -1 : 0);
+    }
+  });
+  return remaining;
+};
+
+// Replace a loaded task with a newer version from the server
+const mergeRemoteTask = (tasks, remoteTask) => {
+  const local = tasks.find((task) => task.id === remoteTask.id);
+  if (!local || !isNewerVersion(remoteTask, local)) return tasks;
+
+  const merged = tasks.map((task) => (task.id === remoteTask.id ? { ...task, ...remoteTask } : task));
+  if (local.parentTaskId && isDone(local) !== isDone(remoteTask)) {
+    return adjustSubtaskCounts(merged, local.parentTaskId, 0, isDone(remoteTask) ? 1 : -1);
+  }
+  return merged;
+};
+
+// Remote updates to a task with a request in flight from this tab are held back
+// until the request settles, then the newer of the two versions wins.
+const beginTaskMutation = (set, id) => {
+  set((state) => ({
+    _pendingTaskMutations: {
+      ...state._pendingTaskMutations,
+      [id]: (state._pendingTaskMutations[id] || 0) + 1,
+    },
+  }));
+};
+
+// Returns true when a newer remote version replaced this tab's result
+const settleTaskMutation = (set, get, id, serverTask) => {
+  const { _pendingTaskMutations, _remoteTaskVersions } = get();
+  const pending = Math.max(0, (_pendingTaskMutations[id] || 0) - 1);
+  const remoteTask = _remoteTaskVersions[id];
+  const isSettled = pending === 0;
+  const remoteWins = isSettled && !!remoteTask && (!serverTask || isNewerVersion(remoteTask, serverTask));
+
+  const { [id]: _unusedCount, ...otherPending } = _pendingTaskMutations;
+  const { [id]: _unusedVersion, ...otherVersions } = _remoteTaskVersions;
+  set((state) => ({
+    _pendingTaskMutations: isSettled ? otherPending : { ...otherPending, [id]: pending },
+    ...(isSettled && { _remoteTaskVersions: otherVersions }),
+    ...(remoteWins && { tasks: mergeRemoteTask(state.tasks, remoteTask) }),
+  }));
+  return remoteWins && !!serverTask;
+};
+
 const useTaskStore = create((set, get) => ({
   tasks: [],
   isLoading: false,
@@ -43,6 +159,8 @@ const useTaskStore = create((set, get) => ({
   nextCursor: null,
   hasMore: false,
   _taskMutationGeneration: {},
+  _pendingTaskMutations: {},
+  _remoteTaskVersions: {},
   filters: {
     category_id: null,
     assignee_ids: [], // Changed from assignee_id to support multiple assignees
@@ -121,6 +239,24 @@ const useTaskStore = create((set, get) => ({
     }
   },
 
+  // Load one task into the store, e.g. a search result outside the loaded page
+  fetchTask: async (id) => {
+    try {
+      const response = await tasksAPI.getById(id);
+      const { task } = response.data.data;
+      set((state) => ({
+        tasks: state.tasks.some((t) => t.id === task.id)
+          ? state.tasks.map((t) => (t.id === task.id ? task : t))
+          : [...state.tasks, task],
+      }));
+      return { success: true, task };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load task';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
   // Create task (with workspace_id)
   createTask: async (taskData) => {
     const workspaceId = getWorkspaceId();
@@ -161,11 +297,22 @@ const useTaskStore = create((set, get) => ({
     const prevTasks = get().tasks;
     const optimistic = buildOptimisticTaskData(taskData);
 
+    const prevTask = prevTasks.find((task) => task.id === id);
+
     // Bump generation counter for this task to handle rapid consecutive updates
     const gen = (get()._taskMutationGeneration[id] || 0) + 1;
+    beginTaskMutation(set, id);
     set((state) => ({
       tasks: state.tasks.map((task) =>
-        task.id === id ? { ...task, ...optimistic } : task
+        task.id === id
+          ? {
+              ...task,
+              ...optimistic,
+              ...(taskData.custom_fields && {
+                customFields: mergeCustomFields(task.customFields, taskData.custom_fields),
+              }),
+            }
+          : task
       ),
       _taskMutationGeneration: { ...state._taskMutationGeneration, [id]: gen },
     }));
@@ -187,14 +334,22 @@ const useTaskStore = create((set, get) => ({
         }));
       }
 
+      if (settleTaskMutation(set, get, id, updatedTask)) {
+        toast.warning(`"${taskTitle}" was also changed by someone else. Showing the latest version.`);
+        return { success: true, task: updatedTask, conflict: true };
+      }
       toast.success(`Updated "${taskTitle}"`);
+      syncNextOccurrence(get, response.data.data.nextOccurrence);
       return { success: true, task: updatedTask };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to update task';
-      // Only rollback if no newer mutation has fired
-      if (get()._taskMutationGeneration[id] === gen) {
-        set({ tasks: prevTasks });
+      // Only rollback if no newer mutation has fired; other tasks keep any remote changes
+      if (get()._taskMutationGeneration[id] === gen && prevTask) {
+        set((state) => ({
+          tasks: state.tasks.map((task) => (task.id === id ? prevTask : task)),
+        }));
       }
+      settleTaskMutation(set, get, id, null);
       toast.error(errorMessage);
       return { success: false, error: errorMessage };
     }
@@ -205,30 +360,10 @@ const useTaskStore = create((set, get) => ({
     const prevTasks = get().tasks;
 
     // Optimistic update: move the task to new category/position immediately
-    set((state) => {
-      const task = state.tasks.find((t) => t.id === id);
-      if (!task) return { isMutating: true };
-
-      const newCategoryId = positionData.category_id;
-      const newPosition = positionData.position;
-
-      // Remove task from its current position
-      let updatedTasks = state.tasks.filter((t) => t.id !== id);
-
-      // Get tasks in the destination category, sorted by position
-      const destTasks = updatedTasks
-        .filter((t) => t.categoryId === newCategoryId)
-        .sort((a, b) => (a.position || 0) - (b.position || 0));
-
-      // Insert the task at the new position and reassign positions
-      const movedTask = { ...task, categoryId: newCategoryId, position: newPosition };
-      destTasks.splice(newPosition, 0, movedTask);
-      destTasks.forEach((t, i) => { t.position = i; });
-
-      // Rebuild tasks array: keep other categories unchanged, replace dest category tasks
-      const otherTasks = updatedTasks.filter((t) => t.categoryId !== newCategoryId);
-      return { tasks: [...otherTasks, ...destTasks], isMutating: true };
-    });
+    set((state) => ({
+      tasks: moveTask(state.tasks, id, positionData.category_id, positionData.position),
+      isMutating: true,
+    }));
 
     try {
       await tasksAPI.updatePosition(id, positionData);
@@ -268,10 +403,87 @@ const useTaskStore = create((set, get) => ({
     }
   },
 
+  // Apply the same changes to many tasks (optimistic).
+  // `changes` uses API field names: status, priority, assignee_ids, category_id, due_date.
+  bulkUpdateTasks: async (taskIds, changes, options = {}) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    const prevTasks = get().tasks;
+    const selected = new Set(taskIds);
+    const optimistic = buildOptimisticTaskData(changes);
+    if (changes.status) {
+      const status = useStatusStore.getState().statuses.find((s) => s.key === changes.status);
+      if (status) optimistic.statusCategory = status.category;
+    }
+
+    set((state) => ({
+      tasks: state.tasks.map((task) => (selected.has(task.id) ? { ...task, ...optimistic } : task)),
+      isMutating: true,
+    }));
+
+    try {
+      const response = await tasksAPI.bulkUpdate(workspaceId, taskIds, changes, options);
+      const { updatedCount, nextOccurrenceCount } = response.data.data;
+      // Server sets completion times, positions and new occurrences
+      get().fetchTasks(get().filters, { showLoading: false });
+      set({ isMutating: false });
+      toast.success(`Updated ${updatedCount} task${updatedCount === 1 ? '' : 's'}`);
+      if (nextOccurrenceCount > 0) {
+        toast.info(`${nextOccurrenceCount} recurring task${nextOccurrenceCount === 1 ? '' : 's'} scheduled again`);
+      }
+      return { success: true, updatedCount };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update tasks';
+      set({ tasks: prevTasks, isMutating: false });
+
+      // Some tasks are blocked by open dependencies - let the user override
+      if (error.response?.status === 409 && error.response?.data?.blockedTasks) {
+        toast.error(errorMessage, {
+          action: {
+            label: 'Complete anyway',
+            onClick: () => get().bulkUpdateTasks(taskIds, changes, { ignoreBlockers: true }),
+          },
+        });
+        return { success: false, error: errorMessage, blockedTasks: error.response.data.blockedTasks };
+      }
+
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Delete many tasks and their subtasks (optimistic)
+  bulkDeleteTasks: async (taskIds) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    const prevTasks = get().tasks;
+    const selected = new Set(taskIds);
+    set((state) => ({
+      tasks: state.tasks.filter((task) => !selected.has(task.id) && !selected.has(task.parentTaskId)),
+    }));
+
+    try {
+      const response = await tasksAPI.bulkDelete(workspaceId, taskIds);
+      const { deletedCount } = response.data.data;
+      get().fetchTasks(get().filters, { showLoading: false });
+      toast.success(`Deleted ${deletedCount} task${deletedCount === 1 ? '' : 's'}`);
+      return { success: true, deletedCount };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete tasks';
+      set({ tasks: prevTasks });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
   // Toggle task completion (optimistic)
-  toggleComplete: async (task, categories = []) => {
+  toggleComplete: async (task, categories = [], options = {}) => {
     const prevTasks = get().tasks;
-    const newStatus = task.status === 'completed' ? 'todo' : 'completed';
+    // Move between the workspace's first "done" and first "not started" status
+    const { status: newStatus, statusCategory } = getToggleTarget(task, useStatusStore.getState().statuses);
+    const isCompleting = statusCategory === 'done';
 
     // Find the Completed category and To Do category
     const completedCategory = categories.find(c => c.name === 'Completed');
@@ -279,28 +491,30 @@ const useTaskStore = create((set, get) => ({
 
     // Determine the new category based on completion status
     let newCategoryId = task.categoryId;
-    if (newStatus === 'completed' && completedCategory) {
+    if (isCompleting && completedCategory) {
       newCategoryId = completedCategory.id;
-    } else if (newStatus === 'todo' && todoCategory) {
+    } else if (!isCompleting && todoCategory) {
       newCategoryId = todoCategory.id;
     }
 
-    const completedAt = newStatus === 'completed' ? new Date().toISOString() : null;
+    const completedAt = isCompleting ? new Date().toISOString() : null;
 
     // Optimistic update
     set((state) => ({
       tasks: state.tasks.map((t) =>
         t.id === task.id
-          ? { ...t, status: newStatus, completedAt, categoryId: newCategoryId }
+          ? { ...t, status: newStatus, statusCategory, completedAt, categoryId: newCategoryId }
           : t
       ),
     }));
+    beginTaskMutation(set, task.id);
 
     try {
       const response = await tasksAPI.update(task.id, {
         status: newStatus,
         completed_at: completedAt,
         category_id: newCategoryId,
+        ...(options.ignoreBlockers && { ignore_blockers: true }),
       });
       const updatedTask = response.data.data.task;
 
@@ -312,21 +526,105 @@ const useTaskStore = create((set, get) => ({
       }));
 
       const label = task?.title || 'Task';
+      if (settleTaskMutation(set, get, task.id, updatedTask)) {
+        toast.warning(`"${label}" was also changed by someone else. Showing the latest version.`);
+        return { success: true, task: updatedTask, conflict: true };
+      }
       const completionMessage =
-        newStatus === 'completed'
+        isCompleting
           ? `Marked "${label}" as completed`
           : `Marked "${label}" as incomplete`;
       toast.success(completionMessage);
+      syncNextOccurrence(get, response.data.data.nextOccurrence);
       return { success: true, task: updatedTask };
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to update task';
-      // Rollback
-      set({ tasks: prevTasks });
+      // Rollback this task only; others keep any remote changes
+      const prevTask = prevTasks.find((t) => t.id === task.id);
+      if (prevTask) {
+        set((state) => ({
+          tasks: state.tasks.map((t) => (t.id === task.id ? prevTask : t)),
+        }));
+      }
+      settleTaskMutation(set, get, task.id, null);
+
+      // Blocked by open dependencies - let the user override
+      if (error.response?.status === 409 && error.response?.data?.blockedBy) {
+        toast.error(errorMessage, {
+          action: {
+            label: 'Complete anyway',
+            onClick: () => get().toggleComplete(task, categories, { ignoreBlockers: true }),
+          },
+        });
+        return { success: false, error: errorMessage, blockedBy: error.response.data.blockedBy };
+      }
+
       toast.error(errorMessage);
       return { success: false, error: errorMessage };
     }
   },
 
+  // Apply a change made by someone else, received from the workspace event stream
+  applyRemoteEvent: (event) => {
+    const { type, data } = event;
+
+    switch (type) {
+      case 'task.created': {
+        const { task } = data;
+        set((state) => {
+          if (state.tasks.some((t) => t.id === task.id)) return {};
+          const tasks = [...state.tasks, task];
+          return {
+            tasks: task.parentTaskId
+              ? adjustSubtaskCounts(tasks, task.parentTaskId, 1, isDone(task) ? 1 : 0)
+              : tasks,
+          };
+        });
+        break;
+      }
+
+      case 'task.updated': {
+        const { task } = data;
+        const { _pendingTaskMutations, _remoteTaskVersions } = get();
+        if (_pendingTaskMutations[task.id]) {
+          const held = _remoteTaskVersions[task.id];
+          if (!held || isNewerVersion(task, held)) {
+            set({ _remoteTaskVersions: { ..._remoteTaskVersions, [task.id]: task } });
+          }
+          break;
+        }
+        set((state) => ({ tasks: mergeRemoteTask(state.tasks, task) }));
+        break;
+      }
+
+      case 'task.moved': {
+        const { task } = data;
+        set((state) => ({ tasks: moveTask(state.tasks, task.id, task.categoryId, task.position) }));
+        break;
+      }
+
+      case 'task.deleted':
+      case 'tasks.deleted': {
+        const taskIds = type === 'task.deleted' ? [data.taskId] : data.taskIds;
+        const { tasks, _pendingTaskMutations } = get();
+        tasks
+          .filter((task) => taskIds.includes(task.id) && _pendingTaskMutations[task.id])
+          .forEach((task) => toast.warning(`"${task.title}" was deleted by someone else`));
+        set((state) => ({ tasks: removeTasks(state.tasks, taskIds) }));
+        break;
+      }
+
+      // Changes too broad to apply piecemeal, or missed while disconnected
+      case 'tasks.invalidated':
+      case 'resync':
+        get().fetchTasks(get().filters, { showLoading: false });
+        break;
+
+      default:
+        break;
+    }
+  },
+
   // Set filters
   setFilters: (newFilters) => {
     set((state) => ({
@@ -354,6 +652,7 @@ const useTaskStore = create((set, get) => ({
       nextCursor: null,
       hasMore: false,
       error: null,
+      _remoteTaskVersions: {},
     });
   },
 }));
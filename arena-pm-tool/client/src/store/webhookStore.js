@@ -0,0 +1,128 @@
+// Webhook State Management with Zustand (admin only)
+import { create } from 'zustand';
+import { workspacesAPI } from '../utils/api';
+import { toast } from 'sonner';
+import useWorkspaceStore from './workspaceStore';
+
+// Helper to get current workspace ID
+const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
+
+const useWebhookStore = create((set, get) => ({
+  webhooks: [],
+  // Recent deliveries keyed by webhook id, loaded on demand
+  deliveries: {},
+  isLoading: false,
+  error: null,
+
+  fetchWebhooks: async () => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return;
+
+    set({ isLoading: true, error: null });
+    try {
+      const response = await workspacesAPI.getWebhooks(workspaceId);
+      set({ webhooks: response.data.data.webhooks, isLoading: false });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch webhooks';
+      set({ error: errorMessage, isLoading: false });
+    }
+  },
+
+  // The response includes the signing secret, which the server never shows again
+  createWebhook: async (webhookData) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.createWebhook(workspaceId, webhookData);
+      const { secret, ...webhook } = response.data.data.webhook;
+      set((state) => ({ webhooks: [...state.webhooks, webhook] }));
+      toast.success('Webhook added');
+      return { success: true, webhook, secret };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to create webhook';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Change the URL or events, or pause and resume
+  updateWebhook: async (webhookId, webhookData) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.updateWebhook(workspaceId, webhookId, webhookData);
+      const webhook = response.data.data.webhook;
+      set((state) => ({
+        webhooks: state.webhooks.map((w) => (w.id === webhookId ? webhook : w)),
+      }));
+      toast.success('Webhook updated');
+      return { success: true, webhook };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update webhook';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Delete a webhook and its delivery log (optimistic)
+  deleteWebhook: async (webhookId) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    const prevWebhooks = get().webhooks;
+    set({ webhooks: prevWebhooks.filter((w) => w.id !== webhookId) });
+
+    try {
+      await workspacesAPI.deleteWebhook(workspaceId, webhookId);
+      toast.success('Webhook deleted');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete webhook';
+      set({ webhooks: prevWebhooks });
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  fetchDeliveries: async (webhookId) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return;
+
+    try {
+      const response = await workspacesAPI.getWebhookDeliveries(workspaceId, webhookId);
+      set((state) => ({
+        deliveries: { ...state.deliveries, [webhookId]: response.data.data.deliveries },
+      }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load deliveries');
+    }
+  },
+
+  // Queue a webhook.ping delivery and show it at the top of the log
+  sendTestEvent: async (webhookId) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      const response = await workspacesAPI.testWebhook(workspaceId, webhookId);
+      const { delivery } = response.data.data;
+      set((state) => ({
+        deliveries: { ...state.deliveries, [webhookId]: [delivery, ...(state.deliveries[webhookId] || [])] },
+      }));
+      toast.success(response.data.message || 'Test event queued');
+      return { success: true, delivery };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to send test event';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  clearWebhooks: () => {
+    set({ webhooks: [], deliveries: {}, isLoading: false, error: null });
+  },
+}));
+
+export default useWebhookStore;
@@ -0,0 +1,79 @@
+// Workload State Management with Zustand
+// Open tasks per member per week of the current workspace, with each member's
+// weekly capacity (set by admins). Reassigning goes through the task store so
+// the board and lists stay in step.
+import { create } from 'zustand';
+import { workspacesAPI } from '../utils/api';
+import { toast } from 'sonner';
+import useWorkspaceStore from './workspaceStore';
+import useTaskStore from './taskStore';
+import { toDateKey } from '../utils/dateUtils';
+import { getWeekStart, getReassignedAssigneeIds, moveWorkloadTask, setMemberCapacity } from '../utils/workload';
+
+// Helper to get current workspace ID
+const getWorkspaceId = () => useWorkspaceStore.getState().currentWorkspaceId;
+
+const WORKLOAD_WEEKS = 6;
+
+const useWorkloadStore = create((set, get) => ({
+  // Monday of the first week shown
+  from: getWeekStart(toDateKey(new Date())),
+  weeks: [],
+  members: [],
+  unassigned: null,
+  isLoading: false,
+  error: null,
+
+  // Pass a date to move the range; it starts on that date's Monday
+  fetchWorkload: async ({ from } = {}) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return;
+
+    const rangeStart = from ? getWeekStart(from) : get().from;
+    set({ from: rangeStart, isLoading: true, error: null });
+    try {
+      const response = await workspacesAPI.getWorkload(workspaceId, { from: rangeStart, weeks: WORKLOAD_WEEKS });
+      const { weeks, members, unassigned } = response.data.data;
+      set({ weeks, members, unassigned, isLoading: false });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to fetch workload';
+      set({ error: errorMessage, isLoading: false });
+    }
+  },
+
+  // null clears the capacity
+  updateCapacity: async (memberId, weeklyCapacity) => {
+    const workspaceId = getWorkspaceId();
+    if (!workspaceId) return { success: false, error: 'No workspace selected' };
+
+    try {
+      await workspacesAPI.updateMemberCapacity(workspaceId, memberId, weeklyCapacity);
+      set((state) => ({ members: setMemberCapacity(state.members, memberId, weeklyCapacity) }));
+      toast.success('Capacity updated');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update capacity';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  },
+
+  // Move a task from one person to another (optimistic). Either may be null for unassigned.
+  reassignTask: async (task, fromUserId, toUserId) => {
+    if (fromUserId === toUserId) return { success: true };
+
+    const { from, members, unassigned } = get();
+    const next = moveWorkloadTask({ from, members, unassigned }, task, fromUserId, toUserId);
+    set({ members: next.members, unassigned: next.unassigned });
+
+    // The task store toasts the outcome itself
+    const assigneeIds = getReassignedAssigneeIds(task.assigneeIds, fromUserId, toUserId);
+    const result = await useTaskStore.getState().updateTask(task.id, { assignee_ids: assigneeIds });
+    if (!result.success) {
+      set({ members, unassigned });
+    }
+    return result;
+  },
+}));
+
+export default useWorkloadStore;
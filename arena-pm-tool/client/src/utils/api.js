@@ -9,6 +9,21 @@ const RETRY_DELAY_MS = 300;
 
 const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// Identifies this browser tab in realtime events so it can skip the echo of its own changes
+export const CLIENT_ID = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Server-Sent Events stream of a workspace's changes (opened with EventSource, not axios)
+export const getWorkspaceEventsUrl = (workspaceId) => `${API_BASE_URL}/workspaces/${workspaceId}/events`;
+
+// iCalendar feed of due dates. Calendar apps need an absolute URL, so a relative
+// API base is resolved against the page.
+export const getCalendarFeedUrl = (token) => {
+  const base = /^https?:\/\//.test(API_BASE_URL) ? API_BASE_URL : `${window.location.origin}${API_BASE_URL}`;
+  return `${base.replace(/\/+$/, '')}/calendar/${token}.ics`;
+};
+
 export const safeApiCall = async (requestFn, options = {}) => {
   const retries = options.retries ?? MAX_RETRY_ATTEMPTS;
   const retryDelay = options.retryDelay ?? RETRY_DELAY_MS;
@@ -39,6 +54,7 @@ const api = axios.create({
   withCredentials: true, // Send cookies with requests
   headers: {
     'Content-Type': 'application/json',
+    'X-Client-Id': CLIENT_ID,
   },
 });
 
@@ -198,7 +214,64 @@ export const tasksAPI = {
   updatePosition: (id, positionData) =>
     safeApiCall(() => api.patch(`/tasks/${id}/position`, positionData)),
   delete: (id) => safeApiCall(() => api.delete(`/tasks/${id}`)),
+  // Bulk operations on tasks of one workspace
+  bulkUpdate: (workspaceId, taskIds, changes, { ignoreBlockers } = {}) =>
+    safeApiCall(() => api.patch('/tasks/bulk', {
+      workspace_id: workspaceId,
+      task_ids: taskIds,
+      changes,
+      ...(ignoreBlockers && { ignore_blockers: true }),
+    })),
+  bulkDelete: (workspaceId, taskIds) =>
+    safeApiCall(() => api.post('/tasks/bulk/delete', { workspace_id: workspaceId, task_ids: taskIds })),
+  // CSV/JSON import; dryRun validates every row without creating anything.
+  // mapping is { field: columnName | null }, e.g. { title: 'Summary', category: null }
+  importTasks: (workspaceId, file, { mapping, dryRun = false } = {}) => {
+    const formData = new FormData();
+    formData.append('workspace_id', workspaceId);
+    formData.append('file', file);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+    formData.append('dry_run', String(dryRun));
+    return safeApiCall(() => api.post('/tasks/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }));
+  },
   getSubtasks: (taskId) => safeApiCall(() => api.get(`/tasks/${taskId}/subtasks`)),
+  // Every dependency between tasks of a workspace, for the timeline's arrows
+  getWorkspaceDependencies: (workspaceId) =>
+    safeApiCall(() => api.get(`/tasks/dependencies?workspace_id=${workspaceId}`)),
+  getDependencies: (taskId) => safeApiCall(() => api.get(`/tasks/${taskId}/dependencies`)),
+  addDependency: (taskId, dependsOnTaskId) =>
+    safeApiCall(() => api.post(`/tasks/${taskId}/dependencies`, { depends_on_task_id: dependsOnTaskId })),
+  removeDependency: (taskId, dependsOnTaskId) =>
+    safeApiCall(() => api.delete(`/tasks/${taskId}/dependencies/${dependsOnTaskId}`)),
+  getAttachments: (taskId) => safeApiCall(() => api.get(`/tasks/${taskId}/attachments`)),
+  uploadAttachment: (taskId, file, { commentId } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (commentId) formData.append('comment_id', commentId);
+    return safeApiCall(() => api.post(`/tasks/${taskId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }));
+  },
+  deleteAttachment: (taskId, attachmentId) =>
+    safeApiCall(() => api.delete(`/tasks/${taskId}/attachments/${attachmentId}`)),
+  // Direct URL for previews (<img>, new tab) and downloads; auth rides on the cookie
+  getAttachmentUrl: (taskId, attachmentId, { download = false } = {}) =>
+    `${API_BASE_URL}/tasks/${taskId}/attachments/${attachmentId}${download ? '?download=1' : ''}`,
+  // Time tracking
+  getTimeEntries: (taskId) => safeApiCall(() => api.get(`/tasks/${taskId}/time-entries`)),
+  createTimeEntry: (taskId, data) =>
+    safeApiCall(() => api.post(`/tasks/${taskId}/time-entries`, data)),
+  startTimer: (taskId) => safeApiCall(() => api.post(`/tasks/${taskId}/timer/start`)),
+  stopTimer: (taskId) => safeApiCall(() => api.post(`/tasks/${taskId}/timer/stop`)),
+};
+
+// Time Entries API
+export const timeEntriesAPI = {
+  getRunning: () => safeApiCall(() => api.get('/time-entries/running')),
+  update: (id, data) => safeApiCall(() => api.put(`/time-entries/${id}`, data)),
+  delete: (id) => safeApiCall(() => api.delete(`/time-entries/${id}`)),
 };
 
 // Categories API
@@ -236,7 +309,22 @@ export const commentsAPI = {
 
 // Holidays API
 export const holidaysAPI = {
-  getByYear: (year) => safeApiCall(() => api.get(`/holidays?year=${year}`)),
+  // With a workspace, its regions and company holidays are included
+  getByYear: (year, workspaceId = null) => {
+    const queryParams = new URLSearchParams({ year });
+    if (workspaceId) queryParams.append('workspace_id', workspaceId);
+    return safeApiCall(() => api.get(`/holidays?${queryParams.toString()}`));
+  },
+  getRegions: () => safeApiCall(() => api.get('/holidays/regions')),
+};
+
+// Search API
+export const searchAPI = {
+  search: (workspaceId, q, { limit } = {}) => {
+    const queryParams = new URLSearchParams({ workspace_id: workspaceId, q });
+    if (limit) queryParams.append('limit', limit);
+    return safeApiCall(() => api.get(`/search?${queryParams.toString()}`));
+  },
 };
 
 // Workspaces API
@@ -277,6 +365,57 @@ export const workspacesAPI = {
     safeApiCall(() => api.post(`/workspaces/${workspaceId}/onboarding/complete`)),
   skipOnboarding: (workspaceId) =>
     safeApiCall(() => api.post(`/workspaces/${workspaceId}/onboarding/skip`)),
+  // Workflow statuses
+  getStatuses: (workspaceId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/statuses`)),
+  updateStatuses: (workspaceId, statuses) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/statuses`, { statuses })),
+  // Custom fields
+  getCustomFields: (workspaceId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/custom-fields`)),
+  createCustomField: (workspaceId, data) =>
+    safeApiCall(() => api.post(`/workspaces/${workspaceId}/custom-fields`, data)),
+  updateCustomField: (workspaceId, fieldId, data) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/custom-fields/${fieldId}`, data)),
+  deleteCustomField: (workspaceId, fieldId) =>
+    safeApiCall(() => api.delete(`/workspaces/${workspaceId}/custom-fields/${fieldId}`)),
+  // Webhooks (admin only)
+  getWebhooks: (workspaceId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/webhooks`)),
+  createWebhook: (workspaceId, data) =>
+    safeApiCall(() => api.post(`/workspaces/${workspaceId}/webhooks`, data)),
+  updateWebhook: (workspaceId, webhookId, data) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/webhooks/${webhookId}`, data)),
+  deleteWebhook: (workspaceId, webhookId) =>
+    safeApiCall(() => api.delete(`/workspaces/${workspaceId}/webhooks/${webhookId}`)),
+  getWebhookDeliveries: (workspaceId, webhookId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/webhooks/${webhookId}/deliveries`)),
+  testWebhook: (workspaceId, webhookId) =>
+    safeApiCall(() => api.post(`/workspaces/${workspaceId}/webhooks/${webhookId}/test`)),
+  // Trello / Asana / Jira imports run as background jobs; poll getImportJob for progress
+  createImportJob: (workspaceId, source, file) => {
+    const formData = new FormData();
+    formData.append('source', source);
+    formData.append('file', file);
+    return safeApiCall(() => api.post(`/workspaces/${workspaceId}/imports`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }));
+  },
+  getImportJobs: (workspaceId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/imports`)),
+  getImportJob: (workspaceId, jobId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/imports/${jobId}`)),
+  // Holiday calendar: regions (null = app default), working days and company holidays
+  getHolidayCalendar: (workspaceId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/holiday-calendar`)),
+  updateHolidayRegions: (workspaceId, regions) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/holiday-calendar`, { regions })),
+  updateWorkingDays: (workspaceId, workingDays) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/holiday-calendar`, { workingDays })),
+  createCompanyHoliday: (workspaceId, data) =>
+    safeApiCall(() => api.post(`/workspaces/${workspaceId}/holidays`, data)),
+  deleteCompanyHoliday: (workspaceId, holidayId) =>
+    safeApiCall(() => api.delete(`/workspaces/${workspaceId}/holidays/${holidayId}`)),
   // Activity feed
   getActivity: (workspaceId, params = {}) => {
     const queryParams = new URLSearchParams();
@@ -285,6 +424,56 @@ export const workspacesAPI = {
     const qs = queryParams.toString();
     return safeApiCall(() => api.get(`/workspaces/${workspaceId}/activity${qs ? `?${qs}` : ''}`));
   },
+  // Time report
+  getTimeReport: (workspaceId, params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.keys(params).forEach(key => {
+      if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+        queryParams.append(key, params[key]);
+      }
+    });
+    const qs = queryParams.toString();
+    return safeApiCall(() => api.get(`/workspaces/${workspaceId}/time-report${qs ? `?${qs}` : ''}`));
+  },
+  // Workload: open tasks per member per week from `from` (any day of the first week)
+  getWorkload: (workspaceId, { from, weeks } = {}) => {
+    const queryParams = new URLSearchParams();
+    if (from) queryParams.append('from', from);
+    if (weeks) queryParams.append('weeks', weeks);
+    const qs = queryParams.toString();
+    return safeApiCall(() => api.get(`/workspaces/${workspaceId}/workload${qs ? `?${qs}` : ''}`));
+  },
+  // Open tasks per week; null clears it
+  updateMemberCapacity: (workspaceId, memberId, weeklyCapacity) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/members/${memberId}/capacity`, { weekly_capacity: weeklyCapacity })),
+  // Analytics (admin only): the last `weeks` weeks, burndown limited to `categoryId`
+  getAnalytics: (workspaceId, { weeks, categoryId } = {}) => {
+    const queryParams = new URLSearchParams();
+    if (weeks) queryParams.append('weeks', weeks);
+    if (categoryId) queryParams.append('category_id', categoryId);
+    const qs = queryParams.toString();
+    return safeApiCall(() => api.get(`/workspaces/${workspaceId}/analytics${qs ? `?${qs}` : ''}`));
+  },
+  exportAnalyticsCsv: (workspaceId, { weeks, categoryId } = {}) => {
+    const queryParams = new URLSearchParams();
+    if (weeks) queryParams.append('weeks', weeks);
+    if (categoryId) queryParams.append('category_id', categoryId);
+    const qs = queryParams.toString();
+    return api.get(`/workspaces/${workspaceId}/analytics/export${qs ? `?${qs}` : ''}`, {
+      responseType: 'blob'
+    });
+  },
+  // Saved views
+  getSavedViews: (workspaceId) =>
+    safeApiCall(() => api.get(`/workspaces/${workspaceId}/views`)),
+  createSavedView: (workspaceId, data) =>
+    safeApiCall(() => api.post(`/workspaces/${workspaceId}/views`, data)),
+  updateSavedView: (workspaceId, viewId, data) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/views/${viewId}`, data)),
+  deleteSavedView: (workspaceId, viewId) =>
+    safeApiCall(() => api.delete(`/workspaces/${workspaceId}/views/${viewId}`)),
+  setDefaultSavedView: (workspaceId, viewId) =>
+    safeApiCall(() => api.put(`/workspaces/${workspaceId}/views/default`, { view_id: viewId })),
 };
 
 // User Profile API (Me)
@@ -293,6 +482,20 @@ export const meAPI = {
   updateProfile: (data) => safeApiCall(() => api.patch('/me', data)),
   updatePreferences: (data) => safeApiCall(() => api.patch('/me/preferences', data)),
   updateNotifications: (data) => safeApiCall(() => api.patch('/me/notifications', data)),
+  getNotifications: (params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.keys(params).forEach(key => {
+      if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+        queryParams.append(key, params[key]);
+      }
+    });
+    const queryString = queryParams.toString();
+    return safeApiCall(() => api.get(`/me/notifications${queryString ? `?${queryString}` : ''}`));
+  },
+  updateNotification: (id, data) => safeApiCall(() => api.patch(`/me/notifications/${id}`, data)),
+  markAllNotificationsRead: () => safeApiCall(() => api.post('/me/notifications/read-all')),
+  getNotificationPreferences: () => safeApiCall(() => api.get('/me/notifications/preferences')),
+  updateNotificationPreferences: (preferences) => safeApiCall(() => api.patch('/me/notifications/preferences', { preferences })),
   uploadAvatar: (file) => {
     const formData = new FormData();
     formData.append('avatar', file);
@@ -325,6 +528,13 @@ export const meAPI = {
     const queryString = queryParams.toString();
     return safeApiCall(() => api.get(`/me/tasks${queryString ? `?${queryString}` : ''}`));
   },
+  getApiTokens: () => safeApiCall(() => api.get('/me/api-tokens')),
+  createApiToken: (data) => safeApiCall(() => api.post('/me/api-tokens', data)),
+  revokeApiToken: (tokenId) => safeApiCall(() => api.delete(`/me/api-tokens/${tokenId}`)),
+  getCalendarFeeds: () => safeApiCall(() => api.get('/me/calendar-feeds')),
+  createCalendarFeed: (workspaceId = null) =>
+    safeApiCall(() => api.post('/me/calendar-feeds', { workspace_id: workspaceId })),
+  revokeCalendarFeed: (feedId) => safeApiCall(() => api.delete(`/me/calendar-feeds/${feedId}`)),
 };
 
 // Billing API
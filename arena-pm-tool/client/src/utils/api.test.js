@@ -10,10 +10,15 @@ import api, {
   usersAPI,
   commentsAPI,
   holidaysAPI,
+  timeEntriesAPI,
+  searchAPI,
   workspacesAPI,
   meAPI,
   billingAPI,
   adminAPI,
+  CLIENT_ID,
+  getWorkspaceEventsUrl,
+  getCalendarFeedUrl,
 } from './api';
 
 // ---------------------------------------------------------------------------
@@ -237,6 +242,23 @@ describe('default export (api)', () => {
     expect(api.interceptors.request).toBeDefined();
     expect(api.interceptors.response).toBeDefined();
   });
+
+  test('identifies this tab with a client id header', () => {
+    expect(CLIENT_ID).toMatch(/^[A-Za-z0-9-]+$/);
+    expect(api.defaults.headers['X-Client-Id']).toBe(CLIENT_ID);
+  });
+});
+
+describe('getWorkspaceEventsUrl', () => {
+  test('points at the workspace event stream', () => {
+    expect(getWorkspaceEventsUrl('ws-1')).toBe('/api/workspaces/ws-1/events');
+  });
+});
+
+describe('getCalendarFeedUrl', () => {
+  test('builds an absolute feed URL', () => {
+    expect(getCalendarFeedUrl('abc')).toBe(`${window.location.origin}/api/calendar/abc.ics`);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -257,7 +279,9 @@ describe('authAPI', () => {
 describe('tasksAPI', () => {
   const expectedMethods = [
     'getAll', 'getById', 'create', 'update', 'updatePosition',
-    'delete', 'getSubtasks',
+    'delete', 'bulkUpdate', 'bulkDelete', 'importTasks', 'getSubtasks', 'getAttachments', 'uploadAttachment',
+    'deleteAttachment', 'getAttachmentUrl',
+    'getTimeEntries', 'createTimeEntry', 'startTimer', 'stopTimer',
   ];
 
   test.each(expectedMethods)('%s is a function', (method) => {
@@ -297,6 +321,20 @@ describe('holidaysAPI', () => {
   });
 });
 
+describe('timeEntriesAPI', () => {
+  const expectedMethods = ['getRunning', 'update', 'delete'];
+
+  test.each(expectedMethods)('%s is a function', (method) => {
+    expect(typeof timeEntriesAPI[method]).toBe('function');
+  });
+});
+
+describe('searchAPI', () => {
+  test('search is a function', () => {
+    expect(typeof searchAPI.search).toBe('function');
+  });
+});
+
 describe('workspacesAPI', () => {
   const expectedMethods = [
     'getAll', 'getById', 'create', 'update', 'delete',
@@ -305,7 +343,12 @@ describe('workspacesAPI', () => {
     'getInviteInfo', 'getUsers',
     'getOnboardingStatus', 'startOnboarding', 'updateOnboardingProgress',
     'completeOnboarding', 'skipOnboarding',
-    'getActivity',
+    'getStatuses', 'updateStatuses',
+    'getCustomFields', 'createCustomField', 'updateCustomField', 'deleteCustomField',
+    'getActivity', 'getTimeReport', 'getWorkload', 'updateMemberCapacity', 'getAnalytics', 'exportAnalyticsCsv',
+    'getSavedViews', 'createSavedView', 'updateSavedView', 'deleteSavedView', 'setDefaultSavedView',
+    'createImportJob', 'getImportJobs', 'getImportJob',
+    'getHolidayCalendar', 'updateHolidayRegions', 'updateWorkingDays', 'createCompanyHoliday', 'deleteCompanyHoliday',
   ];
 
   test.each(expectedMethods)('%s is a function', (method) => {
@@ -317,7 +360,8 @@ describe('meAPI', () => {
   const expectedMethods = [
     'getProfile', 'updateProfile', 'updatePreferences', 'updateNotifications',
     'uploadAvatar', 'deleteAvatar', 'changePassword', 'deleteAccount',
-    'exportTasksCsv', 'getMyTasks',
+    'exportTasksCsv', 'getMyTasks', 'getNotifications', 'updateNotification',
+    'markAllNotificationsRead', 'getNotificationPreferences', 'updateNotificationPreferences',
   ];
 
   test.each(expectedMethods)('%s is a function', (method) => {
@@ -602,10 +646,185 @@ describe('tasksAPI methods call correct endpoints', () => {
     expect(deleteSpy).toHaveBeenCalledWith('/tasks/t-1');
   });
 
+  test('bulkUpdate calls PATCH /tasks/bulk', async () => {
+    await tasksAPI.bulkUpdate('ws-1', [1, 2], { priority: 'high' });
+    expect(patchSpy).toHaveBeenCalledWith('/tasks/bulk', {
+      workspace_id: 'ws-1', task_ids: [1, 2], changes: { priority: 'high' },
+    });
+  });
+
+  test('bulkUpdate passes ignore_blockers when asked', async () => {
+    await tasksAPI.bulkUpdate('ws-1', [1], { status: 'completed' }, { ignoreBlockers: true });
+    expect(patchSpy).toHaveBeenCalledWith('/tasks/bulk', {
+      workspace_id: 'ws-1', task_ids: [1], changes: { status: 'completed' }, ignore_blockers: true,
+    });
+  });
+
+  test('bulkDelete calls POST /tasks/bulk/delete', async () => {
+    await tasksAPI.bulkDelete('ws-1', [1, 2]);
+    expect(postSpy).toHaveBeenCalledWith('/tasks/bulk/delete', { workspace_id: 'ws-1', task_ids: [1, 2] });
+  });
+
   test('getSubtasks calls GET /tasks/:id/subtasks', async () => {
     await tasksAPI.getSubtasks('t-1');
     expect(getSpy).toHaveBeenCalledWith('/tasks/t-1/subtasks');
   });
+
+  test('getWorkspaceDependencies calls GET /tasks/dependencies with the workspace', async () => {
+    await tasksAPI.getWorkspaceDependencies('ws-1');
+    expect(getSpy).toHaveBeenCalledWith('/tasks/dependencies?workspace_id=ws-1');
+  });
+
+  test('getDependencies calls GET /tasks/:id/dependencies', async () => {
+    await tasksAPI.getDependencies('t-1');
+    expect(getSpy).toHaveBeenCalledWith('/tasks/t-1/dependencies');
+  });
+
+  test('addDependency calls POST /tasks/:id/dependencies', async () => {
+    await tasksAPI.addDependency('t-1', 7);
+    expect(postSpy).toHaveBeenCalledWith('/tasks/t-1/dependencies', { depends_on_task_id: 7 });
+  });
+
+  test('removeDependency calls DELETE /tasks/:id/dependencies/:dependsOnId', async () => {
+    await tasksAPI.removeDependency('t-1', 7);
+    expect(deleteSpy).toHaveBeenCalledWith('/tasks/t-1/dependencies/7');
+  });
+
+  test('getAttachments calls GET /tasks/:id/attachments', async () => {
+    await tasksAPI.getAttachments('t-1');
+    expect(getSpy).toHaveBeenCalledWith('/tasks/t-1/attachments');
+  });
+
+  test('uploadAttachment calls POST /tasks/:id/attachments with FormData', async () => {
+    const fakeFile = new Blob(['pdf'], { type: 'application/pdf' });
+    await tasksAPI.uploadAttachment('t-1', fakeFile, { commentId: 3 });
+    const [url, body, config] = postSpy.mock.calls[0];
+    expect(url).toBe('/tasks/t-1/attachments');
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get('comment_id')).toBe('3');
+    expect(config).toEqual({ headers: { 'Content-Type': 'multipart/form-data' } });
+  });
+
+  test('importTasks calls POST /tasks/import with the file, mapping and dry run flag', async () => {
+    const fakeFile = new Blob(['Title\nA'], { type: 'text/csv' });
+    await tasksAPI.importTasks('ws-1', fakeFile, { mapping: { title: 'Title' }, dryRun: true });
+    const [url, body, config] = postSpy.mock.calls[0];
+    expect(url).toBe('/tasks/import');
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get('workspace_id')).toBe('ws-1');
+    expect(body.get('mapping')).toBe('{"title":"Title"}');
+    expect(body.get('dry_run')).toBe('true');
+    expect(config).toEqual({ headers: { 'Content-Type': 'multipart/form-data' } });
+  });
+
+  test('createImportJob calls POST /workspaces/:id/imports with the source and file', async () => {
+    const fakeFile = new Blob(['{"cards":[]}'], { type: 'application/json' });
+    await workspacesAPI.createImportJob('ws-1', 'trello', fakeFile);
+    const [url, body, config] = postSpy.mock.calls[0];
+    expect(url).toBe('/workspaces/ws-1/imports');
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get('source')).toBe('trello');
+    expect(config).toEqual({ headers: { 'Content-Type': 'multipart/form-data' } });
+  });
+
+  test('updateHolidayRegions calls PUT /workspaces/:id/holiday-calendar', async () => {
+    await workspacesAPI.updateHolidayRegions('ws-1', ['PL', 'DE-BY']);
+    expect(putSpy).toHaveBeenCalledWith('/workspaces/ws-1/holiday-calendar', { regions: ['PL', 'DE-BY'] });
+  });
+
+  test('updateWorkingDays calls PUT /workspaces/:id/holiday-calendar', async () => {
+    await workspacesAPI.updateWorkingDays('ws-1', [1, 2, 3, 4, 7]);
+    expect(putSpy).toHaveBeenCalledWith('/workspaces/ws-1/holiday-calendar', { workingDays: [1, 2, 3, 4, 7] });
+  });
+
+  test('createCompanyHoliday calls POST /workspaces/:id/holidays', async () => {
+    await workspacesAPI.createCompanyHoliday('ws-1', { date: '2026-12-31', name: 'Office closed', recurring: false });
+    expect(postSpy).toHaveBeenCalledWith('/workspaces/ws-1/holidays', { date: '2026-12-31', name: 'Office closed', recurring: false });
+  });
+
+  test('deleteCompanyHoliday calls DELETE /workspaces/:id/holidays/:holidayId', async () => {
+    await workspacesAPI.deleteCompanyHoliday('ws-1', 9);
+    expect(deleteSpy).toHaveBeenCalledWith('/workspaces/ws-1/holidays/9');
+  });
+
+  test('deleteAttachment calls DELETE /tasks/:id/attachments/:attachmentId', async () => {
+    await tasksAPI.deleteAttachment('t-1', 5);
+    expect(deleteSpy).toHaveBeenCalledWith('/tasks/t-1/attachments/5');
+  });
+
+  test('getAttachmentUrl builds preview and download URLs', () => {
+    expect(tasksAPI.getAttachmentUrl('t-1', 5)).toBe('/api/tasks/t-1/attachments/5');
+    expect(tasksAPI.getAttachmentUrl('t-1', 5, { download: true })).toBe('/api/tasks/t-1/attachments/5?download=1');
+  });
+
+  test('getTimeEntries calls GET /tasks/:id/time-entries', async () => {
+    await tasksAPI.getTimeEntries('t-1');
+    expect(getSpy).toHaveBeenCalledWith('/tasks/t-1/time-entries');
+  });
+
+  test('createTimeEntry calls POST /tasks/:id/time-entries', async () => {
+    const data = { started_at: '2026-03-02T09:00:00.000Z', duration_minutes: 45 };
+    await tasksAPI.createTimeEntry('t-1', data);
+    expect(postSpy).toHaveBeenCalledWith('/tasks/t-1/time-entries', data);
+  });
+
+  test('startTimer and stopTimer call POST /tasks/:id/timer/*', async () => {
+    await tasksAPI.startTimer('t-1');
+    await tasksAPI.stopTimer('t-1');
+    expect(postSpy).toHaveBeenCalledWith('/tasks/t-1/timer/start');
+    expect(postSpy).toHaveBeenCalledWith('/tasks/t-1/timer/stop');
+  });
+});
+
+describe('timeEntriesAPI methods call correct endpoints', () => {
+  let getSpy, putSpy, deleteSpy;
+
+  beforeEach(() => {
+    getSpy = jest.spyOn(api, 'get').mockResolvedValue({ data: {} });
+    putSpy = jest.spyOn(api, 'put').mockResolvedValue({ data: {} });
+    deleteSpy = jest.spyOn(api, 'delete').mockResolvedValue({ data: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('getRunning calls GET /time-entries/running', async () => {
+    await timeEntriesAPI.getRunning();
+    expect(getSpy).toHaveBeenCalledWith('/time-entries/running');
+  });
+
+  test('update calls PUT /time-entries/:id', async () => {
+    await timeEntriesAPI.update(9, { note: 'Review' });
+    expect(putSpy).toHaveBeenCalledWith('/time-entries/9', { note: 'Review' });
+  });
+
+  test('delete calls DELETE /time-entries/:id', async () => {
+    await timeEntriesAPI.delete(9);
+    expect(deleteSpy).toHaveBeenCalledWith('/time-entries/9');
+  });
+});
+
+describe('searchAPI methods call correct endpoints', () => {
+  let getSpy;
+
+  beforeEach(() => {
+    getSpy = jest.spyOn(api, 'get').mockResolvedValue({ data: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('search calls GET /search with workspace and encoded text', async () => {
+    await searchAPI.search('ws-1', 'deploy & ship');
+    expect(getSpy).toHaveBeenCalledWith('/search?workspace_id=ws-1&q=deploy+%26+ship');
+  });
+
+  test('search passes an optional limit', async () => {
+    await searchAPI.search('ws-1', 'deploy', { limit: 5 });
+    expect(getSpy).toHaveBeenCalledWith('/search?workspace_id=ws-1&q=deploy&limit=5');
+  });
 });
 
 describe('categoriesAPI methods call correct endpoints', () => {
@@ -711,6 +930,17 @@ describe('holidaysAPI methods call correct endpoints', () => {
     await holidaysAPI.getByYear(2026);
     expect(getSpy).toHaveBeenCalledWith('/holidays?year=2026');
   });
+
+  test('getByYear adds the workspace for its regions and company holidays', () => {
+    // The request is made synchronously, so the spy can be checked without awaiting
+    holidaysAPI.getByYear(2026, 'ws-1');
+    expect(getSpy).toHaveBeenCalledWith('/holidays?year=2026&workspace_id=ws-1');
+  });
+
+  test('getRegions calls GET /holidays/regions', async () => {
+    await holidaysAPI.getRegions();
+    expect(getSpy).toHaveBeenCalledWith('/holidays/regions');
+  });
 });
 
 describe('usersAPI methods call correct endpoints', () => {
@@ -922,6 +1152,89 @@ describe('workspacesAPI methods call correct endpoints', () => {
     await workspacesAPI.skipOnboarding('ws-1');
     expect(postSpy).toHaveBeenCalledWith('/workspaces/ws-1/onboarding/skip');
   });
+
+  test('getStatuses calls GET /workspaces/:id/statuses', async () => {
+    await workspacesAPI.getStatuses('ws-1');
+    expect(getSpy).toHaveBeenCalledWith('/workspaces/ws-1/statuses');
+  });
+
+  test('updateStatuses calls PUT /workspaces/:id/statuses with the ordered set', async () => {
+    const statuses = [{ key: 'todo', name: 'To Do', category: 'not_started' }];
+    await workspacesAPI.updateStatuses('ws-1', statuses);
+    expect(putSpy).toHaveBeenCalledWith('/workspaces/ws-1/statuses', { statuses });
+  });
+
+  test('getCustomFields calls GET /workspaces/:id/custom-fields', async () => {
+    await workspacesAPI.getCustomFields('ws-1');
+    expect(getSpy).toHaveBeenCalledWith('/workspaces/ws-1/custom-fields');
+  });
+
+  test('createCustomField calls POST /workspaces/:id/custom-fields', async () => {
+    const data = { name: 'Environment', field_type: 'dropdown', options: ['prod'] };
+    await workspacesAPI.createCustomField('ws-1', data);
+    expect(postSpy).toHaveBeenCalledWith('/workspaces/ws-1/custom-fields', data);
+  });
+
+  test('updateCustomField calls PUT /workspaces/:id/custom-fields/:fieldId', async () => {
+    await workspacesAPI.updateCustomField('ws-1', 7, { name: 'Env' });
+    expect(putSpy).toHaveBeenCalledWith('/workspaces/ws-1/custom-fields/7', { name: 'Env' });
+  });
+
+  test('deleteCustomField calls DELETE /workspaces/:id/custom-fields/:fieldId', async () => {
+    await workspacesAPI.deleteCustomField('ws-1', 7);
+    expect(deleteSpy).toHaveBeenCalledWith('/workspaces/ws-1/custom-fields/7');
+  });
+
+  test('getTimeReport calls GET /workspaces/:id/time-report with filters', async () => {
+    await workspacesAPI.getTimeReport('ws-1', { from: '2026-03-01', to: '2026-03-31', user_id: '' });
+    expect(getSpy).toHaveBeenCalledWith('/workspaces/ws-1/time-report?from=2026-03-01&to=2026-03-31');
+  });
+
+  test('getWorkload calls GET /workspaces/:id/workload with the range', async () => {
+    await workspacesAPI.getWorkload('ws-1', { from: '2026-10-19', weeks: 4 });
+    expect(getSpy).toHaveBeenCalledWith('/workspaces/ws-1/workload?from=2026-10-19&weeks=4');
+  });
+
+  test('updateMemberCapacity calls PUT /workspaces/:id/members/:memberId/capacity', async () => {
+    await workspacesAPI.updateMemberCapacity('ws-1', 12, null);
+    expect(putSpy).toHaveBeenCalledWith('/workspaces/ws-1/members/12/capacity', { weekly_capacity: null });
+  });
+
+  test('getAnalytics calls GET /workspaces/:id/analytics with the weeks and category', async () => {
+    await workspacesAPI.getAnalytics('ws-1', { weeks: 8, categoryId: 4 });
+    expect(getSpy).toHaveBeenCalledWith('/workspaces/ws-1/analytics?weeks=8&category_id=4');
+  });
+
+  test('exportAnalyticsCsv downloads GET /workspaces/:id/analytics/export as a blob', async () => {
+    await workspacesAPI.exportAnalyticsCsv('ws-1', { weeks: 12 });
+    expect(getSpy).toHaveBeenCalledWith('/workspaces/ws-1/analytics/export?weeks=12', { responseType: 'blob' });
+  });
+
+  test('getSavedViews calls GET /workspaces/:id/views', async () => {
+    await workspacesAPI.getSavedViews('ws-1');
+    expect(getSpy).toHaveBeenCalledWith('/workspaces/ws-1/views');
+  });
+
+  test('createSavedView calls POST /workspaces/:id/views', async () => {
+    const data = { name: 'Urgent', visibility: 'shared', filters: { priorities: ['Urgent'] } };
+    await workspacesAPI.createSavedView('ws-1', data);
+    expect(postSpy).toHaveBeenCalledWith('/workspaces/ws-1/views', data);
+  });
+
+  test('updateSavedView calls PUT /workspaces/:id/views/:viewId', async () => {
+    await workspacesAPI.updateSavedView('ws-1', 5, { name: 'Renamed' });
+    expect(putSpy).toHaveBeenCalledWith('/workspaces/ws-1/views/5', { name: 'Renamed' });
+  });
+
+  test('deleteSavedView calls DELETE /workspaces/:id/views/:viewId', async () => {
+    await workspacesAPI.deleteSavedView('ws-1', 5);
+    expect(deleteSpy).toHaveBeenCalledWith('/workspaces/ws-1/views/5');
+  });
+
+  test('setDefaultSavedView calls PUT /workspaces/:id/views/default', async () => {
+    await workspacesAPI.setDefaultSavedView('ws-1', null);
+    expect(putSpy).toHaveBeenCalledWith('/workspaces/ws-1/views/default', { view_id: null });
+  });
 });
 
 describe('meAPI methods call correct endpoints', () => {
@@ -0,0 +1,34 @@
+/**
+ * Personal access token helpers — scopes and expiry limits mirror server/lib/apiTokens.js.
+ * Tokens look like { id, name, workspaceId, workspaceName, scope, tokenHint, expiresAt, lastUsedAt }.
+ */
+import { formatDistanceToNow } from 'date-fns';
+
+export const API_TOKEN_SCOPE_OPTIONS = [
+  { value: 'read', label: 'Read only' },
+  { value: 'write', label: 'Read and write' },
+];
+
+export const API_TOKEN_EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+];
+
+export const DEFAULT_API_TOKEN_EXPIRY_DAYS = 90;
+
+export const isApiTokenExpired = (token, now = new Date()) => new Date(token.expiresAt) <= now;
+
+// "Expires in 3 months" / "Expired 2 days ago"
+export const describeApiTokenExpiry = (token, now = new Date()) => {
+  const distance = formatDistanceToNow(new Date(token.expiresAt));
+  return isApiTokenExpired(token, now) ? `Expired ${distance} ago` : `Expires in ${distance}`;
+};
+
+export const describeApiTokenUse = (token) =>
+  token.lastUsedAt
+    ? `Last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+    : 'Never used';
+
+// Workspaces a viewer belongs to only allow read-only tokens
+export const canCreateWriteToken = (workspace) => Boolean(workspace) && workspace.userRole !== 'viewer';
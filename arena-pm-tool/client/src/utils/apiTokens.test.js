@@ -0,0 +1,34 @@
+import {
+  isApiTokenExpired,
+  describeApiTokenExpiry,
+  describeApiTokenUse,
+  canCreateWriteToken,
+} from './apiTokens';
+
+describe('apiTokens utils', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  it('detects expired tokens', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+
+    expect(isApiTokenExpired({ expiresAt: '2026-03-09T12:00:00Z' }, now)).toBe(true);
+    expect(isApiTokenExpired({ expiresAt: '2026-03-11T12:00:00Z' }, now)).toBe(false);
+  });
+
+  it('describes when a token expires', () => {
+    expect(describeApiTokenExpiry({ expiresAt: new Date(Date.now() + 3 * DAY + 60000).toISOString() })).toBe('Expires in 3 days');
+    expect(describeApiTokenExpiry({ expiresAt: new Date(Date.now() - 2 * DAY).toISOString() })).toBe('Expired 2 days ago');
+  });
+
+  it('describes when a token was last used', () => {
+    expect(describeApiTokenUse({ lastUsedAt: null })).toBe('Never used');
+    expect(describeApiTokenUse({ lastUsedAt: new Date(Date.now() - 2 * DAY).toISOString() })).toBe('Last used 2 days ago');
+  });
+
+  it('only allows write tokens for editors', () => {
+    expect(canCreateWriteToken({ userRole: 'admin' })).toBe(true);
+    expect(canCreateWriteToken({ userRole: 'member' })).toBe(true);
+    expect(canCreateWriteToken({ userRole: 'viewer' })).toBe(false);
+    expect(canCreateWriteToken(undefined)).toBe(false);
+  });
+});
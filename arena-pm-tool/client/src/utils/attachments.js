@@ -0,0 +1,34 @@
+/**
+ * Attachment helpers — mirrors server/lib/attachments.js.
+ * Attachments look like { id, taskId, commentId, fileName, contentType,
+ * sizeBytes, uploadedBy, uploaderName, createdAt }.
+ */
+
+// Hard upload cap on any plan; smaller plan limits are enforced by the server
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// Types the server serves inline, so they can be previewed
+const PREVIEW_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const INLINE_TYPES = [...PREVIEW_IMAGE_TYPES, 'application/pdf', 'text/plain'];
+
+export const isImageAttachment = (attachment) =>
+  PREVIEW_IMAGE_TYPES.includes(attachment?.contentType);
+
+export const canPreviewAttachment = (attachment) =>
+  INLINE_TYPES.includes(attachment?.contentType);
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+};
+
+/**
+ * Readable message for a failed upload, including plan-limit errors.
+ */
+export const getUploadErrorMessage = (error, fileName) => {
+  const message = error?.response?.data?.message;
+  if (message) return message;
+  return fileName ? `Failed to upload ${fileName}` : 'Failed to upload file';
+};
@@ -0,0 +1,33 @@
+import {
+  isImageAttachment,
+  canPreviewAttachment,
+  formatFileSize,
+  getUploadErrorMessage,
+} from './attachments';
+
+describe('attachments utils', () => {
+  it('detects previewable attachments', () => {
+    expect(isImageAttachment({ contentType: 'image/png' })).toBe(true);
+    expect(isImageAttachment({ contentType: 'image/svg+xml' })).toBe(false);
+    expect(isImageAttachment({ contentType: 'application/pdf' })).toBe(false);
+    expect(canPreviewAttachment({ contentType: 'application/pdf' })).toBe(true);
+    expect(canPreviewAttachment({ contentType: 'text/html' })).toBe(false);
+    expect(canPreviewAttachment(null)).toBe(false);
+  });
+
+  it('formats file sizes', () => {
+    expect(formatFileSize(0)).toBe('0 B');
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(2048)).toBe('2 KB');
+    expect(formatFileSize(5.25 * 1024 * 1024)).toBe('5.3 MB');
+  });
+
+  it('prefers the server message for upload errors', () => {
+    const planError = {
+      response: { data: { code: 'PLAN_LIMIT_STORAGE', message: 'Your workspace has used 99 MB' } },
+    };
+    expect(getUploadErrorMessage(planError, 'a.pdf')).toBe('Your workspace has used 99 MB');
+    expect(getUploadErrorMessage(new Error('Network Error'), 'a.pdf')).toBe('Failed to upload a.pdf');
+    expect(getUploadErrorMessage(undefined)).toBe('Failed to upload file');
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Calendar feed helpers — feeds are served by GET /api/calendar/:token.ics
+ * (see getCalendarFeedUrl in ./api). Feeds look like
+ * { id, workspaceId, workspaceName, token, lastAccessedAt }; a feed without a
+ * workspaceId lists the user's assigned tasks.
+ */
+
+// Apple Calendar and Outlook open webcal:// links as subscriptions
+export const getWebcalUrl = (feedUrl) => feedUrl.replace(/^https?:\/\//, 'webcal://');
+
+export const findCalendarFeed = (feeds, workspaceId = null) =>
+  feeds.find((feed) => (feed.workspaceId || null) === workspaceId) || null;
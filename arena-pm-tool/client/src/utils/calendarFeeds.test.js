@@ -0,0 +1,16 @@
+import { getWebcalUrl, findCalendarFeed } from './calendarFeeds';
+
+describe('calendarFeeds utils', () => {
+  it('turns feed URLs into webcal links', () => {
+    expect(getWebcalUrl('https://app.todoria.com/api/calendar/abc.ics')).toBe('webcal://app.todoria.com/api/calendar/abc.ics');
+    expect(getWebcalUrl('http://localhost:5000/api/calendar/abc.ics')).toBe('webcal://localhost:5000/api/calendar/abc.ics');
+  });
+
+  it('finds the feed of a workspace or of the assigned tasks', () => {
+    const feeds = [{ id: 1, workspaceId: null }, { id: 2, workspaceId: 'ws-1' }];
+
+    expect(findCalendarFeed(feeds)).toEqual({ id: 1, workspaceId: null });
+    expect(findCalendarFeed(feeds, 'ws-1').id).toBe(2);
+    expect(findCalendarFeed(feeds, 'ws-2')).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Custom field helpers — mirrors server/lib/customFields.js.
+ * Fields look like { id, name, fieldType, options, position } and
+ * task.customFields maps field id to the stored value.
+ */
+import { formatDueDate } from './dateUtils';
+
+export const CUSTOM_FIELD_TYPE_OPTIONS = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'dropdown', label: 'Dropdown' },
+  { value: 'date', label: 'Date' },
+  { value: 'checkbox', label: 'Checkbox' },
+];
+
+export const getFieldTypeLabel = (fieldType) =>
+  CUSTOM_FIELD_TYPE_OPTIONS.find((option) => option.value === fieldType)?.label || fieldType;
+
+/**
+ * Split a comma-separated options string into a de-duplicated list.
+ */
+export const parseOptions = (text) =>
+  [...new Set((text || '').split(',').map((option) => option.trim()).filter(Boolean))];
+
+export const getCustomFieldValue = (task, field) => {
+  const value = task?.customFields?.[field.id];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Short display text for a task's value, or null when the field is empty.
+ */
+export const formatCustomFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return null;
+  switch (field.fieldType) {
+    case 'checkbox':
+      return value ? 'Yes' : null;
+    case 'date':
+      return formatDueDate(value);
+    default:
+      return String(value);
+  }
+};
+
+const LIST_COLUMNS_KEY = 'todoria_list_custom_columns';
+
+/**
+ * Field ids the user chose to show as List view columns (per browser).
+ */
+export const loadVisibleFieldIds = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LIST_COLUMNS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveVisibleFieldIds = (ids) => {
+  try {
+    localStorage.setItem(LIST_COLUMNS_KEY, JSON.stringify(ids));
+  } catch {
+    // Storage unavailable (private mode) - columns just won't persist
+  }
+};
@@ -0,0 +1,56 @@
+import {
+  getFieldTypeLabel,
+  parseOptions,
+  getCustomFieldValue,
+  formatCustomFieldValue,
+  loadVisibleFieldIds,
+  saveVisibleFieldIds,
+} from './customFields';
+
+const textField = { id: 1, name: 'Customer', fieldType: 'text', options: [] };
+const dateField = { id: 2, name: 'Launch', fieldType: 'date', options: [] };
+const checkboxField = { id: 3, name: 'Customer facing', fieldType: 'checkbox', options: [] };
+const numberField = { id: 4, name: 'Story points', fieldType: 'number', options: [] };
+
+describe('customFields utils', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('labels field types', () => {
+    expect(getFieldTypeLabel('dropdown')).toBe('Dropdown');
+    expect(getFieldTypeLabel('mystery')).toBe('mystery');
+  });
+
+  it('parses a comma-separated options list', () => {
+    expect(parseOptions(' staging, prod,, staging ,dev ')).toEqual(['staging', 'prod', 'dev']);
+    expect(parseOptions('')).toEqual([]);
+  });
+
+  it('reads a task value by field id', () => {
+    const task = { customFields: { 1: 'Acme', 4: 0 } };
+    expect(getCustomFieldValue(task, textField)).toBe('Acme');
+    expect(getCustomFieldValue(task, numberField)).toBe(0);
+    expect(getCustomFieldValue(task, dateField)).toBeNull();
+    expect(getCustomFieldValue({}, textField)).toBeNull();
+  });
+
+  it('formats values for display', () => {
+    expect(formatCustomFieldValue(textField, 'Acme')).toBe('Acme');
+    expect(formatCustomFieldValue(numberField, 0)).toBe('0');
+    expect(formatCustomFieldValue(dateField, '2026-03-01')).toBe('Mar 1');
+    expect(formatCustomFieldValue(checkboxField, true)).toBe('Yes');
+    expect(formatCustomFieldValue(textField, null)).toBeNull();
+  });
+
+  it('persists the visible column ids', () => {
+    expect(loadVisibleFieldIds()).toEqual([]);
+    saveVisibleFieldIds([2, 4]);
+    expect(loadVisibleFieldIds()).toEqual([2, 4]);
+  });
+
+  it('ignores malformed saved columns', () => {
+    localStorage.setItem('todoria_list_custom_columns', '{"not":"a list"}');
+    expect(loadVisibleFieldIds()).toEqual([]);
+  });
+});
@@ -43,11 +43,80 @@ export const formatDueDateLong = (date) => {
 
 /**
  * Check if a due date is overdue (before today and not completed).
+ * `status` may be the built-in 'completed' key or a workflow category ('done').
  */
 export const isOverdue = (dueDate, status) => {
-  if (!dueDate || status === 'completed') return false;
+  if (!dueDate || status === 'completed' || status === 'done') return false;
   const dueDateObj = toLocalDate(dueDate);
   const today = new Date();
   const todayLocal = new Date(today.getFullYear(), today.getMonth(), today.getDate());
   return dueDateObj && dueDateObj < todayLocal;
 };
+
+/**
+ * Format a local Date as a date key (e.g. "2025-01-05"), as used by the holiday store.
+ */
+export const toDateKey = (date) => format(date, 'yyyy-MM-dd');
+
+const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Working calendar — the workspace's working weekdays (ISO, 1 = Monday ... 7 = Sunday)
+ * plus the holidays in the holiday store. Pass { workingDays, holidaysByDate } from
+ * useHolidayStore.
+ */
+export const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Why a date is not worked: the holiday's name or the weekday's name, or null for a working day.
+ */
+export const getNonWorkingReason = (dateKey, { workingDays = DEFAULT_WORKING_DAYS, holidaysByDate = {} } = {}) => {
+  const holiday = holidaysByDate[dateKey];
+  if (holiday) return holiday.localName || holiday.name;
+  const weekday = fromDateKey(dateKey).getDay() || 7;
+  return workingDays.includes(weekday) ? null : WEEKDAY_NAMES[weekday - 1];
+};
+
+export const isWorkingDay = (dateKey, calendar) => getNonWorkingReason(dateKey, calendar) === null;
+
+/**
+ * The date key `count` working days after (or before, when negative) dateKey.
+ * Zero returns dateKey itself. Mirrors addWorkingDays in server/lib/workingCalendar.
+ */
+export const addWorkingDays = (dateKey, count, calendar) => {
+  const step = count < 0 ? -1 : 1;
+  let remaining = Math.abs(count);
+  const date = fromDateKey(dateKey);
+  while (remaining > 0) {
+    date.setDate(date.getDate() + step);
+    if (isWorkingDay(toDateKey(date), calendar)) remaining -= 1;
+  }
+  return toDateKey(date);
+};
+
+const RELATIVE_DUE_DATE = /^\+\s*(\d{1,3})\s*(working days?|work days?|business days?|wd|days?|d|weeks?|w)$/i;
+
+/**
+ * Resolve a relative due date such as "+3 working days", "+3wd", "+2 days" or
+ * "+1 week" to a date key, counting from today. Returns null when not understood.
+ */
+export const parseRelativeDueDate = (text, calendar, today = new Date()) => {
+  const match = RELATIVE_DUE_DATE.exec((text || '').trim());
+  if (!match) return null;
+
+  const count = Number(match[1]);
+  const unit = match[2].toLowerCase();
+  const start = toDateKey(today);
+
+  if (/^(working|work|business|wd)/.test(unit)) {
+    return addWorkingDays(start, count, calendar);
+  }
+  const date = fromDateKey(start);
+  date.setDate(date.getDate() + (unit.startsWith('w') ? count * 7 : count));
+  return toDateKey(date);
+};
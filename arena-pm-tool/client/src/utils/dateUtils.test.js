@@ -1,4 +1,15 @@
-import { toLocalDate, toUTCISOString, formatDueDate, formatDueDateLong, isOverdue } from './dateUtils';
+import {
+  toLocalDate,
+  toUTCISOString,
+  formatDueDate,
+  formatDueDateLong,
+  isOverdue,
+  toDateKey,
+  getNonWorkingReason,
+  isWorkingDay,
+  addWorkingDays,
+  parseRelativeDueDate,
+} from './dateUtils';
 
 // ---------------------------------------------------------------------------
 // toLocalDate
@@ -172,3 +183,53 @@ describe('isOverdue', () => {
     expect(isOverdue(undefined, 'completed')).toBe(false);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Working calendar
+// ---------------------------------------------------------------------------
+describe('working calendar', () => {
+  const calendar = {
+    workingDays: [1, 2, 3, 4, 5],
+    holidaysByDate: {
+      '2026-03-09': { date: '2026-03-09', name: 'Office closed', localName: 'Office closed', source: 'company' },
+      '2026-12-24': { date: '2026-12-24', name: 'Christmas Eve', localName: 'Kūčios', source: 'public' },
+    },
+  };
+
+  it('toDateKey formats a local date', () => {
+    expect(toDateKey(new Date(2026, 2, 5))).toBe('2026-03-05');
+  });
+
+  it('explains why a weekend or holiday is not worked', () => {
+    expect(getNonWorkingReason('2026-03-07', calendar)).toBe('Saturday');
+    expect(getNonWorkingReason('2026-12-24', calendar)).toBe('Kūčios');
+    expect(getNonWorkingReason('2026-03-10', calendar)).toBeNull();
+    expect(isWorkingDay('2026-03-08', calendar)).toBe(false);
+  });
+
+  it('follows the workspace working days and defaults to Monday to Friday', () => {
+    expect(isWorkingDay('2026-03-08', { workingDays: [1, 2, 3, 4, 7] })).toBe(true);
+    expect(isWorkingDay('2026-03-07')).toBe(false);
+  });
+
+  it('addWorkingDays skips weekends and holidays in both directions', () => {
+    expect(addWorkingDays('2026-03-05', 3, calendar)).toBe('2026-03-11');
+    expect(addWorkingDays('2026-03-10', -1, calendar)).toBe('2026-03-06');
+    expect(addWorkingDays('2026-03-07', 0, calendar)).toBe('2026-03-07');
+  });
+
+  it('parseRelativeDueDate resolves working days, days and weeks from today', () => {
+    const thursday = new Date(2026, 2, 5, 15, 30);
+    expect(parseRelativeDueDate('+3 working days', calendar, thursday)).toBe('2026-03-11');
+    expect(parseRelativeDueDate('+1 Working Day', calendar, thursday)).toBe('2026-03-06');
+    expect(parseRelativeDueDate('+3wd', calendar, thursday)).toBe('2026-03-11');
+    expect(parseRelativeDueDate('+3 days', calendar, thursday)).toBe('2026-03-08');
+    expect(parseRelativeDueDate('+2 weeks', calendar, thursday)).toBe('2026-03-19');
+  });
+
+  it('parseRelativeDueDate returns null for anything else', () => {
+    expect(parseRelativeDueDate('next friday', calendar)).toBeNull();
+    expect(parseRelativeDueDate('3 days', calendar)).toBeNull();
+    expect(parseRelativeDueDate('', calendar)).toBeNull();
+  });
+});
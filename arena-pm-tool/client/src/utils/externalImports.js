@@ -0,0 +1,56 @@
+/**
+ * Trello / Asana / Jira import helpers — sources mirror server/lib/importers.
+ * Jobs look like { id, source, fileName, status, totalItems, processedItems, summary, error, createdAt }
+ * where status is pending | running | completed | failed.
+ */
+
+export const IMPORT_SOURCE_OPTIONS = [
+  { value: 'trello', label: 'Trello', accept: '.json,application/json', hint: 'Board menu → Print, export and share → Export as JSON' },
+  { value: 'asana', label: 'Asana', accept: '.csv,text/csv', hint: 'Project menu → Export/Print → CSV' },
+  { value: 'jira', label: 'Jira', accept: '.csv,text/csv', hint: 'Filters → Export → Export CSV (all fields)' },
+];
+
+// How often the card re-reads a job that hasn't finished
+export const IMPORT_POLL_INTERVAL_MS = 2000;
+
+export const getImportSource = (value) =>
+  IMPORT_SOURCE_OPTIONS.find((option) => option.value === value) || null;
+
+export const isImportJobFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+// 0-100; unknown while the job waits in the queue
+export const getImportProgress = (job) => {
+  if (job.status === 'completed') return 100;
+  if (!job.totalItems) return 0;
+  return Math.min(100, Math.round((job.processedItems / job.totalItems) * 100));
+};
+
+const pluralize = (count, singular, plural = `${singular}s`) => `${count} ${count === 1 ? singular : plural}`;
+
+// "Waiting to start" / "Imported 25 of 80 items" / "Import failed: ..."
+export const describeImportStatus = (job) => {
+  switch (job.status) {
+    case 'pending':
+      return 'Waiting to start';
+    case 'running':
+      return job.totalItems ? `Imported ${job.processedItems} of ${pluralize(job.totalItems, 'item')}` : 'Reading the file';
+    case 'completed':
+      return 'Import complete';
+    default:
+      return `Import failed: ${job.error || 'Unknown error'}`;
+  }
+};
+
+// Lines for a finished import's report, e.g. ["12 tasks", "30 subtasks", ..., "2 new categories (1 existing reused)"]
+export const describeImportSummary = (summary) => {
+  if (!summary) return [];
+  const lines = [
+    pluralize(summary.tasksCreated, 'task'),
+    pluralize(summary.subtasksCreated, 'subtask'),
+    pluralize(summary.commentsCreated, 'comment'),
+    pluralize(summary.assignmentsCreated, 'assignment'),
+  ];
+  const categories = pluralize(summary.categoriesCreated, 'new category', 'new categories');
+  lines.push(summary.categoriesReused > 0 ? `${categories} (${summary.categoriesReused} existing reused)` : categories);
+  return lines;
+};
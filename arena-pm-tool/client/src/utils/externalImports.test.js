@@ -0,0 +1,82 @@
+import {
+  IMPORT_SOURCE_OPTIONS,
+  getImportSource,
+  isImportJobFinished,
+  getImportProgress,
+  describeImportStatus,
+  describeImportSummary,
+} from './externalImports';
+
+const job = (overrides = {}) => ({
+  id: 12,
+  source: 'trello',
+  status: 'pending',
+  totalItems: 0,
+  processedItems: 0,
+  summary: null,
+  error: null,
+  ...overrides,
+});
+
+describe('IMPORT_SOURCE_OPTIONS', () => {
+  test('Trello boards are JSON and the others CSV', () => {
+    expect(IMPORT_SOURCE_OPTIONS.map((option) => [option.value, option.accept.split(',')[0]])).toEqual([
+      ['trello', '.json'],
+      ['asana', '.csv'],
+      ['jira', '.csv'],
+    ]);
+  });
+
+  test('getImportSource finds an option by value', () => {
+    expect(getImportSource('jira').label).toBe('Jira');
+    expect(getImportSource('monday')).toBeNull();
+  });
+});
+
+describe('isImportJobFinished', () => {
+  test('completed and failed jobs are finished', () => {
+    expect(isImportJobFinished(job({ status: 'completed' }))).toBe(true);
+    expect(isImportJobFinished(job({ status: 'failed' }))).toBe(true);
+    expect(isImportJobFinished(job({ status: 'running' }))).toBe(false);
+    expect(isImportJobFinished(job())).toBe(false);
+  });
+});
+
+describe('getImportProgress', () => {
+  test('is the share of items processed', () => {
+    expect(getImportProgress(job({ status: 'running', totalItems: 80, processedItems: 25 }))).toBe(31);
+  });
+
+  test('is 0 before the file is read and 100 once complete', () => {
+    expect(getImportProgress(job())).toBe(0);
+    expect(getImportProgress(job({ status: 'completed', totalItems: 80, processedItems: 75 }))).toBe(100);
+  });
+});
+
+describe('describeImportStatus', () => {
+  test('describes each stage', () => {
+    expect(describeImportStatus(job())).toBe('Waiting to start');
+    expect(describeImportStatus(job({ status: 'running' }))).toBe('Reading the file');
+    expect(describeImportStatus(job({ status: 'running', totalItems: 80, processedItems: 25 }))).toBe('Imported 25 of 80 items');
+    expect(describeImportStatus(job({ status: 'completed' }))).toBe('Import complete');
+    expect(describeImportStatus(job({ status: 'failed', error: 'This is not a Jira CSV export' })))
+      .toBe('Import failed: This is not a Jira CSV export');
+  });
+});
+
+describe('describeImportSummary', () => {
+  test('lists what was created', () => {
+    expect(describeImportSummary({
+      tasksCreated: 12,
+      subtasksCreated: 1,
+      commentsCreated: 0,
+      assignmentsCreated: 4,
+      categoriesCreated: 2,
+      categoriesReused: 1,
+    })).toEqual(['12 tasks', '1 subtask', '0 comments', '4 assignments', '2 new categories (1 existing reused)']);
+  });
+
+  test('is empty without a summary', () => {
+    expect(describeImportSummary(null)).toEqual([]);
+  });
+});
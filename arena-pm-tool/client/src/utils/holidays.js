@@ -0,0 +1,43 @@
+import { formatDueDate, formatDueDateLong } from './dateUtils';
+
+/**
+ * Holiday calendar helpers — holidays come from GET /api/holidays and look like
+ * { date, name, localName, type, source, regions } where source is "public"
+ * (a country's or region's public holiday, regions lists who observes it) or
+ * "company" (added by a workspace admin). Region codes are "PL" or "DE-BY".
+ */
+
+export const isCompanyHoliday = (holiday) => holiday?.source === 'company';
+
+export const getHolidayLabel = (holiday) => holiday.localName || holiday.name;
+
+// Tooltip, e.g. "Heilige Drei Könige (Epiphany) · DE-BY" or "Office closed · Company holiday"
+export const getHolidayTitle = (holiday) => {
+  const label = getHolidayLabel(holiday);
+  const name = label !== holiday.name ? `${label} (${holiday.name})` : label;
+  if (isCompanyHoliday(holiday)) return `${name} · Company holiday`;
+  return holiday.regions?.length ? `${name} · ${holiday.regions.join(', ')}` : name;
+};
+
+// Company holidays are shown in violet so they stand apart from public ones
+const HOLIDAY_STYLES = {
+  public: { text: 'text-red-600', cell: 'bg-red-50/50', banner: 'bg-red-50 border-red-100', dot: 'bg-red-400' },
+  company: { text: 'text-violet-600', cell: 'bg-violet-50/50', banner: 'bg-violet-50 border-violet-100', dot: 'bg-violet-400' },
+};
+
+export const getHolidayStyle = (holiday) => HOLIDAY_STYLES[isCompanyHoliday(holiday) ? 'company' : 'public'];
+
+// "Poland, Germany – Bavaria"; unknown codes are shown as they are
+export const describeHolidayRegions = (codes, regions) =>
+  (codes || []).map((code) => regions.find((region) => region.code === code)?.name || code).join(', ');
+
+// Mirrors MAX_HOLIDAY_REGIONS in server/lib/holidays
+export const MAX_HOLIDAY_REGIONS = 5;
+
+// Options not chosen yet, or none once the limit is reached
+export const getAvailableHolidayRegions = (regions, selected) =>
+  (selected.length >= MAX_HOLIDAY_REGIONS ? [] : regions.filter((region) => !selected.includes(region.code)));
+
+// Company holiday dates: "Dec 24 · every year" or "Dec 31, 2026"
+export const describeCompanyHolidayDate = (holiday) =>
+  (holiday.recurring ? `${formatDueDate(holiday.date)} · every year` : formatDueDateLong(holiday.date));
@@ -0,0 +1,65 @@
+import {
+  isCompanyHoliday,
+  getHolidayLabel,
+  getHolidayTitle,
+  getHolidayStyle,
+  describeHolidayRegions,
+  getAvailableHolidayRegions,
+  describeCompanyHolidayDate,
+} from './holidays';
+
+const epiphany = {
+  date: '2026-01-06',
+  name: 'Epiphany',
+  localName: 'Heilige Drei Könige',
+  source: 'public',
+  regions: ['DE-BY', 'AT'],
+};
+const closure = { date: '2026-12-31', name: 'Office closed', localName: 'Office closed', source: 'company', regions: [] };
+
+const REGIONS = [
+  { code: 'AT', name: 'Austria', country: 'AT' },
+  { code: 'DE', name: 'Germany', country: 'DE' },
+  { code: 'DE-BY', name: 'Germany – Bavaria', country: 'DE' },
+  { code: 'LT', name: 'Lithuania', country: 'LT' },
+  { code: 'LV', name: 'Latvia', country: 'LV' },
+  { code: 'PL', name: 'Poland', country: 'PL' },
+];
+
+describe('holiday labels', () => {
+  test('prefer the local name', () => {
+    expect(getHolidayLabel(epiphany)).toBe('Heilige Drei Könige');
+    expect(getHolidayLabel({ name: 'Labour Day' })).toBe('Labour Day');
+  });
+
+  test('titles add the English name and who observes the holiday', () => {
+    expect(getHolidayTitle(epiphany)).toBe('Heilige Drei Könige (Epiphany) · DE-BY, AT');
+    expect(getHolidayTitle(closure)).toBe('Office closed · Company holiday');
+  });
+
+  test('company holidays get their own colours', () => {
+    expect(isCompanyHoliday(closure)).toBe(true);
+    expect(isCompanyHoliday(epiphany)).toBe(false);
+    expect(getHolidayStyle(closure).text).toBe('text-violet-600');
+    expect(getHolidayStyle(epiphany).text).toBe('text-red-600');
+  });
+});
+
+describe('holiday regions', () => {
+  test('describeHolidayRegions names regions and keeps unknown codes', () => {
+    expect(describeHolidayRegions(['PL', 'DE-BY', 'XX'], REGIONS)).toBe('Poland, Germany – Bavaria, XX');
+    expect(describeHolidayRegions(null, REGIONS)).toBe('');
+  });
+
+  test('getAvailableHolidayRegions leaves out chosen regions and stops at five', () => {
+    expect(getAvailableHolidayRegions(REGIONS, ['PL', 'DE']).map((region) => region.code)).toEqual(['AT', 'DE-BY', 'LT', 'LV']);
+    expect(getAvailableHolidayRegions(REGIONS, ['AT', 'DE', 'DE-BY', 'LT', 'LV'])).toEqual([]);
+  });
+});
+
+describe('describeCompanyHolidayDate', () => {
+  test('shows the year only for one-off holidays', () => {
+    expect(describeCompanyHolidayDate({ date: '2026-12-31', recurring: false })).toBe('Dec 31, 2026');
+    expect(describeCompanyHolidayDate({ date: '2025-12-24', recurring: true })).toBe('Dec 24 · every year');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @mention helpers — mirrors server/lib/mentions.js.
+ * A mention is "@" followed by a workspace member's full name; the longest
+ * matching name wins and it must not run straight into more letters.
+ */
+
+// Characters that may come right before "@" (so emails aren't read as mentions)
+const MENTION_PREFIX = /[\s([{"'>]/;
+const NAME_CHAR = /[\p{L}\p{N}_]/u;
+const MAX_QUERY_LENGTH = 50;
+
+/**
+ * The partial mention being typed just before the caret, as
+ * { query, start } where `start` is the index of the "@", or null.
+ */
+export const getMentionQuery = (text, caret) => {
+  const before = text.slice(0, caret);
+  const at = before.lastIndexOf('@');
+  if (at === -1 || (at > 0 && !MENTION_PREFIX.test(before[at - 1]))) return null;
+
+  const query = before.slice(at + 1);
+  if (query.length > MAX_QUERY_LENGTH || /[\n@]/.test(query) || query.startsWith(' ')) return null;
+  return { query, start: at };
+};
+
+/**
+ * Members whose name matches a partial mention, names starting with it first.
+ */
+export const filterMentionCandidates = (users, query, limit = 6) => {
+  const needle = query.toLowerCase();
+  const matches = users.filter((user) => user.name?.toLowerCase().includes(needle));
+  const startsWith = matches.filter((user) => user.name.toLowerCase().startsWith(needle));
+  const rest = matches.filter((user) => !user.name.toLowerCase().startsWith(needle));
+  return [...startsWith, ...rest].slice(0, limit);
+};
+
+/**
+ * Replace the partial mention at `start`..`caret` with "@Name ".
+ * Returns the new text and where the caret should go.
+ */
+export const insertMention = (text, start, caret, name) => {
+  const mention = `@${name} `;
+  return {
+    text: text.slice(0, start) + mention + text.slice(caret),
+    caret: start + mention.length,
+  };
+};
+
+/**
+ * Split comment text into [{ text, mention }] parts for rendering, where
+ * `mention` is the mentioned user or null.
+ */
+export const splitMentions = (content, users = []) => {
+  if (!content) return [];
+  const candidates = users
+    .filter((user) => user.name)
+    .sort((a, b) => b.name.length - a.name.length);
+  const lowerContent = content.toLowerCase();
+  const parts = [];
+  let textStart = 0;
+
+  for (let at = lowerContent.indexOf('@'); at !== -1; at = lowerContent.indexOf('@', at + 1)) {
+    if (at > 0 && !MENTION_PREFIX.test(content[at - 1])) continue;
+
+    const rest = lowerContent.slice(at + 1);
+    const user = candidates.find((candidate) => {
+      const name = candidate.name.toLowerCase();
+      return rest.startsWith(name) && !NAME_CHAR.test(rest.charAt(name.length));
+    });
+    if (!user) continue;
+
+    if (at > textStart) parts.push({ text: content.slice(textStart, at), mention: null });
+    const end = at + 1 + user.name.length;
+    parts.push({ text: content.slice(at, end), mention: user });
+    textStart = end;
+    at = end - 1;
+  }
+
+  if (textStart < content.length) parts.push({ text: content.slice(textStart), mention: null });
+  return parts;
+};
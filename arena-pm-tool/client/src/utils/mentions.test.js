@@ -0,0 +1,46 @@
+import { getMentionQuery, filterMentionCandidates, insertMention, splitMentions } from './mentions';
+
+const ann = { id: 1, name: 'Ann' };
+const annLee = { id: 2, name: 'Ann Lee' };
+const bob = { id: 3, name: 'Bob' };
+const users = [ann, annLee, bob];
+
+describe('mention utils', () => {
+  it('finds the partial mention before the caret', () => {
+    expect(getMentionQuery('Hi @An', 6)).toEqual({ query: 'An', start: 3 });
+    expect(getMentionQuery('@', 1)).toEqual({ query: '', start: 0 });
+    expect(getMentionQuery('Hi @Ann Le', 10)).toEqual({ query: 'Ann Le', start: 3 });
+  });
+
+  it('ignores emails, finished lines and text without "@"', () => {
+    expect(getMentionQuery('mail bob@exa', 12)).toBeNull();
+    expect(getMentionQuery('@Ann\nnext', 9)).toBeNull();
+    expect(getMentionQuery('@ Ann', 5)).toBeNull();
+    expect(getMentionQuery('no mention', 10)).toBeNull();
+  });
+
+  it('filters candidates, names starting with the query first', () => {
+    const people = [{ id: 4, name: 'Joanna' }, ann, bob];
+    expect(filterMentionCandidates(people, 'an')).toEqual([ann, people[0]]);
+    expect(filterMentionCandidates(users, '', 2)).toHaveLength(2);
+  });
+
+  it('inserts the chosen name and places the caret after it', () => {
+    expect(insertMention('Hi @An there', 3, 6, 'Ann Lee')).toEqual({
+      text: 'Hi @Ann Lee  there',
+      caret: 12,
+    });
+  });
+
+  it('splits content into text and mentions', () => {
+    expect(splitMentions('Thanks @Ann Lee and @bob!', users)).toEqual([
+      { text: 'Thanks ', mention: null },
+      { text: '@Ann Lee', mention: annLee },
+      { text: ' and ', mention: null },
+      { text: '@bob', mention: bob },
+      { text: '!', mention: null },
+    ]);
+    expect(splitMentions('@Annabel hi', users)).toEqual([{ text: '@Annabel hi', mention: null }]);
+    expect(splitMentions('', users)).toEqual([]);
+  });
+});
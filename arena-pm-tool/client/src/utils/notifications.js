@@ -0,0 +1,75 @@
+/**
+ * Notification helpers — notifications look like { id, type, workspaceId,
+ * actorId, taskId, commentId, data, readAt, createdAt } (server/lib/notifications.js).
+ */
+
+/**
+ * The notification types a user can switch on and off, in settings order.
+ * `email` is false for types that only ever notify in-app.
+ */
+export const NOTIFICATION_TYPE_OPTIONS = [
+  { type: 'assignment', label: 'Assignments', description: 'Someone assigns a task to you', email: true },
+  { type: 'mention', label: 'Mentions', description: 'Someone @mentions you in a comment', email: true },
+  { type: 'comment', label: 'Comments', description: 'New comments on tasks you created or are assigned to', email: true },
+  { type: 'due_soon', label: 'Due soon', description: 'Your tasks are about to fall due', email: true },
+  { type: 'overdue', label: 'Overdue', description: 'A daily nudge while your tasks are past their due date', email: true },
+  { type: 'overdue_escalation', label: 'Overdue escalations', description: 'Tasks you created are still overdue after the assignees were reminded', email: true },
+  { type: 'invitation_accepted', label: 'Invitations accepted', description: 'Someone you invited joins a workspace', email: false },
+  { type: 'role_changed', label: 'Role changes', description: 'An admin changes your role in a workspace', email: false },
+];
+
+/**
+ * How often notification emails go out (users.email_digest_mode). Digests are
+ * sent in the morning of the user's timezone, weekly ones on Mondays.
+ */
+export const DIGEST_MODE_OPTIONS = [
+  { value: 'immediate', label: 'Immediate', description: 'Get an email for each assignment, comment and reminder as it happens.' },
+  { value: 'daily', label: 'Daily Digest', description: 'Get one email each morning with everything from the past day.' },
+  { value: 'weekly', label: 'Weekly Digest', description: 'Get one email every Monday morning with everything from the past week.' },
+  { value: 'none', label: 'None', description: 'Get no assignment, comment or reminder emails. In-app notifications still arrive.' },
+];
+
+/**
+ * How many working days before the due date reminders start (users.reminder_lookahead_days, 0-14).
+ * Weekends and holidays of the task's workspace are not counted.
+ */
+export const REMINDER_LOOKAHEAD_OPTIONS = [
+  { value: 0, label: 'On the due date only' },
+  { value: 1, label: '1 working day before' },
+  { value: 2, label: '2 working days before' },
+  { value: 3, label: '3 working days before' },
+  { value: 5, label: '5 working days before' },
+  { value: 7, label: '7 working days before' },
+  { value: 14, label: '14 working days before' },
+];
+
+/**
+ * One-line summary of a notification for toasts and the inbox.
+ */
+export const getNotificationMessage = (notification) => {
+  const { type, data = {} } = notification;
+  const actor = data.actorName || 'Someone';
+  const task = data.taskTitle ? `"${data.taskTitle}"` : 'a task';
+  const workspace = data.workspaceName ? `"${data.workspaceName}"` : 'a workspace';
+
+  switch (type) {
+    case 'mention':
+      return `${actor} mentioned you on ${task}`;
+    case 'assignment':
+      return `${actor} assigned you to ${task}`;
+    case 'comment':
+      return `${actor} commented on ${task}`;
+    case 'due_soon':
+      return `${data.taskTitle ? task : 'A task'} is due soon`;
+    case 'overdue':
+      return `${data.taskTitle ? task : 'A task'} is overdue`;
+    case 'overdue_escalation':
+      return `${data.taskTitle ? task : 'A task'} you created is still overdue`;
+    case 'invitation_accepted':
+      return `${actor} accepted your invitation to ${workspace}`;
+    case 'role_changed':
+      return data.role ? `Your role in ${workspace} is now ${data.role}` : `Your role in ${workspace} changed`;
+    default:
+      return 'You have a new notification';
+  }
+};
@@ -0,0 +1,51 @@
+import { getNotificationMessage, DIGEST_MODE_OPTIONS } from './notifications';
+
+describe('notification utils', () => {
+  it('describes mentions', () => {
+    expect(getNotificationMessage({
+      type: 'mention',
+      data: { actorName: 'Ann', taskTitle: 'Launch plan' },
+    })).toBe('Ann mentioned you on "Launch plan"');
+    expect(getNotificationMessage({ type: 'mention', data: {} })).toBe('Someone mentioned you on a task');
+  });
+
+  it('describes assignments and comments', () => {
+    expect(getNotificationMessage({
+      type: 'assignment',
+      data: { actorName: 'Bob', taskTitle: 'Launch plan' },
+    })).toBe('Bob assigned you to "Launch plan"');
+    expect(getNotificationMessage({
+      type: 'comment',
+      data: { actorName: 'Bob', taskTitle: 'Launch plan', excerpt: 'Done' },
+    })).toBe('Bob commented on "Launch plan"');
+  });
+
+  it('describes due dates', () => {
+    expect(getNotificationMessage({ type: 'due_soon', data: { taskTitle: 'Launch plan' } }))
+      .toBe('"Launch plan" is due soon');
+    expect(getNotificationMessage({ type: 'due_soon', data: {} })).toBe('A task is due soon');
+    expect(getNotificationMessage({ type: 'overdue', data: { taskTitle: 'Launch plan' } }))
+      .toBe('"Launch plan" is overdue');
+    expect(getNotificationMessage({ type: 'overdue_escalation', data: { taskTitle: 'Launch plan' } }))
+      .toBe('"Launch plan" you created is still overdue');
+  });
+
+  it('describes workspace changes', () => {
+    expect(getNotificationMessage({
+      type: 'invitation_accepted',
+      data: { actorName: 'Cara', workspaceName: 'Acme' },
+    })).toBe('Cara accepted your invitation to "Acme"');
+    expect(getNotificationMessage({
+      type: 'role_changed',
+      data: { workspaceName: 'Acme', role: 'admin' },
+    })).toBe('Your role in "Acme" is now admin');
+  });
+
+  it('falls back for unknown types', () => {
+    expect(getNotificationMessage({ type: 'something-new' })).toBe('You have a new notification');
+  });
+
+  it('offers every digest mode the server accepts', () => {
+    expect(DIGEST_MODE_OPTIONS.map((option) => option.value)).toEqual(['immediate', 'daily', 'weekly', 'none']);
+  });
+});
@@ -0,0 +1,102 @@
+// Workspace event stream: one Server-Sent Events connection for the current workspace,
+// shared by the stores and components that apply other people's changes.
+import { authAPI, CLIENT_ID, getWorkspaceEventsUrl } from './api';
+
+const BASE_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+const listeners = new Set();
+let source = null;
+let connectedWorkspaceId = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+// Set when a closed stream is reopened; changes made in the meantime were missed.
+// The browser's own reconnects resume from the last event id, so they need no resync.
+let needsResync = false;
+
+const notify = (event) => {
+  listeners.forEach((listener) => listener(event));
+};
+
+const handleMessage = (message) => {
+  let event;
+  try {
+    event = JSON.parse(message.data);
+  } catch (error) {
+    return;
+  }
+  // This tab already applied its own changes
+  if (event.originClientId === CLIENT_ID) return;
+  notify(event);
+};
+
+const scheduleReconnect = () => {
+  source?.close();
+  source = null;
+  needsResync = true;
+
+  const workspaceId = connectedWorkspaceId;
+  const delay = Math.min(BASE_RECONNECT_DELAY_MS * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+  reconnectAttempts += 1;
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    try {
+      // Goes through the axios interceptor, which refreshes an expired session
+      await authAPI.getCurrentUser();
+    } catch (error) {
+      // Keep retrying; the interceptor sends signed-out users to the login page
+    }
+    if (connectedWorkspaceId === workspaceId && !source) open();
+  }, delay);
+};
+
+function open() {
+  source = new EventSource(getWorkspaceEventsUrl(connectedWorkspaceId), { withCredentials: true });
+  source.onmessage = handleMessage;
+  source.onopen = () => {
+    reconnectAttempts = 0;
+    if (needsResync) {
+      needsResync = false;
+      notify({ type: 'resync', workspaceId: connectedWorkspaceId });
+    }
+  };
+  source.onerror = () => {
+    // The browser retries dropped connections itself, but a rejected one
+    // (expired session, lost access) stays closed until we reconnect
+    if (source?.readyState === EventSource.CLOSED) scheduleReconnect();
+  };
+}
+
+/**
+ * Start streaming the workspace's events, replacing any previous connection.
+ * A no-op where EventSource is unavailable.
+ */
+export function connectWorkspaceEvents(workspaceId) {
+  if (typeof EventSource === 'undefined' || !workspaceId) return;
+  if (workspaceId === connectedWorkspaceId && (source || reconnectTimer)) return;
+
+  disconnectWorkspaceEvents();
+  connectedWorkspaceId = workspaceId;
+  open();
+}
+
+export function disconnectWorkspaceEvents() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  source?.close();
+  source = null;
+  connectedWorkspaceId = null;
+  reconnectAttempts = 0;
+  needsResync = false;
+}
+
+/**
+ * Listen for events from other tabs and users. Listeners also get a
+ * `{ type: 'resync' }` event after a dropped connection recovers.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToWorkspaceEvents(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,141 @@
+import {
+  connectWorkspaceEvents,
+  disconnectWorkspaceEvents,
+  subscribeToWorkspaceEvents,
+} from './realtime';
+import { authAPI } from './api';
+
+jest.mock('./api', () => ({
+  CLIENT_ID: 'this-tab',
+  getWorkspaceEventsUrl: (workspaceId) => `/api/workspaces/${workspaceId}/events`,
+  authAPI: { getCurrentUser: jest.fn() },
+}));
+
+class FakeEventSource {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 2;
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.readyState = FakeEventSource.CONNECTING;
+    FakeEventSource.instances.push(this);
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+
+  emit(event) {
+    this.onmessage({ data: JSON.stringify(event) });
+  }
+}
+
+// Fake timers don't cover the real timers module
+const flushPromises = () => new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+
+const latestSource = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+
+describe('realtime', () => {
+  let listener;
+  let unsubscribe;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    FakeEventSource.instances = [];
+    global.EventSource = FakeEventSource;
+    authAPI.getCurrentUser.mockResolvedValue({});
+    listener = jest.fn();
+    unsubscribe = subscribeToWorkspaceEvents(listener);
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    disconnectWorkspaceEvents();
+    delete global.EventSource;
+    jest.useRealTimers();
+  });
+
+  it('opens one credentialed stream per workspace', () => {
+    connectWorkspaceEvents('ws-1');
+    connectWorkspaceEvents('ws-1');
+
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(latestSource().url).toBe('/api/workspaces/ws-1/events');
+    expect(latestSource().options).toEqual({ withCredentials: true });
+  });
+
+  it('replaces the stream when the workspace changes', () => {
+    connectWorkspaceEvents('ws-1');
+    const first = latestSource();
+    connectWorkspaceEvents('ws-2');
+
+    expect(first.readyState).toBe(FakeEventSource.CLOSED);
+    expect(latestSource().url).toBe('/api/workspaces/ws-2/events');
+  });
+
+  it('passes on events from others and skips this tab\'s own', () => {
+    connectWorkspaceEvents('ws-1');
+    latestSource().emit({ type: 'task.updated', originClientId: 'other-tab', data: {} });
+    latestSource().emit({ type: 'task.updated', originClientId: 'this-tab', data: {} });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ originClientId: 'other-tab' }));
+  });
+
+  it('stops notifying after unsubscribing', () => {
+    connectWorkspaceEvents('ws-1');
+    unsubscribe();
+    latestSource().emit({ type: 'task.created', originClientId: null, data: {} });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('leaves it to the browser to resume a dropped connection', () => {
+    connectWorkspaceEvents('ws-1');
+    const source = latestSource();
+    source.onopen();
+
+    source.onerror();
+    source.onopen();
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(FakeEventSource.instances).toHaveLength(1);
+  });
+
+  it('asks for a resync once a reopened stream connects', async () => {
+    connectWorkspaceEvents('ws-1');
+    const source = latestSource();
+    source.readyState = FakeEventSource.CLOSED;
+    source.onerror();
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    latestSource().onopen();
+
+    expect(listener).toHaveBeenCalledWith({ type: 'resync', workspaceId: 'ws-1' });
+  });
+
+  it('reconnects a closed stream after refreshing the session', async () => {
+    connectWorkspaceEvents('ws-1');
+    const source = latestSource();
+    source.readyState = FakeEventSource.CLOSED;
+    source.onerror();
+
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+
+    expect(authAPI.getCurrentUser).toHaveBeenCalled();
+    expect(FakeEventSource.instances).toHaveLength(2);
+    expect(latestSource().url).toBe('/api/workspaces/ws-1/events');
+  });
+
+  it('does nothing without EventSource support', () => {
+    delete global.EventSource;
+
+    expect(() => connectWorkspaceEvents('ws-1')).not.toThrow();
+    expect(FakeEventSource.instances).toHaveLength(0);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Recurrence helpers — mirrors server/lib/recurrence.js so the calendar can
+ * preview upcoming occurrences without asking the server.
+ * Rules look like { frequency, interval, end_date, count, anchor_day }.
+ */
+
+export const FREQUENCY_OPTIONS = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+  { value: 'yearly', label: 'Yearly', unit: 'year' },
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDateKey = (value) => (value ? String(value).split('T')[0] : null);
+
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return { year, month, day };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const addDays = (dateKey, days) => {
+  const { year, month, day } = parseDateKey(dateKey);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+const addMonths = (dateKey, months, anchorDay) => {
+  const { year, month, day } = parseDateKey(dateKey);
+  const totalMonths = (year * 12 + (month - 1)) + months;
+  const nextYear = Math.floor(totalMonths / 12);
+  const nextMonth = (totalMonths % 12) + 1;
+  const targetDay = Math.min(anchorDay || day, daysInMonth(nextYear, nextMonth));
+  return `${nextYear}-${pad(nextMonth)}-${pad(targetDay)}`;
+};
+
+/**
+ * Compute the due date (YYYY-MM-DD) of the occurrence after fromDate.
+ */
+export const getNextOccurrenceDate = (rule, fromDate) => {
+  const fromKey = toDateKey(fromDate);
+  if (!rule || !fromKey) return null;
+
+  const interval = Math.max(parseInt(rule.interval, 10) || 1, 1);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(fromKey, interval);
+    case 'weekly':
+      return addDays(fromKey, interval * 7);
+    case 'monthly':
+      return addMonths(fromKey, interval, rule.anchor_day);
+    case 'yearly':
+      return addMonths(fromKey, interval * 12, rule.anchor_day);
+    default:
+      return null;
+  }
+};
+
+/**
+ * List upcoming occurrences after fromDate, respecting the rule's end date and
+ * count. Stops after `limit` entries or once past `until` (YYYY-MM-DD).
+ */
+export const getUpcomingOccurrences = (rule, fromDate, { currentIndex = 1, limit = 10, until = null } = {}) => {
+  const occurrences = [];
+  let dateKey = toDateKey(fromDate);
+  let index = currentIndex;
+
+  while (occurrences.length < limit) {
+    dateKey = getNextOccurrenceDate(rule, dateKey);
+    index += 1;
+    if (!dateKey) break;
+    if (rule.count && index > rule.count) break;
+    if (rule.end_date && dateKey > rule.end_date) break;
+    if (until && dateKey > until) break;
+    occurrences.push({ index, dueDate: dateKey });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Shape a rule from the editor into the API's recurrence_rule payload.
+ * anchor_day is derived server-side from the due date.
+ */
+export const toRecurrencePayload = (rule) => {
+  if (!rule || !rule.frequency) return null;
+  return {
+    frequency: rule.frequency,
+    interval: parseInt(rule.interval, 10) || 1,
+    end_date: rule.end_date || null,
+    count: rule.count ? parseInt(rule.count, 10) : null,
+  };
+};
+
+/**
+ * Human-readable summary of a rule (e.g. "Every 2 weeks, 5 times").
+ */
+export const formatRecurrenceRule = (rule) => {
+  if (!rule) return 'Does not repeat';
+
+  const option = FREQUENCY_OPTIONS.find((o) => o.value === rule.frequency);
+  if (!option) return 'Does not repeat';
+
+  const interval = parseInt(rule.interval, 10) || 1;
+  let text = interval === 1 ? option.label : `Every ${interval} ${option.unit}s`;
+
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  } else if (rule.end_date) {
+    const { year, month, day } = parseDateKey(rule.end_date);
+    const endDate = new Date(year, month - 1, day);
+    text += `, until ${endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  return text;
+};
@@ -0,0 +1,83 @@
+import { getNextOccurrenceDate, getUpcomingOccurrences, toRecurrencePayload, formatRecurrenceRule } from './recurrence';
+
+// ---------------------------------------------------------------------------
+// getNextOccurrenceDate
+// ---------------------------------------------------------------------------
+describe('getNextOccurrenceDate', () => {
+  it('returns null without a rule or date', () => {
+    expect(getNextOccurrenceDate(null, '2025-01-01')).toBeNull();
+    expect(getNextOccurrenceDate({ frequency: 'daily' }, null)).toBeNull();
+  });
+
+  it('adds days and weeks', () => {
+    expect(getNextOccurrenceDate({ frequency: 'daily', interval: 2 }, '2025-02-27')).toBe('2025-03-01');
+    expect(getNextOccurrenceDate({ frequency: 'weekly', interval: 1 }, '2025-12-29T00:00:00.000Z')).toBe('2026-01-05');
+  });
+
+  it('clamps monthly rules and returns to the anchor day', () => {
+    const rule = { frequency: 'monthly', interval: 1, anchor_day: 31 };
+    expect(getNextOccurrenceDate(rule, '2025-01-31')).toBe('2025-02-28');
+    expect(getNextOccurrenceDate(rule, '2025-02-28')).toBe('2025-03-31');
+  });
+
+  it('adds years', () => {
+    expect(getNextOccurrenceDate({ frequency: 'yearly', interval: 1, anchor_day: 29 }, '2024-02-29')).toBe('2025-02-28');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getUpcomingOccurrences
+// ---------------------------------------------------------------------------
+describe('getUpcomingOccurrences', () => {
+  it('stops at the rule count', () => {
+    const result = getUpcomingOccurrences({ frequency: 'daily', count: 3 }, '2025-01-01');
+    expect(result).toEqual([
+      { index: 2, dueDate: '2025-01-02' },
+      { index: 3, dueDate: '2025-01-03' },
+    ]);
+  });
+
+  it('stops at the rule end date', () => {
+    const result = getUpcomingOccurrences({ frequency: 'weekly', end_date: '2025-01-20' }, '2025-01-01');
+    expect(result.map((o) => o.dueDate)).toEqual(['2025-01-08', '2025-01-15']);
+  });
+
+  it('stops at the until date and limit', () => {
+    expect(getUpcomingOccurrences({ frequency: 'daily' }, '2025-01-01', { until: '2025-01-04' })).toHaveLength(3);
+    expect(getUpcomingOccurrences({ frequency: 'daily' }, '2025-01-01', { limit: 2 })).toHaveLength(2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// formatRecurrenceRule
+// ---------------------------------------------------------------------------
+describe('formatRecurrenceRule', () => {
+  it('describes missing rules', () => {
+    expect(formatRecurrenceRule(null)).toBe('Does not repeat');
+  });
+
+  it('describes simple and interval rules', () => {
+    expect(formatRecurrenceRule({ frequency: 'weekly', interval: 1 })).toBe('Weekly');
+    expect(formatRecurrenceRule({ frequency: 'monthly', interval: 3 })).toBe('Every 3 months');
+  });
+
+  it('includes the end condition', () => {
+    expect(formatRecurrenceRule({ frequency: 'daily', interval: 1, count: 5 })).toBe('Daily, 5 times');
+    expect(formatRecurrenceRule({ frequency: 'daily', interval: 1, end_date: '2025-06-01' })).toBe('Daily, until Jun 1, 2025');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// toRecurrencePayload
+// ---------------------------------------------------------------------------
+describe('toRecurrencePayload', () => {
+  it('returns null when recurrence is off', () => {
+    expect(toRecurrencePayload(null)).toBeNull();
+  });
+
+  it('drops anchor_day and empty end conditions', () => {
+    expect(toRecurrencePayload({ frequency: 'monthly', interval: '2', end_date: '', count: null, anchor_day: 31 })).toEqual({
+      frequency: 'monthly', interval: 2, end_date: null, count: null,
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Chart helpers for the analytics view. Charts are drawn in an SVG of a fixed
+ * size (scaled with CSS), one slot per week from left to right.
+ */
+
+const NICE_STEPS = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10];
+
+/**
+ * A round upper bound for a chart's y axis that fits every value.
+ */
+export const getChartMax = (values) => {
+  const max = Math.max(0, ...values.filter((value) => value !== null));
+  if (max === 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(max));
+  return NICE_STEPS.find((step) => step * magnitude >= max) * magnitude;
+};
+
+/**
+ * x of the centre of a week's slot.
+ */
+export const getSlotCenter = (index, count, width) => (index + 0.5) * (width / count);
+
+/**
+ * Height of a bar (or distance from the bottom of a point) for a value.
+ */
+export const getValueHeight = (value, max, height) => (value / max) * height;
+
+/**
+ * SVG polyline points for a series, skipping weeks without a value.
+ */
+export const getLinePoints = (values, { width, height, max }) => values
+  .map((value, index) => (value === null
+    ? null
+    : `${getSlotCenter(index, values.length, width)},${height - getValueHeight(value, max, height)}`))
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * Indexes of the weeks to label on the x axis, at most `maxLabels` of them
+ * spread evenly and always including the latest week.
+ */
+export const getAxisLabelIndexes = (count, maxLabels = 6) => {
+  const every = Math.max(1, Math.ceil(count / maxLabels));
+  const indexes = [];
+  for (let index = (count - 1) % every; index < count; index += every) {
+    indexes.push(index);
+  }
+  return indexes;
+};
@@ -0,0 +1,35 @@
+import {
+  getChartMax,
+  getSlotCenter,
+  getValueHeight,
+  getLinePoints,
+  getAxisLabelIndexes,
+} from './reportCharts';
+
+describe('report chart helpers', () => {
+  test('getChartMax rounds up to a readable bound', () => {
+    expect(getChartMax([])).toBe(1);
+    expect(getChartMax([0, null])).toBe(1);
+    expect(getChartMax([3, 1])).toBe(3);
+    expect(getChartMax([7])).toBe(8);
+    expect(getChartMax([12, 4])).toBe(15);
+    expect(getChartMax([2.3, null])).toBe(2.5);
+    expect(getChartMax([130])).toBe(150);
+  });
+
+  test('places weeks in the middle of their slots', () => {
+    expect(getSlotCenter(0, 4, 400)).toBe(50);
+    expect(getSlotCenter(3, 4, 400)).toBe(350);
+    expect(getValueHeight(5, 10, 160)).toBe(80);
+  });
+
+  test('getLinePoints skips weeks without a value', () => {
+    expect(getLinePoints([0, 5, null, 10], { width: 400, height: 100, max: 10 })).toBe('50,100 150,50 350,0');
+  });
+
+  test('getAxisLabelIndexes spreads the labels and keeps the latest week', () => {
+    expect(getAxisLabelIndexes(4)).toEqual([0, 1, 2, 3]);
+    expect(getAxisLabelIndexes(12)).toEqual([1, 3, 5, 7, 9, 11]);
+    expect(getAxisLabelIndexes(26)).toEqual([0, 5, 10, 15, 20, 25]);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Search helpers — mirrors server/lib/search.js.
+ * Results look like { type: 'task' | 'comment', taskId, commentId, parentTaskId,
+ * taskTitle, status, titleHighlight, snippet, authorName, rank }.
+ */
+
+// Private-use characters the server wraps around matched words
+export const HIGHLIGHT_START = '\uE000';
+export const HIGHLIGHT_END = '\uE001';
+
+/**
+ * Split a highlighted string into [{ text, highlighted }] parts for rendering.
+ * Snippets are raw user text, so they must never be rendered as HTML.
+ */
+export const splitHighlights = (value) => {
+  if (!value) return [];
+  const parts = [];
+  let highlighted = false;
+  let text = '';
+  for (const char of value) {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_END) {
+      if (text) parts.push({ text, highlighted });
+      text = '';
+      highlighted = char === HIGHLIGHT_START;
+    } else {
+      text += char;
+    }
+  }
+  if (text) parts.push({ text, highlighted });
+  return parts;
+};
+
+/**
+ * Group results by type, keeping the server's rank order within each group.
+ */
+export const groupSearchResults = (results = []) => ({
+  tasks: results.filter((result) => result.type === 'task'),
+  comments: results.filter((result) => result.type === 'comment'),
+});
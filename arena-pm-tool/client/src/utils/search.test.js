@@ -0,0 +1,31 @@
+import { HIGHLIGHT_START, HIGHLIGHT_END, splitHighlights, groupSearchResults } from './search';
+
+const mark = (text) => `${HIGHLIGHT_START}${text}${HIGHLIGHT_END}`;
+
+describe('search utils', () => {
+  it('splits highlighted text into parts', () => {
+    expect(splitHighlights(`Fix ${mark('deploy')} script`)).toEqual([
+      { text: 'Fix ', highlighted: false },
+      { text: 'deploy', highlighted: true },
+      { text: ' script', highlighted: false },
+    ]);
+    expect(splitHighlights(`${mark('a')}${mark('b')}`)).toEqual([
+      { text: 'a', highlighted: true },
+      { text: 'b', highlighted: true },
+    ]);
+    expect(splitHighlights('<b>plain</b>')).toEqual([{ text: '<b>plain</b>', highlighted: false }]);
+    expect(splitHighlights(null)).toEqual([]);
+  });
+
+  it('groups results by type in rank order', () => {
+    const results = [
+      { type: 'comment', commentId: 1 },
+      { type: 'task', taskId: 2 },
+      { type: 'task', taskId: 3 },
+    ];
+    expect(groupSearchResults(results)).toEqual({
+      tasks: [{ type: 'task', taskId: 2 }, { type: 'task', taskId: 3 }],
+      comments: [{ type: 'comment', commentId: 1 }],
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Task import helpers — the fields mirror server/lib/taskImport.js.
+ * Dry-run reports look like { columns, mapping, totalRows, validRows, errors: [{ row, messages }], taskLimit, exceedsLimit }.
+ */
+
+export const IMPORT_FIELD_OPTIONS = [
+  { value: 'title', label: 'Title', required: true },
+  { value: 'description', label: 'Description' },
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'due_date', label: 'Due date' },
+  { value: 'category', label: 'Category' },
+  { value: 'assignee_emails', label: 'Assignee emails' },
+];
+
+export const IMPORT_FILE_ACCEPT = '.csv,.json,text/csv,application/json';
+
+const pluralizeRows = (count) => `${count} row${count === 1 ? '' : 's'}`;
+
+// "All 12 rows are ready to import" / "9 of 12 rows are ready to import"
+export const describeImportReport = (report) => {
+  if (report.validRows === report.totalRows) {
+    return report.totalRows === 1 ? 'The row is ready to import' : `All ${report.totalRows} rows are ready to import`;
+  }
+  return `${report.validRows} of ${pluralizeRows(report.totalRows)} ${report.validRows === 1 ? 'is' : 'are'} ready to import`;
+};
+
+// Why the plan blocks this import, or null when it fits
+export const describeImportLimit = (report) => {
+  if (!report.exceedsLimit) return null;
+  const { remaining, limit } = report.taskLimit;
+  return `Your plan allows ${limit} tasks and has room for ${remaining} more, but the file has ${report.validRows}.`;
+};
+
+// Imports are all-or-nothing, so every row must be valid and fit the plan
+export const canImport = (report) =>
+  Boolean(report) && report.validRows > 0 && report.errors.length === 0 && !report.exceedsLimit;
@@ -0,0 +1,54 @@
+import {
+  IMPORT_FIELD_OPTIONS,
+  describeImportReport,
+  describeImportLimit,
+  canImport,
+} from './taskImport';
+
+const report = (overrides = {}) => ({
+  totalRows: 12,
+  validRows: 12,
+  errors: [],
+  taskLimit: null,
+  exceedsLimit: false,
+  ...overrides,
+});
+
+describe('IMPORT_FIELD_OPTIONS', () => {
+  test('only the title is required', () => {
+    expect(IMPORT_FIELD_OPTIONS.filter((field) => field.required).map((field) => field.value)).toEqual(['title']);
+  });
+});
+
+describe('describeImportReport', () => {
+  test('says when every row is ready', () => {
+    expect(describeImportReport(report())).toBe('All 12 rows are ready to import');
+    expect(describeImportReport(report({ totalRows: 1, validRows: 1 }))).toBe('The row is ready to import');
+  });
+
+  test('counts the valid rows otherwise', () => {
+    expect(describeImportReport(report({ validRows: 9 }))).toBe('9 of 12 rows are ready to import');
+    expect(describeImportReport(report({ validRows: 1, totalRows: 2 }))).toBe('1 of 2 rows is ready to import');
+  });
+});
+
+describe('describeImportLimit', () => {
+  test('returns null when the import fits the plan', () => {
+    expect(describeImportLimit(report())).toBeNull();
+  });
+
+  test('explains how many tasks the plan has room for', () => {
+    const limited = report({ exceedsLimit: true, taskLimit: { limit: 50, current: 45, remaining: 5 } });
+    expect(describeImportLimit(limited)).toBe('Your plan allows 50 tasks and has room for 5 more, but the file has 12.');
+  });
+});
+
+describe('canImport', () => {
+  test('requires valid rows only, within the plan limit', () => {
+    expect(canImport(report())).toBe(true);
+    expect(canImport(null)).toBe(false);
+    expect(canImport(report({ validRows: 0, totalRows: 0 }))).toBe(false);
+    expect(canImport(report({ validRows: 11, errors: [{ row: 3, messages: ['Title: Task title is required'] }] }))).toBe(false);
+    expect(canImport(report({ exceedsLimit: true }))).toBe(false);
+  });
+});
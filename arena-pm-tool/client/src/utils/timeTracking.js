@@ -0,0 +1,68 @@
+/**
+ * Time tracking helpers — mirrors server/lib/timeTracking.js.
+ * Entries look like { id, taskId, userId, userName, startedAt, endedAt,
+ * durationSeconds, note, isRunning, createdAt }.
+ */
+
+// Longest single entry the server accepts, in minutes
+export const MAX_ENTRY_MINUTES = 24 * 60;
+
+/**
+ * Compact duration, e.g. 5400 -> "1h 30m", 45 -> "<1m".
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  if (total === 0) return '0m';
+  if (total < 60) return '<1m';
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+};
+
+/**
+ * Running-timer clock, e.g. 3725 -> "1:02:05".
+ */
+export const formatElapsed = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const secs = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}:${secs}`;
+};
+
+/**
+ * Parse a typed duration into whole minutes.
+ * Accepts "1h 30m", "1h", "90m", "1:30", and bare numbers as hours ("1.5").
+ * Returns null for anything it can't read.
+ */
+export const parseDurationInput = (input) => {
+  const value = String(input ?? '').trim().toLowerCase();
+  if (!value) return null;
+
+  const clock = value.match(/^(\d+):([0-5]\d)$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+  if (/^\d+(\.\d+)?$/.test(value)) return Math.round(Number(value) * 60);
+
+  const units = value.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/);
+  if (units && (units[1] || units[2])) {
+    return Math.round(Number(units[1] || 0) * 60) + Number(units[2] || 0);
+  }
+  return null;
+};
+
+/**
+ * Tracked time against the estimate: { percent, isOver }, or null without an estimate.
+ */
+export const getEstimateProgress = (trackedSeconds, estimateMinutes) => {
+  if (!estimateMinutes) return null;
+  const ratio = (trackedSeconds || 0) / (estimateMinutes * 60);
+  return { percent: Math.min(100, Math.round(ratio * 100)), isOver: ratio > 1 };
+};
+
+/**
+ * Seconds since a running entry started.
+ */
+export const getElapsedSeconds = (entry, now = Date.now()) =>
+  Math.max(0, Math.floor((now - new Date(entry.startedAt).getTime()) / 1000));
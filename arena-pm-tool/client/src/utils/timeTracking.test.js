@@ -0,0 +1,47 @@
+import {
+  formatDuration,
+  formatElapsed,
+  parseDurationInput,
+  getEstimateProgress,
+  getElapsedSeconds,
+} from './timeTracking';
+
+describe('timeTracking utils', () => {
+  it('formats durations', () => {
+    expect(formatDuration(0)).toBe('0m');
+    expect(formatDuration(null)).toBe('0m');
+    expect(formatDuration(45)).toBe('<1m');
+    expect(formatDuration(25 * 60)).toBe('25m');
+    expect(formatDuration(2 * 3600)).toBe('2h');
+    expect(formatDuration(5400)).toBe('1h 30m');
+  });
+
+  it('formats the running clock', () => {
+    expect(formatElapsed(0)).toBe('0:00:00');
+    expect(formatElapsed(3725)).toBe('1:02:05');
+  });
+
+  it('parses typed durations into minutes', () => {
+    expect(parseDurationInput('1h 30m')).toBe(90);
+    expect(parseDurationInput('2h')).toBe(120);
+    expect(parseDurationInput('45m')).toBe(45);
+    expect(parseDurationInput('1:15')).toBe(75);
+    expect(parseDurationInput('1.5')).toBe(90);
+    expect(parseDurationInput('1.5h')).toBe(90);
+    expect(parseDurationInput('')).toBeNull();
+    expect(parseDurationInput('soon')).toBeNull();
+    expect(parseDurationInput('1:75')).toBeNull();
+  });
+
+  it('compares tracked time with the estimate', () => {
+    expect(getEstimateProgress(3600, null)).toBeNull();
+    expect(getEstimateProgress(1800, 60)).toEqual({ percent: 50, isOver: false });
+    expect(getEstimateProgress(5400, 60)).toEqual({ percent: 100, isOver: true });
+  });
+
+  it('measures elapsed time for a running entry', () => {
+    const now = new Date('2026-03-02T10:00:30Z').getTime();
+    expect(getElapsedSeconds({ startedAt: '2026-03-02T10:00:00Z' }, now)).toBe(30);
+    expect(getElapsedSeconds({ startedAt: '2026-03-02T10:01:00Z' }, now)).toBe(0);
+  });
+});
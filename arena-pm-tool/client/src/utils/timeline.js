@@ -0,0 +1,121 @@
+/**
+ * Timeline (Gantt) helpers for pages/TimelineView.jsx.
+ * A task's bar runs from its start date to its due date; tasks with only one
+ * of the two are a single day. Dates are 'YYYY-MM-DD' keys throughout and the
+ * arithmetic runs in UTC, so daylight saving can't shift a bar.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toUtc = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+/**
+ * The date key `days` days after (or before, when negative) dateKey.
+ */
+export const shiftDateKey = (dateKey, days) => new Date(toUtc(dateKey) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Whole days from one date key to another, e.g. ('2026-03-01', '2026-03-04') -> 3.
+ */
+export const daysBetween = (fromKey, toKey) => Math.round((toUtc(toKey) - toUtc(fromKey)) / DAY_MS);
+
+/**
+ * `count` consecutive date keys starting at startKey.
+ */
+export const getTimelineDays = (startKey, count) =>
+  Array.from({ length: count }, (_, index) => shiftDateKey(startKey, index));
+
+/**
+ * The dates a task's bar covers as { start, end }, or null for an unscheduled task.
+ */
+export const getTaskSpan = (task) => {
+  const start = task.startDate?.split('T')[0] || null;
+  const end = task.dueDate?.split('T')[0] || null;
+  if (!start && !end) return null;
+  return { start: start || end, end: end || start };
+};
+
+/**
+ * The span after dragging a bar by `days`: 'move' shifts both ends, 'start' and
+ * 'end' resize one end and stop at the other, so a bar is never shorter than a day.
+ */
+export const applyTimelineDrag = (span, mode, days) => {
+  if (mode === 'start') {
+    const start = shiftDateKey(span.start, days);
+    return { start: start > span.end ? span.end : start, end: span.end };
+  }
+  if (mode === 'end') {
+    const end = shiftDateKey(span.end, days);
+    return { start: span.start, end: end < span.start ? span.start : end };
+  }
+  return { start: shiftDateKey(span.start, days), end: shiftDateKey(span.end, days) };
+};
+
+/**
+ * The updateTask payload that gives a task the new span, or null when nothing changed.
+ * A one-day bar of a task without a start date keeps it that way; stretching it
+ * gives the task a start date.
+ */
+export const getTimelineChanges = (task, span) => {
+  const current = getTaskSpan(task);
+  if (current && current.start === span.start && current.end === span.end) return null;
+
+  const changes = { due_date: span.end };
+  if (task.startDate || span.start !== span.end) {
+    changes.start_date = span.start;
+  }
+  return changes;
+};
+
+/**
+ * Scheduled top-level tasks grouped by category, in category order and sorted
+ * by start then due date. Empty categories are left out; tasks whose category
+ * isn't loaded come last under "No category".
+ */
+export const groupTimelineTasks = (tasks, categories) => {
+  const groups = categories.map((category) => ({
+    id: category.id,
+    name: category.name,
+    color: category.color,
+    tasks: [],
+  }));
+  const uncategorized = { id: null, name: 'No category', color: null, tasks: [] };
+
+  tasks.forEach((task) => {
+    if (task.parentTaskId) return;
+    const span = getTaskSpan(task);
+    if (!span) return;
+    const group = groups.find((g) => g.id === task.categoryId) || uncategorized;
+    group.tasks.push({ task, span });
+  });
+
+  const byDates = (a, b) => a.span.start.localeCompare(b.span.start) || a.span.end.localeCompare(b.span.end);
+  return [...groups, uncategorized]
+    .filter((group) => group.tasks.length > 0)
+    .map((group) => ({ ...group, tasks: group.tasks.sort(byDates) }));
+};
+
+/**
+ * Left offset and width in pixels of a span's bar on a timeline starting at rangeStart.
+ */
+export const getBarPosition = (span, rangeStart, dayWidth) => ({
+  left: daysBetween(rangeStart, span.start) * dayWidth,
+  width: (daysBetween(span.start, span.end) + 1) * dayWidth,
+});
+
+/**
+ * SVG path of a dependency arrow from the end of the blocking bar to the start
+ * of the blocked one. When the blocked bar starts too early to go straight
+ * across, the line doubles back between the two rows.
+ */
+export const getDependencyPath = (from, to, gap = 8) => {
+  if (to.x - from.x >= gap * 2) {
+    const turnX = from.x + gap;
+    return `M ${from.x} ${from.y} H ${turnX} V ${to.y} H ${to.x}`;
+  }
+  const midY = (from.y + to.y) / 2;
+  return `M ${from.x} ${from.y} H ${from.x + gap} V ${midY} H ${to.x - gap} V ${to.y} H ${to.x}`;
+};
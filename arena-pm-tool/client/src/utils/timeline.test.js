@@ -0,0 +1,110 @@
+import {
+  shiftDateKey,
+  daysBetween,
+  getTimelineDays,
+  getTaskSpan,
+  applyTimelineDrag,
+  getTimelineChanges,
+  groupTimelineTasks,
+  getBarPosition,
+  getDependencyPath,
+} from './timeline';
+
+const span = { start: '2026-03-02', end: '2026-03-06' };
+
+describe('timeline dates', () => {
+  test('shift and count days across months and daylight saving', () => {
+    expect(shiftDateKey('2026-02-27', 3)).toBe('2026-03-02');
+    expect(shiftDateKey('2026-03-30', -2)).toBe('2026-03-28');
+    expect(daysBetween('2026-03-27', '2026-04-03')).toBe(7);
+    expect(daysBetween('2026-03-06', '2026-03-02')).toBe(-4);
+  });
+
+  test('getTimelineDays lists consecutive days', () => {
+    expect(getTimelineDays('2026-12-30', 4)).toEqual(['2026-12-30', '2026-12-31', '2027-01-01', '2027-01-02']);
+  });
+});
+
+describe('getTaskSpan', () => {
+  test('runs from the start date to the due date', () => {
+    expect(getTaskSpan({ startDate: '2026-03-02', dueDate: '2026-03-06T00:00:00.000Z' })).toEqual(span);
+  });
+
+  test('is a single day with only one of the dates, and null with neither', () => {
+    expect(getTaskSpan({ startDate: null, dueDate: '2026-03-06' })).toEqual({ start: '2026-03-06', end: '2026-03-06' });
+    expect(getTaskSpan({ startDate: '2026-03-02', dueDate: null })).toEqual({ start: '2026-03-02', end: '2026-03-02' });
+    expect(getTaskSpan({ startDate: null, dueDate: null })).toBeNull();
+  });
+});
+
+describe('applyTimelineDrag', () => {
+  test('moving shifts both ends', () => {
+    expect(applyTimelineDrag(span, 'move', -3)).toEqual({ start: '2026-02-27', end: '2026-03-03' });
+  });
+
+  test('resizing moves one end and stops at the other', () => {
+    expect(applyTimelineDrag(span, 'start', 2)).toEqual({ start: '2026-03-04', end: '2026-03-06' });
+    expect(applyTimelineDrag(span, 'start', 9)).toEqual({ start: '2026-03-06', end: '2026-03-06' });
+    expect(applyTimelineDrag(span, 'end', 3)).toEqual({ start: '2026-03-02', end: '2026-03-09' });
+    expect(applyTimelineDrag(span, 'end', -9)).toEqual({ start: '2026-03-02', end: '2026-03-02' });
+  });
+});
+
+describe('getTimelineChanges', () => {
+  const dueOnly = { startDate: null, dueDate: '2026-03-06' };
+
+  test('sends both dates for a task with a start date', () => {
+    expect(getTimelineChanges({ startDate: '2026-03-02', dueDate: '2026-03-06' }, { start: '2026-03-03', end: '2026-03-07' }))
+      .toEqual({ start_date: '2026-03-03', due_date: '2026-03-07' });
+  });
+
+  test('keeps a one-day task without a start date that way', () => {
+    expect(getTimelineChanges(dueOnly, { start: '2026-03-09', end: '2026-03-09' })).toEqual({ due_date: '2026-03-09' });
+    expect(getTimelineChanges(dueOnly, { start: '2026-03-04', end: '2026-03-06' }))
+      .toEqual({ start_date: '2026-03-04', due_date: '2026-03-06' });
+  });
+
+  test('is null when the span is unchanged', () => {
+    expect(getTimelineChanges(dueOnly, { start: '2026-03-06', end: '2026-03-06' })).toBeNull();
+  });
+});
+
+describe('groupTimelineTasks', () => {
+  const categories = [
+    { id: 1, name: 'Design', color: '#f00' },
+    { id: 2, name: 'Build', color: '#0f0' },
+    { id: 3, name: 'Empty', color: '#00f' },
+  ];
+
+  test('groups scheduled top-level tasks by category in date order', () => {
+    const tasks = [
+      { id: 1, categoryId: 2, startDate: null, dueDate: '2026-03-10' },
+      { id: 2, categoryId: 1, startDate: '2026-03-01', dueDate: '2026-03-04' },
+      { id: 3, categoryId: 2, startDate: '2026-03-02', dueDate: '2026-03-12' },
+      { id: 4, categoryId: 2, startDate: null, dueDate: null },
+      { id: 5, categoryId: 2, parentTaskId: 3, dueDate: '2026-03-05' },
+      { id: 6, categoryId: 99, dueDate: '2026-03-05' },
+    ];
+
+    const groups = groupTimelineTasks(tasks, categories);
+
+    expect(groups.map((group) => group.name)).toEqual(['Design', 'Build', 'No category']);
+    expect(groups[1].tasks.map(({ task }) => task.id)).toEqual([3, 1]);
+    expect(groups[2].tasks[0].span).toEqual({ start: '2026-03-05', end: '2026-03-05' });
+  });
+});
+
+describe('drawing', () => {
+  test('getBarPosition places a bar on the day grid', () => {
+    expect(getBarPosition(span, '2026-03-01', 32)).toEqual({ left: 32, width: 160 });
+    expect(getBarPosition(span, '2026-03-04', 32)).toEqual({ left: -64, width: 160 });
+  });
+
+  test('dependency arrows go straight across when there is room', () => {
+    expect(getDependencyPath({ x: 100, y: 18 }, { x: 160, y: 54 })).toBe('M 100 18 H 108 V 54 H 160');
+  });
+
+  test('dependency arrows double back when the blocked task starts too early', () => {
+    expect(getDependencyPath({ x: 100, y: 18 }, { x: 64, y: 54 })).toBe('M 100 18 H 108 V 36 H 56 V 54 H 64');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Webhook helpers — event names mirror server/lib/webhooks.js.
+ * Webhooks look like { id, url, description, events, isActive, secretHint }.
+ */
+
+export const WEBHOOK_EVENT_GROUPS = [
+  {
+    label: 'Tasks',
+    events: [
+      { value: 'task.created', label: 'Created' },
+      { value: 'task.updated', label: 'Updated' },
+      { value: 'task.deleted', label: 'Deleted' },
+    ],
+  },
+  {
+    label: 'Comments',
+    events: [
+      { value: 'comment.created', label: 'Created' },
+      { value: 'comment.updated', label: 'Edited' },
+      { value: 'comment.deleted', label: 'Deleted' },
+    ],
+  },
+  {
+    label: 'Members',
+    events: [
+      { value: 'member.joined', label: 'Joined' },
+      { value: 'member.role_changed', label: 'Role changed' },
+      { value: 'member.removed', label: 'Removed or left' },
+    ],
+  },
+  {
+    label: 'Categories',
+    events: [
+      { value: 'category.created', label: 'Created' },
+      { value: 'category.updated', label: 'Updated' },
+      { value: 'category.deleted', label: 'Deleted' },
+    ],
+  },
+];
+
+export const WEBHOOK_EVENTS = WEBHOOK_EVENT_GROUPS.flatMap((group) => group.events.map((event) => event.value));
+
+/**
+ * Add or remove an event, keeping the list in WEBHOOK_EVENTS order.
+ */
+export const toggleWebhookEvent = (events, event) => {
+  const next = events.includes(event) ? events.filter((e) => e !== event) : [...events, event];
+  return WEBHOOK_EVENTS.filter((e) => next.includes(e));
+};
+
+/**
+ * One-line summary of a webhook's events, e.g. "All events" or "task.created, task.updated".
+ */
+export const describeWebhookEvents = (events = []) =>
+  events.length === WEBHOOK_EVENTS.length ? 'All events' : events.join(', ');
+
+/**
+ * Short outcome of a delivery for the log, e.g. "200 · 120 ms" or "Retrying (2 attempts)".
+ */
+export const describeDelivery = (delivery) => {
+  if (delivery.status === 'delivered') {
+    return `${delivery.responseStatus}${delivery.durationMs != null ? ` · ${delivery.durationMs} ms` : ''}`;
+  }
+  if (delivery.status === 'failed') {
+    return `Failed after ${delivery.attempts} attempts`;
+  }
+  if (delivery.status === 'in_progress') {
+    return 'Sending';
+  }
+  if (delivery.attempts > 0) {
+    return `Retrying (${delivery.attempts} ${delivery.attempts === 1 ? 'attempt' : 'attempts'})`;
+  }
+  return 'Queued';
+};
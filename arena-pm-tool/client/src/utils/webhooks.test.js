@@ -0,0 +1,31 @@
+import {
+  WEBHOOK_EVENTS,
+  toggleWebhookEvent,
+  describeWebhookEvents,
+  describeDelivery,
+} from './webhooks';
+
+describe('webhooks utils', () => {
+  it('lists every event once', () => {
+    expect(WEBHOOK_EVENTS).toHaveLength(12);
+    expect(new Set(WEBHOOK_EVENTS).size).toBe(12);
+  });
+
+  it('toggles events and keeps them in list order', () => {
+    expect(toggleWebhookEvent(['comment.created'], 'task.created')).toEqual(['task.created', 'comment.created']);
+    expect(toggleWebhookEvent(['task.created', 'comment.created'], 'task.created')).toEqual(['comment.created']);
+  });
+
+  it('summarizes the subscribed events', () => {
+    expect(describeWebhookEvents(WEBHOOK_EVENTS)).toBe('All events');
+    expect(describeWebhookEvents(['task.created', 'task.updated'])).toBe('task.created, task.updated');
+  });
+
+  it('describes delivery outcomes', () => {
+    expect(describeDelivery({ status: 'delivered', responseStatus: 200, durationMs: 120, attempts: 1 })).toBe('200 · 120 ms');
+    expect(describeDelivery({ status: 'failed', attempts: 8 })).toBe('Failed after 8 attempts');
+    expect(describeDelivery({ status: 'in_progress', attempts: 1 })).toBe('Sending');
+    expect(describeDelivery({ status: 'pending', attempts: 1 })).toBe('Retrying (1 attempt)');
+    expect(describeDelivery({ status: 'pending', attempts: 0 })).toBe('Queued');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Workflow status helpers — mirrors server/lib/workflowStatuses.js.
+ * Statuses look like { key, name, category, color, position }, where category
+ * is 'not_started', 'active' or 'done'. task.status holds the status key.
+ */
+
+export const STATUS_CATEGORY_OPTIONS = [
+  { value: 'not_started', label: 'Not started' },
+  { value: 'active', label: 'Active' },
+  { value: 'done', label: 'Done' },
+];
+
+export const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To Do', category: 'not_started', color: '#94A3B8', position: 0 },
+  { key: 'in_progress', name: 'In Progress', category: 'active', color: '#3B82F6', position: 1 },
+  { key: 'completed', name: 'Completed', category: 'done', color: '#22C55E', position: 2 },
+];
+
+export const findStatus = (statuses, key) =>
+  (statuses || []).find((status) => status.key === key) || null;
+
+/**
+ * First status (by position) in a category, e.g. where unchecked tasks go.
+ */
+export const getFirstStatusKey = (statuses, category) =>
+  findStatusByCategory(statuses, category)?.key || null;
+
+const findStatusByCategory = (statuses, category) =>
+  (statuses || []).find((status) => status.category === category) || null;
+
+/**
+ * Category of a task's status. The workspace's status list wins, then the
+ * category the server sent with the task, then the built-in mapping.
+ */
+export const getStatusCategory = (task, statuses = DEFAULT_STATUSES) => {
+  if (!task) return 'not_started';
+  return findStatus(statuses, task.status)?.category
+    || task.statusCategory
+    || findStatus(DEFAULT_STATUSES, task.status)?.category
+    || 'not_started';
+};
+
+export const isDoneStatus = (task, statuses) => getStatusCategory(task, statuses) === 'done';
+
+/**
+ * Display name for a status key, falling back to the key itself.
+ */
+export const getStatusName = (key, statuses = DEFAULT_STATUSES) =>
+  findStatus(statuses, key)?.name || findStatus(DEFAULT_STATUSES, key)?.name || key;
+
+/**
+ * Sort order for a status key: its position in the workflow, unknown keys last.
+ */
+export const getStatusOrder = (key, statuses = DEFAULT_STATUSES) => {
+  const index = (statuses || []).findIndex((status) => status.key === key);
+  return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+};
+
+/**
+ * Status a checkbox toggle should move the task to: out of "done" into the
+ * first not-started status, otherwise into the first done status.
+ */
+export const getToggleTarget = (task, statuses = DEFAULT_STATUSES) => {
+  const target = isDoneStatus(task, statuses)
+    ? findStatusByCategory(statuses, 'not_started') || DEFAULT_STATUSES[0]
+    : findStatusByCategory(statuses, 'done') || DEFAULT_STATUSES[2];
+  return { status: target.key, statusCategory: target.category };
+};
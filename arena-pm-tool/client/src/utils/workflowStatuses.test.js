@@ -0,0 +1,88 @@
+import {
+  DEFAULT_STATUSES,
+  findStatus,
+  getFirstStatusKey,
+  getStatusCategory,
+  isDoneStatus,
+  getStatusName,
+  getStatusOrder,
+  getToggleTarget,
+} from './workflowStatuses';
+
+const CUSTOM_STATUSES = [
+  { key: 'backlog', name: 'Backlog', category: 'not_started', color: '#94A3B8', position: 0 },
+  { key: 'in_review', name: 'In Review', category: 'active', color: '#F59E0B', position: 1 },
+  { key: 'blocked', name: 'Blocked', category: 'active', color: '#EF4444', position: 2 },
+  { key: 'shipped', name: 'Shipped', category: 'done', color: '#22C55E', position: 3 },
+];
+
+// ---------------------------------------------------------------------------
+// findStatus / getFirstStatusKey
+// ---------------------------------------------------------------------------
+describe('findStatus / getFirstStatusKey', () => {
+  it('looks statuses up by key', () => {
+    expect(findStatus(CUSTOM_STATUSES, 'blocked').name).toBe('Blocked');
+    expect(findStatus(CUSTOM_STATUSES, 'todo')).toBeNull();
+    expect(findStatus(undefined, 'todo')).toBeNull();
+  });
+
+  it('returns the first status in a category', () => {
+    expect(getFirstStatusKey(CUSTOM_STATUSES, 'active')).toBe('in_review');
+    expect(getFirstStatusKey(DEFAULT_STATUSES, 'done')).toBe('completed');
+    expect(getFirstStatusKey([], 'done')).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getStatusCategory / isDoneStatus
+// ---------------------------------------------------------------------------
+describe('getStatusCategory', () => {
+  it('prefers the workspace status list', () => {
+    expect(getStatusCategory({ status: 'shipped', statusCategory: 'active' }, CUSTOM_STATUSES)).toBe('done');
+  });
+
+  it('falls back to the category sent by the server, then the built-in mapping', () => {
+    expect(getStatusCategory({ status: 'shipped', statusCategory: 'done' })).toBe('done');
+    expect(getStatusCategory({ status: 'completed' }, [])).toBe('done');
+    expect(getStatusCategory({ status: 'unknown' })).toBe('not_started');
+    expect(getStatusCategory(null)).toBe('not_started');
+  });
+
+  it('isDoneStatus checks the done category', () => {
+    expect(isDoneStatus({ status: 'shipped' }, CUSTOM_STATUSES)).toBe(true);
+    expect(isDoneStatus({ status: 'blocked' }, CUSTOM_STATUSES)).toBe(false);
+    expect(isDoneStatus({ status: 'completed' })).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getStatusName / getStatusOrder
+// ---------------------------------------------------------------------------
+describe('getStatusName / getStatusOrder', () => {
+  it('returns display names with fallbacks', () => {
+    expect(getStatusName('in_review', CUSTOM_STATUSES)).toBe('In Review');
+    expect(getStatusName('in_progress', CUSTOM_STATUSES)).toBe('In Progress');
+    expect(getStatusName('mystery', CUSTOM_STATUSES)).toBe('mystery');
+  });
+
+  it('orders by workflow position with unknown keys last', () => {
+    expect(getStatusOrder('backlog', CUSTOM_STATUSES)).toBe(0);
+    expect(getStatusOrder('shipped', CUSTOM_STATUSES)).toBe(3);
+    expect(getStatusOrder('todo', CUSTOM_STATUSES)).toBeGreaterThan(3);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getToggleTarget
+// ---------------------------------------------------------------------------
+describe('getToggleTarget', () => {
+  it('moves open tasks to the first done status', () => {
+    expect(getToggleTarget({ status: 'blocked' }, CUSTOM_STATUSES)).toEqual({ status: 'shipped', statusCategory: 'done' });
+    expect(getToggleTarget({ status: 'todo' })).toEqual({ status: 'completed', statusCategory: 'done' });
+  });
+
+  it('moves done tasks to the first not-started status', () => {
+    expect(getToggleTarget({ status: 'shipped' }, CUSTOM_STATUSES)).toEqual({ status: 'backlog', statusCategory: 'not_started' });
+    expect(getToggleTarget({ status: 'completed' })).toEqual({ status: 'todo', statusCategory: 'not_started' });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Workload helpers — mirrors server/lib/workload.js.
+ * A workload is { from, weeks, members, unassigned }: each member row has
+ * { memberId, userId, name, weeklyCapacity, overdue, weeks: [{ weekStart, tasks,
+ * overCapacity }], noDueDateCount } and tasks look like { id, title, priority,
+ * status, dueDate, assigneeIds }. The unassigned row has no userId and holds
+ * tasks assigned to no current member; assigneeIds still lists everyone, including
+ * people who have left, so reassigning only swaps the dragged person.
+ */
+import { daysBetween, shiftDateKey } from './timeline';
+
+/**
+ * Monday of the week a date key falls in.
+ */
+export const getWeekStart = (dateKey) => {
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay() || 7;
+  return shiftDateKey(dateKey, 1 - weekday);
+};
+
+/**
+ * How full a week is against a capacity: 'over', 'full', 'ok', or null without one.
+ */
+export const getLoadLevel = (count, capacity) => {
+  if (!capacity) return null;
+  if (count > capacity) return 'over';
+  return count === capacity ? 'full' : 'ok';
+};
+
+/**
+ * A task's assignees after dragging it from one person to another. Either side
+ * may be null for the unassigned row.
+ */
+export const getReassignedAssigneeIds = (assigneeIds, fromUserId, toUserId) => {
+  const remaining = assigneeIds.filter((id) => id !== fromUserId);
+  return toUserId === null || remaining.includes(toUserId) ? remaining : [...remaining, toUserId];
+};
+
+const byDueDate = (a, b) => a.dueDate.localeCompare(b.dueDate) || a.id - b.id;
+
+/**
+ * The workload with a task moved from one person to another, as the server
+ * would return it after the reassignment.
+ */
+export const moveWorkloadTask = (workload, task, fromUserId, toUserId) => {
+  const moved = { ...task, assigneeIds: getReassignedAssigneeIds(task.assigneeIds, fromUserId, toUserId) };
+  const weekIndex = Math.floor(daysBetween(workload.from, task.dueDate) / 7);
+
+  const updateBucket = (tasks, holdsTask) => {
+    const others = tasks.filter((t) => t.id !== task.id);
+    return holdsTask ? [...others, moved].sort(byDueDate) : others;
+  };
+
+  const updateRow = (row, holdsTask) => {
+    if (task.dueDate < workload.from) {
+      return { ...row, overdue: updateBucket(row.overdue, holdsTask) };
+    }
+    return {
+      ...row,
+      weeks: row.weeks.map((week, index) => {
+        if (index !== weekIndex) return week;
+        const tasks = updateBucket(week.tasks, holdsTask);
+        return {
+          ...week,
+          tasks,
+          ...('overCapacity' in week && { overCapacity: getLoadLevel(tasks.length, row.weeklyCapacity) === 'over' }),
+        };
+      }),
+    };
+  };
+
+  const memberIds = workload.members.map((member) => member.userId);
+  return {
+    ...workload,
+    members: workload.members.map((member) => updateRow(member, moved.assigneeIds.includes(member.userId))),
+    unassigned: updateRow(workload.unassigned, !moved.assigneeIds.some((id) => memberIds.includes(id))),
+  };
+};
+
+/**
+ * The member rows with a new capacity for one of them and its weeks re-flagged.
+ */
+export const setMemberCapacity = (members, memberId, weeklyCapacity) => members.map((member) => (
+  member.memberId !== memberId ? member : {
+    ...member,
+    weeklyCapacity,
+    weeks: member.weeks.map((week) => ({
+      ...week,
+      overCapacity: getLoadLevel(week.tasks.length, weeklyCapacity) === 'over',
+    })),
+  }
+));
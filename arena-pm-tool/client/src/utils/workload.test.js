@@ -0,0 +1,115 @@
+import {
+  getWeekStart,
+  getLoadLevel,
+  getReassignedAssigneeIds,
+  moveWorkloadTask,
+  setMemberCapacity,
+} from './workload';
+
+const task = (id, dueDate, assigneeIds) => ({ id, title: `Task ${id}`, priority: 'medium', status: 'todo', dueDate, assigneeIds });
+
+const row = (fields) => ({
+  overdue: [],
+  weeks: [
+    { weekStart: '2026-10-19', tasks: [], overCapacity: false },
+    { weekStart: '2026-10-26', tasks: [], overCapacity: false },
+  ],
+  noDueDateCount: 0,
+  ...fields,
+});
+
+describe('workload utils', () => {
+  it('finds the Monday of a week', () => {
+    expect(getWeekStart('2026-10-21')).toBe('2026-10-19');
+    expect(getWeekStart('2026-10-25')).toBe('2026-10-19');
+    expect(getWeekStart('2026-11-02')).toBe('2026-11-02');
+  });
+
+  it('rates a week against the capacity', () => {
+    expect(getLoadLevel(5, null)).toBeNull();
+    expect(getLoadLevel(2, 3)).toBe('ok');
+    expect(getLoadLevel(3, 3)).toBe('full');
+    expect(getLoadLevel(4, 3)).toBe('over');
+  });
+
+  it('swaps one assignee for another', () => {
+    expect(getReassignedAssigneeIds([1, 3], 1, 2)).toEqual([3, 2]);
+    expect(getReassignedAssigneeIds([1, 2], 1, 2)).toEqual([2]);
+    expect(getReassignedAssigneeIds([], null, 2)).toEqual([2]);
+    expect(getReassignedAssigneeIds([1], 1, null)).toEqual([]);
+  });
+});
+
+describe('moveWorkloadTask', () => {
+  const shared = task(3, '2026-10-20', [1]);
+  const workload = {
+    from: '2026-10-19',
+    weeks: ['2026-10-19', '2026-10-26'],
+    members: [
+      row({ memberId: 11, userId: 1, weeklyCapacity: 1, weeks: [
+        { weekStart: '2026-10-19', tasks: [shared, task(4, '2026-10-22', [1])], overCapacity: true },
+        { weekStart: '2026-10-26', tasks: [], overCapacity: false },
+      ] }),
+      row({ memberId: 12, userId: 2, weeklyCapacity: null }),
+    ],
+    unassigned: row({ weeks: [
+      { weekStart: '2026-10-19', tasks: [] },
+      { weekStart: '2026-10-26', tasks: [task(6, '2026-10-27', [])] },
+    ] }),
+  };
+
+  it('moves a task to the other person and re-flags the capacity', () => {
+    const next = moveWorkloadTask(workload, shared, 1, 2);
+
+    expect(next.members[0].weeks[0].tasks.map((t) => t.id)).toEqual([4]);
+    expect(next.members[0].weeks[0].overCapacity).toBe(false);
+    expect(next.members[1].weeks[0].tasks).toEqual([{ ...shared, assigneeIds: [2] }]);
+  });
+
+  it('moves unassigned tasks to a person and back', () => {
+    const assigned = moveWorkloadTask(workload, task(6, '2026-10-27', []), null, 1);
+    expect(assigned.unassigned.weeks[1].tasks).toEqual([]);
+    expect(assigned.members[0].weeks[1].tasks.map((t) => t.id)).toEqual([6]);
+    expect(assigned.unassigned.weeks[1]).not.toHaveProperty('overCapacity');
+
+    const back = moveWorkloadTask(assigned, assigned.members[0].weeks[1].tasks[0], 1, null);
+    expect(back.unassigned.weeks[1].tasks.map((t) => t.id)).toEqual([6]);
+  });
+
+  it('keeps assignees who have left the workspace', () => {
+    const formerOnly = task(7, '2026-10-21', [9]);
+    const withUnassigned = {
+      ...workload,
+      unassigned: { ...workload.unassigned, weeks: [{ weekStart: '2026-10-19', tasks: [formerOnly] }, workload.unassigned.weeks[1]] },
+    };
+
+    const assigned = moveWorkloadTask(withUnassigned, formerOnly, null, 2);
+    expect(assigned.members[1].weeks[0].tasks).toEqual([{ ...formerOnly, assigneeIds: [9, 2] }]);
+    expect(assigned.unassigned.weeks[0].tasks).toEqual([]);
+
+    const back = moveWorkloadTask(assigned, assigned.members[1].weeks[0].tasks[0], 2, null);
+    expect(back.unassigned.weeks[0].tasks).toEqual([formerOnly]);
+  });
+
+  it('moves overdue tasks between the overdue columns', () => {
+    const overdue = task(1, '2026-10-12', [2]);
+    const next = moveWorkloadTask({ ...workload, members: [workload.members[0], { ...workload.members[1], overdue: [overdue] }] }, overdue, 2, 1);
+    expect(next.members[0].overdue.map((t) => t.id)).toEqual([1]);
+    expect(next.members[1].overdue).toEqual([]);
+  });
+});
+
+describe('setMemberCapacity', () => {
+  it('updates one member and re-flags their weeks', () => {
+    const members = [
+      row({ memberId: 11, weeklyCapacity: null, weeks: [{ weekStart: '2026-10-19', tasks: [task(1, '2026-10-19', [1]), task(2, '2026-10-20', [1])], overCapacity: false }] }),
+      row({ memberId: 12, weeklyCapacity: 1 }),
+    ];
+
+    const next = setMemberCapacity(members, 11, 1);
+
+    expect(next[0].weeklyCapacity).toBe(1);
+    expect(next[0].weeks[0].overCapacity).toBe(true);
+    expect(next[1]).toBe(members[1]);
+  });
+});
@@ -8,6 +8,22 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 -- ============================================================================
 -- DROP EXISTING TABLES (for clean reset)
 -- ============================================================================
+DROP TABLE IF EXISTS realtime_events CASCADE;
+DROP TABLE IF EXISTS holiday_cache CASCADE;
+DROP TABLE IF EXISTS workspace_holidays CASCADE;
+DROP TABLE IF EXISTS import_jobs CASCADE;
+DROP TABLE IF EXISTS calendar_feeds CASCADE;
+DROP TABLE IF EXISTS api_tokens CASCADE;
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS webhooks CASCADE;
+DROP TABLE IF EXISTS email_digest_items CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS comment_mentions CASCADE;
+DROP TABLE IF EXISTS saved_views CASCADE;
+DROP TABLE IF EXISTS time_entries CASCADE;
+DROP TABLE IF EXISTS task_attachments CASCADE;
+DROP TABLE IF EXISTS task_custom_field_values CASCADE;
+DROP TABLE IF EXISTS custom_fields CASCADE;
 DROP TABLE IF EXISTS comments CASCADE;
 DROP TABLE IF EXISTS task_assignments CASCADE;
 DROP TABLE IF EXISTS tasks CASCADE;
@@ -38,6 +54,12 @@ CREATE TABLE users (
     timezone VARCHAR(50) DEFAULT 'UTC',
     email_notifications_enabled BOOLEAN DEFAULT true,
     email_digest_mode VARCHAR(20) DEFAULT 'immediate' CHECK (email_digest_mode IN ('immediate', 'daily', 'weekly', 'none')),
+    reminder_lookahead_days INTEGER NOT NULL DEFAULT 2 CHECK (reminder_lookahead_days BETWEEN 0 AND 14),
+    -- Per-type in-app/email switches; missing entries mean "on"
+    notification_preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Holiday regions ("PL", "DE-BY"); NULL follows the workspace
+    holiday_regions TEXT[],
+    last_digest_sent_at TIMESTAMP WITH TIME ZONE,
     password_reset_token VARCHAR(128),
     password_reset_expires_at TIMESTAMP WITH TIME ZONE,
     email_verified BOOLEAN DEFAULT false,
@@ -58,6 +80,10 @@ CREATE TABLE workspaces (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(100) NOT NULL,
     owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    -- Holiday regions ("PL", "DE-BY"); NULL uses HOLIDAY_DEFAULT_REGIONS
+    holiday_regions TEXT[],
+    -- ISO weekdays the workspace works (1 = Monday ... 7 = Sunday)
+    working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -73,6 +99,7 @@ CREATE TABLE workspace_members (
     role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member', 'viewer')),
     joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     onboarding_completed_at TIMESTAMP WITH TIME ZONE,
+    weekly_capacity INTEGER CHECK (weekly_capacity > 0), -- open tasks per week, for the workload view
     CONSTRAINT unique_workspace_member UNIQUE (workspace_id, user_id)
 );
 
@@ -137,6 +164,26 @@ CREATE INDEX idx_categories_position ON categories(position);
 CREATE INDEX idx_categories_created_by ON categories(created_by);
 CREATE INDEX idx_categories_workspace_id ON categories(workspace_id);
 
+-- ============================================================================
+-- WORKFLOW STATUSES TABLE
+-- ============================================================================
+-- Ordered task statuses per workspace. Workspaces without rows use the
+-- built-in todo / in_progress / completed set.
+CREATE TABLE workflow_statuses (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('not_started', 'active', 'done')),
+    color VARCHAR(7) DEFAULT '#94A3B8',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(workspace_id, key)
+);
+
+CREATE INDEX idx_workflow_statuses_workspace_position ON workflow_statuses(workspace_id, position);
+
 -- ============================================================================
 -- TASKS TABLE
 -- ============================================================================
@@ -146,7 +193,9 @@ CREATE TABLE tasks (
     description TEXT,
     category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
     priority VARCHAR(10) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
-    status VARCHAR(20) DEFAULT 'todo' CHECK (status IN ('todo', 'in_progress', 'completed')),
+    status VARCHAR(50) DEFAULT 'todo',
+    -- Optional; with due_date it spans the task's bar in the timeline
+    start_date DATE,
     due_date DATE,
     completed_at TIMESTAMP WITH TIME ZONE,
     position INTEGER DEFAULT 0,
@@ -154,6 +203,16 @@ CREATE TABLE tasks (
     assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    recurrence_rule JSONB,
+    recurrence_series_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+    recurrence_index INTEGER DEFAULT 1,
+    recurrence_spawned_at TIMESTAMP WITH TIME ZONE,
+    estimate_minutes INTEGER CHECK (estimate_minutes >= 0),
+    -- Full-text search: titles rank above descriptions
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -166,6 +225,10 @@ CREATE INDEX idx_tasks_created_by ON tasks(created_by);
 CREATE INDEX idx_tasks_position ON tasks(position);
 CREATE INDEX idx_tasks_assignee_id ON tasks(assignee_id);
 CREATE INDEX idx_tasks_workspace_id ON tasks(workspace_id);
+CREATE INDEX idx_tasks_recurrence_series_id ON tasks(recurrence_series_id);
+CREATE INDEX idx_tasks_search_vector ON tasks USING GIN (search_vector);
+CREATE INDEX idx_tasks_recurrence_pending ON tasks(due_date)
+    WHERE recurrence_rule IS NOT NULL AND recurrence_spawned_at IS NULL;
 
 -- ============================================================================
 -- TASK ASSIGNMENTS TABLE
@@ -180,6 +243,53 @@ CREATE TABLE task_assignments (
 CREATE INDEX idx_task_assignments_task_id ON task_assignments(task_id);
 CREATE INDEX idx_task_assignments_user_id ON task_assignments(user_id);
 
+-- ============================================================================
+-- TASK DEPENDENCIES TABLE
+-- ============================================================================
+-- task_id is blocked by depends_on_task_id
+CREATE TABLE task_dependencies (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    depends_on_task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_id, depends_on_task_id),
+    CHECK (task_id <> depends_on_task_id)
+);
+
+CREATE INDEX idx_task_dependencies_task_id ON task_dependencies(task_id);
+CREATE INDEX idx_task_dependencies_depends_on_task_id ON task_dependencies(depends_on_task_id);
+
+-- ============================================================================
+-- CUSTOM FIELDS TABLES
+-- ============================================================================
+-- Workspace-defined task fields; dropdown choices live in options
+CREATE TABLE custom_fields (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    field_type VARCHAR(20) NOT NULL CHECK (field_type IN ('text', 'number', 'dropdown', 'date', 'checkbox')),
+    options JSONB NOT NULL DEFAULT '[]'::jsonb,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(workspace_id, name)
+);
+
+CREATE INDEX idx_custom_fields_workspace_position ON custom_fields(workspace_id, position);
+
+-- One typed JSON value (string, number or boolean) per task and field
+CREATE TABLE task_custom_field_values (
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    field_id INTEGER NOT NULL REFERENCES custom_fields(id) ON DELETE CASCADE,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, field_id)
+);
+
+CREATE INDEX idx_task_custom_field_values_field_id ON task_custom_field_values(field_id);
+
 -- ============================================================================
 -- COMMENTS TABLE
 -- ============================================================================
@@ -188,12 +298,280 @@ CREATE TABLE comments (
     task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
     author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     content TEXT NOT NULL,
+    -- Full-text search: comments rank below task titles and descriptions
+    search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(content, '')), 'C')
+    ) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_comments_task_id ON comments(task_id);
 CREATE INDEX idx_comments_author_id ON comments(author_id);
+CREATE INDEX idx_comments_search_vector ON comments USING GIN (search_vector);
+
+-- ============================================================================
+-- ATTACHMENTS TABLE
+-- ============================================================================
+-- Files on a task (comment_id set when attached through a comment).
+-- The bytes live in the storage backend (lib/storage) under storage_key.
+CREATE TABLE task_attachments (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_key VARCHAR(500) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_task_attachments_task_id ON task_attachments(task_id);
+CREATE INDEX idx_task_attachments_comment_id ON task_attachments(comment_id);
+CREATE INDEX idx_task_attachments_workspace_id ON task_attachments(workspace_id);
+
+-- ============================================================================
+-- TIME ENTRIES TABLE
+-- ============================================================================
+-- Time tracked on a task by one user. A running timer has no ended_at yet.
+CREATE TABLE time_entries (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    duration_seconds INTEGER CHECK (duration_seconds >= 0),
+    note VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_time_entries_task_id ON time_entries(task_id);
+CREATE INDEX idx_time_entries_workspace_id_started_at ON time_entries(workspace_id, started_at);
+CREATE INDEX idx_time_entries_user_id ON time_entries(user_id);
+CREATE UNIQUE INDEX idx_time_entries_running_user ON time_entries(user_id) WHERE ended_at IS NULL;
+
+-- ============================================================================
+-- SAVED VIEWS TABLE
+-- ============================================================================
+-- Named filter/sort/search combinations. Personal views are visible to their
+-- owner only; shared views to the whole workspace.
+CREATE TABLE saved_views (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    visibility VARCHAR(20) NOT NULL DEFAULT 'personal' CHECK (visibility IN ('personal', 'shared')),
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sort JSONB,
+    search VARCHAR(200) NOT NULL DEFAULT '',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_saved_views_workspace_id_visibility ON saved_views(workspace_id, visibility);
+CREATE INDEX idx_saved_views_user_id ON saved_views(user_id);
+
+-- Each member's default view in the workspace
+ALTER TABLE workspace_members
+    ADD COLUMN default_saved_view_id INTEGER REFERENCES saved_views(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- COMMENT MENTIONS TABLE
+-- ============================================================================
+-- Members @mentioned in a comment
+CREATE TABLE comment_mentions (
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (comment_id, user_id)
+);
+
+CREATE INDEX idx_comment_mentions_user_id ON comment_mentions(user_id);
+
+-- ============================================================================
+-- NOTIFICATIONS TABLE
+-- ============================================================================
+-- In-app notifications, one row per recipient
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_notifications_user_id_created_at ON notifications(user_id, created_at DESC);
+CREATE INDEX idx_notifications_user_id_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- ============================================================================
+-- EMAIL DIGEST ITEMS TABLE
+-- ============================================================================
+-- Notification emails held back for a user's daily or weekly digest
+CREATE TABLE email_digest_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_email_digest_items_user_id_pending ON email_digest_items(user_id) WHERE sent_at IS NULL;
+
+-- ============================================================================
+-- WEBHOOKS TABLES
+-- ============================================================================
+-- Outgoing webhook subscriptions, managed by workspace admins
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    url VARCHAR(2000) NOT NULL,
+    description VARCHAR(255),
+    secret VARCHAR(100) NOT NULL,
+    events TEXT[] NOT NULL DEFAULT '{}'::text[],
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX webhooks_workspace_id_index ON webhooks(workspace_id);
+
+-- Delivery queue and log: one row per event and webhook
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8,
+    response_status INTEGER,
+    response_body TEXT,
+    duration_ms INTEGER,
+    last_error TEXT,
+    last_attempted_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    lease_expires_at TIMESTAMP WITH TIME ZONE,      -- set while in_progress
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_deliveries_pending ON webhook_deliveries(status, created_at) WHERE status = 'pending';
+CREATE INDEX idx_webhook_deliveries_webhook_created ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- ============================================================================
+-- API TOKENS TABLE
+-- ============================================================================
+-- Personal access tokens for scripts and CI, stored as SHA-256 hashes
+CREATE TABLE api_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    token_hint VARCHAR(4) NOT NULL,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('read', 'write')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX api_tokens_user_id_index ON api_tokens(user_id);
+
+-- ============================================================================
+-- CALENDAR FEEDS TABLE
+-- ============================================================================
+-- iCalendar subscription URLs: assigned tasks (no workspace) or a whole workspace
+CREATE TABLE calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX calendar_feeds_user_id_index ON calendar_feeds(user_id);
+
+-- ============================================================================
+-- IMPORT JOBS TABLE
+-- ============================================================================
+-- Background imports of Trello, Asana and Jira exports; payload holds the
+-- uploaded file until the job finishes
+CREATE TABLE import_jobs (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('trello', 'asana', 'jira')),
+    file_name VARCHAR(255),
+    payload TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    total_items INTEGER NOT NULL DEFAULT 0,
+    processed_items INTEGER NOT NULL DEFAULT 0,
+    summary JSONB,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX import_jobs_workspace_id_created_at_index ON import_jobs(workspace_id, created_at);
+CREATE INDEX import_jobs_pending_index ON import_jobs(created_at) WHERE status = 'pending';
+
+-- ============================================================================
+-- HOLIDAY TABLES
+-- ============================================================================
+-- Company holidays added by workspace admins; recurring ones repeat yearly
+CREATE TABLE workspace_holidays (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    recurring BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX workspace_holidays_workspace_id_index ON workspace_holidays(workspace_id);
+
+-- Holidays fetched from online providers (lib/holidays)
+CREATE TABLE holiday_cache (
+    provider VARCHAR(20) NOT NULL,
+    region VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    holidays JSONB NOT NULL,
+    fetched_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (provider, region, year)
+);
+
+-- ============================================================================
+-- REALTIME EVENTS
+-- ============================================================================
+-- Workspace event stream (lib/realtime.js); open streams poll for new rows
+CREATE TABLE realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    actor_id INTEGER,
+    origin_client_id VARCHAR(64),
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX realtime_events_created_at_index ON realtime_events(created_at);
 
 -- ============================================================================
 -- BILLING TABLES (Phase 2 - SaaS Launch)
@@ -266,6 +644,7 @@ CREATE TABLE IF NOT EXISTS activity_log (
 CREATE INDEX IF NOT EXISTS idx_activity_log_workspace_id ON activity_log(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_activity_log_created_at ON activity_log(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_activity_log_user_id ON activity_log(user_id);
+CREATE INDEX IF NOT EXISTS activity_log_workspace_id_entity_type_entity_id_index ON activity_log(workspace_id, entity_type, entity_id);
 
 -- Composite indexes for performance
 CREATE INDEX IF NOT EXISTS idx_tasks_workspace_due ON tasks(workspace_id, due_date);
@@ -0,0 +1,118 @@
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+jest.mock('../../lib/analytics', () => ({
+  ...jest.requireActual('../../lib/analytics'),
+  getAnalytics: jest.fn(),
+}));
+
+const { getAnalytics, exportAnalyticsCsv } = require('../analyticsController');
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const analytics = require('../../lib/analytics');
+
+describe('Analytics Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  const report = {
+    from: '2026-10-19',
+    to: '2026-10-21',
+    category: null,
+    weeks: [{ weekStart: '2026-10-19', created: 3, completed: 1, remaining: 5, overdue: 1, cycleTimeDays: 2.5 }],
+    summary: { created: 3, completed: 1, remaining: 5, overdue: 1, averageCycleTimeDays: 2.5 },
+  };
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    res.setHeader = jest.fn().mockReturnValue(res);
+    res.send = jest.fn().mockReturnValue(res);
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    req.query = {};
+    jest.clearAllMocks();
+  });
+
+  describe('getAnalytics', () => {
+    it('returns the report for workspace admins', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      analytics.getAnalytics.mockResolvedValue(report);
+      req.query = { weeks: '4' };
+
+      await getAnalytics(req, res);
+
+      expect(analytics.getAnalytics).toHaveBeenCalledWith({ workspaceId: WORKSPACE_ID, weeks: 4, category: null });
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', data: report });
+    });
+
+    it('limits the burndown to a category of the workspace', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValueOnce({ rows: [{ id: 4, name: 'Sprint' }] });
+      analytics.getAnalytics.mockResolvedValue({ ...report, category: { id: 4, name: 'Sprint' } });
+      req.query = { category_id: '4' };
+
+      await getAnalytics(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('FROM categories'), [4, WORKSPACE_ID]);
+      expect(analytics.getAnalytics).toHaveBeenCalledWith({ workspaceId: WORKSPACE_ID, weeks: 12, category: { id: 4, name: 'Sprint' } });
+    });
+
+    it('returns 404 for a category of another workspace', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValueOnce({ rows: [] });
+      req.query = { category_id: '99' };
+
+      await getAnalytics(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(analytics.getAnalytics).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 for an invalid week count', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      req.query = { weeks: '0' };
+
+      await getAnalytics(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'weeks must be between 1 and 52' });
+    });
+
+    it('returns 403 for members who are not admins', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+
+      await getAnalytics(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'Only workspace admins can view analytics' });
+      expect(analytics.getAnalytics).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportAnalyticsCsv', () => {
+    it('sends the report as a CSV download', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      analytics.getAnalytics.mockResolvedValue(report);
+
+      await exportAnalyticsCsv(req, res);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv');
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="todoria-analytics-2026-10-21.csv"');
+      expect(res.send).toHaveBeenCalledWith(
+        'Week,Created,Completed,Remaining,Overdue,Average Cycle Time (days)\n2026-10-19,3,1,5,1,2.5'
+      );
+    });
+
+    it('returns 403 without access to the workspace', async () => {
+      verifyWorkspaceAccess.mockResolvedValue(null);
+
+      await exportAnalyticsCsv(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const {
+  getApiTokens,
+  createApiToken,
+  deleteApiToken
+} = require('../apiTokenController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const { hashApiToken } = require('../../lib/apiTokens');
+
+describe('API Token Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  const tokenRow = (overrides = {}) => ({
+    id: 5,
+    name: 'CI deploys',
+    workspace_id: WORKSPACE_ID,
+    workspace_name: 'Acme',
+    scope: 'write',
+    token_hint: 'Zx9_',
+    expires_at: '2026-06-01T00:00:00Z',
+    last_used_at: null,
+    created_at: '2026-03-01T10:00:00Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+  });
+
+  describe('getApiTokens', () => {
+    it('should return the user\'s tokens without their hashes', async () => {
+      query.mockResolvedValueOnce({ rows: [tokenRow()] });
+
+      await getApiTokens(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('WHERE t.user_id = $1'), [1]);
+      const [token] = res.json.mock.calls[0][0].data.tokens;
+      expect(token).toEqual(expect.objectContaining({
+        id: 5,
+        name: 'CI deploys',
+        workspaceName: 'Acme',
+        scope: 'write',
+        tokenHint: '…Zx9_',
+      }));
+      expect(token).not.toHaveProperty('token');
+    });
+  });
+
+  describe('createApiToken', () => {
+    beforeEach(() => {
+      req.body = { name: 'CI deploys', workspace_id: WORKSPACE_ID, scope: 'write', expires_in_days: 30 };
+    });
+
+    it('should store a hash of the token and return the token once', async () => {
+      query.mockResolvedValueOnce({ rows: [{ count: 0 }] });
+      query.mockResolvedValueOnce({ rows: [tokenRow()] });
+
+      await createApiToken(req, res);
+
+      const params = query.mock.calls[1][1];
+      const { token } = res.json.mock.calls[0][0].data.token;
+      expect(token).toMatch(/^tdr_pat_/);
+      expect(params[0]).toBe(1);
+      expect(params[1]).toBe(WORKSPACE_ID);
+      expect(params[3]).toBe(hashApiToken(token));
+      expect(params[4]).toBe(token.slice(-4));
+      expect(params.slice(5)).toEqual(['write', 30]);
+      expect(params).not.toContain(token);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 403 without workspace access', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await createApiToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should only let viewers create read-only tokens', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'viewer' });
+
+      await createApiToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Viewers can only create read-only tokens'
+      });
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when the user has too many tokens', async () => {
+      query.mockResolvedValueOnce({ rows: [{ count: 20 }] });
+
+      await createApiToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('deleteApiToken', () => {
+    it('should revoke the user\'s token', async () => {
+      req.params = { tokenId: '5' };
+      query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+      await deleteApiToken(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM api_tokens'), ['5', 1]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        message: 'API token revoked successfully'
+      });
+    });
+
+    it('should return 404 for another user\'s token', async () => {
+      req.params = { tokenId: '99' };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await deleteApiToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
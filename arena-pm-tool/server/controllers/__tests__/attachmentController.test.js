@@ -0,0 +1,283 @@
+const { Readable } = require('stream');
+const {
+  getTaskAttachments,
+  uploadTaskAttachment,
+  downloadTaskAttachment,
+  deleteTaskAttachment
+} = require('../attachmentController');
+const { setStorage } = require('../../lib/storage');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+jest.mock('../../lib/activityLog', () => ({
+  logActivity: jest.fn(),
+}));
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const { logActivity } = require('../../lib/activityLog');
+
+// Smallest valid PNG header, enough for magic-number detection
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+
+describe('Attachment Controller', () => {
+  let req, res, storage;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+  const taskRow = { id: 10, title: 'Launch', workspace_id: WORKSPACE_ID };
+  const attachmentRow = {
+    id: 5, task_id: 10, comment_id: null, file_name: 'mock.png', content_type: 'image/png',
+    size_bytes: PNG_BYTES.length, uploaded_by: 1, storage_key: `${WORKSPACE_ID}/10/abc.png`,
+    created_at: '2026-03-01T10:00:00Z'
+  };
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    res.setHeader = jest.fn();
+    req.user = { id: 1 };
+    req.params = { id: '10' };
+    jest.clearAllMocks();
+
+    storage = {
+      put: jest.fn().mockResolvedValue(),
+      get: jest.fn(),
+      remove: jest.fn().mockResolvedValue(),
+    };
+    setStorage(storage);
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+  });
+
+  afterAll(() => {
+    setStorage(null);
+  });
+
+  describe('getTaskAttachments', () => {
+    it('should list the task attachments with uploader names', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...attachmentRow, uploader_name: 'Ana' }] });
+
+      await getTaskAttachments(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual(['10']);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: {
+          attachments: [{
+            id: 5, taskId: 10, commentId: null, fileName: 'mock.png', contentType: 'image/png',
+            sizeBytes: PNG_BYTES.length, uploadedBy: 1, uploaderName: 'Ana', createdAt: '2026-03-01T10:00:00Z'
+          }]
+        }
+      });
+    });
+
+    it('should return 403 without workspace access', async () => {
+      query.mockResolvedValueOnce({ rows: [taskRow] });
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getTaskAttachments(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('uploadTaskAttachment', () => {
+    beforeEach(() => {
+      req.file = { originalname: 'mock.png', mimetype: 'application/octet-stream', size: PNG_BYTES.length, buffer: PNG_BYTES };
+    });
+
+    it('should store the file and record it with the detected type', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...attachmentRow, uploader_name: 'Ana' }] });
+
+      await uploadTaskAttachment(req, res);
+
+      const [key, body, options] = storage.put.mock.calls[0];
+      expect(key).toMatch(new RegExp(`^${WORKSPACE_ID}/10/[0-9a-f-]{36}\\.png$`));
+      expect(body).toBe(PNG_BYTES);
+      expect(options).toEqual({ contentType: 'image/png' });
+
+      const insertParams = query.mock.calls[1][1];
+      expect(insertParams).toEqual([10, null, WORKSPACE_ID, 1, 'mock.png', 'image/png', PNG_BYTES.length, key]);
+      expect(logActivity).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'attached', 'task', 10, { title: 'Launch', fileName: 'mock.png' });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { attachment: expect.objectContaining({ id: 5, fileName: 'mock.png', uploaderName: 'Ana' }) }
+      }));
+    });
+
+    it('should decode UTF-8 file names and strip paths', async () => {
+      req.file.originalname = Buffer.from('../notes/Überblick.png', 'utf8').toString('latin1');
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [attachmentRow] });
+
+      await uploadTaskAttachment(req, res);
+
+      expect(query.mock.calls[1][1][4]).toBe('Überblick.png');
+    });
+
+    it('should attach the file to the uploader\'s own comment', async () => {
+      req.body = { comment_id: '3' };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ author_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ ...attachmentRow, comment_id: 3 }] });
+
+      await uploadTaskAttachment(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual([3, '10']);
+      expect(query.mock.calls[2][1][1]).toBe(3);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject comments by someone else', async () => {
+      req.body = { comment_id: '3' };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ author_id: 2 }] });
+
+      await uploadTaskAttachment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(storage.put).not.toHaveBeenCalled();
+    });
+
+    it('should not let viewers upload', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'viewer' });
+      query.mockResolvedValueOnce({ rows: [taskRow] });
+
+      await uploadTaskAttachment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(storage.put).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when no file was sent', async () => {
+      req.file = undefined;
+
+      await uploadTaskAttachment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'No file uploaded.' });
+    });
+
+    it('should remove the stored file if recording it fails', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockRejectedValueOnce(new Error('db down'));
+
+      await expect(uploadTaskAttachment(req, res)).rejects.toThrow('db down');
+
+      expect(storage.remove).toHaveBeenCalledWith(storage.put.mock.calls[0][0]);
+    });
+  });
+
+  describe('downloadTaskAttachment', () => {
+    beforeEach(() => {
+      req.params.attachmentId = '5';
+    });
+
+    it('should stream previewable files inline', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [attachmentRow] });
+      const stream = Readable.from([PNG_BYTES]);
+      stream.pipe = jest.fn();
+      storage.get.mockResolvedValueOnce(stream);
+
+      await downloadTaskAttachment(req, res);
+
+      expect(storage.get).toHaveBeenCalledWith(attachmentRow.storage_key);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'image/png');
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', expect.stringMatching(/^inline; filename="mock.png"/));
+      expect(res.setHeader).toHaveBeenCalledWith('X-Content-Type-Options', 'nosniff');
+      expect(stream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    it('should force a download for other types', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...attachmentRow, file_name: 'page.html', content_type: 'text/html' }] });
+      const stream = Readable.from(['<html>']);
+      stream.pipe = jest.fn();
+      storage.get.mockResolvedValueOnce(stream);
+
+      await downloadTaskAttachment(req, res);
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/octet-stream');
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', expect.stringMatching(/^attachment;/));
+    });
+
+    it('should return 404 for an attachment on another task', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await downloadTaskAttachment(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual(['5', '10']);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(storage.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteTaskAttachment', () => {
+    beforeEach(() => {
+      req.params.attachmentId = '5';
+    });
+
+    it('should delete the row and the stored file', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [attachmentRow] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await deleteTaskAttachment(req, res);
+
+      expect(query).toHaveBeenLastCalledWith('DELETE FROM task_attachments WHERE id = $1', [5]);
+      expect(storage.remove).toHaveBeenCalledWith(attachmentRow.storage_key);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        message: 'Attachment deleted successfully'
+      });
+    });
+
+    it('should let admins delete other people\'s attachments', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'admin' });
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...attachmentRow, uploaded_by: 2 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await deleteTaskAttachment(req, res);
+
+      expect(storage.remove).toHaveBeenCalled();
+    });
+
+    it('should stop members deleting other people\'s attachments', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...attachmentRow, uploaded_by: 2 }] });
+
+      await deleteTaskAttachment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'You can only delete your own attachments'
+      });
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+  });
+});
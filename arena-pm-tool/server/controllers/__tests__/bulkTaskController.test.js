@@ -0,0 +1,329 @@
+const { bulkUpdateTasks, bulkDeleteTasks } = require('../bulkTaskController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  canUserEdit: jest.fn(),
+}));
+jest.mock('../../utils/emailQueue', () => ({
+  queueTaskAssignmentNotification: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('../../lib/activityLog', () => ({
+  logActivities: jest.fn(),
+}));
+jest.mock('../../utils/recurrenceService', () => ({
+  spawnNextOccurrence: jest.fn(),
+}));
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+jest.mock('../../lib/workflowStatuses', () => ({
+  ...jest.requireActual('../../lib/workflowStatuses'),
+  getWorkspaceStatuses: jest.fn(),
+}));
+jest.mock('../../lib/attachments', () => ({
+  getStorageKeysForTaskTrees: jest.fn().mockResolvedValue([]),
+  removeStoredFiles: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../../lib/realtime', () => ({
+  publishEvent: jest.fn(),
+}));
+jest.mock('../../lib/webhooks', () => ({
+  queueWebhookEvents: jest.fn(),
+}));
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  createNotification: jest.fn(),
+}));
+
+const { query, getClient } = require('../../config/database');
+const { canUserEdit } = require('../../middleware/workspaceAuth');
+const { logActivities } = require('../../lib/activityLog');
+const { queueTaskAssignmentNotification } = require('../../utils/emailQueue');
+const { spawnNextOccurrence } = require('../../utils/recurrenceService');
+const { getStorageKeysForTaskTrees, removeStoredFiles } = require('../../lib/attachments');
+const { getWorkspaceStatuses, DEFAULT_STATUSES } = require('../../lib/workflowStatuses');
+const { publishEvent } = require('../../lib/realtime');
+const { createNotification } = require('../../lib/notifications');
+
+describe('Bulk Task Controller', () => {
+  let req, res;
+  let mockClient;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  const taskRow = (overrides = {}) => ({
+    id: 1,
+    title: 'Task 1',
+    description: null,
+    status: 'todo',
+    priority: 'medium',
+    due_date: null,
+    recurrence_rule: null,
+    category_id: 10,
+    status_category: 'not_started',
+    ...overrides,
+  });
+
+  const clientSql = () => mockClient.query.mock.calls.map(([sql]) => sql);
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    jest.clearAllMocks();
+
+    canUserEdit.mockResolvedValue(true);
+    getWorkspaceStatuses.mockResolvedValue(DEFAULT_STATUSES);
+
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn(),
+    };
+    getClient.mockResolvedValue(mockClient);
+  });
+
+  describe('bulkUpdateTasks', () => {
+    it('should update priority and due date for every task in one transaction', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 2, 2], changes: { priority: 'high', due_date: '2026-05-01T00:00:00Z' } };
+      query.mockResolvedValueOnce({ rows: [taskRow(), taskRow({ id: 2, title: 'Task 2' })] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(canUserEdit).toHaveBeenCalledWith(1, WORKSPACE_ID);
+      expect(query.mock.calls[0][1]).toEqual([WORKSPACE_ID, [1, 2]]);
+      expect(clientSql()[0]).toBe('BEGIN');
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET priority = $2, due_date = $3'),
+        [[1, 2], 'high', '2026-05-01']
+      );
+      expect(clientSql()).toContain('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(logActivities).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'updated', 'task', [
+        { entityId: 1, metadata: { title: 'Task 1', bulk: true } },
+        { entityId: 2, metadata: { title: 'Task 2', bulk: true } },
+      ]);
+      expect(publishEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'tasks.invalidated', { taskIds: [1, 2] }, req);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'success',
+        message: '2 tasks updated',
+        data: { taskIds: [1, 2], updatedCount: 2, nextOccurrenceCount: 0 },
+      }));
+    });
+
+    it('should reject users who cannot edit the workspace', async () => {
+      canUserEdit.mockResolvedValueOnce(false);
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1], changes: { priority: 'low' } };
+
+      await bulkUpdateTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when any task is outside the workspace', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 99], changes: { priority: 'low' } };
+      query.mockResolvedValueOnce({ rows: [taskRow()] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should reject statuses outside the workflow', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1], changes: { status: 'shipped' } };
+      query.mockResolvedValueOnce({ rows: [taskRow()] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Invalid status. Must be one of: todo, in_progress, completed',
+      }));
+    });
+
+    it('should stamp completed_at only on tasks that are being completed', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 2], changes: { status: 'completed' } };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow(), taskRow({ id: 2, status: 'completed', status_category: 'done' })] })
+        .mockResolvedValueOnce({ rows: [] }); // no open blockers
+
+      await bulkUpdateTasks(req, res);
+
+      const [sql, values] = mockClient.query.mock.calls[1];
+      expect(sql).toContain('completed_at = CASE WHEN id = ANY($3::int[]) THEN CURRENT_TIMESTAMP ELSE completed_at END');
+      expect(values).toEqual([[1, 2], 'completed', [1]]);
+      // Only tasks whose status changed record it
+      expect(logActivities).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'updated', 'task', [
+        { entityId: 1, metadata: { title: 'Task 1', bulk: true, status: 'completed', statusCategory: 'done' } },
+        { entityId: 2, metadata: { title: 'Task 1', bulk: true } },
+      ]);
+    });
+
+    it('should refuse to complete tasks blocked by tasks outside the selection', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 2], changes: { status: 'completed' } };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow(), taskRow({ id: 2, title: 'Task 2' })] })
+        .mockResolvedValueOnce({ rows: [{ task_id: 2, id: 7, title: 'Blocker', status: 'todo' }] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual([[1, 2], [1, 2]]);
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: '1 of the selected tasks is blocked by open tasks',
+        blockedTasks: [{ id: 2, title: 'Task 2', blockedBy: [{ id: 7, title: 'Blocker', status: 'todo' }] }],
+      }));
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should complete blocked tasks when told to ignore blockers and spawn recurrences', async () => {
+      const rule = { frequency: 'weekly', interval: 1 };
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1], changes: { status: 'completed' }, ignore_blockers: true };
+      query.mockResolvedValueOnce({ rows: [taskRow({ recurrence_rule: rule, due_date: '2026-03-02' })] });
+      spawnNextOccurrence.mockResolvedValueOnce({ id: 50 });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(spawnNextOccurrence).toHaveBeenCalledWith(1);
+      expect(res.json.mock.calls[0][0].data.nextOccurrenceCount).toBe(1);
+    });
+
+    it('should refuse to clear the due date of recurring tasks', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1], changes: { due_date: null } };
+      query.mockResolvedValueOnce({ rows: [taskRow({ recurrence_rule: { frequency: 'daily', interval: 1 } })] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Recurring tasks require a due date' }));
+    });
+
+    it('should move tasks to the end of another category', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 2], changes: { category_id: 20 } };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow(), taskRow({ id: 2 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 20 }] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual([20, WORKSPACE_ID]);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('COALESCE(MAX(position), -1)'),
+        [20, [1, 2]]
+      );
+    });
+
+    it('should reject categories from other workspaces', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1], changes: { category_id: 20 } };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow()] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Category not found in this workspace' }));
+    });
+
+    it('should replace assignees and notify only new ones', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 2], changes: { assignee_ids: [3] } };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow(), taskRow({ id: 2, title: 'Task 2' })] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 3 }] }) // membership check
+        .mockResolvedValueOnce({ rows: [{ name: 'Alice' }] }) // updater
+        .mockResolvedValueOnce({ rows: [{ id: 3, email: 'c@example.com', name: 'Carol', email_notifications_enabled: true }] });
+      mockClient.query.mockImplementation(async (sql) => (
+        sql.startsWith('SELECT task_id, user_id') ? { rows: [{ task_id: 1, user_id: 3 }] } : { rows: [] }
+      ));
+
+      await bulkUpdateTasks(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM task_assignments WHERE task_id = ANY($1::int[])', [[1, 2]]);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('CROSS JOIN unnest($2::int[])'), [[1, 2], [3]]);
+      expect(queueTaskAssignmentNotification).toHaveBeenCalledTimes(1);
+      expect(queueTaskAssignmentNotification).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'c@example.com', taskId: 2, taskTitle: 'Task 2', assignedByName: 'Alice',
+      }));
+      expect(createNotification).toHaveBeenCalledTimes(1);
+      expect(createNotification).toHaveBeenCalledWith({
+        userId: 3,
+        workspaceId: WORKSPACE_ID,
+        type: 'assignment',
+        actorId: 1,
+        taskId: 2,
+        data: { taskTitle: 'Task 2', actorName: 'Alice' },
+      });
+    });
+
+    it('should reject assignees who are not workspace members', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1], changes: { assignee_ids: [3, 4] } };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow()] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 3 }] });
+
+      await bulkUpdateTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when an update fails', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1], changes: { priority: 'low' } };
+      query.mockResolvedValueOnce({ rows: [taskRow()] });
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockRejectedValueOnce(new Error('deadlock detected'));
+
+      await expect(bulkUpdateTasks(req, res)).rejects.toThrow('deadlock detected');
+
+      expect(clientSql()).toContain('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(logActivities).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulkDeleteTasks', () => {
+    it('should delete the tasks, close position gaps and remove files', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 2] };
+      query.mockResolvedValueOnce({ rows: [taskRow(), taskRow({ id: 2, title: 'Task 2', category_id: 11 })] });
+      getStorageKeysForTaskTrees.mockResolvedValueOnce(['ws/1/a.png']);
+
+      await bulkDeleteTasks(req, res);
+
+      expect(getStorageKeysForTaskTrees).toHaveBeenCalledWith([1, 2]);
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM tasks WHERE id = ANY($1::int[])', [[1, 2]]);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('PARTITION BY category_id'), [[10, 11]]);
+      expect(removeStoredFiles).toHaveBeenCalledWith(['ws/1/a.png']);
+      expect(logActivities).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'deleted', 'task', expect.any(Array));
+      expect(publishEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'tasks.deleted', { taskIds: [1, 2] }, req);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: '2 tasks deleted',
+        data: { taskIds: [1, 2], deletedCount: 2 },
+      }));
+    });
+
+    it('should reject viewers', async () => {
+      canUserEdit.mockResolvedValueOnce(false);
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1] };
+
+      await bulkDeleteTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when any task is missing', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, task_ids: [1, 2] };
+      query.mockResolvedValueOnce({ rows: [taskRow()] });
+
+      await bulkDeleteTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
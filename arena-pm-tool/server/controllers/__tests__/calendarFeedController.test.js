@@ -0,0 +1,192 @@
+const {
+  getCalendarFeed,
+  getCalendarFeeds,
+  createCalendarFeed,
+  deleteCalendarFeed
+} = require('../calendarFeedController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Calendar Feed Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+  const TOKEN = 'a1'.repeat(24);
+
+  const taskRow = (overrides = {}) => ({
+    id: 5,
+    title: 'Ship v2',
+    description: null,
+    due_date: '2026-03-31',
+    status_name: 'To Do',
+    status_category: 'not_started',
+    priority: 'medium',
+    category_name: 'Engineering',
+    updated_at: '2026-03-09T08:00:00Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    res.set = jest.fn().mockReturnValue(res);
+    res.send = jest.fn().mockReturnValue(res);
+    req.user = { id: 1 };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+  });
+
+  describe('getCalendarFeed', () => {
+    beforeEach(() => {
+      req.user = null;
+      req.params = { token: TOKEN };
+    });
+
+    it('should serve the user\'s assigned tasks', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 3, user_id: 1, workspace_id: null, workspace_name: null }] });
+      query.mockResolvedValueOnce({ rows: [taskRow({ workspace_name: 'Acme' })] });
+      query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await getCalendarFeed(req, res);
+
+      expect(query.mock.calls[0][1]).toEqual([TOKEN]);
+      expect(query.mock.calls[1][0]).toContain('JOIN task_assignments ta ON ta.task_id = t.id AND ta.user_id = $1');
+      expect(query.mock.calls[1][1][0]).toBe(1);
+      expect(query.mock.calls[2][0]).toContain('SET last_accessed_at = NOW()');
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'text/calendar; charset=utf-8',
+      }));
+      const ics = res.send.mock.calls[0][0];
+      expect(ics).toContain('X-WR-CALNAME:Todoria — My tasks');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260331');
+    });
+
+    it('should serve a workspace\'s tasks to its members', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 4, user_id: 1, workspace_id: WORKSPACE_ID, workspace_name: 'Acme' }] });
+      query.mockResolvedValueOnce({ rows: [taskRow(), taskRow({ id: 6, status_category: 'done', status_name: 'Done' })] });
+      query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await getCalendarFeed(req, res);
+
+      expect(verifyWorkspaceAccess).toHaveBeenCalledWith(1, WORKSPACE_ID);
+      expect(query.mock.calls[1][1][0]).toBe(WORKSPACE_ID);
+      const ics = res.send.mock.calls[0][0];
+      expect(ics).toContain('X-WR-CALNAME:Todoria — Acme');
+      expect(ics).toContain('SUMMARY:✓ Ship v2');
+    });
+
+    it('should keep the tasks due closest to today when a feed is over the limit', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 4, user_id: 1, workspace_id: WORKSPACE_ID, workspace_name: 'Acme' }] });
+      query.mockResolvedValueOnce({ rows: [] });
+      query.mockResolvedValueOnce({ rowCount: 1 });
+
+      await getCalendarFeed(req, res);
+
+      const tasksSql = query.mock.calls[1][0].replace(/\s+/g, ' ');
+      expect(tasksSql).toContain('ORDER BY ABS(t.due_date - CURRENT_DATE) ASC, t.due_date DESC, t.id ASC LIMIT $3');
+      expect(tasksSql).toMatch(/\) feed_tasks ORDER BY feed_tasks\.due_date ASC, feed_tasks\.id ASC$/);
+      expect(query.mock.calls[1][1]).toEqual([WORKSPACE_ID, 90, 2000]);
+    });
+
+    it('should return 404 once the user has left the workspace', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 4, user_id: 1, workspace_id: WORKSPACE_ID, workspace_name: 'Acme' }] });
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).not.toHaveBeenCalled();
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for unknown or malformed tokens', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await getCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+
+      req.params = { token: 'not-a-token' };
+      await getCalendarFeed(req, res);
+
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getCalendarFeeds', () => {
+    it('should list the user\'s feeds', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { id: 3, workspace_id: null, workspace_name: null, token: TOKEN, last_accessed_at: null, created_at: '2026-03-01T00:00:00Z' },
+          { id: 4, workspace_id: WORKSPACE_ID, workspace_name: 'Acme', token: TOKEN, last_accessed_at: null, created_at: '2026-03-02T00:00:00Z' },
+        ]
+      });
+
+      await getCalendarFeeds(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('WHERE f.user_id = $1'), [1]);
+      const { feeds } = res.json.mock.calls[0][0].data;
+      expect(feeds.map((feed) => feed.workspaceName)).toEqual([null, 'Acme']);
+    });
+  });
+
+  describe('createCalendarFeed', () => {
+    it('should create or replace the "My tasks" feed', async () => {
+      req.body = {};
+      query.mockResolvedValueOnce({ rows: [{ id: 7, workspace_id: null, token: TOKEN, created_at: '2026-03-01T00:00:00Z' }] });
+
+      await createCalendarFeed(req, res);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('DELETE FROM calendar_feeds WHERE user_id = $1 AND workspace_id IS NOT DISTINCT FROM $2::uuid');
+      expect(params[0]).toBe(1);
+      expect(params[1]).toBeNull();
+      expect(params[2]).toMatch(/^[0-9a-f]{48}$/);
+      expect(verifyWorkspaceAccess).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.feed.id).toBe(7);
+    });
+
+    it('should return 403 for a workspace the user cannot access', async () => {
+      req.body = { workspace_id: WORKSPACE_ID };
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await createCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteCalendarFeed', () => {
+    it('should revoke the user\'s feed', async () => {
+      req.params = { feedId: '7' };
+      query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      await deleteCalendarFeed(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM calendar_feeds'), ['7', 1]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        message: 'Calendar feed revoked successfully'
+      });
+    });
+
+    it('should return 404 for another user\'s feed', async () => {
+      req.params = { feedId: '99' };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await deleteCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -12,9 +12,17 @@ jest.mock('../../config/database');
 jest.mock('../../middleware/workspaceAuth', () => ({
   verifyWorkspaceAccess: jest.fn(),
 }));
+jest.mock('../../lib/realtime', () => ({
+  publishEvent: jest.fn(),
+}));
+jest.mock('../../lib/webhooks', () => ({
+  queueWebhookEvent: jest.fn(),
+}));
 
 const { query, getClient } = require('../../config/database');
 const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const { publishEvent } = require('../../lib/realtime');
+const { queueWebhookEvent } = require('../../lib/webhooks');
 
 describe('Category Controller', () => {
   let req, res;
@@ -215,6 +223,12 @@ describe('Category Controller', () => {
           })
         }
       });
+      expect(publishEvent).toHaveBeenCalledWith(
+        workspaceId,
+        'category.created',
+        { category: expect.objectContaining({ id: 1, name: 'New Category' }) },
+        req
+      );
     });
 
     it('should create category with custom color', async () => {
@@ -392,6 +406,8 @@ describe('Category Controller', () => {
         status: 'success',
         message: 'Category deleted successfully'
       });
+      expect(publishEvent).toHaveBeenCalledWith(workspaceId, 'category.deleted', { categoryId: existingCategory.id }, req);
+      expect(queueWebhookEvent).toHaveBeenCalledWith(workspaceId, 'category.deleted', { categoryId: existingCategory.id, name: existingCategory.name }, req.user.id);
     });
   });
 
@@ -10,9 +10,29 @@ jest.mock('../../config/database');
 jest.mock('../../middleware/workspaceAuth', () => ({
   verifyWorkspaceAccess: jest.fn(),
 }));
+jest.mock('../../lib/attachments', () => ({
+  ...jest.requireActual('../../lib/attachments'),
+  getCommentStorageKeys: jest.fn().mockResolvedValue([]),
+  removeStoredFiles: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../../lib/realtime', () => ({
+  publishEvent: jest.fn(),
+}));
+jest.mock('../../lib/webhooks', () => ({
+  queueWebhookEvent: jest.fn(),
+}));
+jest.mock('../../lib/mentions', () => ({
+  recordCommentMentions: jest.fn(),
+  notifyMentionedUsers: jest.fn(),
+  notifyTaskParticipants: jest.fn(),
+}));
 
 const { query } = require('../../config/database');
 const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const { getCommentStorageKeys, removeStoredFiles } = require('../../lib/attachments');
+const { publishEvent } = require('../../lib/realtime');
+const { queueWebhookEvent } = require('../../lib/webhooks');
+const { recordCommentMentions, notifyMentionedUsers, notifyTaskParticipants } = require('../../lib/mentions');
 
 describe('Comment Controller', () => {
   let req, res;
@@ -24,12 +44,13 @@ describe('Comment Controller', () => {
     jest.clearAllMocks();
     // Default: workspace access granted
     verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+    recordCommentMentions.mockResolvedValue([]);
   });
 
   // Helper: mock the verifyTaskWorkspaceAccess flow (task lookup + workspace check)
   const mockTaskExists = (workspaceId = 'ws-uuid-123') => {
-    // First query in verifyTaskWorkspaceAccess: SELECT workspace_id FROM tasks
-    query.mockResolvedValueOnce({ rows: [{ workspace_id: workspaceId }] });
+    // First query in verifyTaskWorkspaceAccess: SELECT workspace_id, title FROM tasks
+    query.mockResolvedValueOnce({ rows: [{ workspace_id: workspaceId, title: 'Launch plan' }] });
   };
 
   const mockTaskNotFound = () => {
@@ -66,6 +87,26 @@ describe('Comment Controller', () => {
       }));
     });
 
+    it('should include each comment\'s attachments', async () => {
+      req.params = { taskId: '1' };
+      mockTaskExists();
+      query.mockResolvedValue({
+        rows: [{
+          id: 1, task_id: 1, author_id: 1, content: 'See attached', author_name: 'User 1',
+          created_at: new Date(), updated_at: new Date(),
+          attachments: [{ id: 5, task_id: 1, comment_id: 1, file_name: 'spec.pdf', content_type: 'application/pdf', size_bytes: 2048, uploaded_by: 1 }]
+        }]
+      });
+
+      await getCommentsByTaskId(req, res);
+
+      expect(query.mock.calls[1][0]).toContain('task_attachments a');
+      const [comment] = res.json.mock.calls[0][0].data.comments;
+      expect(comment.attachments).toEqual([
+        expect.objectContaining({ id: 5, commentId: 1, fileName: 'spec.pdf', sizeBytes: 2048 })
+      ]);
+    });
+
     it('should return 404 when task not found', async () => {
       req.params = { taskId: '999' };
       mockTaskNotFound();
@@ -276,6 +317,12 @@ describe('Comment Controller', () => {
           })
         }
       });
+      expect(publishEvent).toHaveBeenCalledWith(
+        'ws-uuid-123',
+        'comment.created',
+        { comment: expect.objectContaining({ id: 1, taskId: 1 }) },
+        req
+      );
     });
 
     it('should trim whitespace from content', async () => {
@@ -296,6 +343,45 @@ describe('Comment Controller', () => {
       );
       expect(insertCall[1]).toContain('Test comment with spaces');
     });
+
+    it('should record mentions and notify the mentioned members', async () => {
+      req.params = { taskId: '1' };
+      req.body = { content: 'Hey @Ann Lee, can you check?' };
+      req.user = { id: 5 };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [{ id: 7 }] }); // Insert
+      query.mockResolvedValueOnce({ rows: [{
+        id: 7, task_id: 1, author_id: 5, content: 'Hey @Ann Lee, can you check?',
+        author_name: 'Test User', created_at: new Date(), updated_at: new Date()
+      }] }); // Full comment
+      const ann = { id: 9, name: 'Ann Lee', email: 'ann@example.com' };
+      recordCommentMentions.mockResolvedValueOnce([ann]);
+
+      await createComment(req, res);
+
+      expect(recordCommentMentions).toHaveBeenCalledWith({
+        commentId: 7,
+        content: 'Hey @Ann Lee, can you check?',
+        workspaceId: 'ws-uuid-123',
+        authorId: 5
+      });
+      expect(notifyMentionedUsers).toHaveBeenCalledWith({
+        users: [ann],
+        workspaceId: 'ws-uuid-123',
+        taskId: 1,
+        taskTitle: 'Launch plan',
+        comment: expect.objectContaining({ id: 7, authorName: 'Test User' })
+      });
+      // Members notified of the mention aren't told about the comment again
+      expect(notifyTaskParticipants).toHaveBeenCalledWith({
+        workspaceId: 'ws-uuid-123',
+        taskId: 1,
+        taskTitle: 'Launch plan',
+        comment: expect.objectContaining({ id: 7 }),
+        skipUserIds: [9]
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
   });
 
   describe('updateComment', () => {
@@ -405,6 +491,32 @@ describe('Comment Controller', () => {
         }
       });
     });
+
+    it('should resync mentions on edit and notify only new ones', async () => {
+      req.params = { id: '1' };
+      req.body = { content: 'Updated for @Ann Lee' };
+      req.user = { id: 1 };
+      query.mockResolvedValueOnce({ rows: [{ id: 1, author_id: 1, task_id: 10, content: 'Original' }] });
+      query.mockResolvedValueOnce({ rows: [{ workspace_id: 'ws-uuid-123', title: 'Launch plan' }] });
+      query.mockResolvedValueOnce({ rows: [] });
+      query.mockResolvedValueOnce({ rows: [{
+        id: 1, task_id: 10, author_id: 1, content: 'Updated for @Ann Lee',
+        author_name: 'Test User', created_at: new Date(), updated_at: new Date()
+      }] });
+
+      await updateComment(req, res);
+
+      expect(recordCommentMentions).toHaveBeenCalledWith(expect.objectContaining({
+        commentId: 1,
+        workspaceId: 'ws-uuid-123',
+        authorId: 1,
+        replaceExisting: true
+      }));
+      expect(notifyMentionedUsers).toHaveBeenCalledWith(expect.objectContaining({
+        users: [],
+        taskTitle: 'Launch plan'
+      }));
+    });
   });
 
   describe('deleteComment', () => {
@@ -473,6 +585,23 @@ describe('Comment Controller', () => {
         status: 'success',
         message: 'Comment deleted successfully'
       });
+      expect(publishEvent).toHaveBeenCalledWith('ws-uuid-123', 'comment.deleted', { commentId: 1, taskId: 10 }, req);
+      expect(queueWebhookEvent).toHaveBeenCalledWith('ws-uuid-123', 'comment.deleted', { commentId: 1, taskId: 10 }, req.user.id);
+    });
+
+    it('should remove the files attached through the comment', async () => {
+      req.params = { id: '1' };
+      req.user = { id: 1 };
+      query.mockResolvedValueOnce({ rows: [{ id: 1, author_id: 1, task_id: 10 }] });
+      query.mockResolvedValueOnce({ rows: [{ workspace_id: 'ws-uuid-123' }] });
+      query.mockResolvedValueOnce({ rows: [] });
+      getCommentStorageKeys.mockResolvedValueOnce(['ws-uuid-123/10/a.png']);
+
+      await deleteComment(req, res);
+
+      expect(getCommentStorageKeys).toHaveBeenCalledWith('1');
+      expect(query).toHaveBeenLastCalledWith('DELETE FROM comments WHERE id = $1', ['1']);
+      expect(removeStoredFiles).toHaveBeenCalledWith(['ws-uuid-123/10/a.png']);
     });
   });
 });
@@ -0,0 +1,203 @@
+const {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../customFieldController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Custom Field Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  const envRow = { id: 7, name: 'Environment', field_type: 'dropdown', options: ['staging', 'prod'], position: 1 };
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+  });
+
+  describe('getCustomFields', () => {
+    it('should return the workspace fields in order', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{ id: 3, name: 'Story points', field_type: 'number', options: [], position: 0 }, envRow]
+      });
+
+      await getCustomFields(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('ORDER BY position ASC'), [WORKSPACE_ID]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: {
+          fields: [
+            { id: 3, name: 'Story points', fieldType: 'number', options: [], position: 0 },
+            { id: 7, name: 'Environment', fieldType: 'dropdown', options: ['staging', 'prod'], position: 1 },
+          ]
+        }
+      });
+    });
+
+    it('should return 403 without workspace access', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getCustomFields(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createCustomField', () => {
+    it('should create a dropdown field at the end of the list', async () => {
+      req.body = { name: 'Environment', field_type: 'dropdown', options: ['staging', 'prod'] };
+      query
+        .mockResolvedValueOnce({ rows: [] }) // duplicate name check
+        .mockResolvedValueOnce({ rows: [envRow] });
+
+      await createCustomField(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual([WORKSPACE_ID, 'Environment', 'dropdown', '["staging","prod"]', 1]);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { field: expect.objectContaining({ id: 7, fieldType: 'dropdown' }) }
+      }));
+    });
+
+    it('should drop options for non-dropdown fields', async () => {
+      req.body = { name: 'Customer', field_type: 'text', options: ['ignored'] };
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 8, name: 'Customer', field_type: 'text', options: [], position: 0 }] });
+
+      await createCustomField(req, res);
+
+      expect(query.mock.calls[1][1][3]).toBe('[]');
+    });
+
+    it('should reject duplicate names', async () => {
+      req.body = { name: 'environment', field_type: 'text' };
+      query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      await createCustomField(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Custom field with this name already exists'
+      });
+    });
+
+    it('should only allow admins', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'member' });
+      req.body = { name: 'Customer', field_type: 'text' };
+
+      await createCustomField(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Only workspace admins can manage custom fields'
+      });
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateCustomField', () => {
+    beforeEach(() => {
+      req.params.fieldId = '7';
+    });
+
+    it('should return 404 for a field in another workspace', async () => {
+      req.body = { name: 'Env' };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await updateCustomField(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should add dropdown options', async () => {
+      req.body = { options: ['staging', 'prod', 'dev'] };
+      const updated = { ...envRow, options: ['staging', 'prod', 'dev'] };
+      query
+        .mockResolvedValueOnce({ rows: [envRow] })
+        .mockResolvedValueOnce({ rows: [updated] });
+
+      await updateCustomField(req, res);
+
+      expect(query.mock.calls[1][0]).toContain('options = $1');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { field: expect.objectContaining({ options: ['staging', 'prod', 'dev'] }) }
+      }));
+    });
+
+    it('should refuse to remove an option that tasks still use', async () => {
+      req.body = { options: ['prod'] };
+      query
+        .mockResolvedValueOnce({ rows: [envRow] })
+        .mockResolvedValueOnce({ rows: [{ option: 'staging', count: '3' }] });
+
+      await updateCustomField(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual([7, ['staging']]);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Cannot remove option "staging" while 3 task(s) use it'
+      });
+    });
+
+    it('should reject options on non-dropdown fields', async () => {
+      req.body = { options: ['a'] };
+      query.mockResolvedValueOnce({ rows: [{ ...envRow, field_type: 'text', options: [] }] });
+
+      await updateCustomField(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Only dropdown fields have options'
+      });
+    });
+  });
+
+  describe('deleteCustomField', () => {
+    beforeEach(() => {
+      req.params.fieldId = '7';
+    });
+
+    it('should delete the field', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+      await deleteCustomField(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM custom_fields'), ['7', WORKSPACE_ID]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        message: 'Custom field deleted successfully'
+      });
+    });
+
+    it('should return 404 when the field does not exist', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await deleteCustomField(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -1,258 +1,340 @@
-// We need to set the env var BEFORE requiring the controller,
-// because the controller reads ABSTRACT_API_KEY at module load time.
-const MOCK_API_KEY = 'test-abstract-api-key';
-process.env.ABSTRACT_API_KEY = MOCK_API_KEY;
-
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
 jest.mock('../../lib/logger', () => ({
   info: jest.fn(),
   error: jest.fn(),
   warn: jest.fn(),
 }));
 
-const { getHolidays } = require('../holidayController');
+const {
+  getHolidays,
+  getHolidayRegions,
+  getWorkspaceHolidayCalendar,
+  updateWorkspaceHolidayCalendar,
+  createWorkspaceHoliday,
+  deleteWorkspaceHoliday
+} = require('../holidayController');
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
 
 describe('Holiday Controller', () => {
   let req, res;
 
+  const WORKSPACE_ID = 'ws-uuid-123';
+  const originalProvider = process.env.HOLIDAY_PROVIDER;
+  const originalDefault = process.env.HOLIDAY_DEFAULT_REGIONS;
+
+  // Answers the holiday queries by table; unset ones return no rows
+  const mockTables = ({
+    userRegions = null,
+    workspaceRegions = null,
+    workingDays = [1, 2, 3, 4, 5],
+    companyHolidays = [],
+  } = {}) => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users')) return { rows: [{ holiday_regions: userRegions }] };
+      if (sql.includes('FROM workspaces')) {
+        return { rows: [{ holiday_regions: workspaceRegions, working_days: workingDays }] };
+      }
+      if (sql.includes('FROM workspace_holidays')) return { rows: companyHolidays };
+      return { rows: [] };
+    });
+  };
+
+  const holidaysOf = () => res.json.mock.calls[0][0].data.holidays;
+  const findByName = (name) => holidaysOf().find((holiday) => holiday.name === name);
+
   beforeEach(() => {
     req = createMockReq();
     res = createMockRes();
-    jest.clearAllMocks();
-
-    // Clear the module-level holiday cache between tests by
-    // re-importing is impractical, so we just use unique years.
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    delete process.env.HOLIDAY_PROVIDER;
+    delete process.env.HOLIDAY_DEFAULT_REGIONS;
     global.fetch = jest.fn();
   });
 
   afterEach(() => {
     delete global.fetch;
+    if (originalProvider !== undefined) process.env.HOLIDAY_PROVIDER = originalProvider;
+    if (originalDefault !== undefined) process.env.HOLIDAY_DEFAULT_REGIONS = originalDefault;
   });
 
-  const mockAbstractApiResponse = [
-    {
-      name: 'New Year',
-      name_local: 'Naujieji metai',
-      date_year: '2026',
-      date_month: '1',
-      date_day: '1',
-      type: 'National',
-    },
-    {
-      name: 'Restoration of the State Day',
-      name_local: 'Valstybės atkūrimo diena',
-      date_year: '2026',
-      date_month: '2',
-      date_day: '16',
-      type: 'National',
-    },
-  ];
-
-  it('should return holidays from Abstract API on success', async () => {
-    req.query = { year: '2050' };
-
-    global.fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => mockAbstractApiResponse,
+  // ─── getHolidays ─────────────────────────────────────────────────────────────
+
+  describe('getHolidays', () => {
+    it('returns Lithuanian holidays from the bundled rules by default, without network', async () => {
+      req.query = { year: '2026' };
+      mockTables();
+
+      await getHolidays(req, res);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: expect.objectContaining({ year: 2026, regions: ['LT'] }),
+      });
+      expect(findByName('Easter Monday')).toMatchObject({
+        date: '2026-04-06',
+        localName: 'Antroji Velykų diena',
+        source: 'public',
+        regions: ['LT'],
+      });
     });
 
-    await getHolidays(req, res);
-
-    expect(global.fetch).toHaveBeenCalledWith(
-      expect.stringContaining(`api_key=${MOCK_API_KEY}`)
-    );
-    expect(global.fetch).toHaveBeenCalledWith(
-      expect.stringContaining('country=LT')
-    );
-    expect(global.fetch).toHaveBeenCalledWith(
-      expect.stringContaining('year=2050')
-    );
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      status: 'success',
-      data: expect.objectContaining({
-        fromCache: false,
-        holidays: expect.arrayContaining([
-          expect.objectContaining({
-            name: 'New Year',
-            localName: 'Naujieji metai',
-            date: '2026-01-01',
-            type: 'National',
-            isPublic: true,
-          }),
-        ]),
-      }),
-    }));
-  });
+    it("uses the user's own regions over the workspace's", async () => {
+      req.query = { year: '2026', workspace_id: WORKSPACE_ID };
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      mockTables({ userRegions: ['PL'], workspaceRegions: ['LT'] });
+
+      await getHolidays(req, res);
 
-  it('should return cached response on subsequent call for the same year', async () => {
-    // First call — populates cache
-    req.query = { year: '2051' };
-    global.fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => mockAbstractApiResponse,
+      expect(res.json.mock.calls[0][0].data.regions).toEqual(['PL']);
+      expect(findByName('Constitution Day').date).toBe('2026-05-03');
+      expect(findByName('Statehood Day')).toBeUndefined();
     });
 
-    await getHolidays(req, res);
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      data: expect.objectContaining({ fromCache: false }),
-    }));
+    it("combines the workspace's regions and its company holidays", async () => {
+      req.query = { year: '2026', workspace_id: WORKSPACE_ID };
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      mockTables({
+        workspaceRegions: ['DE-BY', 'PL'],
+        companyHolidays: [{ id: 7, date: '2025-07-17', name: 'Company anniversary', recurring: true }],
+      });
 
-    // Second call — same year, should come from cache
-    jest.clearAllMocks();
-    req = createMockReq();
-    res = createMockRes();
-    req.query = { year: '2051' };
+      await getHolidays(req, res);
 
-    await getHolidays(req, res);
+      expect(verifyWorkspaceAccess).toHaveBeenCalledWith(1, WORKSPACE_ID);
+      expect(res.json.mock.calls[0][0].data.regions).toEqual(['DE-BY', 'PL']);
+      expect(findByName("New Year's Day").regions).toEqual(['DE-BY', 'PL']);
+      expect(findByName('Company anniversary')).toMatchObject({ id: 7, date: '2026-07-17', source: 'company' });
+    });
 
-    expect(global.fetch).not.toHaveBeenCalled();
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      data: expect.objectContaining({ fromCache: true }),
-    }));
-  });
+    it("includes the workspace's working days, or Monday to Friday without a workspace", async () => {
+      req.query = { year: '2026', workspace_id: WORKSPACE_ID };
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      mockTables({ workingDays: [7, 1, 2, 3, 4] });
 
-  it('should return 400 for missing year parameter', async () => {
-    req.query = {};
+      await getHolidays(req, res);
 
-    await getHolidays(req, res);
+      expect(res.json.mock.calls[0][0].data.workingDays).toEqual([1, 2, 3, 4, 7]);
 
-    expect(res.status).toHaveBeenCalledWith(400);
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      status: 'error',
-      message: 'Valid year parameter is required',
-    }));
-  });
+      req.query = { year: '2026' };
+      res = createMockRes();
+      await getHolidays(req, res);
 
-  it('should return 400 for non-numeric year parameter', async () => {
-    req.query = { year: 'abc' };
+      expect(res.json.mock.calls[0][0].data.workingDays).toEqual([1, 2, 3, 4, 5]);
+    });
 
-    await getHolidays(req, res);
+    it('returns 403 for a workspace the user cannot access', async () => {
+      req.query = { year: '2026', workspace_id: WORKSPACE_ID };
+      verifyWorkspaceAccess.mockResolvedValue(null);
 
-    expect(res.status).toHaveBeenCalledWith(400);
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      status: 'error',
-      message: 'Valid year parameter is required',
-    }));
-  });
+      await getHolidays(req, res);
 
-  it('should return 500 when Abstract API returns a non-OK response', async () => {
-    req.query = { year: '2052' };
-    global.fetch.mockResolvedValueOnce({
-      ok: false,
-      status: 503,
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
     });
 
-    await getHolidays(req, res);
+    it('returns 400 for a missing, non-numeric or out-of-range year', async () => {
+      for (const year of [undefined, 'abc', '20000']) {
+        req.query = { year };
+        res = createMockRes();
+
+        await getHolidays(req, res);
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      status: 'error',
-      message: 'Error fetching holidays',
-    }));
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          status: 'error',
+          message: 'Valid year parameter is required',
+        });
+      }
+    });
   });
 
-  it('should return 500 when fetch throws a network error', async () => {
-    req.query = { year: '2053' };
-    global.fetch.mockRejectedValueOnce(new Error('Network failure'));
+  // ─── getHolidayRegions ───────────────────────────────────────────────────────
 
-    await getHolidays(req, res);
+  describe('getHolidayRegions', () => {
+    it('lists the regions, the default and the provider', async () => {
+      process.env.HOLIDAY_DEFAULT_REGIONS = 'pl,de-by';
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      status: 'error',
-      message: 'Error fetching holidays',
-    }));
+      await getHolidayRegions(req, res);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.regions).toContainEqual({ code: 'DE-BY', name: 'Germany – Bavaria', country: 'DE' });
+      expect(data.defaultRegions).toEqual(['PL', 'DE-BY']);
+      expect(data.provider).toEqual({ id: 'rules', label: 'Built-in holiday rules' });
+    });
   });
 
-  it('should hide error details when NODE_ENV is production', async () => {
-    const originalNodeEnv = process.env.NODE_ENV;
+  // ─── Workspace holiday calendar ──────────────────────────────────────────────
+
+  describe('getWorkspaceHolidayCalendar', () => {
+    it("returns the workspace's regions, working days and company holidays", async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      mockTables({
+        workspaceRegions: ['PL'],
+        companyHolidays: [{ id: 7, date: '2026-07-17', name: 'Company anniversary', recurring: true, created_by: 1, created_at: '2026-01-05T10:00:00Z' }],
+      });
+
+      await getWorkspaceHolidayCalendar(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: {
+          regions: ['PL'],
+          effectiveRegions: ['PL'],
+          defaultRegions: ['LT'],
+          workingDays: [1, 2, 3, 4, 5],
+          holidays: [{ id: 7, date: '2026-07-17', name: 'Company anniversary', recurring: true, createdBy: 1, createdAt: '2026-01-05T10:00:00Z' }],
+        },
+      });
+    });
 
-    req.query = { year: '2055' };
-    global.fetch.mockRejectedValueOnce(new Error('Secret internal failure'));
+    it('reports the default regions when the workspace has not chosen any', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'viewer' });
+      mockTables();
 
-    // Set NODE_ENV to production before calling — safeError reads it at call time
-    process.env.NODE_ENV = 'production';
+      await getWorkspaceHolidayCalendar(req, res);
+
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ regions: null, effectiveRegions: ['LT'] });
+    });
 
-    await getHolidays(req, res);
+    it('returns 403 without access', async () => {
+      verifyWorkspaceAccess.mockResolvedValue(null);
 
-    // Restore immediately after
-    process.env.NODE_ENV = originalNodeEnv;
+      await getWorkspaceHolidayCalendar(req, res);
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.json).toHaveBeenCalledWith({
-      status: 'error',
-      message: 'Error fetching holidays',
-      error: undefined,
+      expect(res.status).toHaveBeenCalledWith(403);
     });
   });
 
-  it('should fall back to name when name_local is falsy', async () => {
-    req.query = { year: '2056' };
-
-    const holidaysWithoutLocal = [
-      {
-        name: 'Independence Day',
-        name_local: '',
-        date_year: '2026',
-        date_month: '3',
-        date_day: '11',
-        type: 'National',
-      },
-      {
-        name: 'Easter Monday',
-        name_local: null,
-        date_year: '2026',
-        date_month: '4',
-        date_day: '6',
-        type: 'National',
-      },
-    ];
-
-    global.fetch.mockResolvedValueOnce({
-      ok: true,
-      json: async () => holidaysWithoutLocal,
+  describe('updateWorkspaceHolidayCalendar', () => {
+    it('saves the chosen regions', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValue({ rows: [{ holiday_regions: ['DE-BY', 'PL'], working_days: [1, 2, 3, 4, 5] }] });
+      req.body = { regions: ['DE-BY', 'PL'] };
+
+      await updateWorkspaceHolidayCalendar(req, res);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE workspaces SET holiday_regions = $1 WHERE id = $2'),
+        [['DE-BY', 'PL'], WORKSPACE_ID]
+      );
+      expect(res.json.mock.calls[0][0].data).toEqual({
+        regions: ['DE-BY', 'PL'],
+        effectiveRegions: ['DE-BY', 'PL'],
+        workingDays: [1, 2, 3, 4, 5],
+      });
     });
 
-    await getHolidays(req, res);
-
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      status: 'success',
-      data: expect.objectContaining({
-        fromCache: false,
-        holidays: expect.arrayContaining([
-          expect.objectContaining({
-            name: 'Independence Day',
-            localName: 'Independence Day',
-          }),
-          expect.objectContaining({
-            name: 'Easter Monday',
-            localName: 'Easter Monday',
-          }),
-        ]),
-      }),
-    }));
+    it('saves the working days without touching the regions', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValue({ rows: [{ holiday_regions: ['PL'], working_days: [1, 2, 3, 4, 7] }] });
+      req.body = { workingDays: [1, 2, 3, 4, 7] };
+
+      await updateWorkspaceHolidayCalendar(req, res);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE workspaces SET working_days = $1 WHERE id = $2'),
+        [[1, 2, 3, 4, 7], WORKSPACE_ID]
+      );
+      expect(res.json.mock.calls[0][0].data).toEqual({
+        regions: ['PL'],
+        effectiveRegions: ['PL'],
+        workingDays: [1, 2, 3, 4, 7],
+      });
+    });
+
+    it('goes back to the default for an empty list', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValue({ rows: [{ holiday_regions: null, working_days: [1, 2, 3, 4, 5] }] });
+      req.body = { regions: [] };
+
+      await updateWorkspaceHolidayCalendar(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.any(String), [null, WORKSPACE_ID]);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ regions: null, effectiveRegions: ['LT'] });
+    });
+
+    it('is admin only', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      req.body = { regions: ['PL'] };
+
+      await updateWorkspaceHolidayCalendar(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Only workspace admins can manage the holiday calendar',
+      });
+      expect(query).not.toHaveBeenCalled();
+    });
   });
 
-  it('should return 500 when ABSTRACT_API_KEY is not configured', async () => {
-    // Re-import the controller without the API key set
-    let getHolidaysNoKey;
-    const originalKey = process.env.ABSTRACT_API_KEY;
-    delete process.env.ABSTRACT_API_KEY;
+  describe('createWorkspaceHoliday', () => {
+    it('adds a company holiday', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query
+        .mockResolvedValueOnce({ rows: [{ count: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, date: '2026-12-31', name: 'Office closed', recurring: false, created_by: 1, created_at: '2026-03-01T10:00:00Z' }] });
+      req.body = { date: '2026-12-31', name: 'Office closed' };
+
+      await createWorkspaceHoliday(req, res);
+
+      expect(query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO workspace_holidays'),
+        [WORKSPACE_ID, '2026-12-31', 'Office closed', false, 1]
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.holiday).toEqual({
+        id: 9, date: '2026-12-31', name: 'Office closed', recurring: false, createdBy: 1, createdAt: '2026-03-01T10:00:00Z',
+      });
+    });
+
+    it('returns 400 once the workspace has too many company holidays', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValueOnce({ rows: [{ count: 100 }] });
+      req.body = { date: '2026-12-31', name: 'Office closed' };
 
-    jest.isolateModules(() => {
-      getHolidaysNoKey = require('../holidayController').getHolidays;
+      await createWorkspaceHoliday(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('is admin only', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'viewer' });
+      req.body = { date: '2026-12-31', name: 'Office closed' };
+
+      await createWorkspaceHoliday(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
     });
+  });
+
+  describe('deleteWorkspaceHoliday', () => {
+    it('removes a company holiday of the workspace', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+      req.params.holidayId = '9';
 
-    // Restore the key for other tests
-    process.env.ABSTRACT_API_KEY = originalKey;
+      await deleteWorkspaceHoliday(req, res);
 
-    req.query = { year: '2054' };
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM workspace_holidays'), ['9', WORKSPACE_ID]);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'Company holiday removed successfully' });
+    });
 
-    await getHolidaysNoKey(req, res);
+    it('returns 404 for a holiday of another workspace', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValueOnce({ rows: [] });
+      req.params.holidayId = '9';
 
-    expect(res.status).toHaveBeenCalledWith(500);
-    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-      status: 'error',
-      message: 'ABSTRACT_API_KEY environment variable not configured',
-    }));
+      await deleteWorkspaceHoliday(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
   });
 });
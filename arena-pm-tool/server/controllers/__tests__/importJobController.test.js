@@ -0,0 +1,149 @@
+const { createImportJob, getImportJobs, getImportJob } = require('../importJobController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Import Job Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = '3f2b8c1e-8d1a-4c5e-9b7a-1234567890ab';
+
+  const jobRow = (overrides = {}) => ({
+    id: 12,
+    workspace_id: WORKSPACE_ID,
+    user_id: 1,
+    source: 'trello',
+    file_name: 'board.json',
+    status: 'pending',
+    total_items: 0,
+    processed_items: 0,
+    summary: null,
+    error: null,
+    created_at: '2026-03-01T10:00:00.000Z',
+    started_at: null,
+    completed_at: null,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    jest.clearAllMocks();
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+  });
+
+  describe('createImportJob', () => {
+    beforeEach(() => {
+      req.body = { source: 'trello' };
+      req.file = { originalname: 'board.json', buffer: Buffer.from('{"cards":[]}') };
+    });
+
+    it('stores the export as a pending job', async () => {
+      query.mockResolvedValueOnce({ rows: [jobRow()] });
+
+      await createImportJob(req, res);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO import_jobs'),
+        [WORKSPACE_ID, 1, 'trello', 'board.json', '{"cards":[]}']
+      );
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Trello import queued',
+        data: { job: expect.objectContaining({ id: 12, status: 'pending', fileName: 'board.json', workspaceId: WORKSPACE_ID }) },
+      }));
+    });
+
+    it('rejects non-members', async () => {
+      verifyWorkspaceAccess.mockResolvedValue(null);
+
+      await createImportJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('rejects viewers', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'viewer' });
+
+      await createImportJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('requires a file', async () => {
+      req.file = undefined;
+      req.body = { source: 'jira' };
+
+      await createImportJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Choose a Jira export to import' }));
+    });
+
+    it('rejects an empty file', async () => {
+      req.file.buffer = Buffer.from('  \n');
+
+      await createImportJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getImportJobs', () => {
+    it('returns the most recent jobs', async () => {
+      query.mockResolvedValueOnce({ rows: [jobRow({ status: 'completed', summary: { tasksCreated: 3 } })] });
+
+      await getImportJobs(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('ORDER BY created_at DESC'), [WORKSPACE_ID, 10]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: { jobs: [expect.objectContaining({ id: 12, status: 'completed', summary: { tasksCreated: 3 } })] },
+      });
+    });
+  });
+
+  describe('getImportJob', () => {
+    it('returns a job of the workspace', async () => {
+      req.params.jobId = '12';
+      query.mockResolvedValueOnce({ rows: [jobRow({ status: 'running', total_items: 80, processed_items: 25 })] });
+
+      await getImportJob(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.any(String), [12, WORKSPACE_ID]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: { job: expect.objectContaining({ status: 'running', totalItems: 80, processedItems: 25 }) },
+      });
+    });
+
+    it('returns 404 for jobs of other workspaces', async () => {
+      req.params.jobId = '99';
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await getImportJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('returns 404 for ids that are not numbers', async () => {
+      req.params.jobId = 'abc';
+
+      await getImportJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -77,6 +77,7 @@ describe('Me Controller', () => {
         timezone: 'Europe/Vilnius',
         email_notifications_enabled: true,
         email_digest_mode: 'immediate',
+        reminder_lookahead_days: 3,
         created_at: new Date('2024-01-01'),
         updated_at: new Date('2024-06-01'),
       };
@@ -101,8 +102,10 @@ describe('Me Controller', () => {
             role: 'member',
             language: 'en',
             timezone: 'Europe/Vilnius',
+            holidayRegions: null,
             emailNotificationsEnabled: true,
             emailDigestMode: 'immediate',
+            reminderLookaheadDays: 3,
             createdAt: mockUser.created_at,
             updatedAt: mockUser.updated_at,
           },
@@ -217,6 +220,7 @@ describe('Me Controller', () => {
           preferences: {
             language: 'fr',
             timezone: 'UTC',
+            holidayRegions: null,
           },
         },
       });
@@ -237,11 +241,45 @@ describe('Me Controller', () => {
           preferences: {
             language: 'en',
             timezone: 'Europe/Vilnius',
+            holidayRegions: null,
           },
         },
       });
     });
 
+    it('should update holiday regions', async () => {
+      req.body = { holidayRegions: ['PL', 'DE-BY'] };
+      query.mockResolvedValue({
+        rows: [{ language: 'en', timezone: 'UTC', holiday_regions: ['PL', 'DE-BY'] }],
+      });
+
+      await updatePreferences(req, res);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('holiday_regions = $1'),
+        [['PL', 'DE-BY'], 1]
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: {
+          preferences: { language: 'en', timezone: 'UTC', holidayRegions: ['PL', 'DE-BY'] },
+        },
+      }));
+    });
+
+    it('should clear holiday regions to follow the workspace calendar', async () => {
+      req.body = { holidayRegions: [] };
+      query.mockResolvedValue({
+        rows: [{ language: 'en', timezone: 'UTC', holiday_regions: null }],
+      });
+
+      await updatePreferences(req, res);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('holiday_regions = $1'),
+        [null, 1]
+      );
+    });
+
     it('should return 400 for invalid language', async () => {
       req.body = { language: 'xx' };
 
@@ -271,9 +309,9 @@ describe('Me Controller', () => {
 
   describe('updateNotifications', () => {
     it('should update notification settings', async () => {
-      req.body = { emailNotificationsEnabled: false, emailDigestMode: 'daily_digest' };
+      req.body = { emailNotificationsEnabled: false, emailDigestMode: 'weekly', reminderLookaheadDays: 5 };
       query.mockResolvedValue({
-        rows: [{ email_notifications_enabled: false, email_digest_mode: 'daily_digest' }],
+        rows: [{ email_notifications_enabled: false, email_digest_mode: 'weekly', reminder_lookahead_days: 5 }],
       });
 
       await updateNotifications(req, res);
@@ -284,14 +322,15 @@ describe('Me Controller', () => {
         data: {
           notifications: {
             emailNotificationsEnabled: false,
-            emailDigestMode: 'daily_digest',
+            emailDigestMode: 'weekly',
+            reminderLookaheadDays: 5,
           },
         },
       });
     });
 
     it('should return 400 for invalid digest mode', async () => {
-      req.body = { emailDigestMode: 'weekly' };
+      req.body = { emailDigestMode: 'daily_digest' };
 
       await updateNotifications(req, res);
 
@@ -302,6 +341,15 @@ describe('Me Controller', () => {
       });
     });
 
+    it('should return 400 for a lookahead outside 0 to 14 days', async () => {
+      req.body = { reminderLookaheadDays: 30 };
+
+      await updateNotifications(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
     it('should return 400 when no valid fields are provided', async () => {
       req.body = {};
 
@@ -493,7 +541,7 @@ describe('Me Controller', () => {
       await getMyTasks(req, res);
 
       expect(query).toHaveBeenCalledWith(
-        expect.stringContaining("t.status != 'completed'"),
+        expect.stringContaining("<> 'done'"),
         [1]
       );
     });
@@ -661,7 +709,7 @@ describe('Me Controller', () => {
         expect.stringContaining('attachment; filename="todoria-tasks-')
       );
       expect(res.send).toHaveBeenCalledWith(
-        expect.stringContaining('Title,Description,Status,Priority,Due Date,Completed At,Category,Created At')
+        expect.stringContaining('Title,Description,Status,Priority,Due Date,Completed At,Category,Created At,Estimate (hours),Time Tracked (hours)')
       );
       // Verify task data appears in CSV
       const csvContent = res.send.mock.calls[0][0];
@@ -677,9 +725,42 @@ describe('Me Controller', () => {
 
       const csvContent = res.send.mock.calls[0][0];
       expect(csvContent).toBe(
-        'Title,Description,Status,Priority,Due Date,Completed At,Category,Created At'
+        'Title,Description,Status,Priority,Due Date,Completed At,Category,Created At,Estimate (hours),Time Tracked (hours)'
       );
     });
+
+    it('should add a column per custom field', async () => {
+      query.mockResolvedValue({
+        rows: [
+          { title: 'Task 1', status: 'todo', priority: 'high', created_at: new Date('2024-01-15'), custom_fields: { 'Story points': 5 } },
+          { title: 'Task 2', status: 'todo', priority: 'low', created_at: new Date('2024-01-16'), custom_fields: { Customer: 'Acme, Inc.' } },
+        ]
+      });
+
+      await exportTasksCsv(req, res);
+
+      expect(query.mock.calls[0][0]).toContain('as custom_fields');
+      const [header, first, second] = res.send.mock.calls[0][0].split('\n');
+      expect(header).toBe('Title,Description,Status,Priority,Due Date,Completed At,Category,Created At,Estimate (hours),Time Tracked (hours),Story points,Customer');
+      expect(first.endsWith(',5,')).toBe(true);
+      expect(second.endsWith(',,"Acme, Inc."')).toBe(true);
+    });
+
+    it('should include the estimate and tracked time in hours', async () => {
+      query.mockResolvedValue({
+        rows: [
+          { title: 'Billable', status: 'todo', priority: 'high', created_at: new Date('2024-01-15'), estimate_minutes: 90, tracked_seconds: '4500' },
+          { title: 'Untracked', status: 'todo', priority: 'low', created_at: new Date('2024-01-16'), estimate_minutes: null, tracked_seconds: '0' },
+        ]
+      });
+
+      await exportTasksCsv(req, res);
+
+      expect(query.mock.calls[0][0]).toContain('as tracked_seconds');
+      const [, first, second] = res.send.mock.calls[0][0].split('\n');
+      expect(first.endsWith(',1.5,1.25')).toBe(true);
+      expect(second.endsWith(',,0')).toBe(true);
+    });
   });
 
   // ─── getDataExport ───────────────────────────────────────────────────────────
@@ -691,13 +772,15 @@ describe('Me Controller', () => {
       const mockCategories = [{ id: 10, name: 'Dev', color: '#3B82F6', workspace_id: 'ws-1', created_at: new Date() }];
       const mockComments = [{ id: 100, task_id: 1, content: 'A comment', created_at: new Date() }];
       const mockWorkspaces = [{ id: 'ws-1', name: 'My Workspace', role: 'admin', joined_at: new Date() }];
+      const mockTimeEntries = [{ id: 7, task_id: 1, task_title: 'Task 1', started_at: new Date(), ended_at: new Date(), duration_seconds: 1800, note: null, created_at: new Date() }];
 
       query
         .mockResolvedValueOnce({ rows: [mockUserData] })
         .mockResolvedValueOnce({ rows: mockTasks })
         .mockResolvedValueOnce({ rows: mockCategories })
         .mockResolvedValueOnce({ rows: mockComments })
-        .mockResolvedValueOnce({ rows: mockWorkspaces });
+        .mockResolvedValueOnce({ rows: mockWorkspaces })
+        .mockResolvedValueOnce({ rows: mockTimeEntries });
 
       await getDataExport(req, res);
 
@@ -710,6 +793,7 @@ describe('Me Controller', () => {
           categories: mockCategories,
           comments: mockComments,
           workspaces: mockWorkspaces,
+          timeEntries: mockTimeEntries,
         },
       });
     });
@@ -926,7 +1010,7 @@ describe('Me Controller', () => {
       await getMyTasks(req, res);
 
       expect(query).toHaveBeenCalledWith(
-        expect.stringContaining("t.status = 'completed'"),
+        expect.stringMatching(/\) = 'done'/),
         [1]
       );
     });
@@ -0,0 +1,164 @@
+const {
+  getNotifications,
+  updateNotification,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../notificationController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+
+const { query } = require('../../config/database');
+
+describe('Notification Controller', () => {
+  let req, res;
+
+  const notificationRow = (overrides = {}) => ({
+    id: 12,
+    user_id: 1,
+    workspace_id: 'ws-uuid-123',
+    type: 'assignment',
+    actor_id: 2,
+    task_id: 5,
+    comment_id: null,
+    data: { taskTitle: 'Launch plan', actorName: 'Bob' },
+    read_at: null,
+    created_at: '2026-03-01T10:00:00Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    jest.clearAllMocks();
+  });
+
+  describe('getNotifications', () => {
+    it('should return the newest notifications with the unread count', async () => {
+      query.mockResolvedValueOnce({ rows: [notificationRow(), notificationRow({ id: 11, read_at: '2026-03-01T11:00:00Z' })] });
+      query.mockResolvedValueOnce({ rows: [{ count: 1 }] });
+
+      await getNotifications(req, res);
+
+      expect(query.mock.calls[0][0]).toContain('ORDER BY id DESC');
+      expect(query.mock.calls[0][1]).toEqual([1, 21]);
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.notifications[0]).toEqual({
+        id: 12,
+        type: 'assignment',
+        workspaceId: 'ws-uuid-123',
+        actorId: 2,
+        taskId: 5,
+        commentId: null,
+        data: { taskTitle: 'Launch plan', actorName: 'Bob' },
+        readAt: null,
+        createdAt: '2026-03-01T10:00:00Z',
+      });
+      expect(data.unreadCount).toBe(1);
+      expect(data.hasMore).toBe(false);
+      expect(data.nextCursor).toBeNull();
+    });
+
+    it('should page with a cursor and filter to unread', async () => {
+      req.query = { cursor: '30', limit: '1', unread: 'true' };
+      query.mockResolvedValueOnce({ rows: [notificationRow({ id: 29 }), notificationRow({ id: 28 })] });
+      query.mockResolvedValueOnce({ rows: [{ count: 4 }] });
+
+      await getNotifications(req, res);
+
+      expect(query.mock.calls[0][0]).toContain('read_at IS NULL');
+      expect(query.mock.calls[0][0]).toContain('id < $2');
+      expect(query.mock.calls[0][1]).toEqual([1, 30, 2]);
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.notifications).toHaveLength(1);
+      expect(data.hasMore).toBe(true);
+      expect(data.nextCursor).toBe(29);
+    });
+  });
+
+  describe('updateNotification', () => {
+    it('should mark a notification read', async () => {
+      req.params = { id: '12' };
+      req.body = { read: true };
+      query.mockResolvedValueOnce({ rows: [notificationRow({ read_at: '2026-03-02T08:00:00Z' })] });
+      query.mockResolvedValueOnce({ rows: [{ count: 0 }] });
+
+      await updateNotification(req, res);
+
+      expect(query.mock.calls[0][0]).toContain('WHERE id = $1 AND user_id = $2');
+      expect(query.mock.calls[0][1]).toEqual(['12', 1, true]);
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.notification.readAt).toBe('2026-03-02T08:00:00Z');
+      expect(data.unreadCount).toBe(0);
+    });
+
+    it("should return 404 for someone else's notification", async () => {
+      req.params = { id: '99' };
+      req.body = { read: false };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await updateNotification(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    });
+  });
+
+  describe('markAllNotificationsRead', () => {
+    it('should mark every unread notification read', async () => {
+      query.mockResolvedValueOnce({ rowCount: 3 });
+
+      await markAllNotificationsRead(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('read_at IS NULL'), [1]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: { updated: 3, unreadCount: 0 }
+      });
+    });
+  });
+
+  describe('getNotificationPreferences', () => {
+    it('should fill in unset types and channels as on', async () => {
+      query.mockResolvedValueOnce({ rows: [{ notification_preferences: { comment: { email: false } } }] });
+
+      await getNotificationPreferences(req, res);
+
+      const { preferences } = res.json.mock.calls[0][0].data;
+      expect(preferences.comment).toEqual({ inApp: true, email: false });
+      expect(preferences.assignment).toEqual({ inApp: true, email: true });
+      expect(Object.keys(preferences)).toHaveLength(8);
+    });
+  });
+
+  describe('updateNotificationPreferences', () => {
+    it('should merge the given channels into the stored preferences', async () => {
+      req.body = { preferences: { due_soon: { inApp: false } } };
+      query.mockResolvedValueOnce({ rows: [{
+        notification_preferences: { comment: { email: false }, due_soon: { inApp: false } }
+      }] });
+
+      await updateNotificationPreferences(req, res);
+
+      expect(query.mock.calls[0][0]).toContain('jsonb_each($2::jsonb)');
+      expect(query.mock.calls[0][1]).toEqual([1, JSON.stringify({ due_soon: { inApp: false } })]);
+      const { preferences } = res.json.mock.calls[0][0].data;
+      expect(preferences.due_soon).toEqual({ inApp: false, email: true });
+      expect(preferences.comment).toEqual({ inApp: true, email: false });
+    });
+
+    it('should return 404 when the user no longer exists', async () => {
+      req.body = { preferences: { comment: { email: false } } };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await updateNotificationPreferences(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { streamWorkspaceEvents } = require('../realtimeController');
+
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+jest.mock('../../lib/realtime', () => ({
+  subscribe: jest.fn(),
+}));
+
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const { subscribe } = require('../../lib/realtime');
+
+describe('Realtime Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    req = createMockReq({ user: { id: 1 }, params: { id: 'ws-1' } });
+    res = createMockRes();
+    res.on = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('streamWorkspaceEvents', () => {
+    it('should return 403 for non-members', async () => {
+      verifyWorkspaceAccess.mockResolvedValue(null);
+
+      await streamWorkspaceEvents(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(subscribe).not.toHaveBeenCalled();
+    });
+
+    it('should subscribe members and unsubscribe when the connection closes', async () => {
+      const unsubscribe = jest.fn();
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'viewer' });
+      subscribe.mockReturnValue(unsubscribe);
+
+      await streamWorkspaceEvents(req, res);
+
+      expect(subscribe).toHaveBeenCalledWith('ws-1', 1, res, undefined);
+      expect(res.on).toHaveBeenCalledWith('close', unsubscribe);
+    });
+
+    it('should resume from the last event the browser received', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      subscribe.mockReturnValue(jest.fn());
+      req.headers['last-event-id'] = '42';
+
+      await streamWorkspaceEvents(req, res);
+
+      expect(subscribe).toHaveBeenCalledWith('ws-1', 1, res, '42');
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+  setDefaultSavedView
+} = require('../savedViewController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Saved View Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+  const DEFAULT_FILTERS = { assignees: [], priorities: [], categories: [], statuses: [], hideCompleted: false };
+
+  const viewRow = (overrides = {}) => ({
+    id: 5,
+    workspace_id: WORKSPACE_ID,
+    user_id: 1,
+    name: 'My urgent work',
+    visibility: 'personal',
+    filters: { priorities: ['Urgent'] },
+    sort: { key: 'dueDate', direction: 'asc' },
+    search: '',
+    owner_name: 'Alice',
+    created_at: '2026-03-01T10:00:00Z',
+    updated_at: '2026-03-01T10:00:00Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+  });
+
+  describe('getSavedViews', () => {
+    it('should return own and shared views with the default', async () => {
+      query.mockResolvedValueOnce({ rows: [viewRow(), viewRow({ id: 6, user_id: 2, visibility: 'shared', owner_name: 'Bob' })] });
+      query.mockResolvedValueOnce({ rows: [{ default_saved_view_id: 6 }] });
+
+      await getSavedViews(req, res);
+
+      expect(query.mock.calls[0][0]).toContain("sv.visibility = 'shared' OR sv.user_id = $2");
+      expect(query.mock.calls[0][1]).toEqual([WORKSPACE_ID, 1]);
+      const { views, defaultViewId } = res.json.mock.calls[0][0].data;
+      expect(views).toHaveLength(2);
+      expect(views[0]).toEqual({
+        id: 5,
+        name: 'My urgent work',
+        visibility: 'personal',
+        filters: { ...DEFAULT_FILTERS, priorities: ['Urgent'] },
+        sort: { key: 'dueDate', direction: 'asc' },
+        search: '',
+        ownerId: 1,
+        ownerName: 'Alice',
+        createdAt: '2026-03-01T10:00:00Z',
+        updatedAt: '2026-03-01T10:00:00Z',
+      });
+      expect(defaultViewId).toBe(6);
+    });
+
+    it('should drop a default the user can no longer see', async () => {
+      query.mockResolvedValueOnce({ rows: [viewRow()] });
+      query.mockResolvedValueOnce({ rows: [{ default_saved_view_id: 9 }] });
+
+      await getSavedViews(req, res);
+
+      expect(res.json.mock.calls[0][0].data.defaultViewId).toBeNull();
+    });
+
+    it('should return 403 for non-members', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getSavedViews(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSavedView', () => {
+    it('should save a view and make it the default', async () => {
+      req.body = {
+        name: 'Sprint board',
+        visibility: 'shared',
+        filters: { statuses: ['in_progress'] },
+        sort: null,
+        search: 'api',
+        is_default: true,
+      };
+      query.mockResolvedValueOnce({ rows: [viewRow({ id: 7, name: 'Sprint board', visibility: 'shared', filters: { statuses: ['in_progress'] }, sort: null, search: 'api' })] });
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await createSavedView(req, res);
+
+      expect(query.mock.calls[0][1]).toEqual([
+        WORKSPACE_ID, 1, 'Sprint board', 'shared',
+        JSON.stringify({ ...DEFAULT_FILTERS, statuses: ['in_progress'] }), null, 'api'
+      ]);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('SET default_saved_view_id = $3'),
+        [WORKSPACE_ID, 1, 7]
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ isDefault: true }));
+    });
+
+    it('should stop viewers from sharing views', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'viewer' });
+      req.body = { name: 'Shared', visibility: 'shared' };
+
+      await createSavedView(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should let viewers save personal views', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'viewer' });
+      req.body = { name: 'Mine', visibility: 'personal' };
+      query.mockResolvedValueOnce({ rows: [viewRow({ name: 'Mine' })] });
+
+      await createSavedView(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('updateSavedView', () => {
+    it('should update the owner\'s view', async () => {
+      req.params = { id: WORKSPACE_ID, viewId: '5' };
+      req.body = { name: 'Renamed', sort: { key: 'priority', direction: 'desc' } };
+      query.mockResolvedValueOnce({ rows: [viewRow()] });
+      query.mockResolvedValueOnce({ rows: [viewRow({ name: 'Renamed', sort: { key: 'priority', direction: 'desc' } })] });
+
+      await updateSavedView(req, res);
+
+      expect(query.mock.calls[1][0]).toContain('name = $1, sort = $2');
+      expect(query.mock.calls[1][1]).toEqual(['Renamed', JSON.stringify({ key: 'priority', direction: 'desc' }), 5]);
+      expect(res.json.mock.calls[0][0].data.view.name).toBe('Renamed');
+    });
+
+    it('should stop members from changing someone else\'s shared view', async () => {
+      req.params = { id: WORKSPACE_ID, viewId: '6' };
+      req.body = { name: 'Mine now' };
+      query.mockResolvedValueOnce({ rows: [viewRow({ id: 6, user_id: 2, visibility: 'shared' })] });
+
+      await updateSavedView(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let admins change shared views', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'admin' });
+      req.params = { id: WORKSPACE_ID, viewId: '6' };
+      req.body = { visibility: 'personal' };
+      query.mockResolvedValueOnce({ rows: [viewRow({ id: 6, user_id: 2, visibility: 'shared' })] });
+      query.mockResolvedValueOnce({ rows: [viewRow({ id: 6, user_id: 2 })] });
+
+      await updateSavedView(req, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for views the user cannot see', async () => {
+      req.params = { id: WORKSPACE_ID, viewId: '99' };
+      req.body = { name: 'x' };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await updateSavedView(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should reject an empty update', async () => {
+      req.params = { id: WORKSPACE_ID, viewId: '5' };
+      req.body = {};
+      query.mockResolvedValueOnce({ rows: [viewRow()] });
+
+      await updateSavedView(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('deleteSavedView', () => {
+    it('should delete the owner\'s view', async () => {
+      req.params = { id: WORKSPACE_ID, viewId: '5' };
+      query.mockResolvedValueOnce({ rows: [viewRow()] });
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await deleteSavedView(req, res);
+
+      expect(query).toHaveBeenLastCalledWith('DELETE FROM saved_views WHERE id = $1', [5]);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'View deleted successfully' });
+    });
+
+    it('should stop members from deleting someone else\'s view', async () => {
+      req.params = { id: WORKSPACE_ID, viewId: '6' };
+      query.mockResolvedValueOnce({ rows: [viewRow({ id: 6, user_id: 2, visibility: 'shared' })] });
+
+      await deleteSavedView(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('setDefaultSavedView', () => {
+    it('should set a visible view as the default', async () => {
+      req.body = { view_id: 6 };
+      query.mockResolvedValueOnce({ rows: [viewRow({ id: 6, visibility: 'shared' })] });
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await setDefaultSavedView(req, res);
+
+      expect(query).toHaveBeenLastCalledWith(expect.stringContaining('default_saved_view_id'), [WORKSPACE_ID, 1, 6]);
+      expect(res.json.mock.calls[0][0].data).toEqual({ defaultViewId: 6 });
+    });
+
+    it('should clear the default', async () => {
+      req.body = { view_id: null };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await setDefaultSavedView(req, res);
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query).toHaveBeenCalledWith(expect.any(String), [WORKSPACE_ID, 1, null]);
+    });
+
+    it('should return 404 for an unknown view', async () => {
+      req.body = { view_id: 99 };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await setDefaultSavedView(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
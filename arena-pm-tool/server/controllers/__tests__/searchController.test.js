@@ -0,0 +1,120 @@
+const { search } = require('../searchController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Search Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+  });
+
+  describe('search', () => {
+    it('should return ranked task and comment hits', async () => {
+      req.query = { workspace_id: WORKSPACE_ID, q: 'deploy prod' };
+      query.mockResolvedValueOnce({ rows: [
+        {
+          type: 'task', task_id: 4, comment_id: null, parent_task_id: null, rank: '0.6',
+          task_title: 'Deploy to production', status: 'todo',
+          title_highlight: 'Deploy to production', snippet: '', author_name: null,
+        },
+        {
+          type: 'comment', task_id: 9, comment_id: 31, parent_task_id: 2, rank: '0.1',
+          task_title: 'Release notes', status: 'in_progress',
+          title_highlight: 'Release notes', snippet: 'after the deploy', author_name: 'Alice',
+        },
+      ] });
+
+      await search(req, res);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('t.search_vector @@');
+      expect(sql).toContain('cm.search_vector @@');
+      expect(params.slice(0, 3)).toEqual([WORKSPACE_ID, 'deploy:* & prod:*', 20]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: {
+          query: 'deploy prod',
+          results: [
+            {
+              type: 'task', taskId: 4, commentId: null, parentTaskId: null,
+              taskTitle: 'Deploy to production', status: 'todo',
+              titleHighlight: 'Deploy to production',
+              snippet: null, authorName: null, rank: 0.6,
+            },
+            {
+              type: 'comment', taskId: 9, commentId: 31, parentTaskId: 2,
+              taskTitle: 'Release notes', status: 'in_progress',
+              titleHighlight: 'Release notes',
+              snippet: 'after the deploy', authorName: 'Alice', rank: 0.1,
+            },
+          ]
+        }
+      });
+    });
+
+    it('should cap the limit', async () => {
+      req.query = { workspace_id: WORKSPACE_ID, q: 'deploy', limit: '500' };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await search(req, res);
+
+      expect(query.mock.calls[0][1][2]).toBe(50);
+    });
+
+    it('should return no results without querying when nothing is searchable', async () => {
+      req.query = { workspace_id: WORKSPACE_ID, q: '%%' };
+
+      await search(req, res);
+
+      expect(query).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: { query: '%%', results: [] }
+      });
+    });
+
+    it('should require workspace_id and q', async () => {
+      req.query = { q: 'deploy' };
+      await search(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+
+      req.query = { workspace_id: WORKSPACE_ID, q: '   ' };
+      await search(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ status: 'error', message: 'q is required' });
+    });
+
+    it('should reject overly long search text', async () => {
+      req.query = { workspace_id: WORKSPACE_ID, q: 'a'.repeat(201) };
+
+      await search(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 for non-members', async () => {
+      req.query = { workspace_id: WORKSPACE_ID, q: 'deploy' };
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await search(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
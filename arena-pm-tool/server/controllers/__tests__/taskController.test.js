@@ -20,17 +20,50 @@ jest.mock('../../utils/emailQueue', () => ({
 jest.mock('../../lib/activityLog', () => ({
   logActivity: jest.fn(),
 }));
+jest.mock('../../utils/recurrenceService', () => ({
+  spawnNextOccurrence: jest.fn(),
+}));
 jest.mock('../../lib/logger', () => ({
   info: jest.fn(),
   error: jest.fn(),
   warn: jest.fn(),
 }));
+jest.mock('../../lib/workflowStatuses', () => ({
+  ...jest.requireActual('../../lib/workflowStatuses'),
+  getWorkspaceStatuses: jest.fn(),
+}));
+jest.mock('../../lib/customFields', () => ({
+  ...jest.requireActual('../../lib/customFields'),
+  getWorkspaceCustomFields: jest.fn(),
+}));
+jest.mock('../../lib/attachments', () => ({
+  ...jest.requireActual('../../lib/attachments'),
+  getTaskTreeStorageKeys: jest.fn().mockResolvedValue([]),
+  removeStoredFiles: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../../lib/realtime', () => ({
+  publishEvent: jest.fn(),
+}));
+jest.mock('../../lib/webhooks', () => ({
+  queueWebhookEvent: jest.fn(),
+}));
+jest.mock('../../lib/notifications', () => ({
+  ...jest.requireActual('../../lib/notifications'),
+  createNotification: jest.fn(),
+}));
 
 const { query, getClient } = require('../../config/database');
 const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
 const { logActivity } = require('../../lib/activityLog');
 const { queueTaskAssignmentNotification } = require('../../utils/emailQueue');
 const logger = require('../../lib/logger');
+const { spawnNextOccurrence } = require('../../utils/recurrenceService');
+const { getTaskTreeStorageKeys, removeStoredFiles } = require('../../lib/attachments');
+const { getWorkspaceStatuses, DEFAULT_STATUSES } = require('../../lib/workflowStatuses');
+const { getWorkspaceCustomFields } = require('../../lib/customFields');
+const { publishEvent } = require('../../lib/realtime');
+const { queueWebhookEvent } = require('../../lib/webhooks');
+const { createNotification } = require('../../lib/notifications');
 
 describe('Task Controller', () => {
   let req, res;
@@ -45,6 +78,8 @@ describe('Task Controller', () => {
     jest.clearAllMocks();
 
     verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+    getWorkspaceStatuses.mockResolvedValue(DEFAULT_STATUSES);
+    getWorkspaceCustomFields.mockResolvedValue([]);
 
     mockClient = {
       query: jest.fn(),
@@ -145,6 +180,36 @@ describe('Task Controller', () => {
       );
     });
 
+    it('should filter by custom field values', async () => {
+      req.query = { workspace_id: WORKSPACE_ID, cf_3: 'prod' };
+      getWorkspaceCustomFields.mockResolvedValueOnce([
+        { id: 3, name: 'Environment', fieldType: 'dropdown', options: ['staging', 'prod'], position: 0 },
+      ]);
+      query.mockResolvedValue({ rows: [{ ...mockTask, custom_fields: { 3: 'prod' } }] });
+
+      await getAllTasks(req, res);
+
+      expect(getWorkspaceCustomFields).toHaveBeenCalledWith(WORKSPACE_ID);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('cfv.field_id = $2'),
+        [WORKSPACE_ID, 3, ['prod'], 51]
+      );
+      expect(res.json.mock.calls[0][0].data.tasks[0].customFields).toEqual({ 3: 'prod' });
+    });
+
+    it('should return 400 when filtering by an unknown custom field', async () => {
+      req.query = { workspace_id: WORKSPACE_ID, cf_42: 'x' };
+
+      await getAllTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Unknown custom field: cf_42'
+      });
+      expect(query).not.toHaveBeenCalled();
+    });
+
     it('should filter by multiple assignee_ids', async () => {
       req.query = { workspace_id: WORKSPACE_ID, assignee_ids: '1,2,3' };
       query.mockResolvedValue({ rows: [mockTask] });
@@ -194,6 +259,20 @@ describe('Task Controller', () => {
       );
     });
 
+    it('should match search terms anywhere in a word, including stop words', async () => {
+      for (const search of ['ploy', '123', 'to']) {
+        query.mockClear();
+        req.query = { workspace_id: WORKSPACE_ID, search };
+        query.mockResolvedValue({ rows: [] });
+
+        await getAllTasks(req, res);
+
+        expect(query.mock.calls[0][0]).toContain('(t.title ILIKE $2 OR t.description ILIKE $2)');
+        expect(query.mock.calls[0][0]).not.toContain('search_vector');
+        expect(query.mock.calls[0][1]).toEqual([WORKSPACE_ID, `%${search}%`, 51]);
+      }
+    });
+
     it('should handle assignee_ids passed as an array', async () => {
       req.query = { workspace_id: WORKSPACE_ID, assignee_ids: ['1', '2'] };
       query.mockResolvedValue({ rows: [] });
@@ -530,7 +609,7 @@ describe('Task Controller', () => {
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({
         status: 'error',
-        message: 'Invalid status. Must be: todo, in_progress, or completed'
+        message: 'Invalid status. Must be one of: todo, in_progress, completed'
       });
     });
 
@@ -727,6 +806,44 @@ describe('Task Controller', () => {
       expect(res.status).toHaveBeenCalledWith(201);
     });
 
+    it('should save a start date and return it as startDate', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, title: 'Test Task', start_date: '2024-06-10', due_date: '2024-06-15' };
+
+      const fullTask = {
+        id: 1, title: 'Test Task', description: null, category_id: null,
+        category_name: null, category_color: null, priority: 'medium',
+        status: 'todo', start_date: '2024-06-10', due_date: '2024-06-15', completed_at: null, position: 0,
+        parent_task_id: null, workspace_id: WORKSPACE_ID,
+        subtask_count: '0', completed_subtask_count: '0',
+        created_by: 1, created_by_name: 'Test', created_at: new Date(),
+        updated_at: new Date(), assignees: []
+      };
+
+      query.mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Insert
+      query.mockResolvedValueOnce({ rows: [fullTask] }); // Full task fetch
+
+      await createTask(req, res);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('start_date'),
+        expect.arrayContaining(['2024-06-10', '2024-06-15'])
+      );
+      expect(res.json.mock.calls[0][0].data.task.startDate).toBe('2024-06-10');
+    });
+
+    it('should return 400 when the start date is after the due date', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, title: 'Test Task', start_date: '2024-06-20', due_date: '2024-06-15' };
+
+      await createTask(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Start date must be on or before the due date'
+      });
+      expect(query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO tasks'), expect.anything());
+    });
+
     it('should set completed_at when status is completed', async () => {
       req.body = { workspace_id: WORKSPACE_ID, title: 'Test Task', status: 'completed' };
 
@@ -803,6 +920,36 @@ describe('Task Controller', () => {
       expect(returnedTask.subtaskCount).toBe(0);
       expect(returnedTask.completedSubtaskCount).toBe(0);
     });
+
+    it('should return 400 for a recurring task without a due date', async () => {
+      req.body = { workspace_id: WORKSPACE_ID, title: 'Standup', recurrence_rule: { frequency: 'daily' } };
+
+      await createTask(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Recurring tasks require a due date'
+      });
+    });
+
+    it('should store a normalized recurrence rule', async () => {
+      req.body = {
+        workspace_id: WORKSPACE_ID, title: 'Invoice', due_date: '2025-01-31',
+        recurrence_rule: { frequency: 'monthly', interval: 1, count: 12 },
+      };
+
+      query.mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Insert
+      query.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Invoice', recurrence_rule: null }] }); // Full task fetch
+
+      await createTask(req, res);
+
+      const values = query.mock.calls[0][1];
+      expect(JSON.parse(values[11])).toEqual({
+        frequency: 'monthly', interval: 1, end_date: null, count: 12, anchor_day: 31,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
   });
 
   // ---------------------------------------------------------------
@@ -857,7 +1004,7 @@ describe('Task Controller', () => {
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({
         status: 'error',
-        message: 'Invalid status. Must be: todo, in_progress, or completed'
+        message: 'Invalid status. Must be one of: todo, in_progress, completed'
       });
     });
 
@@ -900,6 +1047,10 @@ describe('Task Controller', () => {
         expect.stringContaining('UPDATE tasks'),
         expect.arrayContaining(['completed', expect.any(Date)])
       );
+      // The status change is recorded for cycle time analytics
+      expect(logActivity).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'updated', 'task', 1, {
+        title: 'Existing Task', status: 'completed', statusCategory: 'done'
+      });
     });
 
     it('should clear completed_at when status changes from completed', async () => {
@@ -929,6 +1080,163 @@ describe('Task Controller', () => {
       );
     });
 
+    describe('with a custom workflow', () => {
+      const customStatuses = [
+        { key: 'backlog', name: 'Backlog', category: 'not_started', color: '#94A3B8', position: 0 },
+        { key: 'in_review', name: 'In Review', category: 'active', color: '#F59E0B', position: 1 },
+        { key: 'shipped', name: 'Shipped', category: 'done', color: '#22C55E', position: 2 },
+        { key: 'wont_do', name: "Won't Do", category: 'done', color: '#64748B', position: 3 },
+      ];
+      const fullTask = {
+        id: 1, title: 'Existing Task', description: null, category_id: 1,
+        category_name: 'Category', category_color: '#fff', priority: 'medium',
+        status: 'shipped', status_category: 'done', due_date: null, completed_at: new Date(), position: 0,
+        parent_task_id: null, workspace_id: WORKSPACE_ID,
+        subtask_count: '0', completed_subtask_count: '0',
+        created_by: 1, created_by_name: 'Test', created_at: new Date(),
+        updated_at: new Date(), assignees: []
+      };
+
+      beforeEach(() => {
+        getWorkspaceStatuses.mockResolvedValue(customStatuses);
+      });
+
+      it('should set completed_at when moving into any done status', async () => {
+        req.params = { id: '1' };
+        req.body = { status: 'shipped' };
+        query.mockResolvedValueOnce({ rows: [{ ...existingTask, status: 'in_review' }] }); // Check exists
+        query.mockResolvedValueOnce({ rows: [] }); // Update
+        query.mockResolvedValueOnce({ rows: [fullTask] }); // Full task fetch
+
+        await updateTask(req, res);
+
+        expect(getWorkspaceStatuses).toHaveBeenCalledWith(WORKSPACE_ID);
+        expect(query).toHaveBeenNthCalledWith(2,
+          expect.stringContaining('UPDATE tasks'),
+          expect.arrayContaining(['shipped', expect.any(Date)])
+        );
+        const responseData = res.json.mock.calls[0][0];
+        expect(responseData.data.task.statusCategory).toBe('done');
+      });
+
+      it('should keep completed_at when moving between done statuses', async () => {
+        const completedAt = new Date('2026-01-05T10:00:00Z');
+        req.params = { id: '1' };
+        req.body = { status: 'wont_do' };
+        query.mockResolvedValueOnce({ rows: [{ ...existingTask, status: 'shipped', completed_at: completedAt }] });
+        query.mockResolvedValueOnce({ rows: [] }); // Update
+        query.mockResolvedValueOnce({ rows: [{ ...fullTask, status: 'wont_do' }] });
+
+        await updateTask(req, res);
+
+        expect(query).toHaveBeenNthCalledWith(2,
+          expect.stringContaining('UPDATE tasks'),
+          expect.arrayContaining(['wont_do', completedAt])
+        );
+      });
+
+      it('should refuse to complete into a custom done status while blocked', async () => {
+        req.params = { id: '1' };
+        req.body = { status: 'shipped' };
+        query.mockResolvedValueOnce({
+          rows: [{ ...existingTask, status: 'in_review', open_blockers: [{ id: 9, title: 'QA', status: 'in_review' }] }]
+        });
+
+        await updateTask(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+      });
+
+      it('should reject statuses that are not in the workspace workflow', async () => {
+        req.params = { id: '1' };
+        req.body = { status: 'completed' };
+        query.mockResolvedValueOnce({ rows: [{ ...existingTask, status: 'backlog' }] });
+
+        await updateTask(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          status: 'error',
+          message: 'Invalid status. Must be one of: backlog, in_review, shipped, wont_do'
+        });
+      });
+
+      it('should start new tasks in the first not-started status', async () => {
+        req.body = { workspace_id: WORKSPACE_ID, title: 'New Task' };
+        query.mockResolvedValueOnce({ rows: [{ id: 2 }] }); // Insert
+        query.mockResolvedValueOnce({ rows: [{ ...fullTask, id: 2, status: 'backlog', completed_at: null }] });
+
+        await createTask(req, res);
+
+        const insertParams = query.mock.calls[0][1];
+        expect(insertParams[4]).toBe('backlog');
+        expect(insertParams[6]).toBeNull();
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+    });
+
+    describe('with custom fields', () => {
+      const fields = [
+        { id: 2, name: 'Story points', fieldType: 'number', options: [], position: 0 },
+        { id: 3, name: 'Environment', fieldType: 'dropdown', options: ['staging', 'prod'], position: 1 },
+      ];
+      const fullTask = {
+        id: 1, title: 'Existing Task', description: null, category_id: 1,
+        category_name: 'Category', category_color: '#fff', priority: 'medium',
+        status: 'todo', due_date: null, completed_at: null, position: 0,
+        parent_task_id: null, workspace_id: WORKSPACE_ID,
+        subtask_count: '0', completed_subtask_count: '0',
+        created_by: 1, created_by_name: 'Test', created_at: new Date(),
+        updated_at: new Date(), assignees: [], custom_fields: { 2: 5 }
+      };
+
+      beforeEach(() => {
+        getWorkspaceCustomFields.mockResolvedValue(fields);
+      });
+
+      it('should save typed values and clear empty ones', async () => {
+        req.params = { id: '1' };
+        req.body = { custom_fields: { 2: '5', 3: null } };
+        query.mockResolvedValueOnce({ rows: [existingTask] }); // Check exists
+        query.mockResolvedValueOnce({ rows: [] }); // Upsert story points
+        query.mockResolvedValueOnce({ rows: [] }); // Clear environment
+        query.mockResolvedValueOnce({ rows: [fullTask] }); // Full task fetch
+
+        await updateTask(req, res);
+
+        expect(query).toHaveBeenNthCalledWith(2, expect.stringContaining('INSERT INTO task_custom_field_values'), ['1', 2, '5']);
+        expect(query).toHaveBeenNthCalledWith(3, expect.stringContaining('DELETE FROM task_custom_field_values'), ['1', 3]);
+        expect(res.json.mock.calls[0][0].data.task.customFields).toEqual({ 2: 5 });
+      });
+
+      it('should reject values of the wrong type before writing anything', async () => {
+        req.params = { id: '1' };
+        req.body = { title: 'Renamed', custom_fields: { 3: 'dev' } };
+        query.mockResolvedValueOnce({ rows: [existingTask] }); // Check exists
+
+        await updateTask(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+          status: 'error',
+          message: '"Environment" must be one of: staging, prod'
+        });
+        expect(query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should save values on create', async () => {
+        req.body = { workspace_id: WORKSPACE_ID, title: 'New Task', custom_fields: { 3: 'prod' } };
+        query.mockResolvedValueOnce({ rows: [{ id: 2 }] }); // Insert
+        query.mockResolvedValueOnce({ rows: [] }); // Upsert environment
+        query.mockResolvedValueOnce({ rows: [{ ...fullTask, id: 2, custom_fields: { 3: 'prod' } }] });
+
+        await createTask(req, res);
+
+        expect(query).toHaveBeenNthCalledWith(2, expect.stringContaining('INSERT INTO task_custom_field_values'), [2, 3, '"prod"']);
+        expect(res.status).toHaveBeenCalledWith(201);
+      });
+    });
+
     it('should update assignees using getClient transaction', async () => {
       req.params = { id: '1' };
       req.body = { assignee_ids: [2, 3] };
@@ -1063,6 +1371,12 @@ describe('Task Controller', () => {
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         status: 'success',
       }));
+      expect(publishEvent).toHaveBeenCalledWith(
+        WORKSPACE_ID,
+        'task.updated',
+        { task: expect.objectContaining({ id: 1, description: 'New description text' }) },
+        req
+      );
     });
 
     it('should update category_id field', async () => {
@@ -1178,6 +1492,54 @@ describe('Task Controller', () => {
       );
     });
 
+    it('should update start_date and due_date together', async () => {
+      req.params = { id: '1' };
+      req.body = { start_date: '2024-12-20', due_date: '2024-12-25' };
+
+      query.mockResolvedValueOnce({ rows: [existingTask] }); // Check exists
+      query.mockResolvedValueOnce({ rows: [] }); // Update
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, start_date: '2024-12-20', due_date: '2024-12-25', assignees: [] }] }); // Full task fetch
+
+      await updateTask(req, res);
+
+      expect(query).toHaveBeenNthCalledWith(2,
+        expect.stringContaining('start_date = $2'),
+        expect.arrayContaining(['2024-12-25', '2024-12-20'])
+      );
+    });
+
+    it('should pull the start date along when only the due date moves', async () => {
+      req.params = { id: '1' };
+      req.body = { due_date: '2024-12-25' };
+
+      query.mockResolvedValueOnce({ rows: [existingTask] }); // Check exists
+      query.mockResolvedValueOnce({ rows: [] }); // Update
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, due_date: '2024-12-25', assignees: [] }] }); // Full task fetch
+
+      await updateTask(req, res);
+
+      expect(query.mock.calls[1][0]).toContain(
+        'start_date = CASE WHEN start_date > $2::date THEN $2::date ELSE start_date END'
+      );
+      expect(query.mock.calls[1][1].slice(0, 2)).toEqual(['2024-12-25', '2024-12-25']);
+    });
+
+    it('should return 400 when the start date is after the existing due date', async () => {
+      req.params = { id: '1' };
+      req.body = { start_date: '2024-12-31' };
+
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, due_date: '2024-12-25' }] }); // Check exists
+
+      await updateTask(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Start date must be on or before the due date'
+      });
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
     it('should rollback transaction on assignee update failure', async () => {
       req.params = { id: '1' };
       req.body = { assignee_ids: [2, 3] };
@@ -1227,6 +1589,15 @@ describe('Task Controller', () => {
 
       // Both user 2 and 3 are newly added (user 1 was previous)
       expect(queueTaskAssignmentNotification).toHaveBeenCalledTimes(2);
+      expect(createNotification).toHaveBeenCalledTimes(2);
+      expect(createNotification).toHaveBeenCalledWith({
+        userId: 2,
+        workspaceId: WORKSPACE_ID,
+        type: 'assignment',
+        actorId: 1,
+        taskId: 1,
+        data: { taskTitle: 'Existing Task', actorName: 'Updater' },
+      });
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         status: 'success',
       }));
@@ -1466,6 +1837,191 @@ describe('Task Controller', () => {
         status: 'success',
       }));
     });
+
+    it('should skip assignment emails the assignee turned off but still notify in-app', async () => {
+      req.params = { id: '1' };
+      req.body = { assignee_ids: [2] };
+
+      const fullTask = {
+        id: 1, title: 'Existing Task', description: null, category_id: 1,
+        category_name: 'Category', category_color: '#fff', priority: 'medium',
+        status: 'todo', due_date: null, completed_at: null, position: 0,
+        parent_task_id: null, workspace_id: WORKSPACE_ID,
+        subtask_count: '0', completed_subtask_count: '0',
+        created_by: 1, created_by_name: 'Test', created_at: new Date(),
+        updated_at: new Date(),
+        assignees: [{ id: 2, name: 'User 2', email: 'user2@test.com' }]
+      };
+
+      query.mockResolvedValueOnce({ rows: [existingTask] }); // Check exists
+      // Transaction
+      mockClient.query.mockResolvedValueOnce({}); // BEGIN
+      mockClient.query.mockResolvedValueOnce({ rows: [] }); // Get current assignees (empty)
+      mockClient.query.mockResolvedValueOnce({}); // DELETE
+      mockClient.query.mockResolvedValueOnce({}); // INSERT
+      mockClient.query.mockResolvedValueOnce({}); // COMMIT
+      query.mockResolvedValueOnce({ rows: [fullTask] }); // Full task fetch
+      query.mockResolvedValueOnce({ rows: [{ name: 'Updater' }] }); // Updater name
+      query.mockResolvedValueOnce({ rows: [
+        {
+          id: 2, email: 'user2@test.com', name: 'User 2', email_notifications_enabled: true,
+          notification_preferences: { assignment: { email: false } },
+        },
+      ] }); // New assignee prefs - assignment emails off
+
+      await updateTask(req, res);
+
+      expect(queueTaskAssignmentNotification).not.toHaveBeenCalled();
+      expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 2, type: 'assignment' }));
+    });
+
+    it('should return 400 when clearing the due date of a recurring task', async () => {
+      req.params = { id: '1' };
+      req.body = { due_date: null };
+      query.mockResolvedValueOnce({ rows: [{
+        ...existingTask, due_date: '2025-01-31', recurrence_rule: { frequency: 'weekly', interval: 1 },
+      }] }); // Check exists
+
+      await updateTask(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Recurring tasks require a due date'
+      });
+    });
+
+    it('should re-anchor a monthly rule when the due date changes', async () => {
+      req.params = { id: '1' };
+      req.body = { due_date: '2025-03-15' };
+      query.mockResolvedValueOnce({ rows: [{
+        ...existingTask, due_date: '2025-01-31',
+        recurrence_rule: { frequency: 'monthly', interval: 1, end_date: null, count: null, anchor_day: 31 },
+      }] }); // Check exists
+      query.mockResolvedValueOnce({}); // UPDATE
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, due_date: '2025-03-15' }] }); // Full task fetch
+
+      await updateTask(req, res);
+
+      const [sql, values] = query.mock.calls[1];
+      expect(sql).toContain('recurrence_rule = $3');
+      expect(JSON.parse(values[2]).anchor_day).toBe(15);
+    });
+
+    it('should update the estimate and return it with the tracked time', async () => {
+      req.params = { id: '1' };
+      req.body = { estimate_minutes: 90 };
+      query.mockResolvedValueOnce({ rows: [existingTask] }); // Check exists
+      query.mockResolvedValueOnce({}); // UPDATE
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, estimate_minutes: 90, tracked_seconds: '5400' }] }); // Full task fetch
+
+      await updateTask(req, res);
+
+      const [sql, values] = query.mock.calls[1];
+      expect(sql).toContain('estimate_minutes = $1');
+      expect(values).toEqual([90, '1']);
+      expect(query.mock.calls[2][0]).toContain('as tracked_seconds');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ task: expect.objectContaining({ estimateMinutes: 90, trackedSeconds: 5400 }) })
+      }));
+    });
+
+    it('should create the next occurrence when a recurring task is completed', async () => {
+      const rule = { frequency: 'weekly', interval: 1, end_date: null, count: null };
+      req.params = { id: '1' };
+      req.body = { status: 'completed' };
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, due_date: '2025-01-06', recurrence_rule: rule }] }); // Check exists
+      query.mockResolvedValueOnce({}); // UPDATE
+      query.mockResolvedValueOnce({ rows: [{
+        ...existingTask, status: 'completed', due_date: '2025-01-06', recurrence_rule: rule, recurrence_index: 1,
+      }] }); // Full task fetch
+      spawnNextOccurrence.mockResolvedValueOnce({
+        id: 2, title: 'Existing Task', category_id: 1, due_date: '2025-01-13', recurrence_index: 2,
+      });
+
+      await updateTask(req, res);
+
+      expect(spawnNextOccurrence).toHaveBeenCalledWith(1);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.task.recurrenceRule).toEqual(rule);
+      expect(data.nextOccurrence).toEqual({
+        id: 2, title: 'Existing Task', categoryId: 1, startDate: null, dueDate: '2025-01-13', recurrenceIndex: 2,
+      });
+    });
+
+    it('should still update the task if creating the next occurrence fails', async () => {
+      const rule = { frequency: 'daily', interval: 1 };
+      req.params = { id: '1' };
+      req.body = { status: 'completed' };
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, due_date: '2025-01-06', recurrence_rule: rule }] }); // Check exists
+      query.mockResolvedValueOnce({}); // UPDATE
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, status: 'completed', recurrence_rule: rule }] }); // Full task fetch
+      spawnNextOccurrence.mockRejectedValueOnce(new Error('DB error'));
+
+      await updateTask(req, res);
+
+      expect(logger.warn).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'success',
+        data: expect.objectContaining({ nextOccurrence: null }),
+      }));
+    });
+
+    it('should not create an occurrence for non-recurring tasks', async () => {
+      req.params = { id: '1' };
+      req.body = { status: 'completed' };
+      query.mockResolvedValueOnce({ rows: [existingTask] }); // Check exists
+      query.mockResolvedValueOnce({}); // UPDATE
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, status: 'completed' }] }); // Full task fetch
+
+      await updateTask(req, res);
+
+      expect(spawnNextOccurrence).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when completing a task with open blockers', async () => {
+      const blockers = [{ id: 2, title: 'Write tests', status: 'todo' }];
+      req.params = { id: '1' };
+      req.body = { status: 'completed' };
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, open_blockers: blockers }] }); // Check exists
+
+      await updateTask(req, res);
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'This task is blocked by 1 open task',
+        blockedBy: blockers
+      });
+    });
+
+    it('should complete a blocked task when ignore_blockers is set', async () => {
+      const blockers = [{ id: 2, title: 'Write tests', status: 'todo' }];
+      req.params = { id: '1' };
+      req.body = { status: 'completed', ignore_blockers: true };
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, open_blockers: blockers }] }); // Check exists
+      query.mockResolvedValueOnce({}); // UPDATE
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, status: 'completed', blocked_by: blockers }] }); // Full task fetch
+
+      await updateTask(req, res);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.task.status).toBe('completed');
+      expect(data.task.blockedBy).toEqual(blockers);
+    });
+
+    it('should allow other updates on a blocked task', async () => {
+      req.params = { id: '1' };
+      req.body = { title: 'Renamed' };
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, open_blockers: [{ id: 2, title: 'X', status: 'todo' }] }] }); // Check exists
+      query.mockResolvedValueOnce({}); // UPDATE
+      query.mockResolvedValueOnce({ rows: [{ ...existingTask, title: 'Renamed' }] }); // Full task fetch
+
+      await updateTask(req, res);
+
+      expect(res.status).not.toHaveBeenCalledWith(409);
+    });
   });
 
   // ---------------------------------------------------------------
@@ -1661,12 +2217,30 @@ describe('Task Controller', () => {
         [1, 2]
       );
       expect(logActivity).toHaveBeenCalled();
+      expect(publishEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'task.deleted', { taskId: 1, parentTaskId: undefined }, req);
+      expect(queueWebhookEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'task.deleted', { taskId: 1, title: 'Test Task', parentTaskId: undefined }, 1);
       expect(res.json).toHaveBeenCalledWith({
         status: 'success',
         message: 'Task deleted successfully'
       });
     });
 
+    it('should remove attachment files of the task and its subtasks', async () => {
+      req.params = { id: '1' };
+      const task = { id: 1, title: 'Test Task', category_id: null, position: 0, workspace_id: WORKSPACE_ID };
+      query.mockResolvedValueOnce({ rows: [task] }); // Check exists
+      query.mockResolvedValueOnce({ rows: [] }); // Delete
+      getTaskTreeStorageKeys.mockResolvedValueOnce(['ws/1/a.png', 'ws/2/b.pdf']);
+
+      await deleteTask(req, res);
+
+      expect(getTaskTreeStorageKeys).toHaveBeenCalledWith('1');
+      expect(removeStoredFiles).toHaveBeenCalledWith(['ws/1/a.png', 'ws/2/b.pdf']);
+      // Files go only after the rows are gone
+      expect(removeStoredFiles.mock.invocationCallOrder[0])
+        .toBeGreaterThan(query.mock.invocationCallOrder[1]);
+    });
+
     it('should skip workspace check and logActivity when task has no workspace_id', async () => {
       req.params = { id: '1' };
       const task = { id: 1, title: 'Legacy Task', category_id: 1, position: 0, workspace_id: null };
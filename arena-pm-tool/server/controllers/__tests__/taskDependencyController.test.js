@@ -0,0 +1,297 @@
+const {
+  getTaskDependencies,
+  getWorkspaceDependencies,
+  addTaskDependency,
+  removeTaskDependency
+} = require('../taskDependencyController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+jest.mock('../../lib/activityLog', () => ({
+  logActivity: jest.fn(),
+}));
+
+const { query, getClient } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const { logActivity } = require('../../lib/activityLog');
+
+describe('Task Dependency Controller', () => {
+  let req, res;
+  let mockClient;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn(),
+    };
+    getClient.mockResolvedValue(mockClient);
+  });
+
+  const mockTaskExists = (task = {}) => {
+    query.mockResolvedValueOnce({ rows: [{ id: 1, title: 'Ship release', workspace_id: WORKSPACE_ID, ...task }] });
+  };
+
+  describe('getTaskDependencies', () => {
+    it('should return blockers and blocked tasks', async () => {
+      req.params = { id: '1' };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [
+        { id: 2, title: 'Write tests', status: 'todo', due_date: '2025-01-10', category_id: 1 },
+      ] });
+      query.mockResolvedValueOnce({ rows: [
+        { id: 3, title: 'Announce', status: 'todo', due_date: null, category_id: 1 },
+      ] });
+
+      await getTaskDependencies(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: {
+          blockedBy: [{ id: 2, title: 'Write tests', status: 'todo', dueDate: '2025-01-10', categoryId: 1 }],
+          blocking: [{ id: 3, title: 'Announce', status: 'todo', dueDate: null, categoryId: 1 }],
+        }
+      });
+    });
+
+    it('should return 404 if task not found', async () => {
+      req.params = { id: '999' };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await getTaskDependencies(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 without workspace access', async () => {
+      req.params = { id: '1' };
+      mockTaskExists();
+      verifyWorkspaceAccess.mockResolvedValue(null);
+
+      await getTaskDependencies(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('getWorkspaceDependencies', () => {
+    it('should list every dependency in the workspace', async () => {
+      req.query = { workspace_id: WORKSPACE_ID };
+      query.mockResolvedValueOnce({ rows: [
+        { task_id: 3, depends_on_task_id: 1 },
+        { task_id: 3, depends_on_task_id: 2 },
+      ] });
+
+      await getWorkspaceDependencies(req, res);
+
+      expect(verifyWorkspaceAccess).toHaveBeenCalledWith(1, WORKSPACE_ID);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('WHERE t.workspace_id = $1'), [WORKSPACE_ID]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: {
+          dependencies: [
+            { taskId: 3, dependsOnTaskId: 1 },
+            { taskId: 3, dependsOnTaskId: 2 },
+          ],
+        },
+      });
+    });
+
+    it('should require a workspace_id', async () => {
+      req.query = {};
+
+      await getWorkspaceDependencies(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 without access to the workspace', async () => {
+      req.query = { workspace_id: WORKSPACE_ID };
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getWorkspaceDependencies(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addTaskDependency', () => {
+    it('should add a dependency', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 2 };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [
+        { id: 2, title: 'Write tests', status: 'todo', due_date: null, category_id: 1, workspace_id: WORKSPACE_ID },
+      ] });
+
+      await addTaskDependency(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO task_dependencies'),
+        [1, 2, 1]
+      );
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(logActivity).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'created', 'dependency', 1, {
+        title: 'Ship release blocked by Write tests',
+      });
+    });
+
+    it('should return 403 for viewers', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 2 };
+      mockTaskExists();
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'viewer' });
+
+      await addTaskDependency(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 400 when a task depends on itself', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 1 };
+      mockTaskExists();
+
+      await addTaskDependency(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'A task cannot depend on itself'
+      });
+    });
+
+    it('should return 404 if the blocking task is not found', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 99 };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await addTaskDependency(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for tasks in another workspace', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 2 };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [{ id: 2, title: 'Other', workspace_id: 'ws-other' }] });
+
+      await addTaskDependency(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 if the dependency already exists', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 2 };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [{ id: 2, title: 'Write tests', workspace_id: WORKSPACE_ID }] });
+      mockClient.query.mockImplementation((sql) =>
+        Promise.resolve({ rows: sql.includes('SELECT 1 FROM task_dependencies') ? [{ '?column?': 1 }] : [] })
+      );
+
+      await addTaskDependency(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'This dependency already exists'
+      });
+    });
+
+    it('should return 409 when the dependency would create a cycle', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 2 };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [{ id: 2, title: 'Write tests', workspace_id: WORKSPACE_ID }] });
+      mockClient.query.mockImplementation((sql) =>
+        Promise.resolve({ rows: sql.includes('WITH RECURSIVE') ? [{ '?column?': 1 }] : [] })
+      );
+
+      await addTaskDependency(req, res);
+
+      expect(mockClient.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO task_dependencies'),
+        expect.anything()
+      );
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Adding this dependency would create a cycle'
+      });
+      expect(logActivity).not.toHaveBeenCalled();
+    });
+
+    it('should roll back on database errors', async () => {
+      req.params = { id: '1' };
+      req.body = { depends_on_task_id: 2 };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [{ id: 2, title: 'Write tests', workspace_id: WORKSPACE_ID }] });
+      mockClient.query.mockImplementation((sql) =>
+        sql.includes('INSERT') ? Promise.reject(new Error('DB error')) : Promise.resolve({ rows: [] })
+      );
+
+      await expect(addTaskDependency(req, res)).rejects.toThrow('DB error');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('removeTaskDependency', () => {
+    it('should remove a dependency', async () => {
+      req.params = { id: '1', dependsOnId: '2' };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+      await removeTaskDependency(req, res);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM task_dependencies'),
+        ['1', '2']
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        message: 'Dependency removed successfully'
+      });
+    });
+
+    it('should return 404 if the dependency does not exist', async () => {
+      req.params = { id: '1', dependsOnId: '2' };
+      mockTaskExists();
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await removeTaskDependency(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 for viewers', async () => {
+      req.params = { id: '1', dependsOnId: '2' };
+      mockTaskExists();
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'viewer' });
+
+      await removeTaskDependency(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
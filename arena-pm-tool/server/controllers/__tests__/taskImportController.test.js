@@ -0,0 +1,302 @@
+const { importTasks } = require('../taskImportController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+jest.mock('../../middleware/planLimits', () => ({
+  getWorkspacePlanLimits: jest.fn(),
+  countWorkspaceTasks: jest.fn(),
+}));
+jest.mock('../../lib/activityLog', () => ({
+  logActivities: jest.fn(),
+}));
+jest.mock('../../lib/workflowStatuses', () => ({
+  ...jest.requireActual('../../lib/workflowStatuses'),
+  getWorkspaceStatuses: jest.fn(),
+}));
+jest.mock('../../lib/realtime', () => ({
+  publishEvent: jest.fn(),
+}));
+jest.mock('../../lib/webhooks', () => ({
+  ...jest.requireActual('../../lib/webhooks'),
+  queueWebhookEvents: jest.fn(),
+}));
+
+const { query, getClient } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const { getWorkspacePlanLimits, countWorkspaceTasks } = require('../../middleware/planLimits');
+const { logActivities } = require('../../lib/activityLog');
+const { getWorkspaceStatuses, DEFAULT_STATUSES } = require('../../lib/workflowStatuses');
+const { publishEvent } = require('../../lib/realtime');
+const { queueWebhookEvents } = require('../../lib/webhooks');
+
+describe('Task Import Controller', () => {
+  let req, res;
+  let mockClient;
+  let nextTaskId;
+
+  const WORKSPACE_ID = '3f2b8c1e-8d1a-4c5e-9b7a-1234567890ab';
+
+  const CSV = [
+    'Title,Description,Status,Priority,Due Date,Category,Assignees',
+    'Draft agenda,,To Do,high,2026-03-01,Sprint,ada@example.com',
+    '"Book room, level 2",Needs a projector,Completed,low,,,',
+  ].join('\n');
+
+  const csvFile = (content = CSV, originalname = 'tasks.csv') => ({
+    originalname,
+    mimetype: 'text/csv',
+    buffer: Buffer.from(content),
+  });
+
+  // Categories, then members, as loaded by the controller
+  const mockWorkspaceData = () => {
+    query.mockResolvedValueOnce({ rows: [{ id: 4, name: 'Sprint' }] });
+    query.mockResolvedValueOnce({ rows: [{ id: 1, email: 'ada@example.com' }, { id: 2, email: 'grace@example.com' }] });
+  };
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.body = { workspace_id: WORKSPACE_ID, dry_run: false };
+    req.file = csvFile();
+    jest.clearAllMocks();
+
+    nextTaskId = 100;
+    mockClient = {
+      query: jest.fn((sql, params) => {
+        if (sql.includes('INSERT INTO tasks')) {
+          return Promise.resolve({ rows: [{ id: nextTaskId++, title: params[0], status: params[4] }] });
+        }
+        if (sql.includes('MAX(position)')) {
+          return Promise.resolve({ rows: [{ category_id: 4, next_position: 7 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      }),
+      release: jest.fn(),
+    };
+    getClient.mockResolvedValue(mockClient);
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+    getWorkspaceStatuses.mockResolvedValue(DEFAULT_STATUSES);
+    getWorkspacePlanLimits.mockResolvedValue({ planId: 'pro', maxMembers: null, maxTasksPerWorkspace: null, features: {} });
+  });
+
+  const insertedTasks = () => mockClient.query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO tasks'))
+    .map(([, params]) => params);
+
+  describe('dry run', () => {
+    it('should report the resolved tasks without writing anything', async () => {
+      req.body.dry_run = true;
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      const data = res.json.mock.calls[0][0].data;
+      expect(data).toEqual(expect.objectContaining({
+        dryRun: true,
+        format: 'csv',
+        totalRows: 2,
+        validRows: 2,
+        errors: [],
+        taskLimit: null,
+        exceedsLimit: false,
+      }));
+      expect(data.mapping.assignee_emails).toBe('Assignees');
+      expect(data.preview[0]).toEqual(expect.objectContaining({ title: 'Draft agenda', category_id: 4, assignee_ids: [1] }));
+      expect(data.preview[1]).toEqual(expect.objectContaining({ title: 'Book room, level 2', status: 'completed' }));
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should report validation errors per row', async () => {
+      req.body.dry_run = true;
+      req.file = csvFile('Title,Priority,Assignees\n,high,\nShip,asap,nobody@example.com\nFine,,');
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.validRows).toBe(1);
+      expect(data.errors).toEqual([
+        { row: 1, messages: ['Title: Task title is required'] },
+        { row: 2, messages: ['Assignees: nobody@example.com is not a member of this workspace', expect.stringMatching(/^Priority: /)] },
+      ]);
+    });
+
+    it('should flag imports that would exceed the task limit', async () => {
+      req.body.dry_run = true;
+      getWorkspacePlanLimits.mockResolvedValueOnce({ planId: 'free', maxMembers: 3, maxTasksPerWorkspace: 50, features: {} });
+      countWorkspaceTasks.mockResolvedValueOnce(49);
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.taskLimit).toEqual({ limit: 50, current: 49, remaining: 1, planId: 'free' });
+      expect(data.exceedsLimit).toBe(true);
+    });
+
+    it('should report a workspace already at its task limit instead of refusing', async () => {
+      req.body.dry_run = true;
+      getWorkspacePlanLimits.mockResolvedValueOnce({ planId: 'free', maxMembers: 3, maxTasksPerWorkspace: 50, features: {} });
+      countWorkspaceTasks.mockResolvedValueOnce(50);
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.taskLimit).toEqual({ limit: 50, current: 50, remaining: 0, planId: 'free' });
+      expect(data.exceedsLimit).toBe(true);
+      expect(data.validRows).toBe(2);
+    });
+
+    it('should apply an explicit column mapping', async () => {
+      req.body.dry_run = true;
+      req.body.mapping = { title: 'Summary', assignee_emails: null };
+      req.file = csvFile('[{"Summary": "From JSON", "Assignees": ["stranger@example.com"]}]', 'export.json');
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      const data = res.json.mock.calls[0][0].data;
+      expect(data.format).toBe('json');
+      expect(data.errors).toEqual([]);
+      expect(data.preview[0]).toEqual(expect.objectContaining({ title: 'From JSON', assignee_ids: [] }));
+    });
+  });
+
+  describe('import', () => {
+    it('should create the tasks and their assignments in one transaction', async () => {
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+
+      const [first, second] = insertedTasks();
+      expect(first).toEqual(['Draft agenda', null, 4, 'high', 'todo', '2026-03-01', null, 7, 1, WORKSPACE_ID]);
+      expect(second.slice(0, 6)).toEqual(['Book room, level 2', 'Needs a projector', null, 'low', 'completed', null]);
+      expect(second[6]).toBeInstanceOf(Date);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO task_assignments'),
+        [100, 1]
+      );
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toEqual({ taskIds: [100, 101], importedCount: 2 });
+      expect(logActivities).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'created', 'task', [
+        { entityId: 100, metadata: { title: 'Draft agenda', imported: true } },
+        { entityId: 101, metadata: { title: 'Book room, level 2', imported: true } },
+      ]);
+      expect(publishEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'tasks.invalidated', { taskIds: [100, 101] }, req);
+      expect(queueWebhookEvents).toHaveBeenCalledWith(WORKSPACE_ID, 'task.created', expect.any(Array), 1);
+    });
+
+    it('should import nothing when a row has errors', async () => {
+      req.file = csvFile('Title,Category\nGood,\nBad,Icebox');
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      const body = res.json.mock.calls[0][0];
+      expect(body.message).toBe('1 row has errors. Nothing was imported.');
+      expect(body.data.errors).toEqual([{ row: 2, messages: ['Category: "Icebox" is not a category of this workspace'] }]);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when the import would exceed the task limit', async () => {
+      getWorkspacePlanLimits.mockResolvedValueOnce({ planId: 'free', maxMembers: 3, maxTasksPerWorkspace: 50, features: {} });
+      countWorkspaceTasks.mockResolvedValueOnce(49);
+      mockWorkspaceData();
+
+      await importTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'error',
+        code: 'PLAN_LIMIT_TASKS',
+        limit: 50,
+        current: 49,
+      }));
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should not import when the plan limits cannot be loaded', async () => {
+      getWorkspacePlanLimits.mockRejectedValueOnce(new Error('connection lost'));
+      mockWorkspaceData();
+
+      await expect(importTasks(req, res)).rejects.toThrow('connection lost');
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when an insert fails', async () => {
+      mockWorkspaceData();
+      mockClient.query.mockImplementation((sql) => (
+        sql.includes('INSERT INTO tasks') ? Promise.reject(new Error('boom')) : Promise.resolve({ rows: [] })
+      ));
+
+      await expect(importTasks(req, res)).rejects.toThrow('boom');
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validation', () => {
+    it('should return 403 for viewers', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'viewer' });
+
+      await importTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 without workspace access', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await importTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 400 without a file', async () => {
+      req.file = undefined;
+
+      await importTasks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Choose a CSV or JSON file to import'
+      });
+    });
+
+    it('should return 400 for malformed files and missing columns', async () => {
+      req.file = csvFile('{"tasks": ', 'tasks.json');
+      await importTasks(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ status: 'error', message: 'The file is not valid JSON' });
+
+      req.file = csvFile('Summary\nA');
+      await importTasks(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ status: 'error', message: 'Choose the column that holds the task titles' });
+
+      req.file = csvFile('Title\n');
+      await importTasks(req, res);
+      expect(res.json).toHaveBeenLastCalledWith({ status: 'error', message: 'The file has no tasks to import' });
+
+      expect(res.status).toHaveBeenCalledTimes(3);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,345 @@
+const {
+  getTaskTimeEntries,
+  startTimer,
+  stopTimer,
+  getMyRunningTimer,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport
+} = require('../timeEntryController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query, getClient } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Time Entry Controller', () => {
+  let req, res;
+  let mockClient;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+  const taskRow = { id: 10, title: 'Client site', workspace_id: WORKSPACE_ID, estimate_minutes: 120 };
+  const entryRow = {
+    id: 7, task_id: 10, workspace_id: WORKSPACE_ID, user_id: 1, user_name: 'Ana',
+    started_at: '2026-03-02T09:00:00Z', ended_at: '2026-03-02T09:30:00Z',
+    duration_seconds: 1800, note: 'Kickoff', created_at: '2026-03-02T09:30:00Z'
+  };
+  const runningRow = { ...entryRow, id: 8, ended_at: null, duration_seconds: null, note: null };
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.params = { id: '10' };
+    jest.clearAllMocks();
+
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn(),
+    };
+    getClient.mockResolvedValue(mockClient);
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+  });
+
+  describe('getTaskTimeEntries', () => {
+    it('should list entries with the finished total and estimate', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [runningRow, entryRow] });
+
+      await getTaskTimeEntries(req, res);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.totalSeconds).toBe(1800);
+      expect(data.estimateMinutes).toBe(120);
+      expect(data.entries.map((e) => [e.id, e.isRunning])).toEqual([[8, true], [7, false]]);
+      expect(data.entries[1]).toEqual(expect.objectContaining({ userName: 'Ana', durationSeconds: 1800, note: 'Kickoff' }));
+    });
+
+    it('should return 404 for a missing task', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await getTaskTimeEntries(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 without workspace access', async () => {
+      query.mockResolvedValueOnce({ rows: [taskRow] });
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getTaskTimeEntries(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('startTimer', () => {
+    it('should stop the timer running elsewhere and start a new one', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...runningRow, task_id: 11, task_title: 'Other' }] });
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ ...runningRow, task_id: 11, ended_at: '2026-03-02T10:00:00Z', duration_seconds: 3600 }] })
+        .mockResolvedValueOnce({ rows: [{ ...runningRow, id: 9 }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await startTimer(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE time_entries'), [1, 1440]);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO time_entries'), [10, WORKSPACE_ID, 1]);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.entry).toEqual(expect.objectContaining({ id: 9, taskTitle: 'Client site', isRunning: true }));
+      expect(data.stoppedEntry).toEqual(expect.objectContaining({ taskId: 11, durationSeconds: 3600, isRunning: false }));
+    });
+
+    it('should leave a timer already running on this task alone', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [runningRow] });
+
+      await startTimer(req, res);
+
+      expect(getClient).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Timer already running' }));
+    });
+
+    it('should return 409 when a concurrent start wins', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [] });
+      const conflict = Object.assign(new Error('duplicate key'), { code: '23505' });
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] })
+        .mockRejectedValueOnce(conflict);
+
+      await startTimer(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it('should not let viewers track time', async () => {
+      query.mockResolvedValueOnce({ rows: [taskRow] });
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'viewer' });
+
+      await startTimer(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(getClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stopTimer', () => {
+    it('should stop the timer running on this task', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [runningRow] })
+        .mockResolvedValueOnce({ rows: [{ ...runningRow, ended_at: '2026-03-02T09:45:00Z', duration_seconds: 2700 }] });
+
+      await stopTimer(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { entry: expect.objectContaining({ id: 8, durationSeconds: 2700, isRunning: false }) }
+      }));
+    });
+
+    it('should return 404 when the running timer is on another task', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...runningRow, task_id: 11 }] });
+
+      await stopTimer(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getMyRunningTimer', () => {
+    it('should return null when nothing is running', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await getMyRunningTimer(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { entry: null } });
+    });
+  });
+
+  describe('createTimeEntry', () => {
+    it('should log a manual entry from a start time and duration', async () => {
+      req.body = { started_at: '2026-03-02T14:00:00Z', duration_minutes: 45, note: 'Review' };
+      query
+        .mockResolvedValueOnce({ rows: [taskRow] })
+        .mockResolvedValueOnce({ rows: [{ ...entryRow, duration_seconds: 2700 }] });
+
+      await createTimeEntry(req, res);
+
+      const params = query.mock.calls[1][1];
+      expect(params).toEqual([
+        10, WORKSPACE_ID, 1,
+        new Date('2026-03-02T14:00:00Z'), new Date('2026-03-02T14:45:00Z'),
+        2700, 'Review'
+      ]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject viewers', async () => {
+      req.body = { started_at: '2026-03-02T14:00:00Z', duration_minutes: 45 };
+      query.mockResolvedValueOnce({ rows: [taskRow] });
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'viewer' });
+
+      await createTimeEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('updateTimeEntry', () => {
+    beforeEach(() => {
+      req.params = { id: '7' };
+    });
+
+    it('should keep the duration when only the start time moves', async () => {
+      req.body = { started_at: '2026-03-02T13:00:00Z' };
+      query
+        .mockResolvedValueOnce({ rows: [{ ...entryRow, task_title: 'Client site' }] })
+        .mockResolvedValueOnce({ rows: [entryRow] });
+
+      await updateTimeEntry(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual([
+        new Date('2026-03-02T13:00:00Z'), new Date('2026-03-02T13:30:00Z'), 1800, 'Kickoff', 7
+      ]);
+    });
+
+    it('should not change the duration of a running timer', async () => {
+      req.body = { duration_minutes: 30 };
+      query.mockResolvedValueOnce({ rows: [runningRow] });
+
+      await updateTimeEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Stop the timer before changing its duration'
+      });
+    });
+
+    it('should only let owners edit entries', async () => {
+      req.body = { note: 'Mine now' };
+      query.mockResolvedValueOnce({ rows: [{ ...entryRow, user_id: 2 }] });
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'admin' });
+
+      await updateTimeEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('deleteTimeEntry', () => {
+    beforeEach(() => {
+      req.params = { id: '7' };
+    });
+
+    it('should let admins delete other people\'s entries', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ ...entryRow, user_id: 2 }] })
+        .mockResolvedValueOnce({ rows: [] });
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'admin' });
+
+      await deleteTimeEntry(req, res);
+
+      expect(query).toHaveBeenLastCalledWith('DELETE FROM time_entries WHERE id = $1', [7]);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', message: 'Time entry deleted successfully' });
+    });
+
+    it('should stop members deleting other people\'s entries', async () => {
+      query.mockResolvedValueOnce({ rows: [{ ...entryRow, user_id: 2 }] });
+
+      await deleteTimeEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for a missing entry', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await deleteTimeEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'Time entry not found' });
+    });
+  });
+
+  describe('getTimeReport', () => {
+    beforeEach(() => {
+      req.params = { id: WORKSPACE_ID };
+    });
+
+    it('should roll up time by category, person and day', async () => {
+      req.query = { from: '2026-03-01', to: '2026-03-31', timezone: 'Europe/Berlin' };
+      query
+        .mockResolvedValueOnce({ rows: [
+          { category_id: 3, category_name: 'Acme', category_color: '#3B82F6', total_seconds: 5400, entry_count: 2 },
+          { category_id: null, category_name: null, category_color: null, total_seconds: 1800, entry_count: 1 },
+        ] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 1, user_name: 'Ana', total_seconds: 7200, entry_count: 3 }] })
+        .mockResolvedValueOnce({ rows: [
+          { day: '2026-03-02', total_seconds: 3600, entry_count: 2 },
+          { day: '2026-03-03', total_seconds: 3600, entry_count: 1 },
+        ] });
+
+      await getTimeReport(req, res);
+
+      expect(query.mock.calls[0][1]).toEqual([WORKSPACE_ID, '2026-03-01', '2026-03-31', 'Europe/Berlin']);
+      expect(query.mock.calls[2][0]).toContain('AT TIME ZONE $4');
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.totalSeconds).toBe(7200);
+      expect(data.byCategory[1]).toEqual({ categoryId: null, categoryName: null, categoryColor: null, totalSeconds: 1800, entryCount: 1 });
+      expect(data.byUser).toEqual([{ userId: 1, userName: 'Ana', totalSeconds: 7200, entryCount: 3 }]);
+      expect(data.byDate.map((d) => d.date)).toEqual(['2026-03-02', '2026-03-03']);
+    });
+
+    it('should filter by person and category', async () => {
+      req.query = { from: '2026-03-01', to: '2026-03-31', user_id: '2', category_id: '3' };
+      query.mockResolvedValue({ rows: [] });
+
+      await getTimeReport(req, res);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(params).toEqual([WORKSPACE_ID, '2026-03-01', '2026-03-31', 'UTC', 2, 3]);
+      expect(sql).toContain('te.user_id = $5');
+      expect(sql).toContain('t.category_id = $6');
+    });
+
+    it('should reject an invalid range', async () => {
+      req.query = { from: '2026-03-31', to: '2026-03-01' };
+
+      await getTimeReport(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 without workspace access', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getTimeReport(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook
+} = require('../webhookController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Webhook Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  const webhookRow = (overrides = {}) => ({
+    id: 4,
+    url: 'https://hooks.example.com/todoria',
+    description: 'Deploy bot',
+    secret: 'whsec_0123456789abcdef',
+    events: ['task.created', 'task.updated'],
+    is_active: true,
+    created_by: 1,
+    created_at: '2026-03-01T10:00:00Z',
+    updated_at: '2026-03-01T10:00:00Z',
+    ...overrides,
+  });
+
+  const deliveryRow = (overrides = {}) => ({
+    id: 31,
+    webhook_id: 4,
+    event: 'task.created',
+    status: 'delivered',
+    attempts: 1,
+    response_status: 200,
+    duration_ms: 120,
+    last_error: null,
+    last_attempted_at: '2026-03-01T10:01:00Z',
+    delivered_at: '2026-03-01T10:01:00Z',
+    created_at: '2026-03-01T10:00:00Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+  });
+
+  describe('getWebhooks', () => {
+    it('should return the webhooks without their secrets', async () => {
+      query.mockResolvedValueOnce({ rows: [webhookRow()] });
+
+      await getWebhooks(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('WHERE workspace_id = $1'), [WORKSPACE_ID]);
+      const [webhook] = res.json.mock.calls[0][0].data.webhooks;
+      expect(webhook).toEqual(expect.objectContaining({
+        id: 4,
+        url: 'https://hooks.example.com/todoria',
+        events: ['task.created', 'task.updated'],
+        isActive: true,
+        secretHint: '…cdef',
+      }));
+      expect(webhook).not.toHaveProperty('secret');
+    });
+
+    it('should return 403 for non-admins', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce({ role: 'member' });
+
+      await getWebhooks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Only workspace admins can manage webhooks'
+      });
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 without workspace access', async () => {
+      verifyWorkspaceAccess.mockResolvedValueOnce(null);
+
+      await getWebhooks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createWebhook', () => {
+    it('should create a webhook and return its secret once', async () => {
+      req.body = { url: 'https://hooks.example.com/todoria', description: 'Deploy bot', events: ['task.created'] };
+      query.mockResolvedValueOnce({ rows: [webhookRow({ events: ['task.created'] })] });
+
+      await createWebhook(req, res);
+
+      const params = query.mock.calls[0][1];
+      expect(params[0]).toBe(WORKSPACE_ID);
+      expect(params[1]).toBe('https://hooks.example.com/todoria');
+      expect(params[3]).toMatch(/^whsec_/);
+      expect(params[4]).toEqual(['task.created']);
+      expect(params[5]).toBe(1);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.webhook.secret).toBe('whsec_0123456789abcdef');
+    });
+
+    it('should reject URLs that point at private hosts', async () => {
+      req.body = { url: 'http://169.254.169.254/latest', events: ['task.created'] };
+
+      await createWebhook(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Webhook URL must point to a public host'
+      });
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateWebhook', () => {
+    it('should pause a webhook', async () => {
+      req.params = { id: WORKSPACE_ID, webhookId: '4' };
+      req.body = { is_active: false };
+      query.mockResolvedValueOnce({ rows: [webhookRow({ is_active: false })] });
+
+      await updateWebhook(req, res);
+
+      expect(query.mock.calls[0][0]).toContain('is_active = $1');
+      expect(query.mock.calls[0][1]).toEqual([false, '4', WORKSPACE_ID]);
+      expect(res.json.mock.calls[0][0].data.webhook.isActive).toBe(false);
+    });
+
+    it('should return 400 when nothing changes', async () => {
+      req.params = { id: WORKSPACE_ID, webhookId: '4' };
+      req.body = {};
+
+      await updateWebhook(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a webhook of another workspace', async () => {
+      req.params = { id: WORKSPACE_ID, webhookId: '99' };
+      req.body = { events: ['comment.created'] };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await updateWebhook(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('deleteWebhook', () => {
+    it('should delete the webhook', async () => {
+      req.params = { id: WORKSPACE_ID, webhookId: '4' };
+      query.mockResolvedValueOnce({ rows: [{ id: 4 }] });
+
+      await deleteWebhook(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM webhooks'), ['4', WORKSPACE_ID]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        message: 'Webhook deleted successfully'
+      });
+    });
+  });
+
+  describe('getWebhookDeliveries', () => {
+    it('should return the most recent deliveries', async () => {
+      req.params = { id: WORKSPACE_ID, webhookId: '4' };
+      query.mockResolvedValueOnce({ rows: [webhookRow()] });
+      query.mockResolvedValueOnce({ rows: [deliveryRow(), deliveryRow({ id: 30, status: 'failed', response_status: 500, last_error: 'Endpoint responded with 500' })] });
+
+      await getWebhookDeliveries(req, res);
+
+      expect(query.mock.calls[1][1]).toEqual(['4', 25]);
+      const { deliveries } = res.json.mock.calls[0][0].data;
+      expect(deliveries).toHaveLength(2);
+      expect(deliveries[1]).toEqual(expect.objectContaining({
+        id: 30,
+        status: 'failed',
+        responseStatus: 500,
+        error: 'Endpoint responded with 500',
+      }));
+    });
+
+    it('should return 404 for an unknown webhook', async () => {
+      req.params = { id: WORKSPACE_ID, webhookId: '99' };
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await getWebhookDeliveries(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('testWebhook', () => {
+    it('should queue a ping for the webhook', async () => {
+      req.params = { id: WORKSPACE_ID, webhookId: '4' };
+      query.mockResolvedValueOnce({ rows: [webhookRow()] });
+      query.mockResolvedValueOnce({ rows: [deliveryRow({ event: 'webhook.ping', status: 'pending', attempts: 0 })] });
+
+      await testWebhook(req, res);
+
+      const params = query.mock.calls[1][1];
+      expect(params.slice(0, 2)).toEqual([4, 'webhook.ping']);
+      expect(JSON.parse(params[2])).toEqual(expect.objectContaining({
+        event: 'webhook.ping',
+        workspaceId: WORKSPACE_ID,
+        data: { webhookId: 4 },
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.delivery.event).toBe('webhook.ping');
+    });
+  });
+});
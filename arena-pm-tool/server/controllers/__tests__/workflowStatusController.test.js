@@ -0,0 +1,203 @@
+const {
+  getWorkflowStatuses,
+  updateWorkflowStatuses
+} = require('../workflowStatusController');
+
+// Mock dependencies
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+
+const { query, getClient } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+
+describe('Workflow Status Controller', () => {
+  let req, res;
+  let mockClient;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  const defaultRows = [
+    { key: 'todo', name: 'To Do', category: 'not_started', color: '#94A3B8', position: 0 },
+    { key: 'in_progress', name: 'In Progress', category: 'active', color: '#3B82F6', position: 1 },
+    { key: 'completed', name: 'Completed', category: 'done', color: '#22C55E', position: 2 },
+  ];
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    jest.clearAllMocks();
+
+    verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn(),
+    };
+    getClient.mockResolvedValue(mockClient);
+  });
+
+  describe('getWorkflowStatuses', () => {
+    it('should return the built-in statuses for a workspace without a custom set', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await getWorkflowStatuses(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: { statuses: defaultRows }
+      });
+    });
+
+    it('should return the custom statuses in order', async () => {
+      const rows = [
+        { key: 'backlog', name: 'Backlog', category: 'not_started', color: '#94A3B8', position: 0 },
+        { key: 'shipped', name: 'Shipped', category: 'done', color: '#22C55E', position: 1 },
+      ];
+      query.mockResolvedValueOnce({ rows });
+
+      await getWorkflowStatuses(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('ORDER BY position'), [WORKSPACE_ID]);
+      expect(res.json.mock.calls[0][0].data.statuses).toEqual(rows);
+    });
+
+    it('should return 403 without workspace access', async () => {
+      verifyWorkspaceAccess.mockResolvedValue(null);
+
+      await getWorkflowStatuses(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateWorkflowStatuses', () => {
+    const input = [
+      { key: 'todo', name: 'To Do', category: 'not_started' },
+      { key: 'in_progress', name: 'In Progress', category: 'active', color: '#3B82F6' },
+      { name: 'In Review', category: 'active', color: '#F59E0B' },
+      { name: 'Blocked', category: 'active', color: '#EF4444' },
+      { key: 'completed', name: 'Completed', category: 'done', color: '#22C55E' },
+    ];
+
+    // BEGIN, lock, current statuses, in-use check, then writes
+    const mockTransaction = ({ previous = [], inUse = [] } = {}) => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({}) // advisory lock
+        .mockResolvedValueOnce({ rows: previous }) // current statuses
+        .mockResolvedValueOnce({ rows: inUse }); // tasks using removed statuses
+    };
+
+    it('should return 403 for non-admin members', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      req.body = { statuses: input };
+
+      await updateWorkflowStatuses(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Only workspace admins can change workflow statuses'
+      });
+      expect(getClient).not.toHaveBeenCalled();
+    });
+
+    it('should derive keys for new statuses and save the set in order', async () => {
+      req.body = { statuses: input };
+      mockTransaction();
+
+      await updateWorkflowStatuses(req, res);
+
+      const inserts = mockClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO workflow_statuses'));
+      expect(inserts.map(([, params]) => params.slice(1, 3))).toEqual([
+        ['todo', 'To Do'],
+        ['in_progress', 'In Progress'],
+        ['in_review', 'In Review'],
+        ['blocked', 'Blocked'],
+        ['completed', 'Completed'],
+      ]);
+      expect(inserts[2][1][5]).toBe(2); // position
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(res.json.mock.calls[0][0].data.statuses[2]).toEqual({
+        key: 'in_review', name: 'In Review', category: 'active', color: '#F59E0B', position: 2,
+      });
+    });
+
+    it('should reject duplicate names', async () => {
+      req.body = { statuses: [...input, { name: 'in review', category: 'active' }] };
+
+      await updateWorkflowStatuses(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Duplicate status name "in review"'
+      });
+    });
+
+    it('should reject duplicate keys', async () => {
+      req.body = { statuses: [...input, { key: 'todo', name: 'Backlog', category: 'not_started' }] };
+
+      await updateWorkflowStatuses(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Duplicate status key "todo"'
+      });
+    });
+
+    it('should refuse to remove a status that tasks still use', async () => {
+      req.body = { statuses: input.filter(s => s.key !== 'in_progress') };
+      mockTransaction({ previous: defaultRows, inUse: [{ status: 'in_progress', count: '3' }] });
+
+      await updateWorkflowStatuses(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO workflow_statuses'), expect.anything());
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Cannot remove status "In Progress" while 3 task(s) use it. Move them to another status first.'
+      });
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should clear completed_at when a status leaves the done category', async () => {
+      req.body = {
+        statuses: [
+          { key: 'todo', name: 'To Do', category: 'not_started' },
+          { key: 'in_progress', name: 'In Progress', category: 'active' },
+          { key: 'completed', name: 'Awaiting sign-off', category: 'active' },
+          { name: 'Done', category: 'done' },
+        ]
+      };
+      mockTransaction({ previous: defaultRows });
+
+      await updateWorkflowStatuses(req, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET completed_at = NULL'),
+        [WORKSPACE_ID, 'completed']
+      );
+      expect(res.json.mock.calls[0][0].status).toBe('success');
+    });
+
+    it('should roll back and rethrow on database errors', async () => {
+      req.body = { statuses: input };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockRejectedValueOnce(new Error('lock failed'));
+
+      await expect(updateWorkflowStatuses(req, res)).rejects.toThrow('lock failed');
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../../config/database');
+jest.mock('../../middleware/workspaceAuth', () => ({
+  verifyWorkspaceAccess: jest.fn(),
+}));
+jest.mock('../../lib/workload', () => ({
+  ...jest.requireActual('../../lib/workload'),
+  getWorkload: jest.fn(),
+}));
+
+const { getWorkload, updateMemberCapacity } = require('../workloadController');
+const { query } = require('../../config/database');
+const { verifyWorkspaceAccess } = require('../../middleware/workspaceAuth');
+const workload = require('../../lib/workload');
+
+describe('Workload Controller', () => {
+  let req, res;
+
+  const WORKSPACE_ID = 'ws-uuid-123';
+
+  beforeEach(() => {
+    req = createMockReq();
+    res = createMockRes();
+    req.user = { id: 1 };
+    req.params = { id: WORKSPACE_ID };
+    jest.clearAllMocks();
+  });
+
+  describe('getWorkload', () => {
+    it('returns the workload for the requested weeks', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'viewer' });
+      workload.getWorkload.mockResolvedValue({ from: '2026-10-19', weeks: ['2026-10-19'], members: [] });
+      req.query = { from: '2026-10-21', weeks: '1' };
+
+      await getWorkload(req, res);
+
+      expect(workload.getWorkload).toHaveBeenCalledWith({ workspaceId: WORKSPACE_ID, from: '2026-10-21', weeks: 1 });
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: { from: '2026-10-19', weeks: ['2026-10-19'], members: [] }
+      });
+    });
+
+    it('returns 400 for an invalid range', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      req.query = { weeks: '52' };
+
+      await getWorkload(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(workload.getWorkload).not.toHaveBeenCalled();
+    });
+
+    it('returns 403 without access to the workspace', async () => {
+      verifyWorkspaceAccess.mockResolvedValue(null);
+      req.query = {};
+
+      await getWorkload(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('updateMemberCapacity', () => {
+    beforeEach(() => {
+      req.params = { id: WORKSPACE_ID, memberId: '12' };
+    });
+
+    it('saves the capacity', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValue({ rows: [{ id: 12, user_id: 2, weekly_capacity: 5 }] });
+      req.body = { weekly_capacity: 5 };
+
+      await updateMemberCapacity(req, res);
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('SET weekly_capacity = $1'), [5, '12', WORKSPACE_ID]);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        data: { member: { memberId: 12, userId: 2, weeklyCapacity: 5 } }
+      });
+    });
+
+    it('clears the capacity with null', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValue({ rows: [{ id: 12, user_id: 2, weekly_capacity: null }] });
+      req.body = { weekly_capacity: null };
+
+      await updateMemberCapacity(req, res);
+
+      expect(res.json.mock.calls[0][0].data.member.weeklyCapacity).toBeNull();
+    });
+
+    it('returns 403 for non-admins', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'member' });
+      req.body = { weekly_capacity: 5 };
+
+      await updateMemberCapacity(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a member of another workspace', async () => {
+      verifyWorkspaceAccess.mockResolvedValue({ role: 'admin' });
+      query.mockResolvedValue({ rows: [] });
+      req.body = { weekly_capacity: 5 };
+
+      await updateMemberCapacity(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
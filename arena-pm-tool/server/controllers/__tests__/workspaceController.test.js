@@ -27,6 +27,12 @@ jest.mock('../../lib/logger', () => ({
 jest.mock('../../utils/emailQueue', () => ({
   queueWorkspaceInvite: jest.fn().mockResolvedValue(true),
 }));
+jest.mock('../../lib/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+jest.mock('../../lib/webhooks', () => ({
+  queueWebhookEvent: jest.fn(),
+}));
 jest.mock('crypto', () => ({
   randomBytes: jest.fn(() => ({
     toString: jest.fn(() => 'mock-token-abc123'),
@@ -35,6 +41,8 @@ jest.mock('crypto', () => ({
 
 const { query, getClient } = require('../../config/database');
 const { queueWorkspaceInvite } = require('../../utils/emailQueue');
+const { createNotification } = require('../../lib/notifications');
+const { queueWebhookEvent } = require('../../lib/webhooks');
 
 describe('Workspace Controller', () => {
   let req, res;
@@ -864,6 +872,40 @@ describe('Workspace Controller', () => {
       });
     });
 
+    it('should notify the inviter once the invitation is accepted', async () => {
+      req.params = { token: 'valid-token' };
+
+      mockClient.query.mockResolvedValueOnce({}); // BEGIN
+      mockClient.query.mockResolvedValueOnce({
+        rows: [{
+          id: 1,
+          workspace_id: WORKSPACE_ID,
+          email: 'test@example.com',
+          role: 'member',
+          invited_by: 7,
+          accepted_at: null,
+          expires_at: new Date(Date.now() + 86400000),
+          workspace_name: 'My Workspace',
+        }],
+      });
+      mockClient.query.mockResolvedValueOnce({ rows: [{ email: 'test@example.com', name: 'New Member' }] });
+      mockClient.query.mockResolvedValueOnce({ rows: [] }); // Existing member
+      mockClient.query.mockResolvedValueOnce({}); // Insert member
+      mockClient.query.mockResolvedValueOnce({}); // Mark accepted
+      mockClient.query.mockResolvedValueOnce({}); // COMMIT
+      query.mockResolvedValueOnce({}); // Onboarding progress
+
+      await acceptInvitation(req, res);
+
+      expect(createNotification).toHaveBeenCalledWith({
+        userId: 7,
+        workspaceId: WORKSPACE_ID,
+        type: 'invitation_accepted',
+        actorId: req.user.id,
+        data: { workspaceName: 'My Workspace', actorName: 'New Member', role: 'member' },
+      });
+    });
+
     it('should return 400 for invalid token', async () => {
       req.params = { token: 'invalid-token' };
 
@@ -1217,6 +1259,43 @@ describe('Workspace Controller', () => {
       });
     });
 
+    it('should notify the member when their role changes', async () => {
+      req.params = { id: WORKSPACE_ID, memberId: '5' };
+      req.body = { role: 'viewer' };
+
+      query.mockResolvedValueOnce({ rows: [{ role: 'admin' }] });
+      query.mockResolvedValueOnce({ rows: [{ user_id: 2, role: 'member' }] });
+      query.mockResolvedValueOnce({ rows: [{ owner_id: 1, name: 'My Workspace' }] });
+      query.mockResolvedValueOnce({ rows: [{ id: 5, user_id: 2, role: 'viewer' }] });
+
+      await updateMemberRole(req, res);
+
+      expect(createNotification).toHaveBeenCalledWith({
+        userId: 2,
+        workspaceId: WORKSPACE_ID,
+        type: 'role_changed',
+        actorId: req.user.id,
+        data: { workspaceName: 'My Workspace', role: 'viewer' },
+      });
+      expect(queueWebhookEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'member.role_changed', {
+        member: { userId: 2, role: 'viewer', previousRole: 'member' },
+      }, req.user.id);
+    });
+
+    it('should not notify when the role stays the same', async () => {
+      req.params = { id: WORKSPACE_ID, memberId: '5' };
+      req.body = { role: 'member' };
+
+      query.mockResolvedValueOnce({ rows: [{ role: 'admin' }] });
+      query.mockResolvedValueOnce({ rows: [{ user_id: 2, role: 'member' }] });
+      query.mockResolvedValueOnce({ rows: [{ owner_id: 1, name: 'My Workspace' }] });
+      query.mockResolvedValueOnce({ rows: [{ id: 5, user_id: 2, role: 'member' }] });
+
+      await updateMemberRole(req, res);
+
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
     it('should return 400 for invalid role', async () => {
       req.params = { id: WORKSPACE_ID, memberId: '5' };
       req.body = { role: 'superadmin' };
@@ -1322,6 +1401,10 @@ describe('Workspace Controller', () => {
         status: 'success',
         message: 'You have left the workspace',
       });
+      expect(queueWebhookEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'member.removed', {
+        member: { userId: 1 },
+        left: true,
+      }, req.user.id);
     });
 
     it('should return 400 when trying to remove workspace owner', async () => {
@@ -3,6 +3,7 @@
 
 const { query } = require('../config/database');
 const logger = require('../lib/logger');
+const { statusCategorySql } = require('../lib/workflowStatuses');
 
 const safeError = (error) => process.env.NODE_ENV === 'production' ? undefined : error.message;
 
@@ -30,7 +31,7 @@ const getStats = async (req, res) => {
       query(`
         SELECT
           COUNT(*) as total,
-          COUNT(*) FILTER (WHERE status = 'completed') as completed,
+          COUNT(*) FILTER (WHERE ${statusCategorySql('tasks')} = 'done') as completed,
           COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '7 days') as new_7d
         FROM tasks
       `),
@@ -0,0 +1,81 @@
+// Analytics Controller
+// Weekly workspace reporting for workspace admins (/api/workspaces/:id/analytics):
+// created vs. completed, burndown, overdue trend and cycle time, as JSON or CSV.
+// The report itself is built in lib/analytics.
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { parseAnalyticsParams, getAnalytics: loadAnalytics, toAnalyticsCsv } = require('../lib/analytics');
+
+// Check access and params, then load the report. Responds and returns null on failure.
+const resolveReport = async (req, res) => {
+  const { id } = req.params;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership || membership.role !== 'admin') {
+    res.status(403).json({
+      status: 'error',
+      message: 'Only workspace admins can view analytics'
+    });
+    return null;
+  }
+
+  const params = parseAnalyticsParams(req.query);
+  if (params.error) {
+    res.status(400).json({
+      status: 'error',
+      message: params.error
+    });
+    return null;
+  }
+
+  let category = null;
+  if (params.categoryId !== null) {
+    const categoryResult = await query(
+      'SELECT id, name FROM categories WHERE id = $1 AND workspace_id = $2',
+      [params.categoryId, id]
+    );
+    if (categoryResult.rows.length === 0) {
+      res.status(404).json({
+        status: 'error',
+        message: 'Category not found'
+      });
+      return null;
+    }
+    category = categoryResult.rows[0];
+  }
+
+  return loadAnalytics({ workspaceId: id, weeks: params.weeks, category });
+};
+
+/**
+ * Get the workspace's analytics report (admin only)
+ * GET /api/workspaces/:id/analytics?weeks=12&category_id=4
+ */
+const getAnalytics = async (req, res) => {
+  const report = await resolveReport(req, res);
+  if (!report) return;
+
+  res.json({
+    status: 'success',
+    data: report
+  });
+};
+
+/**
+ * Download the analytics report as CSV, one row per week (admin only)
+ * GET /api/workspaces/:id/analytics/export?weeks=12&category_id=4
+ */
+const exportAnalyticsCsv = async (req, res) => {
+  const report = await resolveReport(req, res);
+  if (!report) return;
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="todoria-analytics-${report.to}.csv"`);
+  res.send(toAnalyticsCsv(report));
+};
+
+module.exports = {
+  getAnalytics,
+  exportAnalyticsCsv
+};
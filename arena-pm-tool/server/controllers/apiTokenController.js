@@ -0,0 +1,99 @@
+// API Token Controller
+// Handles the current user's personal access tokens (/api/me/api-tokens)
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { generateApiToken, formatApiToken } = require('../lib/apiTokens');
+
+const MAX_API_TOKENS_PER_USER = 20;
+
+const API_TOKEN_COLUMNS = 't.id, t.name, t.workspace_id, t.scope, t.token_hint, t.expires_at, t.last_used_at, t.created_at';
+
+// Get the current user's tokens, newest first
+const getApiTokens = async (req, res) => {
+  const result = await query(
+    `SELECT ${API_TOKEN_COLUMNS}, w.name AS workspace_name
+     FROM api_tokens t
+     JOIN workspaces w ON w.id = t.workspace_id
+     WHERE t.user_id = $1
+     ORDER BY t.created_at DESC, t.id DESC`,
+    [req.user.id]
+  );
+
+  res.json({
+    status: 'success',
+    data: { tokens: result.rows.map(formatApiToken) }
+  });
+};
+
+// Create a token. The response carries the token itself, which is not shown again.
+const createApiToken = async (req, res) => {
+  const { name, workspace_id, scope, expires_in_days } = req.body;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, workspace_id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  if (scope === 'write' && membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers can only create read-only tokens'
+    });
+  }
+
+  const countResult = await query(
+    'SELECT COUNT(*)::int AS count FROM api_tokens WHERE user_id = $1',
+    [req.user.id]
+  );
+  if (countResult.rows[0].count >= MAX_API_TOKENS_PER_USER) {
+    return res.status(400).json({
+      status: 'error',
+      message: `You can have at most ${MAX_API_TOKENS_PER_USER} API tokens. Revoke one to create another.`
+    });
+  }
+
+  const { token, tokenHash, tokenHint } = generateApiToken();
+
+  const result = await query(`
+    INSERT INTO api_tokens (user_id, workspace_id, name, token_hash, token_hint, scope, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+    RETURNING id, name, workspace_id, scope, token_hint, expires_at, last_used_at, created_at,
+      (SELECT name FROM workspaces WHERE id = $2) AS workspace_name
+  `, [req.user.id, workspace_id, name, tokenHash, tokenHint, scope, expires_in_days]);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'API token created successfully',
+    data: { token: { ...formatApiToken(result.rows[0]), token } }
+  });
+};
+
+// Revoke a token
+const deleteApiToken = async (req, res) => {
+  const result = await query(
+    'DELETE FROM api_tokens WHERE id = $1 AND user_id = $2 RETURNING id',
+    [req.params.tokenId, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'API token not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'API token revoked successfully'
+  });
+};
+
+module.exports = {
+  getApiTokens,
+  createApiToken,
+  deleteApiToken
+};
@@ -0,0 +1,253 @@
+// Attachment Controller
+// Handles file uploads on tasks and comments, downloads/previews and deletion.
+// Size and storage limits are enforced beforehand by checkAttachmentLimit.
+
+const FileType = require('file-type');
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { getStorage } = require('../lib/storage');
+const { logActivity } = require('../lib/activityLog');
+const logger = require('../lib/logger');
+const {
+  formatAttachment,
+  sanitizeFileName,
+  buildStorageKey,
+  isInlineContentType,
+  contentDisposition,
+  removeStoredFiles,
+} = require('../lib/attachments');
+
+// Helper: load a task and verify the user can access its workspace
+const loadTaskWithAccess = async (taskId, userId) => {
+  const taskResult = await query(
+    'SELECT id, title, workspace_id FROM tasks WHERE id = $1',
+    [taskId]
+  );
+  if (taskResult.rows.length === 0) {
+    return { exists: false };
+  }
+  const task = taskResult.rows[0];
+  const membership = await verifyWorkspaceAccess(userId, task.workspace_id);
+  if (!membership) {
+    return { exists: true, authorized: false, task };
+  }
+  return { exists: true, authorized: true, membership, task };
+};
+
+// Send the standard 404/403 for a failed access check. Returns true if sent.
+const rejectAccess = (access, res) => {
+  if (!access.exists) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Task not found'
+    });
+    return true;
+  }
+  if (!access.authorized) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+    return true;
+  }
+  return false;
+};
+
+const findAttachment = async (taskId, attachmentId) => {
+  const result = await query(
+    'SELECT * FROM task_attachments WHERE id = $1 AND task_id = $2',
+    [attachmentId, taskId]
+  );
+  return result.rows[0] || null;
+};
+
+// List a task's attachments, including those added through comments
+const getTaskAttachments = async (req, res) => {
+  const { id } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+
+  const result = await query(`
+    SELECT a.id, a.task_id, a.comment_id, a.file_name, a.content_type, a.size_bytes,
+           a.uploaded_by, a.created_at, u.name as uploader_name
+    FROM task_attachments a
+    LEFT JOIN users u ON a.uploaded_by = u.id
+    WHERE a.task_id = $1
+    ORDER BY a.created_at ASC, a.id ASC
+  `, [id]);
+
+  res.json({
+    status: 'success',
+    data: { attachments: result.rows.map(formatAttachment) }
+  });
+};
+
+// Upload a file to a task, or to one of its comments when comment_id is sent
+const uploadTaskAttachment = async (req, res) => {
+  const { id } = req.params;
+  const commentId = req.body?.comment_id ? parseInt(req.body.comment_id) : null;
+
+  if (!req.file) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No file uploaded.'
+    });
+  }
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+
+  if (access.membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers cannot add attachments. Contact an admin to request edit permissions.'
+    });
+  }
+
+  if (req.body?.comment_id !== undefined && !commentId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid comment_id'
+    });
+  }
+
+  if (commentId) {
+    const commentResult = await query(
+      'SELECT author_id FROM comments WHERE id = $1 AND task_id = $2',
+      [commentId, id]
+    );
+    if (commentResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Comment not found'
+      });
+    }
+    if (commentResult.rows[0].author_id !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only attach files to your own comments'
+      });
+    }
+  }
+
+  // Busboy hands over the raw header bytes as latin1; browsers send UTF-8
+  const fileName = sanitizeFileName(Buffer.from(req.file.originalname, 'latin1').toString('utf8'));
+
+  // Trust the file's magic numbers over the browser-declared type when we can
+  const detectedType = await FileType.fromBuffer(req.file.buffer);
+  const contentType = detectedType?.mime || req.file.mimetype || 'application/octet-stream';
+
+  const storageKey = buildStorageKey(access.task.workspace_id, access.task.id, fileName);
+  const storage = getStorage();
+  await storage.put(storageKey, req.file.buffer, { contentType });
+
+  let result;
+  try {
+    result = await query(`
+      WITH inserted AS (
+        INSERT INTO task_attachments
+          (task_id, comment_id, workspace_id, uploaded_by, file_name, content_type, size_bytes, storage_key)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, task_id, comment_id, file_name, content_type, size_bytes, uploaded_by, created_at
+      )
+      SELECT i.*, u.name as uploader_name
+      FROM inserted i
+      LEFT JOIN users u ON i.uploaded_by = u.id
+    `, [access.task.id, commentId, access.task.workspace_id, req.user.id, fileName, contentType, req.file.size, storageKey]);
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await removeStoredFiles([storageKey]);
+    throw error;
+  }
+
+  const attachment = formatAttachment(result.rows[0]);
+
+  logActivity(access.task.workspace_id, req.user.id, 'attached', 'task', access.task.id, {
+    title: access.task.title,
+    fileName,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Attachment uploaded successfully',
+    data: { attachment }
+  });
+};
+
+// Stream an attachment. Safe types (images, PDF, plain text) render inline
+// for previews unless ?download=1; everything else is always a download.
+const downloadTaskAttachment = async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+
+  const attachment = await findAttachment(id, attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Attachment not found'
+    });
+  }
+
+  const stream = await getStorage().get(attachment.storage_key);
+  if (!stream) {
+    logger.error({ attachmentId: attachment.id, storageKey: attachment.storage_key }, 'Attachment file missing from storage');
+    return res.status(404).json({
+      status: 'error',
+      message: 'Attachment file is missing'
+    });
+  }
+
+  const inline = isInlineContentType(attachment.content_type) && req.query.download !== '1';
+  res.setHeader('Content-Type', inline ? attachment.content_type : 'application/octet-stream');
+  res.setHeader('Content-Length', attachment.size_bytes);
+  res.setHeader('Content-Disposition', contentDisposition(attachment.file_name, inline));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'private, max-age=300');
+
+  stream.on('error', (error) => {
+    logger.error({ err: error, attachmentId: attachment.id }, 'Attachment stream error');
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Delete an attachment (uploader or workspace admin)
+const deleteTaskAttachment = async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+
+  const attachment = await findAttachment(id, attachmentId);
+  if (!attachment) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Attachment not found'
+    });
+  }
+
+  if (attachment.uploaded_by !== req.user.id && access.membership.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You can only delete your own attachments'
+    });
+  }
+
+  await query('DELETE FROM task_attachments WHERE id = $1', [attachment.id]);
+  await removeStoredFiles([attachment.storage_key]);
+
+  res.json({
+    status: 'success',
+    message: 'Attachment deleted successfully'
+  });
+};
+
+module.exports = {
+  getTaskAttachments,
+  uploadTaskAttachment,
+  downloadTaskAttachment,
+  deleteTaskAttachment
+};
@@ -0,0 +1,388 @@
+// Bulk Task Controller
+// Changes or deletes many tasks of one workspace in a single transaction
+
+const { query, getClient } = require('../config/database');
+const { canUserEdit } = require('../middleware/workspaceAuth');
+const { logActivities } = require('../lib/activityLog');
+const logger = require('../lib/logger');
+const { queueTaskAssignmentNotification } = require('../utils/emailQueue');
+const { normalizeRecurrenceRule } = require('../lib/recurrence');
+const { spawnNextOccurrence } = require('../utils/recurrenceService');
+const { statusCategorySql, getWorkspaceStatuses, findStatus } = require('../lib/workflowStatuses');
+const { getStorageKeysForTaskTrees, removeStoredFiles } = require('../lib/attachments');
+const { publishEvent } = require('../lib/realtime');
+const { queueWebhookEvents } = require('../lib/webhooks');
+const { createNotification, wantsEmail } = require('../lib/notifications');
+const { deliverNotificationEmail } = require('../lib/digests');
+
+// Load the requested tasks, only if every one of them is in the workspace
+const loadWorkspaceTasks = async (workspaceId, taskIds) => {
+  const result = await query(`
+    SELECT t.id, t.title, t.description, t.status, t.priority, t.due_date, t.recurrence_rule,
+      t.category_id, ${statusCategorySql('t')} as status_category
+    FROM tasks t
+    WHERE t.workspace_id = $1 AND t.id = ANY($2::int[])
+    ORDER BY t.id
+  `, [workspaceId, taskIds]);
+  return result.rows.length === taskIds.length ? result.rows : null;
+};
+
+// Run callback inside a transaction on a pooled client
+const inTransaction = async (client, callback) => {
+  try {
+    await client.query('BEGIN');
+    await callback();
+    await client.query('COMMIT');
+  } catch (txError) {
+    await client.query('ROLLBACK');
+    throw txError;
+  } finally {
+    client.release();
+  }
+};
+
+// Apply the same status, priority, assignees, category and/or due date to many tasks
+const bulkUpdateTasks = async (req, res) => {
+  const { workspace_id, changes, ignore_blockers } = req.body;
+  const { status, priority, assignee_ids, category_id, due_date } = changes;
+  const taskIds = [...new Set(req.body.task_ids)];
+
+  if (!(await canUserEdit(req.user.id, workspace_id))) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have permission to edit tasks in this workspace'
+    });
+  }
+
+  const tasks = await loadWorkspaceTasks(workspace_id, taskIds);
+  if (!tasks) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'One or more tasks were not found'
+    });
+  }
+
+  // Validate status against the workspace's workflow if provided
+  let nextStatus = null;
+  if (status !== undefined) {
+    const statuses = await getWorkspaceStatuses(workspace_id);
+    nextStatus = findStatus(statuses, status);
+    if (!nextStatus) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid status. Must be one of: ${statuses.map(s => s.key).join(', ')}`
+      });
+    }
+  }
+  const completingIds = nextStatus?.category === 'done'
+    ? tasks.filter((task) => task.status_category !== 'done').map((task) => task.id)
+    : [];
+
+  if (category_id) {
+    const categoryResult = await query(
+      'SELECT id FROM categories WHERE id = $1 AND workspace_id = $2',
+      [category_id, workspace_id]
+    );
+    if (categoryResult.rows.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Category not found in this workspace'
+      });
+    }
+  }
+
+  const assigneeIds = assignee_ids ? [...new Set(assignee_ids)] : [];
+  if (assigneeIds.length > 0) {
+    const memberResult = await query(
+      'SELECT user_id FROM workspace_members WHERE workspace_id = $1 AND user_id = ANY($2::int[])',
+      [workspace_id, assigneeIds]
+    );
+    if (memberResult.rows.length !== assigneeIds.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Assignees must be members of this workspace'
+      });
+    }
+  }
+
+  // Recurrence is anchored on the due date, so a recurring task must keep one
+  const processedDueDate = due_date ? due_date.split('T')[0] : null;
+  const recurringTasks = tasks.filter((task) => task.recurrence_rule);
+  if (due_date !== undefined && !processedDueDate && recurringTasks.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Recurring tasks require a due date'
+    });
+  }
+
+  // Refuse to complete tasks whose blockers stay open, unless overridden.
+  // Blockers that are part of this selection are completed along with it.
+  if (completingIds.length > 0 && !ignore_blockers) {
+    const blockerResult = await query(`
+      SELECT td.task_id, b.id, b.title, b.status
+      FROM task_dependencies td
+      JOIN tasks b ON td.depends_on_task_id = b.id
+      WHERE td.task_id = ANY($1::int[])
+        AND NOT (b.id = ANY($2::int[]))
+        AND ${statusCategorySql('b')} <> 'done'
+      ORDER BY td.task_id, b.id
+    `, [completingIds, taskIds]);
+
+    if (blockerResult.rows.length > 0) {
+      const blockedTasks = [];
+      blockerResult.rows.forEach((row) => {
+        let blocked = blockedTasks.find((task) => task.id === row.task_id);
+        if (!blocked) {
+          const task = tasks.find((t) => t.id === row.task_id);
+          blocked = { id: task.id, title: task.title, blockedBy: [] };
+          blockedTasks.push(blocked);
+        }
+        blocked.blockedBy.push({ id: row.id, title: row.title, status: row.status });
+      });
+
+      return res.status(409).json({
+        status: 'error',
+        message: `${blockedTasks.length} of the selected tasks ${blockedTasks.length === 1 ? 'is' : 'are'} blocked by open tasks`,
+        blockedTasks
+      });
+    }
+  }
+
+  // Build update query dynamically; $1 is always the task ids
+  const updates = [];
+  const values = [taskIds];
+  let paramCount = 2;
+
+  if (status !== undefined) {
+    updates.push(`status = $${paramCount}`);
+    values.push(status);
+    paramCount++;
+    updates.push(`completed_at = CASE WHEN id = ANY($${paramCount}::int[]) THEN CURRENT_TIMESTAMP ELSE ${nextStatus.category === 'done' ? 'completed_at' : 'NULL'} END`);
+    values.push(completingIds);
+    paramCount++;
+  }
+  if (priority !== undefined) {
+    updates.push(`priority = $${paramCount}`);
+    values.push(priority);
+    paramCount++;
+  }
+  if (due_date !== undefined) {
+    updates.push(`due_date = $${paramCount}`);
+    // Tasks can't start after they are due, so earlier start dates follow the due date
+    updates.push(`start_date = CASE WHEN start_date > $${paramCount}::date THEN $${paramCount}::date ELSE start_date END`);
+    values.push(processedDueDate);
+    paramCount++;
+  }
+  if (category_id === null) {
+    updates.push('category_id = NULL');
+  }
+
+  let newlyAssigned = [];
+  const client = await getClient();
+  await inTransaction(client, async () => {
+    if (updates.length > 0) {
+      await client.query(`
+        UPDATE tasks
+        SET ${updates.join(', ')}
+        WHERE id = ANY($1::int[])
+      `, values);
+    }
+
+    // Moved tasks go to the end of their new category, keeping their relative order
+    if (category_id) {
+      await client.query(`
+        UPDATE tasks t
+        SET category_id = $1, position = ranked.position
+        FROM (
+          SELECT id,
+            (SELECT COALESCE(MAX(position), -1) FROM tasks WHERE category_id = $1)
+              + ROW_NUMBER() OVER (ORDER BY position, id) as position
+          FROM tasks
+          WHERE id = ANY($2::int[]) AND category_id IS DISTINCT FROM $1
+        ) ranked
+        WHERE t.id = ranked.id
+      `, [category_id, taskIds]);
+    }
+
+    // Re-normalize so each monthly rule's anchor day follows the new due date
+    if (processedDueDate) {
+      for (const task of recurringTasks) {
+        const recurrenceRule = normalizeRecurrenceRule(task.recurrence_rule, processedDueDate);
+        await client.query(
+          'UPDATE tasks SET recurrence_rule = $1 WHERE id = $2',
+          [recurrenceRule ? JSON.stringify(recurrenceRule) : null, task.id]
+        );
+      }
+    }
+
+    // Replace assignees on every selected task
+    if (assignee_ids !== undefined) {
+      const currentResult = await client.query(
+        'SELECT task_id, user_id FROM task_assignments WHERE task_id = ANY($1::int[])',
+        [taskIds]
+      );
+      const current = new Set(currentResult.rows.map((row) => `${row.task_id}:${row.user_id}`));
+
+      await client.query('DELETE FROM task_assignments WHERE task_id = ANY($1::int[])', [taskIds]);
+      if (assigneeIds.length > 0) {
+        await client.query(`
+          INSERT INTO task_assignments (task_id, user_id)
+          SELECT task_id, user_id
+          FROM unnest($1::int[]) AS task_id
+          CROSS JOIN unnest($2::int[]) AS user_id
+        `, [taskIds, assigneeIds]);
+      }
+
+      newlyAssigned = tasks.flatMap((task) => assigneeIds
+        .filter((userId) => !current.has(`${task.id}:${userId}`))
+        .map((userId) => ({ task, userId })));
+    }
+  });
+
+  // Completing an occurrence of a recurring task creates the next one.
+  // A failure here is retried by the recurrence job, so it must not fail the update.
+  let nextOccurrenceCount = 0;
+  for (const task of recurringTasks.filter((t) => completingIds.includes(t.id))) {
+    try {
+      if (await spawnNextOccurrence(task.id)) nextOccurrenceCount++;
+    } catch (err) {
+      logger.warn({ err, taskId: task.id }, 'Failed to create next recurring occurrence');
+    }
+  }
+
+  // Notify newly added assignees in-app and by email
+  if (newlyAssigned.length > 0) {
+    const updaterResult = await query('SELECT name FROM users WHERE id = $1', [req.user.id]);
+    const updaterName = updaterResult.rows[0]?.name || 'A team member';
+
+    const assigneeResult = await query(`
+      SELECT u.id, u.email, u.name, u.email_notifications_enabled, u.email_digest_mode, u.notification_preferences
+      FROM users u
+      WHERE u.id = ANY($1::int[])
+    `, [[...new Set(newlyAssigned.map(({ userId }) => userId))]]);
+
+    newlyAssigned.forEach(({ task, userId }) => {
+      const assignee = assigneeResult.rows.find((row) => row.id === userId);
+      if (!assignee) return;
+      if (userId !== req.user.id) {
+        createNotification({
+          userId,
+          workspaceId: workspace_id,
+          type: 'assignment',
+          actorId: req.user.id,
+          taskId: task.id,
+          data: { taskTitle: task.title, actorName: updaterName },
+        });
+      }
+      if (!wantsEmail(assignee, 'assignment')) return;
+      const dueDate = due_date !== undefined ? processedDueDate : task.due_date;
+      deliverNotificationEmail(assignee, {
+        type: 'assignment',
+        workspaceId: workspace_id,
+        taskId: task.id,
+        data: { taskTitle: task.title, actorName: updaterName, dueDate },
+      }, () => queueTaskAssignmentNotification({
+        to: assignee.email,
+        userName: assignee.name,
+        taskId: task.id,
+        taskTitle: task.title,
+        taskDescription: task.description,
+        assignedByName: updaterName,
+        dueDate,
+        priority: priority || task.priority
+      })).catch(err => {
+        logger.warn({ err, email: assignee.email }, 'Failed to send assignment notification');
+      });
+    });
+  }
+
+  logActivities(workspace_id, req.user.id, 'updated', 'task',
+    tasks.map((task) => ({
+      entityId: task.id,
+      metadata: {
+        title: task.title,
+        bulk: true,
+        ...(nextStatus && nextStatus.key !== task.status && { status: nextStatus.key, statusCategory: nextStatus.category }),
+      },
+    })));
+  // Positions, completion times and new occurrences change too, so clients refetch
+  publishEvent(workspace_id, 'tasks.invalidated', { taskIds }, req);
+  queueWebhookEvents(workspace_id, 'task.updated',
+    tasks.map((task) => ({ task: { id: task.id, title: task.title }, changes, bulk: true })), req.user.id);
+
+  res.json({
+    status: 'success',
+    message: `${tasks.length} task${tasks.length === 1 ? '' : 's'} updated`,
+    data: {
+      taskIds,
+      updatedCount: tasks.length,
+      nextOccurrenceCount
+    }
+  });
+};
+
+// Delete many tasks (and their subtasks) at once
+const bulkDeleteTasks = async (req, res) => {
+  const { workspace_id } = req.body;
+  const taskIds = [...new Set(req.body.task_ids)];
+
+  if (!(await canUserEdit(req.user.id, workspace_id))) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have permission to delete tasks in this workspace'
+    });
+  }
+
+  const tasks = await loadWorkspaceTasks(workspace_id, taskIds);
+  if (!tasks) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'One or more tasks were not found'
+    });
+  }
+
+  // Subtasks, comments and attachment rows cascade; files are removed afterwards
+  const attachmentKeys = await getStorageKeysForTaskTrees(taskIds);
+  const categoryIds = [...new Set(tasks.map((task) => task.category_id).filter(Boolean))];
+
+  const client = await getClient();
+  await inTransaction(client, async () => {
+    await client.query('DELETE FROM tasks WHERE id = ANY($1::int[])', [taskIds]);
+
+    // Close the gaps left in each category
+    if (categoryIds.length > 0) {
+      await client.query(`
+        UPDATE tasks t
+        SET position = ranked.position
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (PARTITION BY category_id ORDER BY position, id) - 1 as position
+          FROM tasks
+          WHERE category_id = ANY($1::int[])
+        ) ranked
+        WHERE t.id = ranked.id AND t.position IS DISTINCT FROM ranked.position
+      `, [categoryIds]);
+    }
+  });
+
+  await removeStoredFiles(attachmentKeys);
+
+  logActivities(workspace_id, req.user.id, 'deleted', 'task',
+    tasks.map((task) => ({ entityId: task.id, metadata: { title: task.title, bulk: true } })));
+  publishEvent(workspace_id, 'tasks.deleted', { taskIds }, req);
+  queueWebhookEvents(workspace_id, 'task.deleted',
+    tasks.map((task) => ({ taskId: task.id, title: task.title, bulk: true })), req.user.id);
+
+  res.json({
+    status: 'success',
+    message: `${tasks.length} task${tasks.length === 1 ? '' : 's'} deleted`,
+    data: {
+      taskIds,
+      deletedCount: tasks.length
+    }
+  });
+};
+
+module.exports = {
+  bulkUpdateTasks,
+  bulkDeleteTasks,
+};
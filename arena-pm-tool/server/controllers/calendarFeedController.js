@@ -0,0 +1,177 @@
+// Calendar Feed Controller
+// Serves iCalendar subscriptions of task due dates (public, token in the URL)
+// and manages the current user's feeds (/api/me/calendar-feeds)
+
+const { query } = require('../config/database');
+const logger = require('../lib/logger');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { statusCategorySql, statusNameSql } = require('../lib/workflowStatuses');
+const {
+  FEED_LOOKBACK_DAYS,
+  FEED_TASK_LIMIT,
+  generateCalendarFeedToken,
+  formatCalendarFeed,
+  buildCalendar
+} = require('../lib/calendarFeeds');
+
+const FEED_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+const FEED_COLUMNS = 'f.id, f.workspace_id, f.token, f.last_accessed_at, f.created_at';
+
+const TASK_COLUMNS = `
+  t.id, t.title, t.description, t.priority, t.updated_at,
+  to_char(t.due_date, 'YYYY-MM-DD') AS due_date,
+  ${statusNameSql('t')} AS status_name,
+  ${statusCategorySql('t')} AS status_category,
+  c.name AS category_name`;
+
+// When a feed has more tasks than FEED_TASK_LIMIT, keep the ones due closest to
+// today (upcoming ones first on a tie) rather than the oldest in the lookback
+// window, then list them by due date
+const limitClosestToToday = (tasksSql) => `
+  SELECT * FROM (
+    ${tasksSql}
+    ORDER BY ABS(t.due_date - CURRENT_DATE) ASC, t.due_date DESC, t.id ASC
+    LIMIT $3
+  ) feed_tasks
+  ORDER BY feed_tasks.due_date ASC, feed_tasks.id ASC`;
+
+// Tasks assigned to the user in workspaces they still belong to
+const getAssignedTasks = async (userId) => {
+  const result = await query(limitClosestToToday(`
+    SELECT ${TASK_COLUMNS}, w.name AS workspace_name
+    FROM tasks t
+    JOIN task_assignments ta ON ta.task_id = t.id AND ta.user_id = $1
+    JOIN workspace_members wm ON wm.workspace_id = t.workspace_id AND wm.user_id = $1
+    JOIN workspaces w ON w.id = t.workspace_id
+    LEFT JOIN categories c ON c.id = t.category_id
+    WHERE t.due_date IS NOT NULL AND t.due_date >= CURRENT_DATE - $2::int
+  `), [userId, FEED_LOOKBACK_DAYS, FEED_TASK_LIMIT]);
+  return result.rows;
+};
+
+const getWorkspaceTasks = async (workspaceId) => {
+  const result = await query(limitClosestToToday(`
+    SELECT ${TASK_COLUMNS}
+    FROM tasks t
+    LEFT JOIN categories c ON c.id = t.category_id
+    WHERE t.workspace_id = $1 AND t.due_date IS NOT NULL AND t.due_date >= CURRENT_DATE - $2::int
+  `), [workspaceId, FEED_LOOKBACK_DAYS, FEED_TASK_LIMIT]);
+  return result.rows;
+};
+
+const sendFeedNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Calendar feed not found'
+});
+
+// GET /api/calendar/:token.ics - the feed itself, fetched by calendar apps
+const getCalendarFeed = async (req, res) => {
+  const { token } = req.params;
+
+  if (!FEED_TOKEN_PATTERN.test(token)) return sendFeedNotFound(res);
+
+  const feedResult = await query(`
+    SELECT f.id, f.user_id, f.workspace_id, w.name AS workspace_name
+    FROM calendar_feeds f
+    LEFT JOIN workspaces w ON w.id = f.workspace_id
+    WHERE f.token = $1
+  `, [token]);
+  const feed = feedResult.rows[0];
+
+  if (!feed) return sendFeedNotFound(res);
+
+  let name;
+  let tasks;
+  if (feed.workspace_id) {
+    // Members who leave a workspace lose its feed
+    if (!(await verifyWorkspaceAccess(feed.user_id, feed.workspace_id))) return sendFeedNotFound(res);
+    name = `Todoria — ${feed.workspace_name}`;
+    tasks = await getWorkspaceTasks(feed.workspace_id);
+  } else {
+    name = 'Todoria — My tasks';
+    tasks = await getAssignedTasks(feed.user_id);
+  }
+
+  query('UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE id = $1', [feed.id])
+    .catch((error) => logger.error({ err: error, feedId: feed.id }, 'Failed to record calendar feed access'));
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="todoria.ics"',
+    'Cache-Control': 'private, max-age=300',
+  });
+  res.send(buildCalendar(name, tasks));
+};
+
+// Get the current user's feeds: "My tasks" first, then workspaces
+const getCalendarFeeds = async (req, res) => {
+  const result = await query(`
+    SELECT ${FEED_COLUMNS}, w.name AS workspace_name
+    FROM calendar_feeds f
+    LEFT JOIN workspaces w ON w.id = f.workspace_id
+    WHERE f.user_id = $1
+    ORDER BY f.workspace_id NULLS FIRST, f.created_at ASC
+  `, [req.user.id]);
+
+  res.json({
+    status: 'success',
+    data: { feeds: result.rows.map(formatCalendarFeed) }
+  });
+};
+
+// Create the feed for "My tasks" (no workspace_id) or a workspace.
+// An existing feed for the same target is replaced, so its old URL stops working.
+const createCalendarFeed = async (req, res) => {
+  const workspaceId = req.body.workspace_id || null;
+
+  if (workspaceId && !(await verifyWorkspaceAccess(req.user.id, workspaceId))) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const result = await query(`
+    WITH replaced AS (
+      DELETE FROM calendar_feeds WHERE user_id = $1 AND workspace_id IS NOT DISTINCT FROM $2::uuid
+    )
+    INSERT INTO calendar_feeds (user_id, workspace_id, token)
+    VALUES ($1, $2, $3)
+    RETURNING id, workspace_id, token, last_accessed_at, created_at,
+      (SELECT name FROM workspaces WHERE id = $2) AS workspace_name
+  `, [req.user.id, workspaceId, generateCalendarFeedToken()]);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Calendar feed created successfully',
+    data: { feed: formatCalendarFeed(result.rows[0]) }
+  });
+};
+
+// Revoke a feed; calendar apps subscribed to it stop receiving updates
+const deleteCalendarFeed = async (req, res) => {
+  const result = await query(
+    'DELETE FROM calendar_feeds WHERE id = $1 AND user_id = $2 RETURNING id',
+    [req.params.feedId, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Calendar feed not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Calendar feed revoked successfully'
+  });
+};
+
+module.exports = {
+  getCalendarFeed,
+  getCalendarFeeds,
+  createCalendarFeed,
+  deleteCalendarFeed
+};
@@ -3,6 +3,8 @@
 
 const { query, getClient } = require('../config/database');
 const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { publishEvent } = require('../lib/realtime');
+const { queueWebhookEvent } = require('../lib/webhooks');
 
 // Get all categories
 const getAllCategories = async (req, res) => {
@@ -218,22 +220,23 @@ const createCategory = async (req, res) => {
   `, [name, color, position, req.user.id, workspace_id || null]);
 
   const newCategory = result.rows[0];
+  const categoryData = {
+    id: newCategory.id,
+    name: newCategory.name,
+    color: newCategory.color,
+    position: newCategory.position,
+    workspaceId: newCategory.workspace_id,
+    createdBy: newCategory.created_by,
+    createdAt: newCategory.created_at,
+    updatedAt: newCategory.updated_at
+  };
+  publishEvent(newCategory.workspace_id, 'category.created', { category: categoryData }, req);
+  queueWebhookEvent(newCategory.workspace_id, 'category.created', { category: categoryData }, req.user.id);
 
   res.status(201).json({
     status: 'success',
     message: 'Category created successfully',
-    data: {
-      category: {
-        id: newCategory.id,
-        name: newCategory.name,
-        color: newCategory.color,
-        position: newCategory.position,
-        workspaceId: newCategory.workspace_id,
-        createdBy: newCategory.created_by,
-        createdAt: newCategory.created_at,
-        updatedAt: newCategory.updated_at
-      }
-    }
+    data: { category: categoryData }
   });
 };
 
@@ -342,21 +345,22 @@ const updateCategory = async (req, res) => {
   `, values);
 
   const updatedCategory = result.rows[0];
+  const categoryData = {
+    id: updatedCategory.id,
+    name: updatedCategory.name,
+    color: updatedCategory.color,
+    position: updatedCategory.position,
+    createdBy: updatedCategory.created_by,
+    createdAt: updatedCategory.created_at,
+    updatedAt: updatedCategory.updated_at
+  };
+  publishEvent(category.workspace_id, 'category.updated', { category: categoryData }, req);
+  queueWebhookEvent(category.workspace_id, 'category.updated', { category: categoryData }, req.user.id);
 
   res.json({
     status: 'success',
     message: 'Category updated successfully',
-    data: {
-      category: {
-        id: updatedCategory.id,
-        name: updatedCategory.name,
-        color: updatedCategory.color,
-        position: updatedCategory.position,
-        createdBy: updatedCategory.created_by,
-        createdAt: updatedCategory.created_at,
-        updatedAt: updatedCategory.updated_at
-      }
-    }
+    data: { category: categoryData }
   });
 };
 
@@ -453,6 +457,7 @@ const reorderCategories = async (req, res) => {
   `;
 
   const result = await query(fetchQuery, fetchParams);
+  publishEvent(targetWorkspaceId, 'categories.reordered', { categoryIds }, req);
 
   res.json({
     status: 'success',
@@ -529,6 +534,8 @@ const deleteCategory = async (req, res) => {
     SET position = position - 1
     WHERE position > $1 AND workspace_id = $2
   `, [category.position, category.workspace_id]);
+  publishEvent(category.workspace_id, 'category.deleted', { categoryId: category.id }, req);
+  queueWebhookEvent(category.workspace_id, 'category.deleted', { categoryId: category.id, name: category.name }, req.user.id);
 
   res.json({
     status: 'success',
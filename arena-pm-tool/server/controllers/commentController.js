@@ -5,11 +5,15 @@
 
 const { query } = require('../config/database');
 const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { formatAttachment, commentAttachmentsSql, getCommentStorageKeys, removeStoredFiles } = require('../lib/attachments');
+const { publishEvent } = require('../lib/realtime');
+const { queueWebhookEvent } = require('../lib/webhooks');
+const { recordCommentMentions, notifyMentionedUsers, notifyTaskParticipants } = require('../lib/mentions');
 
 // Helper: verify user has access to the task's workspace
 const verifyTaskWorkspaceAccess = async (taskId, userId) => {
   const taskResult = await query(
-    'SELECT workspace_id FROM tasks WHERE id = $1',
+    'SELECT workspace_id, title FROM tasks WHERE id = $1',
     [taskId]
   );
   if (taskResult.rows.length === 0) {
@@ -21,9 +25,9 @@ const verifyTaskWorkspaceAccess = async (taskId, userId) => {
     if (!membership) {
       return { exists: true, authorized: false };
     }
-    return { exists: true, authorized: true, membership };
+    return { exists: true, authorized: true, membership, workspaceId: task.workspace_id, taskTitle: task.title };
   }
-  return { exists: true, authorized: true };
+  return { exists: true, authorized: true, workspaceId: null, taskTitle: task.title };
 };
 
 // Get comments for a task (AUTHZ-04: workspace scope added, paginated)
@@ -56,7 +60,8 @@ const getCommentsByTaskId = async (req, res) => {
     SELECT
       c.id, c.task_id, c.author_id, c.content,
       c.created_at, c.updated_at,
-      u.name as author_name
+      u.name as author_name,
+      ${commentAttachmentsSql('c')} as attachments
     FROM comments c
     LEFT JOIN users u ON c.author_id = u.id
     WHERE c.task_id = $1
@@ -87,7 +92,8 @@ const getCommentsByTaskId = async (req, res) => {
         authorName: comment.author_name,
         content: comment.content,
         createdAt: comment.created_at,
-        updatedAt: comment.updated_at
+        updatedAt: comment.updated_at,
+        attachments: (comment.attachments || []).map(formatAttachment)
       })),
       count: comments.length,
       nextCursor,
@@ -154,21 +160,44 @@ const createComment = async (req, res) => {
   `, [newComment.id]);
 
   const fullComment = fullResult.rows[0];
+  const commentData = {
+    id: fullComment.id,
+    taskId: fullComment.task_id,
+    authorId: fullComment.author_id,
+    authorName: fullComment.author_name,
+    content: fullComment.content,
+    createdAt: fullComment.created_at,
+    updatedAt: fullComment.updated_at,
+    attachments: []
+  };
+  publishEvent(access.workspaceId, 'comment.created', { comment: commentData }, req);
+  queueWebhookEvent(access.workspaceId, 'comment.created', { comment: commentData }, req.user.id);
+
+  const mentionedUsers = await recordCommentMentions({
+    commentId: commentData.id,
+    content: commentData.content,
+    workspaceId: access.workspaceId,
+    authorId
+  });
+  notifyMentionedUsers({
+    users: mentionedUsers,
+    workspaceId: access.workspaceId,
+    taskId: commentData.taskId,
+    taskTitle: access.taskTitle,
+    comment: commentData
+  });
+  notifyTaskParticipants({
+    workspaceId: access.workspaceId,
+    taskId: commentData.taskId,
+    taskTitle: access.taskTitle,
+    comment: commentData,
+    skipUserIds: mentionedUsers.map((member) => member.id)
+  });
 
   res.status(201).json({
     status: 'success',
     message: 'Comment created successfully',
-    data: {
-      comment: {
-        id: fullComment.id,
-        taskId: fullComment.task_id,
-        authorId: fullComment.author_id,
-        authorName: fullComment.author_name,
-        content: fullComment.content,
-        createdAt: fullComment.created_at,
-        updatedAt: fullComment.updated_at
-      }
-    }
+    data: { comment: commentData }
   });
 };
 
@@ -233,28 +262,47 @@ const updateComment = async (req, res) => {
     SELECT
       c.id, c.task_id, c.author_id, c.content,
       c.created_at, c.updated_at,
-      u.name as author_name
+      u.name as author_name,
+      ${commentAttachmentsSql('c')} as attachments
     FROM comments c
     LEFT JOIN users u ON c.author_id = u.id
     WHERE c.id = $1
   `, [id]);
 
   const updatedComment = fullResult.rows[0];
+  const commentData = {
+    id: updatedComment.id,
+    taskId: updatedComment.task_id,
+    authorId: updatedComment.author_id,
+    authorName: updatedComment.author_name,
+    content: updatedComment.content,
+    createdAt: updatedComment.created_at,
+    updatedAt: updatedComment.updated_at,
+    attachments: (updatedComment.attachments || []).map(formatAttachment)
+  };
+  publishEvent(access.workspaceId, 'comment.updated', { comment: commentData }, req);
+  queueWebhookEvent(access.workspaceId, 'comment.updated', { comment: commentData }, req.user.id);
+
+  // Only members newly mentioned by the edit are notified
+  const mentionedUsers = await recordCommentMentions({
+    commentId: commentData.id,
+    content: commentData.content,
+    workspaceId: access.workspaceId,
+    authorId: userId,
+    replaceExisting: true
+  });
+  notifyMentionedUsers({
+    users: mentionedUsers,
+    workspaceId: access.workspaceId,
+    taskId: commentData.taskId,
+    taskTitle: access.taskTitle,
+    comment: commentData
+  });
 
   res.json({
     status: 'success',
     message: 'Comment updated successfully',
-    data: {
-      comment: {
-        id: updatedComment.id,
-        taskId: updatedComment.task_id,
-        authorId: updatedComment.author_id,
-        authorName: updatedComment.author_name,
-        content: updatedComment.content,
-        createdAt: updatedComment.created_at,
-        updatedAt: updatedComment.updated_at
-      }
-    }
+    data: { comment: commentData }
   });
 };
 
@@ -290,8 +338,12 @@ const deleteComment = async (req, res) => {
     });
   }
 
-  // Delete the comment
+  // Delete the comment (attachment rows cascade; their files are removed after)
+  const attachmentKeys = await getCommentStorageKeys(id);
   await query('DELETE FROM comments WHERE id = $1', [id]);
+  await removeStoredFiles(attachmentKeys);
+  publishEvent(access.workspaceId, 'comment.deleted', { commentId: comment.id, taskId: comment.task_id }, req);
+  queueWebhookEvent(access.workspaceId, 'comment.deleted', { commentId: comment.id, taskId: comment.task_id }, req.user.id);
 
   res.json({
     status: 'success',
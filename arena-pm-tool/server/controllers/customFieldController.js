@@ -0,0 +1,209 @@
+// Custom Field Controller
+// Handles workspace-defined task field definitions (values are set through tasks)
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { getWorkspaceCustomFields, formatCustomField } = require('../lib/customFields');
+
+// Resolve membership and enforce admin-only changes.
+// Returns the membership, or null after sending an error response.
+const requireFieldAdmin = async (req, res) => {
+  const membership = await verifyWorkspaceAccess(req.user.id, req.params.id);
+  if (!membership) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+    return null;
+  }
+  if (membership.role !== 'admin') {
+    res.status(403).json({
+      status: 'error',
+      message: 'Only workspace admins can manage custom fields'
+    });
+    return null;
+  }
+  return membership;
+};
+
+const findDuplicateName = async (workspaceId, name, excludeId = null) => {
+  const result = await query(
+    'SELECT id FROM custom_fields WHERE workspace_id = $1 AND LOWER(name) = LOWER($2) AND id <> $3',
+    [workspaceId, name, excludeId || 0]
+  );
+  return result.rows.length > 0;
+};
+
+// Get the workspace's custom field definitions
+const getCustomFields = async (req, res) => {
+  const { id } = req.params;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const fields = await getWorkspaceCustomFields(id);
+
+  res.json({
+    status: 'success',
+    data: { fields }
+  });
+};
+
+// Create a custom field (admin only)
+const createCustomField = async (req, res) => {
+  const { id } = req.params;
+  const { name, field_type, options = [] } = req.body;
+
+  if (!(await requireFieldAdmin(req, res))) return;
+
+  if (await findDuplicateName(id, name)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Custom field with this name already exists'
+    });
+  }
+
+  const result = await query(`
+    INSERT INTO custom_fields (workspace_id, name, field_type, options, position, created_by)
+    VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(position), -1) + 1 FROM custom_fields WHERE workspace_id = $1), $5)
+    RETURNING id, name, field_type, options, position
+  `, [id, name, field_type, JSON.stringify(field_type === 'dropdown' ? options : []), req.user.id]);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Custom field created successfully',
+    data: { field: formatCustomField(result.rows[0]) }
+  });
+};
+
+// Rename, reorder or change the options of a custom field (admin only).
+// The type is fixed once created so stored values stay valid.
+const updateCustomField = async (req, res) => {
+  const { id, fieldId } = req.params;
+  const { name, options, position } = req.body;
+
+  if (!(await requireFieldAdmin(req, res))) return;
+
+  const existing = await query(
+    'SELECT id, name, field_type, options, position FROM custom_fields WHERE id = $1 AND workspace_id = $2',
+    [fieldId, id]
+  );
+  if (existing.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Custom field not found'
+    });
+  }
+  const field = formatCustomField(existing.rows[0]);
+
+  if (name !== undefined && await findDuplicateName(id, name, field.id)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Custom field with this name already exists'
+    });
+  }
+
+  if (options !== undefined && field.fieldType !== 'dropdown') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Only dropdown fields have options'
+    });
+  }
+
+  // Options can only be removed once no task uses them
+  if (options !== undefined) {
+    const removed = field.options.filter((option) => !options.includes(option));
+    if (removed.length > 0) {
+      const inUse = await query(`
+        SELECT value #>> '{}' as option, COUNT(*) as count
+        FROM task_custom_field_values
+        WHERE field_id = $1 AND value #>> '{}' = ANY($2::text[])
+        GROUP BY value #>> '{}'
+        ORDER BY option
+      `, [field.id, removed]);
+      if (inUse.rows.length > 0) {
+        const { option, count } = inUse.rows[0];
+        return res.status(400).json({
+          status: 'error',
+          message: `Cannot remove option "${option}" while ${parseInt(count)} task(s) use it`
+        });
+      }
+    }
+  }
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (name !== undefined) {
+    updates.push(`name = $${paramCount}`);
+    values.push(name);
+    paramCount++;
+  }
+  if (options !== undefined) {
+    updates.push(`options = $${paramCount}`);
+    values.push(JSON.stringify(options));
+    paramCount++;
+  }
+  if (position !== undefined) {
+    updates.push(`position = $${paramCount}`);
+    values.push(position);
+    paramCount++;
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No fields to update'
+    });
+  }
+
+  values.push(field.id);
+  const result = await query(`
+    UPDATE custom_fields
+    SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${paramCount}
+    RETURNING id, name, field_type, options, position
+  `, values);
+
+  res.json({
+    status: 'success',
+    message: 'Custom field updated successfully',
+    data: { field: formatCustomField(result.rows[0]) }
+  });
+};
+
+// Delete a custom field and every task's value for it (admin only)
+const deleteCustomField = async (req, res) => {
+  const { id, fieldId } = req.params;
+
+  if (!(await requireFieldAdmin(req, res))) return;
+
+  const result = await query(
+    'DELETE FROM custom_fields WHERE id = $1 AND workspace_id = $2 RETURNING id',
+    [fieldId, id]
+  );
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Custom field not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Custom field deleted successfully'
+  });
+};
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
@@ -1,102 +1,230 @@
 // Holiday Controller
-// Proxies requests to Abstract API with caching for Lithuanian holidays
+// Public holidays for the calendar (/api/holidays) and a workspace's holiday
+// calendar settings: regions, working days and company holidays
+// (/api/workspaces/:id/...). Providers, region resolution and caching live in
+// lib/holidays; working days in lib/workingCalendar.
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const {
+  MAX_COMPANY_HOLIDAYS,
+  getHolidayProvider,
+  getDefaultHolidayRegions,
+  resolveHolidayRegions,
+  listHolidayRegions,
+  listCompanyHolidays,
+  formatCompanyHoliday,
+  getHolidayCalendar
+} = require('../lib/holidays');
+const { normalizeWorkingDays, getWorkingDays } = require('../lib/workingCalendar');
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2200;
+
+const sendNoAccess = (res) => res.status(403).json({
+  status: 'error',
+  message: 'You do not have access to this workspace'
+});
+
+// Resolve membership and enforce admin-only access.
+// Returns the membership, or null after sending an error response.
+const requireHolidayAdmin = async (req, res) => {
+  const membership = await verifyWorkspaceAccess(req.user.id, req.params.id);
+  if (!membership) {
+    sendNoAccess(res);
+    return null;
+  }
+  if (membership.role !== 'admin') {
+    res.status(403).json({
+      status: 'error',
+      message: 'Only workspace admins can manage the holiday calendar'
+    });
+    return null;
+  }
+  return membership;
+};
 
-const logger = require('../lib/logger');
+/**
+ * Get holidays for a given year: public holidays for the user's (or the
+ * workspace's) regions plus the workspace's company holidays, and the
+ * workspace's working weekdays
+ * GET /api/holidays?year=2026&workspace_id=<uuid>
+ */
+const getHolidays = async (req, res) => {
+  const { year, workspace_id: workspaceId } = req.query;
+  const yearInt = parseInt(year);
 
-// Helper: sanitize error for response (hide internals in production)
-const safeError = (error) => process.env.NODE_ENV === 'production' ? undefined : error.message;
+  if (!year || isNaN(yearInt) || yearInt < MIN_YEAR || yearInt > MAX_YEAR) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Valid year parameter is required'
+    });
+  }
 
-const ABSTRACT_API_KEY = process.env.ABSTRACT_API_KEY;
-const ABSTRACT_API_URL = 'https://holidays.abstractapi.com/v1/';
-const COUNTRY_CODE = 'LT';
+  if (workspaceId && !(await verifyWorkspaceAccess(req.user.id, workspaceId))) {
+    return sendNoAccess(res);
+  }
 
-// In-memory cache: Map<year, { data, timestamp }>
-const holidayCache = new Map();
-const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
+  const { regions, holidays } = await getHolidayCalendar({
+    workspaceId: workspaceId || null,
+    userId: req.user.id,
+    year: yearInt
+  });
+
+  res.json({
+    status: 'success',
+    data: { year: yearInt, regions, workingDays: await getWorkingDays(workspaceId), holidays }
+  });
+};
 
 /**
- * Normalize date from Abstract API format (MM/DD/YYYY) to YYYY-MM-DD
+ * Countries and regions that can be picked, and the app default
+ * GET /api/holidays/regions
  */
-const normalizeDate = (holiday) => {
-  const year = holiday.date_year;
-  const month = String(holiday.date_month).padStart(2, '0');
-  const day = String(holiday.date_day).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+const getHolidayRegions = async (req, res) => {
+  const provider = getHolidayProvider();
+
+  res.json({
+    status: 'success',
+    data: {
+      regions: listHolidayRegions(),
+      defaultRegions: getDefaultHolidayRegions(),
+      provider: { id: provider.id, label: provider.label }
+    }
+  });
 };
 
 /**
- * Get holidays for a given year
- * GET /api/holidays?year=2026
+ * The workspace's regions (null = app default), working days and company holidays
+ * GET /api/workspaces/:id/holiday-calendar
  */
-const getHolidays = async (req, res) => {
-  try {
-    // Validate API key is configured
-    if (!ABSTRACT_API_KEY) {
-      return res.status(500).json({
-        status: 'error',
-        message: 'ABSTRACT_API_KEY environment variable not configured'
-      });
+const getWorkspaceHolidayCalendar = async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await verifyWorkspaceAccess(req.user.id, id))) return sendNoAccess(res);
+
+  const result = await query('SELECT holiday_regions, working_days FROM workspaces WHERE id = $1', [id]);
+  const regions = result.rows[0]?.holiday_regions ?? null;
+
+  res.json({
+    status: 'success',
+    data: {
+      regions,
+      effectiveRegions: resolveHolidayRegions({ workspaceRegions: regions }),
+      defaultRegions: getDefaultHolidayRegions(),
+      workingDays: normalizeWorkingDays(result.rows[0]?.working_days),
+      holidays: await listCompanyHolidays(id)
     }
+  });
+};
 
-    const { year } = req.query;
-
-    // Validate year parameter
-    if (!year || isNaN(parseInt(year))) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Valid year parameter is required'
-      });
-    }
+/**
+ * Choose the workspace's holiday regions and/or working weekdays; regions null
+ * or [] go back to the app default
+ * PUT /api/workspaces/:id/holiday-calendar
+ */
+const updateWorkspaceHolidayCalendar = async (req, res) => {
+  const { id } = req.params;
+  const { regions, workingDays } = req.body;
 
-    const yearInt = parseInt(year);
+  if (!(await requireHolidayAdmin(req, res))) return;
 
-    // Check cache first
-    const cached = holidayCache.get(yearInt);
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION_MS) {
-      return res.json({
-        status: 'success',
-        data: { holidays: cached.data, fromCache: true }
-      });
+  const updates = [];
+  const values = [];
+  if (regions !== undefined) {
+    values.push(regions && regions.length > 0 ? regions : null);
+    updates.push(`holiday_regions = $${values.length}`);
+  }
+  if (workingDays !== undefined) {
+    values.push(workingDays);
+    updates.push(`working_days = $${values.length}`);
+  }
+  values.push(id);
+
+  const result = await query(
+    `UPDATE workspaces SET ${updates.join(', ')} WHERE id = $${values.length}
+     RETURNING holiday_regions, working_days`,
+    values
+  );
+  const saved = result.rows[0]?.holiday_regions ?? null;
+
+  res.json({
+    status: 'success',
+    message: 'Holiday calendar updated successfully',
+    data: {
+      regions: saved,
+      effectiveRegions: resolveHolidayRegions({ workspaceRegions: saved }),
+      workingDays: normalizeWorkingDays(result.rows[0]?.working_days)
     }
+  });
+};
 
-    // Fetch from Abstract API
-    const url = `${ABSTRACT_API_URL}?api_key=${ABSTRACT_API_KEY}&country=${COUNTRY_CODE}&year=${yearInt}`;
-    const response = await fetch(url);
+/**
+ * Add a company holiday; recurring ones repeat every year
+ * POST /api/workspaces/:id/holidays
+ */
+const createWorkspaceHoliday = async (req, res) => {
+  const { id } = req.params;
+  const { date, name, recurring = false } = req.body;
+
+  if (!(await requireHolidayAdmin(req, res))) return;
+
+  const countResult = await query(
+    'SELECT COUNT(*)::int AS count FROM workspace_holidays WHERE workspace_id = $1',
+    [id]
+  );
+  if (countResult.rows[0].count >= MAX_COMPANY_HOLIDAYS) {
+    return res.status(400).json({
+      status: 'error',
+      message: `A workspace can have at most ${MAX_COMPANY_HOLIDAYS} company holidays`
+    });
+  }
 
-    if (!response.ok) {
-      throw new Error(`Abstract API error: ${response.status}`);
-    }
+  const result = await query(`
+    INSERT INTO workspace_holidays (workspace_id, date, name, recurring, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id, to_char(date, 'YYYY-MM-DD') AS date, name, recurring, created_by, created_at
+  `, [id, date, name, recurring, req.user.id]);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Company holiday added successfully',
+    data: { holiday: formatCompanyHoliday(result.rows[0]) }
+  });
+};
 
-    const holidays = await response.json();
-
-    // Normalize holidays to consistent format
-    const normalizedHolidays = holidays.map(h => ({
-      name: h.name,
-      localName: h.name_local || h.name,
-      date: normalizeDate(h),
-      type: h.type,
-      isPublic: h.type === 'National'
-    }));
-
-    // Cache the result
-    holidayCache.set(yearInt, {
-      data: normalizedHolidays,
-      timestamp: Date.now()
-    });
+/**
+ * Remove a company holiday
+ * DELETE /api/workspaces/:id/holidays/:holidayId
+ */
+const deleteWorkspaceHoliday = async (req, res) => {
+  const { id, holidayId } = req.params;
 
-    res.json({
-      status: 'success',
-      data: { holidays: normalizedHolidays, fromCache: false }
-    });
+  if (!(await requireHolidayAdmin(req, res))) return;
+
+  const result = await query(
+    'DELETE FROM workspace_holidays WHERE id = $1 AND workspace_id = $2 RETURNING id',
+    [holidayId, id]
+  );
 
-  } catch (error) {
-    logger.error({ err: error }, 'Get holidays error');
-    res.status(500).json({
+  if (result.rows.length === 0) {
+    return res.status(404).json({
       status: 'error',
-      message: 'Error fetching holidays',
-      error: safeError(error)
+      message: 'Company holiday not found'
     });
   }
+
+  res.json({
+    status: 'success',
+    message: 'Company holiday removed successfully'
+  });
 };
 
-module.exports = { getHolidays };
+module.exports = {
+  getHolidays,
+  getHolidayRegions,
+  getWorkspaceHolidayCalendar,
+  updateWorkspaceHolidayCalendar,
+  createWorkspaceHoliday,
+  deleteWorkspaceHoliday
+};
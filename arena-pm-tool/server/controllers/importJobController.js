@@ -0,0 +1,121 @@
+// Import Job Controller
+// Queues imports of Trello board JSON, Asana CSV and Jira CSV exports and
+// reports their progress. jobs/importJob.js does the importing.
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { IMPORT_SOURCES, formatImportJob } = require('../lib/importers');
+
+const JOB_COLUMNS = `id, workspace_id, user_id, source, file_name, status, total_items,
+  processed_items, summary, error, created_at, started_at, completed_at`;
+const RECENT_JOBS_LIMIT = 10;
+
+// Returns the membership, or null after sending a 403
+const requireWorkspaceAccess = async (req, res) => {
+  const membership = await verifyWorkspaceAccess(req.user.id, req.params.id);
+  if (!membership) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+    return null;
+  }
+  return membership;
+};
+
+// Queue an uploaded export for import (not viewers)
+const createImportJob = async (req, res) => {
+  const membership = await requireWorkspaceAccess(req, res);
+  if (!membership) return;
+  if (membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers cannot create tasks. Contact an admin to request edit permissions.'
+    });
+  }
+
+  const { source } = req.body;
+  if (!req.file) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Choose a ${IMPORT_SOURCES[source].label} export to import`
+    });
+  }
+
+  // Parsed by the job, so a large export doesn't hold up the upload
+  const payload = req.file.buffer.toString('utf8');
+  if (!payload.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'The file is empty'
+    });
+  }
+
+  const result = await query(`
+    INSERT INTO import_jobs (workspace_id, user_id, source, file_name, payload)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${JOB_COLUMNS}
+  `, [req.params.id, req.user.id, source, (req.file.originalname || '').slice(0, 255) || null, payload]);
+
+  res.status(202).json({
+    status: 'success',
+    message: `${IMPORT_SOURCES[source].label} import queued`,
+    data: {
+      job: formatImportJob(result.rows[0])
+    }
+  });
+};
+
+// Get the workspace's most recent imports
+const getImportJobs = async (req, res) => {
+  const membership = await requireWorkspaceAccess(req, res);
+  if (!membership) return;
+
+  const result = await query(`
+    SELECT ${JOB_COLUMNS}
+    FROM import_jobs
+    WHERE workspace_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+  `, [req.params.id, RECENT_JOBS_LIMIT]);
+
+  res.json({
+    status: 'success',
+    data: {
+      jobs: result.rows.map(formatImportJob)
+    }
+  });
+};
+
+// Get one import's progress and summary; the UI polls this while it runs
+const getImportJob = async (req, res) => {
+  const membership = await requireWorkspaceAccess(req, res);
+  if (!membership) return;
+
+  const jobId = Number(req.params.jobId);
+  const result = Number.isInteger(jobId)
+    ? await query(
+      `SELECT ${JOB_COLUMNS} FROM import_jobs WHERE id = $1 AND workspace_id = $2`,
+      [jobId, req.params.id]
+    )
+    : { rows: [] };
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Import not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      job: formatImportJob(result.rows[0])
+    }
+  });
+};
+
+module.exports = {
+  createImportJob,
+  getImportJobs,
+  getImportJob
+};
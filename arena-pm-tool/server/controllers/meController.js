@@ -6,6 +6,11 @@ const bcrypt = require('bcryptjs');
 const path = require('path');
 const FileType = require('file-type');
 const logger = require('../lib/logger');
+const { statusCategorySql, statusNameSql } = require('../lib/workflowStatuses');
+const { customFieldValuesByNameSql } = require('../lib/customFields');
+const { trackedSecondsSql } = require('../lib/timeTracking');
+const { DIGEST_MODES } = require('../lib/digests');
+const { escCsv } = require('../utils/csv');
 const { supabaseAdmin } = require('../config/supabase');
 
 // Helper: sanitize error for response (hide internals in production)
@@ -13,14 +18,14 @@ const safeError = (error) => process.env.NODE_ENV === 'production' ? undefined :
 
 // Valid options for preferences
 const VALID_LANGUAGES = ['en', 'es', 'fr', 'de', 'pt', 'it'];
-const VALID_DIGEST_MODES = ['immediate', 'daily_digest'];
+const MAX_REMINDER_LOOKAHEAD_DAYS = 14;
 
 // Get current user profile with all fields
 const getProfile = async (req, res) => {
   try {
     const result = await query(
       `SELECT id, email, name, first_name, last_name, avatar_url, role,
-              language, timezone, email_notifications_enabled, email_digest_mode,
+              language, timezone, holiday_regions, email_notifications_enabled, email_digest_mode, reminder_lookahead_days,
               created_at, updated_at
        FROM users WHERE id = $1`,
       [req.user.id]
@@ -48,8 +53,10 @@ const getProfile = async (req, res) => {
           role: user.role,
           language: user.language,
           timezone: user.timezone,
+          holidayRegions: user.holiday_regions ?? null,
           emailNotificationsEnabled: user.email_notifications_enabled,
           emailDigestMode: user.email_digest_mode,
+          reminderLookaheadDays: user.reminder_lookahead_days,
           createdAt: user.created_at,
           updatedAt: user.updated_at
         }
@@ -98,7 +105,7 @@ const updateProfile = async (req, res) => {
        SET first_name = $1, last_name = $2, name = $3
        WHERE id = $4
        RETURNING id, email, name, first_name, last_name, avatar_url, role,
-                 language, timezone, email_notifications_enabled, email_digest_mode,
+                 language, timezone, email_notifications_enabled, email_digest_mode, reminder_lookahead_days,
                  created_at, updated_at`,
       [firstName, lastName, fullName, req.user.id]
     );
@@ -128,6 +135,7 @@ const updateProfile = async (req, res) => {
           timezone: user.timezone,
           emailNotificationsEnabled: user.email_notifications_enabled,
           emailDigestMode: user.email_digest_mode,
+          reminderLookaheadDays: user.reminder_lookahead_days,
           createdAt: user.created_at,
           updatedAt: user.updated_at
         }
@@ -143,10 +151,10 @@ const updateProfile = async (req, res) => {
   }
 };
 
-// Update user preferences (language, timezone)
+// Update user preferences (language, timezone, holiday regions)
 const updatePreferences = async (req, res) => {
   try {
-    const { language, timezone } = req.body;
+    const { language, timezone, holidayRegions } = req.body;
 
     // Validate language
     if (language && !VALID_LANGUAGES.includes(language)) {
@@ -179,6 +187,12 @@ const updatePreferences = async (req, res) => {
       values.push(timezone);
     }
 
+    // null (or an empty list) goes back to the workspace's holiday calendar
+    if (holidayRegions !== undefined) {
+      updates.push(`holiday_regions = $${paramIndex++}`);
+      values.push(holidayRegions && holidayRegions.length > 0 ? holidayRegions : null);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         status: 'error',
@@ -190,7 +204,7 @@ const updatePreferences = async (req, res) => {
 
     const result = await query(
       `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex}
-       RETURNING language, timezone`,
+       RETURNING language, timezone, holiday_regions`,
       values
     );
 
@@ -207,7 +221,8 @@ const updatePreferences = async (req, res) => {
       data: {
         preferences: {
           language: result.rows[0].language,
-          timezone: result.rows[0].timezone
+          timezone: result.rows[0].timezone,
+          holidayRegions: result.rows[0].holiday_regions ?? null
         }
       }
     });
@@ -224,7 +239,7 @@ const updatePreferences = async (req, res) => {
 // Update notification settings
 const updateNotifications = async (req, res) => {
   try {
-    const { emailNotificationsEnabled, emailDigestMode } = req.body;
+    const { emailNotificationsEnabled, emailDigestMode, reminderLookaheadDays } = req.body;
 
     // Validate emailNotificationsEnabled
     if (emailNotificationsEnabled !== undefined && typeof emailNotificationsEnabled !== 'boolean') {
@@ -235,10 +250,22 @@ const updateNotifications = async (req, res) => {
     }
 
     // Validate emailDigestMode
-    if (emailDigestMode && !VALID_DIGEST_MODES.includes(emailDigestMode)) {
+    if (emailDigestMode && !DIGEST_MODES.includes(emailDigestMode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid digest mode. Valid options: ${DIGEST_MODES.join(', ')}`
+      });
+    }
+
+    // Validate reminderLookaheadDays
+    if (reminderLookaheadDays !== undefined && (
+      !Number.isInteger(reminderLookaheadDays)
+      || reminderLookaheadDays < 0
+      || reminderLookaheadDays > MAX_REMINDER_LOOKAHEAD_DAYS
+    )) {
       return res.status(400).json({
         status: 'error',
-        message: `Invalid digest mode. Valid options: ${VALID_DIGEST_MODES.join(', ')}`
+        message: `reminderLookaheadDays must be a whole number from 0 to ${MAX_REMINDER_LOOKAHEAD_DAYS}.`
       });
     }
 
@@ -257,6 +284,11 @@ const updateNotifications = async (req, res) => {
       values.push(emailDigestMode);
     }
 
+    if (reminderLookaheadDays !== undefined) {
+      updates.push(`reminder_lookahead_days = $${paramIndex++}`);
+      values.push(reminderLookaheadDays);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         status: 'error',
@@ -268,7 +300,7 @@ const updateNotifications = async (req, res) => {
 
     const result = await query(
       `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex}
-       RETURNING email_notifications_enabled, email_digest_mode`,
+       RETURNING email_notifications_enabled, email_digest_mode, reminder_lookahead_days`,
       values
     );
 
@@ -285,7 +317,8 @@ const updateNotifications = async (req, res) => {
       data: {
         notifications: {
           emailNotificationsEnabled: result.rows[0].email_notifications_enabled,
-          emailDigestMode: result.rows[0].email_digest_mode
+          emailDigestMode: result.rows[0].email_digest_mode,
+          reminderLookaheadDays: result.rows[0].reminder_lookahead_days
         }
       }
     });
@@ -444,6 +477,8 @@ const getMyTasks = async (req, res) => {
         t.title,
         t.description,
         t.status,
+        ${statusNameSql('t')} as status_name,
+        ${statusCategorySql('t')} as status_category,
         t.priority,
         t.due_date,
         t.completed_at,
@@ -468,12 +503,12 @@ const getMyTasks = async (req, res) => {
       paramIndex++;
     }
 
-    // Filter by status
+    // Filter by status category so custom workflow statuses are included
     if (status) {
       if (status === 'open') {
-        queryText += ` AND t.status != 'completed'`;
+        queryText += ` AND ${statusCategorySql('t')} <> 'done'`;
       } else if (status === 'completed') {
-        queryText += ` AND t.status = 'completed'`;
+        queryText += ` AND ${statusCategorySql('t')} = 'done'`;
       }
     }
 
@@ -504,6 +539,8 @@ const getMyTasks = async (req, res) => {
           title: task.title,
           description: task.description,
           status: task.status,
+          statusName: task.status_name,
+          statusCategory: task.status_category,
           priority: task.priority,
           dueDate: task.due_date,
           completedAt: task.completed_at,
@@ -640,11 +677,15 @@ const exportTasksCsv = async (req, res) => {
         t.title,
         t.description,
         t.status,
+        ${statusNameSql('t')} as status_name,
         t.priority,
         t.due_date,
         t.completed_at,
         c.name as category_name,
-        t.created_at
+        t.created_at,
+        t.estimate_minutes,
+        ${trackedSecondsSql('t')} as tracked_seconds,
+        ${customFieldValuesByNameSql('t')} as custom_fields
       FROM tasks t
       LEFT JOIN categories c ON c.id = t.category_id
       JOIN task_assignments ta ON ta.task_id = t.id
@@ -662,26 +703,32 @@ const exportTasksCsv = async (req, res) => {
     const result = await query(queryText, values);
 
     // Build CSV
-    const header = 'Title,Description,Status,Priority,Due Date,Completed At,Category,Created At';
-    const escCsv = (val) => {
-      if (val == null) return '';
-      const str = String(val);
-      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return `"${str.replace(/"/g, '""')}"`;
-      }
-      return str;
-    };
+    // Hours with up to two decimals, e.g. 1.25
+    const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+    // One extra column per custom field name found on the exported tasks
+    const customFieldNames = [];
+    result.rows.forEach(t => {
+      Object.keys(t.custom_fields || {}).forEach(name => {
+        if (!customFieldNames.includes(name)) customFieldNames.push(name);
+      });
+    });
+
+    const header = ['Title,Description,Status,Priority,Due Date,Completed At,Category,Created At,Estimate (hours),Time Tracked (hours)', ...customFieldNames.map(escCsv)].join(',');
 
     const rows = result.rows.map(t =>
       [
         escCsv(t.title),
         escCsv(t.description),
-        escCsv(t.status),
+        escCsv(t.status_name || t.status),
         escCsv(t.priority),
         escCsv(t.due_date ? new Date(t.due_date).toISOString().split('T')[0] : ''),
         escCsv(t.completed_at ? new Date(t.completed_at).toISOString() : ''),
         escCsv(t.category_name),
         escCsv(t.created_at ? new Date(t.created_at).toISOString() : ''),
+        escCsv(t.estimate_minutes != null ? toHours(t.estimate_minutes) : ''),
+        escCsv(toHours(parseInt(t.tracked_seconds || 0) / 60)),
+        ...customFieldNames.map(name => escCsv((t.custom_fields || {})[name])),
       ].join(',')
     );
 
@@ -705,9 +752,9 @@ const getDataExport = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const [userResult, tasksResult, categoriesResult, commentsResult, workspacesResult] = await Promise.all([
+    const [userResult, tasksResult, categoriesResult, commentsResult, workspacesResult, timeEntriesResult] = await Promise.all([
       query('SELECT id, email, name, first_name, last_name, created_at FROM users WHERE id = $1', [userId]),
-      query(`SELECT t.id, t.title, t.description, t.status, t.priority, t.due_date, t.created_at
+      query(`SELECT t.id, t.title, t.description, t.status, ${statusNameSql('t')} as status_name, t.priority, t.due_date, t.estimate_minutes, t.created_at
              FROM tasks t JOIN task_assignments ta ON ta.task_id = t.id WHERE ta.user_id = $1
              ORDER BY t.created_at DESC`, [userId]),
       query('SELECT id, name, color, workspace_id, created_at FROM categories WHERE created_by = $1 ORDER BY created_at DESC', [userId]),
@@ -715,6 +762,9 @@ const getDataExport = async (req, res) => {
       query(`SELECT w.id, w.name, wm.role, wm.joined_at FROM workspaces w
              JOIN workspace_members wm ON wm.workspace_id = w.id WHERE wm.user_id = $1
              ORDER BY wm.joined_at DESC`, [userId]),
+      query(`SELECT te.id, te.task_id, t.title as task_title, te.started_at, te.ended_at, te.duration_seconds, te.note, te.created_at
+             FROM time_entries te JOIN tasks t ON t.id = te.task_id WHERE te.user_id = $1
+             ORDER BY te.started_at DESC`, [userId]),
     ]);
 
     res.json({
@@ -726,6 +776,7 @@ const getDataExport = async (req, res) => {
         categories: categoriesResult.rows,
         comments: commentsResult.rows,
         workspaces: workspacesResult.rows,
+        timeEntries: timeEntriesResult.rows,
       }
     });
   } catch (error) {
@@ -0,0 +1,159 @@
+// Notification Controller
+// The current user's notification inbox and per-type notification preferences.
+// Notifications are created by lib/notifications; this only reads and marks them.
+
+const { query } = require('../config/database');
+const { formatNotification, resolveNotificationPreferences } = require('../lib/notifications');
+
+const countUnread = async (userId) => {
+  const result = await query(
+    'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+};
+
+// List notifications, newest first
+// Query: cursor (id of the last notification seen), limit, unread=true
+const getNotifications = async (req, res) => {
+  const { cursor, limit: limitParam, unread } = req.query;
+  const limit = Math.min(Math.max(parseInt(limitParam) || 20, 1), 50);
+
+  const params = [req.user.id];
+  let paramCount = 2;
+
+  let queryText = 'SELECT * FROM notifications WHERE user_id = $1';
+
+  if (unread === 'true') {
+    queryText += ' AND read_at IS NULL';
+  }
+
+  if (cursor) {
+    queryText += ` AND id < $${paramCount}`;
+    params.push(parseInt(cursor));
+    paramCount++;
+  }
+
+  queryText += ` ORDER BY id DESC LIMIT $${paramCount}`;
+  params.push(limit + 1);
+
+  const result = await query(queryText, params);
+
+  const hasMore = result.rows.length > limit;
+  const notifications = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  res.json({
+    status: 'success',
+    data: {
+      notifications: notifications.map(formatNotification),
+      unreadCount: await countUnread(req.user.id),
+      nextCursor: hasMore ? notifications[notifications.length - 1].id : null,
+      hasMore,
+    }
+  });
+};
+
+// Mark one notification read or unread
+const updateNotification = async (req, res) => {
+  const { id } = req.params;
+  const { read } = req.body;
+
+  const result = await query(`
+    UPDATE notifications
+    SET read_at = CASE WHEN $3 THEN COALESCE(read_at, NOW()) ELSE NULL END
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [id, req.user.id, read]);
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Notification not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      notification: formatNotification(result.rows[0]),
+      unreadCount: await countUnread(req.user.id),
+    }
+  });
+};
+
+// Mark every unread notification read
+const markAllNotificationsRead = async (req, res) => {
+  const result = await query(
+    'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+    [req.user.id]
+  );
+
+  res.json({
+    status: 'success',
+    data: {
+      updated: result.rowCount,
+      unreadCount: 0,
+    }
+  });
+};
+
+// Per-type in-app and email settings, with anything unset filled in as on
+const getNotificationPreferences = async (req, res) => {
+  const result = await query(
+    'SELECT notification_preferences FROM users WHERE id = $1',
+    [req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      preferences: resolveNotificationPreferences(result.rows[0].notification_preferences)
+    }
+  });
+};
+
+// Update some types' settings; channels left out of the body keep their value
+const updateNotificationPreferences = async (req, res) => {
+  const { preferences } = req.body;
+
+  const result = await query(`
+    UPDATE users
+    SET notification_preferences = notification_preferences || (
+          SELECT jsonb_object_agg(key, COALESCE(notification_preferences -> key, '{}'::jsonb) || value)
+          FROM jsonb_each($2::jsonb)
+        ),
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING notification_preferences
+  `, [req.user.id, JSON.stringify(preferences)]);
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Notification preferences updated successfully',
+    data: {
+      preferences: resolveNotificationPreferences(result.rows[0].notification_preferences)
+    }
+  });
+};
+
+module.exports = {
+  getNotifications,
+  updateNotification,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
@@ -0,0 +1,27 @@
+// Realtime Controller
+// Server-Sent Events stream of task, category and comment changes in a workspace.
+// Authenticated with the normal JWT cookie, so EventSource can connect directly.
+
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { subscribe } = require('../lib/realtime');
+
+// Stream a workspace's events until the client disconnects
+const streamWorkspaceEvents = async (req, res) => {
+  const { id } = req.params;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  // Sent by the browser when it reconnects, so missed events are replayed
+  const unsubscribe = subscribe(id, req.user.id, res, req.headers['last-event-id']);
+  res.on('close', unsubscribe);
+};
+
+module.exports = {
+  streamWorkspaceEvents,
+};
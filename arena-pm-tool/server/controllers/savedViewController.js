@@ -0,0 +1,284 @@
+// Saved View Controller
+// Named filter/sort/search combinations for the board and list views.
+// Personal views belong to one member; shared views are visible to the workspace.
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+
+const DEFAULT_FILTERS = {
+  assignees: [],
+  priorities: [],
+  categories: [],
+  statuses: [],
+  hideCompleted: false,
+};
+
+// Views a member can see: their own plus everything shared
+const VISIBLE_VIEW_SQL = "(sv.visibility = 'shared' OR sv.user_id = $2)";
+
+const formatSavedView = (row) => ({
+  id: row.id,
+  name: row.name,
+  visibility: row.visibility,
+  filters: { ...DEFAULT_FILTERS, ...(row.filters || {}) },
+  sort: row.sort || null,
+  search: row.search || '',
+  ownerId: row.user_id,
+  ownerName: row.owner_name || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Owners manage their views; admins can also manage shared ones
+const canManageView = (view, userId, membership) =>
+  view.user_id === userId || (view.visibility === 'shared' && membership.role === 'admin');
+
+const requireMembership = async (req, res) => {
+  const membership = await verifyWorkspaceAccess(req.user.id, req.params.id);
+  if (!membership) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+    return null;
+  }
+  return membership;
+};
+
+// Load a view the current user can see, with its owner's name
+const findVisibleView = async (workspaceId, userId, viewId) => {
+  const result = await query(`
+    SELECT sv.*, u.name as owner_name
+    FROM saved_views sv
+    LEFT JOIN users u ON sv.user_id = u.id
+    WHERE sv.workspace_id = $1 AND ${VISIBLE_VIEW_SQL} AND sv.id = $3
+  `, [workspaceId, userId, viewId]);
+  return result.rows[0] || null;
+};
+
+const setDefaultViewId = (workspaceId, userId, viewId) =>
+  query(
+    'UPDATE workspace_members SET default_saved_view_id = $3 WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId, viewId]
+  );
+
+// Get the views visible to the current user and their default view
+const getSavedViews = async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await requireMembership(req, res))) return;
+
+  const result = await query(`
+    SELECT sv.*, u.name as owner_name
+    FROM saved_views sv
+    LEFT JOIN users u ON sv.user_id = u.id
+    WHERE sv.workspace_id = $1 AND ${VISIBLE_VIEW_SQL}
+    ORDER BY sv.visibility, LOWER(sv.name), sv.id
+  `, [id, req.user.id]);
+
+  const defaultResult = await query(
+    'SELECT default_saved_view_id FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [id, req.user.id]
+  );
+
+  // A shared default that its owner has since made personal no longer applies
+  const views = result.rows.map(formatSavedView);
+  const defaultViewId = defaultResult.rows[0]?.default_saved_view_id || null;
+
+  res.json({
+    status: 'success',
+    data: {
+      views,
+      defaultViewId: views.some((view) => view.id === defaultViewId) ? defaultViewId : null
+    }
+  });
+};
+
+// Save the current filters as a view. Viewers can only save personal views.
+const createSavedView = async (req, res) => {
+  const { id } = req.params;
+  const { name, visibility = 'personal', filters = {}, sort = null, search = '', is_default } = req.body;
+
+  const membership = await requireMembership(req, res);
+  if (!membership) return;
+
+  if (visibility === 'shared' && membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers can only save personal views'
+    });
+  }
+
+  const result = await query(`
+    WITH inserted AS (
+      INSERT INTO saved_views (workspace_id, user_id, name, visibility, filters, sort, search)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    )
+    SELECT inserted.*, u.name as owner_name
+    FROM inserted
+    LEFT JOIN users u ON inserted.user_id = u.id
+  `, [
+    id,
+    req.user.id,
+    name,
+    visibility,
+    JSON.stringify({ ...DEFAULT_FILTERS, ...filters }),
+    sort ? JSON.stringify(sort) : null,
+    search
+  ]);
+  const view = result.rows[0];
+
+  if (is_default) {
+    await setDefaultViewId(id, req.user.id, view.id);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'View saved successfully',
+    data: {
+      view: formatSavedView(view),
+      isDefault: Boolean(is_default)
+    }
+  });
+};
+
+// Rename a view, change who can see it or replace its filters
+const updateSavedView = async (req, res) => {
+  const { id, viewId } = req.params;
+  const { name, visibility, filters, sort, search } = req.body;
+
+  const membership = await requireMembership(req, res);
+  if (!membership) return;
+
+  const view = await findVisibleView(id, req.user.id, viewId);
+  if (!view) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Saved view not found'
+    });
+  }
+  if (!canManageView(view, req.user.id, membership)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You can only change your own views'
+    });
+  }
+  if (visibility === 'shared' && membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers can only save personal views'
+    });
+  }
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (name !== undefined) {
+    updates.push(`name = $${paramCount}`);
+    values.push(name);
+    paramCount++;
+  }
+  if (visibility !== undefined) {
+    updates.push(`visibility = $${paramCount}`);
+    values.push(visibility);
+    paramCount++;
+  }
+  if (filters !== undefined) {
+    updates.push(`filters = $${paramCount}`);
+    values.push(JSON.stringify({ ...DEFAULT_FILTERS, ...filters }));
+    paramCount++;
+  }
+  if (sort !== undefined) {
+    updates.push(`sort = $${paramCount}`);
+    values.push(sort ? JSON.stringify(sort) : null);
+    paramCount++;
+  }
+  if (search !== undefined) {
+    updates.push(`search = $${paramCount}`);
+    values.push(search);
+    paramCount++;
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No fields to update'
+    });
+  }
+
+  values.push(view.id);
+  const result = await query(`
+    UPDATE saved_views
+    SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${paramCount}
+    RETURNING *
+  `, values);
+
+  res.json({
+    status: 'success',
+    message: 'View updated successfully',
+    data: { view: formatSavedView({ ...result.rows[0], owner_name: view.owner_name }) }
+  });
+};
+
+// Delete a view; members using it as their default fall back to none
+const deleteSavedView = async (req, res) => {
+  const { id, viewId } = req.params;
+
+  const membership = await requireMembership(req, res);
+  if (!membership) return;
+
+  const view = await findVisibleView(id, req.user.id, viewId);
+  if (!view) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Saved view not found'
+    });
+  }
+  if (!canManageView(view, req.user.id, membership)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You can only delete your own views'
+    });
+  }
+
+  await query('DELETE FROM saved_views WHERE id = $1', [view.id]);
+
+  res.json({
+    status: 'success',
+    message: 'View deleted successfully'
+  });
+};
+
+// Set (or clear, with view_id null) the current user's default view
+const setDefaultSavedView = async (req, res) => {
+  const { id } = req.params;
+  const { view_id } = req.body;
+
+  if (!(await requireMembership(req, res))) return;
+
+  if (view_id !== null && !(await findVisibleView(id, req.user.id, view_id))) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Saved view not found'
+    });
+  }
+
+  await setDefaultViewId(id, req.user.id, view_id);
+
+  res.json({
+    status: 'success',
+    message: view_id ? 'Default view updated' : 'Default view cleared',
+    data: { defaultViewId: view_id }
+  });
+};
+
+module.exports = {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+  setDefaultSavedView,
+};
@@ -0,0 +1,119 @@
+// Search Controller
+// Workspace-wide full-text search over task titles, descriptions and comments
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const {
+  SEARCH_CONFIG,
+  MAX_QUERY_LENGTH,
+  TITLE_HEADLINE_OPTIONS,
+  SNIPPET_HEADLINE_OPTIONS,
+  toPrefixTsQuery,
+  searchMatchSql,
+} = require('../lib/search');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const formatSearchResult = (row) => ({
+  type: row.type,
+  taskId: row.task_id,
+  commentId: row.comment_id || null,
+  parentTaskId: row.parent_task_id || null,
+  taskTitle: row.task_title,
+  status: row.status,
+  titleHighlight: row.title_highlight,
+  snippet: row.snippet || null,
+  authorName: row.author_name || null,
+  rank: Number(row.rank),
+});
+
+// Search a workspace. Task and comment hits are ranked together; snippets
+// mark matches with HIGHLIGHT_START/HIGHLIGHT_END from lib/search.
+// Query: workspace_id, q, limit
+const search = async (req, res) => {
+  const { workspace_id, q, limit: limitParam } = req.query;
+
+  if (!workspace_id) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'workspace_id is required'
+    });
+  }
+
+  const searchText = typeof q === 'string' ? q.trim() : '';
+  if (!searchText) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'q is required'
+    });
+  }
+  if (searchText.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Search text must be at most ${MAX_QUERY_LENGTH} characters`
+    });
+  }
+
+  const membership = await verifyWorkspaceAccess(req.user.id, workspace_id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(limitParam) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const tsQuery = toPrefixTsQuery(searchText);
+
+  // Nothing but punctuation - no word can match
+  if (!tsQuery) {
+    return res.json({
+      status: 'success',
+      data: { query: searchText, results: [] }
+    });
+  }
+
+  // Rank and cut to `limit` first so ts_headline only runs on returned rows
+  const result = await query(`
+    WITH hits AS (
+      SELECT 'task' as type, t.id as task_id, NULL::integer as comment_id,
+             ts_rank_cd(t.search_vector, to_tsquery('${SEARCH_CONFIG}', $2)) as rank,
+             t.updated_at as sort_date
+      FROM tasks t
+      WHERE t.workspace_id = $1 AND ${searchMatchSql('t', 2)}
+      UNION ALL
+      SELECT 'comment' as type, cm.task_id, cm.id as comment_id,
+             ts_rank_cd(cm.search_vector, to_tsquery('${SEARCH_CONFIG}', $2)) as rank,
+             cm.created_at as sort_date
+      FROM comments cm
+      JOIN tasks t ON cm.task_id = t.id
+      WHERE t.workspace_id = $1 AND ${searchMatchSql('cm', 2)}
+      ORDER BY rank DESC, sort_date DESC
+      LIMIT $3
+    )
+    SELECT
+      h.type, h.task_id, h.comment_id, h.rank,
+      t.title as task_title, t.status, t.parent_task_id,
+      ts_headline('${SEARCH_CONFIG}', t.title, to_tsquery('${SEARCH_CONFIG}', $2), $4) as title_highlight,
+      ts_headline('${SEARCH_CONFIG}', COALESCE(cm.content, t.description, ''), to_tsquery('${SEARCH_CONFIG}', $2), $5) as snippet,
+      u.name as author_name
+    FROM hits h
+    JOIN tasks t ON h.task_id = t.id
+    LEFT JOIN comments cm ON h.comment_id = cm.id
+    LEFT JOIN users u ON cm.author_id = u.id
+    ORDER BY h.rank DESC, h.sort_date DESC
+  `, [workspace_id, tsQuery, limit, TITLE_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS]);
+
+  res.json({
+    status: 'success',
+    data: {
+      query: searchText,
+      results: result.rows.map(formatSearchResult)
+    }
+  });
+};
+
+module.exports = {
+  search,
+};
@@ -6,6 +6,28 @@ const { queueTaskAssignmentNotification } = require('../utils/emailQueue');
 const { verifyWorkspaceAccess, canUserEdit } = require('../middleware/workspaceAuth');
 const { logActivity } = require('../lib/activityLog');
 const logger = require('../lib/logger');
+const { normalizeRecurrenceRule } = require('../lib/recurrence');
+const { spawnNextOccurrence } = require('../utils/recurrenceService');
+const {
+  statusCategorySql,
+  getWorkspaceStatuses,
+  findStatus,
+  getFirstStatusKey,
+} = require('../lib/workflowStatuses');
+const {
+  customFieldValuesSql,
+  getWorkspaceCustomFields,
+  resolveCustomFieldValues,
+  saveCustomFieldValues,
+  getCustomFieldFilters,
+  buildCustomFieldFilterSql,
+} = require('../lib/customFields');
+const { getTaskTreeStorageKeys, removeStoredFiles } = require('../lib/attachments');
+const { trackedSecondsSql } = require('../lib/timeTracking');
+const { publishEvent } = require('../lib/realtime');
+const { queueWebhookEvent } = require('../lib/webhooks');
+const { createNotification, wantsEmail } = require('../lib/notifications');
+const { deliverNotificationEmail } = require('../lib/digests');
 
 // Helper function to format date for client - just return YYYY-MM-DD string
 const formatDueDateForClient = (dbDate) => {
@@ -21,6 +43,16 @@ const formatDueDateForClient = (dbDate) => {
   return `${year}-${month}-${day}`;
 };
 
+// Open tasks blocking t.id, as a JSON array (used by every task SELECT)
+const OPEN_BLOCKERS_JSON = `
+      COALESCE(
+        (SELECT json_agg(json_build_object('id', b.id, 'title', b.title, 'status', b.status) ORDER BY b.id)
+         FROM task_dependencies td
+         JOIN tasks b ON td.depends_on_task_id = b.id
+         WHERE td.task_id = t.id AND ${statusCategorySql('b')} <> 'done'),
+        '[]'::json
+      )`;
+
 // Get all tasks with filters
 const getAllTasks = async (req, res) => {
   const {
@@ -58,13 +90,18 @@ const getAllTasks = async (req, res) => {
   let queryText = `
     SELECT
       t.id, t.title, t.description, t.category_id,
-      t.priority, t.status, t.due_date, t.completed_at, t.position,
+      t.priority, t.status, t.start_date, t.due_date, t.completed_at, t.position,
       t.parent_task_id, t.workspace_id,
+      t.recurrence_rule, t.recurrence_series_id, t.recurrence_index, t.estimate_minutes,
       t.created_by, t.created_at, t.updated_at,
       c.name as category_name, c.color as category_color,
       creator.name as created_by_name,
       (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id) as subtask_count,
-      (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id AND status = 'completed') as completed_subtask_count,
+      (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id AND ${statusCategorySql('st')} = 'done') as completed_subtask_count,
+      ${OPEN_BLOCKERS_JSON} as blocked_by,
+      ${statusCategorySql('t')} as status_category,
+      ${customFieldValuesSql('t')} as custom_fields,
+      ${trackedSecondsSql('t')} as tracked_seconds,
       COALESCE(
         (SELECT json_agg(json_build_object('id', u.id, 'name', u.name, 'email', u.email))
          FROM task_assignments ta
@@ -121,12 +158,31 @@ const getAllTasks = async (req, res) => {
     paramCount++;
   }
 
+  // Substring match on title/description; ranked full-text search is /api/search
   if (search) {
     queryText += ` AND (t.title ILIKE $${paramCount} OR t.description ILIKE $${paramCount})`;
     params.push(`%${search}%`);
     paramCount++;
   }
 
+  // Custom field filters: cf_<fieldId>=<value>
+  const customFieldFilters = getCustomFieldFilters(req.query);
+  if (customFieldFilters.length > 0) {
+    const fields = await getWorkspaceCustomFields(workspace_id);
+    const { clauses, params: filterParams, error } = buildCustomFieldFilterSql(fields, customFieldFilters, paramCount);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+    clauses.forEach((clause) => {
+      queryText += ` AND ${clause}`;
+    });
+    params.push(...filterParams);
+    paramCount += filterParams.length;
+  }
+
   // Cursor-based pagination: cursor = last task ID from previous page
   if (cursor) {
     queryText += ` AND t.id > $${paramCount}`;
@@ -161,10 +217,19 @@ const getAllTasks = async (req, res) => {
         assignees: task.assignees || [],
         priority: task.priority,
         status: task.status,
+        statusCategory: task.status_category,
+        startDate: formatDueDateForClient(task.start_date),
         dueDate: formatDueDateForClient(task.due_date),
         completedAt: task.completed_at,
         position: task.position,
         parentTaskId: task.parent_task_id,
+        recurrenceRule: task.recurrence_rule || null,
+        recurrenceSeriesId: task.recurrence_series_id || null,
+        recurrenceIndex: task.recurrence_index || 1,
+        blockedBy: task.blocked_by || [],
+        customFields: task.custom_fields || {},
+        estimateMinutes: task.estimate_minutes ?? null,
+        trackedSeconds: parseInt(task.tracked_seconds || 0),
         workspaceId: task.workspace_id,
         subtaskCount: parseInt(task.subtask_count || 0),
         completedSubtaskCount: parseInt(task.completed_subtask_count || 0),
@@ -187,13 +252,18 @@ const getTaskById = async (req, res) => {
   const result = await query(`
     SELECT
       t.id, t.title, t.description, t.category_id,
-      t.priority, t.status, t.due_date, t.completed_at, t.position,
+      t.priority, t.status, t.start_date, t.due_date, t.completed_at, t.position,
       t.parent_task_id, t.workspace_id,
+      t.recurrence_rule, t.recurrence_series_id, t.recurrence_index, t.estimate_minutes,
       t.created_by, t.created_at, t.updated_at,
       c.name as category_name, c.color as category_color,
       creator.name as created_by_name,
       (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id) as subtask_count,
-      (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id AND status = 'completed') as completed_subtask_count,
+      (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id AND ${statusCategorySql('st')} = 'done') as completed_subtask_count,
+      ${OPEN_BLOCKERS_JSON} as blocked_by,
+      ${statusCategorySql('t')} as status_category,
+      ${customFieldValuesSql('t')} as custom_fields,
+      ${trackedSecondsSql('t')} as tracked_seconds,
       COALESCE(
         (SELECT json_agg(json_build_object('id', u.id, 'name', u.name, 'email', u.email))
          FROM task_assignments ta
@@ -240,10 +310,19 @@ const getTaskById = async (req, res) => {
         assignees: task.assignees || [],
         priority: task.priority,
         status: task.status,
+        statusCategory: task.status_category,
+        startDate: formatDueDateForClient(task.start_date),
         dueDate: formatDueDateForClient(task.due_date),
         completedAt: task.completed_at,
         position: task.position,
         parentTaskId: task.parent_task_id,
+        recurrenceRule: task.recurrence_rule || null,
+        recurrenceSeriesId: task.recurrence_series_id || null,
+        recurrenceIndex: task.recurrence_index || 1,
+        blockedBy: task.blocked_by || [],
+        customFields: task.custom_fields || {},
+        estimateMinutes: task.estimate_minutes ?? null,
+        trackedSeconds: parseInt(task.tracked_seconds || 0),
         workspaceId: task.workspace_id,
         subtaskCount: parseInt(task.subtask_count || 0),
         completedSubtaskCount: parseInt(task.completed_subtask_count || 0),
@@ -264,9 +343,13 @@ const createTask = async (req, res) => {
     category_id,
     assignee_ids = [],
     priority = 'medium',
-    status = 'todo',
+    status,
+    start_date,
     due_date,
     parent_task_id,
+    recurrence_rule,
+    custom_fields,
+    estimate_minutes,
     workspace_id
   } = req.body;
 
@@ -327,15 +410,39 @@ const createTask = async (req, res) => {
     });
   }
 
-  // Validate status
-  const validStatuses = ['todo', 'in_progress', 'completed'];
-  if (status && !validStatuses.includes(status)) {
+  // Validate status against the workspace's workflow; new tasks start in the first not-started status
+  const statuses = await getWorkspaceStatuses(workspace_id);
+  const statusKey = status || getFirstStatusKey(statuses, 'not_started');
+  const statusDef = findStatus(statuses, statusKey);
+  if (!statusDef) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Invalid status. Must be one of: ${statuses.map(s => s.key).join(', ')}`
+    });
+  }
+
+  // Recurrence is anchored on the due date
+  if (recurrence_rule && !due_date) {
     return res.status(400).json({
       status: 'error',
-      message: 'Invalid status. Must be: todo, in_progress, or completed'
+      message: 'Recurring tasks require a due date'
     });
   }
 
+  // Validate custom field values against the workspace's field definitions
+  let customFieldValues = [];
+  if (custom_fields && Object.keys(custom_fields).length > 0) {
+    const fields = await getWorkspaceCustomFields(workspace_id);
+    const resolved = resolveCustomFieldValues(fields, custom_fields);
+    if (resolved.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: resolved.error
+      });
+    }
+    customFieldValues = resolved.values;
+  }
+
   // Get the next position for this category
   let position = 0;
   if (category_id) {
@@ -346,34 +453,49 @@ const createTask = async (req, res) => {
     position = posResult.rows[0].next_position;
   }
 
-  // Set completed_at if status is completed
-  const completed_at = status === 'completed' ? new Date() : null;
+  // Set completed_at if the task starts in a done status
+  const completed_at = statusDef.category === 'done' ? new Date() : null;
 
   // Just use the date string directly (YYYY-MM-DD format)
   let processedDueDate = null;
   if (due_date) {
     processedDueDate = due_date.split('T')[0];
   }
+  const processedStartDate = start_date ? start_date.split('T')[0] : null;
+
+  // A task can't start after it is due
+  if (processedStartDate && processedDueDate && processedStartDate > processedDueDate) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Start date must be on or before the due date'
+    });
+  }
+
+  const recurrenceRule = normalizeRecurrenceRule(recurrence_rule, processedDueDate);
 
   const result = await query(`
     INSERT INTO tasks (
       title, description, category_id,
-      priority, status, due_date, completed_at, position, parent_task_id, created_by, workspace_id
+      priority, status, due_date, completed_at, position, parent_task_id, created_by, workspace_id,
+      recurrence_rule, estimate_minutes, start_date
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     RETURNING *
   `, [
     title,
     description || null,
     category_id || null,
     priority,
-    status,
+    statusKey,
     processedDueDate,
     completed_at,
     position,
     parent_task_id || null,
     req.user.id,
-    workspace_id || null
+    workspace_id || null,
+    recurrenceRule ? JSON.stringify(recurrenceRule) : null,
+    estimate_minutes ?? null,
+    processedStartDate
   ]);
 
   const newTaskId = result.rows[0].id;
@@ -388,17 +510,26 @@ const createTask = async (req, res) => {
     );
   }
 
+  if (customFieldValues.length > 0) {
+    await saveCustomFieldValues(newTaskId, customFieldValues);
+  }
+
   // Fetch the complete task with joined data
   const fullTaskResult = await query(`
     SELECT
       t.id, t.title, t.description, t.category_id,
-      t.priority, t.status, t.due_date, t.completed_at, t.position,
+      t.priority, t.status, t.start_date, t.due_date, t.completed_at, t.position,
       t.parent_task_id, t.workspace_id,
+      t.recurrence_rule, t.recurrence_series_id, t.recurrence_index, t.estimate_minutes,
       t.created_by, t.created_at, t.updated_at,
       c.name as category_name, c.color as category_color,
       creator.name as created_by_name,
       (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id) as subtask_count,
-      (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id AND status = 'completed') as completed_subtask_count,
+      (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id AND ${statusCategorySql('st')} = 'done') as completed_subtask_count,
+      ${OPEN_BLOCKERS_JSON} as blocked_by,
+      ${statusCategorySql('t')} as status_category,
+      ${customFieldValuesSql('t')} as custom_fields,
+      ${trackedSecondsSql('t')} as tracked_seconds,
       COALESCE(
         (SELECT json_agg(json_build_object('id', u.id, 'name', u.name, 'email', u.email))
          FROM task_assignments ta
@@ -414,17 +545,33 @@ const createTask = async (req, res) => {
 
   const newTask = fullTaskResult.rows[0];
 
-  // Send email notifications to assignees (async, don't block response)
+  // Notify assignees in-app and by email (async, don't block response)
   if (assigneeArray.length > 0 && newTask.assignees && newTask.assignees.length > 0) {
     const assigneesWithPrefs = await query(`
-      SELECT u.id, u.email, u.name, u.email_notifications_enabled
+      SELECT u.id, u.email, u.name, u.email_notifications_enabled, u.email_digest_mode, u.notification_preferences
       FROM users u
       WHERE u.id = ANY($1::int[])
     `, [assigneeArray]);
 
     assigneesWithPrefs.rows.forEach(assignee => {
-      if (assignee.email_notifications_enabled !== false) {
-        queueTaskAssignmentNotification({
+      if (assignee.id !== req.user.id) {
+        createNotification({
+          userId: assignee.id,
+          workspaceId: workspace_id,
+          type: 'assignment',
+          actorId: req.user.id,
+          taskId: newTask.id,
+          data: { taskTitle: newTask.title, actorName: newTask.created_by_name },
+        });
+      }
+
+      if (wantsEmail(assignee, 'assignment')) {
+        deliverNotificationEmail(assignee, {
+          type: 'assignment',
+          workspaceId: workspace_id,
+          taskId: newTask.id,
+          data: { taskTitle: newTask.title, actorName: newTask.created_by_name, dueDate: newTask.due_date },
+        }, () => queueTaskAssignmentNotification({
           to: assignee.email,
           userName: assignee.name,
           taskId: newTask.id,
@@ -433,7 +580,7 @@ const createTask = async (req, res) => {
           assignedByName: newTask.created_by_name,
           dueDate: newTask.due_date,
           priority: newTask.priority
-        }).catch(err => {
+        })).catch(err => {
           logger.warn({ err, email: assignee.email }, 'Failed to send assignment notification');
         });
       }
@@ -442,33 +589,44 @@ const createTask = async (req, res) => {
 
   logActivity(workspace_id, req.user.id, 'created', 'task', newTask.id, { title: newTask.title });
 
+  const task = {
+    id: newTask.id,
+    title: newTask.title,
+    description: newTask.description,
+    categoryId: newTask.category_id,
+    categoryName: newTask.category_name,
+    categoryColor: newTask.category_color,
+    assignees: newTask.assignees || [],
+    priority: newTask.priority,
+    status: newTask.status,
+    statusCategory: newTask.status_category,
+    startDate: formatDueDateForClient(newTask.start_date),
+    dueDate: formatDueDateForClient(newTask.due_date),
+    completedAt: newTask.completed_at,
+    position: newTask.position,
+    parentTaskId: newTask.parent_task_id,
+    recurrenceRule: newTask.recurrence_rule || null,
+    recurrenceSeriesId: newTask.recurrence_series_id || null,
+    recurrenceIndex: newTask.recurrence_index || 1,
+    blockedBy: newTask.blocked_by || [],
+    customFields: newTask.custom_fields || {},
+    estimateMinutes: newTask.estimate_minutes ?? null,
+    trackedSeconds: parseInt(newTask.tracked_seconds || 0),
+    workspaceId: newTask.workspace_id,
+    subtaskCount: parseInt(newTask.subtask_count || 0),
+    completedSubtaskCount: parseInt(newTask.completed_subtask_count || 0),
+    createdBy: newTask.created_by,
+    createdByName: newTask.created_by_name,
+    createdAt: newTask.created_at,
+    updatedAt: newTask.updated_at
+  };
+  publishEvent(workspace_id, 'task.created', { task }, req);
+  queueWebhookEvent(workspace_id, 'task.created', { task }, req.user.id);
+
   res.status(201).json({
     status: 'success',
     message: 'Task created successfully',
-    data: {
-      task: {
-        id: newTask.id,
-        title: newTask.title,
-        description: newTask.description,
-        categoryId: newTask.category_id,
-        categoryName: newTask.category_name,
-        categoryColor: newTask.category_color,
-        assignees: newTask.assignees || [],
-        priority: newTask.priority,
-        status: newTask.status,
-        dueDate: formatDueDateForClient(newTask.due_date),
-        completedAt: newTask.completed_at,
-        position: newTask.position,
-        parentTaskId: newTask.parent_task_id,
-        workspaceId: newTask.workspace_id,
-        subtaskCount: parseInt(newTask.subtask_count || 0),
-        completedSubtaskCount: parseInt(newTask.completed_subtask_count || 0),
-        createdBy: newTask.created_by,
-        createdByName: newTask.created_by_name,
-        createdAt: newTask.created_at,
-        updatedAt: newTask.updated_at
-      }
-    }
+    data: { task }
   });
 };
 
@@ -482,11 +640,20 @@ const updateTask = async (req, res) => {
     assignee_ids,
     priority,
     status,
-    due_date
+    start_date,
+    due_date,
+    recurrence_rule,
+    ignore_blockers,
+    custom_fields,
+    estimate_minutes
   } = req.body;
 
-  // Check if task exists
-  const checkResult = await query('SELECT * FROM tasks WHERE id = $1', [id]);
+  // Check if task exists (with its open blockers, for the completion check)
+  const checkResult = await query(`
+    SELECT t.*, ${OPEN_BLOCKERS_JSON} as open_blockers
+    FROM tasks t
+    WHERE t.id = $1
+  `, [id]);
   if (checkResult.rows.length === 0) {
     return res.status(404).json({
       status: 'error',
@@ -539,22 +706,73 @@ const updateTask = async (req, res) => {
     }
   }
 
-  // Validate status if provided
+  // Validate status against the workspace's workflow if provided
+  let nextStatus = null;
+  let currentStatusCategory = null;
   if (status) {
-    const validStatuses = ['todo', 'in_progress', 'completed'];
-    if (!validStatuses.includes(status)) {
+    const statuses = await getWorkspaceStatuses(currentTask.workspace_id);
+    nextStatus = findStatus(statuses, status);
+    if (!nextStatus) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid status. Must be one of: ${statuses.map(s => s.key).join(', ')}`
+      });
+    }
+    currentStatusCategory = findStatus(statuses, currentTask.status)?.category || null;
+  }
+  const isCompleting = nextStatus?.category === 'done' && currentStatusCategory !== 'done';
+
+  // Recurrence is anchored on the due date, so a recurring task must keep one
+  const processedDueDate = due_date ? due_date.split('T')[0] : null;
+  const effectiveDueDate = due_date !== undefined ? processedDueDate : currentTask.due_date;
+  const effectiveRule = recurrence_rule !== undefined ? recurrence_rule : currentTask.recurrence_rule;
+  if (effectiveRule && !effectiveDueDate) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Recurring tasks require a due date'
+    });
+  }
+
+  // A task can't start after it is due. Moving only the due date before the start
+  // pulls the start date along (see the update below).
+  const processedStartDate = start_date ? start_date.split('T')[0] : null;
+  if (start_date !== undefined && processedStartDate && effectiveDueDate
+    && processedStartDate > formatDueDateForClient(effectiveDueDate)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Start date must be on or before the due date'
+    });
+  }
+
+  // Validate custom field values against the workspace's field definitions
+  let customFieldValues = [];
+  if (custom_fields !== undefined) {
+    const fields = await getWorkspaceCustomFields(currentTask.workspace_id);
+    const resolved = resolveCustomFieldValues(fields, custom_fields);
+    if (resolved.error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid status. Must be: todo, in_progress, or completed'
+        message: resolved.error
       });
     }
+    customFieldValues = resolved.values;
+  }
+
+  // Refuse to complete a task while its blockers are still open, unless overridden
+  const openBlockers = currentTask.open_blockers || [];
+  if (isCompleting && openBlockers.length > 0 && !ignore_blockers) {
+    return res.status(409).json({
+      status: 'error',
+      message: `This task is blocked by ${openBlockers.length} open task${openBlockers.length === 1 ? '' : 's'}`,
+      blockedBy: openBlockers
+    });
   }
 
   // Handle completed_at timestamp
   let completed_at = currentTask.completed_at;
-  if (status === 'completed' && currentTask.status !== 'completed') {
+  if (isCompleting) {
     completed_at = new Date();
-  } else if (status && status !== 'completed') {
+  } else if (nextStatus && nextStatus.category !== 'done') {
     completed_at = null;
   }
 
@@ -592,11 +810,31 @@ const updateTask = async (req, res) => {
     paramCount++;
   }
   if (due_date !== undefined) {
-    const processedDueDate = due_date ? due_date.split('T')[0] : null;
     updates.push(`due_date = $${paramCount}`);
     values.push(processedDueDate);
     paramCount++;
   }
+  if (start_date !== undefined) {
+    updates.push(`start_date = $${paramCount}`);
+    values.push(processedStartDate);
+    paramCount++;
+  } else if (processedDueDate) {
+    updates.push(`start_date = CASE WHEN start_date > $${paramCount}::date THEN $${paramCount}::date ELSE start_date END`);
+    values.push(processedDueDate);
+    paramCount++;
+  }
+  // Re-normalize when the rule or due date changes so the monthly anchor day follows the due date
+  if (recurrence_rule !== undefined || (due_date !== undefined && currentTask.recurrence_rule)) {
+    const recurrenceRule = normalizeRecurrenceRule(effectiveRule, effectiveDueDate);
+    updates.push(`recurrence_rule = $${paramCount}`);
+    values.push(recurrenceRule ? JSON.stringify(recurrenceRule) : null);
+    paramCount++;
+  }
+  if (estimate_minutes !== undefined) {
+    updates.push(`estimate_minutes = $${paramCount}`);
+    values.push(estimate_minutes);
+    paramCount++;
+  }
 
   // Update task fields if any
   if (updates.length > 0) {
@@ -645,7 +883,11 @@ const updateTask = async (req, res) => {
     }
   }
 
-  if (updates.length === 0 && assignee_ids === undefined) {
+  if (customFieldValues.length > 0) {
+    await saveCustomFieldValues(id, customFieldValues);
+  }
+
+  if (updates.length === 0 && assignee_ids === undefined && custom_fields === undefined) {
     return res.status(400).json({
       status: 'error',
       message: 'No fields to update'
@@ -656,13 +898,18 @@ const updateTask = async (req, res) => {
   const fullTaskResult = await query(`
     SELECT
       t.id, t.title, t.description, t.category_id,
-      t.priority, t.status, t.due_date, t.completed_at, t.position,
+      t.priority, t.status, t.start_date, t.due_date, t.completed_at, t.position,
       t.parent_task_id,
+      t.recurrence_rule, t.recurrence_series_id, t.recurrence_index, t.estimate_minutes,
       t.created_by, t.created_at, t.updated_at,
       c.name as category_name, c.color as category_color,
       creator.name as created_by_name,
       (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id) as subtask_count,
-      (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id AND status = 'completed') as completed_subtask_count,
+      (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id AND ${statusCategorySql('st')} = 'done') as completed_subtask_count,
+      ${OPEN_BLOCKERS_JSON} as blocked_by,
+      ${statusCategorySql('t')} as status_category,
+      ${customFieldValuesSql('t')} as custom_fields,
+      ${trackedSecondsSql('t')} as tracked_seconds,
       COALESCE(
         (SELECT json_agg(json_build_object('id', u.id, 'name', u.name, 'email', u.email))
          FROM task_assignments ta
@@ -678,20 +925,57 @@ const updateTask = async (req, res) => {
 
   const updatedTask = fullTaskResult.rows[0];
 
-  // Send email notifications to newly added assignees
+  // Completing an occurrence of a recurring task creates the next one.
+  // A failure here is retried by the recurrence job, so it must not fail the update.
+  let nextOccurrence = null;
+  if (isCompleting && updatedTask.recurrence_rule) {
+    try {
+      const nextTask = await spawnNextOccurrence(updatedTask.id);
+      if (nextTask) {
+        nextOccurrence = {
+          id: nextTask.id,
+          title: nextTask.title,
+          categoryId: nextTask.category_id,
+          startDate: formatDueDateForClient(nextTask.start_date),
+          dueDate: formatDueDateForClient(nextTask.due_date),
+          recurrenceIndex: nextTask.recurrence_index,
+        };
+      }
+    } catch (err) {
+      logger.warn({ err, taskId: updatedTask.id }, 'Failed to create next recurring occurrence');
+    }
+  }
+
+  // Notify newly added assignees in-app and by email
   if (newlyAddedAssigneeIds.length > 0) {
     const updaterResult = await query('SELECT name FROM users WHERE id = $1', [req.user.id]);
     const updaterName = updaterResult.rows[0]?.name || 'A team member';
 
     const newAssigneesWithPrefs = await query(`
-      SELECT u.id, u.email, u.name, u.email_notifications_enabled
+      SELECT u.id, u.email, u.name, u.email_notifications_enabled, u.email_digest_mode, u.notification_preferences
       FROM users u
       WHERE u.id = ANY($1::int[])
     `, [newlyAddedAssigneeIds]);
 
     newAssigneesWithPrefs.rows.forEach(assignee => {
-      if (assignee.email_notifications_enabled !== false) {
-        queueTaskAssignmentNotification({
+      if (assignee.id !== req.user.id) {
+        createNotification({
+          userId: assignee.id,
+          workspaceId: updatedTask.workspace_id,
+          type: 'assignment',
+          actorId: req.user.id,
+          taskId: updatedTask.id,
+          data: { taskTitle: updatedTask.title, actorName: updaterName },
+        });
+      }
+
+      if (wantsEmail(assignee, 'assignment')) {
+        deliverNotificationEmail(assignee, {
+          type: 'assignment',
+          workspaceId: updatedTask.workspace_id,
+          taskId: updatedTask.id,
+          data: { taskTitle: updatedTask.title, actorName: updaterName, dueDate: updatedTask.due_date },
+        }, () => queueTaskAssignmentNotification({
           to: assignee.email,
           userName: assignee.name,
           taskId: updatedTask.id,
@@ -700,7 +984,7 @@ const updateTask = async (req, res) => {
           assignedByName: updaterName,
           dueDate: updatedTask.due_date,
           priority: updatedTask.priority
-        }).catch(err => {
+        })).catch(err => {
           logger.warn({ err, email: assignee.email }, 'Failed to send assignment notification');
         });
       }
@@ -708,34 +992,55 @@ const updateTask = async (req, res) => {
   }
 
   if (updatedTask.workspace_id) {
-    logActivity(updatedTask.workspace_id, req.user.id, 'updated', 'task', updatedTask.id, { title: updatedTask.title });
+    // Status changes are kept so analytics can measure cycle time from when work started
+    const statusChange = nextStatus && nextStatus.key !== currentTask.status
+      ? { status: nextStatus.key, statusCategory: nextStatus.category }
+      : {};
+    logActivity(updatedTask.workspace_id, req.user.id, 'updated', 'task', updatedTask.id, { title: updatedTask.title, ...statusChange });
+  }
+
+  const task = {
+    id: updatedTask.id,
+    title: updatedTask.title,
+    description: updatedTask.description,
+    categoryId: updatedTask.category_id,
+    categoryName: updatedTask.category_name,
+    categoryColor: updatedTask.category_color,
+    assignees: updatedTask.assignees || [],
+    priority: updatedTask.priority,
+    status: updatedTask.status,
+    statusCategory: updatedTask.status_category,
+    startDate: formatDueDateForClient(updatedTask.start_date),
+    dueDate: formatDueDateForClient(updatedTask.due_date),
+    completedAt: updatedTask.completed_at,
+    position: updatedTask.position,
+    parentTaskId: updatedTask.parent_task_id,
+    recurrenceRule: updatedTask.recurrence_rule || null,
+    recurrenceSeriesId: updatedTask.recurrence_series_id || null,
+    recurrenceIndex: updatedTask.recurrence_index || 1,
+    blockedBy: updatedTask.blocked_by || [],
+    customFields: updatedTask.custom_fields || {},
+    estimateMinutes: updatedTask.estimate_minutes ?? null,
+    trackedSeconds: parseInt(updatedTask.tracked_seconds || 0),
+    subtaskCount: parseInt(updatedTask.subtask_count || 0),
+    completedSubtaskCount: parseInt(updatedTask.completed_subtask_count || 0),
+    createdBy: updatedTask.created_by,
+    createdByName: updatedTask.created_by_name,
+    createdAt: updatedTask.created_at,
+    updatedAt: updatedTask.updated_at
+  };
+  publishEvent(updatedTask.workspace_id, 'task.updated', { task }, req);
+  queueWebhookEvent(updatedTask.workspace_id, 'task.updated', { task }, req.user.id);
+  if (nextOccurrence) {
+    publishEvent(updatedTask.workspace_id, 'tasks.invalidated', { taskIds: [nextOccurrence.id] }, req);
   }
 
   res.json({
     status: 'success',
     message: 'Task updated successfully',
     data: {
-      task: {
-        id: updatedTask.id,
-        title: updatedTask.title,
-        description: updatedTask.description,
-        categoryId: updatedTask.category_id,
-        categoryName: updatedTask.category_name,
-        categoryColor: updatedTask.category_color,
-        assignees: updatedTask.assignees || [],
-        priority: updatedTask.priority,
-        status: updatedTask.status,
-        dueDate: formatDueDateForClient(updatedTask.due_date),
-        completedAt: updatedTask.completed_at,
-        position: updatedTask.position,
-        parentTaskId: updatedTask.parent_task_id,
-        subtaskCount: parseInt(updatedTask.subtask_count || 0),
-        completedSubtaskCount: parseInt(updatedTask.completed_subtask_count || 0),
-        createdBy: updatedTask.created_by,
-        createdByName: updatedTask.created_by_name,
-        createdAt: updatedTask.created_at,
-        updatedAt: updatedTask.updated_at
-      }
+      task,
+      nextOccurrence
     }
   });
 };
@@ -808,6 +1113,26 @@ const updateTaskPosition = async (req, res) => {
   const result = await query('SELECT * FROM tasks WHERE id = $1', [id]);
   const updatedTask = result.rows[0];
 
+  publishEvent(updatedTask.workspace_id, 'task.moved', {
+    task: {
+      id: updatedTask.id,
+      categoryId: updatedTask.category_id,
+      position: updatedTask.position,
+      previousCategoryId: oldCategoryId,
+      previousPosition: currentTask.position
+    }
+  }, req);
+  queueWebhookEvent(updatedTask.workspace_id, 'task.updated', {
+    task: {
+      id: updatedTask.id,
+      title: updatedTask.title,
+      categoryId: updatedTask.category_id,
+      position: updatedTask.position,
+      previousCategoryId: oldCategoryId
+    },
+    moved: true
+  }, req.user.id);
+
   res.json({
     status: 'success',
     message: 'Task position updated successfully',
@@ -854,8 +1179,11 @@ const deleteTask = async (req, res) => {
     }
   }
 
-  // Delete the task
+  // Delete the task (subtasks, comments and attachment rows cascade;
+  // the attachment files are removed from storage afterwards)
+  const attachmentKeys = await getTaskTreeStorageKeys(id);
   await query('DELETE FROM tasks WHERE id = $1', [id]);
+  await removeStoredFiles(attachmentKeys);
 
   // Reorder remaining tasks in the category
   if (task.category_id) {
@@ -868,6 +1196,8 @@ const deleteTask = async (req, res) => {
 
   if (task.workspace_id) {
     logActivity(task.workspace_id, req.user.id, 'deleted', 'task', id, { title: task.title });
+    publishEvent(task.workspace_id, 'task.deleted', { taskId: task.id, parentTaskId: task.parent_task_id }, req);
+    queueWebhookEvent(task.workspace_id, 'task.deleted', { taskId: task.id, title: task.title, parentTaskId: task.parent_task_id }, req.user.id);
   }
 
   res.json({
@@ -903,11 +1233,16 @@ const getSubtasks = async (req, res) => {
   const result = await query(`
     SELECT
       t.id, t.title, t.description, t.category_id,
-      t.priority, t.status, t.due_date, t.completed_at, t.position,
+      t.priority, t.status, t.start_date, t.due_date, t.completed_at, t.position,
       t.parent_task_id,
+      t.recurrence_rule, t.recurrence_series_id, t.recurrence_index, t.estimate_minutes,
       t.created_by, t.created_at, t.updated_at,
       c.name as category_name, c.color as category_color,
       creator.name as created_by_name,
+      ${OPEN_BLOCKERS_JSON} as blocked_by,
+      ${statusCategorySql('t')} as status_category,
+      ${customFieldValuesSql('t')} as custom_fields,
+      ${trackedSecondsSql('t')} as tracked_seconds,
       COALESCE(
         (SELECT json_agg(json_build_object('id', u.id, 'name', u.name, 'email', u.email))
          FROM task_assignments ta
@@ -935,10 +1270,19 @@ const getSubtasks = async (req, res) => {
         assignees: task.assignees || [],
         priority: task.priority,
         status: task.status,
+        statusCategory: task.status_category,
+        startDate: formatDueDateForClient(task.start_date),
         dueDate: formatDueDateForClient(task.due_date),
         completedAt: task.completed_at,
         position: task.position,
         parentTaskId: task.parent_task_id,
+        recurrenceRule: task.recurrence_rule || null,
+        recurrenceSeriesId: task.recurrence_series_id || null,
+        recurrenceIndex: task.recurrence_index || 1,
+        blockedBy: task.blocked_by || [],
+        customFields: task.custom_fields || {},
+        estimateMinutes: task.estimate_minutes ?? null,
+        trackedSeconds: parseInt(task.tracked_seconds || 0),
         createdBy: task.created_by,
         createdByName: task.created_by_name,
         createdAt: task.created_at,
@@ -0,0 +1,276 @@
+// Task Dependency Controller
+// Handles "blocked by" / "blocks" relations between tasks in the same workspace
+
+const { query, getClient } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { wouldCreateCycle } = require('../lib/taskDependencies');
+const { logActivity } = require('../lib/activityLog');
+const { toDateKey } = require('../lib/recurrence');
+const { statusCategorySql } = require('../lib/workflowStatuses');
+
+const formatDependencyTask = (task) => ({
+  id: task.id,
+  title: task.title,
+  status: task.status,
+  statusCategory: task.status_category,
+  dueDate: toDateKey(task.due_date),
+  categoryId: task.category_id,
+});
+
+// Helper: load a task and verify the user can access its workspace
+const loadTaskWithAccess = async (taskId, userId) => {
+  const taskResult = await query(
+    'SELECT id, title, workspace_id FROM tasks WHERE id = $1',
+    [taskId]
+  );
+  if (taskResult.rows.length === 0) {
+    return { exists: false };
+  }
+  const task = taskResult.rows[0];
+  const membership = await verifyWorkspaceAccess(userId, task.workspace_id);
+  if (!membership) {
+    return { exists: true, authorized: false, task };
+  }
+  return { exists: true, authorized: true, membership, task };
+};
+
+// Get tasks blocking this task and tasks this task blocks
+const getTaskDependencies = async (req, res) => {
+  const { id } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (!access.exists) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Task not found'
+    });
+  }
+  if (!access.authorized) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const blockedByResult = await query(`
+    SELECT t.id, t.title, t.status, ${statusCategorySql('t')} as status_category, t.due_date, t.category_id
+    FROM task_dependencies td
+    JOIN tasks t ON td.depends_on_task_id = t.id
+    WHERE td.task_id = $1
+    ORDER BY td.created_at ASC, td.id ASC
+  `, [id]);
+
+  const blockingResult = await query(`
+    SELECT t.id, t.title, t.status, ${statusCategorySql('t')} as status_category, t.due_date, t.category_id
+    FROM task_dependencies td
+    JOIN tasks t ON td.task_id = t.id
+    WHERE td.depends_on_task_id = $1
+    ORDER BY td.created_at ASC, td.id ASC
+  `, [id]);
+
+  res.json({
+    status: 'success',
+    data: {
+      blockedBy: blockedByResult.rows.map(formatDependencyTask),
+      blocking: blockingResult.rows.map(formatDependencyTask),
+    }
+  });
+};
+
+// Every dependency between tasks of a workspace, e.g. for the timeline's arrows
+const getWorkspaceDependencies = async (req, res) => {
+  const { workspace_id: workspaceId } = req.query;
+
+  if (!workspaceId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'workspace_id is required'
+    });
+  }
+
+  const membership = await verifyWorkspaceAccess(req.user.id, workspaceId);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const result = await query(`
+    SELECT td.task_id, td.depends_on_task_id
+    FROM task_dependencies td
+    JOIN tasks t ON td.task_id = t.id
+    WHERE t.workspace_id = $1
+    ORDER BY td.id ASC
+  `, [workspaceId]);
+
+  res.json({
+    status: 'success',
+    data: {
+      dependencies: result.rows.map((row) => ({
+        taskId: row.task_id,
+        dependsOnTaskId: row.depends_on_task_id,
+      }))
+    }
+  });
+};
+
+// Mark this task as blocked by another task
+const addTaskDependency = async (req, res) => {
+  const { id } = req.params;
+  const { depends_on_task_id: dependsOnTaskId } = req.body;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (!access.exists) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Task not found'
+    });
+  }
+  if (!access.authorized) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+  if (access.membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers cannot edit tasks. Contact an admin to request edit permissions.'
+    });
+  }
+
+  const task = access.task;
+
+  if (String(task.id) === String(dependsOnTaskId)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A task cannot depend on itself'
+    });
+  }
+
+  const blockerResult = await query(
+    `SELECT id, title, status, ${statusCategorySql('tasks')} as status_category, due_date, category_id, workspace_id
+     FROM tasks WHERE id = $1`,
+    [dependsOnTaskId]
+  );
+  if (blockerResult.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Blocking task not found'
+    });
+  }
+
+  const blocker = blockerResult.rows[0];
+  if (blocker.workspace_id !== task.workspace_id) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Dependencies can only link tasks in the same workspace'
+    });
+  }
+
+  const client = await getClient();
+  let conflictMessage = null;
+  try {
+    await client.query('BEGIN');
+
+    // Serialize dependency changes per workspace so two concurrent requests
+    // can't each pass the cycle check and together form a loop
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [task.workspace_id]);
+
+    const existing = await client.query(
+      'SELECT 1 FROM task_dependencies WHERE task_id = $1 AND depends_on_task_id = $2',
+      [task.id, blocker.id]
+    );
+
+    if (existing.rows.length > 0) {
+      conflictMessage = 'This dependency already exists';
+    } else if (await wouldCreateCycle(client, task.id, blocker.id)) {
+      conflictMessage = 'Adding this dependency would create a cycle';
+    } else {
+      await client.query(
+        'INSERT INTO task_dependencies (task_id, depends_on_task_id, created_by) VALUES ($1, $2, $3)',
+        [task.id, blocker.id, req.user.id]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (txError) {
+    await client.query('ROLLBACK');
+    throw txError;
+  } finally {
+    client.release();
+  }
+
+  if (conflictMessage) {
+    return res.status(409).json({
+      status: 'error',
+      message: conflictMessage
+    });
+  }
+
+  logActivity(task.workspace_id, req.user.id, 'created', 'dependency', task.id, {
+    title: `${task.title} blocked by ${blocker.title}`,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Dependency added successfully',
+    data: {
+      dependency: formatDependencyTask(blocker)
+    }
+  });
+};
+
+// Remove a "blocked by" relation
+const removeTaskDependency = async (req, res) => {
+  const { id, dependsOnId } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (!access.exists) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Task not found'
+    });
+  }
+  if (!access.authorized) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+  if (access.membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers cannot edit tasks. Contact an admin to request edit permissions.'
+    });
+  }
+
+  const result = await query(
+    'DELETE FROM task_dependencies WHERE task_id = $1 AND depends_on_task_id = $2 RETURNING id',
+    [id, dependsOnId]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Dependency not found'
+    });
+  }
+
+  logActivity(access.task.workspace_id, req.user.id, 'deleted', 'dependency', access.task.id, {
+    title: access.task.title,
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Dependency removed successfully'
+  });
+};
+
+module.exports = {
+  getTaskDependencies,
+  getWorkspaceDependencies,
+  addTaskDependency,
+  removeTaskDependency
+};
@@ -0,0 +1,255 @@
+// Task Import Controller
+// Creates tasks from an uploaded CSV or JSON file (POST /api/tasks/import).
+// A dry run validates every row and reports what would be imported without
+// writing anything; a real import is all-or-nothing.
+
+const { query, getClient } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { getWorkspacePlanLimits, countWorkspaceTasks } = require('../middleware/planLimits');
+const { logActivities } = require('../lib/activityLog');
+const { getWorkspaceStatuses } = require('../lib/workflowStatuses');
+const { publishEvent } = require('../lib/realtime');
+const { queueWebhookEvents } = require('../lib/webhooks');
+const {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  detectImportFormat,
+  resolveColumnMapping,
+  mapRecord,
+  resolveImportRow
+} = require('../lib/taskImport');
+
+// Dry runs show the first few resolved tasks so the mapping can be checked
+const PREVIEW_ROWS = 20;
+
+// Room left under the workspace's task limit, or null when the plan is unlimited.
+// Checked here rather than by checkTaskLimit so a dry run at the limit can still
+// report what it would import, and so a failed lookup never lets a bulk insert through.
+const getTaskLimit = async (workspaceId) => {
+  const planLimits = await getWorkspacePlanLimits(workspaceId);
+  const limit = planLimits.maxTasksPerWorkspace;
+  if (limit === null || limit === undefined) return null;
+
+  const current = await countWorkspaceTasks(workspaceId);
+  return {
+    limit,
+    current,
+    remaining: Math.max(limit - current, 0),
+    planId: planLimits.planId,
+  };
+};
+
+const importTasks = async (req, res) => {
+  const { workspace_id, format, mapping: mappingOverrides, dry_run: dryRun } = req.body;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, workspace_id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+  if (membership.role === 'viewer') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Viewers cannot create tasks. Contact an admin to request edit permissions.'
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Choose a CSV or JSON file to import'
+    });
+  }
+
+  const importFormat = detectImportFormat(format, req.file);
+  let parsed;
+  try {
+    parsed = parseImportFile(req.file.buffer, importFormat);
+  } catch (parseError) {
+    return res.status(400).json({
+      status: 'error',
+      message: parseError.message
+    });
+  }
+
+  const { columns, records } = parsed;
+  if (records.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'The file has no tasks to import'
+    });
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      status: 'error',
+      message: `At most ${MAX_IMPORT_ROWS} tasks can be imported at once`
+    });
+  }
+
+  const { mapping, error: mappingError } = resolveColumnMapping(columns, mappingOverrides);
+  if (mappingError) {
+    return res.status(400).json({
+      status: 'error',
+      message: mappingError
+    });
+  }
+
+  const [statuses, categoriesResult, membersResult] = await Promise.all([
+    getWorkspaceStatuses(workspace_id),
+    query('SELECT id, name FROM categories WHERE workspace_id = $1', [workspace_id]),
+    query(`
+      SELECT u.id, u.email
+      FROM workspace_members wm
+      JOIN users u ON u.id = wm.user_id
+      WHERE wm.workspace_id = $1
+    `, [workspace_id]),
+  ]);
+  const context = {
+    workspaceId: workspace_id,
+    statuses,
+    categories: categoriesResult.rows,
+    members: membersResult.rows,
+  };
+
+  // Rows are numbered from 1, not counting a CSV header
+  const tasks = [];
+  const errors = [];
+  records.forEach((record, idx) => {
+    const result = resolveImportRow(mapRecord(record, mapping), context);
+    if (result.task) {
+      tasks.push(result.task);
+    } else {
+      errors.push({ row: idx + 1, messages: result.errors });
+    }
+  });
+
+  const taskLimit = await getTaskLimit(workspace_id);
+  const exceedsLimit = taskLimit !== null && tasks.length > taskLimit.remaining;
+
+  const report = {
+    format: importFormat,
+    columns,
+    mapping,
+    totalRows: records.length,
+    validRows: tasks.length,
+    errors,
+    taskLimit,
+  };
+
+  if (dryRun) {
+    return res.json({
+      status: 'success',
+      data: {
+        ...report,
+        dryRun: true,
+        exceedsLimit,
+        preview: tasks.slice(0, PREVIEW_ROWS),
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: `${errors.length} row${errors.length === 1 ? ' has' : 's have'} errors. Nothing was imported.`,
+      data: report,
+    });
+  }
+
+  if (exceedsLimit) {
+    return res.status(403).json({
+      status: 'error',
+      code: 'PLAN_LIMIT_TASKS',
+      message: `Importing ${tasks.length} tasks would exceed the ${taskLimit.limit}-task limit on the ${taskLimit.planId === 'free' ? 'Free' : taskLimit.planId} plan. You can add ${taskLimit.remaining} more. Upgrade to Pro for unlimited tasks.`,
+      limit: taskLimit.limit,
+      current: taskLimit.current,
+      planId: taskLimit.planId,
+    });
+  }
+
+  const client = await getClient();
+  const created = [];
+  try {
+    await client.query('BEGIN');
+
+    // Imported tasks go to the end of their category, in file order
+    const nextPositions = {};
+    const categoryIds = [...new Set(tasks.map((task) => task.category_id).filter(Boolean))];
+    if (categoryIds.length > 0) {
+      const positions = await client.query(`
+        SELECT category_id, COALESCE(MAX(position), -1) + 1 AS next_position
+        FROM tasks WHERE category_id = ANY($1::int[])
+        GROUP BY category_id
+      `, [categoryIds]);
+      positions.rows.forEach((row) => { nextPositions[row.category_id] = row.next_position; });
+    }
+
+    for (const task of tasks) {
+      let position = 0;
+      if (task.category_id) {
+        position = nextPositions[task.category_id] || 0;
+        nextPositions[task.category_id] = position + 1;
+      }
+
+      const result = await client.query(`
+        INSERT INTO tasks (
+          title, description, category_id, priority, status, due_date, completed_at,
+          position, created_by, workspace_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, title, status, priority, due_date, category_id
+      `, [
+        task.title,
+        task.description || null,
+        task.category_id || null,
+        task.priority,
+        task.status,
+        task.due_date,
+        task.status_category === 'done' ? new Date() : null,
+        position,
+        req.user.id,
+        workspace_id,
+      ]);
+      const newTask = result.rows[0];
+
+      if (task.assignee_ids.length > 0) {
+        const assigneeValues = task.assignee_ids.map((_, idx) => `($1, $${idx + 2})`).join(', ');
+        await client.query(
+          `INSERT INTO task_assignments (task_id, user_id) VALUES ${assigneeValues}`,
+          [newTask.id, ...task.assignee_ids]
+        );
+      }
+      created.push({ ...newTask, assignee_ids: task.assignee_ids });
+    }
+
+    await client.query('COMMIT');
+  } catch (txError) {
+    await client.query('ROLLBACK');
+    throw txError;
+  } finally {
+    client.release();
+  }
+
+  // Imports don't notify assignees one task at a time; they see the tasks on their board
+  const taskIds = created.map((task) => task.id);
+  logActivities(workspace_id, req.user.id, 'created', 'task',
+    created.map((task) => ({ entityId: task.id, metadata: { title: task.title, imported: true } })));
+  publishEvent(workspace_id, 'tasks.invalidated', { taskIds }, req);
+  queueWebhookEvents(workspace_id, 'task.created',
+    created.map((task) => ({ task, imported: true })), req.user.id);
+
+  res.status(201).json({
+    status: 'success',
+    message: `${created.length} task${created.length === 1 ? '' : 's'} imported`,
+    data: {
+      taskIds,
+      importedCount: created.length,
+    }
+  });
+};
+
+module.exports = {
+  importTasks
+};
@@ -0,0 +1,431 @@
+// Time Entry Controller
+// Handles start/stop timers, manual time entries and the workspace time report
+
+const { query, getClient } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const {
+  formatTimeEntry,
+  parseReportRange,
+  getRunningTimer,
+  stopRunningTimer,
+} = require('../lib/timeTracking');
+
+// Helper: load a task and verify the user can access its workspace
+const loadTaskWithAccess = async (taskId, userId) => {
+  const taskResult = await query(
+    'SELECT id, title, workspace_id, estimate_minutes FROM tasks WHERE id = $1',
+    [taskId]
+  );
+  if (taskResult.rows.length === 0) {
+    return { exists: false };
+  }
+  const task = taskResult.rows[0];
+  const membership = await verifyWorkspaceAccess(userId, task.workspace_id);
+  if (!membership) {
+    return { exists: true, authorized: false, task };
+  }
+  return { exists: true, authorized: true, membership, task };
+};
+
+// Send the standard 404/403 for a failed access check. Returns true if sent.
+const rejectAccess = (access, res, notFoundMessage = 'Task not found') => {
+  if (!access.exists) {
+    res.status(404).json({
+      status: 'error',
+      message: notFoundMessage
+    });
+    return true;
+  }
+  if (!access.authorized) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+    return true;
+  }
+  return false;
+};
+
+const rejectViewer = (membership, res) => {
+  if (membership.role !== 'viewer') return false;
+  res.status(403).json({
+    status: 'error',
+    message: 'Viewers cannot track time. Contact an admin to request edit permissions.'
+  });
+  return true;
+};
+
+// Helper: load a time entry and verify the user can access its workspace
+const loadEntryWithAccess = async (entryId, userId) => {
+  const entryResult = await query(`
+    SELECT te.*, t.title as task_title
+    FROM time_entries te
+    JOIN tasks t ON t.id = te.task_id
+    WHERE te.id = $1
+  `, [entryId]);
+  if (entryResult.rows.length === 0) {
+    return { exists: false };
+  }
+  const entry = entryResult.rows[0];
+  const membership = await verifyWorkspaceAccess(userId, entry.workspace_id);
+  if (!membership) {
+    return { exists: true, authorized: false, entry };
+  }
+  return { exists: true, authorized: true, membership, entry };
+};
+
+const parseStartedAt = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// List a task's time entries with the finished total
+const getTaskTimeEntries = async (req, res) => {
+  const { id } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+
+  const result = await query(`
+    SELECT te.*, u.name as user_name
+    FROM time_entries te
+    LEFT JOIN users u ON u.id = te.user_id
+    WHERE te.task_id = $1
+    ORDER BY te.started_at DESC, te.id DESC
+  `, [id]);
+
+  const totalSeconds = result.rows.reduce((sum, row) => sum + (row.duration_seconds || 0), 0);
+
+  res.json({
+    status: 'success',
+    data: {
+      entries: result.rows.map(formatTimeEntry),
+      totalSeconds,
+      estimateMinutes: access.task.estimate_minutes ?? null
+    }
+  });
+};
+
+// Start a timer on a task. Any timer the user has running elsewhere is stopped first.
+const startTimer = async (req, res) => {
+  const { id } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+  if (rejectViewer(access.membership, res)) return;
+
+  const running = await getRunningTimer(req.user.id);
+  if (running && running.task_id === access.task.id) {
+    return res.json({
+      status: 'success',
+      message: 'Timer already running',
+      data: { entry: formatTimeEntry(running), stoppedEntry: null }
+    });
+  }
+
+  const client = await getClient();
+  let stopped;
+  let started;
+  try {
+    await client.query('BEGIN');
+    stopped = await stopRunningTimer(req.user.id, client);
+    const insertResult = await client.query(`
+      INSERT INTO time_entries (task_id, workspace_id, user_id, started_at)
+      VALUES ($1, $2, $3, NOW())
+      RETURNING *
+    `, [access.task.id, access.task.workspace_id, req.user.id]);
+    started = insertResult.rows[0];
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Unique index on running timers: a concurrent start won the race
+    if (error.code === '23505') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A timer is already running. Stop it before starting another.'
+      });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Timer started',
+    data: {
+      entry: formatTimeEntry({ ...started, task_title: access.task.title }),
+      stoppedEntry: stopped ? formatTimeEntry(stopped) : null
+    }
+  });
+};
+
+// Stop the user's timer on a task
+const stopTimer = async (req, res) => {
+  const { id } = req.params;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+
+  const running = await getRunningTimer(req.user.id);
+  if (!running || running.task_id !== access.task.id) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'No timer is running on this task'
+    });
+  }
+
+  const stopped = await stopRunningTimer(req.user.id);
+
+  res.json({
+    status: 'success',
+    message: 'Timer stopped',
+    data: { entry: formatTimeEntry({ ...stopped, task_title: access.task.title }) }
+  });
+};
+
+// The current user's running timer, if any (for a global timer indicator)
+const getMyRunningTimer = async (req, res) => {
+  const running = await getRunningTimer(req.user.id);
+
+  res.json({
+    status: 'success',
+    data: { entry: running ? formatTimeEntry(running) : null }
+  });
+};
+
+// Log time manually: a start time plus a duration
+const createTimeEntry = async (req, res) => {
+  const { id } = req.params;
+  const { started_at, duration_minutes, note } = req.body;
+
+  const access = await loadTaskWithAccess(id, req.user.id);
+  if (rejectAccess(access, res)) return;
+  if (rejectViewer(access.membership, res)) return;
+
+  const startedAt = parseStartedAt(started_at);
+  if (!startedAt) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid started_at'
+    });
+  }
+
+  const endedAt = new Date(startedAt.getTime() + duration_minutes * 60 * 1000);
+
+  const result = await query(`
+    WITH inserted AS (
+      INSERT INTO time_entries (task_id, workspace_id, user_id, started_at, ended_at, duration_seconds, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    )
+    SELECT i.*, u.name as user_name
+    FROM inserted i
+    LEFT JOIN users u ON u.id = i.user_id
+  `, [access.task.id, access.task.workspace_id, req.user.id, startedAt, endedAt, duration_minutes * 60, note || null]);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Time entry added',
+    data: { entry: formatTimeEntry({ ...result.rows[0], task_title: access.task.title }) }
+  });
+};
+
+// Edit one of your own time entries
+const updateTimeEntry = async (req, res) => {
+  const { started_at, duration_minutes, note } = req.body;
+
+  const access = await loadEntryWithAccess(req.params.id, req.user.id);
+  if (rejectAccess(access, res, 'Time entry not found')) return;
+
+  const { entry } = access;
+  if (entry.user_id !== req.user.id) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You can only edit your own time entries'
+    });
+  }
+
+  const isRunning = !entry.ended_at;
+  if (isRunning && duration_minutes !== undefined) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Stop the timer before changing its duration'
+    });
+  }
+
+  let startedAt = new Date(entry.started_at);
+  if (started_at !== undefined) {
+    startedAt = parseStartedAt(started_at);
+    if (!startedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid started_at'
+      });
+    }
+  }
+
+  // Keep the duration when only the start moves; a running timer keeps running
+  const durationSeconds = duration_minutes !== undefined ? duration_minutes * 60 : entry.duration_seconds;
+  const endedAt = isRunning ? null : new Date(startedAt.getTime() + durationSeconds * 1000);
+
+  const result = await query(`
+    WITH updated AS (
+      UPDATE time_entries
+      SET started_at = $1, ended_at = $2, duration_seconds = $3, note = $4, updated_at = NOW()
+      WHERE id = $5
+      RETURNING *
+    )
+    SELECT up.*, u.name as user_name
+    FROM updated up
+    LEFT JOIN users u ON u.id = up.user_id
+  `, [startedAt, endedAt, isRunning ? null : durationSeconds, note !== undefined ? (note || null) : entry.note, entry.id]);
+
+  res.json({
+    status: 'success',
+    message: 'Time entry updated',
+    data: { entry: formatTimeEntry({ ...result.rows[0], task_title: entry.task_title }) }
+  });
+};
+
+// Delete a time entry (its owner or a workspace admin)
+const deleteTimeEntry = async (req, res) => {
+  const access = await loadEntryWithAccess(req.params.id, req.user.id);
+  if (rejectAccess(access, res, 'Time entry not found')) return;
+
+  if (access.entry.user_id !== req.user.id && access.membership.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You can only delete your own time entries'
+    });
+  }
+
+  await query('DELETE FROM time_entries WHERE id = $1', [access.entry.id]);
+
+  res.json({
+    status: 'success',
+    message: 'Time entry deleted successfully'
+  });
+};
+
+// Workspace time report: finished time rolled up by category, by the person
+// who tracked it and by day, over an inclusive date range.
+// Query: from, to (YYYY-MM-DD), timezone (IANA, for day boundaries), user_id, category_id
+const getTimeReport = async (req, res) => {
+  const { id } = req.params;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const range = parseReportRange(req.query);
+  if (range.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: range.error
+    });
+  }
+
+  const conditions = [
+    'te.workspace_id = $1',
+    'te.duration_seconds IS NOT NULL',
+    '(te.started_at AT TIME ZONE $4)::date BETWEEN $2::date AND $3::date',
+  ];
+  const params = [id, range.from, range.to, range.timezone];
+
+  if (req.query.user_id) {
+    const userId = parseInt(req.query.user_id);
+    if (!userId) {
+      return res.status(400).json({ status: 'error', message: 'Invalid user_id' });
+    }
+    params.push(userId);
+    conditions.push(`te.user_id = $${params.length}`);
+  }
+  if (req.query.category_id) {
+    const categoryId = parseInt(req.query.category_id);
+    if (!categoryId) {
+      return res.status(400).json({ status: 'error', message: 'Invalid category_id' });
+    }
+    params.push(categoryId);
+    conditions.push(`t.category_id = $${params.length}`);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const [categoryResult, userResult, dateResult] = await Promise.all([
+    query(`
+      SELECT t.category_id, c.name as category_name, c.color as category_color,
+             SUM(te.duration_seconds)::int as total_seconds, COUNT(*)::int as entry_count
+      FROM time_entries te
+      JOIN tasks t ON t.id = te.task_id
+      LEFT JOIN categories c ON c.id = t.category_id
+      ${where}
+      GROUP BY t.category_id, c.name, c.color
+      ORDER BY total_seconds DESC
+    `, params),
+    query(`
+      SELECT te.user_id, u.name as user_name,
+             SUM(te.duration_seconds)::int as total_seconds, COUNT(*)::int as entry_count
+      FROM time_entries te
+      JOIN tasks t ON t.id = te.task_id
+      LEFT JOIN users u ON u.id = te.user_id
+      ${where}
+      GROUP BY te.user_id, u.name
+      ORDER BY total_seconds DESC
+    `, params),
+    query(`
+      SELECT to_char((te.started_at AT TIME ZONE $4)::date, 'YYYY-MM-DD') as day,
+             SUM(te.duration_seconds)::int as total_seconds, COUNT(*)::int as entry_count
+      FROM time_entries te
+      JOIN tasks t ON t.id = te.task_id
+      ${where}
+      GROUP BY day
+      ORDER BY day ASC
+    `, params),
+  ]);
+
+  const totalSeconds = dateResult.rows.reduce((sum, row) => sum + row.total_seconds, 0);
+
+  res.json({
+    status: 'success',
+    data: {
+      from: range.from,
+      to: range.to,
+      timezone: range.timezone,
+      totalSeconds,
+      byCategory: categoryResult.rows.map((row) => ({
+        categoryId: row.category_id,
+        categoryName: row.category_name || null,
+        categoryColor: row.category_color || null,
+        totalSeconds: row.total_seconds,
+        entryCount: row.entry_count,
+      })),
+      byUser: userResult.rows.map((row) => ({
+        userId: row.user_id,
+        userName: row.user_name || null,
+        totalSeconds: row.total_seconds,
+        entryCount: row.entry_count,
+      })),
+      byDate: dateResult.rows.map((row) => ({
+        date: row.day,
+        totalSeconds: row.total_seconds,
+        entryCount: row.entry_count,
+      })),
+    }
+  });
+};
+
+module.exports = {
+  getTaskTimeEntries,
+  startTimer,
+  stopTimer,
+  getMyRunningTimer,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport
+};
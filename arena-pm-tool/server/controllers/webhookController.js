@@ -0,0 +1,231 @@
+// Webhook Controller
+// Handles a workspace's outgoing webhook subscriptions and their delivery log (admin only)
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const {
+  WEBHOOK_PING_EVENT,
+  generateWebhookSecret,
+  formatWebhook,
+  formatWebhookDelivery,
+  buildWebhookPayload,
+  getWebhookUrlError
+} = require('../lib/webhooks');
+
+const WEBHOOK_COLUMNS = 'id, url, description, secret, events, is_active, created_by, created_at, updated_at';
+const DELIVERY_LIMIT = 25;
+
+// Resolve membership and enforce admin-only access.
+// Returns the membership, or null after sending an error response.
+const requireWebhookAdmin = async (req, res) => {
+  const membership = await verifyWorkspaceAccess(req.user.id, req.params.id);
+  if (!membership) {
+    res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+    return null;
+  }
+  if (membership.role !== 'admin') {
+    res.status(403).json({
+      status: 'error',
+      message: 'Only workspace admins can manage webhooks'
+    });
+    return null;
+  }
+  return membership;
+};
+
+// Sends a 400 and returns false when the URL can't be used
+const checkWebhookUrl = (res, url) => {
+  const error = getWebhookUrlError(url);
+  if (error) {
+    res.status(400).json({ status: 'error', message: error });
+    return false;
+  }
+  return true;
+};
+
+const findWebhook = async (workspaceId, webhookId) => {
+  const result = await query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1 AND workspace_id = $2`,
+    [webhookId, workspaceId]
+  );
+  return result.rows[0] || null;
+};
+
+const sendNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Webhook not found'
+});
+
+// Get the workspace's webhooks
+const getWebhooks = async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await requireWebhookAdmin(req, res))) return;
+
+  const result = await query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE workspace_id = $1 ORDER BY created_at ASC, id ASC`,
+    [id]
+  );
+
+  res.json({
+    status: 'success',
+    data: { webhooks: result.rows.map((row) => formatWebhook(row)) }
+  });
+};
+
+// Create a webhook. The response carries its signing secret, which is not shown again.
+const createWebhook = async (req, res) => {
+  const { id } = req.params;
+  const { url, description, events } = req.body;
+
+  if (!(await requireWebhookAdmin(req, res))) return;
+  if (!checkWebhookUrl(res, url)) return;
+
+  const result = await query(`
+    INSERT INTO webhooks (workspace_id, url, description, secret, events, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${WEBHOOK_COLUMNS}
+  `, [id, url, description || null, generateWebhookSecret(), events, req.user.id]);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Webhook created successfully',
+    data: { webhook: formatWebhook(result.rows[0], { includeSecret: true }) }
+  });
+};
+
+// Change a webhook's URL, description or events, or pause and resume it
+const updateWebhook = async (req, res) => {
+  const { id, webhookId } = req.params;
+  const { url, description, events, is_active } = req.body;
+
+  if (!(await requireWebhookAdmin(req, res))) return;
+  if (url !== undefined && !checkWebhookUrl(res, url)) return;
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (url !== undefined) {
+    updates.push(`url = $${paramCount}`);
+    values.push(url);
+    paramCount++;
+  }
+  if (description !== undefined) {
+    updates.push(`description = $${paramCount}`);
+    values.push(description || null);
+    paramCount++;
+  }
+  if (events !== undefined) {
+    updates.push(`events = $${paramCount}`);
+    values.push(events);
+    paramCount++;
+  }
+  if (is_active !== undefined) {
+    updates.push(`is_active = $${paramCount}`);
+    values.push(is_active);
+    paramCount++;
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No fields to update'
+    });
+  }
+
+  values.push(webhookId, id);
+  const result = await query(`
+    UPDATE webhooks
+    SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${paramCount} AND workspace_id = $${paramCount + 1}
+    RETURNING ${WEBHOOK_COLUMNS}
+  `, values);
+
+  if (result.rows.length === 0) return sendNotFound(res);
+
+  res.json({
+    status: 'success',
+    message: 'Webhook updated successfully',
+    data: { webhook: formatWebhook(result.rows[0]) }
+  });
+};
+
+// Delete a webhook and its delivery log
+const deleteWebhook = async (req, res) => {
+  const { id, webhookId } = req.params;
+
+  if (!(await requireWebhookAdmin(req, res))) return;
+
+  const result = await query(
+    'DELETE FROM webhooks WHERE id = $1 AND workspace_id = $2 RETURNING id',
+    [webhookId, id]
+  );
+  if (result.rows.length === 0) return sendNotFound(res);
+
+  res.json({
+    status: 'success',
+    message: 'Webhook deleted successfully'
+  });
+};
+
+// The webhook's most recent deliveries, newest first
+const getWebhookDeliveries = async (req, res) => {
+  const { id, webhookId } = req.params;
+
+  if (!(await requireWebhookAdmin(req, res))) return;
+
+  if (!(await findWebhook(id, webhookId))) return sendNotFound(res);
+
+  const result = await query(`
+    SELECT id, webhook_id, event, status, attempts, response_status, duration_ms,
+           last_error, last_attempted_at, delivered_at, created_at
+    FROM webhook_deliveries
+    WHERE webhook_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2
+  `, [webhookId, DELIVERY_LIMIT]);
+
+  res.json({
+    status: 'success',
+    data: { deliveries: result.rows.map(formatWebhookDelivery) }
+  });
+};
+
+// Queue a ping for this webhook only, whatever events it subscribes to
+const testWebhook = async (req, res) => {
+  const { id, webhookId } = req.params;
+
+  if (!(await requireWebhookAdmin(req, res))) return;
+
+  const webhook = await findWebhook(id, webhookId);
+  if (!webhook) return sendNotFound(res);
+
+  const payload = buildWebhookPayload(id, WEBHOOK_PING_EVENT, { webhookId: webhook.id }, req.user.id);
+  const result = await query(`
+    INSERT INTO webhook_deliveries (webhook_id, event, payload)
+    VALUES ($1, $2, $3)
+    RETURNING id, webhook_id, event, status, attempts, response_status, duration_ms,
+              last_error, last_attempted_at, delivered_at, created_at
+  `, [webhook.id, WEBHOOK_PING_EVENT, JSON.stringify(payload)]);
+
+  res.status(201).json({
+    status: 'success',
+    message: webhook.is_active
+      ? 'Test event queued'
+      : 'Test event queued; it will be sent once the webhook is resumed',
+    data: { delivery: formatWebhookDelivery(result.rows[0]) }
+  });
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook
+};
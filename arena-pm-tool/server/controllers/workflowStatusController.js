@@ -0,0 +1,155 @@
+// Workflow Status Controller
+// Handles the ordered, per-workspace set of task statuses
+
+const { getClient } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { getWorkspaceStatuses, findStatus, toStatusKey } = require('../lib/workflowStatuses');
+
+// Get the workspace's statuses (built-in set if never customized)
+const getWorkflowStatuses = async (req, res) => {
+  const { id } = req.params;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const statuses = await getWorkspaceStatuses(id);
+
+  res.json({
+    status: 'success',
+    data: { statuses }
+  });
+};
+
+// Replace the workspace's ordered status set (admin only)
+const updateWorkflowStatuses = async (req, res) => {
+  const { id } = req.params;
+  const { statuses: input } = req.body;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+  if (membership.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Only workspace admins can change workflow statuses'
+    });
+  }
+
+  // Resolve keys: explicit keys first, then derive the rest from their names
+  const explicitKeys = input.filter(s => s.key).map(s => s.key);
+  const duplicateKey = explicitKeys.find((key, idx) => explicitKeys.indexOf(key) !== idx);
+  if (duplicateKey) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Duplicate status key "${duplicateKey}"`
+    });
+  }
+
+  const names = input.map(s => s.name.toLowerCase());
+  const duplicateNameIdx = names.findIndex((name, idx) => names.indexOf(name) !== idx);
+  if (duplicateNameIdx !== -1) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Duplicate status name "${input[duplicateNameIdx].name}"`
+    });
+  }
+
+  const takenKeys = [...explicitKeys];
+  const statuses = input.map((s, position) => {
+    const key = s.key || toStatusKey(s.name, takenKeys);
+    if (!s.key) takenKeys.push(key);
+    return {
+      key,
+      name: s.name,
+      category: s.category,
+      color: s.color || '#94A3B8',
+      position,
+    };
+  });
+  const keys = statuses.map(s => s.key);
+
+  const client = await getClient();
+  let inUse = null;
+  try {
+    await client.query('BEGIN');
+
+    // Serialize workflow edits per workspace
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`workflow:${id}`]);
+
+    const previous = await getWorkspaceStatuses(id, client);
+
+    // Statuses can only be removed once no task uses them
+    const inUseResult = await client.query(`
+      SELECT status, COUNT(*) as count
+      FROM tasks
+      WHERE workspace_id = $1 AND NOT (status = ANY($2::text[]))
+      GROUP BY status
+      ORDER BY status
+    `, [id, keys]);
+
+    if (inUseResult.rows.length > 0) {
+      inUse = inUseResult.rows[0];
+      inUse.name = findStatus(previous, inUse.status)?.name || inUse.status;
+      await client.query('ROLLBACK');
+    } else {
+      await client.query(
+        'DELETE FROM workflow_statuses WHERE workspace_id = $1 AND NOT (key = ANY($2::text[]))',
+        [id, keys]
+      );
+
+      for (const status of statuses) {
+        await client.query(`
+          INSERT INTO workflow_statuses (workspace_id, key, name, category, color, position)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (workspace_id, key) DO UPDATE
+          SET name = EXCLUDED.name, category = EXCLUDED.category, color = EXCLUDED.color,
+              position = EXCLUDED.position, updated_at = CURRENT_TIMESTAMP
+        `, [id, status.key, status.name, status.category, status.color, status.position]);
+
+        // Keep completed_at in step when a status moves into or out of "done"
+        const before = findStatus(previous, status.key);
+        if (before && (before.category === 'done') !== (status.category === 'done')) {
+          await client.query(`
+            UPDATE tasks
+            SET completed_at = ${status.category === 'done' ? 'COALESCE(completed_at, CURRENT_TIMESTAMP)' : 'NULL'}
+            WHERE workspace_id = $1 AND status = $2
+          `, [id, status.key]);
+        }
+      }
+
+      await client.query('COMMIT');
+    }
+  } catch (txError) {
+    await client.query('ROLLBACK');
+    throw txError;
+  } finally {
+    client.release();
+  }
+
+  if (inUse) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Cannot remove status "${inUse.name}" while ${parseInt(inUse.count)} task(s) use it. Move them to another status first.`
+    });
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Workflow statuses updated successfully',
+    data: { statuses }
+  });
+};
+
+module.exports = {
+  getWorkflowStatuses,
+  updateWorkflowStatuses
+};
@@ -0,0 +1,82 @@
+// Workload Controller
+// Open tasks per assignee per week (/api/workspaces/:id/workload) and each
+// member's weekly capacity. Bucketing lives in lib/workload.
+
+const { query } = require('../config/database');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
+const { parseWorkloadRange, getWorkload: loadWorkload } = require('../lib/workload');
+
+/**
+ * Get the workspace's workload
+ * GET /api/workspaces/:id/workload?from=2026-10-19&weeks=6
+ */
+const getWorkload = async (req, res) => {
+  const { id } = req.params;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have access to this workspace'
+    });
+  }
+
+  const range = parseWorkloadRange(req.query);
+  if (range.error) {
+    return res.status(400).json({
+      status: 'error',
+      message: range.error
+    });
+  }
+
+  const workload = await loadWorkload({ workspaceId: id, from: range.from, weeks: range.weeks });
+
+  res.json({
+    status: 'success',
+    data: workload
+  });
+};
+
+/**
+ * Set or clear a member's weekly capacity (admin only)
+ * PUT /api/workspaces/:id/members/:memberId/capacity
+ */
+const updateMemberCapacity = async (req, res) => {
+  const { id, memberId } = req.params;
+  const { weekly_capacity: weeklyCapacity } = req.body;
+
+  const membership = await verifyWorkspaceAccess(req.user.id, id);
+  if (!membership || membership.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Only workspace admins can change member capacity'
+    });
+  }
+
+  const result = await query(
+    `UPDATE workspace_members SET weekly_capacity = $1
+     WHERE id = $2 AND workspace_id = $3
+     RETURNING id, user_id, weekly_capacity`,
+    [weeklyCapacity, memberId, id]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Member not found'
+    });
+  }
+
+  const member = result.rows[0];
+  res.json({
+    status: 'success',
+    data: {
+      member: { memberId: member.id, userId: member.user_id, weeklyCapacity: member.weekly_capacity }
+    }
+  });
+};
+
+module.exports = {
+  getWorkload,
+  updateMemberCapacity
+};
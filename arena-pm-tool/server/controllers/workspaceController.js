@@ -5,6 +5,10 @@ const { query, getClient } = require('../config/database');
 const crypto = require('crypto');
 const { queueWorkspaceInvite } = require('../utils/emailQueue');
 const logger = require('../lib/logger');
+const { disconnectUser } = require('../lib/realtime');
+const { createNotification } = require('../lib/notifications');
+const { queueWebhookEvent } = require('../lib/webhooks');
+const { verifyWorkspaceAccess } = require('../middleware/workspaceAuth');
 
 // Helper: sanitize error for response (hide internals in production)
 const safeError = (error) => process.env.NODE_ENV === 'production' ? undefined : error.message;
@@ -12,19 +16,16 @@ const safeError = (error) => process.env.NODE_ENV === 'production' ? undefined :
 // Helper: Generate secure random token
 const generateToken = () => crypto.randomBytes(32).toString('hex');
 
-// Helper: Verify user has access to workspace
-const verifyWorkspaceAccess = async (userId, workspaceId) => {
-  const result = await query(
-    `SELECT role FROM workspace_members
-     WHERE user_id = $1 AND workspace_id = $2`,
-    [userId, workspaceId]
-  );
-  return result.rows[0] || null;
-};
-
-// Get all workspaces for current user
+// Get all workspaces for current user (only the token's workspace for API tokens)
 const getMyWorkspaces = async (req, res) => {
   try {
+    const params = [req.user.id];
+    let tokenFilter = '';
+    if (req.apiToken) {
+      params.push(req.apiToken.workspaceId);
+      tokenFilter = 'AND w.id = $2';
+    }
+
     const result = await query(`
       SELECT
         w.id, w.name, w.owner_id, w.created_at,
@@ -35,9 +36,9 @@ const getMyWorkspaces = async (req, res) => {
       FROM workspaces w
       INNER JOIN workspace_members wm ON w.id = wm.workspace_id
       LEFT JOIN users owner ON w.owner_id = owner.id
-      WHERE wm.user_id = $1
+      WHERE wm.user_id = $1 ${tokenFilter}
       ORDER BY w.created_at ASC
-    `, [req.user.id]);
+    `, params);
 
     res.json({
       status: 'success',
@@ -660,7 +661,7 @@ const acceptInvitation = async (req, res) => {
     // so we can return specific error messages for each case)
     const inviteResult = await client.query(`
       SELECT
-        wi.id, wi.workspace_id, wi.email, wi.role,
+        wi.id, wi.workspace_id, wi.email, wi.role, wi.invited_by,
         wi.accepted_at, wi.expires_at,
         w.name as workspace_name
       FROM workspace_invitations wi
@@ -681,7 +682,7 @@ const acceptInvitation = async (req, res) => {
 
     // Verify the current user's email matches the invitation
     const userResult = await client.query(
-      'SELECT email FROM users WHERE id = $1',
+      'SELECT email, name FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -766,6 +767,30 @@ const acceptInvitation = async (req, res) => {
       logger.warn({ err: onboardingError }, 'Non-fatal: Failed to initialize onboarding progress');
     }
 
+    // Let whoever sent the invitation know it was accepted
+    if (invitation.invited_by && invitation.invited_by !== req.user.id) {
+      createNotification({
+        userId: invitation.invited_by,
+        workspaceId: invitation.workspace_id,
+        type: 'invitation_accepted',
+        actorId: req.user.id,
+        data: {
+          workspaceName: invitation.workspace_name,
+          actorName: userResult.rows[0].name,
+          role: invitation.role
+        }
+      });
+    }
+
+    queueWebhookEvent(invitation.workspace_id, 'member.joined', {
+      member: {
+        userId: req.user.id,
+        name: userResult.rows[0].name,
+        email: userResult.rows[0].email,
+        role: invitation.role
+      }
+    }, req.user.id);
+
     res.json({
       status: 'success',
       message: `Successfully joined "${invitation.workspace_name}"`,
@@ -912,7 +937,7 @@ const updateMemberRole = async (req, res) => {
 
     // Get the member being updated
     const memberResult = await query(
-      'SELECT user_id FROM workspace_members WHERE id = $1 AND workspace_id = $2',
+      'SELECT user_id, role FROM workspace_members WHERE id = $1 AND workspace_id = $2',
       [memberId, id]
     );
 
@@ -925,7 +950,7 @@ const updateMemberRole = async (req, res) => {
 
     // Check if trying to change workspace owner's role
     const workspaceResult = await query(
-      'SELECT owner_id FROM workspaces WHERE id = $1',
+      'SELECT owner_id, name FROM workspaces WHERE id = $1',
       [id]
     );
 
@@ -944,6 +969,22 @@ const updateMemberRole = async (req, res) => {
       RETURNING id, user_id, role
     `, [role, memberId, id]);
 
+    const updatedMember = result.rows[0];
+    if (memberResult.rows[0].role !== role && updatedMember.user_id !== req.user.id) {
+      createNotification({
+        userId: updatedMember.user_id,
+        workspaceId: id,
+        type: 'role_changed',
+        actorId: req.user.id,
+        data: { workspaceName: workspaceResult.rows[0].name, role }
+      });
+    }
+    if (memberResult.rows[0].role !== role) {
+      queueWebhookEvent(id, 'member.role_changed', {
+        member: { userId: updatedMember.user_id, role, previousRole: memberResult.rows[0].role }
+      }, req.user.id);
+    }
+
     res.json({
       status: 'success',
       message: 'Member role updated',
@@ -1014,6 +1055,8 @@ const removeMember = async (req, res) => {
       'DELETE FROM workspace_members WHERE id = $1 AND workspace_id = $2',
       [memberId, id]
     );
+    disconnectUser(id, targetUserId);
+    queueWebhookEvent(id, 'member.removed', { member: { userId: targetUserId }, left: isRemovingSelf }, req.user.id);
 
     res.json({
       status: 'success',
@@ -0,0 +1,81 @@
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const { sendDigests } = require('../utils/digestService');
+const logger = require('../lib/logger');
+
+dotenv.config();
+
+// Hourly, so each user's digest goes out at DIGEST_SEND_HOUR in their own timezone
+const DEFAULT_CRON = '5 * * * *';
+const toBool = (value) => String(value).toLowerCase() === 'true';
+const hasFlag = (flag) => process.argv.includes(flag);
+const getCronSchedule = () => process.env.DIGEST_CRON_SCHEDULE || DEFAULT_CRON;
+
+const isSchedulerEnabled = () => process.env.DIGEST_JOB_ENABLED !== 'false';
+const shouldRunOnStart = () => toBool(process.env.DIGEST_RUN_ON_START);
+const isDryRun = () => toBool(process.env.DIGEST_DRY_RUN);
+
+const runDigestJob = async (context = 'manual') => {
+  const dryRun = isDryRun();
+  const startedAt = Date.now();
+
+  logger.info({ component: 'digest', context, dryRun }, 'Digest run started');
+
+  try {
+    const summary = await sendDigests({ dryRun });
+    logger.info({
+      component: 'digest',
+      context,
+      dryRun,
+      sent: summary.sent,
+      failed: summary.failed,
+      items: summary.items,
+      totalUsers: summary.totalUsers,
+      skipped: summary.skipped || false,
+    }, `Digest ${context} run complete`);
+    return summary;
+  } catch (error) {
+    logger.error({ component: 'digest', context, err: error }, 'Digest run failed');
+    return null;
+  } finally {
+    logger.info({ component: 'digest', context, durationMs: Date.now() - startedAt }, 'Digest run finished');
+  }
+};
+
+const startDigestScheduler = () => {
+  if (!isSchedulerEnabled()) {
+    logger.info({ component: 'digest' }, 'Scheduler disabled via DIGEST_JOB_ENABLED=false');
+    return null;
+  }
+
+  const schedule = getCronSchedule();
+
+  if (!cron.validate(schedule)) {
+    logger.error({ component: 'digest', schedule }, 'Invalid cron expression. Scheduler not started.');
+    return null;
+  }
+
+  logger.info({ component: 'digest', schedule }, 'Scheduling digest job');
+
+  const task = cron.schedule(schedule, () => runDigestJob('scheduled'));
+
+  if (shouldRunOnStart()) {
+    runDigestJob('startup');
+  }
+
+  return task;
+};
+
+if (require.main === module) {
+  const runOnce = hasFlag('--run-once') || hasFlag('--now');
+  if (runOnce) {
+    runDigestJob('manual').finally(() => process.exit(0));
+  } else {
+    startDigestScheduler();
+  }
+}
+
+module.exports = {
+  startDigestScheduler,
+  runDigestJob
+};
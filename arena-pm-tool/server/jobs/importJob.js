@@ -0,0 +1,75 @@
+// Import Job
+// Runs queued Trello, Asana and Jira imports on a schedule (every 5 seconds by default).
+
+const cron = require('node-cron');
+const { processImportJobs, getImportQueueStats } = require('./importJobProcessor');
+const logger = require('../lib/logger');
+
+const DEFAULT_SCHEDULE = '*/5 * * * * *'; // Every 5 seconds
+const IMPORT_JOBS_ENABLED = () => process.env.IMPORT_JOBS_ENABLED !== 'false';
+
+const runImportJob = async (context = 'manual') => {
+  try {
+    const result = await processImportJobs();
+
+    if (result.skipped) {
+      return result;
+    }
+
+    if (result.processed > 0 || result.interrupted > 0) {
+      logger.info({
+        component: 'imports',
+        context,
+        processed: result.processed,
+        completed: result.completed,
+        failed: result.failed,
+        interrupted: result.interrupted,
+      }, 'Import jobs processed');
+    }
+
+    return result;
+  } catch (error) {
+    logger.error({ component: 'imports', context, err: error }, 'Import job processing error');
+    return null;
+  }
+};
+
+const startImportScheduler = () => {
+  if (!IMPORT_JOBS_ENABLED()) {
+    logger.info({ component: 'imports' }, 'Scheduler disabled via IMPORT_JOBS_ENABLED=false');
+    return null;
+  }
+
+  const schedule = process.env.IMPORT_JOBS_SCHEDULE || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error({ component: 'imports', schedule }, 'Invalid cron expression. Scheduler not started.');
+    return null;
+  }
+
+  logger.info({ component: 'imports', schedule }, 'Scheduling import job processor');
+
+  return cron.schedule(schedule, () => runImportJob('scheduled'));
+};
+
+const getImportQueueHealth = async () => {
+  try {
+    return {
+      status: 'OK',
+      enabled: IMPORT_JOBS_ENABLED(),
+      stats: await getImportQueueStats(),
+    };
+  } catch (error) {
+    return {
+      status: 'ERROR',
+      enabled: IMPORT_JOBS_ENABLED(),
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  startImportScheduler,
+  runImportJob,
+  getImportQueueHealth,
+};
@@ -0,0 +1,165 @@
+// Import Job Processor
+// Runs pending import_jobs (Trello, Asana and Jira exports uploaded through
+// POST /api/workspaces/:id/imports). Each job is applied in one transaction, so
+// a failed import creates nothing. Progress is written as the job goes so the
+// UI can show it.
+// Designed to run as a cron job every few seconds.
+
+const { query, getClient } = require('../config/database');
+const { IMPORT_SOURCES, parseExternalImport } = require('../lib/importers');
+const { applyImportPlan } = require('../lib/importers/apply');
+const { logActivities } = require('../lib/activityLog');
+const { publishEvent } = require('../lib/realtime');
+const { queueWebhookEvent, queueWebhookEvents } = require('../lib/webhooks');
+const logger = require('../lib/logger');
+
+const BATCH_SIZE = 2;
+const LOCK_ID = 462020; // Arbitrary advisory lock ID for import jobs
+// A running job older than this was cut off by a restart
+const STALE_AFTER_MINUTES = 30;
+
+const setProgress = (jobId, processedItems) => query(
+  'UPDATE import_jobs SET processed_items = $1 WHERE id = $2',
+  [processedItems, jobId]
+);
+
+const failJob = (jobId, message) => query(`
+  UPDATE import_jobs
+  SET status = 'failed', error = $1, payload = NULL, completed_at = NOW()
+  WHERE id = $2
+`, [message, jobId]);
+
+/**
+ * Run one claimed job.
+ * @returns {Promise<boolean>} Whether the import succeeded
+ */
+const runJob = async (job) => {
+  let plan;
+  try {
+    plan = parseExternalImport(job.source, job.payload);
+  } catch (parseError) {
+    await failJob(job.id, parseError.message);
+    return false;
+  }
+
+  await query('UPDATE import_jobs SET total_items = $1 WHERE id = $2', [plan.tasks.length, job.id]);
+
+  const client = await getClient();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await applyImportPlan(client, {
+      workspaceId: job.workspace_id,
+      userId: job.user_id,
+      sourceLabel: IMPORT_SOURCES[job.source].label,
+    }, plan, {
+      onProgress: (processed) => setProgress(job.id, processed),
+    });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error({ component: 'imports', jobId: job.id, err: error }, 'Import job failed');
+    await failJob(job.id, 'The import failed. Nothing was imported.');
+    return false;
+  } finally {
+    client.release();
+  }
+
+  await query(`
+    UPDATE import_jobs
+    SET status = 'completed', processed_items = total_items, summary = $1, payload = NULL, completed_at = NOW()
+    WHERE id = $2
+  `, [JSON.stringify(result.summary), job.id]);
+
+  // Same side effects as creating the categories and tasks by hand, without a
+  // notification per task
+  result.categories.forEach((category) => {
+    publishEvent(job.workspace_id, 'category.created', { category }, null);
+    queueWebhookEvent(job.workspace_id, 'category.created', { category }, job.user_id);
+  });
+  if (result.tasks.length > 0) {
+    logActivities(job.workspace_id, job.user_id, 'created', 'task',
+      result.tasks.map((task) => ({ entityId: task.id, metadata: { title: task.title, imported: job.source } })));
+    publishEvent(job.workspace_id, 'tasks.invalidated', { taskIds: result.tasks.map((task) => task.id) }, null);
+    queueWebhookEvents(job.workspace_id, 'task.created',
+      result.tasks.map((task) => ({ task, imported: true })), job.user_id);
+  }
+  return true;
+};
+
+/**
+ * Process pending import jobs, oldest first.
+ * Uses a PostgreSQL advisory lock to prevent concurrent processing.
+ */
+const processImportJobs = async () => {
+  const client = await getClient();
+
+  try {
+    // Acquire advisory lock — if another process holds it, skip this run
+    const lockResult = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [LOCK_ID]);
+    if (!lockResult.rows[0].acquired) {
+      return { skipped: true, reason: 'Another processor holds the lock' };
+    }
+
+    try {
+      const staleResult = await client.query(`
+        UPDATE import_jobs
+        SET status = 'failed', error = 'The import was interrupted. Nothing was imported.',
+            payload = NULL, completed_at = NOW()
+        WHERE status = 'running' AND started_at < NOW() - ($1 || ' minutes')::interval
+        RETURNING id
+      `, [STALE_AFTER_MINUTES]);
+
+      const claimed = await client.query(`
+        UPDATE import_jobs
+        SET status = 'running', started_at = NOW(), processed_items = 0
+        WHERE id IN (
+          SELECT id FROM import_jobs
+          WHERE status = 'pending'
+          ORDER BY created_at ASC
+          LIMIT $1
+        )
+        RETURNING id, workspace_id, user_id, source, payload
+      `, [BATCH_SIZE]);
+
+      let completed = 0;
+      let failed = 0;
+      for (const job of claimed.rows) {
+        if (await runJob(job)) {
+          completed++;
+        } else {
+          failed++;
+        }
+      }
+
+      return { processed: claimed.rows.length, completed, failed, interrupted: staleResult.rows.length };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {
+        // Lock release failed — will auto-release on disconnect
+      });
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get import job statistics for health checks.
+ */
+const getImportQueueStats = async () => {
+  const result = await query(`
+    SELECT
+      COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+      COUNT(*) FILTER (WHERE status = 'running') AS running,
+      COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+      COUNT(*) FILTER (WHERE status = 'failed') AS failed
+    FROM import_jobs
+    WHERE created_at > NOW() - INTERVAL '24 hours'
+  `);
+  return result.rows[0];
+};
+
+module.exports = {
+  processImportJobs,
+  getImportQueueStats,
+};
@@ -0,0 +1,84 @@
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const { generateRecurringTasks } = require('../utils/recurrenceService');
+const logger = require('../lib/logger');
+
+dotenv.config();
+
+const DEFAULT_CRON = '0 1 * * *'; // 1:00 AM every day, before reminders go out
+const toBool = (value) => String(value).toLowerCase() === 'true';
+const hasFlag = (flag) => process.argv.includes(flag);
+const getCronSchedule = () => process.env.RECURRENCE_CRON_SCHEDULE || DEFAULT_CRON;
+const getTimezone = () => process.env.RECURRENCE_TIMEZONE || undefined;
+
+const isSchedulerEnabled = () => process.env.RECURRENCE_JOB_ENABLED !== 'false';
+const shouldRunOnStart = () => toBool(process.env.RECURRENCE_RUN_ON_START);
+const isDryRun = () => toBool(process.env.RECURRENCE_DRY_RUN);
+
+const runRecurrenceJob = async (context = 'manual') => {
+  const dryRun = isDryRun();
+  const startedAt = Date.now();
+
+  logger.info({ component: 'recurrence', context, dryRun }, 'Recurrence run started');
+
+  try {
+    const summary = await generateRecurringTasks({ dryRun });
+    logger.info({
+      component: 'recurrence',
+      context,
+      dryRun,
+      created: summary.created,
+      ended: summary.ended,
+      failed: summary.failed,
+      totalTasks: summary.totalTasks,
+      skipped: summary.skipped || false,
+    }, `Recurrence ${context} run complete`);
+    return summary;
+  } catch (error) {
+    logger.error({ component: 'recurrence', context, err: error }, 'Recurrence run failed');
+    return null;
+  } finally {
+    logger.info({ component: 'recurrence', context, durationMs: Date.now() - startedAt }, 'Recurrence run finished');
+  }
+};
+
+const startRecurrenceScheduler = () => {
+  if (!isSchedulerEnabled()) {
+    logger.info({ component: 'recurrence' }, 'Scheduler disabled via RECURRENCE_JOB_ENABLED=false');
+    return null;
+  }
+
+  const schedule = getCronSchedule();
+
+  if (!cron.validate(schedule)) {
+    logger.error({ component: 'recurrence', schedule }, 'Invalid cron expression. Scheduler not started.');
+    return null;
+  }
+
+  const timezone = getTimezone();
+  const cronOptions = timezone ? { timezone } : undefined;
+
+  logger.info({ component: 'recurrence', schedule, timezone }, 'Scheduling recurrence job');
+
+  const task = cron.schedule(schedule, () => runRecurrenceJob('scheduled'), cronOptions);
+
+  if (shouldRunOnStart()) {
+    runRecurrenceJob('startup');
+  }
+
+  return task;
+};
+
+if (require.main === module) {
+  const runOnce = hasFlag('--run-once') || hasFlag('--now');
+  if (runOnce) {
+    runRecurrenceJob('manual').finally(() => process.exit(0));
+  } else {
+    startRecurrenceScheduler();
+  }
+}
+
+module.exports = {
+  startRecurrenceScheduler,
+  runRecurrenceJob
+};
@@ -5,7 +5,8 @@ const logger = require('../lib/logger');
 
 dotenv.config();
 
-const DEFAULT_CRON = '0 9 * * *'; // 9:00 AM every day
+// Hourly, so each assignee is reminded at REMINDER_SEND_HOUR in their own timezone
+const DEFAULT_CRON = '0 * * * *';
 const toBool = (value) => String(value).toLowerCase() === 'true';
 const hasFlag = (flag) => process.argv.includes(flag);
 const getCronSchedule = () => process.env.REMINDER_CRON_SCHEDULE || DEFAULT_CRON;
@@ -24,17 +25,19 @@ const logSummary = (summary, dryRun, context) => {
     dryRun,
     sent: summary.sent,
     failed: summary.failed,
+    notified: summary.notified,
+    digested: summary.digested,
+    escalated: summary.escalated,
     totalTasks: summary.totalTasks,
-    lookaheadDays: summary.lookaheadDays,
     skipped: summary.skipped || false,
   }, `Reminder ${context} run complete`);
 
   if (Array.isArray(summary.results) && summary.results.length) {
     summary.results.forEach((result) => {
       if (result.success) {
-        logger.info({ component: 'reminders', email: result.email, taskCount: result.count, dryRun }, 'Reminder sent');
+        logger.info({ component: 'reminders', email: result.email, kind: result.kind, taskCount: result.count, dryRun }, 'Reminder sent');
       } else {
-        logger.warn({ component: 'reminders', email: result.email, taskCount: result.count, error: result.error }, 'Reminder send failed');
+        logger.warn({ component: 'reminders', email: result.email, kind: result.kind, taskCount: result.count, error: result.error }, 'Reminder send failed');
       }
     });
   }
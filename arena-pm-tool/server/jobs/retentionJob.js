@@ -20,13 +20,41 @@ async function runRetentionCleanup() {
     );
     const anonymizedLogs = auditResult.rowCount || 0;
 
+    // Delete finished webhook deliveries older than 30 days
+    const webhookResult = await query(
+      "DELETE FROM webhook_deliveries WHERE status IN ('delivered', 'failed') AND created_at < NOW() - INTERVAL '30 days'"
+    );
+    const deletedWebhookDeliveries = webhookResult.rowCount || 0;
+
+    // Delete API tokens that expired more than 30 days ago
+    const apiTokenResult = await query(
+      "DELETE FROM api_tokens WHERE expires_at < NOW() - INTERVAL '30 days'"
+    );
+    const deletedApiTokens = apiTokenResult.rowCount || 0;
+
+    // Delete finished import jobs older than 90 days
+    const importJobResult = await query(
+      "DELETE FROM import_jobs WHERE status IN ('completed', 'failed') AND created_at < NOW() - INTERVAL '90 days'"
+    );
+    const deletedImportJobs = importJobResult.rowCount || 0;
+
+    // Delete realtime events older than a day; streams only replay recent ones
+    const realtimeResult = await query(
+      "DELETE FROM realtime_events WHERE created_at < NOW() - INTERVAL '1 day'"
+    );
+    const deletedRealtimeEvents = realtimeResult.rowCount || 0;
+
     logger.info({
       component: 'retention',
       deletedInvites,
       anonymizedLogs,
+      deletedWebhookDeliveries,
+      deletedApiTokens,
+      deletedImportJobs,
+      deletedRealtimeEvents,
     }, 'Retention cleanup complete');
 
-    return { deletedInvites, anonymizedLogs };
+    return { deletedInvites, anonymizedLogs, deletedWebhookDeliveries, deletedApiTokens, deletedImportJobs, deletedRealtimeEvents };
   } catch (error) {
     logger.error({ err: error, component: 'retention' }, 'Retention cleanup failed');
     throw error;
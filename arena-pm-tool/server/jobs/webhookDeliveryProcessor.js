@@ -0,0 +1,203 @@
+// Webhook Delivery Processor
+// Posts pending webhook_deliveries with retry and exponential backoff, the same way
+// the email queue processor works through email_queue.
+// Designed to run as a cron job every 30 seconds.
+
+const http = require('http');
+const https = require('https');
+const { query } = require('../config/database');
+const { signWebhookPayload, resolvePublicWebhookHost } = require('../lib/webhooks');
+
+const BATCH_SIZE = 10;
+const RESPONSE_BODY_LIMIT = 1000;
+
+const getTimeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+// Long enough for every delivery of a batch to time out one after another
+const getLeaseSeconds = () => Math.ceil((getTimeoutMs() * BATCH_SIZE) / 1000) + 60;
+
+// Stands in for dns.lookup so the connection goes to an address that was
+// checked, even if the host's DNS answer changes in the meantime
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  const matching = options.family
+    ? addresses.filter(({ family }) => family === options.family)
+    : addresses;
+  if (matching.length === 0) {
+    callback(Object.assign(new Error(`No address for ${hostname}`), { code: 'ENOTFOUND' }));
+  } else if (options.all) {
+    callback(null, matching);
+  } else {
+    callback(null, matching[0].address, matching[0].family);
+  }
+};
+
+// Read the start of a response, then drop the connection rather than
+// downloading a body we won't keep
+const readResponseBody = (response) => new Promise((resolve) => {
+  let body = '';
+  const finish = () => resolve(body.slice(0, RESPONSE_BODY_LIMIT));
+
+  response.setEncoding('utf8');
+  response.on('data', (chunk) => {
+    body += chunk;
+    if (body.length >= RESPONSE_BODY_LIMIT) {
+      response.destroy();
+      finish();
+    }
+  });
+  response.on('end', finish);
+  response.on('error', finish);
+  response.on('close', finish);
+});
+
+/**
+ * POST one delivery to its webhook.
+ * @returns {Promise<{ success: boolean, status: number|null, body: string|null, durationMs: number, error: string|null }>}
+ */
+const postDelivery = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const addresses = await resolvePublicWebhookHost(delivery.url);
+  const url = new URL(delivery.url);
+
+  // Redirects are not followed; one could lead anywhere, including private hosts
+  const response = await new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'Todoria-Webhooks/1.0',
+        'X-Todoria-Event': delivery.event,
+        'X-Todoria-Delivery': String(delivery.id),
+        'X-Todoria-Timestamp': String(timestamp),
+        'X-Todoria-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, body)}`,
+      },
+      ...(addresses ? { lookup: pinnedLookup(addresses) } : {}),
+      signal: AbortSignal.timeout(getTimeoutMs()),
+    }, async (res) => {
+      resolve({ status: res.statusCode, body: await readResponseBody(res) });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  const success = response.status >= 200 && response.status < 300;
+  return {
+    success,
+    status: response.status,
+    body: response.body,
+    durationMs: Date.now() - startedAt,
+    error: success ? null : `Endpoint responded with ${response.status}`,
+  };
+};
+
+/**
+ * Process pending webhook deliveries.
+ * Deliveries are claimed first (marked in_progress with a lease, in a statement
+ * that commits on its own) and posted afterwards, so no transaction or
+ * connection is held while waiting on endpoints. Concurrent runs claim
+ * different deliveries.
+ */
+const processWebhookDeliveries = async () => {
+  // A delivery still in progress after its lease was cut off mid-post; the
+  // attempt counts, and it goes back in the queue if it has any left
+  const expiredResult = await query(`
+    UPDATE webhook_deliveries
+    SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+        lease_expires_at = NULL, last_error = 'Delivery was interrupted'
+    WHERE status = 'in_progress' AND lease_expires_at < NOW()
+    RETURNING id
+  `);
+
+  // Claim pending deliveries of active webhooks that are ready for retry
+  // (backoff doubles from 2 minutes, so 8 attempts span about four hours)
+  const claimedResult = await query(`
+    UPDATE webhook_deliveries d
+    SET status = 'in_progress', attempts = d.attempts + 1, last_attempted_at = NOW(),
+        lease_expires_at = NOW() + ($2 || ' seconds')::interval
+    FROM webhooks w
+    WHERE w.id = d.webhook_id
+      AND d.id IN (
+        SELECT queued.id
+        FROM webhook_deliveries queued
+        JOIN webhooks hook ON hook.id = queued.webhook_id
+        WHERE queued.status = 'pending'
+          AND hook.is_active
+          AND queued.attempts < queued.max_attempts
+          AND (
+            queued.last_attempted_at IS NULL
+            OR queued.last_attempted_at < NOW() - (POWER(2, queued.attempts) || ' minutes')::interval
+          )
+        ORDER BY queued.created_at ASC
+        LIMIT $1
+        FOR UPDATE OF queued SKIP LOCKED
+      )
+    RETURNING d.id, d.event, d.payload, d.attempts, d.max_attempts, w.url, w.secret
+  `, [BATCH_SIZE, getLeaseSeconds()]);
+
+  const deliveries = claimedResult.rows;
+  let delivered = 0;
+  let failed = 0;
+  let retried = 0;
+
+  for (const delivery of deliveries) {
+    let result;
+    try {
+      result = await postDelivery(delivery);
+    } catch (err) {
+      result = { success: false, status: null, body: null, durationMs: null, error: err.message };
+    }
+
+    if (result.success) {
+      await query(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', delivered_at = NOW(), lease_expires_at = NULL,
+            response_status = $1, response_body = $2, duration_ms = $3, last_error = NULL
+        WHERE id = $4
+      `, [result.status, result.body, result.durationMs, delivery.id]);
+      delivered++;
+    } else {
+      // attempts already counts this one, from the claim
+      const newStatus = delivery.attempts >= delivery.max_attempts ? 'failed' : 'pending';
+      await query(`
+        UPDATE webhook_deliveries
+        SET status = $1, lease_expires_at = NULL,
+            response_status = $2, response_body = $3, duration_ms = $4, last_error = $5
+        WHERE id = $6
+      `, [newStatus, result.status, result.body, result.durationMs, result.error || 'Unknown delivery error', delivery.id]);
+
+      if (newStatus === 'failed') {
+        failed++;
+      } else {
+        retried++;
+      }
+    }
+  }
+
+  return { processed: deliveries.length, delivered, failed, retried, interrupted: expiredResult.rows.length };
+};
+
+/**
+ * Get webhook delivery statistics for health checks.
+ */
+const getWebhookQueueStats = async () => {
+  const result = await query(`
+    SELECT
+      COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+      COUNT(*) FILTER (WHERE status = 'in_progress') AS in_progress,
+      COUNT(*) FILTER (WHERE status = 'delivered') AS delivered,
+      COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+      COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0) AS retrying
+    FROM webhook_deliveries
+    WHERE created_at > NOW() - INTERVAL '24 hours'
+  `);
+  return result.rows[0];
+};
+
+module.exports = {
+  processWebhookDeliveries,
+  getWebhookQueueStats,
+};
@@ -0,0 +1,72 @@
+// Webhook Delivery Job
+// Processes the webhook_deliveries table on a schedule (every 30 seconds by default).
+
+const cron = require('node-cron');
+const { processWebhookDeliveries, getWebhookQueueStats } = require('./webhookDeliveryProcessor');
+const logger = require('../lib/logger');
+
+const DEFAULT_SCHEDULE = '*/30 * * * * *'; // Every 30 seconds
+const WEBHOOK_QUEUE_ENABLED = () => process.env.WEBHOOK_QUEUE_ENABLED !== 'false';
+
+const runWebhookJob = async (context = 'manual') => {
+  try {
+    const result = await processWebhookDeliveries();
+
+    if (result.processed > 0 || result.interrupted > 0) {
+      logger.info({
+        component: 'webhooks',
+        context,
+        processed: result.processed,
+        delivered: result.delivered,
+        failed: result.failed,
+        retried: result.retried,
+        interrupted: result.interrupted,
+      }, 'Webhook delivery batch processed');
+    }
+
+    return result;
+  } catch (error) {
+    logger.error({ component: 'webhooks', context, err: error }, 'Webhook delivery processing error');
+    return null;
+  }
+};
+
+const startWebhookScheduler = () => {
+  if (!WEBHOOK_QUEUE_ENABLED()) {
+    logger.info({ component: 'webhooks' }, 'Scheduler disabled via WEBHOOK_QUEUE_ENABLED=false');
+    return null;
+  }
+
+  const schedule = process.env.WEBHOOK_QUEUE_SCHEDULE || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    logger.error({ component: 'webhooks', schedule }, 'Invalid cron expression. Scheduler not started.');
+    return null;
+  }
+
+  logger.info({ component: 'webhooks', schedule }, 'Scheduling webhook delivery processor');
+
+  return cron.schedule(schedule, () => runWebhookJob('scheduled'));
+};
+
+const getWebhookQueueHealth = async () => {
+  try {
+    return {
+      status: 'OK',
+      enabled: WEBHOOK_QUEUE_ENABLED(),
+      stats: await getWebhookQueueStats(),
+    };
+  } catch (error) {
+    return {
+      status: 'ERROR',
+      enabled: WEBHOOK_QUEUE_ENABLED(),
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  startWebhookScheduler,
+  runWebhookJob,
+  getWebhookQueueHealth,
+};
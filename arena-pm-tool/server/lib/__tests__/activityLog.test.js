@@ -1,6 +1,6 @@
 const { query } = require('../../config/database');
 const logger = require('../logger');
-const { logActivity } = require('../activityLog');
+const { logActivity, logActivities } = require('../activityLog');
 
 jest.mock('../../config/database', () => ({ query: jest.fn() }));
 jest.mock('../logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
@@ -57,4 +57,31 @@ describe('Activity Log', () => {
       );
     });
   });
+
+  describe('logActivities', () => {
+    beforeEach(() => {
+      query.mockReset();
+    });
+
+    it('should insert all entries in one query', async () => {
+      query.mockResolvedValue({});
+
+      await logActivities('ws-1', 1, 'updated', 'task', [
+        { entityId: 42, metadata: { title: 'A' } },
+        { entityId: 43 },
+      ]);
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('unnest'),
+        ['ws-1', 1, 'updated', 'task', ['42', '43'], [JSON.stringify({ title: 'A' }), JSON.stringify({})]]
+      );
+    });
+
+    it('should skip the query when there is nothing to log', async () => {
+      await logActivities('ws-1', 1, 'updated', 'task', []);
+
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
 });
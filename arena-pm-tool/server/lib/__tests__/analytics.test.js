@@ -0,0 +1,104 @@
+jest.mock('../../config/database');
+
+const {
+  parseAnalyticsParams,
+  buildAnalytics,
+  getAnalytics,
+  toAnalyticsCsv,
+} = require('../analytics');
+
+const weekRow = (weekStart, counts = {}) => ({
+  week_start: weekStart, created: '0', completed: '0', remaining: '0', overdue: '0', ...counts,
+});
+
+const DAY = 24 * 60 * 60;
+
+describe('parseAnalyticsParams', () => {
+  test('defaults to twelve weeks and no category', () => {
+    expect(parseAnalyticsParams({})).toEqual({ weeks: 12, categoryId: null });
+    expect(parseAnalyticsParams({ weeks: '4', category_id: '7' })).toEqual({ weeks: 4, categoryId: 7 });
+  });
+
+  test('rejects bad week counts and categories', () => {
+    expect(parseAnalyticsParams({ weeks: '53' }).error).toBe('weeks must be between 1 and 52');
+    expect(parseAnalyticsParams({ weeks: 'all' }).error).toBe('weeks must be between 1 and 52');
+    expect(parseAnalyticsParams({ category_id: 'x' }).error).toBe('category_id must be a positive integer');
+  });
+});
+
+describe('buildAnalytics', () => {
+  test('shapes the weeks and sums them up', () => {
+    const report = buildAnalytics({
+      from: '2026-10-05',
+      to: '2026-10-21',
+      weekRows: [
+        weekRow('2026-10-05', { created: '4', completed: '1', remaining: '6', overdue: '1' }),
+        weekRow('2026-10-12', { created: '2', completed: '3', remaining: '5', overdue: '2' }),
+        weekRow('2026-10-19', { created: '1', completed: '0', remaining: '6', overdue: '0' }),
+      ],
+      cycleTimeRows: [
+        { week_start: '2026-10-05', tasks: '1', average_seconds: String(4 * DAY) },
+        { week_start: '2026-10-12', tasks: '3', average_seconds: String(1.5 * DAY) },
+      ],
+    });
+
+    expect(report.weeks).toEqual([
+      { weekStart: '2026-10-05', created: 4, completed: 1, remaining: 6, overdue: 1, cycleTimeDays: 4 },
+      { weekStart: '2026-10-12', created: 2, completed: 3, remaining: 5, overdue: 2, cycleTimeDays: 1.5 },
+      { weekStart: '2026-10-19', created: 1, completed: 0, remaining: 6, overdue: 0, cycleTimeDays: null },
+    ]);
+    // Weighted by the number of tasks completed each week: (4 + 3 * 1.5) / 4
+    expect(report.summary).toEqual({
+      created: 7, completed: 4, remaining: 6, overdue: 0, averageCycleTimeDays: 2.1,
+    });
+  });
+
+  test('has no cycle time without completed tasks', () => {
+    const report = buildAnalytics({ from: '2026-10-19', to: '2026-10-21', weekRows: [weekRow('2026-10-19')] });
+    expect(report.summary.averageCycleTimeDays).toBeNull();
+    expect(report.category).toBeNull();
+  });
+});
+
+describe('getAnalytics', () => {
+  test('covers the weeks up to today and limits the burndown to the category', async () => {
+    const db = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('generate_series')) {
+          return { rows: [weekRow('2026-10-12', { created: '2' }), weekRow('2026-10-19', { completed: '1' })] };
+        }
+        return { rows: [{ week_start: '2026-10-19', tasks: '1', average_seconds: String(2 * DAY) }] };
+      }),
+    };
+
+    const report = await getAnalytics({
+      workspaceId: 'ws-1',
+      weeks: 2,
+      category: { id: 4, name: 'Sprint' },
+      now: new Date('2026-10-21T12:00:00Z'),
+    }, db);
+
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('generate_series'), ['ws-1', '2026-10-12', '2026-10-21', 4]);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining("a.metadata->>'statusCategory' = 'active'"), ['ws-1', '2026-10-12', '2026-10-21']);
+    expect(report).toMatchObject({ from: '2026-10-12', to: '2026-10-21', category: { id: 4, name: 'Sprint' } });
+    expect(report.weeks[1].cycleTimeDays).toBe(2);
+  });
+});
+
+describe('toAnalyticsCsv', () => {
+  test('writes one row per week', () => {
+    const report = buildAnalytics({
+      from: '2026-10-12',
+      to: '2026-10-21',
+      category: { id: 4, name: 'Sprint, Q4' },
+      weekRows: [weekRow('2026-10-12', { created: '2', remaining: '3' }), weekRow('2026-10-19', { completed: '1', remaining: '2' })],
+      cycleTimeRows: [{ week_start: '2026-10-19', tasks: '1', average_seconds: String(DAY / 2) }],
+    });
+
+    expect(toAnalyticsCsv(report).split('\n')).toEqual([
+      'Week,Created,Completed,"Remaining (Sprint, Q4)",Overdue,Average Cycle Time (days)',
+      '2026-10-12,2,0,3,0,',
+      '2026-10-19,0,1,2,0,0.5',
+    ]);
+  });
+});
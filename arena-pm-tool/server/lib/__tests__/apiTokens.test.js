@@ -0,0 +1,123 @@
+const { query } = require('../../config/database');
+const logger = require('../logger');
+const {
+  hashApiToken,
+  isApiToken,
+  generateApiToken,
+  formatApiToken,
+  findApiToken,
+  touchApiToken,
+} = require('../apiTokens');
+const { runWithApiToken, getApiTokenScope } = require('../apiTokenScope');
+
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+
+describe('API Tokens', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateApiToken', () => {
+    it('should generate a prefixed token with its hash and hint', () => {
+      const { token, tokenHash, tokenHint } = generateApiToken();
+
+      expect(token).toMatch(/^tdr_pat_[A-Za-z0-9_-]{43}$/);
+      expect(tokenHash).toBe(hashApiToken(token));
+      expect(tokenHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(tokenHint).toBe(token.slice(-4));
+      expect(generateApiToken().token).not.toBe(token);
+    });
+
+    it('should recognise tokens by their prefix', () => {
+      expect(isApiToken(generateApiToken().token)).toBe(true);
+      expect(isApiToken('eyJhbGciOiJIUzI1NiJ9.payload.sig')).toBe(false);
+      expect(isApiToken(null)).toBe(false);
+    });
+  });
+
+  describe('formatApiToken', () => {
+    it('should only show the end of the token', () => {
+      const token = formatApiToken({
+        id: 2,
+        name: 'CI',
+        workspace_id: 'ws-1',
+        workspace_name: 'Acme',
+        scope: 'read',
+        token_hash: 'a'.repeat(64),
+        token_hint: 'xY9z',
+        expires_at: '2026-06-01T00:00:00Z',
+        last_used_at: null,
+        created_at: '2026-03-01T00:00:00Z',
+      });
+
+      expect(token).toEqual(expect.objectContaining({
+        id: 2,
+        workspaceName: 'Acme',
+        scope: 'read',
+        tokenHint: '…xY9z',
+      }));
+      expect(token).not.toHaveProperty('tokenHash');
+    });
+  });
+
+  describe('findApiToken', () => {
+    it('should look the token up by its hash and require membership', async () => {
+      query.mockResolvedValue({ rows: [{ id: 2, user_id: 1 }] });
+
+      const row = await findApiToken('tdr_pat_secret');
+
+      const [sql, params] = query.mock.calls[0];
+      expect(params).toEqual([hashApiToken('tdr_pat_secret')]);
+      expect(sql).toContain('JOIN workspace_members wm');
+      expect(row).toEqual({ id: 2, user_id: 1 });
+    });
+
+    it('should return null for an unknown token', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(findApiToken('tdr_pat_unknown')).resolves.toBeNull();
+    });
+  });
+
+  describe('touchApiToken', () => {
+    it('should record the time of use', async () => {
+      query.mockResolvedValue({ rowCount: 1 });
+
+      await touchApiToken({ id: 2, last_used_at: null });
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('SET last_used_at = NOW()'), [2]);
+    });
+
+    it('should skip tokens used within the last minute', async () => {
+      await touchApiToken({ id: 2, last_used_at: new Date().toISOString() });
+
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should log and swallow database errors', async () => {
+      query.mockRejectedValue(new Error('db down'));
+
+      await expect(touchApiToken({ id: 2, last_used_at: null })).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('runWithApiToken', () => {
+    it('should expose the token scope to everything the handler awaits', async () => {
+      const apiToken = { id: 2, workspaceId: 'ws-1', scope: 'read' };
+
+      const scope = await runWithApiToken(apiToken, async () => {
+        await Promise.resolve();
+        return getApiTokenScope();
+      });
+
+      expect(scope).toBe(apiToken);
+      expect(getApiTokenScope()).toBeUndefined();
+    });
+
+    it('should run session requests without a scope', () => {
+      expect(runWithApiToken(undefined, () => getApiTokenScope())).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  sanitizeFileName,
+  buildStorageKey,
+  isInlineContentType,
+  contentDisposition,
+  getTaskTreeStorageKeys,
+  getStorageKeysForTaskTrees,
+  removeStoredFiles,
+} = require('../attachments');
+const { setStorage } = require('../storage');
+
+jest.mock('../../config/database');
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const logger = require('../logger');
+
+describe('Attachments', () => {
+  afterAll(() => {
+    setStorage(null);
+  });
+
+  describe('sanitizeFileName', () => {
+    it('should keep only the base name without control characters', () => {
+      expect(sanitizeFileName('../../etc/passwd')).toBe('passwd');
+      expect(sanitizeFileName('C:\\Users\\me\\notes.txt')).toBe('notes.txt');
+      expect(sanitizeFileName('re\u0000port\n.pdf')).toBe('report.pdf');
+      expect(sanitizeFileName('   ')).toBe('file');
+    });
+
+    it('should cap the length, keeping the extension', () => {
+      const name = sanitizeFileName(`${'a'.repeat(300)}.png`);
+      expect(name).toHaveLength(255);
+      expect(name.endsWith('.png')).toBe(true);
+    });
+  });
+
+  describe('buildStorageKey', () => {
+    it('should build unique keys grouped by workspace and task', () => {
+      const key = buildStorageKey('ws-1', 10, 'Photo.JPG');
+      expect(key).toMatch(/^ws-1\/10\/[0-9a-f-]{36}\.jpg$/);
+      expect(buildStorageKey('ws-1', 10, 'Photo.JPG')).not.toBe(key);
+    });
+  });
+
+  describe('content headers', () => {
+    it('should only preview safe types inline', () => {
+      expect(isInlineContentType('image/png')).toBe(true);
+      expect(isInlineContentType('application/pdf')).toBe(true);
+      expect(isInlineContentType('image/svg+xml')).toBe(false);
+      expect(isInlineContentType('text/html')).toBe(false);
+    });
+
+    it('should build a Content-Disposition with a UTF-8 name', () => {
+      expect(contentDisposition('Überblick "Q1".pdf', false))
+        .toBe('attachment; filename="_berblick _Q1_.pdf"; filename*=UTF-8\'\'%C3%9Cberblick%20%22Q1%22.pdf');
+      expect(contentDisposition('a.png', true)).toMatch(/^inline;/);
+    });
+  });
+
+  describe('getTaskTreeStorageKeys', () => {
+    it('should collect keys for the task and its subtasks', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [{ storage_key: 'a' }, { storage_key: 'b' }] }) };
+
+      expect(await getTaskTreeStorageKeys(10, db)).toEqual(['a', 'b']);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('WITH RECURSIVE task_tree'), [10]);
+    });
+  });
+
+  describe('getStorageKeysForTaskTrees', () => {
+    it('should collect keys for every task tree in one query', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [{ storage_key: 'a' }] }) };
+
+      expect(await getStorageKeysForTaskTrees([10, 11], db)).toEqual(['a']);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('id = ANY($1::int[])'), [[10, 11]]);
+    });
+  });
+
+  describe('removeStoredFiles', () => {
+    it('should remove every key and log failures without throwing', async () => {
+      const storage = {
+        remove: jest.fn()
+          .mockResolvedValueOnce()
+          .mockRejectedValueOnce(new Error('storage down')),
+      };
+      setStorage(storage);
+
+      await expect(removeStoredFiles(['a', 'b'])).resolves.toBeUndefined();
+
+      expect(storage.remove).toHaveBeenCalledTimes(2);
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ storageKey: 'b' }),
+        'Failed to remove stored attachment'
+      );
+    });
+
+    it('should skip the backend when there is nothing to remove', async () => {
+      const storage = { remove: jest.fn() };
+      setStorage(storage);
+
+      await removeStoredFiles([]);
+
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  generateCalendarFeedToken,
+  formatCalendarFeed,
+  escapeText,
+  foldLine,
+  buildTaskEvent,
+  buildCalendar,
+} = require('../calendarFeeds');
+
+describe('Calendar Feeds', () => {
+  const NOW = new Date('2026-03-10T09:15:00Z');
+
+  const taskRow = (overrides = {}) => ({
+    id: 5,
+    title: 'Ship v2',
+    description: null,
+    due_date: '2026-03-31',
+    status_name: 'In Progress',
+    status_category: 'active',
+    priority: 'high',
+    category_name: 'Engineering',
+    workspace_name: null,
+    updated_at: '2026-03-09T08:00:00Z',
+    ...overrides,
+  });
+
+  it('should generate distinct hex tokens', () => {
+    const token = generateCalendarFeedToken();
+
+    expect(token).toMatch(/^[0-9a-f]{48}$/);
+    expect(generateCalendarFeedToken()).not.toBe(token);
+  });
+
+  it('should format feeds for the client', () => {
+    expect(formatCalendarFeed({
+      id: 1, workspace_id: null, token: 'abc', last_accessed_at: null, created_at: '2026-03-01T00:00:00Z',
+    })).toEqual({
+      id: 1, workspaceId: null, workspaceName: null, token: 'abc', lastAccessedAt: null, createdAt: '2026-03-01T00:00:00Z',
+    });
+  });
+
+  describe('escapeText', () => {
+    it('should escape iCalendar special characters', () => {
+      expect(escapeText('a;b,c\\d\r\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Ship v2')).toBe('SUMMARY:Ship v2');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+      expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+    });
+  });
+
+  describe('buildTaskEvent', () => {
+    it('should turn a task into an all-day event on its due date', () => {
+      const lines = buildTaskEvent(taskRow(), NOW);
+
+      expect(lines).toEqual(expect.arrayContaining([
+        'UID:task-5@todoria.com',
+        'DTSTAMP:20260310T091500Z',
+        'DTSTART;VALUE=DATE:20260331',
+        'DTEND;VALUE=DATE:20260401',
+        'SUMMARY:Ship v2',
+        'DESCRIPTION:Status: In Progress\\nPriority: high\\nCategory: Engineering',
+        'URL:https://www.todoria.com/tasks?taskId=5',
+        'LAST-MODIFIED:20260309T080000Z',
+      ]));
+    });
+
+    it('should mark finished tasks', () => {
+      const lines = buildTaskEvent(taskRow({ status_name: 'Done', status_category: 'done' }), NOW);
+
+      expect(lines).toContain('SUMMARY:✓ Ship v2');
+    });
+
+    it('should name the workspace and append a shortened description', () => {
+      const lines = buildTaskEvent(taskRow({ workspace_name: 'Acme', description: 'x'.repeat(1200) }), NOW);
+      const description = lines.find((line) => line.startsWith('DESCRIPTION:'));
+
+      expect(description).toContain('Workspace: Acme\\n\\n');
+      expect(description.endsWith(`${'x'.repeat(1000)}…`)).toBe(true);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should wrap the events in a named calendar with CRLF line endings', () => {
+      const ics = buildCalendar('Todoria — My tasks', [taskRow(), taskRow({ id: 6 })], NOW);
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:Todoria — My tasks\r\n');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    it('should produce an empty calendar without tasks', () => {
+      expect(buildCalendar('Todoria — Acme', [], NOW)).not.toContain('BEGIN:VEVENT');
+    });
+  });
+});
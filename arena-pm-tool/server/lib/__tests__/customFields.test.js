@@ -0,0 +1,102 @@
+const {
+  normalizeCustomFieldValue,
+  resolveCustomFieldValues,
+  saveCustomFieldValues,
+  getCustomFieldFilters,
+  buildCustomFieldFilterSql,
+} = require('../customFields');
+
+jest.mock('../../config/database');
+
+const FIELDS = [
+  { id: 1, name: 'Customer', fieldType: 'text', options: [] },
+  { id: 2, name: 'Story points', fieldType: 'number', options: [] },
+  { id: 3, name: 'Environment', fieldType: 'dropdown', options: ['staging', 'prod'] },
+  { id: 4, name: 'Launch', fieldType: 'date', options: [] },
+  { id: 5, name: 'Customer facing', fieldType: 'checkbox', options: [] },
+];
+
+describe('Custom Fields', () => {
+  describe('normalizeCustomFieldValue', () => {
+    it('should coerce values to the field type', () => {
+      expect(normalizeCustomFieldValue(FIELDS[0], '  Acme ')).toEqual({ value: 'Acme' });
+      expect(normalizeCustomFieldValue(FIELDS[1], '5')).toEqual({ value: 5 });
+      expect(normalizeCustomFieldValue(FIELDS[1], 2.5)).toEqual({ value: 2.5 });
+      expect(normalizeCustomFieldValue(FIELDS[2], 'prod')).toEqual({ value: 'prod' });
+      expect(normalizeCustomFieldValue(FIELDS[3], '2026-03-01T00:00:00Z')).toEqual({ value: '2026-03-01' });
+      expect(normalizeCustomFieldValue(FIELDS[4], true)).toEqual({ value: true });
+    });
+
+    it('should treat empty values and unchecked boxes as clearing the field', () => {
+      expect(normalizeCustomFieldValue(FIELDS[0], '')).toEqual({ value: null });
+      expect(normalizeCustomFieldValue(FIELDS[1], null)).toEqual({ value: null });
+      expect(normalizeCustomFieldValue(FIELDS[4], false)).toEqual({ value: null });
+    });
+
+    it('should reject values of the wrong type', () => {
+      expect(normalizeCustomFieldValue(FIELDS[1], 'lots').error).toBe('"Story points" must be a number');
+      expect(normalizeCustomFieldValue(FIELDS[1], true).error).toBe('"Story points" must be a number');
+      expect(normalizeCustomFieldValue(FIELDS[2], 'dev').error).toBe('"Environment" must be one of: staging, prod');
+      expect(normalizeCustomFieldValue(FIELDS[3], '2026-02-30').error).toBe('"Launch" must be a date (YYYY-MM-DD)');
+      expect(normalizeCustomFieldValue(FIELDS[4], 'yes').error).toBe('"Customer facing" must be true or false');
+    });
+  });
+
+  describe('resolveCustomFieldValues', () => {
+    it('should resolve values keyed by field id', () => {
+      expect(resolveCustomFieldValues(FIELDS, { 2: '8', 3: null })).toEqual({
+        values: [{ fieldId: 2, value: 8 }, { fieldId: 3, value: null }]
+      });
+    });
+
+    it('should reject fields from other workspaces', () => {
+      expect(resolveCustomFieldValues(FIELDS, { 99: 'x' })).toEqual({ error: 'Unknown custom field: 99' });
+    });
+  });
+
+  describe('saveCustomFieldValues', () => {
+    it('should upsert set values and delete cleared ones', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      await saveCustomFieldValues(10, [{ fieldId: 2, value: 8 }, { fieldId: 3, value: null }], db);
+
+      expect(db.query).toHaveBeenNthCalledWith(1, expect.stringContaining('ON CONFLICT (task_id, field_id)'), [10, 2, '8']);
+      expect(db.query).toHaveBeenNthCalledWith(2, expect.stringContaining('DELETE FROM task_custom_field_values'), [10, 3]);
+    });
+  });
+
+  describe('filters', () => {
+    it('should pick cf_<id> params out of the query string', () => {
+      expect(getCustomFieldFilters({ workspace_id: 'ws', cf_3: 'prod', cf_x: 'no' })).toEqual([
+        { param: 'cf_3', fieldId: 3, value: 'prod' }
+      ]);
+    });
+
+    it('should build one clause per filter with numbered params', () => {
+      const filters = getCustomFieldFilters({ cf_1: 'acme', cf_3: 'staging,prod', cf_2: '5' });
+
+      const { clauses, params } = buildCustomFieldFilterSql(FIELDS, filters, 4);
+
+      expect(clauses).toHaveLength(3);
+      expect(clauses[0]).toContain('cfv.field_id = $4');
+      expect(clauses[0]).toContain("ILIKE $5");
+      expect(clauses[1]).toContain('ANY($7::text[])');
+      expect(clauses[2]).toContain('cfv.value = $9::jsonb');
+      expect(params).toEqual([1, '%acme%', 3, ['staging', 'prod'], 2, '5']);
+    });
+
+    it('should match unchecked boxes by the absence of a value', () => {
+      const { clauses, params } = buildCustomFieldFilterSql(FIELDS, getCustomFieldFilters({ cf_5: 'false' }), 1);
+
+      expect(clauses[0]).toMatch(/^NOT EXISTS/);
+      expect(params).toEqual([5]);
+    });
+
+    it('should reject unknown fields and invalid values', () => {
+      expect(buildCustomFieldFilterSql(FIELDS, getCustomFieldFilters({ cf_42: 'x' }), 1))
+        .toEqual({ error: 'Unknown custom field: cf_42' });
+      expect(buildCustomFieldFilterSql(FIELDS, getCustomFieldFilters({ cf_2: 'many' }), 1))
+        .toEqual({ error: '"Story points" must be a number' });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { query } = require('../../config/database');
+const { deliverNotificationEmail, getLocalTime, isDigestDue } = require('../digests');
+
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+
+describe('Digests', () => {
+  describe('deliverNotificationEmail', () => {
+    const item = { type: 'comment', workspaceId: 'ws-1', taskId: 5, data: { taskTitle: 'Launch' } };
+
+    it('should send right away in immediate mode', async () => {
+      const send = jest.fn().mockResolvedValue({ id: 1 });
+
+      const result = await deliverNotificationEmail({ id: 2, email_digest_mode: 'immediate' }, item, send);
+
+      expect(send).toHaveBeenCalled();
+      expect(query).not.toHaveBeenCalled();
+      expect(result).toEqual({ id: 1 });
+    });
+
+    it('should hold the email for daily and weekly digests', async () => {
+      const send = jest.fn();
+      query.mockResolvedValue({ rows: [] });
+
+      const result = await deliverNotificationEmail({ id: 2, email_digest_mode: 'weekly' }, item, send);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO email_digest_items'),
+        [2, 'ws-1', 'comment', 5, JSON.stringify({ taskTitle: 'Launch' })]
+      );
+      expect(result).toEqual({ digested: true });
+    });
+  });
+
+  describe('getLocalTime', () => {
+    it('should use the given timezone', () => {
+      expect(getLocalTime(new Date('2026-03-02T06:30:00Z'), 'America/New_York')).toEqual({
+        date: '2026-03-02', hour: 1, weekday: 'Mon',
+      });
+      expect(getLocalTime(new Date('2026-03-02T23:30:00Z'), 'Asia/Tokyo')).toEqual({
+        date: '2026-03-03', hour: 8, weekday: 'Tue',
+      });
+    });
+
+    it('should fall back to UTC for unknown zones', () => {
+      expect(getLocalTime(new Date('2026-03-02T06:30:00Z'), 'Mars/Olympus')).toEqual({
+        date: '2026-03-02', hour: 6, weekday: 'Mon',
+      });
+    });
+  });
+
+  describe('isDigestDue', () => {
+    // Monday 2 March 2026, 08:15 in Berlin
+    const now = new Date('2026-03-02T07:15:00Z');
+
+    it('should send from the local send hour on', () => {
+      expect(isDigestDue({ mode: 'daily', timezone: 'Europe/Berlin' }, now, 8)).toBe(true);
+      expect(isDigestDue({ mode: 'daily', timezone: 'Europe/Berlin' }, now, 9)).toBe(false);
+      expect(isDigestDue({ mode: 'daily', timezone: 'UTC' }, now, 8)).toBe(false);
+    });
+
+    it('should send once per local day', () => {
+      const sentThisMorning = '2026-03-01T23:30:00Z'; // 00:30 on Monday in Berlin
+      const sentYesterday = '2026-03-01T07:00:00Z';
+
+      expect(isDigestDue({ mode: 'daily', timezone: 'Europe/Berlin', lastSentAt: sentThisMorning }, now, 8)).toBe(false);
+      expect(isDigestDue({ mode: 'daily', timezone: 'Europe/Berlin', lastSentAt: sentYesterday }, now, 8)).toBe(true);
+    });
+
+    it('should only send weekly digests on Mondays', () => {
+      const tuesday = new Date('2026-03-03T07:15:00Z');
+
+      expect(isDigestDue({ mode: 'weekly', timezone: 'Europe/Berlin' }, now, 8)).toBe(true);
+      expect(isDigestDue({ mode: 'weekly', timezone: 'Europe/Berlin' }, tuesday, 8)).toBe(false);
+      expect(isDigestDue({ mode: 'daily', timezone: 'Europe/Berlin' }, tuesday, 8)).toBe(true);
+    });
+  });
+});
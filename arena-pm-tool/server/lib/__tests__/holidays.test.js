@@ -0,0 +1,249 @@
+jest.mock('../../config/database');
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const { getEasterSunday, getRuleHolidays } = require('../holidays/rules');
+const {
+  normalizeHolidayRegions,
+  resolveHolidayRegions,
+  listHolidayRegions,
+  getRegionHolidays,
+  mergeRegionHolidays,
+  getCompanyHolidays,
+} = require('../holidays');
+const logger = require('../logger');
+
+const datesOf = (holidays) => holidays.map((holiday) => holiday.date);
+const findByName = (holidays, name) => holidays.find((holiday) => holiday.name === name);
+
+describe('holiday rules', () => {
+  test('computes Gregorian Easter Sunday', () => {
+    const easter = (year) => getEasterSunday(year).toISOString().slice(0, 10);
+    expect(easter(2024)).toBe('2024-03-31');
+    expect(easter(2025)).toBe('2025-04-20');
+    expect(easter(2026)).toBe('2026-04-05');
+    expect(easter(2038)).toBe('2038-04-25');
+  });
+
+  test('places Easter-relative holidays around Easter', () => {
+    const holidays = getRuleHolidays('DE', 2026);
+    expect(findByName(holidays, 'Good Friday').date).toBe('2026-04-03');
+    expect(findByName(holidays, 'Easter Monday').date).toBe('2026-04-06');
+    expect(findByName(holidays, 'Ascension Day').date).toBe('2026-05-14');
+    expect(findByName(holidays, 'Whit Monday').date).toBe('2026-05-25');
+  });
+
+  test('returns holidays sorted by date with local names', () => {
+    const holidays = getRuleHolidays('PL', 2026);
+    expect(datesOf(holidays)).toEqual([...datesOf(holidays)].sort());
+    expect(findByName(holidays, 'Independence Day')).toEqual({
+      date: '2026-11-11',
+      name: 'Independence Day',
+      localName: 'Narodowe Święto Niepodległości',
+      type: 'National',
+      isPublic: true,
+    });
+  });
+
+  test('skips holidays before the year they were introduced', () => {
+    expect(findByName(getRuleHolidays('LT', 2019), "All Souls' Day")).toBeUndefined();
+    expect(findByName(getRuleHolidays('LT', 2020), "All Souls' Day").date).toBe('2020-11-02');
+    expect(findByName(getRuleHolidays('PL', 2024), 'Christmas Eve')).toBeUndefined();
+    expect(findByName(getRuleHolidays('PL', 2025), 'Christmas Eve').date).toBe('2025-12-24');
+  });
+
+  test('adds regional holidays to the national ones', () => {
+    const national = getRuleHolidays('DE', 2026);
+    const bavaria = getRuleHolidays('DE-BY', 2026);
+
+    expect(findByName(national, 'Corpus Christi')).toBeUndefined();
+    expect(findByName(bavaria, 'Corpus Christi')).toMatchObject({ date: '2026-06-04', type: 'Regional' });
+    expect(bavaria).toHaveLength(national.length + 3);
+  });
+
+  test('puts the Day of Repentance and Prayer on the Wednesday before 23 November', () => {
+    const dates = [2024, 2025, 2026].map((year) =>
+      findByName(getRuleHolidays('DE-SN', year), 'Day of Repentance and Prayer').date
+    );
+    expect(dates).toEqual(['2024-11-20', '2025-11-19', '2026-11-18']);
+  });
+
+  test('returns nothing for unknown regions', () => {
+    expect(getRuleHolidays('XX', 2026)).toEqual([]);
+    expect(getRuleHolidays('DE-XX', 2026)).toEqual([]);
+  });
+});
+
+describe('holiday regions', () => {
+  const originalDefault = process.env.HOLIDAY_DEFAULT_REGIONS;
+
+  afterEach(() => {
+    if (originalDefault === undefined) delete process.env.HOLIDAY_DEFAULT_REGIONS;
+    else process.env.HOLIDAY_DEFAULT_REGIONS = originalDefault;
+  });
+
+  test('normalizeHolidayRegions uppercases, dedupes and drops unknown codes', () => {
+    expect(normalizeHolidayRegions(['pl', 'PL', ' de-by ', 'XX'])).toEqual(['PL', 'DE-BY']);
+    expect(normalizeHolidayRegions(null)).toEqual([]);
+  });
+
+  test("the user's regions win over the workspace's, which win over the default", () => {
+    process.env.HOLIDAY_DEFAULT_REGIONS = 'LV,EE';
+    expect(resolveHolidayRegions({ userRegions: ['PL'], workspaceRegions: ['DE'] })).toEqual(['PL']);
+    expect(resolveHolidayRegions({ userRegions: null, workspaceRegions: ['DE'] })).toEqual(['DE']);
+    expect(resolveHolidayRegions({ userRegions: [], workspaceRegions: null })).toEqual(['LV', 'EE']);
+  });
+
+  test('the default falls back to Lithuania', () => {
+    delete process.env.HOLIDAY_DEFAULT_REGIONS;
+    expect(resolveHolidayRegions()).toEqual(['LT']);
+    process.env.HOLIDAY_DEFAULT_REGIONS = 'nowhere';
+    expect(resolveHolidayRegions()).toEqual(['LT']);
+  });
+
+  test('listHolidayRegions includes countries and German states', () => {
+    const regions = listHolidayRegions();
+    expect(regions).toContainEqual({ code: 'PL', name: 'Poland', country: 'PL' });
+    expect(regions).toContainEqual({ code: 'DE-BY', name: 'Germany – Bavaria', country: 'DE' });
+  });
+});
+
+describe('getRegionHolidays', () => {
+  const originalProvider = process.env.HOLIDAY_PROVIDER;
+  const originalKey = process.env.ABSTRACT_API_KEY;
+  let db;
+
+  beforeEach(() => {
+    db = { query: jest.fn() };
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    if (originalProvider === undefined) delete process.env.HOLIDAY_PROVIDER;
+    else process.env.HOLIDAY_PROVIDER = originalProvider;
+    if (originalKey === undefined) delete process.env.ABSTRACT_API_KEY;
+    else process.env.ABSTRACT_API_KEY = originalKey;
+  });
+
+  test('uses the bundled rules by default without touching the cache', async () => {
+    delete process.env.HOLIDAY_PROVIDER;
+
+    const holidays = await getRegionHolidays('LT', 2026, db);
+
+    expect(holidays).toEqual(getRuleHolidays('LT', 2026));
+    expect(db.query).not.toHaveBeenCalled();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('uses the bundled rules when the Abstract API key is missing', async () => {
+    process.env.HOLIDAY_PROVIDER = 'abstract';
+    delete process.env.ABSTRACT_API_KEY;
+
+    await getRegionHolidays('LT', 2026, db);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  describe('with an online provider', () => {
+    beforeEach(() => {
+      process.env.HOLIDAY_PROVIDER = 'abstract';
+      process.env.ABSTRACT_API_KEY = 'test-key';
+    });
+
+    test('serves fresh cache entries', async () => {
+      const cached = [{ date: '2026-01-01', name: 'New Year' }];
+      db.query.mockResolvedValueOnce({ rows: [{ holidays: cached, fresh: true }] });
+
+      expect(await getRegionHolidays('PL', 2026, db)).toBe(cached);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('fetches the country and caches the result', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => [
+          { name: 'Constitution Day', name_local: 'Święto Konstytucji', date_year: '2026', date_month: '5', date_day: '3', type: 'National' },
+        ],
+      });
+
+      const holidays = await getRegionHolidays('PL', 2026, db);
+
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('api_key=test-key&country=PL&year=2026'));
+      expect(holidays).toEqual([
+        { name: 'Constitution Day', localName: 'Święto Konstytucji', date: '2026-05-03', type: 'National', isPublic: true },
+      ]);
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO holiday_cache'),
+        ['abstract', 'PL', 2026, JSON.stringify(holidays)]
+      );
+    });
+
+    test('falls back to a stale cache entry when the provider fails', async () => {
+      const stale = [{ date: '2026-01-01', name: 'New Year' }];
+      db.query.mockResolvedValueOnce({ rows: [{ holidays: stale, fresh: false }] });
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+
+      expect(await getRegionHolidays('PL', 2026, db)).toBe(stale);
+      expect(logger.warn).toHaveBeenCalled();
+    });
+
+    test('falls back to the bundled rules when nothing is cached', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      global.fetch.mockRejectedValueOnce(new Error('Network failure'));
+
+      expect(await getRegionHolidays('PL', 2026, db)).toEqual(getRuleHolidays('PL', 2026));
+    });
+  });
+});
+
+describe('mergeRegionHolidays', () => {
+  test('lists every region observing a holiday once', () => {
+    const merged = mergeRegionHolidays({
+      'DE-BY': getRuleHolidays('DE-BY', 2026),
+      'DE-BE': getRuleHolidays('DE-BE', 2026),
+    });
+
+    expect(findByName(merged, 'German Unity Day').regions).toEqual(['DE-BY', 'DE-BE']);
+    expect(findByName(merged, 'Corpus Christi').regions).toEqual(['DE-BY']);
+    expect(findByName(merged, "International Women's Day").regions).toEqual(['DE-BE']);
+    expect(merged.every((holiday) => holiday.source === 'public')).toBe(true);
+    expect(datesOf(merged)).toEqual([...datesOf(merged)].sort());
+  });
+});
+
+describe('getCompanyHolidays', () => {
+  test('moves recurring holidays into the requested year and keeps one-off ones in theirs', async () => {
+    const db = {
+      query: jest.fn().mockResolvedValue({
+        rows: [
+          { id: 1, date: '2024-02-29', name: 'Leap day party', recurring: true },
+          { id: 2, date: '2025-09-12', name: 'Founders day', recurring: true },
+          { id: 3, date: '2026-12-31', name: 'Office closed', recurring: false },
+          { id: 4, date: '2025-12-31', name: 'Office closed', recurring: false },
+        ],
+      }),
+    };
+
+    const holidays = await getCompanyHolidays('ws-1', 2026, db);
+
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining("to_char(date, 'YYYY-MM-DD')"), ['ws-1']);
+    expect(holidays.map((holiday) => [holiday.id, holiday.date])).toEqual([
+      [2, '2026-09-12'],
+      [3, '2026-12-31'],
+    ]);
+    expect(holidays[0]).toMatchObject({ source: 'company', type: 'Company', isPublic: false, localName: 'Founders day' });
+  });
+
+  test('keeps a recurring 29 February in leap years', async () => {
+    const db = {
+      query: jest.fn().mockResolvedValue({ rows: [{ id: 1, date: '2024-02-29', name: 'Leap day party', recurring: true }] }),
+    };
+
+    expect(datesOf(await getCompanyHolidays('ws-1', 2028, db))).toEqual(['2028-02-29']);
+  });
+});
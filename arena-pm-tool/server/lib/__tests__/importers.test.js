@@ -0,0 +1,368 @@
+/**
+ * Trello / Asana / Jira Importer Tests
+ *
+ * Tests lib/importers: turning each tool's export into an import plan, and
+ * applying a plan to a workspace (member matching, categories, statuses,
+ * subtasks, comments and the plan's task limit).
+ */
+
+jest.mock('../../middleware/planLimits', () => ({
+  getWorkspacePlanLimits: jest.fn(),
+  countWorkspaceTasks: jest.fn(),
+}));
+
+const { getWorkspacePlanLimits, countWorkspaceTasks } = require('../../middleware/planLimits');
+const { parseExternalImport, MAX_IMPORT_ITEMS } = require('../importers');
+const { parseJiraDateTime } = require('../importers/jira');
+const { orderParentsFirst, mapPriority, guessStatusCategory } = require('../importers/common');
+const { applyImportPlan } = require('../importers/apply');
+
+const csv = (rows) => rows.map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
+
+// ---------------------------------------------------------------------------
+// Trello
+// ---------------------------------------------------------------------------
+
+describe('Trello board import', () => {
+  const board = {
+    name: 'Launch',
+    lists: [
+      { id: 'l2', name: 'Done', pos: 2, closed: false },
+      { id: 'l1', name: 'Backlog', pos: 1, closed: false },
+      { id: 'l3', name: 'Old', pos: 3, closed: true },
+    ],
+    members: [
+      { id: 'm1', fullName: 'Ada Lovelace', username: 'ada' },
+      { id: 'm2', fullName: 'Grace Hopper', username: 'grace' },
+    ],
+    cards: [
+      { id: 'c2', name: 'Ship it', idList: 'l2', pos: 1, desc: '', dueComplete: true, idMembers: [], labels: [] },
+      { id: 'c1', name: 'Write <b>docs</b>', idList: 'l1', pos: 1, desc: 'All of them', due: '2026-03-01T12:00:00.000Z', idMembers: ['m1'], labels: [{ name: 'High' }] },
+      { id: 'c3', name: 'Archived', idList: 'l1', pos: 2, closed: true, idMembers: [], labels: [] },
+      { id: 'c4', name: 'In old list', idList: 'l3', pos: 1, idMembers: [], labels: [] },
+    ],
+    checklists: [
+      { id: 'k1', idCard: 'c1', pos: 1, checkItems: [
+        { id: 'i2', name: 'Review', pos: 2, state: 'incomplete', idMember: 'm2' },
+        { id: 'i1', name: 'Outline', pos: 1, state: 'complete' },
+      ] },
+    ],
+    actions: [
+      { type: 'commentCard', date: '2026-02-02T10:00:00.000Z', idMemberCreator: 'm2', data: { card: { id: 'c1' }, text: 'Second' } },
+      { type: 'commentCard', date: '2026-02-01T10:00:00.000Z', idMemberCreator: 'm1', data: { card: { id: 'c1' }, text: 'First' } },
+      { type: 'updateCard', date: '2026-02-01T10:00:00.000Z', data: { card: { id: 'c1' } } },
+    ],
+  };
+
+  it('turns lists into categories, cards into tasks and checklist items into subtasks', () => {
+    const plan = parseExternalImport('trello', JSON.stringify(board));
+
+    expect(plan.lists).toEqual(['Backlog', 'Done']);
+    expect(plan.tasks.map((t) => [t.ref, t.parentRef, t.title])).toEqual([
+      ['c1', null, 'Write docs'],
+      ['c1:i1', 'c1', 'Outline'],
+      ['c1:i2', 'c1', 'Review'],
+      ['c2', null, 'Ship it'],
+    ]);
+
+    const [card, outline, review, shipped] = plan.tasks;
+    expect(card).toMatchObject({
+      description: 'All of them',
+      list: 'Backlog',
+      priority: 'high',
+      dueDate: '2026-03-01',
+      assignees: [{ email: null, name: 'Ada Lovelace' }],
+    });
+    expect(card.comments.map((c) => [c.author.name, c.content])).toEqual([['Ada Lovelace', 'First'], ['Grace Hopper', 'Second']]);
+    expect(outline.statusCategory).toBe('done');
+    expect(review.assignees).toEqual([{ email: null, name: 'Grace Hopper' }]);
+    expect(shipped.statusCategory).toBe('done');
+  });
+
+  it('reports archived cards and cards in archived lists as skipped', () => {
+    const plan = parseExternalImport('trello', JSON.stringify(board));
+
+    expect(plan.skipped).toEqual([
+      { item: 'Card "Archived"', reason: 'Archived card' },
+      { item: 'Card "In old list"', reason: 'Card is in an archived list' },
+    ]);
+  });
+
+  it('rejects files that are not Trello boards', () => {
+    expect(() => parseExternalImport('trello', 'not json')).toThrow('The file is not valid JSON');
+    expect(() => parseExternalImport('trello', '{"tasks":[]}')).toThrow('This is not a Trello board export');
+    expect(() => parseExternalImport('trello', '{"cards":[],"lists":[]}')).toThrow('The Trello export has no tasks to import');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Asana
+// ---------------------------------------------------------------------------
+
+describe('Asana CSV import', () => {
+  const header = ['Task ID', 'Created At', 'Completed At', 'Name', 'Section/Column', 'Assignee', 'Assignee Email', 'Due Date', 'Notes', 'Parent task', 'Priority'];
+
+  it('maps sections, completion, assignees and parent tasks', () => {
+    const plan = parseExternalImport('asana', `\uFEFF${csv([
+      header,
+      ['102', '2026-01-02', '', 'Pick venue', 'Planning', 'Ada', 'ada@example.com', '2026-04-01', 'Near the station', 'Plan offsite', 'High'],
+      ['101', '2026-01-01', '2026-01-05', 'Plan offsite', 'Planning', '', '', '', '', '', ''],
+      ['103', '2026-01-03', '', '', 'Planning', '', '', '', '', '', ''],
+    ])}`);
+
+    expect(plan.lists).toEqual(['Planning']);
+    expect(plan.tasks.map((t) => [t.ref, t.parentRef])).toEqual([['101', null], ['102', '101']]);
+    expect(plan.tasks[0].statusCategory).toBe('done');
+    expect(plan.tasks[1]).toMatchObject({
+      description: 'Near the station',
+      priority: 'high',
+      dueDate: '2026-04-01',
+      assignees: [{ email: 'ada@example.com', name: 'Ada' }],
+    });
+    expect(plan.skipped).toEqual([{ item: 'Row 3', reason: 'Task has no name' }]);
+  });
+
+  it('rejects CSVs without Asana columns', () => {
+    expect(() => parseExternalImport('asana', 'Title,Status\nA,B')).toThrow('This is not an Asana CSV export');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Jira
+// ---------------------------------------------------------------------------
+
+describe('Jira CSV import', () => {
+  const header = ['Summary', 'Issue key', 'Issue id', 'Parent id', 'Status', 'Status Category', 'Priority', 'Assignee', 'Assignee Id', 'Reporter', 'Reporter Id', 'Project name', 'Due date', 'Description', 'Comment', 'Comment'];
+
+  it('maps projects, statuses, parents and every comment column', () => {
+    const plan = parseExternalImport('jira', csv([
+      header,
+      ['Fix login', 'APP-2', '10002', '10001', 'Code Review', 'In Progress', 'Highest', 'Grace Hopper', 'acc-2', 'Ada Lovelace', 'acc-1', 'App', '21/Mar/26 12:00 AM', 'Steps...',
+        '20/Mar/26 3:15 PM;acc-1;Can you look; it is urgent', '21/Mar/26 9:00 AM;acc-2;On it'],
+      ['Auth epic', 'APP-1', '10001', '', 'Done', 'Done', 'Medium', '', '', 'Ada Lovelace', 'acc-1', 'App', '', '', '', ''],
+    ]));
+
+    expect(plan.lists).toEqual(['App']);
+    expect(plan.tasks.map((t) => [t.ref, t.parentRef])).toEqual([['10001', null], ['10002', '10001']]);
+    expect(plan.tasks[0].statusCategory).toBe('done');
+    expect(plan.tasks[1]).toMatchObject({
+      statusName: 'Code Review',
+      statusCategory: 'active',
+      priority: 'urgent',
+      dueDate: '2026-03-21',
+      assignees: [{ email: null, name: 'Grace Hopper' }],
+      comments: [
+        { author: { email: null, name: 'Ada Lovelace' }, content: 'Can you look; it is urgent', createdAt: '2026-03-20T15:15:00.000Z' },
+        { author: { email: null, name: 'Grace Hopper' }, content: 'On it', createdAt: '2026-03-21T09:00:00.000Z' },
+      ],
+    });
+  });
+
+  it('resolves a parent given by issue key', () => {
+    const plan = parseExternalImport('jira', csv([
+      ['Summary', 'Issue key', 'Parent'],
+      ['Child', 'APP-2', 'APP-1'],
+      ['Parent', 'APP-1', ''],
+    ]));
+
+    expect(plan.tasks.map((t) => [t.ref, t.parentRef])).toEqual([['APP-1', null], ['APP-2', 'APP-1']]);
+  });
+
+  it('parses Jira and ISO dates', () => {
+    expect(parseJiraDateTime('05/Jan/26 12:30 PM')).toEqual({ date: '2026-01-05', dateTime: '2026-01-05T12:30:00.000Z' });
+    expect(parseJiraDateTime('2026-01-05')).toMatchObject({ date: '2026-01-05' });
+    expect(parseJiraDateTime('soon')).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+describe('Import helpers', () => {
+  it('maps priority names from other tools', () => {
+    expect(mapPriority('Blocker')).toBe('urgent');
+    expect(mapPriority('minor')).toBe('low');
+    expect(mapPriority('P2')).toBeNull();
+  });
+
+  it('guesses a status category from a list or status name', () => {
+    expect(guessStatusCategory('Done 🎉')).toBe('done');
+    expect(guessStatusCategory('In Progress')).toBe('active');
+    expect(guessStatusCategory('Ideas')).toBeNull();
+  });
+
+  it('orders parents first and breaks parent cycles', () => {
+    const ordered = orderParentsFirst([
+      { ref: 'a', parentRef: 'b' },
+      { ref: 'b', parentRef: 'a' },
+      { ref: 'c', parentRef: 'missing' },
+    ]);
+
+    expect(ordered.map((t) => t.ref)).toEqual(['a', 'b', 'c']);
+    expect(ordered.map((t) => t.parentRef)).toEqual([null, 'a', null]);
+  });
+
+  it('refuses exports with too many items', () => {
+    const rows = [['Task ID', 'Name']];
+    for (let i = 0; i <= MAX_IMPORT_ITEMS; i++) rows.push([String(i), `Task ${i}`]);
+
+    expect(() => parseExternalImport('asana', csv(rows))).toThrow(`at most ${MAX_IMPORT_ITEMS} can be imported`);
+  });
+
+  it('refuses unknown sources', () => {
+    expect(() => parseExternalImport('monday', '')).toThrow('Unknown import source "monday"');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// applyImportPlan
+// ---------------------------------------------------------------------------
+
+describe('applyImportPlan', () => {
+  const WORKSPACE_ID = '3f2b8c1e-8d1a-4c5e-9b7a-1234567890ab';
+  const job = { workspaceId: WORKSPACE_ID, userId: 9, sourceLabel: 'Trello' };
+
+  let db;
+  let nextId;
+
+  const task = (overrides) => ({
+    ref: 't1',
+    parentRef: null,
+    title: 'Task',
+    description: null,
+    list: null,
+    statusName: null,
+    statusCategory: null,
+    priority: null,
+    dueDate: null,
+    assignees: [],
+    comments: [],
+    ...overrides,
+  });
+
+  const inserts = (table) => db.query.mock.calls
+    .filter(([sql]) => sql.includes(`INSERT INTO ${table}`))
+    .map(([, params]) => params);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextId = 100;
+    getWorkspacePlanLimits.mockResolvedValue({ planId: 'pro', maxTasksPerWorkspace: null });
+    countWorkspaceTasks.mockResolvedValue(0);
+
+    db = {
+      query: jest.fn((sql, params) => {
+        if (sql.includes('FROM workflow_statuses')) return Promise.resolve({ rows: [] });
+        if (sql.includes('FROM workspace_members')) {
+          return Promise.resolve({ rows: [
+            { id: 1, email: 'ada@example.com', name: 'Ada Lovelace' },
+            { id: 2, email: 'grace@example.com', name: 'Grace Hopper' },
+            { id: 3, email: 'alan@example.com', name: 'Alan' },
+            { id: 4, email: 'alan.t@example.com', name: 'Alan' },
+          ] });
+        }
+        if (sql.includes('FROM categories')) return Promise.resolve({ rows: [{ id: 7, name: 'backlog', position: 0 }] });
+        if (sql.includes('MAX(position)')) return Promise.resolve({ rows: [{ category_id: 7, next_position: 5 }] });
+        if (sql.includes('INSERT INTO categories')) {
+          return Promise.resolve({ rows: [{ id: 8, name: params[0], color: params[1], position: params[2], workspace_id: WORKSPACE_ID, created_by: 9 }] });
+        }
+        if (sql.includes('INSERT INTO tasks')) {
+          return Promise.resolve({ rows: [{ id: nextId++, title: params[0], status: params[4], parent_task_id: params[8] }] });
+        }
+        return Promise.resolve({ rows: [] });
+      }),
+    };
+  });
+
+  it('creates categories, tasks, subtasks, assignments and comments', async () => {
+    const plan = {
+      lists: ['Backlog', 'Doing'],
+      tasks: [
+        task({ ref: 'a', title: 'Card', list: 'Backlog', statusName: 'Backlog', assignees: [{ email: 'ADA@example.com', name: null }, { email: null, name: 'Grace Hopper' }],
+          comments: [
+            { author: { email: null, name: 'Grace Hopper' }, content: 'Hi', createdAt: '2026-02-01T10:00:00.000Z' },
+            { author: { email: null, name: 'Linus' }, content: 'Hello', createdAt: null },
+          ] }),
+        task({ ref: 'a:1', parentRef: 'a', title: 'Item', list: 'Backlog', statusCategory: 'done' }),
+        task({ ref: 'b', title: 'Other', list: 'Doing', statusName: 'in progress', priority: 'high', dueDate: '2026-03-01' }),
+      ],
+      skipped: [{ item: 'Card "Old"', reason: 'Archived card' }],
+    };
+
+    const { summary, tasks, categories } = await applyImportPlan(db, job, plan);
+
+    expect(categories).toEqual([expect.objectContaining({ id: 8, name: 'Doing', position: 1, workspaceId: WORKSPACE_ID })]);
+
+    const [card, item, other] = inserts('tasks');
+    expect(card).toEqual(['Card', null, 7, 'medium', 'todo', null, null, 5, null, 9, WORKSPACE_ID]);
+    expect(item[4]).toBe('completed');
+    expect(item[6]).toBeInstanceOf(Date);
+    expect(item.slice(7, 9)).toEqual([0, 100]);
+    expect(other.slice(2, 6)).toEqual([8, 'high', 'in_progress', '2026-03-01']);
+
+    expect(inserts('task_assignments')).toEqual([[100, 1, 2]]);
+    expect(inserts('comments')).toEqual([
+      [100, 2, 'Hi', '2026-02-01T10:00:00.000Z'],
+      [100, 9, 'Linus (via Trello): Hello', null],
+    ]);
+
+    expect(tasks.map((t) => t.id)).toEqual([100, 101, 102]);
+    expect(summary).toEqual({
+      tasksCreated: 2,
+      subtasksCreated: 1,
+      commentsCreated: 2,
+      assignmentsCreated: 2,
+      categoriesCreated: 1,
+      categoriesReused: 1,
+      skippedCount: 1,
+      skipped: [{ item: 'Card "Old"', reason: 'Archived card' }],
+      unmatchedUsers: ['Linus'],
+    });
+  });
+
+  it('does not match people by a name two members share', async () => {
+    const plan = { lists: [], tasks: [task({ assignees: [{ email: null, name: 'Alan' }] })], skipped: [] };
+
+    const { summary } = await applyImportPlan(db, job, plan);
+
+    expect(inserts('task_assignments')).toEqual([]);
+    expect(summary.unmatchedUsers).toEqual(['Alan']);
+  });
+
+  it('skips tasks beyond the task limit along with their subtasks', async () => {
+    getWorkspacePlanLimits.mockResolvedValue({ planId: 'free', maxTasksPerWorkspace: 50 });
+    countWorkspaceTasks.mockResolvedValue(49);
+    const plan = {
+      lists: [],
+      tasks: [
+        task({ ref: 'a', title: 'First' }),
+        task({ ref: 'a:1', parentRef: 'a', title: 'First item' }),
+        task({ ref: 'b', title: 'Second' }),
+        task({ ref: 'b:1', parentRef: 'b', title: 'Second item' }),
+      ],
+      skipped: [],
+    };
+
+    const { summary } = await applyImportPlan(db, job, plan);
+
+    expect(inserts('tasks').map((params) => params[0])).toEqual(['First', 'First item']);
+    expect(summary.skipped).toEqual([
+      { item: '"Second"', reason: 'The workspace reached its task limit' },
+      { item: '"Second item"', reason: 'Its parent task was skipped' },
+    ]);
+  });
+
+  it('reports progress as it goes', async () => {
+    const plan = {
+      lists: [],
+      tasks: Array.from({ length: 60 }, (_, idx) => task({ ref: `t${idx}`, title: `Task ${idx}` })),
+      skipped: [],
+    };
+    const onProgress = jest.fn().mockResolvedValue();
+
+    await applyImportPlan(db, job, plan, { onProgress });
+
+    expect(onProgress.mock.calls).toEqual([[25], [50]]);
+  });
+});
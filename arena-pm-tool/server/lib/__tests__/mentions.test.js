@@ -0,0 +1,198 @@
+const { query } = require('../../config/database');
+const { createNotification } = require('../notifications');
+const { queueCommentMentionNotification, queueTaskCommentNotification } = require('../../utils/emailQueue');
+const { findMentionedUsers, recordCommentMentions, notifyMentionedUsers, notifyTaskParticipants } = require('../mentions');
+
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../notifications', () => ({
+  createNotification: jest.fn(),
+  wantsEmail: jest.requireActual('../notifications').wantsEmail,
+}));
+jest.mock('../../utils/emailQueue', () => ({
+  queueCommentMentionNotification: jest.fn(),
+  queueTaskCommentNotification: jest.fn(),
+}));
+
+const ann = { id: 1, name: 'Ann', email: 'ann@example.com', email_notifications_enabled: true };
+const annLee = { id: 2, name: 'Ann Lee', email: 'lee@example.com', email_notifications_enabled: false };
+const bob = { id: 3, name: 'Bob', email: 'bob@example.com', email_notifications_enabled: true };
+const members = [ann, annLee, bob];
+
+describe('Mentions', () => {
+  describe('findMentionedUsers', () => {
+    it('should match full names case-insensitively', () => {
+      expect(findMentionedUsers('Thanks @bob and @Ann!', members)).toEqual([bob, ann]);
+    });
+
+    it('should prefer the longest matching name', () => {
+      expect(findMentionedUsers('@Ann Lee please review', members)).toEqual([annLee]);
+    });
+
+    it('should not match a name that runs into more letters', () => {
+      expect(findMentionedUsers('@Annabel said hi', members)).toEqual([]);
+    });
+
+    it('should ignore email addresses', () => {
+      expect(findMentionedUsers('mail bob@example.com', members)).toEqual([]);
+    });
+
+    it('should list each member once', () => {
+      expect(findMentionedUsers('@Bob @Bob (@bob)', members)).toEqual([bob]);
+    });
+  });
+
+  describe('recordCommentMentions', () => {
+    it('should skip the database when a new comment has no mentions', async () => {
+      const result = await recordCommentMentions({
+        commentId: 10, content: 'No mentions here', workspaceId: 'ws-1', authorId: 3,
+      });
+
+      expect(result).toEqual([]);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should store mentions of others and return the newly added ones', async () => {
+      query
+        .mockResolvedValueOnce({ rows: members })
+        .mockResolvedValueOnce({ rows: [{ user_id: 1 }] });
+
+      const result = await recordCommentMentions({
+        commentId: 10, content: '@Ann and @Bob', workspaceId: 'ws-1', authorId: 3,
+      });
+
+      expect(query).toHaveBeenNthCalledWith(2, expect.stringContaining('INSERT INTO comment_mentions'), [10, [1]]);
+      expect(result).toEqual([ann]);
+    });
+
+    it('should drop mentions an edit removed', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await recordCommentMentions({
+        commentId: 10, content: 'No one now', workspaceId: 'ws-1', authorId: 3, replaceExisting: true,
+      });
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM comment_mentions'), [10, []]);
+      expect(result).toEqual([]);
+    });
+
+    it('should log and return nothing when the database fails', async () => {
+      query.mockRejectedValueOnce(new Error('db down'));
+
+      const result = await recordCommentMentions({
+        commentId: 10, content: '@Ann', workspaceId: 'ws-1', authorId: 3,
+      });
+
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('notifyMentionedUsers', () => {
+    const comment = { id: 10, authorId: 3, authorName: 'Bob', content: '@Ann @Ann Lee look' };
+
+    beforeEach(() => {
+      queueCommentMentionNotification.mockResolvedValue({ id: 1 });
+    });
+
+    it('should create an in-app notification for each member', () => {
+      notifyMentionedUsers({ users: [ann, annLee], workspaceId: 'ws-1', taskId: 5, taskTitle: 'Launch', comment });
+
+      expect(createNotification).toHaveBeenCalledTimes(2);
+      expect(createNotification).toHaveBeenCalledWith({
+        userId: 1,
+        workspaceId: 'ws-1',
+        type: 'mention',
+        actorId: 3,
+        taskId: 5,
+        commentId: 10,
+        data: { taskTitle: 'Launch', actorName: 'Bob', excerpt: '@Ann @Ann Lee look' },
+      });
+    });
+
+    it('should only email members with email notifications on', () => {
+      notifyMentionedUsers({ users: [ann, annLee], workspaceId: 'ws-1', taskId: 5, taskTitle: 'Launch', comment });
+
+      expect(queueCommentMentionNotification).toHaveBeenCalledTimes(1);
+      expect(queueCommentMentionNotification).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'ann@example.com',
+        taskId: 5,
+        mentionedByName: 'Bob',
+      }));
+    });
+
+    it('should not email members who turned mention emails off', () => {
+      const quietBob = { ...bob, notification_preferences: { mention: { email: false } } };
+
+      notifyMentionedUsers({ users: [quietBob], workspaceId: 'ws-1', taskId: 5, taskTitle: 'Launch', comment });
+
+      expect(createNotification).toHaveBeenCalledTimes(1);
+      expect(queueCommentMentionNotification).not.toHaveBeenCalled();
+    });
+
+    it('should shorten long comments in the excerpt', () => {
+      const long = { ...comment, content: 'x'.repeat(400) };
+
+      notifyMentionedUsers({ users: [ann], workspaceId: 'ws-1', taskId: 5, taskTitle: 'Launch', comment: long });
+
+      const { excerpt } = createNotification.mock.calls[0][0].data;
+      expect(excerpt).toHaveLength(280);
+      expect(excerpt.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('notifyTaskParticipants', () => {
+    const comment = { id: 10, authorId: 3, authorName: 'Bob', content: 'Done on my side' };
+
+    beforeEach(() => {
+      queueTaskCommentNotification.mockResolvedValue({ id: 1 });
+    });
+
+    it('should notify the creator and assignees except the author and skipped members', async () => {
+      query.mockResolvedValueOnce({ rows: [ann, annLee] });
+
+      await notifyTaskParticipants({ workspaceId: 'ws-1', taskId: 5, taskTitle: 'Launch', comment, skipUserIds: [4] });
+
+      expect(query.mock.calls[0][0]).toContain('SELECT user_id FROM task_assignments');
+      expect(query.mock.calls[0][1]).toEqual([5, [3, 4]]);
+      expect(createNotification).toHaveBeenCalledTimes(2);
+      expect(createNotification).toHaveBeenCalledWith({
+        userId: 1,
+        workspaceId: 'ws-1',
+        type: 'comment',
+        actorId: 3,
+        taskId: 5,
+        commentId: 10,
+        data: { taskTitle: 'Launch', actorName: 'Bob', excerpt: 'Done on my side' },
+      });
+      // Ann Lee has email notifications off
+      expect(queueTaskCommentNotification).toHaveBeenCalledTimes(1);
+      expect(queueTaskCommentNotification).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'ann@example.com',
+        commenterName: 'Bob',
+      }));
+    });
+
+    it('should hold the email for members on a digest', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ ...bob, id: 5, email_digest_mode: 'daily' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await notifyTaskParticipants({ workspaceId: 'ws-1', taskId: 5, taskTitle: 'Launch', comment });
+      await new Promise(process.nextTick);
+
+      expect(queueTaskCommentNotification).not.toHaveBeenCalled();
+      expect(query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO email_digest_items'),
+        [5, 'ws-1', 'comment', 5, JSON.stringify({ taskTitle: 'Launch', actorName: 'Bob', excerpt: 'Done on my side' })]
+      );
+    });
+
+    it('should log instead of throwing when the database fails', async () => {
+      query.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(notifyTaskParticipants({ workspaceId: 'ws-1', taskId: 5, taskTitle: 'Launch', comment }))
+        .resolves.toBeUndefined();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+  });
+});
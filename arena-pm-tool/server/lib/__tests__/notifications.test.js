@@ -0,0 +1,90 @@
+const { query } = require('../../config/database');
+const logger = require('../logger');
+const { publishUserEvent } = require('../realtime');
+const {
+  createNotification,
+  resolveNotificationPreferences,
+  wantsEmail,
+  notificationEnabledSql,
+} = require('../notifications');
+
+jest.mock('../../config/database', () => ({ query: jest.fn() }));
+jest.mock('../logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+jest.mock('../realtime', () => ({ publishUserEvent: jest.fn() }));
+
+describe('Notifications', () => {
+  describe('createNotification', () => {
+    it('should insert the notification and push it to the recipient', async () => {
+      const createdAt = new Date();
+      query.mockResolvedValueOnce({ rows: [{
+        id: 1, user_id: 2, workspace_id: 'ws-1', type: 'mention', actor_id: 3,
+        task_id: 4, comment_id: 5, data: { taskTitle: 'Launch' }, read_at: null, created_at: createdAt,
+      }] });
+
+      const notification = await createNotification({
+        userId: 2, workspaceId: 'ws-1', type: 'mention', actorId: 3, taskId: 4, commentId: 5,
+        data: { taskTitle: 'Launch' },
+      });
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining("notification_preferences -> 'mention' ->> 'inApp'"),
+        [2, 'ws-1', 'mention', 3, 4, 5, JSON.stringify({ taskTitle: 'Launch' })]
+      );
+      expect(notification).toEqual({
+        id: 1, type: 'mention', workspaceId: 'ws-1', actorId: 3, taskId: 4, commentId: 5,
+        data: { taskTitle: 'Launch' }, readAt: null, createdAt,
+      });
+      expect(publishUserEvent).toHaveBeenCalledWith(2, 'notification.created', { notification });
+    });
+
+    it('should skip recipients who turned the type off in-app', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      const notification = await createNotification({ userId: 2, type: 'comment' });
+
+      expect(notification).toBeNull();
+      expect(publishUserEvent).not.toHaveBeenCalled();
+    });
+
+    it('should log and return null when the insert fails', async () => {
+      query.mockRejectedValueOnce(new Error('db down'));
+
+      const notification = await createNotification({ userId: 2, type: 'mention' });
+
+      expect(notification).toBeNull();
+      expect(logger.error).toHaveBeenCalled();
+      expect(publishUserEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('preferences', () => {
+    it('should fill in every type and channel, defaulting to on', () => {
+      const preferences = resolveNotificationPreferences({ comment: { email: false } });
+
+      expect(preferences.comment).toEqual({ inApp: true, email: false });
+      expect(preferences.assignment).toEqual({ inApp: true, email: true });
+      expect(Object.keys(preferences)).toEqual([
+        'assignment', 'mention', 'comment', 'due_soon', 'overdue', 'overdue_escalation',
+        'invitation_accepted', 'role_changed',
+      ]);
+    });
+
+    it('should let the global email switch override per-type email settings', () => {
+      expect(wantsEmail({ email_notifications_enabled: true, notification_preferences: {} }, 'mention')).toBe(true);
+      expect(wantsEmail({ email_notifications_enabled: false, notification_preferences: {} }, 'mention')).toBe(false);
+      expect(wantsEmail({ notification_preferences: { mention: { email: false } } }, 'mention')).toBe(false);
+      expect(wantsEmail({ notification_preferences: { mention: { inApp: false } } }, 'mention')).toBe(true);
+    });
+
+    it('should send no notification emails in digest mode none', () => {
+      expect(wantsEmail({ email_digest_mode: 'none', notification_preferences: {} }, 'comment')).toBe(false);
+      expect(wantsEmail({ email_digest_mode: 'weekly', notification_preferences: {} }, 'comment')).toBe(true);
+      expect(notificationEnabledSql('u', 'comment', 'email')).toContain("u.email_digest_mode IS DISTINCT FROM 'none'");
+    });
+
+    it('should only build SQL for known types and channels', () => {
+      expect(notificationEnabledSql('u', 'due_soon', 'email')).toContain('u.email_notifications_enabled');
+      expect(() => notificationEnabledSql('u', "x'; DROP TABLE users; --", 'email')).toThrow();
+    });
+  });
+});
@@ -0,0 +1,249 @@
+jest.mock('../../config/database');
+jest.mock('../logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+
+const { query } = require('../../config/database');
+const logger = require('../logger');
+const { subscribe, publishEvent, publishUserEvent, disconnectUser, POLL_INTERVAL_MS } = require('../realtime');
+
+const createStreamRes = () => ({
+  writeHead: jest.fn(),
+  write: jest.fn(),
+  end: jest.fn(),
+});
+
+// Fake timers don't cover the real timers module
+const flushPromises = () => new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+
+// Events written to a stream, parsed back from their "id:" and "data:" lines
+const writtenEvents = (res) => res.write.mock.calls
+  .map(([chunk]) => chunk)
+  .filter((chunk) => chunk.startsWith('id: '))
+  .map((chunk) => {
+    const [idLine, dataLine] = chunk.trim().split('\n');
+    return { id: idLine.slice('id: '.length), ...JSON.parse(dataLine.slice('data: '.length)) };
+  });
+
+const eventRow = (overrides = {}) => ({
+  id: '43',
+  workspace_id: 'ws-1',
+  user_id: null,
+  type: 'task.updated',
+  actor_id: 2,
+  origin_client_id: 'tab-123',
+  data: { task: { id: 7 } },
+  created_at: new Date('2026-10-19T10:00:00Z'),
+  ...overrides,
+});
+
+describe('Realtime', () => {
+  const unsubscribers = [];
+
+  const open = (lastEventId) => {
+    const res = createStreamRes();
+    unsubscribers.push(subscribe('ws-1', 1, res, lastEventId));
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    query.mockReset();
+    query.mockResolvedValue({ rows: [] });
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+    jest.useRealTimers();
+  });
+
+  describe('subscribe', () => {
+    it('should open an event stream', () => {
+      const res = open();
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform'
+      }));
+      expect(res.write).toHaveBeenCalledWith('retry: 5000\n\n');
+    });
+
+    it('should start a fresh stream after the newest event', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: '40', recent_ids: ['38', '40'] }] });
+
+      open();
+      await flushPromises();
+      jest.advanceTimersByTime(POLL_INTERVAL_MS);
+      await flushPromises();
+
+      expect(query).toHaveBeenNthCalledWith(1, expect.stringContaining('MAX(id)'), [5000]);
+      // Events already in the window when the stream opened aren't sent
+      expect(query).toHaveBeenNthCalledWith(2, expect.stringContaining('FROM realtime_events'), ['40', 'ws-1', 1, 100, 5000, ['38', '40']]);
+    });
+
+    it('should send the events after the one the browser last received', async () => {
+      query.mockResolvedValueOnce({ rows: [eventRow(), eventRow({ id: '44', type: 'task.deleted', data: { taskId: 7 } })] });
+
+      const res = open('42');
+      await flushPromises();
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('id > $1'), ['42', 'ws-1', 1, 100, 5000, []]);
+      expect(writtenEvents(res)).toEqual([
+        {
+          id: '43',
+          type: 'task.updated',
+          workspaceId: 'ws-1',
+          actorId: 2,
+          originClientId: 'tab-123',
+          data: { task: { id: 7 } },
+          sentAt: '2026-10-19T10:00:00.000Z'
+        },
+        expect.objectContaining({ id: '44', type: 'task.deleted' }),
+      ]);
+
+      jest.advanceTimersByTime(POLL_INTERVAL_MS);
+      await flushPromises();
+      expect(query).toHaveBeenLastCalledWith(expect.any(String), ['44', 'ws-1', 1, 100, 5000, ['43', '44']]);
+    });
+
+    it('should send an event that committed after a later one was read', async () => {
+      query.mockResolvedValueOnce({ rows: [eventRow({ id: '44' })] });
+      query.mockResolvedValueOnce({ rows: [eventRow({ id: '43', type: 'task.deleted', data: { taskId: 7 } })] });
+
+      const res = open('42');
+      await flushPromises();
+      jest.advanceTimersByTime(POLL_INTERVAL_MS);
+      await flushPromises();
+
+      expect(query.mock.calls[1][0]).toContain("created_at > NOW() - ($5 || ' milliseconds')::interval");
+      expect(query.mock.calls[1][1]).toEqual(['44', 'ws-1', 1, 100, 5000, ['44']]);
+      // Sent with the cursor, so the browser's Last-Event-ID doesn't go backwards
+      expect(writtenEvents(res)).toEqual([
+        expect.objectContaining({ id: '44', type: 'task.updated' }),
+        expect.objectContaining({ id: '44', type: 'task.deleted' }),
+      ]);
+
+      jest.advanceTimersByTime(POLL_INTERVAL_MS);
+      await flushPromises();
+      expect(query.mock.calls[2][1]).toEqual(['44', 'ws-1', 1, 100, 5000, ['44', '43']]);
+    });
+
+    it('should forget sent ids once they are out of the window', async () => {
+      query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      open('42');
+      await flushPromises();
+      jest.advanceTimersByTime(40 * 1000);
+      await flushPromises();
+      jest.advanceTimersByTime(POLL_INTERVAL_MS);
+      await flushPromises();
+
+      expect(query).toHaveBeenLastCalledWith(expect.any(String), ['43', 'ws-1', 1, 100, 5000, []]);
+    });
+
+    it('should ignore a malformed Last-Event-ID', async () => {
+      open('1; DROP TABLE');
+      await flushPromises();
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('MAX(id)'), [5000]);
+    });
+
+    it('should end the stream when the user is disconnected', async () => {
+      query.mockResolvedValueOnce({ rows: [eventRow({ user_id: 1, type: 'stream.closed', data: {} })] });
+
+      const res = open('42');
+      await flushPromises();
+
+      expect(res.end).toHaveBeenCalled();
+      expect(writtenEvents(res)).toEqual([]);
+    });
+
+    it('should keep polling after a failed query', async () => {
+      query.mockRejectedValueOnce(new Error('connection lost'));
+      query.mockResolvedValueOnce({ rows: [eventRow()] });
+
+      const res = open('42');
+      await flushPromises();
+      expect(logger.warn).toHaveBeenCalled();
+
+      jest.advanceTimersByTime(POLL_INTERVAL_MS);
+      await flushPromises();
+      expect(writtenEvents(res)).toHaveLength(1);
+    });
+
+    it('should stop polling when unsubscribed', async () => {
+      const res = createStreamRes();
+      const unsubscribe = subscribe('ws-1', 1, res, '42');
+      await flushPromises();
+
+      unsubscribe();
+      unsubscribe();
+      jest.advanceTimersByTime(POLL_INTERVAL_MS * 3);
+      await flushPromises();
+
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send heartbeats while connected', () => {
+      const res = open('42');
+      jest.advanceTimersByTime(25000);
+
+      expect(res.write).toHaveBeenCalledWith(': ping\n\n');
+    });
+  });
+
+  describe('publishEvent', () => {
+    it('should store the event for the workspace', async () => {
+      const req = createMockReq({ user: { id: 1 }, headers: { 'x-client-id': 'tab-123' } });
+
+      await publishEvent('ws-1', 'task.updated', { task: { id: 7 } }, req);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO realtime_events'),
+        ['ws-1', null, 'task.updated', 1, 'tab-123', JSON.stringify({ task: { id: 7 } })]
+      );
+    });
+
+    it('should ignore malformed client ids', async () => {
+      const req = createMockReq({ user: { id: 1 }, headers: { 'x-client-id': 'not valid\n' } });
+
+      await publishEvent('ws-1', 'task.deleted', { taskId: 7 }, req);
+
+      expect(query.mock.calls[0][1][4]).toBeNull();
+    });
+
+    it('should do nothing without a workspace', async () => {
+      await publishEvent(null, 'task.created', {});
+
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should log instead of throwing when the event cannot be stored', async () => {
+      query.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(publishEvent('ws-1', 'category.deleted', { categoryId: 3 })).resolves.toBeUndefined();
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('publishUserEvent', () => {
+    it('should store the event for the user alone', async () => {
+      await publishUserEvent(1, 'notification.created', { notification: { id: 3 } });
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO realtime_events'),
+        [null, 1, 'notification.created', null, null, JSON.stringify({ notification: { id: 3 } })]
+      );
+    });
+  });
+
+  describe('disconnectUser', () => {
+    it('should tell that user\'s streams for the workspace to close', async () => {
+      await disconnectUser('ws-1', 1);
+
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO realtime_events'),
+        ['ws-1', 1, 'stream.closed', null, null, '{}']
+      );
+    });
+  });
+});
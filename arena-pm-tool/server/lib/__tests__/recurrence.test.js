@@ -0,0 +1,105 @@
+const {
+  toDateKey,
+  normalizeRecurrenceRule,
+  getNextOccurrenceDate,
+  isWithinBounds,
+  getUpcomingOccurrences,
+} = require('../recurrence');
+
+describe('Recurrence', () => {
+  describe('toDateKey', () => {
+    it('should strip the time from date strings', () => {
+      expect(toDateKey('2025-03-10T00:00:00.000Z')).toBe('2025-03-10');
+    });
+
+    it('should format Date objects as YYYY-MM-DD', () => {
+      expect(toDateKey(new Date(2025, 2, 10))).toBe('2025-03-10');
+    });
+
+    it('should return null for empty values', () => {
+      expect(toDateKey(null)).toBeNull();
+    });
+  });
+
+  describe('normalizeRecurrenceRule', () => {
+    it('should return null when the rule is cleared', () => {
+      expect(normalizeRecurrenceRule(null, '2025-01-31')).toBeNull();
+    });
+
+    it('should default interval and end conditions', () => {
+      expect(normalizeRecurrenceRule({ frequency: 'weekly' }, '2025-01-31')).toEqual({
+        frequency: 'weekly', interval: 1, end_date: null, count: null,
+      });
+    });
+
+    it('should pin the anchor day for monthly rules from the due date', () => {
+      const rule = normalizeRecurrenceRule({ frequency: 'monthly', interval: 2 }, '2025-01-31');
+      expect(rule.anchor_day).toBe(31);
+      expect(rule.interval).toBe(2);
+    });
+  });
+
+  describe('getNextOccurrenceDate', () => {
+    it('should add days for daily rules', () => {
+      expect(getNextOccurrenceDate({ frequency: 'daily', interval: 3 }, '2025-12-30')).toBe('2026-01-02');
+    });
+
+    it('should add weeks for weekly rules', () => {
+      expect(getNextOccurrenceDate({ frequency: 'weekly', interval: 2 }, '2025-02-20')).toBe('2025-03-06');
+    });
+
+    it('should clamp monthly rules to the end of short months', () => {
+      const rule = { frequency: 'monthly', interval: 1, anchor_day: 31 };
+      expect(getNextOccurrenceDate(rule, '2025-01-31')).toBe('2025-02-28');
+    });
+
+    it('should return to the anchor day after a short month', () => {
+      const rule = { frequency: 'monthly', interval: 1, anchor_day: 31 };
+      expect(getNextOccurrenceDate(rule, '2025-02-28')).toBe('2025-03-31');
+    });
+
+    it('should handle leap days for yearly rules', () => {
+      const rule = { frequency: 'yearly', interval: 1, anchor_day: 29 };
+      expect(getNextOccurrenceDate(rule, '2024-02-29')).toBe('2025-02-28');
+    });
+
+    it('should return null for unknown frequencies', () => {
+      expect(getNextOccurrenceDate({ frequency: 'hourly' }, '2025-01-01')).toBeNull();
+    });
+  });
+
+  describe('isWithinBounds', () => {
+    it('should stop after count occurrences', () => {
+      const rule = { frequency: 'daily', count: 3 };
+      expect(isWithinBounds(rule, 3, '2025-01-03')).toBe(true);
+      expect(isWithinBounds(rule, 4, '2025-01-04')).toBe(false);
+    });
+
+    it('should stop after the end date', () => {
+      const rule = { frequency: 'daily', end_date: '2025-01-10' };
+      expect(isWithinBounds(rule, 50, '2025-01-10')).toBe(true);
+      expect(isWithinBounds(rule, 51, '2025-01-11')).toBe(false);
+    });
+  });
+
+  describe('getUpcomingOccurrences', () => {
+    it('should list occurrences up to the limit', () => {
+      const occurrences = getUpcomingOccurrences({ frequency: 'weekly', interval: 1 }, '2025-01-01', { limit: 3 });
+      expect(occurrences).toEqual([
+        { index: 2, dueDate: '2025-01-08' },
+        { index: 3, dueDate: '2025-01-15' },
+        { index: 4, dueDate: '2025-01-22' },
+      ]);
+    });
+
+    it('should respect count relative to the current index', () => {
+      const occurrences = getUpcomingOccurrences({ frequency: 'daily', count: 4 }, '2025-01-02', { currentIndex: 2 });
+      expect(occurrences.map((o) => o.dueDate)).toEqual(['2025-01-03', '2025-01-04']);
+    });
+
+    it('should stop at the until date', () => {
+      const occurrences = getUpcomingOccurrences({ frequency: 'daily' }, '2025-01-01', { until: '2025-01-03' });
+      expect(occurrences).toHaveLength(2);
+    });
+  });
+});
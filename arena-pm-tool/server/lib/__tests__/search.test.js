@@ -0,0 +1,31 @@
+const { toPrefixTsQuery, searchMatchSql } = require('../search');
+
+describe('Search', () => {
+  describe('toPrefixTsQuery', () => {
+    it('should turn each word into a prefix term', () => {
+      expect(toPrefixTsQuery('Deploy prod')).toBe('deploy:* & prod:*');
+      expect(toPrefixTsQuery('café  rollout')).toBe('café:* & rollout:*');
+    });
+
+    it('should drop tsquery operators and duplicate words', () => {
+      expect(toPrefixTsQuery("fix & (bug | !crash):* fix")).toBe('fix:* & bug:* & crash:*');
+    });
+
+    it('should return null when nothing is searchable', () => {
+      expect(toPrefixTsQuery('')).toBeNull();
+      expect(toPrefixTsQuery('&&!')).toBeNull();
+      expect(toPrefixTsQuery(undefined)).toBeNull();
+    });
+
+    it('should limit the number of terms', () => {
+      const words = Array.from({ length: 15 }, (_, i) => `w${i}`).join(' ');
+      expect(toPrefixTsQuery(words).split(' & ')).toHaveLength(10);
+    });
+  });
+
+  describe('searchMatchSql', () => {
+    it('should match the alias against the given parameter', () => {
+      expect(searchMatchSql('cm', 3)).toBe("cm.search_vector @@ to_tsquery('english', $3)");
+    });
+  });
+});
@@ -0,0 +1,25 @@
+const { wouldCreateCycle } = require('../taskDependencies');
+
+describe('Task Dependencies', () => {
+  describe('wouldCreateCycle', () => {
+    it('should treat a self-dependency as a cycle without querying', async () => {
+      const db = { query: jest.fn() };
+
+      expect(await wouldCreateCycle(db, 1, '1')).toBe(true);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should walk the blockers of the new blocker looking for the task', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [{ '?column?': 1 }] }) };
+
+      expect(await wouldCreateCycle(db, 1, 2)).toBe(true);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('WITH RECURSIVE'), [2, 1]);
+    });
+
+    it('should return false when the task is not reachable', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      expect(await wouldCreateCycle(db, 1, 2)).toBe(false);
+    });
+  });
+});
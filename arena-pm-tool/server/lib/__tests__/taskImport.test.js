@@ -0,0 +1,195 @@
+const {
+  parseCsv,
+  parseImportFile,
+  detectImportFormat,
+  resolveColumnMapping,
+  mapRecord,
+  parseImportDate,
+  resolveImportRow,
+} = require('../taskImport');
+const { DEFAULT_STATUSES } = require('../workflowStatuses');
+
+const WORKSPACE_ID = '3f2b8c1e-8d1a-4c5e-9b7a-1234567890ab';
+
+const EXPORT_HEADER = 'Title,Description,Status,Priority,Due Date,Completed At,Category,Created At,Estimate (hours),Time Tracked (hours)';
+
+const context = {
+  workspaceId: WORKSPACE_ID,
+  statuses: DEFAULT_STATUSES,
+  categories: [{ id: 3, name: 'Backlog' }, { id: 4, name: 'Sprint' }],
+  members: [{ id: 1, email: 'ada@example.com' }, { id: 2, email: 'Grace@Example.com' }],
+};
+
+const row = (overrides = {}) => ({
+  title: 'Write release notes',
+  description: '',
+  status: '',
+  priority: '',
+  due_date: '',
+  category: '',
+  assignee_emails: '',
+  ...overrides,
+});
+
+describe('parseCsv', () => {
+  it('splits rows and cells', () => {
+    expect(parseCsv('a,b\n1,2\r\n3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('keeps commas, newlines and doubled quotes inside quoted cells', () => {
+    expect(parseCsv('"Say ""hi"", then go","line 1\nline 2"\n')).toEqual([['Say "hi", then go', 'line 1\nline 2']]);
+  });
+
+  it('rejects an unterminated quoted value', () => {
+    expect(() => parseCsv('"open,1')).toThrow('unterminated quoted value');
+  });
+});
+
+describe('parseImportFile', () => {
+  it('reads a CSV written by the exporter, skipping blank rows', () => {
+    const csv = `\uFEFF${EXPORT_HEADER}\nShip it,,In Progress,high,2026-03-01,,Sprint,2026-02-01T10:00:00.000Z,2,0.5\n,,,,,,,,,\n`;
+
+    const { columns, records } = parseImportFile(Buffer.from(csv), 'csv');
+
+    expect(columns[0]).toBe('Title');
+    expect(records).toHaveLength(1);
+    expect(records[0]).toEqual(expect.objectContaining({ Title: 'Ship it', Status: 'In Progress', 'Due Date': '2026-03-01' }));
+  });
+
+  it('reads a JSON array or a { tasks } object and joins list values', () => {
+    const json = JSON.stringify({ tasks: [{ title: 'A', assignees: ['ada@example.com', 'grace@example.com'] }, { title: 'B', due_date: null }] });
+
+    const { columns, records } = parseImportFile(json, 'json');
+
+    expect(columns).toEqual(['title', 'assignees', 'due_date']);
+    expect(records[0].assignees).toBe('ada@example.com, grace@example.com');
+    expect(records[1].due_date).toBe('');
+  });
+
+  it('rejects JSON that is not a list of objects', () => {
+    expect(() => parseImportFile('{"title": "A"}', 'json')).toThrow('array of task objects');
+    expect(() => parseImportFile('[1, 2]', 'json')).toThrow('array of task objects');
+    expect(() => parseImportFile('not json', 'json')).toThrow('not valid JSON');
+  });
+});
+
+describe('detectImportFormat', () => {
+  it('prefers the explicit format, then the file name and type', () => {
+    expect(detectImportFormat('csv', { originalname: 'tasks.json' })).toBe('csv');
+    expect(detectImportFormat(undefined, { originalname: 'Tasks.JSON' })).toBe('json');
+    expect(detectImportFormat(undefined, { originalname: 'tasks', mimetype: 'application/json' })).toBe('json');
+    expect(detectImportFormat(undefined, { originalname: 'tasks.csv' })).toBe('csv');
+  });
+});
+
+describe('resolveColumnMapping', () => {
+  it('recognises the exporter columns', () => {
+    const { mapping } = resolveColumnMapping(EXPORT_HEADER.split(','));
+
+    expect(mapping).toEqual({
+      title: 'Title',
+      description: 'Description',
+      status: 'Status',
+      priority: 'Priority',
+      due_date: 'Due Date',
+      category: 'Category',
+      assignee_emails: null,
+    });
+  });
+
+  it('recognises field names and aliases regardless of case and punctuation', () => {
+    const { mapping } = resolveColumnMapping(['Name', 'due_date', 'Assignee Email']);
+
+    expect(mapping.title).toBe('Name');
+    expect(mapping.due_date).toBe('due_date');
+    expect(mapping.assignee_emails).toBe('Assignee Email');
+  });
+
+  it('applies explicit mappings and lets fields be skipped', () => {
+    const { mapping } = resolveColumnMapping(['Summary', 'Category'], { title: 'Summary', category: null });
+
+    expect(mapping.title).toBe('Summary');
+    expect(mapping.category).toBeNull();
+  });
+
+  it('reports unknown columns, unknown fields and a missing title', () => {
+    expect(resolveColumnMapping(['Title'], { title: 'Summary' }).error).toBe('Column "Summary" was not found in the file');
+    expect(resolveColumnMapping(['Title'], { owner: 'Title' }).error).toBe('Unknown import field "owner"');
+    expect(resolveColumnMapping(['Summary']).error).toBe('Choose the column that holds the task titles');
+  });
+});
+
+describe('mapRecord', () => {
+  it('trims mapped values and leaves unmapped fields empty', () => {
+    expect(mapRecord({ Title: '  A  ', Status: 'To Do' }, { title: 'Title', status: 'Status', category: null }))
+      .toEqual({ title: 'A', status: 'To Do', category: '' });
+  });
+});
+
+describe('parseImportDate', () => {
+  it('accepts dates and ISO timestamps', () => {
+    expect(parseImportDate('2026-03-01')).toBe('2026-03-01');
+    expect(parseImportDate('2026-03-01T09:30:00.000Z')).toBe('2026-03-01');
+  });
+
+  it('rejects other formats and impossible dates', () => {
+    expect(parseImportDate('03/01/2026')).toBeNull();
+    expect(parseImportDate('2026-02-30')).toBeNull();
+  });
+});
+
+describe('resolveImportRow', () => {
+  it('resolves status names, categories and assignee emails', () => {
+    const { task, errors } = resolveImportRow(row({
+      status: 'completed',
+      priority: 'High',
+      due_date: '2026-03-01',
+      category: 'sprint',
+      assignee_emails: 'ada@example.com; grace@example.com',
+    }), context);
+
+    expect(errors).toEqual([]);
+    expect(task).toEqual({
+      title: 'Write release notes',
+      description: null,
+      category_id: 4,
+      assignee_ids: [1, 2],
+      priority: 'high',
+      status: 'completed',
+      status_category: 'done',
+      due_date: '2026-03-01',
+    });
+  });
+
+  it('matches statuses by name and defaults to the first not-started status', () => {
+    expect(resolveImportRow(row({ status: 'in progress' }), context).task.status).toBe('in_progress');
+    expect(resolveImportRow(row(), context).task).toEqual(expect.objectContaining({ status: 'todo', priority: 'medium' }));
+  });
+
+  it('reports every problem of a row', () => {
+    const { task, errors } = resolveImportRow(row({
+      title: '',
+      status: 'Someday',
+      priority: 'critical',
+      due_date: 'tomorrow',
+      category: 'Icebox',
+      assignee_emails: 'stranger@example.com',
+    }), context);
+
+    expect(task).toBeNull();
+    expect(errors).toEqual([
+      'Status: "Someday" is not a status of this workspace',
+      'Due Date: "tomorrow" is not a YYYY-MM-DD date',
+      'Category: "Icebox" is not a category of this workspace',
+      'Assignees: stranger@example.com is not a member of this workspace',
+      'Title: Task title is required',
+      expect.stringMatching(/^Priority: /),
+    ]);
+  });
+
+  it('applies the task schema length limits', () => {
+    const { errors } = resolveImportRow(row({ title: 'x'.repeat(501) }), context);
+
+    expect(errors).toEqual([expect.stringMatching(/^Title: /)]);
+  });
+});
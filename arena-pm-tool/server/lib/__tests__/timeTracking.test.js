@@ -0,0 +1,57 @@
+const {
+  trackedSecondsSql,
+  formatTimeEntry,
+  parseReportRange,
+  stopRunningTimer,
+} = require('../timeTracking');
+
+jest.mock('../../config/database');
+
+describe('Time Tracking', () => {
+  describe('trackedSecondsSql', () => {
+    it('should only sum finished entries for the given alias', () => {
+      const sql = trackedSecondsSql('st');
+      expect(sql).toContain('te.task_id = st.id');
+      expect(sql).toContain('te.duration_seconds IS NOT NULL');
+    });
+  });
+
+  describe('formatTimeEntry', () => {
+    it('should mark entries without an end as running', () => {
+      const entry = formatTimeEntry({
+        id: 1, task_id: 10, user_id: 2, started_at: '2026-03-02T09:00:00Z',
+        ended_at: null, duration_seconds: null, note: null, created_at: '2026-03-02T09:00:00Z'
+      });
+      expect(entry).toEqual(expect.objectContaining({ isRunning: true, durationSeconds: null, endedAt: null }));
+    });
+  });
+
+  describe('parseReportRange', () => {
+    const now = new Date('2026-03-31T12:00:00Z');
+
+    it('should default to the last 30 days in UTC', () => {
+      expect(parseReportRange({}, now)).toEqual({ from: '2026-03-02', to: '2026-03-31', timezone: 'UTC' });
+    });
+
+    it('should accept explicit dates and a timezone', () => {
+      expect(parseReportRange({ from: '2026-01-01', to: '2026-01-31', timezone: 'America/New_York' }, now))
+        .toEqual({ from: '2026-01-01', to: '2026-01-31', timezone: 'America/New_York' });
+    });
+
+    it('should reject bad input', () => {
+      expect(parseReportRange({ from: '2026-02-30' }, now).error).toMatch(/YYYY-MM-DD/);
+      expect(parseReportRange({ from: '2026-03-10', to: '2026-03-01' }, now).error).toBe('from must be on or before to');
+      expect(parseReportRange({ from: '2024-01-01', to: '2026-01-01' }, now).error).toMatch(/at most 366 days/);
+      expect(parseReportRange({ timezone: 'Mars/Olympus' }, now).error).toBe('Invalid timezone');
+    });
+  });
+
+  describe('stopRunningTimer', () => {
+    it('should cap the stopped entry at the maximum length', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      expect(await stopRunningTimer(5, db)).toBeNull();
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('make_interval(mins => $2)'), [5, 1440]);
+    });
+  });
+});
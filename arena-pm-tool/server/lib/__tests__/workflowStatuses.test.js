@@ -0,0 +1,71 @@
+const {
+  DEFAULT_STATUSES,
+  statusCategorySql,
+  getWorkspaceStatuses,
+  findStatus,
+  getFirstStatusKey,
+  toStatusKey,
+} = require('../workflowStatuses');
+
+jest.mock('../../config/database');
+
+describe('Workflow Statuses', () => {
+  describe('getWorkspaceStatuses', () => {
+    it('should fall back to the built-in statuses', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const statuses = await getWorkspaceStatuses('ws-1', db);
+
+      expect(statuses).toEqual(DEFAULT_STATUSES);
+      expect(statuses[0]).not.toBe(DEFAULT_STATUSES[0]);
+    });
+
+    it('should return stored statuses in order', async () => {
+      const rows = [
+        { id: 4, key: 'backlog', name: 'Backlog', category: 'not_started', color: '#94A3B8', position: 0 },
+        { id: 5, key: 'done', name: 'Done', category: 'done', color: '#22C55E', position: 1 },
+      ];
+      const db = { query: jest.fn().mockResolvedValue({ rows }) };
+
+      const statuses = await getWorkspaceStatuses('ws-1', db);
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('ORDER BY position ASC'), ['ws-1']);
+      expect(statuses.map(s => s.key)).toEqual(['backlog', 'done']);
+      expect(statuses[0]).not.toHaveProperty('id');
+    });
+  });
+
+  describe('findStatus / getFirstStatusKey', () => {
+    it('should look up statuses by key and category', () => {
+      expect(findStatus(DEFAULT_STATUSES, 'in_progress').category).toBe('active');
+      expect(findStatus(DEFAULT_STATUSES, 'archived')).toBeNull();
+      expect(getFirstStatusKey(DEFAULT_STATUSES, 'not_started')).toBe('todo');
+      expect(getFirstStatusKey(DEFAULT_STATUSES, 'done')).toBe('completed');
+      expect(getFirstStatusKey([], 'done')).toBeNull();
+    });
+  });
+
+  describe('toStatusKey', () => {
+    it('should slugify names', () => {
+      expect(toStatusKey('In Review')).toBe('in_review');
+      expect(toStatusKey("  Won't do! ")).toBe('won_t_do');
+    });
+
+    it('should prefix keys that do not start with a letter', () => {
+      expect(toStatusKey('2nd pass')).toBe('status_2nd_pass');
+      expect(toStatusKey('!!!')).toBe('status');
+    });
+
+    it('should avoid taken keys', () => {
+      expect(toStatusKey('Blocked', ['blocked', 'blocked_2'])).toBe('blocked_3');
+    });
+  });
+
+  describe('statusCategorySql', () => {
+    it('should resolve against the given table alias with a built-in fallback', () => {
+      const sql = statusCategorySql('b');
+      expect(sql).toContain('wfs.workspace_id = b.workspace_id AND wfs.key = b.status');
+      expect(sql).toContain("WHEN 'completed' THEN 'done'");
+    });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../config/database');
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const {
+  normalizeWorkingDays,
+  getIsoWeekday,
+  getNonWorkingReason,
+  isWorkingDay,
+  addWorkingDays,
+  buildWorkingCalendar,
+  getWorkingDays,
+  loadWorkingCalendar,
+} = require('../workingCalendar');
+
+const weekdays = buildWorkingCalendar({ workingDays: [1, 2, 3, 4, 5] });
+
+// Answers the working-day and holiday queries by table
+const mockDb = ({ workingDays = [1, 2, 3, 4, 5], workspaceRegions = null, companyHolidays = [] } = {}) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('SELECT working_days')) return { rows: [{ working_days: workingDays }] };
+    if (sql.includes('FROM workspaces')) return { rows: [{ holiday_regions: workspaceRegions }] };
+    if (sql.includes('FROM users')) return { rows: [{ holiday_regions: null }] };
+    if (sql.includes('FROM workspace_holidays')) return { rows: companyHolidays };
+    return { rows: [] };
+  }),
+});
+
+describe('working days', () => {
+  test('normalizeWorkingDays sorts, deduplicates and falls back to Monday to Friday', () => {
+    expect(normalizeWorkingDays([7, 1, 1, 3])).toEqual([1, 3, 7]);
+    expect(normalizeWorkingDays([0, 8, 'x'])).toEqual([1, 2, 3, 4, 5]);
+    expect(normalizeWorkingDays(null)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('getIsoWeekday counts Sunday as 7', () => {
+    expect(getIsoWeekday('2026-03-02')).toBe(1);
+    expect(getIsoWeekday('2026-03-08')).toBe(7);
+  });
+
+  test('weekends and holidays are not worked, and say why', () => {
+    const calendar = buildWorkingCalendar({
+      workingDays: [1, 2, 3, 4, 5],
+      holidays: [{ date: '2026-12-24', name: 'Christmas Eve', localName: 'Kūčios' }],
+    });
+    expect(isWorkingDay('2026-12-23', calendar)).toBe(true);
+    expect(getNonWorkingReason('2026-12-24', calendar)).toBe('Kūčios');
+    expect(getNonWorkingReason('2026-12-26', calendar)).toBe('Saturday');
+  });
+});
+
+describe('addWorkingDays', () => {
+  test('skips weekends', () => {
+    expect(addWorkingDays('2026-03-05', 3, weekdays)).toBe('2026-03-10');
+    expect(addWorkingDays('2026-03-07', 1, weekdays)).toBe('2026-03-09');
+  });
+
+  test('skips holidays', () => {
+    const calendar = buildWorkingCalendar({ holidays: [{ date: '2026-03-09', name: 'Office closed' }] });
+    expect(addWorkingDays('2026-03-06', 1, calendar)).toBe('2026-03-10');
+  });
+
+  test('counts backwards and keeps the date for zero', () => {
+    expect(addWorkingDays('2026-03-09', -1, weekdays)).toBe('2026-03-06');
+    expect(addWorkingDays('2026-03-07', 0, weekdays)).toBe('2026-03-07');
+  });
+
+  test('works across the end of the year', () => {
+    expect(addWorkingDays('2026-12-31', 2, weekdays)).toBe('2027-01-04');
+  });
+});
+
+describe('loading the calendar', () => {
+  test('getWorkingDays reads the workspace, or defaults without one', async () => {
+    const db = mockDb({ workingDays: [1, 2, 3, 4, 7] });
+    await expect(getWorkingDays('ws-1', db)).resolves.toEqual([1, 2, 3, 4, 7]);
+    await expect(getWorkingDays(null, db)).resolves.toEqual([1, 2, 3, 4, 5]);
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test("loadWorkingCalendar combines the workspace's weekdays, public and company holidays", async () => {
+    const db = mockDb({
+      workspaceRegions: ['LT'],
+      companyHolidays: [{ id: 1, date: '2026-04-07', name: 'Office closed', recurring: false }],
+    });
+
+    const calendar = await loadWorkingCalendar({ workspaceId: 'ws-1', userId: 7, years: [2026] }, db);
+
+    // Good Friday is worked in Lithuania, Easter Monday is not
+    expect(isWorkingDay('2026-04-03', calendar)).toBe(true);
+    expect(getNonWorkingReason('2026-04-06', calendar)).toBe('Antroji Velykų diena');
+    expect(addWorkingDays('2026-04-03', 1, calendar)).toBe('2026-04-08');
+  });
+});
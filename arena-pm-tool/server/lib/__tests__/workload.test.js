@@ -0,0 +1,110 @@
+jest.mock('../../config/database');
+
+const {
+  getWeekStart,
+  parseWorkloadRange,
+  buildWorkload,
+  getWorkload,
+} = require('../workload');
+
+const members = [
+  { member_id: 11, user_id: 1, role: 'admin', weekly_capacity: 2, name: 'Ana', avatar_url: null },
+  { member_id: 12, user_id: 2, role: 'member', weekly_capacity: null, name: 'Ben', avatar_url: '/a.png' },
+];
+
+const task = (id, dueOn, assigneeIds) => ({
+  id, title: `Task ${id}`, priority: 'medium', status: 'todo', due_on: dueOn, assignee_ids: assigneeIds,
+});
+
+describe('getWeekStart', () => {
+  test('returns the Monday of the week', () => {
+    expect(getWeekStart('2026-10-21')).toBe('2026-10-19');
+    expect(getWeekStart('2026-10-19')).toBe('2026-10-19');
+    expect(getWeekStart('2026-10-25')).toBe('2026-10-19');
+  });
+});
+
+describe('parseWorkloadRange', () => {
+  const now = new Date('2026-10-21T12:00:00Z');
+
+  test('defaults to six weeks from today', () => {
+    expect(parseWorkloadRange({}, now)).toEqual({ from: '2026-10-21', weeks: 6 });
+    expect(parseWorkloadRange({ from: '2026-11-02', weeks: '4' }, now)).toEqual({ from: '2026-11-02', weeks: 4 });
+  });
+
+  test('rejects bad dates and week counts', () => {
+    expect(parseWorkloadRange({ from: '2026-02-30' }, now).error).toBe('from must be a date in YYYY-MM-DD format');
+    expect(parseWorkloadRange({ weeks: '13' }, now).error).toBe('weeks must be between 1 and 12');
+    expect(parseWorkloadRange({ weeks: 'two' }, now).error).toBe('weeks must be between 1 and 12');
+  });
+});
+
+describe('buildWorkload', () => {
+  const workload = buildWorkload({
+    from: '2026-10-19',
+    weeks: 2,
+    members,
+    tasks: [
+      task(1, '2026-10-12', [1]),
+      task(2, '2026-10-19', [1]),
+      task(3, '2026-10-20', [1, 2]),
+      task(4, '2026-10-23', [1]),
+      task(5, '2026-10-26', [2]),
+      task(6, '2026-10-27', []),
+      task(7, '2026-11-02', [1]),
+      task(8, '2026-10-21', [9]),
+    ],
+    undated: [{ user_id: 1, count: '3' }, { user_id: null, count: '2' }],
+  });
+
+  test('lists the weeks of the range', () => {
+    expect(workload.weeks).toEqual(['2026-10-19', '2026-10-26']);
+  });
+
+  test('buckets tasks by assignee and week, counting shared tasks for everyone', () => {
+    const [ana, ben] = workload.members;
+    expect(ana.overdue.map((t) => t.id)).toEqual([1]);
+    expect(ana.weeks[0].tasks.map((t) => t.id)).toEqual([2, 3, 4]);
+    expect(ana.weeks[1].tasks).toEqual([]);
+    expect(ben.weeks[0].tasks.map((t) => t.id)).toEqual([3]);
+    expect(ben.weeks[1].tasks[0]).toEqual({
+      id: 5, title: 'Task 5', priority: 'medium', status: 'todo', dueDate: '2026-10-26', assigneeIds: [2],
+    });
+  });
+
+  test('flags weeks over the member capacity', () => {
+    const [ana, ben] = workload.members;
+    expect(ana.weeks.map((week) => week.overCapacity)).toEqual([true, false]);
+    expect(ben.weeks.map((week) => week.overCapacity)).toEqual([false, false]);
+  });
+
+  test('counts tasks assigned only to former members as unassigned, keeping their ids', () => {
+    expect(workload.unassigned.weeks[0].tasks).toEqual([
+      expect.objectContaining({ id: 8, assigneeIds: [9] }),
+    ]);
+  });
+
+  test('keeps unassigned tasks and undated counts apart', () => {
+    expect(workload.unassigned.weeks[1].tasks.map((t) => t.id)).toEqual([6]);
+    expect(workload.unassigned.noDueDateCount).toBe(2);
+    expect(workload.members[0].noDueDateCount).toBe(3);
+  });
+});
+
+describe('getWorkload', () => {
+  test('queries from the Monday of the first week to the end of the range', async () => {
+    const db = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM workspace_members wm')) return { rows: members };
+        return { rows: [] };
+      }),
+    };
+
+    const workload = await getWorkload({ workspaceId: 'ws-1', from: '2026-10-21', weeks: 2 }, db);
+
+    expect(workload.from).toBe('2026-10-19');
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('t.due_date < $2::date'), ['ws-1', '2026-11-02']);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('t.due_date IS NULL'), ['ws-1']);
+    expect(workload.members.map((member) => member.name)).toEqual(['Ana', 'Ben']);
+  });
+});
@@ -1,5 +1,6 @@
 // Activity Log - Lightweight workspace activity tracker
 // Usage: await logActivity(workspaceId, userId, 'created', 'task', taskId, { title })
+//        await logActivities(workspaceId, userId, 'updated', 'task', [{ entityId, metadata }])
 
 const { query } = require('../config/database');
 const logger = require('./logger');
@@ -17,4 +18,26 @@ async function logActivity(workspaceId, userId, action, entityType, entityId, me
   }
 }
 
-module.exports = { logActivity };
+// Same as logActivity for many entities at once (bulk operations), in a single insert
+async function logActivities(workspaceId, userId, action, entityType, entries) {
+  if (!entries || entries.length === 0) return;
+  try {
+    await query(
+      `INSERT INTO activity_log (workspace_id, user_id, action, entity_type, entity_id, metadata)
+       SELECT $1, $2, $3, $4, entry.entity_id, entry.metadata::jsonb
+       FROM unnest($5::text[], $6::text[]) AS entry(entity_id, metadata)`,
+      [
+        workspaceId,
+        userId,
+        action,
+        entityType,
+        entries.map((entry) => String(entry.entityId)),
+        entries.map((entry) => JSON.stringify(entry.metadata || {}))
+      ]
+    );
+  } catch (error) {
+    logger.error('Activity log error: %s', error.message);
+  }
+}
+
+module.exports = { logActivity, logActivities };
@@ -0,0 +1,175 @@
+// Analytics - weekly workspace reporting for workspace admins
+// Usage: const report = await getAnalytics({ workspaceId, weeks: 12, category: { id: 4, name: 'Sprint' } });
+//
+// The report covers the last `weeks` weeks (Monday to Sunday, the current week
+// up to today). For every week:
+//   created / completed - tasks created / completed that week
+//   remaining           - open tasks at the end of the week, the burndown; only
+//                         tasks in `category` when one is given
+//   overdue             - open tasks past their due date at the end of the week
+//   cycle time          - average days to complete the tasks completed that week
+// Cycle time runs from the first move to an "active" status, as recorded in
+// activity_log, to completed_at. Tasks that never went through one are measured
+// from created_at. Open counts are rebuilt from created_at and completed_at, so
+// deleted tasks drop out of past weeks.
+
+const { query } = require('../config/database');
+const { escCsv } = require('../utils/csv');
+const { shiftDate } = require('./workingCalendar');
+const { getWeekStart } = require('./workload');
+
+const DEFAULT_ANALYTICS_WEEKS = 12;
+const MAX_ANALYTICS_WEEKS = 52;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Days with one decimal, e.g. 2.5
+const toDays = (seconds) => Math.round((seconds / SECONDS_PER_DAY) * 10) / 10;
+
+// Validate analytics query params: `weeks` to look back over and an optional
+// `category_id` for the burndown. Returns { weeks, categoryId } or { error }.
+const parseAnalyticsParams = ({ weeks, category_id: categoryId } = {}) => {
+  const params = {
+    weeks: weeks === undefined ? DEFAULT_ANALYTICS_WEEKS : Number(weeks),
+    categoryId: categoryId === undefined || categoryId === '' ? null : Number(categoryId),
+  };
+
+  if (!Number.isInteger(params.weeks) || params.weeks < 1 || params.weeks > MAX_ANALYTICS_WEEKS) {
+    return { error: `weeks must be between 1 and ${MAX_ANALYTICS_WEEKS}` };
+  }
+  if (params.categoryId !== null && (!Number.isInteger(params.categoryId) || params.categoryId < 1)) {
+    return { error: 'category_id must be a positive integer' };
+  }
+  return params;
+};
+
+/**
+ * Shape the weekly counts and cycle times into a report.
+ * weekRows: { week_start, created, completed, remaining, overdue } per week in
+ * order; cycleTimeRows: { week_start, tasks, average_seconds } for weeks in which
+ * tasks were completed.
+ */
+const buildAnalytics = ({ from, to, category = null, weekRows, cycleTimeRows = [] }) => {
+  const cycleTimesByWeek = new Map(cycleTimeRows.map((row) => [row.week_start, row]));
+
+  let cycleTimeTasks = 0;
+  let cycleTimeSeconds = 0;
+
+  const weeks = weekRows.map((row) => {
+    const cycleTime = cycleTimesByWeek.get(row.week_start);
+    const tasks = cycleTime ? parseInt(cycleTime.tasks, 10) : 0;
+    const averageSeconds = cycleTime ? Number(cycleTime.average_seconds) : 0;
+    cycleTimeTasks += tasks;
+    cycleTimeSeconds += tasks * averageSeconds;
+
+    return {
+      weekStart: row.week_start,
+      created: parseInt(row.created, 10),
+      completed: parseInt(row.completed, 10),
+      remaining: parseInt(row.remaining, 10),
+      overdue: parseInt(row.overdue, 10),
+      cycleTimeDays: tasks > 0 ? toDays(averageSeconds) : null,
+    };
+  });
+
+  const latest = weeks[weeks.length - 1];
+
+  return {
+    from,
+    to,
+    category,
+    weeks,
+    summary: {
+      created: weeks.reduce((sum, week) => sum + week.created, 0),
+      completed: weeks.reduce((sum, week) => sum + week.completed, 0),
+      remaining: latest ? latest.remaining : 0,
+      overdue: latest ? latest.overdue : 0,
+      averageCycleTimeDays: cycleTimeTasks > 0 ? toDays(cycleTimeSeconds / cycleTimeTasks) : null,
+    },
+  };
+};
+
+/**
+ * The analytics report of a workspace for the `weeks` weeks up to `now`.
+ * `category` ({ id, name }) limits the burndown to one category.
+ */
+const getAnalytics = async ({ workspaceId, weeks = DEFAULT_ANALYTICS_WEEKS, category = null, now = new Date() }, db = { query }) => {
+  const to = now.toISOString().split('T')[0];
+  const from = shiftDate(getWeekStart(to), -(weeks - 1) * 7);
+
+  // Tasks completed before the range can't count towards any of its weeks
+  const weeksResult = await db.query(`
+    WITH weeks AS (
+      SELECT week_start::date as week_start, LEAST(week_start::date + 6, $3::date) as as_of
+      FROM generate_series($2::date, $3::date, INTERVAL '7 days') as week_start
+    )
+    SELECT to_char(w.week_start, 'YYYY-MM-DD') as week_start,
+      COUNT(t.id) FILTER (WHERE t.created_at::date BETWEEN w.week_start AND w.as_of) as created,
+      COUNT(t.id) FILTER (WHERE t.completed_at::date BETWEEN w.week_start AND w.as_of) as completed,
+      COUNT(t.id) FILTER (
+        WHERE t.created_at::date <= w.as_of
+          AND (t.completed_at IS NULL OR t.completed_at::date > w.as_of)
+          AND ($4::integer IS NULL OR t.category_id = $4)
+      ) as remaining,
+      COUNT(t.id) FILTER (
+        WHERE t.due_date < w.as_of
+          AND t.created_at::date <= w.as_of
+          AND (t.completed_at IS NULL OR t.completed_at::date > w.as_of)
+      ) as overdue
+    FROM weeks w
+    LEFT JOIN tasks t ON t.workspace_id = $1
+      AND (t.completed_at IS NULL OR t.completed_at::date >= $2::date)
+    GROUP BY w.week_start, w.as_of
+    ORDER BY w.week_start
+  `, [workspaceId, from, to, category ? category.id : null]);
+
+  const cycleTimeResult = await db.query(`
+    SELECT to_char(date_trunc('week', c.completed_at)::date, 'YYYY-MM-DD') as week_start,
+      COUNT(*) as tasks,
+      AVG(EXTRACT(EPOCH FROM c.completed_at - COALESCE(c.started_at, c.created_at))) as average_seconds
+    FROM (
+      SELECT t.created_at, t.completed_at,
+        (SELECT MIN(a.created_at) FROM activity_log a
+         WHERE a.workspace_id = t.workspace_id
+           AND a.entity_type = 'task'
+           AND a.entity_id = t.id::text
+           AND a.metadata->>'statusCategory' = 'active'
+           AND a.created_at BETWEEN t.created_at AND t.completed_at) as started_at
+      FROM tasks t
+      WHERE t.workspace_id = $1
+        AND t.completed_at::date BETWEEN $2::date AND $3::date
+    ) c
+    GROUP BY 1
+  `, [workspaceId, from, to]);
+
+  return buildAnalytics({
+    from,
+    to,
+    category,
+    weekRows: weeksResult.rows,
+    cycleTimeRows: cycleTimeResult.rows,
+  });
+};
+
+// One CSV row per week of a report
+const toAnalyticsCsv = (report) => {
+  const remainingLabel = report.category ? `Remaining (${report.category.name})` : 'Remaining';
+  const header = ['Week', 'Created', 'Completed', remainingLabel, 'Overdue', 'Average Cycle Time (days)'].map(escCsv).join(',');
+
+  const rows = report.weeks.map((week) =>
+    [week.weekStart, week.created, week.completed, week.remaining, week.overdue, week.cycleTimeDays]
+      .map(escCsv)
+      .join(',')
+  );
+
+  return [header, ...rows].join('\n');
+};
+
+module.exports = {
+  DEFAULT_ANALYTICS_WEEKS,
+  MAX_ANALYTICS_WEEKS,
+  parseAnalyticsParams,
+  buildAnalytics,
+  getAnalytics,
+  toAnalyticsCsv,
+};
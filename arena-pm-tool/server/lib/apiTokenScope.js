@@ -0,0 +1,21 @@
+// API Token Scope - The workspace a personal access token is limited to
+// Usage: runWithApiToken(req.apiToken, () => handler(req, res, next))
+//        getApiTokenScope() // => { id, workspaceId, scope } or undefined
+//
+// withErrorHandling runs every route handler inside the token of its request, so
+// verifyWorkspaceAccess can refuse other workspaces without each controller
+// having to pass the request down.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Session (cookie) requests have no token and run unchanged
+const runWithApiToken = (apiToken, fn) => (apiToken ? storage.run(apiToken, fn) : fn());
+
+const getApiTokenScope = () => storage.getStore();
+
+module.exports = {
+  runWithApiToken,
+  getApiTokenScope,
+};
@@ -0,0 +1,98 @@
+// API Tokens - Personal access tokens for scripts and CI
+// Usage: const { token, tokenHash, tokenHint } = generateApiToken();
+//        const row = await findApiToken(token);
+//
+// Tokens are sent as `Authorization: Bearer tdr_pat_...`. Only their SHA-256 hash
+// is stored, so a token is shown once, when it is created. Each token belongs to
+// one workspace and has a read or write scope and an expiry.
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('./logger');
+
+const API_TOKEN_PREFIX = 'tdr_pat_';
+
+const API_TOKEN_SCOPES = ['read', 'write'];
+
+const DEFAULT_API_TOKEN_EXPIRY_DAYS = 90;
+const MAX_API_TOKEN_EXPIRY_DAYS = 365;
+
+// Routers a token may call. Account, billing and admin routes stay session-only.
+const API_TOKEN_ROUTES = [
+  '/api/tasks',
+  '/api/categories',
+  '/api/comments',
+  '/api/time-entries',
+  '/api/search',
+  '/api/holidays',
+  '/api/workspaces',
+];
+
+// last_used_at is only written once a minute per token
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    tokenHash: hashApiToken(token),
+    tokenHint: token.slice(-4),
+  };
+};
+
+const formatApiToken = (row) => ({
+  id: row.id,
+  name: row.name,
+  workspaceId: row.workspace_id,
+  workspaceName: row.workspace_name || null,
+  scope: row.scope,
+  tokenHint: `…${row.token_hint}`,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  createdAt: row.created_at,
+});
+
+// Look up a token with its owner. Tokens of users who have left the workspace
+// are not returned.
+async function findApiToken(token) {
+  const result = await query(
+    `SELECT t.id, t.user_id, t.workspace_id, t.scope, t.expires_at, t.last_used_at,
+            u.email, u.role
+     FROM api_tokens t
+     JOIN users u ON u.id = t.user_id
+     JOIN workspace_members wm ON wm.workspace_id = t.workspace_id AND wm.user_id = t.user_id
+     WHERE t.token_hash = $1`,
+    [hashApiToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+// Record when a token was last used. Never throws.
+async function touchApiToken(row) {
+  if (row.last_used_at && Date.now() - new Date(row.last_used_at).getTime() < LAST_USED_INTERVAL_MS) {
+    return;
+  }
+  try {
+    await query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1', [row.id]);
+  } catch (error) {
+    logger.error({ err: error, apiTokenId: row.id }, 'Failed to record API token use');
+  }
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  API_TOKEN_SCOPES,
+  API_TOKEN_ROUTES,
+  DEFAULT_API_TOKEN_EXPIRY_DAYS,
+  MAX_API_TOKEN_EXPIRY_DAYS,
+  hashApiToken,
+  isApiToken,
+  generateApiToken,
+  formatApiToken,
+  findApiToken,
+  touchApiToken,
+};
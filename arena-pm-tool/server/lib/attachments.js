@@ -0,0 +1,131 @@
+// Attachments - metadata helpers for files on tasks and comments
+// Rows live in task_attachments; the bytes live in the storage backend
+// (lib/storage) under storage_key, which is never exposed to clients.
+
+const crypto = require('crypto');
+const path = require('path');
+const { query } = require('../config/database');
+const { getStorage } = require('./storage');
+const logger = require('./logger');
+
+// Types safe to show inline in the browser; everything else downloads
+const INLINE_CONTENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+];
+
+const MAX_FILE_NAME_LENGTH = 255;
+
+const formatAttachment = (row) => ({
+  id: row.id,
+  taskId: row.task_id,
+  commentId: row.comment_id || null,
+  fileName: row.file_name,
+  contentType: row.content_type,
+  sizeBytes: row.size_bytes,
+  uploadedBy: row.uploaded_by,
+  uploaderName: row.uploader_name || null,
+  createdAt: row.created_at,
+});
+
+// SQL expression for a comment's attachments as a JSON array of rows
+const commentAttachmentsSql = (alias = 'c') => `
+      COALESCE(
+        (SELECT json_agg(json_build_object(
+            'id', a.id, 'task_id', a.task_id, 'comment_id', a.comment_id,
+            'file_name', a.file_name, 'content_type', a.content_type,
+            'size_bytes', a.size_bytes, 'uploaded_by', a.uploaded_by,
+            'created_at', a.created_at
+          ) ORDER BY a.id)
+         FROM task_attachments a
+         WHERE a.comment_id = ${alias}.id),
+        '[]'::json
+      )`;
+
+// Strip directories and control characters from a client-supplied file name
+const sanitizeFileName = (name) => {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim();
+  return (base || 'file').slice(-MAX_FILE_NAME_LENGTH);
+};
+
+// Unguessable object key, grouped by workspace and task
+const buildStorageKey = (workspaceId, taskId, fileName) => {
+  const ext = path.extname(fileName).toLowerCase().replace(/[^a-z0-9.]/g, '').slice(0, 16);
+  return `${workspaceId}/${taskId}/${crypto.randomUUID()}${ext}`;
+};
+
+const isInlineContentType = (contentType) => INLINE_CONTENT_TYPES.includes(contentType);
+
+// Content-Disposition with an ASCII fallback and the UTF-8 name
+const contentDisposition = (fileName, inline) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// Storage keys for a task, its subtasks and all of their comments
+const getTaskTreeStorageKeys = async (taskId, db = { query }) => {
+  const result = await db.query(`
+    WITH RECURSIVE task_tree AS (
+      SELECT id FROM tasks WHERE id = $1
+      UNION ALL
+      SELECT t.id FROM tasks t JOIN task_tree tt ON t.parent_task_id = tt.id
+    )
+    SELECT storage_key FROM task_attachments WHERE task_id IN (SELECT id FROM task_tree)
+  `, [taskId]);
+  return result.rows.map((row) => row.storage_key);
+};
+
+// Storage keys for several tasks at once (bulk delete), including their subtrees
+const getStorageKeysForTaskTrees = async (taskIds, db = { query }) => {
+  const result = await db.query(`
+    WITH RECURSIVE task_tree AS (
+      SELECT id FROM tasks WHERE id = ANY($1::int[])
+      UNION
+      SELECT t.id FROM tasks t JOIN task_tree tt ON t.parent_task_id = tt.id
+    )
+    SELECT storage_key FROM task_attachments WHERE task_id IN (SELECT id FROM task_tree)
+  `, [taskIds]);
+  return result.rows.map((row) => row.storage_key);
+};
+
+// Storage keys for files attached through a comment
+const getCommentStorageKeys = async (commentId, db = { query }) => {
+  const result = await db.query(
+    'SELECT storage_key FROM task_attachments WHERE comment_id = $1',
+    [commentId]
+  );
+  return result.rows.map((row) => row.storage_key);
+};
+
+// Delete stored files once their rows are gone. Failures are logged, not thrown,
+// so a storage outage never blocks deleting the task itself.
+const removeStoredFiles = async (keys) => {
+  if (!keys || keys.length === 0) return;
+  const storage = getStorage();
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error({ err: result.reason, storageKey: keys[index] }, 'Failed to remove stored attachment');
+    }
+  });
+};
+
+module.exports = {
+  INLINE_CONTENT_TYPES,
+  formatAttachment,
+  commentAttachmentsSql,
+  sanitizeFileName,
+  buildStorageKey,
+  isInlineContentType,
+  contentDisposition,
+  getTaskTreeStorageKeys,
+  getStorageKeysForTaskTrees,
+  getCommentStorageKeys,
+  removeStoredFiles,
+};
@@ -0,0 +1,141 @@
+// Calendar Feeds - Read-only iCalendar (.ics) subscriptions of task due dates
+// Usage: const ics = buildCalendar('Todoria — My tasks', tasks);
+//
+// Feeds are fetched by calendar apps (Google Calendar, Outlook, Apple Calendar)
+// from GET /api/calendar/:token.ics without a session, so the token in the URL is
+// the only credential. Each task with a due date becomes an all-day event;
+// finished tasks stay in the feed with a check mark.
+
+const crypto = require('crypto');
+
+const PRODID = '-//Todoria//Task due dates//EN';
+
+// Finished and overdue tasks are only listed for this long after their due date
+const FEED_LOOKBACK_DAYS = 90;
+const FEED_TASK_LIMIT = 2000;
+
+// Calendar apps may poll at most this often
+const FEED_REFRESH_INTERVAL = 'PT1H';
+
+const DESCRIPTION_MAX_LENGTH = 1000;
+
+const generateCalendarFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+const formatCalendarFeed = (row) => ({
+  id: row.id,
+  workspaceId: row.workspace_id,
+  workspaceName: row.workspace_name || null,
+  token: row.token,
+  lastAccessedAt: row.last_accessed_at,
+  createdAt: row.created_at,
+});
+
+// RFC 5545 3.3.11: escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 3.1: lines are at most 75 octets; continuations start with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// '2026-03-14' -> '20260314'
+const formatDate = (isoDate) => isoDate.replace(/-/g, '');
+
+// All-day events end on the following day (DTEND is exclusive)
+const nextDay = (isoDate) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Date -> '20260314T091500Z'
+const formatTimestamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const getTaskUrl = (taskId) => {
+  const clientUrl = (process.env.CLIENT_URL || 'https://www.todoria.com').replace(/\/+$/, '');
+  return `${clientUrl}/tasks?taskId=${taskId}`;
+};
+
+// Task rows need: id, title, description, due_date ('YYYY-MM-DD'), status_name,
+// status_category, priority, category_name, workspace_name, updated_at
+const buildTaskEvent = (task, now = new Date()) => {
+  const isDone = task.status_category === 'done';
+  const details = [
+    `Status: ${task.status_name}`,
+    task.priority && `Priority: ${task.priority}`,
+    task.category_name && `Category: ${task.category_name}`,
+    task.workspace_name && `Workspace: ${task.workspace_name}`,
+  ].filter(Boolean);
+
+  let description = details.join('\n');
+  if (task.description) {
+    const text = task.description.length > DESCRIPTION_MAX_LENGTH
+      ? `${task.description.slice(0, DESCRIPTION_MAX_LENGTH)}…`
+      : task.description;
+    description += `\n\n${text}`;
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:task-${task.id}@todoria.com`,
+    `DTSTAMP:${formatTimestamp(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(task.due_date)}`,
+    `DTEND;VALUE=DATE:${formatDate(nextDay(task.due_date))}`,
+    `SUMMARY:${escapeText(isDone ? `✓ ${task.title}` : task.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${getTaskUrl(task.id)}`,
+    // Due dates should not block time in the calendar
+    'TRANSP:TRANSPARENT',
+    ...(task.updated_at ? [`LAST-MODIFIED:${formatTimestamp(task.updated_at)}`] : []),
+    'END:VEVENT',
+  ];
+};
+
+const buildCalendar = (name, tasks, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`,
+    ...tasks.flatMap((task) => buildTaskEvent(task, now)),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  FEED_LOOKBACK_DAYS,
+  FEED_TASK_LIMIT,
+  generateCalendarFeedToken,
+  formatCalendarFeed,
+  escapeText,
+  foldLine,
+  buildTaskEvent,
+  buildCalendar,
+};
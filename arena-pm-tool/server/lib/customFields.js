@@ -0,0 +1,216 @@
+// Custom fields - workspace-defined, typed task fields
+// Definitions live in custom_fields; values in task_custom_field_values as JSON:
+//   text     - string
+//   number   - number
+//   dropdown - string, one of the field's options
+//   date     - 'YYYY-MM-DD' string
+//   checkbox - true (unchecked boxes have no row)
+// Clearing a value deletes its row, so "no row" always means empty.
+
+const { query } = require('../config/database');
+
+const FIELD_TYPES = ['text', 'number', 'dropdown', 'date', 'checkbox'];
+
+const MAX_TEXT_LENGTH = 1000;
+
+// Query params of the form cf_<fieldId>=<value> filter getAllTasks
+const FILTER_PARAM_PATTERN = /^cf_(\d+)$/;
+
+// SQL expression for `${alias}`'s values as a { fieldId: value } JSON object
+const customFieldValuesSql = (alias = 't') => `
+      COALESCE(
+        (SELECT json_object_agg(cfv.field_id, cfv.value)
+         FROM task_custom_field_values cfv
+         WHERE cfv.task_id = ${alias}.id),
+        '{}'::json
+      )`;
+
+// Same, keyed by field name (used by exports that span workspaces)
+const customFieldValuesByNameSql = (alias = 't') => `
+      COALESCE(
+        (SELECT json_object_agg(cf.name, cfv.value ORDER BY cf.position, cf.id)
+         FROM task_custom_field_values cfv
+         JOIN custom_fields cf ON cf.id = cfv.field_id
+         WHERE cfv.task_id = ${alias}.id),
+        '{}'::json
+      )`;
+
+const formatCustomField = (row) => ({
+  id: row.id,
+  name: row.name,
+  fieldType: row.field_type,
+  options: row.options || [],
+  position: row.position,
+});
+
+// Load a workspace's field definitions in order.
+// `db` is anything with a pg-style query() - the pool helper or a transaction client.
+const getWorkspaceCustomFields = async (workspaceId, db = { query }) => {
+  const result = await db.query(
+    'SELECT id, name, field_type, options, position FROM custom_fields WHERE workspace_id = $1 ORDER BY position ASC, id ASC',
+    [workspaceId]
+  );
+  return result.rows.map(formatCustomField);
+};
+
+const isDateKey = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Coerce one raw input value to the field's stored form.
+// Returns { value } (null = clear) or { error }.
+const normalizeCustomFieldValue = (field, raw) => {
+  if (raw === null || raw === undefined || raw === '') return { value: null };
+
+  switch (field.fieldType) {
+    case 'text': {
+      const text = String(raw).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        return { error: `"${field.name}" must be ${MAX_TEXT_LENGTH} characters or less` };
+      }
+      return { value: text || null };
+    }
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (typeof raw === 'boolean' || !Number.isFinite(number)) {
+        return { error: `"${field.name}" must be a number` };
+      }
+      return { value: number };
+    }
+    case 'dropdown': {
+      const option = String(raw);
+      if (!field.options.includes(option)) {
+        return { error: `"${field.name}" must be one of: ${field.options.join(', ')}` };
+      }
+      return { value: option };
+    }
+    case 'date': {
+      const dateKey = String(raw).split('T')[0];
+      if (!isDateKey(dateKey)) {
+        return { error: `"${field.name}" must be a date (YYYY-MM-DD)` };
+      }
+      return { value: dateKey };
+    }
+    case 'checkbox': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: null };
+      return { error: `"${field.name}" must be true or false` };
+    }
+    default:
+      return { error: `"${field.name}" has an unknown type` };
+  }
+};
+
+// Validate a { fieldId: value } object against the workspace's fields.
+// Returns { values: [{ fieldId, value }] } or { error }.
+const resolveCustomFieldValues = (fields, input) => {
+  const values = [];
+  for (const [fieldId, raw] of Object.entries(input || {})) {
+    const field = fields.find((f) => String(f.id) === String(fieldId));
+    if (!field) {
+      return { error: `Unknown custom field: ${fieldId}` };
+    }
+    const { value, error } = normalizeCustomFieldValue(field, raw);
+    if (error) return { error };
+    values.push({ fieldId: field.id, value });
+  }
+  return { values };
+};
+
+// Write resolved values for a task (null clears the field)
+const saveCustomFieldValues = async (taskId, values, db = { query }) => {
+  for (const { fieldId, value } of values) {
+    if (value === null) {
+      await db.query(
+        'DELETE FROM task_custom_field_values WHERE task_id = $1 AND field_id = $2',
+        [taskId, fieldId]
+      );
+    } else {
+      await db.query(`
+        INSERT INTO task_custom_field_values (task_id, field_id, value)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (task_id, field_id) DO UPDATE
+        SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP
+      `, [taskId, fieldId, JSON.stringify(value)]);
+    }
+  }
+};
+
+// Pull cf_<fieldId> params out of a query string object
+const getCustomFieldFilters = (params) =>
+  Object.entries(params || {})
+    .map(([name, value]) => {
+      const match = FILTER_PARAM_PATTERN.exec(name);
+      return match ? { param: name, fieldId: parseInt(match[1], 10), value } : null;
+    })
+    .filter(Boolean);
+
+// Build WHERE clauses for cf_<fieldId> filters on `${alias}`.
+// Text matches by substring; dropdowns accept a comma-separated list of options;
+// everything else matches exactly. `paramStart` is the next $n placeholder.
+// Returns { clauses, params } or { error }.
+const buildCustomFieldFilterSql = (fields, filters, paramStart, alias = 't') => {
+  const clauses = [];
+  const params = [];
+  let paramCount = paramStart;
+
+  const valueExists = (condition) => `EXISTS (
+      SELECT 1 FROM task_custom_field_values cfv
+      WHERE cfv.task_id = ${alias}.id AND cfv.field_id = $${paramCount} AND ${condition}
+    )`;
+
+  for (const filter of filters) {
+    const field = fields.find((f) => f.id === filter.fieldId);
+    if (!field) {
+      return { error: `Unknown custom field: ${filter.param}` };
+    }
+    const raw = Array.isArray(filter.value) ? filter.value[0] : filter.value;
+
+    if (field.fieldType === 'text') {
+      clauses.push(valueExists(`cfv.value #>> '{}' ILIKE $${paramCount + 1}`));
+      params.push(field.id, `%${raw}%`);
+      paramCount += 2;
+      continue;
+    }
+
+    if (field.fieldType === 'dropdown') {
+      const options = String(raw).split(',').map((o) => o.trim()).filter(Boolean);
+      clauses.push(valueExists(`cfv.value #>> '{}' = ANY($${paramCount + 1}::text[])`));
+      params.push(field.id, options);
+      paramCount += 2;
+      continue;
+    }
+
+    if (field.fieldType === 'checkbox' && (raw === 'false' || raw === false)) {
+      clauses.push(`NOT ${valueExists(`cfv.value = 'true'::jsonb`)}`);
+      params.push(field.id);
+      paramCount += 1;
+      continue;
+    }
+
+    const { value, error } = normalizeCustomFieldValue(field, raw);
+    if (error) return { error };
+    if (value === null) continue;
+
+    clauses.push(valueExists(`cfv.value = $${paramCount + 1}::jsonb`));
+    params.push(field.id, JSON.stringify(value));
+    paramCount += 2;
+  }
+
+  return { clauses, params };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  customFieldValuesSql,
+  customFieldValuesByNameSql,
+  formatCustomField,
+  getWorkspaceCustomFields,
+  normalizeCustomFieldValue,
+  resolveCustomFieldValues,
+  saveCustomFieldValues,
+  getCustomFieldFilters,
+  buildCustomFieldFilterSql,
+};
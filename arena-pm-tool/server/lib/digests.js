@@ -0,0 +1,86 @@
+// Digests - Daily or weekly roundups of notification emails
+// Usage: deliverNotificationEmail(user, { type: 'comment', workspaceId, taskId, data },
+//          () => queueTaskCommentNotification(...))
+//
+// users.email_digest_mode decides what happens to assignment, mention, comment and
+// reminder emails: "immediate" sends each one, "daily" and "weekly" hold them in
+// email_digest_items for the next digest, and "none" sends nothing (see wantsEmail).
+// Digests go out at DIGEST_SEND_HOUR in the user's own timezone, weekly ones on Mondays.
+
+const { query } = require('../config/database');
+
+const DIGEST_MODES = ['immediate', 'daily', 'weekly', 'none'];
+const BATCHED_DIGEST_MODES = ['daily', 'weekly'];
+
+const parsedSendHour = parseInt(process.env.DIGEST_SEND_HOUR || '8', 10);
+const DIGEST_SEND_HOUR = parsedSendHour >= 0 && parsedSendHour <= 23 ? parsedSendHour : 8;
+
+const isDigestMode = (mode) => BATCHED_DIGEST_MODES.includes(mode);
+
+// Hold one notification email for the user's next digest
+async function addDigestItem({ userId, workspaceId = null, type, taskId = null, data = {} }) {
+  await query(`
+    INSERT INTO email_digest_items (user_id, workspace_id, type, task_id, data)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [userId, workspaceId, type, taskId, JSON.stringify(data)]);
+}
+
+/**
+ * Send a notification email now, or hold it for the recipient's digest.
+ * `user` needs id and email_digest_mode; `send` queues the immediate email.
+ */
+async function deliverNotificationEmail(user, { type, workspaceId = null, taskId = null, data = {} }, send) {
+  if (isDigestMode(user.email_digest_mode)) {
+    await addDigestItem({ userId: user.id, workspaceId, type, taskId, data });
+    return { digested: true };
+  }
+  return send();
+}
+
+// Calendar date, hour and weekday of `date` in `timeZone`, falling back to UTC
+// for zones Intl doesn't know
+const getLocalTime = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+  } catch (_) {
+    return getLocalTime(date, 'UTC');
+  }
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    hour: Number(part('hour')),
+    weekday: part('weekday'),
+  };
+};
+
+/**
+ * Whether a user's digest should go out at `now`: from the send hour of their
+ * local day (Mondays only for weekly digests), once per local day.
+ * Leftover items of users who switched back to immediate go out daily.
+ */
+const isDigestDue = ({ mode, timezone, lastSentAt }, now = new Date(), sendHour = DIGEST_SEND_HOUR) => {
+  const local = getLocalTime(now, timezone);
+  if (local.hour < sendHour) return false;
+  if (mode === 'weekly' && local.weekday !== 'Mon') return false;
+  if (!lastSentAt) return true;
+  return getLocalTime(new Date(lastSentAt), timezone).date < local.date;
+};
+
+module.exports = {
+  DIGEST_MODES,
+  DIGEST_SEND_HOUR,
+  isDigestMode,
+  addDigestItem,
+  deliverNotificationEmail,
+  getLocalTime,
+  isDigestDue,
+};
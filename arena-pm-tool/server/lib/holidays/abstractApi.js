@@ -0,0 +1,41 @@
+// Online holiday provider backed by Abstract API (https://www.abstractapi.com/holidays-api).
+// Only countries are supported; for "DE-BY" the German national holidays are returned.
+
+const ABSTRACT_API_URL = 'https://holidays.abstractapi.com/v1/';
+
+/**
+ * Normalize date from Abstract API format to YYYY-MM-DD
+ */
+const normalizeDate = (holiday) => {
+  const year = holiday.date_year;
+  const month = String(holiday.date_month).padStart(2, '0');
+  const day = String(holiday.date_day).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const abstractApiProvider = {
+  id: 'abstract',
+  label: 'Abstract API',
+  online: true,
+  isConfigured: () => Boolean(process.env.ABSTRACT_API_KEY),
+  getHolidays: async (code, year) => {
+    const [country] = code.split('-');
+    const url = `${ABSTRACT_API_URL}?api_key=${process.env.ABSTRACT_API_KEY}&country=${country}&year=${year}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Abstract API error: ${response.status}`);
+    }
+
+    const holidays = await response.json();
+    return holidays.map((h) => ({
+      name: h.name,
+      localName: h.name_local || h.name,
+      date: normalizeDate(h),
+      type: h.type,
+      isPublic: h.type === 'National',
+    }));
+  },
+};
+
+module.exports = { abstractApiProvider, normalizeDate };
@@ -0,0 +1,231 @@
+// Holiday calendars - public holidays for one or more countries/regions plus a
+// workspace's own company holidays.
+// Usage: const { regions, holidays } = await getHolidayCalendar({ workspaceId, userId, year });
+//
+// Public holidays come from a provider ({ id, label, getHolidays(code, year) }).
+// HOLIDAY_PROVIDER picks it: "rules" (default, bundled and offline, ./rules.js)
+// or "abstract" (Abstract API, needs ABSTRACT_API_KEY). Online results are
+// cached in holiday_cache; when an online provider fails the bundled rules
+// are used instead, so the calendar never goes blank.
+//
+// Regions are resolved user -> workspace -> HOLIDAY_DEFAULT_REGIONS (default "LT").
+
+const { query } = require('../../config/database');
+const logger = require('../logger');
+const { HOLIDAY_RULES, findRegionRules, rulesProvider } = require('./rules');
+const { abstractApiProvider } = require('./abstractApi');
+
+const HOLIDAY_PROVIDERS = {
+  rules: rulesProvider,
+  abstract: abstractApiProvider,
+};
+
+const MAX_HOLIDAY_REGIONS = 5;
+const MAX_COMPANY_HOLIDAYS = 100;
+const CACHE_MAX_AGE_DAYS = 30;
+
+const getHolidayProvider = () => {
+  const provider = HOLIDAY_PROVIDERS[process.env.HOLIDAY_PROVIDER] || rulesProvider;
+  if (provider.isConfigured && !provider.isConfigured()) {
+    return rulesProvider;
+  }
+  return provider;
+};
+
+const isSupportedRegion = (code) => typeof code === 'string' && findRegionRules(code) !== null;
+
+// Uppercased, deduplicated and limited to supported regions
+const normalizeHolidayRegions = (codes) => {
+  const normalized = [];
+  for (const code of codes || []) {
+    const upper = String(code).trim().toUpperCase();
+    if (isSupportedRegion(upper) && !normalized.includes(upper)) {
+      normalized.push(upper);
+    }
+  }
+  return normalized.slice(0, MAX_HOLIDAY_REGIONS);
+};
+
+const getDefaultHolidayRegions = () => {
+  const regions = normalizeHolidayRegions((process.env.HOLIDAY_DEFAULT_REGIONS || 'LT').split(','));
+  return regions.length > 0 ? regions : ['LT'];
+};
+
+// The user's own choice wins, then the workspace's, then the app default
+const resolveHolidayRegions = ({ userRegions, workspaceRegions } = {}) => {
+  for (const candidate of [userRegions, workspaceRegions]) {
+    const regions = normalizeHolidayRegions(candidate);
+    if (regions.length > 0) return regions;
+  }
+  return getDefaultHolidayRegions();
+};
+
+/**
+ * Countries and their regions for pickers, e.g.
+ * [{ code: 'DE', name: 'Germany', country: 'DE' }, { code: 'DE-BY', name: 'Germany – Bavaria', country: 'DE' }, ...]
+ */
+const listHolidayRegions = () => {
+  const regions = [];
+  for (const [code, country] of Object.entries(HOLIDAY_RULES)) {
+    regions.push({ code, name: country.name, country: code });
+    for (const [regionCode, region] of Object.entries(country.regions || {})) {
+      regions.push({ code: regionCode, name: `${country.name} – ${region.name}`, country: code });
+    }
+  }
+  return regions.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const readCachedHolidays = async (db, providerId, code, year) => {
+  const result = await db.query(
+    `SELECT holidays, fetched_at > NOW() - make_interval(days => $4) AS fresh
+     FROM holiday_cache WHERE provider = $1 AND region = $2 AND year = $3`,
+    [providerId, code, year, CACHE_MAX_AGE_DAYS]
+  );
+  return result.rows[0] || null;
+};
+
+const writeCachedHolidays = (db, providerId, code, year, holidays) => db.query(
+  `INSERT INTO holiday_cache (provider, region, year, holidays, fetched_at)
+   VALUES ($1, $2, $3, $4, NOW())
+   ON CONFLICT (provider, region, year) DO UPDATE SET holidays = EXCLUDED.holidays, fetched_at = NOW()`,
+  [providerId, code, year, JSON.stringify(holidays)]
+);
+
+/**
+ * Public holidays of one region from the configured provider.
+ * Online providers go through holiday_cache; on failure a stale cache entry
+ * is used if there is one, otherwise the bundled rules.
+ */
+const getRegionHolidays = async (code, year, db = { query }) => {
+  const provider = getHolidayProvider();
+  if (!provider.online) {
+    return provider.getHolidays(code, year);
+  }
+
+  let cached = null;
+  try {
+    cached = await readCachedHolidays(db, provider.id, code, year);
+    if (cached?.fresh) return cached.holidays;
+
+    const holidays = await provider.getHolidays(code, year);
+    await writeCachedHolidays(db, provider.id, code, year, holidays);
+    return holidays;
+  } catch (error) {
+    logger.warn({ err: error, provider: provider.id, region: code, year }, 'Holiday provider failed, using fallback');
+    return cached ? cached.holidays : rulesProvider.getHolidays(code, year);
+  }
+};
+
+// One entry per date and name, listing every selected region that observes it
+const mergeRegionHolidays = (holidaysByRegion) => {
+  const merged = new Map();
+  for (const [region, holidays] of Object.entries(holidaysByRegion)) {
+    for (const holiday of holidays) {
+      const key = `${holiday.date}|${holiday.name}`;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.regions.push(region);
+      } else {
+        merged.set(key, { ...holiday, source: 'public', regions: [region] });
+      }
+    }
+  }
+  return [...merged.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const formatCompanyHoliday = (row) => ({
+  id: row.id,
+  date: row.date,
+  name: row.name,
+  recurring: row.recurring,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+});
+
+/**
+ * A workspace's company holidays as added by admins.
+ */
+const listCompanyHolidays = async (workspaceId, db = { query }) => {
+  const result = await db.query(
+    `SELECT id, to_char(date, 'YYYY-MM-DD') AS date, name, recurring, created_by, created_at
+     FROM workspace_holidays WHERE workspace_id = $1
+     ORDER BY date ASC, id ASC`,
+    [workspaceId]
+  );
+  return result.rows.map(formatCompanyHoliday);
+};
+
+/**
+ * Company holidays falling in `year`, shaped like public holidays.
+ * Recurring ones are moved to the requested year.
+ */
+const getCompanyHolidays = async (workspaceId, year, db = { query }) => {
+  const holidays = await listCompanyHolidays(workspaceId, db);
+  return holidays
+    .filter((holiday) => holiday.recurring || holiday.date.startsWith(`${year}-`))
+    .map((holiday) => ({
+      id: holiday.id,
+      date: `${year}${holiday.date.slice(4)}`,
+      name: holiday.name,
+      localName: holiday.name,
+      type: 'Company',
+      isPublic: false,
+      source: 'company',
+      recurring: holiday.recurring,
+      regions: [],
+    }))
+    // A recurring 29 February only exists in leap years
+    .filter((holiday) => new Date(holiday.date).toISOString().slice(0, 10) === holiday.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Everything the calendar shows for a year: public holidays of the resolved
+ * regions plus the workspace's company holidays, sorted by date.
+ * workspaceId and userId are optional.
+ * @returns {Promise<{ regions: string[], holidays: Array }>}
+ */
+const getHolidayCalendar = async ({ workspaceId = null, userId = null, year }, db = { query }) => {
+  const [workspaceResult, userResult] = await Promise.all([
+    workspaceId
+      ? db.query('SELECT holiday_regions FROM workspaces WHERE id = $1', [workspaceId])
+      : { rows: [] },
+    userId
+      ? db.query('SELECT holiday_regions FROM users WHERE id = $1', [userId])
+      : { rows: [] },
+  ]);
+
+  const regions = resolveHolidayRegions({
+    userRegions: userResult.rows[0]?.holiday_regions,
+    workspaceRegions: workspaceResult.rows[0]?.holiday_regions,
+  });
+
+  const holidaysByRegion = {};
+  for (const code of regions) {
+    holidaysByRegion[code] = await getRegionHolidays(code, year, db);
+  }
+
+  const companyHolidays = workspaceId ? await getCompanyHolidays(workspaceId, year, db) : [];
+  const holidays = [...mergeRegionHolidays(holidaysByRegion), ...companyHolidays]
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return { regions, holidays };
+};
+
+module.exports = {
+  HOLIDAY_PROVIDERS,
+  MAX_HOLIDAY_REGIONS,
+  MAX_COMPANY_HOLIDAYS,
+  getHolidayProvider,
+  isSupportedRegion,
+  normalizeHolidayRegions,
+  getDefaultHolidayRegions,
+  resolveHolidayRegions,
+  listHolidayRegions,
+  getRegionHolidays,
+  mergeRegionHolidays,
+  formatCompanyHoliday,
+  listCompanyHolidays,
+  getCompanyHolidays,
+  getHolidayCalendar,
+};
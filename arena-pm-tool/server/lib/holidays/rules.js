@@ -0,0 +1,309 @@
+// Offline holiday provider: public holidays computed from bundled rules, so the
+// calendar works without network access or an API key.
+//
+// A rule is one of
+//   { month, day, ... }                         fixed date
+//   { easter: offset, ... }                     days after (or before) Easter Sunday
+//   { month, day, weekday, onOrBefore, ... }    last `weekday` (0 = Sunday) on or before month/day
+// plus name, localName and optional since / until years.
+// Countries are keyed by ISO 3166-1 code; regions by ISO 3166-2 code and add to
+// their country's holidays.
+
+const NEW_YEAR = { month: 1, day: 1, name: "New Year's Day" };
+const EPIPHANY = { month: 1, day: 6, name: 'Epiphany' };
+const GOOD_FRIDAY = { easter: -2, name: 'Good Friday' };
+const EASTER_SUNDAY = { easter: 0, name: 'Easter Sunday' };
+const EASTER_MONDAY = { easter: 1, name: 'Easter Monday' };
+const LABOUR_DAY = { month: 5, day: 1, name: 'Labour Day' };
+const ASCENSION = { easter: 39, name: 'Ascension Day' };
+const WHIT_SUNDAY = { easter: 49, name: 'Whit Sunday' };
+const WHIT_MONDAY = { easter: 50, name: 'Whit Monday' };
+const CORPUS_CHRISTI = { easter: 60, name: 'Corpus Christi' };
+const ASSUMPTION = { month: 8, day: 15, name: 'Assumption Day' };
+const ALL_SAINTS = { month: 11, day: 1, name: "All Saints' Day" };
+const IMMACULATE_CONCEPTION = { month: 12, day: 8, name: 'Immaculate Conception' };
+const CHRISTMAS_EVE = { month: 12, day: 24, name: 'Christmas Eve' };
+const CHRISTMAS = { month: 12, day: 25, name: 'Christmas Day' };
+const SECOND_CHRISTMAS = { month: 12, day: 26, name: 'Second Day of Christmas' };
+
+const local = (rule, localName, extra = {}) => ({ ...rule, localName, ...extra });
+
+const GERMAN_REFORMATION_DAY = { month: 10, day: 31, name: 'Reformation Day', localName: 'Reformationstag' };
+
+const HOLIDAY_RULES = {
+  AT: {
+    name: 'Austria',
+    holidays: [
+      local(NEW_YEAR, 'Neujahr'),
+      local(EPIPHANY, 'Heilige Drei Könige'),
+      local(EASTER_MONDAY, 'Ostermontag'),
+      local(LABOUR_DAY, 'Staatsfeiertag'),
+      local(ASCENSION, 'Christi Himmelfahrt'),
+      local(WHIT_MONDAY, 'Pfingstmontag'),
+      local(CORPUS_CHRISTI, 'Fronleichnam'),
+      local(ASSUMPTION, 'Mariä Himmelfahrt'),
+      { month: 10, day: 26, name: 'National Day', localName: 'Nationalfeiertag' },
+      local(ALL_SAINTS, 'Allerheiligen'),
+      local(IMMACULATE_CONCEPTION, 'Mariä Empfängnis'),
+      local(CHRISTMAS, 'Christtag'),
+      local(SECOND_CHRISTMAS, 'Stefanitag', { name: "St. Stephen's Day" }),
+    ],
+  },
+  CZ: {
+    name: 'Czechia',
+    holidays: [
+      local(NEW_YEAR, 'Nový rok'),
+      local(GOOD_FRIDAY, 'Velký pátek', { since: 2016 }),
+      local(EASTER_MONDAY, 'Velikonoční pondělí'),
+      local(LABOUR_DAY, 'Svátek práce'),
+      { month: 5, day: 8, name: 'Liberation Day', localName: 'Den vítězství' },
+      { month: 7, day: 5, name: 'Saints Cyril and Methodius Day', localName: 'Den slovanských věrozvěstů Cyrila a Metoděje' },
+      { month: 7, day: 6, name: 'Jan Hus Day', localName: 'Den upálení mistra Jana Husa' },
+      { month: 9, day: 28, name: 'Czech Statehood Day', localName: 'Den české státnosti' },
+      { month: 10, day: 28, name: 'Independent Czechoslovak State Day', localName: 'Den vzniku samostatného československého státu' },
+      { month: 11, day: 17, name: 'Struggle for Freedom and Democracy Day', localName: 'Den boje za svobodu a demokracii' },
+      local(CHRISTMAS_EVE, 'Štědrý den'),
+      local(CHRISTMAS, '1. svátek vánoční'),
+      local(SECOND_CHRISTMAS, '2. svátek vánoční'),
+    ],
+  },
+  DE: {
+    name: 'Germany',
+    holidays: [
+      local(NEW_YEAR, 'Neujahr'),
+      local(GOOD_FRIDAY, 'Karfreitag'),
+      local(EASTER_MONDAY, 'Ostermontag'),
+      local(LABOUR_DAY, 'Tag der Arbeit'),
+      local(ASCENSION, 'Christi Himmelfahrt'),
+      local(WHIT_MONDAY, 'Pfingstmontag'),
+      { month: 10, day: 3, name: 'German Unity Day', localName: 'Tag der Deutschen Einheit' },
+      local(CHRISTMAS, 'Erster Weihnachtstag'),
+      local(SECOND_CHRISTMAS, 'Zweiter Weihnachtstag'),
+    ],
+    regions: {
+      'DE-BW': { name: 'Baden-Württemberg', holidays: [local(EPIPHANY, 'Heilige Drei Könige'), local(CORPUS_CHRISTI, 'Fronleichnam'), local(ALL_SAINTS, 'Allerheiligen')] },
+      'DE-BY': { name: 'Bavaria', holidays: [local(EPIPHANY, 'Heilige Drei Könige'), local(CORPUS_CHRISTI, 'Fronleichnam'), local(ALL_SAINTS, 'Allerheiligen')] },
+      'DE-BE': { name: 'Berlin', holidays: [{ month: 3, day: 8, name: "International Women's Day", localName: 'Internationaler Frauentag', since: 2019 }] },
+      'DE-BB': { name: 'Brandenburg', holidays: [local(EASTER_SUNDAY, 'Ostersonntag'), local(WHIT_SUNDAY, 'Pfingstsonntag'), GERMAN_REFORMATION_DAY] },
+      'DE-HB': { name: 'Bremen', holidays: [{ ...GERMAN_REFORMATION_DAY, since: 2018 }] },
+      'DE-HH': { name: 'Hamburg', holidays: [{ ...GERMAN_REFORMATION_DAY, since: 2018 }] },
+      'DE-HE': { name: 'Hesse', holidays: [local(CORPUS_CHRISTI, 'Fronleichnam')] },
+      'DE-MV': { name: 'Mecklenburg-Vorpommern', holidays: [{ month: 3, day: 8, name: "International Women's Day", localName: 'Internationaler Frauentag', since: 2023 }, GERMAN_REFORMATION_DAY] },
+      'DE-NI': { name: 'Lower Saxony', holidays: [{ ...GERMAN_REFORMATION_DAY, since: 2018 }] },
+      'DE-NW': { name: 'North Rhine-Westphalia', holidays: [local(CORPUS_CHRISTI, 'Fronleichnam'), local(ALL_SAINTS, 'Allerheiligen')] },
+      'DE-RP': { name: 'Rhineland-Palatinate', holidays: [local(CORPUS_CHRISTI, 'Fronleichnam'), local(ALL_SAINTS, 'Allerheiligen')] },
+      'DE-SL': { name: 'Saarland', holidays: [local(CORPUS_CHRISTI, 'Fronleichnam'), local(ASSUMPTION, 'Mariä Himmelfahrt'), local(ALL_SAINTS, 'Allerheiligen')] },
+      'DE-SN': { name: 'Saxony', holidays: [GERMAN_REFORMATION_DAY, { month: 11, day: 22, weekday: 3, onOrBefore: true, name: 'Day of Repentance and Prayer', localName: 'Buß- und Bettag' }] },
+      'DE-ST': { name: 'Saxony-Anhalt', holidays: [local(EPIPHANY, 'Heilige Drei Könige'), GERMAN_REFORMATION_DAY] },
+      'DE-SH': { name: 'Schleswig-Holstein', holidays: [{ ...GERMAN_REFORMATION_DAY, since: 2018 }] },
+      'DE-TH': { name: 'Thuringia', holidays: [{ month: 9, day: 20, name: "World Children's Day", localName: 'Weltkindertag', since: 2019 }, GERMAN_REFORMATION_DAY] },
+    },
+  },
+  EE: {
+    name: 'Estonia',
+    holidays: [
+      local(NEW_YEAR, 'Uusaasta'),
+      { month: 2, day: 24, name: 'Independence Day', localName: 'Iseseisvuspäev' },
+      local(GOOD_FRIDAY, 'Suur reede'),
+      local(EASTER_SUNDAY, 'Ülestõusmispühade 1. püha'),
+      local(LABOUR_DAY, 'Kevadpüha', { name: 'Spring Day' }),
+      local(WHIT_SUNDAY, 'Nelipühade 1. püha'),
+      { month: 6, day: 23, name: 'Victory Day', localName: 'Võidupüha' },
+      { month: 6, day: 24, name: 'Midsummer Day', localName: 'Jaanipäev' },
+      { month: 8, day: 20, name: 'Day of Restoration of Independence', localName: 'Taasiseseisvumispäev' },
+      local(CHRISTMAS_EVE, 'Jõululaupäev'),
+      local(CHRISTMAS, 'Esimene jõulupüha'),
+      local(SECOND_CHRISTMAS, 'Teine jõulupüha'),
+    ],
+  },
+  ES: {
+    name: 'Spain',
+    holidays: [
+      local(NEW_YEAR, 'Año Nuevo'),
+      local(EPIPHANY, 'Epifanía del Señor'),
+      local(GOOD_FRIDAY, 'Viernes Santo'),
+      local(LABOUR_DAY, 'Fiesta del Trabajo'),
+      local(ASSUMPTION, 'Asunción de la Virgen'),
+      { month: 10, day: 12, name: 'National Day', localName: 'Fiesta Nacional de España' },
+      local(ALL_SAINTS, 'Todos los Santos'),
+      { month: 12, day: 6, name: 'Constitution Day', localName: 'Día de la Constitución' },
+      local(IMMACULATE_CONCEPTION, 'Inmaculada Concepción'),
+      local(CHRISTMAS, 'Natividad del Señor'),
+    ],
+  },
+  FR: {
+    name: 'France',
+    holidays: [
+      local(NEW_YEAR, "Jour de l'an"),
+      local(EASTER_MONDAY, 'Lundi de Pâques'),
+      local(LABOUR_DAY, 'Fête du Travail'),
+      { month: 5, day: 8, name: 'Victory in Europe Day', localName: 'Victoire 1945' },
+      local(ASCENSION, 'Ascension'),
+      local(WHIT_MONDAY, 'Lundi de Pentecôte'),
+      { month: 7, day: 14, name: 'Bastille Day', localName: 'Fête nationale' },
+      local(ASSUMPTION, 'Assomption'),
+      local(ALL_SAINTS, 'Toussaint'),
+      { month: 11, day: 11, name: 'Armistice Day', localName: 'Armistice 1918' },
+      local(CHRISTMAS, 'Noël'),
+    ],
+  },
+  IT: {
+    name: 'Italy',
+    holidays: [
+      local(NEW_YEAR, 'Capodanno'),
+      local(EPIPHANY, 'Epifania'),
+      local(EASTER_SUNDAY, 'Pasqua'),
+      local(EASTER_MONDAY, "Lunedì dell'Angelo"),
+      { month: 4, day: 25, name: 'Liberation Day', localName: 'Festa della Liberazione' },
+      local(LABOUR_DAY, 'Festa del Lavoro'),
+      { month: 6, day: 2, name: 'Republic Day', localName: 'Festa della Repubblica' },
+      local(ASSUMPTION, 'Ferragosto'),
+      local(ALL_SAINTS, 'Ognissanti'),
+      local(IMMACULATE_CONCEPTION, 'Immacolata Concezione'),
+      local(CHRISTMAS, 'Natale'),
+      local(SECOND_CHRISTMAS, 'Santo Stefano', { name: "St. Stephen's Day" }),
+    ],
+  },
+  LT: {
+    name: 'Lithuania',
+    holidays: [
+      local(NEW_YEAR, 'Naujieji metai'),
+      { month: 2, day: 16, name: 'Day of Restoration of the State of Lithuania', localName: 'Lietuvos valstybės atkūrimo diena' },
+      { month: 3, day: 11, name: 'Day of Restoration of Independence of Lithuania', localName: 'Lietuvos nepriklausomybės atkūrimo diena' },
+      local(EASTER_SUNDAY, 'Velykos'),
+      local(EASTER_MONDAY, 'Antroji Velykų diena'),
+      local(LABOUR_DAY, 'Tarptautinė darbo diena'),
+      { month: 6, day: 24, name: "St. John's Day", localName: 'Joninės' },
+      { month: 7, day: 6, name: 'Statehood Day', localName: 'Valstybės diena' },
+      local(ASSUMPTION, 'Žolinė'),
+      local(ALL_SAINTS, 'Visų šventųjų diena'),
+      { month: 11, day: 2, name: "All Souls' Day", localName: 'Vėlinės', since: 2020 },
+      local(CHRISTMAS_EVE, 'Kūčios'),
+      local(CHRISTMAS, 'Kalėdos'),
+      local(SECOND_CHRISTMAS, 'Antroji Kalėdų diena'),
+    ],
+  },
+  LV: {
+    name: 'Latvia',
+    holidays: [
+      local(NEW_YEAR, 'Jaungada diena'),
+      local(GOOD_FRIDAY, 'Lielā Piektdiena'),
+      local(EASTER_SUNDAY, 'Lieldienas'),
+      local(EASTER_MONDAY, 'Otrās Lieldienas'),
+      local(LABOUR_DAY, 'Darba svētki'),
+      { month: 5, day: 4, name: 'Restoration of Independence Day', localName: 'Latvijas Republikas Neatkarības atjaunošanas diena' },
+      local(WHIT_SUNDAY, 'Vasarsvētki'),
+      { month: 6, day: 23, name: 'Midsummer Eve', localName: 'Līgo diena' },
+      { month: 6, day: 24, name: 'Midsummer Day', localName: 'Jāņi' },
+      { month: 11, day: 18, name: 'Proclamation Day', localName: 'Latvijas Republikas proklamēšanas diena' },
+      local(CHRISTMAS_EVE, 'Ziemassvētku vakars'),
+      local(CHRISTMAS, 'Ziemassvētki'),
+      local(SECOND_CHRISTMAS, 'Otrie Ziemassvētki'),
+      { month: 12, day: 31, name: "New Year's Eve", localName: 'Vecgada diena' },
+    ],
+  },
+  PL: {
+    name: 'Poland',
+    holidays: [
+      local(NEW_YEAR, 'Nowy Rok'),
+      local(EPIPHANY, 'Święto Trzech Króli'),
+      local(EASTER_SUNDAY, 'Wielkanoc'),
+      local(EASTER_MONDAY, 'Poniedziałek Wielkanocny'),
+      local(LABOUR_DAY, 'Święto Pracy'),
+      { month: 5, day: 3, name: 'Constitution Day', localName: 'Święto Konstytucji 3 Maja' },
+      local(WHIT_SUNDAY, 'Zielone Świątki'),
+      local(CORPUS_CHRISTI, 'Boże Ciało'),
+      local(ASSUMPTION, 'Wniebowzięcie Najświętszej Maryi Panny'),
+      local(ALL_SAINTS, 'Wszystkich Świętych'),
+      { month: 11, day: 11, name: 'Independence Day', localName: 'Narodowe Święto Niepodległości' },
+      local(CHRISTMAS_EVE, 'Wigilia Bożego Narodzenia', { since: 2025 }),
+      local(CHRISTMAS, 'Boże Narodzenie'),
+      local(SECOND_CHRISTMAS, 'Drugi dzień Bożego Narodzenia'),
+    ],
+  },
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const toIsoDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+// Gregorian Easter Sunday (anonymous Gregorian algorithm), as a UTC date
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// The rule's date in `year` (YYYY-MM-DD), or null when it doesn't apply that year
+const resolveRuleDate = (rule, year, easter) => {
+  if ((rule.since && year < rule.since) || (rule.until && year > rule.until)) return null;
+
+  if (rule.easter !== undefined) {
+    const date = new Date(easter);
+    date.setUTCDate(date.getUTCDate() + rule.easter);
+    return toIsoDate(date);
+  }
+
+  const date = new Date(Date.UTC(year, rule.month - 1, rule.day));
+  if (rule.onOrBefore) {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - rule.weekday + 7) % 7));
+  }
+  return toIsoDate(date);
+};
+
+// "DE-BY" -> { country: DE rules, region: Bavaria rules }; null when unknown
+const findRegionRules = (code) => {
+  const [countryCode] = code.split('-');
+  const country = HOLIDAY_RULES[countryCode];
+  if (!country) return null;
+  if (code === countryCode) return { country, region: null };
+  const region = country.regions?.[code];
+  return region ? { country, region } : null;
+};
+
+/**
+ * Public holidays of a country ("PL") or region ("DE-BY") in a year, by date.
+ * @returns {Array<{ date: string, name: string, localName: string, type: string, isPublic: boolean }>}
+ */
+const getRuleHolidays = (code, year) => {
+  const rules = findRegionRules(code);
+  if (!rules) return [];
+
+  const easter = getEasterSunday(year);
+  const toHoliday = (type) => (rule) => {
+    const date = resolveRuleDate(rule, year, easter);
+    return date && { date, name: rule.name, localName: rule.localName || rule.name, type, isPublic: true };
+  };
+
+  return [
+    ...rules.country.holidays.map(toHoliday('National')),
+    ...(rules.region ? rules.region.holidays.map(toHoliday('Regional')) : []),
+  ]
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const rulesProvider = {
+  id: 'rules',
+  label: 'Built-in holiday rules',
+  getHolidays: async (code, year) => getRuleHolidays(code, year),
+};
+
+module.exports = {
+  HOLIDAY_RULES,
+  getEasterSunday,
+  findRegionRules,
+  getRuleHolidays,
+  rulesProvider,
+};
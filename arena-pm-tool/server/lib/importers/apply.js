@@ -0,0 +1,220 @@
+// Create a workspace's categories, tasks, subtasks, assignments and comments
+// from an import plan (see ./common.js). Runs on the caller's transaction client.
+
+const { getWorkspaceStatuses, findStatus, getFirstStatusKey } = require('../workflowStatuses');
+const { getWorkspacePlanLimits, countWorkspaceTasks } = require('../../middleware/planLimits');
+const { MAX_COMMENT_LENGTH } = require('./common');
+
+const DEFAULT_CATEGORY_COLOR = '#3B82F6';
+// How often (in processed tasks) onProgress is called
+const PROGRESS_INTERVAL = 25;
+// The summary lists this many skipped items; skippedCount has the total
+const MAX_REPORTED_SKIPS = 100;
+
+// Match a person from the export to a workspace member: by email, then by a
+// name no other member shares
+const createMemberMatcher = (members) => {
+  const byEmail = new Map(members.map((m) => [m.email.toLowerCase(), m]));
+  const byName = new Map();
+  members.forEach((m) => {
+    const name = (m.name || '').trim().toLowerCase();
+    if (!name) return;
+    byName.set(name, byName.has(name) ? null : m);
+  });
+
+  return (person) => {
+    if (!person) return null;
+    if (person.email && byEmail.has(person.email.toLowerCase())) return byEmail.get(person.email.toLowerCase());
+    const name = (person.name || '').trim().toLowerCase();
+    return (name && byName.get(name)) || null;
+  };
+};
+
+// The workspace status named like the source status, else the first status of
+// its category, else where new tasks start
+const createStatusResolver = (statuses) => {
+  const defaultKey = getFirstStatusKey(statuses, 'not_started') || statuses[0].key;
+  return (task) => {
+    const name = (task.statusName || '').trim().toLowerCase();
+    const named = name && statuses.find((s) => s.name.toLowerCase() === name);
+    if (named) return named;
+    const key = (task.statusCategory && getFirstStatusKey(statuses, task.statusCategory)) || defaultKey;
+    return findStatus(statuses, key);
+  };
+};
+
+const formatCategory = (row) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color,
+  position: row.position,
+  workspaceId: row.workspace_id,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Apply a plan to a workspace.
+ * Top-level tasks beyond the plan's task limit are skipped (with their subtasks).
+ * @param {Object} db - Transaction client
+ * @param {{ workspaceId: string, userId: number|null, sourceLabel: string }} job
+ * @param {Object} plan - From parseExternalImport
+ * @param {{ onProgress?: (processed: number) => Promise<void> }} [options]
+ * @returns {Promise<{ summary: Object, tasks: Object[], categories: Object[] }>}
+ */
+const applyImportPlan = async (db, { workspaceId, userId, sourceLabel }, plan, { onProgress } = {}) => {
+  const statuses = await getWorkspaceStatuses(workspaceId, db);
+  const resolveStatus = createStatusResolver(statuses);
+
+  const membersResult = await db.query(`
+    SELECT u.id, u.email, u.name
+    FROM workspace_members wm
+    JOIN users u ON u.id = wm.user_id
+    WHERE wm.workspace_id = $1
+  `, [workspaceId]);
+  const findMember = createMemberMatcher(membersResult.rows);
+
+  const planLimits = await getWorkspacePlanLimits(workspaceId);
+  let remaining = Infinity;
+  if (planLimits.maxTasksPerWorkspace !== null && planLimits.maxTasksPerWorkspace !== undefined) {
+    remaining = Math.max(planLimits.maxTasksPerWorkspace - await countWorkspaceTasks(workspaceId), 0);
+  }
+
+  // Reuse categories that already have the list's name
+  const categoriesResult = await db.query(
+    'SELECT id, name, position FROM categories WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  const categoryIds = new Map(categoriesResult.rows.map((c) => [c.name.toLowerCase(), c.id]));
+  let nextCategoryPosition = Math.max(-1, ...categoriesResult.rows.map((c) => c.position || 0)) + 1;
+  const createdCategories = [];
+  let categoriesReused = 0;
+
+  for (const list of plan.lists) {
+    if (categoryIds.has(list.toLowerCase())) {
+      categoriesReused++;
+      continue;
+    }
+    const result = await db.query(`
+      INSERT INTO categories (name, color, position, created_by, workspace_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [list, DEFAULT_CATEGORY_COLOR, nextCategoryPosition++, userId, workspaceId]);
+    categoryIds.set(list.toLowerCase(), result.rows[0].id);
+    createdCategories.push(formatCategory(result.rows[0]));
+  }
+
+  // Tasks go after a category's existing tasks; subtasks are numbered per parent
+  const positionsResult = await db.query(`
+    SELECT category_id, COALESCE(MAX(position), -1) + 1 AS next_position
+    FROM tasks WHERE workspace_id = $1 AND category_id IS NOT NULL
+    GROUP BY category_id
+  `, [workspaceId]);
+  const nextPositions = new Map(positionsResult.rows.map((row) => [row.category_id, row.next_position]));
+  const takePosition = (key) => {
+    const position = nextPositions.get(key) || 0;
+    nextPositions.set(key, position + 1);
+    return position;
+  };
+
+  const taskIds = new Map();
+  const skippedRefs = new Set();
+  const skipped = [...plan.skipped];
+  const unmatchedUsers = new Set();
+  const createdTasks = [];
+  const counts = { tasksCreated: 0, subtasksCreated: 0, commentsCreated: 0, assignmentsCreated: 0 };
+
+  const matchPerson = (person) => {
+    const member = findMember(person);
+    if (!member && (person?.email || person?.name)) unmatchedUsers.add(person.email || person.name);
+    return member;
+  };
+
+  let processed = 0;
+  for (const task of plan.tasks) {
+    const parentId = task.parentRef ? taskIds.get(task.parentRef) : null;
+
+    if (task.parentRef && skippedRefs.has(task.parentRef)) {
+      skippedRefs.add(task.ref);
+      skipped.push({ item: `"${task.title}"`, reason: 'Its parent task was skipped' });
+    } else if (!parentId && remaining <= 0) {
+      skippedRefs.add(task.ref);
+      skipped.push({ item: `"${task.title}"`, reason: 'The workspace reached its task limit' });
+    } else {
+      if (!parentId) remaining--;
+
+      const status = resolveStatus(task);
+      const categoryId = task.list ? categoryIds.get(task.list.toLowerCase()) : null;
+      const position = parentId ? takePosition(`parent:${parentId}`) : takePosition(categoryId);
+
+      const result = await db.query(`
+        INSERT INTO tasks (
+          title, description, category_id, priority, status, due_date, completed_at,
+          position, parent_task_id, created_by, workspace_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id, title, status, priority, due_date, category_id, parent_task_id
+      `, [
+        task.title,
+        task.description,
+        categoryId || null,
+        task.priority || 'medium',
+        status.key,
+        task.dueDate,
+        status.category === 'done' ? new Date() : null,
+        position,
+        parentId || null,
+        userId,
+        workspaceId,
+      ]);
+      const newTask = result.rows[0];
+      taskIds.set(task.ref, newTask.id);
+      createdTasks.push(newTask);
+      counts[parentId ? 'subtasksCreated' : 'tasksCreated']++;
+
+      const assigneeIds = [...new Set(task.assignees.map(matchPerson).filter(Boolean).map((m) => m.id))];
+      if (assigneeIds.length > 0) {
+        const assigneeValues = assigneeIds.map((_, idx) => `($1, $${idx + 2})`).join(', ');
+        await db.query(
+          `INSERT INTO task_assignments (task_id, user_id) VALUES ${assigneeValues}`,
+          [newTask.id, ...assigneeIds]
+        );
+        counts.assignmentsCreated += assigneeIds.length;
+      }
+
+      // Comments by people who aren't members are posted by the importer, credited in the text
+      for (const comment of task.comments) {
+        const author = matchPerson(comment.author);
+        const content = author
+          ? comment.content
+          : `${comment.author?.name || 'Someone'} (via ${sourceLabel}): ${comment.content}`.slice(0, MAX_COMMENT_LENGTH);
+        await db.query(
+          'INSERT INTO comments (task_id, author_id, content, created_at) VALUES ($1, $2, $3, COALESCE($4::timestamptz, NOW()))',
+          [newTask.id, author ? author.id : userId, content, comment.createdAt]
+        );
+        counts.commentsCreated++;
+      }
+    }
+
+    processed++;
+    if (onProgress && processed % PROGRESS_INTERVAL === 0) {
+      await onProgress(processed);
+    }
+  }
+
+  return {
+    summary: {
+      ...counts,
+      categoriesCreated: createdCategories.length,
+      categoriesReused,
+      skippedCount: skipped.length,
+      skipped: skipped.slice(0, MAX_REPORTED_SKIPS),
+      unmatchedUsers: [...unmatchedUsers],
+    },
+    tasks: createdTasks,
+    categories: createdCategories,
+  };
+};
+
+module.exports = { applyImportPlan };
@@ -0,0 +1,67 @@
+// Asana project CSV export (Project menu > Export/Print > CSV).
+// Sections become categories, and "Parent task" (the parent's name) makes a
+// subtask. Asana's CSV has no comments. Completed tasks keep their completion.
+
+const {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_LIST_NAME_LENGTH,
+  cleanText,
+  mapPriority,
+  toDateOnly,
+  readCsvTable,
+  orderParentsFirst,
+  collectLists,
+} = require('./common');
+
+const parseAsanaCsv = (text) => {
+  const table = readCsvTable(text);
+  if (!table.hasColumn('Task ID') || !table.hasColumn('Name')) {
+    throw new Error('This is not an Asana CSV export');
+  }
+
+  const tasks = [];
+  const skipped = [];
+  const refsByName = new Map();
+
+  table.rows.forEach((row, idx) => {
+    const ref = table.get(row, 'Task ID') || `row-${idx + 1}`;
+    const title = cleanText(table.get(row, 'Name'), MAX_TITLE_LENGTH);
+    if (!title) {
+      skipped.push({ item: `Row ${idx + 1}`, reason: 'Task has no name' });
+      return;
+    }
+    if (!refsByName.has(title)) refsByName.set(title, ref);
+
+    const assigneeEmail = table.get(row, 'Assignee Email');
+    const assigneeName = table.get(row, 'Assignee');
+
+    tasks.push({
+      ref,
+      parentName: table.get(row, 'Parent task') || null,
+      title,
+      description: cleanText(table.get(row, 'Notes'), MAX_DESCRIPTION_LENGTH) || null,
+      list: cleanText(table.get(row, 'Section/Column'), MAX_LIST_NAME_LENGTH) || null,
+      statusName: null,
+      statusCategory: table.get(row, 'Completed At') ? 'done' : null,
+      priority: mapPriority(table.get(row, 'Priority')),
+      dueDate: toDateOnly(table.get(row, 'Due Date')),
+      assignees: assigneeEmail || assigneeName ? [{ email: assigneeEmail || null, name: assigneeName || null }] : [],
+      comments: [],
+    });
+  });
+
+  // Parents are named, not referenced by id
+  const withParents = tasks.map(({ parentName, ...task }) => ({
+    ...task,
+    parentRef: parentName ? refsByName.get(cleanText(parentName, MAX_TITLE_LENGTH)) || null : null,
+  }));
+
+  return {
+    lists: collectLists(withParents),
+    tasks: orderParentsFirst(withParents),
+    skipped,
+  };
+};
+
+module.exports = { parseAsanaCsv };
@@ -0,0 +1,131 @@
+// Shared helpers for the Trello, Asana and Jira importers.
+//
+// Each importer turns an export into the same plan:
+//   {
+//     lists: ['Backlog', 'Doing'],     // categories, in board order
+//     tasks: [{
+//       ref, parentRef,                // source ids; parentRef makes a subtask
+//       title, description, list,      // list is a category name or null
+//       statusName, statusCategory,    // matched against the workspace's statuses
+//       priority, dueDate,             // 'low'..'urgent' or null, YYYY-MM-DD or null
+//       assignees: [{ email, name }],
+//       comments: [{ author: { email, name }, content, createdAt }],
+//     }],
+//     skipped: [{ item, reason }],     // things the export has that are not imported
+//   }
+// Parents always come before their subtasks.
+
+const { parseCsv } = require('../taskImport');
+
+const MAX_TITLE_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 10000;
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_LIST_NAME_LENGTH = 100;
+
+// Strip HTML tags (as the request schemas do) and cut to the column's length
+const cleanText = (value, maxLength) => {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/<[^>]*>/g, '').trim().slice(0, maxLength);
+};
+
+const PRIORITY_NAMES = {
+  urgent: ['urgent', 'highest', 'critical', 'blocker'],
+  high: ['high', 'major'],
+  medium: ['medium', 'normal'],
+  low: ['low', 'lowest', 'minor', 'trivial'],
+};
+
+// Map a source priority name to ours, or null when it isn't one
+const mapPriority = (value) => {
+  const name = String(value || '').trim().toLowerCase();
+  if (!name) return null;
+  const match = Object.entries(PRIORITY_NAMES).find(([, names]) => names.includes(name));
+  return match ? match[0] : null;
+};
+
+// Best guess at a status category from a status or list name
+const guessStatusCategory = (name) => {
+  const value = String(name || '').toLowerCase();
+  if (/\b(done|closed|resolved|complete|completed|finished)\b/.test(value)) return 'done';
+  if (/\b(progress|doing|review|testing|qa|started)\b/.test(value)) return 'active';
+  return null;
+};
+
+// The calendar date of a YYYY-MM-DD value or ISO timestamp
+const toDateOnly = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || '').trim());
+  return match ? match[1] : null;
+};
+
+/**
+ * Read a CSV export into its header and non-blank rows.
+ * Column lookups ignore case, and getAll() returns every column with the name
+ * (Jira repeats "Comment", "Labels", ... once per value).
+ */
+const readCsvTable = (text) => {
+  const [header = [], ...rows] = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  const names = header.map((name) => name.trim().toLowerCase());
+
+  const indexesOf = (name) => names.reduce((found, column, idx) => (
+    column === name.toLowerCase() ? [...found, idx] : found
+  ), []);
+
+  return {
+    hasColumn: (name) => indexesOf(name).length > 0,
+    rows: rows.filter((cells) => cells.some((value) => value.trim() !== '')),
+    get: (row, name) => {
+      const [idx] = indexesOf(name);
+      return idx === undefined ? '' : (row[idx] || '').trim();
+    },
+    getAll: (row, name) => indexesOf(name).map((idx) => (row[idx] || '').trim()).filter(Boolean),
+  };
+};
+
+// Put every parent before its subtasks; a missing parent makes a top-level task
+const orderParentsFirst = (tasks) => {
+  const byRef = new Map(tasks.map((task) => [task.ref, task]));
+  const ordered = [];
+  const placed = new Set();
+
+  const place = (task, seen = new Set()) => {
+    if (placed.has(task.ref)) return;
+    if (task.parentRef && (!byRef.has(task.parentRef) || seen.has(task.ref))) {
+      task.parentRef = null;
+    }
+    if (task.parentRef) {
+      seen.add(task.ref);
+      place(byRef.get(task.parentRef), seen);
+      // A cycle may have placed this task already
+      if (placed.has(task.ref)) return;
+    }
+    placed.add(task.ref);
+    ordered.push(task);
+  };
+
+  tasks.forEach((task) => place(task));
+  return ordered;
+};
+
+// The lists used by the plan's tasks, in first-seen order
+const collectLists = (tasks, knownLists = []) => {
+  const used = new Set(tasks.map((task) => task.list).filter(Boolean));
+  const lists = knownLists.filter((name) => used.has(name));
+  used.forEach((name) => {
+    if (!lists.includes(name)) lists.push(name);
+  });
+  return lists;
+};
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_COMMENT_LENGTH,
+  MAX_LIST_NAME_LENGTH,
+  cleanText,
+  mapPriority,
+  guessStatusCategory,
+  toDateOnly,
+  readCsvTable,
+  orderParentsFirst,
+  collectLists,
+};
@@ -0,0 +1,64 @@
+// Importers for other tools' exports - Trello board JSON, Asana CSV and Jira CSV
+// Usage: const plan = parseExternalImport('trello', fileText);
+//        const { summary } = await applyImportPlan(client, { workspaceId, userId, sourceLabel }, plan); // ./apply
+//
+// Imports run as import_jobs rows processed by jobs/importJob.js, so a large
+// board doesn't hold up the upload request. See ./common.js for the plan format.
+
+const { parseTrelloBoard } = require('./trello');
+const { parseAsanaCsv } = require('./asana');
+const { parseJiraCsv } = require('./jira');
+
+const IMPORT_SOURCES = {
+  trello: { label: 'Trello', parse: parseTrelloBoard },
+  asana: { label: 'Asana', parse: parseAsanaCsv },
+  jira: { label: 'Jira', parse: parseJiraCsv },
+};
+
+const MAX_IMPORT_FILE_BYTES = 10 * 1024 * 1024;
+// Tasks plus subtasks (checklist items count too)
+const MAX_IMPORT_ITEMS = 5000;
+
+/**
+ * Parse an export into an import plan.
+ * Throws with a user-facing message when the file isn't a usable export.
+ */
+const parseExternalImport = (source, text) => {
+  const importer = IMPORT_SOURCES[source];
+  if (!importer) {
+    throw new Error(`Unknown import source "${source}"`);
+  }
+
+  const plan = importer.parse(text);
+  if (plan.tasks.length === 0) {
+    throw new Error(`The ${importer.label} export has no tasks to import`);
+  }
+  if (plan.tasks.length > MAX_IMPORT_ITEMS) {
+    throw new Error(`The ${importer.label} export has ${plan.tasks.length} tasks and subtasks; at most ${MAX_IMPORT_ITEMS} can be imported at once`);
+  }
+  return plan;
+};
+
+const formatImportJob = (row) => ({
+  id: row.id,
+  workspaceId: row.workspace_id,
+  userId: row.user_id,
+  source: row.source,
+  fileName: row.file_name,
+  status: row.status,
+  totalItems: row.total_items,
+  processedItems: row.processed_items,
+  summary: row.summary || null,
+  error: row.error || null,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+});
+
+module.exports = {
+  IMPORT_SOURCES,
+  MAX_IMPORT_FILE_BYTES,
+  MAX_IMPORT_ITEMS,
+  parseExternalImport,
+  formatImportJob,
+};
@@ -0,0 +1,129 @@
+// Jira CSV export (Filters > Export > Export CSV (all fields)).
+// Each project becomes a category, "Parent" / "Parent id" makes a subtask and
+// every "Comment" column becomes a comment. Jira exports account ids rather than
+// emails, so people are matched by the "Assignee Email" column when the export
+// has one and by display name otherwise.
+
+const {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_COMMENT_LENGTH,
+  MAX_LIST_NAME_LENGTH,
+  cleanText,
+  mapPriority,
+  guessStatusCategory,
+  toDateOnly,
+  readCsvTable,
+  orderParentsFirst,
+  collectLists,
+} = require('./common');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Jira's "Status Category" column
+const STATUS_CATEGORIES = {
+  'to do': 'not_started',
+  'in progress': 'active',
+  done: 'done',
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Jira writes dates as "21/Mar/24 10:15 AM" unless the instance is set to ISO
+const parseJiraDateTime = (value) => {
+  const text = String(value || '').trim();
+  const iso = toDateOnly(text);
+  if (iso) return { date: iso, dateTime: Number.isNaN(Date.parse(text)) ? null : new Date(text).toISOString() };
+
+  const match = /^(\d{1,2})\/([A-Za-z]{3})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})\s*([AP]M)?)?/i.exec(text);
+  if (!match) return null;
+  const [, day, monthName, yearText, hourText, minute, meridiem] = match;
+  const month = MONTHS.indexOf(monthName.toLowerCase());
+  if (month === -1) return null;
+
+  const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+  let hour = Number(hourText || 0);
+  if (meridiem && meridiem.toUpperCase() === 'PM' && hour < 12) hour += 12;
+  if (meridiem && meridiem.toUpperCase() === 'AM' && hour === 12) hour = 0;
+
+  const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+  return { date, dateTime: `${date}T${pad(hour)}:${minute || '00'}:00.000Z` };
+};
+
+const parseJiraCsv = (text) => {
+  const table = readCsvTable(text);
+  if (!table.hasColumn('Summary') || !(table.hasColumn('Issue id') || table.hasColumn('Issue key'))) {
+    throw new Error('This is not a Jira CSV export');
+  }
+
+  // Comments name their author by account id; the people columns map ids to names
+  const namesById = new Map();
+  table.rows.forEach((row) => {
+    ['Assignee', 'Reporter', 'Creator'].forEach((column) => {
+      const id = table.get(row, `${column} Id`);
+      const name = table.get(row, column);
+      if (id && name) namesById.set(id, name);
+    });
+  });
+
+  const tasks = [];
+  const skipped = [];
+  const refsByKey = new Map();
+
+  table.rows.forEach((row, idx) => {
+    const key = table.get(row, 'Issue key');
+    const ref = table.get(row, 'Issue id') || key || `row-${idx + 1}`;
+    if (key) refsByKey.set(key, ref);
+
+    const title = cleanText(table.get(row, 'Summary'), MAX_TITLE_LENGTH);
+    if (!title) {
+      skipped.push({ item: key || `Row ${idx + 1}`, reason: 'Issue has no summary' });
+      return;
+    }
+
+    const statusName = table.get(row, 'Status');
+    const assigneeEmail = table.get(row, 'Assignee Email');
+    const assigneeName = table.get(row, 'Assignee');
+
+    const comments = table.getAll(row, 'Comment').map((cell) => {
+      // "21/Mar/24 10:15 AM;557058:f1c2...;The comment text"
+      const [when, authorId, ...body] = cell.split(';');
+      const timestamp = body.length > 0 ? parseJiraDateTime(when) : null;
+      if (!timestamp) {
+        return { author: { email: null, name: null }, content: cleanText(cell, MAX_COMMENT_LENGTH), createdAt: null };
+      }
+      return {
+        author: { email: null, name: namesById.get(authorId) || null },
+        content: cleanText(body.join(';'), MAX_COMMENT_LENGTH),
+        createdAt: timestamp.dateTime,
+      };
+    }).filter((comment) => comment.content);
+
+    tasks.push({
+      ref,
+      parentRef: table.get(row, 'Parent id') || table.get(row, 'Parent') || null,
+      title,
+      description: cleanText(table.get(row, 'Description'), MAX_DESCRIPTION_LENGTH) || null,
+      list: cleanText(table.get(row, 'Project name'), MAX_LIST_NAME_LENGTH) || null,
+      statusName: statusName || null,
+      statusCategory: STATUS_CATEGORIES[table.get(row, 'Status Category').toLowerCase()] || guessStatusCategory(statusName),
+      priority: mapPriority(table.get(row, 'Priority')),
+      dueDate: parseJiraDateTime(table.get(row, 'Due Date') || table.get(row, 'Due date'))?.date || null,
+      assignees: assigneeEmail || assigneeName ? [{ email: assigneeEmail || null, name: assigneeName || null }] : [],
+      comments,
+    });
+  });
+
+  // "Parent" may hold the parent's key rather than its id
+  tasks.forEach((task) => {
+    if (task.parentRef && refsByKey.has(task.parentRef)) task.parentRef = refsByKey.get(task.parentRef);
+  });
+
+  return {
+    lists: collectLists(tasks),
+    tasks: orderParentsFirst(tasks),
+    skipped,
+  };
+};
+
+module.exports = { parseJiraCsv, parseJiraDateTime };
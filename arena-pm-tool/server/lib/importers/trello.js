@@ -0,0 +1,132 @@
+// Trello board JSON export (Board menu > Print, export and share > Export as JSON).
+// Lists become categories, cards become tasks, checklist items become subtasks
+// and comment actions become comments. Archived cards and lists are skipped.
+// Trello only includes member emails for some accounts, so members are also
+// matched by full name.
+
+const {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_COMMENT_LENGTH,
+  MAX_LIST_NAME_LENGTH,
+  cleanText,
+  mapPriority,
+  guessStatusCategory,
+  toDateOnly,
+  collectLists,
+} = require('./common');
+
+const byPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+const toPerson = (member) => ({
+  email: member?.email || null,
+  name: member?.fullName || member?.username || null,
+});
+
+const parseTrelloBoard = (text) => {
+  let board;
+  try {
+    board = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!board || !Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+    throw new Error('This is not a Trello board export');
+  }
+
+  const members = new Map((board.members || []).map((member) => [member.id, member]));
+  const lists = new Map(board.lists.map((list) => [list.id, list]));
+  const listOrder = [...board.lists].sort(byPosition);
+  const listRank = new Map(listOrder.map((list, idx) => [list.id, idx]));
+
+  const commentsByCard = new Map();
+  (board.actions || [])
+    .filter((action) => action.type === 'commentCard' && action.data?.card?.id && action.data?.text)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach((action) => {
+      const cardId = action.data.card.id;
+      if (!commentsByCard.has(cardId)) commentsByCard.set(cardId, []);
+      commentsByCard.get(cardId).push({
+        author: toPerson(members.get(action.idMemberCreator) || action.memberCreator),
+        content: cleanText(action.data.text, MAX_COMMENT_LENGTH),
+        createdAt: action.date || null,
+      });
+    });
+
+  const checklistsByCard = new Map();
+  (board.checklists || []).forEach((checklist) => {
+    if (!checklistsByCard.has(checklist.idCard)) checklistsByCard.set(checklist.idCard, []);
+    checklistsByCard.get(checklist.idCard).push(checklist);
+  });
+
+  const tasks = [];
+  const skipped = [];
+
+  const cards = [...board.cards].sort((a, b) => (
+    (listRank.get(a.idList) ?? Infinity) - (listRank.get(b.idList) ?? Infinity) || byPosition(a, b)
+  ));
+
+  cards.forEach((card) => {
+    const list = lists.get(card.idList);
+    const label = `Card "${card.name}"`;
+    if (card.closed) {
+      skipped.push({ item: label, reason: 'Archived card' });
+      return;
+    }
+    if (!list || list.closed) {
+      skipped.push({ item: label, reason: 'Card is in an archived list' });
+      return;
+    }
+
+    const title = cleanText(card.name, MAX_TITLE_LENGTH);
+    if (!title) {
+      skipped.push({ item: `Card ${card.id}`, reason: 'Card has no name' });
+      return;
+    }
+
+    const listName = cleanText(list.name, MAX_LIST_NAME_LENGTH) || null;
+    const priorityLabel = (card.labels || []).map((l) => mapPriority(l.name)).find(Boolean);
+
+    tasks.push({
+      ref: card.id,
+      parentRef: null,
+      title,
+      description: cleanText(card.desc, MAX_DESCRIPTION_LENGTH) || null,
+      list: listName,
+      statusName: list.name,
+      statusCategory: card.dueComplete ? 'done' : guessStatusCategory(list.name),
+      priority: priorityLabel || null,
+      dueDate: toDateOnly(card.due),
+      assignees: (card.idMembers || []).map((id) => toPerson(members.get(id))).filter((p) => p.email || p.name),
+      comments: (commentsByCard.get(card.id) || []).filter((comment) => comment.content),
+    });
+
+    (checklistsByCard.get(card.id) || []).sort(byPosition).forEach((checklist) => {
+      [...(checklist.checkItems || [])].sort(byPosition).forEach((item) => {
+        const itemTitle = cleanText(item.name, MAX_TITLE_LENGTH);
+        if (!itemTitle) return;
+        tasks.push({
+          ref: `${card.id}:${item.id}`,
+          parentRef: card.id,
+          title: itemTitle,
+          description: null,
+          list: listName,
+          statusName: null,
+          statusCategory: item.state === 'complete' ? 'done' : null,
+          priority: null,
+          dueDate: toDateOnly(item.due),
+          assignees: item.idMember ? [toPerson(members.get(item.idMember))] : [],
+          comments: [],
+        });
+      });
+    });
+  });
+
+  return {
+    lists: collectLists(tasks, listOrder.map((list) => cleanText(list.name, MAX_LIST_NAME_LENGTH))),
+    tasks,
+    skipped,
+  };
+};
+
+module.exports = { parseTrelloBoard };
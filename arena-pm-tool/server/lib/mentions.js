@@ -0,0 +1,195 @@
+// Mentions - @name mentions of workspace members in comments
+// Usage: const users = await recordCommentMentions({ commentId, content, workspaceId, authorId })
+//        notifyMentionedUsers({ users, workspaceId, taskId, taskTitle, comment })
+//        notifyTaskParticipants({ workspaceId, taskId, taskTitle, comment, skipUserIds })
+//
+// A mention is "@" followed by a member's full name (case-insensitive), as inserted
+// by the comment box autocomplete. The longest matching name wins, so "@Ann Lee"
+// mentions Ann Lee rather than Ann.
+
+const { query } = require('../config/database');
+const logger = require('./logger');
+const { createNotification, wantsEmail } = require('./notifications');
+const { deliverNotificationEmail } = require('./digests');
+const { queueCommentMentionNotification, queueTaskCommentNotification } = require('../utils/emailQueue');
+
+// Characters that may come right before "@" (so emails aren't read as mentions)
+const MENTION_PREFIX = /[\s([{"'>]/;
+// A name must not run straight into more letters: "@Ann" doesn't mention Annabel
+const NAME_CHAR = /[\p{L}\p{N}_]/u;
+const EXCERPT_LENGTH = 280;
+
+// Members of `members` mentioned in `content`, each once, in order of first mention
+function findMentionedUsers(content, members) {
+  if (!content || !content.includes('@')) return [];
+
+  const candidates = members
+    .filter((member) => member.name)
+    .sort((a, b) => b.name.length - a.name.length);
+  const lowerContent = content.toLowerCase();
+  const found = new Map();
+
+  for (let at = lowerContent.indexOf('@'); at !== -1; at = lowerContent.indexOf('@', at + 1)) {
+    if (at > 0 && !MENTION_PREFIX.test(content[at - 1])) continue;
+
+    const rest = lowerContent.slice(at + 1);
+    const member = candidates.find((candidate) => {
+      const name = candidate.name.toLowerCase();
+      return rest.startsWith(name) && !NAME_CHAR.test(rest.charAt(name.length));
+    });
+    if (member && !found.has(member.id)) found.set(member.id, member);
+  }
+
+  return [...found.values()];
+}
+
+// Workspace members who can be mentioned (same set as the workspace users list)
+async function getMentionableMembers(workspaceId) {
+  const result = await query(`
+    SELECT u.id, u.name, u.email, u.email_notifications_enabled, u.email_digest_mode, u.notification_preferences
+    FROM users u
+    JOIN workspace_members wm ON u.id = wm.user_id
+    WHERE wm.workspace_id = $1
+  `, [workspaceId]);
+  return result.rows;
+}
+
+const toExcerpt = (content) => (
+  content.length > EXCERPT_LENGTH ? `${content.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : content
+);
+
+/**
+ * Store the mentions in a comment and return the members mentioned for the first time.
+ * With `replaceExisting` (edits), mentions removed from the text are dropped too.
+ * Failures are logged, never thrown: a comment is saved even if its mentions aren't.
+ */
+async function recordCommentMentions({ commentId, content, workspaceId, authorId, replaceExisting = false }) {
+  if (!workspaceId) return [];
+  if (!replaceExisting && !content.includes('@')) return [];
+
+  try {
+    const mentioned = content.includes('@')
+      ? findMentionedUsers(content, await getMentionableMembers(workspaceId))
+        .filter((member) => member.id !== authorId)
+      : [];
+    const userIds = mentioned.map((member) => member.id);
+
+    if (replaceExisting) {
+      await query(
+        'DELETE FROM comment_mentions WHERE comment_id = $1 AND NOT (user_id = ANY($2::int[]))',
+        [commentId, userIds]
+      );
+    }
+    if (userIds.length === 0) return [];
+
+    const result = await query(`
+      INSERT INTO comment_mentions (comment_id, user_id)
+      SELECT $1, unnest($2::int[])
+      ON CONFLICT (comment_id, user_id) DO NOTHING
+      RETURNING user_id
+    `, [commentId, userIds]);
+
+    const added = new Set(result.rows.map((row) => row.user_id));
+    return mentioned.filter((member) => added.has(member.id));
+  } catch (error) {
+    logger.error('Comment mention error: %s', error.message);
+    return [];
+  }
+}
+
+// Tell each mentioned member in-app and by email, as their preferences allow.
+// Runs in the background; failures are logged.
+function notifyMentionedUsers({ users, workspaceId, taskId, taskTitle, comment }) {
+  const excerpt = toExcerpt(comment.content);
+
+  users.forEach((member) => {
+    createNotification({
+      userId: member.id,
+      workspaceId,
+      type: 'mention',
+      actorId: comment.authorId,
+      taskId,
+      commentId: comment.id,
+      data: { taskTitle, actorName: comment.authorName, excerpt },
+    });
+
+    if (wantsEmail(member, 'mention')) {
+      deliverNotificationEmail(member, {
+        type: 'mention',
+        workspaceId,
+        taskId,
+        data: { taskTitle, actorName: comment.authorName, excerpt },
+      }, () => queueCommentMentionNotification({
+        to: member.email,
+        userName: member.name,
+        taskId,
+        taskTitle,
+        commentExcerpt: excerpt,
+        mentionedByName: comment.authorName,
+      })).catch((err) => {
+        logger.warn({ err, email: member.email }, 'Failed to send mention notification');
+      });
+    }
+  });
+}
+
+/**
+ * Tell the task's creator and assignees about a new comment, skipping its author
+ * and `skipUserIds` (members already notified of a mention in it).
+ * Failures are logged, never thrown.
+ */
+async function notifyTaskParticipants({ workspaceId, taskId, taskTitle, comment, skipUserIds = [] }) {
+  try {
+    const result = await query(`
+      SELECT u.id, u.name, u.email, u.email_notifications_enabled, u.email_digest_mode, u.notification_preferences
+      FROM users u
+      WHERE u.id IN (
+        SELECT created_by FROM tasks WHERE id = $1
+        UNION
+        SELECT user_id FROM task_assignments WHERE task_id = $1
+      )
+      AND u.id <> ALL($2::int[])
+    `, [taskId, [comment.authorId, ...skipUserIds]]);
+
+    const excerpt = toExcerpt(comment.content);
+
+    result.rows.forEach((member) => {
+      createNotification({
+        userId: member.id,
+        workspaceId,
+        type: 'comment',
+        actorId: comment.authorId,
+        taskId,
+        commentId: comment.id,
+        data: { taskTitle, actorName: comment.authorName, excerpt },
+      });
+
+      if (wantsEmail(member, 'comment')) {
+        deliverNotificationEmail(member, {
+          type: 'comment',
+          workspaceId,
+          taskId,
+          data: { taskTitle, actorName: comment.authorName, excerpt },
+        }, () => queueTaskCommentNotification({
+          to: member.email,
+          userName: member.name,
+          taskId,
+          taskTitle,
+          commentExcerpt: excerpt,
+          commenterName: comment.authorName,
+        })).catch((err) => {
+          logger.warn({ err, email: member.email }, 'Failed to send comment notification');
+        });
+      }
+    });
+  } catch (error) {
+    logger.error('Comment notification error: %s', error.message);
+  }
+}
+
+module.exports = {
+  findMentionedUsers,
+  recordCommentMentions,
+  notifyMentionedUsers,
+  notifyTaskParticipants,
+};
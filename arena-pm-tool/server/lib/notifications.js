@@ -0,0 +1,98 @@
+// Notifications - In-app notification inbox, one row per recipient
+// Usage: await createNotification({ userId, workspaceId, type: 'mention', actorId, taskId, commentId, data })
+//        if (wantsEmail(user, 'assignment')) queueTaskAssignmentNotification(...)
+//
+// Each type can be switched off per channel in users.notification_preferences,
+// e.g. { "comment": { "inApp": true, "email": false } }. Anything missing is on.
+// New notifications are also pushed to the recipient's open event streams.
+
+const { query } = require('../config/database');
+const logger = require('./logger');
+const { publishUserEvent } = require('./realtime');
+
+const NOTIFICATION_TYPES = [
+  'assignment',
+  'mention',
+  'comment',
+  'due_soon',
+  'overdue',
+  'overdue_escalation',
+  'invitation_accepted',
+  'role_changed',
+];
+const NOTIFICATION_CHANNELS = ['inApp', 'email'];
+
+// Every type and channel, filled in from what the user stored
+const resolveNotificationPreferences = (stored) => Object.fromEntries(
+  NOTIFICATION_TYPES.map((type) => [
+    type,
+    Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, stored?.[type]?.[channel] !== false])),
+  ])
+);
+
+// Whether a user row (email_notifications_enabled, email_digest_mode, notification_preferences)
+// wants this email. The global email switch and digest mode "none" override the per-type setting.
+const wantsEmail = (user, type) =>
+  user.email_notifications_enabled !== false
+  && user.email_digest_mode !== 'none'
+  && user.notification_preferences?.[type]?.email !== false;
+
+// SQL condition for the same check on a users row. `type` and `channel` must come
+// from the constants above, never from the request.
+const notificationEnabledSql = (alias, type, channel) => {
+  if (!NOTIFICATION_TYPES.includes(type) || !NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification preference: ${type}.${channel}`);
+  }
+  const setting = `COALESCE((${alias}.notification_preferences -> '${type}' ->> '${channel}')::boolean, true)`;
+  return channel === 'email'
+    ? `(${alias}.email_notifications_enabled IS DISTINCT FROM false AND ${alias}.email_digest_mode IS DISTINCT FROM 'none' AND ${setting})`
+    : setting;
+};
+
+const formatNotification = (row) => ({
+  id: row.id,
+  type: row.type,
+  workspaceId: row.workspace_id,
+  actorId: row.actor_id,
+  taskId: row.task_id,
+  commentId: row.comment_id,
+  data: row.data || {},
+  readAt: row.read_at,
+  createdAt: row.created_at,
+});
+
+/**
+ * Create a notification unless the recipient turned this type off in-app.
+ * Returns the notification, or null when skipped. Logs and returns null on
+ * failure so callers never break.
+ */
+async function createNotification({ userId, workspaceId = null, type, actorId = null, taskId = null, commentId = null, data = {} }) {
+  try {
+    const result = await query(`
+      INSERT INTO notifications (user_id, workspace_id, type, actor_id, task_id, comment_id, data)
+      SELECT u.id, $2, $3, $4, $5, $6, $7
+      FROM users u
+      WHERE u.id = $1 AND ${notificationEnabledSql('u', type, 'inApp')}
+      RETURNING *
+    `, [userId, workspaceId, type, actorId, taskId, commentId, JSON.stringify(data)]);
+
+    if (result.rows.length === 0) return null;
+
+    const notification = formatNotification(result.rows[0]);
+    publishUserEvent(userId, 'notification.created', { notification });
+    return notification;
+  } catch (error) {
+    logger.error('Notification error: %s', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  resolveNotificationPreferences,
+  wantsEmail,
+  notificationEnabledSql,
+  formatNotification,
+  createNotification,
+};
@@ -0,0 +1,188 @@
+// Realtime - Workspace event stream (Server-Sent Events)
+// Usage: publishEvent(workspaceId, 'task.updated', { task }, req)
+//
+// Events are stored in realtime_events and every open stream polls for the ones
+// after its cursor, so clients see each other's changes whichever API instance
+// (or serverless function) serves them. Each event is sent with its id, and a
+// browser that reconnects resumes from the Last-Event-ID it was given.
+//
+// Ids are handed out when an insert starts, not when it commits, so an event can
+// become visible after one with a higher id was already read. Each poll therefore
+// also re-reads the last few seconds of events and skips the ids it has sent
+// (a resumed stream may repeat a few; clients apply events idempotently).
+// Events are inserted in a statement of their own, so created_at is close to
+// the moment they become visible.
+// Events carry the X-Client-Id of the tab that caused them so it can skip its own echo.
+
+const { query } = require('../config/database');
+const logger = require('./logger');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const POLL_INTERVAL_MS = 2 * 1000;
+const POLL_BATCH_SIZE = 100;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+const EVENT_ID_PATTERN = /^\d{1,18}$/;
+// How far back each poll looks for events that committed late
+const LATE_COMMIT_WINDOW_MS = 5 * 1000;
+// How long a sent id is remembered; longer than it can stay in the window
+const SENT_ID_TTL_MS = 30 * 1000;
+
+// Tells a user's streams for a workspace to close; never sent to the client
+const STREAM_CLOSED = 'stream.closed';
+
+const getClientId = (req) => {
+  const clientId = req?.headers?.['x-client-id'];
+  return typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId) ? clientId : null;
+};
+
+const parseEventId = (value) => (
+  typeof value === 'string' && EVENT_ID_PATTERN.test(value) ? value : null
+);
+
+// `id` is the stream's cursor rather than the row's own id, so a late event
+// doesn't move the browser's Last-Event-ID backwards
+const writeEvent = (res, row, id) => {
+  const event = {
+    type: row.type,
+    workspaceId: row.workspace_id,
+    actorId: row.actor_id,
+    originClientId: row.origin_client_id,
+    data: row.data,
+    sentAt: new Date(row.created_at).toISOString()
+  };
+  res.write(`id: ${id}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Store an event for the streams to pick up. Publishing never fails the request
+// that caused it; a lost event is recovered by the client's next resync.
+async function insertEvent({ workspaceId = null, userId = null, type, actorId = null, originClientId = null, data = {} }) {
+  try {
+    await query(
+      `INSERT INTO realtime_events (workspace_id, user_id, type, actor_id, origin_client_id, data)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [workspaceId, userId, type, actorId, originClientId, JSON.stringify(data)]
+    );
+  } catch (error) {
+    logger.warn({ err: error, workspaceId, type }, 'Failed to publish realtime event');
+  }
+}
+
+// Open an event stream on `res` for a member of the workspace, starting after
+// `lastEventId` when the browser is resuming. Returns a function that closes the subscription.
+function subscribe(workspaceId, userId, res, lastEventId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  // Ask the browser to wait a few seconds before reconnecting
+  res.write('retry: 5000\n\n');
+
+  let cursor = parseEventId(lastEventId);
+  let closed = false;
+  let polling = false;
+  // Ids sent (or skipped) recently -> when, so the window isn't sent twice
+  const sentIds = new Map();
+
+  const markSent = (id) => sentIds.set(String(id), Date.now());
+
+  const poll = async () => {
+    if (closed || polling) return;
+    polling = true;
+    const now = Date.now();
+    sentIds.forEach((sentAt, id) => {
+      if (now - sentAt > SENT_ID_TTL_MS) sentIds.delete(id);
+    });
+    try {
+      // A fresh stream starts at the newest event; the client has just loaded its
+      // data, which already reflects the events in the window
+      if (cursor === null) {
+        const result = await query(
+          `SELECT (SELECT COALESCE(MAX(id), 0) FROM realtime_events) AS id,
+                  ARRAY(SELECT id FROM realtime_events
+                        WHERE created_at > NOW() - ($1 || ' milliseconds')::interval) AS recent_ids`,
+          [LATE_COMMIT_WINDOW_MS]
+        );
+        cursor = String(result.rows[0].id);
+        result.rows[0].recent_ids.forEach(markSent);
+        return;
+      }
+
+      // Workspace events, plus events for this user alone in this or any workspace
+      const result = await query(
+        `SELECT id, workspace_id, user_id, type, actor_id, origin_client_id, data, created_at
+         FROM realtime_events
+         WHERE (id > $1 OR created_at > NOW() - ($5 || ' milliseconds')::interval)
+           AND NOT (id = ANY($6::bigint[]))
+           AND ((workspace_id = $2 AND user_id IS NULL)
+             OR (user_id = $3 AND (workspace_id IS NULL OR workspace_id = $2)))
+         ORDER BY id
+         LIMIT $4`,
+        [cursor, workspaceId, userId, POLL_BATCH_SIZE, LATE_COMMIT_WINDOW_MS, [...sentIds.keys()]]
+      );
+
+      for (const row of result.rows) {
+        if (closed) return;
+        markSent(row.id);
+        if (BigInt(row.id) > BigInt(cursor)) cursor = String(row.id);
+        if (row.type === STREAM_CLOSED) {
+          // Fires 'close', which unsubscribes
+          res.end();
+          return;
+        }
+        writeEvent(res, row, cursor);
+      }
+    } catch (error) {
+      // Try again on the next tick; a dead connection is cleaned up when 'close' fires
+      logger.warn({ err: error, workspaceId }, 'Failed to poll realtime events');
+    } finally {
+      polling = false;
+    }
+  };
+
+  poll();
+  const pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  return () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeat);
+  };
+}
+
+// Send an event to everyone connected to the workspace
+function publishEvent(workspaceId, type, data, req) {
+  if (!workspaceId) return Promise.resolve();
+
+  return insertEvent({
+    workspaceId,
+    type,
+    actorId: req?.user?.id ?? null,
+    originClientId: getClientId(req),
+    data
+  });
+}
+
+// Send an event to one user on every stream they have open, whichever
+// workspace it is for (e.g. a new notification)
+function publishUserEvent(userId, type, data) {
+  return insertEvent({ userId, type, data });
+}
+
+// End a user's streams for a workspace, e.g. after they are removed from it
+function disconnectUser(workspaceId, userId) {
+  return insertEvent({ workspaceId, userId, type: STREAM_CLOSED });
+}
+
+module.exports = {
+  subscribe,
+  publishEvent,
+  publishUserEvent,
+  disconnectUser,
+  POLL_INTERVAL_MS,
+};
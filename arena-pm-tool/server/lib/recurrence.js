@@ -0,0 +1,121 @@
+// Recurrence rules - RRULE-style schedules for repeating tasks
+// A rule is stored as JSONB on tasks.recurrence_rule:
+//   { frequency: 'daily' | 'weekly' | 'monthly' | 'yearly', interval: 1,
+//     end_date: 'YYYY-MM-DD' | null, count: 10 | null, anchor_day: 31 }
+// anchor_day keeps monthly/yearly series on their original day of month
+// (Jan 31 -> Feb 28 -> Mar 31) instead of drifting after a short month.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Convert a DB date (Date or string) to a YYYY-MM-DD key
+const toDateKey = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    return value.split('T')[0];
+  }
+  const d = new Date(value);
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return { year, month, day };
+};
+
+const formatDateKey = (year, month, day) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const addDays = (dateKey, days) => {
+  const { year, month, day } = parseDateKey(dateKey);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return formatDateKey(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+};
+
+const addMonths = (dateKey, months, anchorDay) => {
+  const { year, month, day } = parseDateKey(dateKey);
+  const totalMonths = (year * 12 + (month - 1)) + months;
+  const nextYear = Math.floor(totalMonths / 12);
+  const nextMonth = (totalMonths % 12) + 1;
+  const targetDay = Math.min(anchorDay || day, daysInMonth(nextYear, nextMonth));
+  return formatDateKey(nextYear, nextMonth, targetDay);
+};
+
+// Normalize a client-supplied rule; returns null when recurrence is cleared.
+// dueDate is used to pin the anchor day for monthly/yearly rules.
+const normalizeRecurrenceRule = (rule, dueDate) => {
+  if (!rule) return null;
+
+  const normalized = {
+    frequency: rule.frequency,
+    interval: rule.interval || 1,
+    end_date: rule.end_date || null,
+    count: rule.count || null,
+  };
+
+  if (normalized.frequency === 'monthly' || normalized.frequency === 'yearly') {
+    const dueKey = toDateKey(dueDate);
+    normalized.anchor_day = dueKey ? parseDateKey(dueKey).day : (rule.anchor_day || null);
+  }
+
+  return normalized;
+};
+
+// Compute the due date of the occurrence after fromDate (no end checks)
+const getNextOccurrenceDate = (rule, fromDate) => {
+  const fromKey = toDateKey(fromDate);
+  if (!rule || !fromKey || !FREQUENCIES.includes(rule.frequency)) return null;
+
+  const interval = Math.max(parseInt(rule.interval, 10) || 1, 1);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(fromKey, interval);
+    case 'weekly':
+      return addDays(fromKey, interval * 7);
+    case 'monthly':
+      return addMonths(fromKey, interval, rule.anchor_day);
+    case 'yearly':
+      return addMonths(fromKey, interval * 12, rule.anchor_day);
+    default:
+      return null;
+  }
+};
+
+// Whether an occurrence with the given 1-based index and due date is still
+// inside the rule's end date / count bounds
+const isWithinBounds = (rule, occurrenceIndex, dateKey) => {
+  if (rule.count && occurrenceIndex > rule.count) return false;
+  if (rule.end_date && dateKey > rule.end_date) return false;
+  return true;
+};
+
+// List up to `limit` occurrences following fromDate, stopping at `until`
+const getUpcomingOccurrences = (rule, fromDate, { currentIndex = 1, limit = 10, until = null } = {}) => {
+  const occurrences = [];
+  let dateKey = toDateKey(fromDate);
+  let index = currentIndex;
+
+  while (occurrences.length < limit) {
+    dateKey = getNextOccurrenceDate(rule, dateKey);
+    index += 1;
+    if (!dateKey || !isWithinBounds(rule, index, dateKey)) break;
+    if (until && dateKey > until) break;
+    occurrences.push({ index, dueDate: dateKey });
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  FREQUENCIES,
+  toDateKey,
+  normalizeRecurrenceRule,
+  getNextOccurrenceDate,
+  isWithinBounds,
+  getUpcomingOccurrences,
+};
@@ -0,0 +1,48 @@
+// Full-text search helpers
+// tasks.search_vector (title A, description B) and comments.search_vector
+// (content C) are generated columns with GIN indexes; see migration 13.
+
+// Text search configuration used by the generated columns - queries must match it
+const SEARCH_CONFIG = 'english';
+
+// Longest search string accepted, and most words turned into query terms
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+// Private-use characters wrapped around matches in snippets. Snippets are raw
+// user text, so clients split on these instead of rendering HTML.
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+// ts_headline options: titles come back whole, bodies as short fragments
+const TITLE_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=true`;
+const SNIPPET_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+// Turn free text into a to_tsquery() string that matches every word as a
+// prefix ("deploy prod" -> "deploy:* & prod:*"), so results update while typing.
+// Only letters and digits survive, so the output is always valid tsquery syntax.
+// Returns null when there is nothing searchable.
+const toPrefixTsQuery = (input) => {
+  if (typeof input !== 'string') return null;
+  const terms = input.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!terms) return null;
+  return [...new Set(terms)]
+    .slice(0, MAX_QUERY_TERMS)
+    .map((term) => `${term}:*`)
+    .join(' & ');
+};
+
+// SQL condition matching `${alias}.search_vector` against the tsquery in `$${param}`
+const searchMatchSql = (alias, param) =>
+  `${alias}.search_vector @@ to_tsquery('${SEARCH_CONFIG}', $${param})`;
+
+module.exports = {
+  SEARCH_CONFIG,
+  MAX_QUERY_LENGTH,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  TITLE_HEADLINE_OPTIONS,
+  SNIPPET_HEADLINE_OPTIONS,
+  toPrefixTsQuery,
+  searchMatchSql,
+};
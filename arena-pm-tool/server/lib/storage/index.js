@@ -0,0 +1,54 @@
+// File storage for uploads (task and comment attachments)
+// Backends share one interface:
+//   put(key, buffer, { contentType }) - store an object, replacing any existing one
+//   get(key)                          - readable stream, or null when missing
+//   remove(key)                       - delete; missing keys are not an error
+//
+// STORAGE_DRIVER picks the backend:
+//   local (default) - files under STORAGE_LOCAL_ROOT (server/uploads/attachments)
+//   s3              - any S3-compatible API, configured by the S3_* variables
+
+const { createLocalDiskStorage } = require('./localDisk');
+const { createS3Storage } = require('./s3');
+
+let storage = null;
+
+const createStorageFromEnv = (env = process.env) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false',
+    });
+  }
+
+  if (driver === 'local') {
+    return createLocalDiskStorage(env.STORAGE_LOCAL_ROOT ? { root: env.STORAGE_LOCAL_ROOT } : {});
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+};
+
+// Shared backend, created from the environment on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+  return storage;
+};
+
+// Swap the backend (tests)
+const setStorage = (backend) => {
+  storage = backend;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createStorageFromEnv,
+};
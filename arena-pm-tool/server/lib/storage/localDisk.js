@@ -0,0 +1,47 @@
+// Local-disk storage backend
+// Stores each object as a file under `root`, keyed by its relative path.
+// Suited to development and single-server deployments.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '../../uploads/attachments');
+
+const createLocalDiskStorage = ({ root = DEFAULT_ROOT } = {}) => {
+  const resolvedRoot = path.resolve(root);
+
+  // Map a key to a path inside root, refusing anything that escapes it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(resolvedRoot, key);
+    if (!filePath.startsWith(resolvedRoot + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createLocalDiskStorage };
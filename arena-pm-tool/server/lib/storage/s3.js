@@ -0,0 +1,127 @@
+// S3-compatible storage backend
+// Talks to any S3 API (AWS, MinIO, R2, Supabase S3...) over plain HTTPS with
+// Signature V4, so no SDK is needed. Objects are addressed path-style
+// (endpoint/bucket/key) unless forcePathStyle is false.
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+// '20130524T000000Z' for a Date
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+/**
+ * Build the SigV4 Authorization header for a request.
+ * Every header passed in is signed; `host`, `x-amz-date` and
+ * `x-amz-content-sha256` must be among them.
+ */
+const signRequest = ({ method, path, query = '', headers, payloadHash, region, accessKeyId, secretAccessKey, service = 's3' }) => {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+  const headerNames = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = headerNames.map((name) => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [method, path, query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['aws4_request', service, region, dateStamp]
+    .reduceRight((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope},SignedHeaders=${signedHeaders},Signature=${signature}`;
+};
+
+const createS3Storage = ({
+  endpoint,
+  bucket,
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = true,
+  fetchImpl = fetch,
+}) => {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires endpoint, bucket, accessKeyId and secretAccessKey');
+  }
+  const baseUrl = new URL(endpoint);
+
+  const objectUrl = (key) => {
+    const url = new URL(baseUrl.href);
+    if (forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeRfc3986(bucket)}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${bucket}.${url.hostname}`;
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeKey(key)}`;
+    }
+    return url;
+  };
+
+  const send = async (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': toAmzDate(new Date()),
+      ...(contentType && { 'content-type': contentType }),
+    };
+    headers.authorization = signRequest({
+      method,
+      path: url.pathname,
+      headers,
+      payloadHash,
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+    // fetch sets Host itself from the URL
+    delete headers.host;
+
+    return fetchImpl(url, { method, headers, body });
+  };
+
+  const fail = async (action, key, response) => {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`S3 ${action} failed for ${key}: ${response.status} ${detail.slice(0, 200)}`);
+    error.status = response.status;
+    throw error;
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      const response = await send('PUT', key, { body, contentType });
+      if (!response.ok) await fail('put', key, response);
+    },
+
+    async get(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail('get', key, response);
+      return Readable.fromWeb(response.body);
+    },
+
+    async remove(key) {
+      const response = await send('DELETE', key);
+      // S3 answers 204 for missing keys too; some stand-ins use 404
+      if (!response.ok && response.status !== 404) await fail('delete', key, response);
+    },
+  };
+};
+
+module.exports = { createS3Storage, signRequest };
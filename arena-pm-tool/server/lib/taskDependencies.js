@@ -0,0 +1,28 @@
+// Task dependency helpers
+// A row in task_dependencies means task_id is blocked by depends_on_task_id.
+
+// Returns true if making taskId depend on dependsOnTaskId would close a loop,
+// i.e. dependsOnTaskId is already (transitively) blocked by taskId.
+// `db` is anything with a pg-style query() - the pool helper or a transaction client.
+const wouldCreateCycle = async (db, taskId, dependsOnTaskId) => {
+  if (String(taskId) === String(dependsOnTaskId)) return true;
+
+  // UNION (not UNION ALL) de-duplicates rows, so the walk terminates
+  // even if bad data already contains a cycle
+  const result = await db.query(`
+    WITH RECURSIVE blockers AS (
+      SELECT depends_on_task_id FROM task_dependencies WHERE task_id = $1
+      UNION
+      SELECT td.depends_on_task_id
+      FROM task_dependencies td
+      JOIN blockers b ON td.task_id = b.depends_on_task_id
+    )
+    SELECT 1 FROM blockers WHERE depends_on_task_id = $2 LIMIT 1
+  `, [dependsOnTaskId, taskId]);
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  wouldCreateCycle,
+};
@@ -0,0 +1,291 @@
+// Task Import - CSV and JSON files turned into new tasks
+// Usage: const { columns, records } = parseImportFile(buffer, 'csv');
+//        const mapping = resolveColumnMapping(columns, req.body.mapping);
+//        const { task, errors } = resolveImportRow(mapRecord(record, mapping), context);
+//
+// CSV files use the columns the exporter writes (GET /api/me/tasks/export);
+// JSON files are an array of objects (or { "tasks": [...] }) keyed by column.
+// Every row is checked against createTaskSchema after its status, category and
+// assignee emails have been resolved, so an import reports the same errors as
+// creating the tasks one by one.
+
+const { createTaskSchema } = require('../middleware/schemas');
+const { findStatus, getFirstStatusKey } = require('./workflowStatuses');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+// Task fields an import can fill, with the column names recognised for each.
+// The first name is the exporter's header.
+const IMPORT_FIELDS = {
+  title: ['Title', 'name', 'task'],
+  description: ['Description', 'notes'],
+  status: ['Status'],
+  priority: ['Priority'],
+  due_date: ['Due Date', 'due'],
+  category: ['Category', 'list'],
+  assignee_emails: ['Assignees', 'assignee', 'assignee email', 'assignee emails'],
+};
+
+// Schema fields reported under the import field they came from
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  due_date: 'Due Date',
+  category_id: 'Category',
+  assignee_ids: 'Assignees',
+};
+
+const normalizeColumnName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// RFC 4180 CSV: quoted cells may contain commas, newlines and doubled quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('The CSV file has an unterminated quoted value');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// JSON cells are kept as text; lists (e.g. assignee emails) become comma-separated
+const toCellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toCellText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return '';
+  return String(value);
+};
+
+/**
+ * Parse an uploaded file into its column names and one record per row.
+ * Blank rows are skipped. Throws with a user-facing message on malformed files.
+ * @returns {{ columns: string[], records: Object[] }}
+ */
+const parseImportFile = (content, format) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+  const withoutBom = text.replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(withoutBom);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+    const items = Array.isArray(data) ? data : data?.tasks;
+    if (!Array.isArray(items) || items.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+      throw new Error('The JSON file must contain an array of task objects');
+    }
+
+    const columns = [];
+    const records = items.map((item) => {
+      const record = {};
+      Object.entries(item).forEach(([key, value]) => {
+        if (!columns.includes(key)) columns.push(key);
+        record[key] = toCellText(value);
+      });
+      return record;
+    });
+    return { columns, records };
+  }
+
+  const [header = [], ...rows] = parseCsv(withoutBom);
+  const columns = header.map((name) => name.trim());
+  const records = rows
+    .filter((cells) => cells.some((value) => value.trim() !== ''))
+    .map((cells) => Object.fromEntries(columns.map((name, idx) => [name, cells[idx] ?? ''])));
+  return { columns, records };
+};
+
+// Infer csv/json from an explicit format, then the file name, then the MIME type
+const detectImportFormat = (format, file) => {
+  if (format) return format;
+  const name = (file?.originalname || '').toLowerCase();
+  if (name.endsWith('.json') || file?.mimetype === 'application/json') return 'json';
+  return 'csv';
+};
+
+/**
+ * Pick a column for every import field. Explicit mappings (field -> column name,
+ * or null to skip the field) win over columns recognised by name.
+ * Returns { mapping } or { error } when a mapped column is not in the file.
+ */
+const resolveColumnMapping = (columns, overrides = {}) => {
+  const mapping = {};
+
+  const unknownField = Object.keys(overrides).find((field) => !IMPORT_FIELDS[field]);
+  if (unknownField) {
+    return { error: `Unknown import field "${unknownField}"` };
+  }
+
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    if (Object.prototype.hasOwnProperty.call(overrides, field)) {
+      const column = overrides[field];
+      if (column && !columns.includes(column)) {
+        return { error: `Column "${column}" was not found in the file` };
+      }
+      mapping[field] = column || null;
+      continue;
+    }
+
+    const names = [field, ...aliases].map(normalizeColumnName);
+    mapping[field] = columns.find((column) => names.includes(normalizeColumnName(column))) || null;
+  }
+
+  if (!mapping.title) {
+    return { error: 'Choose the column that holds the task titles' };
+  }
+  return { mapping };
+};
+
+// The record's values for each mapped field, trimmed
+const mapRecord = (record, mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([field, column]) => [field, column ? String(record[column] ?? '').trim() : ''])
+);
+
+// YYYY-MM-DD, or the date part of an ISO timestamp
+const parseImportDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+const formatIssue = (issue) => {
+  const label = FIELD_LABELS[issue.path?.[0]];
+  return label ? `${label}: ${issue.message}` : issue.message;
+};
+
+/**
+ * Resolve one mapped row against the workspace and validate it.
+ * @param {Object} values - Output of mapRecord
+ * @param {Object} context - { workspaceId, statuses, categories: [{ id, name }], members: [{ id, email }] }
+ * @returns {{ task: Object|null, errors: string[] }}
+ */
+const resolveImportRow = (values, { workspaceId, statuses, categories, members }) => {
+  const errors = [];
+
+  let statusKey = getFirstStatusKey(statuses, 'not_started');
+  if (values.status) {
+    const wanted = values.status.toLowerCase();
+    const status = findStatus(statuses, wanted)
+      || statuses.find((s) => s.name.toLowerCase() === wanted);
+    if (status) {
+      statusKey = status.key;
+    } else {
+      errors.push(`Status: "${values.status}" is not a status of this workspace`);
+    }
+  }
+
+  let dueDate = null;
+  if (values.due_date) {
+    dueDate = parseImportDate(values.due_date);
+    if (!dueDate) errors.push(`Due Date: "${values.due_date}" is not a YYYY-MM-DD date`);
+  }
+
+  let categoryId = null;
+  if (values.category) {
+    const wanted = values.category.toLowerCase();
+    const category = categories.find((c) => c.name.toLowerCase() === wanted);
+    if (category) {
+      categoryId = category.id;
+    } else {
+      errors.push(`Category: "${values.category}" is not a category of this workspace`);
+    }
+  }
+
+  const assigneeIds = [];
+  const emails = values.assignee_emails ? values.assignee_emails.split(/[,;]/).map((e) => e.trim()).filter(Boolean) : [];
+  emails.forEach((email) => {
+    const member = members.find((m) => m.email.toLowerCase() === email.toLowerCase());
+    if (!member) {
+      errors.push(`Assignees: ${email} is not a member of this workspace`);
+    } else if (!assigneeIds.includes(member.id)) {
+      assigneeIds.push(member.id);
+    }
+  });
+
+  const parsed = createTaskSchema.body.safeParse({
+    title: values.title,
+    description: values.description || null,
+    category_id: categoryId,
+    assignee_ids: assigneeIds,
+    priority: values.priority ? values.priority.toLowerCase() : undefined,
+    status: statusKey,
+    due_date: dueDate,
+    workspace_id: workspaceId,
+  });
+  if (!parsed.success) {
+    errors.push(...parsed.error.issues.map(formatIssue));
+  }
+
+  if (errors.length > 0) {
+    return { task: null, errors };
+  }
+  return {
+    task: {
+      title: parsed.data.title,
+      description: parsed.data.description,
+      category_id: parsed.data.category_id,
+      assignee_ids: parsed.data.assignee_ids,
+      priority: parsed.data.priority,
+      status: parsed.data.status,
+      status_category: findStatus(statuses, parsed.data.status).category,
+      due_date: parsed.data.due_date,
+    },
+    errors,
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_BYTES,
+  parseCsv,
+  parseImportFile,
+  detectImportFormat,
+  resolveColumnMapping,
+  mapRecord,
+  parseImportDate,
+  resolveImportRow,
+};
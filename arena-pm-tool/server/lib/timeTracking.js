@@ -0,0 +1,116 @@
+// Time tracking - timers and manual time entries per user per task
+// A running timer is a time_entries row with ended_at/duration_seconds still
+// NULL; each user has at most one. Totals only count finished entries.
+
+const { query } = require('../config/database');
+
+// Longest single entry, whether logged manually or left running
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Longest report range, in days
+const MAX_REPORT_DAYS = 366;
+
+const DEFAULT_REPORT_DAYS = 30;
+
+// SQL expression for the finished time logged on `${alias}`, in seconds
+const trackedSecondsSql = (alias = 't') => `
+      COALESCE(
+        (SELECT SUM(te.duration_seconds)
+         FROM time_entries te
+         WHERE te.task_id = ${alias}.id AND te.duration_seconds IS NOT NULL),
+        0
+      )`;
+
+const formatTimeEntry = (row) => ({
+  id: row.id,
+  taskId: row.task_id,
+  taskTitle: row.task_title,
+  userId: row.user_id,
+  userName: row.user_name || null,
+  startedAt: row.started_at,
+  endedAt: row.ended_at || null,
+  durationSeconds: row.duration_seconds ?? null,
+  note: row.note || null,
+  isRunning: !row.ended_at,
+  createdAt: row.created_at,
+});
+
+const isDateKey = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const dateKeyDaysAgo = (days, now = new Date()) =>
+  new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// Validate report query params. Dates are inclusive YYYY-MM-DD keys in `timezone`;
+// the range defaults to the last 30 days.
+// Returns { from, to, timezone } or { error }.
+const parseReportRange = ({ from, to, timezone } = {}, now = new Date()) => {
+  const range = {
+    from: from || dateKeyDaysAgo(DEFAULT_REPORT_DAYS - 1, now),
+    to: to || now.toISOString().split('T')[0],
+    timezone: timezone || 'UTC',
+  };
+
+  if (!isDateKey(range.from) || !isDateKey(range.to)) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (range.from > range.to) {
+    return { error: 'from must be on or before to' };
+  }
+  const days = (new Date(`${range.to}T00:00:00Z`) - new Date(`${range.from}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1;
+  if (days > MAX_REPORT_DAYS) {
+    return { error: `Reports can cover at most ${MAX_REPORT_DAYS} days` };
+  }
+  if (range.timezone.length > 50 || !isValidTimeZone(range.timezone)) {
+    return { error: 'Invalid timezone' };
+  }
+  return range;
+};
+
+// The user's running timer (with its task title), or null.
+// `db` is anything with a pg-style query() - the pool helper or a transaction client.
+const getRunningTimer = async (userId, db = { query }) => {
+  const result = await db.query(`
+    SELECT te.*, t.title as task_title
+    FROM time_entries te
+    JOIN tasks t ON t.id = te.task_id
+    WHERE te.user_id = $1 AND te.ended_at IS NULL
+  `, [userId]);
+  return result.rows[0] || null;
+};
+
+// Stop the user's running timer, if any. Timers left running past the
+// maximum entry length are capped rather than logging days of time.
+const stopRunningTimer = async (userId, db = { query }) => {
+  const result = await db.query(`
+    UPDATE time_entries
+    SET ended_at = LEAST(NOW(), started_at + make_interval(mins => $2)),
+        duration_seconds = EXTRACT(EPOCH FROM (LEAST(NOW(), started_at + make_interval(mins => $2)) - started_at))::int,
+        updated_at = NOW()
+    WHERE user_id = $1 AND ended_at IS NULL
+    RETURNING *
+  `, [userId, MAX_ENTRY_MINUTES]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  MAX_ENTRY_MINUTES,
+  MAX_REPORT_DAYS,
+  trackedSecondsSql,
+  formatTimeEntry,
+  parseReportRange,
+  getRunningTimer,
+  stopRunningTimer,
+};
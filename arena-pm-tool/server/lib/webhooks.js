@@ -0,0 +1,216 @@
+// Webhooks - Outgoing workspace event subscriptions
+// Usage: queueWebhookEvent(workspaceId, 'task.created', { task }, req.user.id)
+//        queueWebhookEvents(workspaceId, 'task.deleted', taskIds.map((taskId) => ({ taskId })), req.user.id)
+//
+// Events are written to webhook_deliveries for every active webhook of the workspace
+// that subscribes to them. jobs/webhookDeliveryProcessor.js posts them later, signed
+// with the webhook's secret:
+//   X-Todoria-Signature: sha256=HMAC_SHA256(secret, `${X-Todoria-Timestamp}.${body}`)
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { query } = require('../config/database');
+const logger = require('./logger');
+
+const WEBHOOK_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.deleted',
+  'comment.created',
+  'comment.updated',
+  'comment.deleted',
+  'member.joined',
+  'member.role_changed',
+  'member.removed',
+  'category.created',
+  'category.updated',
+  'category.deleted',
+];
+
+// Sent by the "Send test event" button; not subscribable
+const WEBHOOK_PING_EVENT = 'webhook.ping';
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Admins see the secret once, when the webhook is created
+const formatWebhook = (row, { includeSecret = false } = {}) => ({
+  id: row.id,
+  url: row.url,
+  description: row.description || '',
+  events: row.events || [],
+  isActive: row.is_active,
+  secretHint: row.secret ? `…${row.secret.slice(-4)}` : null,
+  ...(includeSecret ? { secret: row.secret } : {}),
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const formatWebhookDelivery = (row) => ({
+  id: row.id,
+  webhookId: row.webhook_id,
+  event: row.event,
+  status: row.status,
+  attempts: row.attempts,
+  responseStatus: row.response_status,
+  durationMs: row.duration_ms,
+  error: row.last_error,
+  lastAttemptedAt: row.last_attempted_at,
+  deliveredAt: row.delivered_at,
+  createdAt: row.created_at,
+});
+
+const buildWebhookPayload = (workspaceId, event, data, actorId) => ({
+  id: crypto.randomUUID(),
+  event,
+  workspaceId,
+  actorId: actorId || null,
+  createdAt: new Date().toISOString(),
+  data,
+});
+
+// Queue one event for the workspace's subscribed webhooks.
+// Never throws — webhooks should never break the main flow.
+async function queueWebhookEvent(workspaceId, event, data, actorId = null) {
+  if (!workspaceId) return;
+  try {
+    await query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+       SELECT w.id, $2, $3::jsonb
+       FROM webhooks w
+       WHERE w.workspace_id = $1 AND w.is_active AND $2 = ANY(w.events)`,
+      [workspaceId, event, JSON.stringify(buildWebhookPayload(workspaceId, event, data, actorId))]
+    );
+  } catch (error) {
+    logger.error({ err: error, event }, 'Webhook queue error');
+  }
+}
+
+// Same as queueWebhookEvent for many entities at once (bulk operations), in a single insert
+async function queueWebhookEvents(workspaceId, event, dataList, actorId = null) {
+  if (!workspaceId || !dataList || dataList.length === 0) return;
+  try {
+    await query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+       SELECT w.id, $2, payload::jsonb
+       FROM webhooks w
+       CROSS JOIN unnest($3::text[]) AS payload
+       WHERE w.workspace_id = $1 AND w.is_active AND $2 = ANY(w.events)`,
+      [
+        workspaceId,
+        event,
+        dataList.map((data) => JSON.stringify(buildWebhookPayload(workspaceId, event, data, actorId)))
+      ]
+    );
+  } catch (error) {
+    logger.error({ err: error, event }, 'Webhook queue error');
+  }
+}
+
+// Loopback, private, link-local (cloud metadata) and other non-public addresses
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+];
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, part) => (acc * 256) + Number(part), 0);
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      const start = ipv4ToInt(base);
+      return value >= start && value < start + size;
+    });
+  }
+  if (net.isIPv6(address)) {
+    const normalized = address.toLowerCase();
+    const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    // URL parsing rewrites IPv4-mapped addresses in hex, e.g. ::ffff:7f00:1
+    const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const value = (parseInt(mappedHex[1], 16) * 65536) + parseInt(mappedHex[2], 16);
+      return isPrivateAddress([24, 16, 8, 0].map((shift) => Math.floor(value / (2 ** shift)) % 256).join('.'));
+    }
+    return normalized === '::' || normalized === '::1'
+      || /^f[cd]/.test(normalized) // unique local fc00::/7
+      || /^fe[89ab]/.test(normalized); // link-local fe80::/10
+  }
+  return true;
+};
+
+// Local development can point webhooks at its own machine
+const allowPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Why a webhook URL can't be used, or null. Checks the URL as written; the
+// addresses its host resolves to are checked again before each delivery.
+const getWebhookUrlError = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 'Webhook URL must be a valid URL';
+  }
+
+  const isProduction = process.env.NODE_ENV === 'production';
+  if (parsed.protocol !== 'https:' && (isProduction || parsed.protocol !== 'http:')) {
+    return isProduction ? 'Webhook URL must use https' : 'Webhook URL must use http or https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'Webhook URL must not contain credentials';
+  }
+
+  if (!allowPrivateHosts()) {
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')
+      || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+      return 'Webhook URL must point to a public host';
+    }
+  }
+
+  return null;
+};
+
+// The addresses the URL's host resolves to, or null when private hosts are allowed.
+// Throws when any of them is non-public. Deliveries connect to these addresses
+// only, so the host can't be re-pointed at a private one after the check.
+const resolvePublicWebhookHost = async (url) => {
+  if (allowPrivateHosts()) return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true });
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Webhook host ${hostname} does not resolve to a public address`);
+  }
+  return addresses;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_PING_EVENT,
+  generateWebhookSecret,
+  signWebhookPayload,
+  formatWebhook,
+  formatWebhookDelivery,
+  buildWebhookPayload,
+  queueWebhookEvent,
+  queueWebhookEvents,
+  isPrivateAddress,
+  getWebhookUrlError,
+  resolvePublicWebhookHost,
+};
@@ -1,6 +1,7 @@
 const Sentry = require('./sentry');
 const AppError = require('./AppError');
 const logger = require('./logger');
+const { runWithApiToken } = require('./apiTokenScope');
 
 /**
  * Wraps an async Express route handler to automatically capture
@@ -9,11 +10,13 @@ const logger = require('./logger');
  * - AppError instances return their statusCode and user-safe message
  * - Unknown errors return 500 with a generic message
  * - All errors are reported to Sentry with request context
+ *
+ * Requests authenticated with an API token run inside its workspace scope.
  */
 function withErrorHandling(handler) {
   return async (req, res, next) => {
     try {
-      return await handler(req, res, next);
+      return await runWithApiToken(req.apiToken, () => handler(req, res, next));
     } catch (error) {
       const requestId = req.id || 'unknown';
       const isAppError = error instanceof AppError;
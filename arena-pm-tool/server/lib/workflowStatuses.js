@@ -0,0 +1,93 @@
+// Workflow statuses - ordered, per-workspace task statuses
+// tasks.status stores a status key. Each status maps to a category the rest of
+// the app reasons about:
+//   not_started - nothing has happened yet (To Do)
+//   active      - work is underway (In Progress, In Review, Blocked, ...)
+//   done        - finished: sets completed_at, stops reminders, unblocks dependents
+// Workspaces that never customized their workflow have no rows in
+// workflow_statuses and use DEFAULT_STATUSES.
+
+const { query } = require('../config/database');
+
+const STATUS_CATEGORIES = ['not_started', 'active', 'done'];
+
+const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To Do', category: 'not_started', color: '#94A3B8', position: 0 },
+  { key: 'in_progress', name: 'In Progress', category: 'active', color: '#3B82F6', position: 1 },
+  { key: 'completed', name: 'Completed', category: 'done', color: '#22C55E', position: 2 },
+];
+
+// SQL expression for the category of `${alias}.status`.
+// Falls back to the built-in mapping for workspaces on the default set.
+const statusCategorySql = (alias = 't') => `
+  COALESCE(
+    (SELECT wfs.category FROM workflow_statuses wfs
+     WHERE wfs.workspace_id = ${alias}.workspace_id AND wfs.key = ${alias}.status),
+    CASE ${alias}.status WHEN 'completed' THEN 'done' WHEN 'in_progress' THEN 'active' ELSE 'not_started' END
+  )`;
+
+// SQL expression for the display name of `${alias}.status` (used by exports)
+const statusNameSql = (alias = 't') => `
+  COALESCE(
+    (SELECT wfs.name FROM workflow_statuses wfs
+     WHERE wfs.workspace_id = ${alias}.workspace_id AND wfs.key = ${alias}.status),
+    CASE ${alias}.status WHEN 'todo' THEN 'To Do' WHEN 'in_progress' THEN 'In Progress' WHEN 'completed' THEN 'Completed' ELSE ${alias}.status END
+  )`;
+
+const formatStatus = (row) => ({
+  key: row.key,
+  name: row.name,
+  category: row.category,
+  color: row.color,
+  position: row.position,
+});
+
+// Load a workspace's statuses in order.
+// `db` is anything with a pg-style query() - the pool helper or a transaction client.
+const getWorkspaceStatuses = async (workspaceId, db = { query }) => {
+  const result = await db.query(
+    'SELECT key, name, category, color, position FROM workflow_statuses WHERE workspace_id = $1 ORDER BY position ASC, id ASC',
+    [workspaceId]
+  );
+  if (result.rows.length === 0) {
+    return DEFAULT_STATUSES.map((status) => ({ ...status }));
+  }
+  return result.rows.map(formatStatus);
+};
+
+const findStatus = (statuses, key) => statuses.find((status) => status.key === key) || null;
+
+// First status (by position) in a category, e.g. where new tasks start
+const getFirstStatusKey = (statuses, category) => {
+  const status = statuses.find((s) => s.category === category);
+  return status ? status.key : null;
+};
+
+// Derive a status key from its name ("In Review" -> "in_review"), avoiding `taken` keys
+const toStatusKey = (name, taken = []) => {
+  let base = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 45);
+  if (!/^[a-z]/.test(base)) base = `status_${base}`.replace(/_+$/, '');
+
+  let key = base;
+  let suffix = 2;
+  while (taken.includes(key)) {
+    key = `${base}_${suffix}`;
+    suffix++;
+  }
+  return key;
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_STATUSES,
+  statusCategorySql,
+  statusNameSql,
+  getWorkspaceStatuses,
+  findStatus,
+  getFirstStatusKey,
+  toStatusKey,
+};
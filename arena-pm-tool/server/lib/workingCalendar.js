@@ -0,0 +1,105 @@
+// Working calendar - the days a workspace works: its working weekdays minus holidays
+// Usage: const calendar = await loadWorkingCalendar({ workspaceId, userId, years: [2026] });
+//        addWorkingDays('2026-04-03', 1, calendar) // '2026-04-07' in LT (Easter Monday)
+//
+// workspaces.working_days holds ISO weekdays (1 = Monday ... 7 = Sunday), Monday to
+// Friday by default. Holidays are the ones the calendar shows (lib/holidays): the
+// user's or workspace's public holidays plus the workspace's company holidays.
+// Dates are 'YYYY-MM-DD' strings throughout, so no timezone can shift them.
+
+const { query } = require('../config/database');
+const { getHolidayCalendar } = require('./holidays');
+
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Sorted, deduplicated ISO weekdays; nothing valid falls back to Monday to Friday
+const normalizeWorkingDays = (days) => {
+  const normalized = [...new Set((days || []).map(Number))]
+    .filter((day) => Number.isInteger(day) && day >= 1 && day <= 7)
+    .sort((a, b) => a - b);
+  return normalized.length > 0 ? normalized : [...DEFAULT_WORKING_DAYS];
+};
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const shiftDate = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+};
+
+// ISO weekday of a 'YYYY-MM-DD' date
+const getIsoWeekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay() || 7;
+
+/**
+ * Why a date is not worked: the holiday's name or the weekday's name, or null
+ * for a working day.
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {{ workingDays: number[], holidays: Map<string, string> }} calendar
+ */
+const getNonWorkingReason = (dateKey, calendar) => {
+  if (calendar.holidays.has(dateKey)) return calendar.holidays.get(dateKey);
+  const weekday = getIsoWeekday(dateKey);
+  return calendar.workingDays.includes(weekday) ? null : WEEKDAY_NAMES[weekday - 1];
+};
+
+const isWorkingDay = (dateKey, calendar) => getNonWorkingReason(dateKey, calendar) === null;
+
+/**
+ * The date `count` working days after (or before, when negative) dateKey.
+ * Zero returns dateKey itself, worked or not.
+ */
+const addWorkingDays = (dateKey, count, calendar) => {
+  const step = count < 0 ? -1 : 1;
+  let remaining = Math.abs(count);
+  let current = dateKey;
+  while (remaining > 0) {
+    current = shiftDate(current, step);
+    if (isWorkingDay(current, calendar)) remaining -= 1;
+  }
+  return current;
+};
+
+/**
+ * A working calendar built from its parts; holidays is a list of
+ * { date, localName, name } as returned by lib/holidays.
+ */
+const buildWorkingCalendar = ({ workingDays, holidays = [] }) => ({
+  workingDays: normalizeWorkingDays(workingDays),
+  holidays: new Map(holidays.map((holiday) => [holiday.date, holiday.localName || holiday.name])),
+});
+
+// The workspace's working weekdays; Monday to Friday without a workspace
+const getWorkingDays = async (workspaceId, db = { query }) => {
+  if (!workspaceId) return [...DEFAULT_WORKING_DAYS];
+  const result = await db.query('SELECT working_days FROM workspaces WHERE id = $1', [workspaceId]);
+  return normalizeWorkingDays(result.rows[0]?.working_days);
+};
+
+/**
+ * The working calendar of a workspace as one of its members sees it, with the
+ * holidays of the given years. workspaceId and userId are optional.
+ */
+const loadWorkingCalendar = async ({ workspaceId = null, userId = null, years }, db = { query }) => {
+  const workingDays = await getWorkingDays(workspaceId, db);
+  const holidays = [];
+  for (const year of years) {
+    const calendar = await getHolidayCalendar({ workspaceId, userId, year }, db);
+    holidays.push(...calendar.holidays);
+  }
+  return buildWorkingCalendar({ workingDays, holidays });
+};
+
+module.exports = {
+  DEFAULT_WORKING_DAYS,
+  normalizeWorkingDays,
+  shiftDate,
+  getIsoWeekday,
+  getNonWorkingReason,
+  isWorkingDay,
+  addWorkingDays,
+  buildWorkingCalendar,
+  getWorkingDays,
+  loadWorkingCalendar,
+};
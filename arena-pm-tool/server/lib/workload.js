@@ -0,0 +1,171 @@
+// Workload - open tasks per assignee per week, against each member's weekly capacity
+// Usage: const workload = await getWorkload({ workspaceId, from: '2026-10-19', weeks: 6 });
+//
+// Tasks are bucketed from task_assignments by the Monday of their due date's week.
+// A task with several assignees counts towards each of them. Tasks due before the
+// first week are "overdue"; tasks without a due date are only counted.
+// workspace_members.weekly_capacity is the number of open tasks a member can take
+// on per week; without one a member is never over capacity.
+
+const { query } = require('../config/database');
+const { statusCategorySql } = require('./workflowStatuses');
+const { shiftDate, getIsoWeekday } = require('./workingCalendar');
+
+const DEFAULT_WORKLOAD_WEEKS = 6;
+const MAX_WORKLOAD_WEEKS = 12;
+const MAX_WEEKLY_CAPACITY = 200;
+
+// Only current members get a row; tasks assigned to none of them are unassigned.
+// Tasks still carry every assignee id so reassigning keeps people who have left.
+const MEMBER_IDS_SQL = 'SELECT user_id FROM workspace_members WHERE workspace_id = $1';
+
+// Monday of the week a 'YYYY-MM-DD' date falls in
+const getWeekStart = (dateKey) => shiftDate(dateKey, 1 - getIsoWeekday(dateKey));
+
+const isDateKey = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Validate workload query params: `from` is any day of the first week (today by
+// default), `weeks` how many weeks to show. Returns { from, weeks } or { error }.
+const parseWorkloadRange = ({ from, weeks } = {}, now = new Date()) => {
+  const range = {
+    from: from || now.toISOString().split('T')[0],
+    weeks: weeks === undefined ? DEFAULT_WORKLOAD_WEEKS : Number(weeks),
+  };
+
+  if (!isDateKey(range.from)) {
+    return { error: 'from must be a date in YYYY-MM-DD format' };
+  }
+  if (!Number.isInteger(range.weeks) || range.weeks < 1 || range.weeks > MAX_WORKLOAD_WEEKS) {
+    return { error: `weeks must be between 1 and ${MAX_WORKLOAD_WEEKS}` };
+  }
+  return range;
+};
+
+const formatWorkloadTask = (row) => ({
+  id: row.id,
+  title: row.title,
+  priority: row.priority,
+  status: row.status,
+  dueDate: row.due_on,
+  assigneeIds: row.assignee_ids,
+});
+
+const emptyBuckets = (weekStarts) => ({
+  overdue: [],
+  weeks: weekStarts.map((weekStart) => ({ weekStart, tasks: [] })),
+  noDueDateCount: 0,
+});
+
+/**
+ * Bucket open tasks by assignee and week.
+ * members: workspace_members rows joined with users; tasks: open tasks due before
+ * the end of the range with their assignee_ids; undated: { user_id, count } rows of
+ * open tasks without a due date (user_id null for unassigned ones).
+ */
+const buildWorkload = ({ from, weeks, members, tasks, undated = [] }) => {
+  const weekStarts = Array.from({ length: weeks }, (_, index) => shiftDate(from, index * 7));
+  const rangeEnd = shiftDate(from, weeks * 7);
+
+  const rows = members.map((member) => ({
+    memberId: member.member_id,
+    userId: member.user_id,
+    name: member.name,
+    avatarUrl: member.avatar_url || null,
+    role: member.role,
+    weeklyCapacity: member.weekly_capacity ?? null,
+    ...emptyBuckets(weekStarts),
+  }));
+  const unassigned = emptyBuckets(weekStarts);
+  const rowsByUser = new Map(rows.map((row) => [row.userId, row]));
+
+  const place = (row, task) => {
+    if (task.due_on < from) {
+      row.overdue.push(formatWorkloadTask(task));
+    } else if (task.due_on < rangeEnd) {
+      row.weeks[weekStarts.indexOf(getWeekStart(task.due_on))].tasks.push(formatWorkloadTask(task));
+    }
+  };
+
+  tasks.forEach((task) => {
+    const assigneeRows = task.assignee_ids.map((userId) => rowsByUser.get(userId)).filter(Boolean);
+    if (assigneeRows.length === 0) {
+      place(unassigned, task);
+    } else {
+      assigneeRows.forEach((row) => place(row, task));
+    }
+  });
+
+  undated.forEach(({ user_id: userId, count }) => {
+    const row = userId === null ? unassigned : rowsByUser.get(userId);
+    if (row) row.noDueDateCount += parseInt(count, 10);
+  });
+
+  rows.forEach((row) => {
+    row.weeks.forEach((week) => {
+      week.overCapacity = row.weeklyCapacity !== null && week.tasks.length > row.weeklyCapacity;
+    });
+  });
+
+  return { from, weeks: weekStarts, members: rows, unassigned };
+};
+
+/**
+ * The workload of a workspace for `weeks` weeks starting on the Monday of `from`.
+ */
+const getWorkload = async ({ workspaceId, from, weeks = DEFAULT_WORKLOAD_WEEKS }, db = { query }) => {
+  const rangeStart = getWeekStart(from);
+  const rangeEnd = shiftDate(rangeStart, weeks * 7);
+
+  const membersResult = await db.query(`
+    SELECT wm.id as member_id, wm.user_id, wm.role, wm.weekly_capacity, u.name, u.avatar_url
+    FROM workspace_members wm
+    JOIN users u ON wm.user_id = u.id
+    WHERE wm.workspace_id = $1
+    ORDER BY u.name, wm.id
+  `, [workspaceId]);
+
+  const tasksResult = await db.query(`
+    SELECT t.id, t.title, t.priority, t.status,
+      to_char(t.due_date, 'YYYY-MM-DD') as due_on,
+      COALESCE(ARRAY_AGG(ta.user_id ORDER BY ta.user_id) FILTER (WHERE ta.user_id IS NOT NULL), '{}') as assignee_ids
+    FROM tasks t
+    LEFT JOIN task_assignments ta ON ta.task_id = t.id
+    WHERE t.workspace_id = $1
+      AND t.due_date < $2::date
+      AND ${statusCategorySql('t')} <> 'done'
+    GROUP BY t.id
+    ORDER BY t.due_date, t.id
+  `, [workspaceId, rangeEnd]);
+
+  const undatedResult = await db.query(`
+    SELECT ta.user_id, COUNT(*) as count
+    FROM tasks t
+    LEFT JOIN task_assignments ta ON ta.task_id = t.id AND ta.user_id IN (${MEMBER_IDS_SQL})
+    WHERE t.workspace_id = $1
+      AND t.due_date IS NULL
+      AND ${statusCategorySql('t')} <> 'done'
+    GROUP BY ta.user_id
+  `, [workspaceId]);
+
+  return buildWorkload({
+    from: rangeStart,
+    weeks,
+    members: membersResult.rows,
+    tasks: tasksResult.rows,
+    undated: undatedResult.rows,
+  });
+};
+
+module.exports = {
+  DEFAULT_WORKLOAD_WEEKS,
+  MAX_WORKLOAD_WEEKS,
+  MAX_WEEKLY_CAPACITY,
+  getWeekStart,
+  parseWorkloadRange,
+  buildWorkload,
+  getWorkload,
+};
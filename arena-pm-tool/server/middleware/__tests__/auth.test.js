@@ -1,11 +1,17 @@
 const jwt = require('jsonwebtoken');
-const { authMiddleware, adminMiddleware } = require('../auth');
+const { authMiddleware, adminMiddleware, requireSessionAuth } = require('../auth');
+const { findApiToken, touchApiToken } = require('../../lib/apiTokens');
 
 // Mock jsonwebtoken
 jest.mock('jsonwebtoken');
 jest.mock('../../lib/sentry', () => ({
   setUser: jest.fn(),
 }));
+jest.mock('../../lib/apiTokens', () => ({
+  ...jest.requireActual('../../lib/apiTokens'),
+  findApiToken: jest.fn(),
+  touchApiToken: jest.fn(),
+}));
 
 describe('Auth Middleware', () => {
   let req, res, next;
@@ -151,6 +157,120 @@ describe('Auth Middleware', () => {
     });
   });
 
+  describe('authMiddleware with API tokens', () => {
+    const PAT = 'tdr_pat_abc123';
+
+    const tokenRow = (overrides = {}) => ({
+      id: 7,
+      user_id: 3,
+      workspace_id: 'ws-uuid-1',
+      scope: 'write',
+      expires_at: new Date(Date.now() + 86400000).toISOString(),
+      last_used_at: null,
+      email: 'ci@example.com',
+      role: 'member',
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      req.headers.authorization = `Bearer ${PAT}`;
+      req.baseUrl = '/api/tasks';
+      req.method = 'POST';
+    });
+
+    it('should authenticate a valid token and attach its scope', async () => {
+      findApiToken.mockResolvedValue(tokenRow());
+
+      await authMiddleware(req, res, next);
+
+      expect(findApiToken).toHaveBeenCalledWith(PAT);
+      expect(jwt.verify).not.toHaveBeenCalled();
+      expect(req.user).toEqual({ id: 3, email: 'ci@example.com', role: 'member' });
+      expect(req.apiToken).toEqual({ id: 7, workspaceId: 'ws-uuid-1', scope: 'write' });
+      expect(touchApiToken).toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should ignore the session cookie when a token is sent', async () => {
+      req.cookies.token = 'cookie-jwt';
+      findApiToken.mockResolvedValue(tokenRow());
+
+      await authMiddleware(req, res, next);
+
+      expect(jwt.verify).not.toHaveBeenCalled();
+      expect(req.user.id).toBe(3);
+    });
+
+    it('should return 401 for an unknown token', async () => {
+      findApiToken.mockResolvedValue(null);
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Invalid API token.'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for an expired token', async () => {
+      findApiToken.mockResolvedValue(tokenRow({ expires_at: '2020-01-01T00:00:00Z' }));
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'API token has expired.'
+      });
+    });
+
+    it('should only allow reads with a read-only token', async () => {
+      findApiToken.mockResolvedValue(tokenRow({ scope: 'read' }));
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'This API token is read-only.'
+      });
+
+      res = createMockRes();
+      req.method = 'GET';
+      await authMiddleware(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject tokens on account endpoints', async () => {
+      req.baseUrl = '/api/me';
+
+      await authMiddleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(findApiToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireSessionAuth', () => {
+    it('should reject requests made with an API token', () => {
+      req.apiToken = { id: 7, workspaceId: 'ws-uuid-1', scope: 'write' };
+
+      requireSessionAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should allow session requests through', () => {
+      requireSessionAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
   describe('adminMiddleware', () => {
     it('should return 403 for non-admin users', () => {
       req.user = { id: 1, email: 'user@example.com', role: 'member' };
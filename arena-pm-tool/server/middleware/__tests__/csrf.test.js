@@ -102,6 +102,28 @@ describe('CSRF Middleware', () => {
     });
   });
 
+  describe('doubleCsrfProtection', () => {
+    it('should check the CSRF token of session requests', () => {
+      const { __mockDoubleCsrfProtection } = require('csrf-csrf');
+      const next = jest.fn();
+
+      csrfModule.doubleCsrfProtection(req, res, next);
+
+      expect(__mockDoubleCsrfProtection).toHaveBeenCalledWith(req, res, next);
+    });
+
+    it('should skip requests authenticated with an API token', () => {
+      const { __mockDoubleCsrfProtection } = require('csrf-csrf');
+      const next = jest.fn();
+      req.headers.authorization = 'Bearer tdr_pat_abc123';
+
+      csrfModule.doubleCsrfProtection(req, res, next);
+
+      expect(__mockDoubleCsrfProtection).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
   describe('csrfTokenRoute', () => {
     it('should generate a CSRF token and return it as JSON', () => {
       const { __mockGenerateCsrfToken } = require('csrf-csrf');
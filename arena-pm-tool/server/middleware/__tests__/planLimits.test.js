@@ -359,4 +359,99 @@ describe('Plan Limits Middleware', () => {
       expect(res.status).not.toHaveBeenCalled();
     });
   });
+
+  describe('checkAttachmentLimit', () => {
+    const MB = 1024 * 1024;
+
+    beforeEach(() => {
+      req.params = { id: '10' };
+      req.file = { size: 2 * MB };
+    });
+
+    it('should allow uploads within the file and storage limits', async () => {
+      // Task workspace lookup
+      query.mockResolvedValueOnce({ rows: [{ workspace_id: 'ws-uuid-123' }] });
+      // Subscription query - no subscription, free plan
+      query.mockResolvedValueOnce({ rows: [] });
+      // Storage used so far
+      query.mockResolvedValueOnce({ rows: [{ total: String(10 * MB) }] });
+
+      const { checkAttachmentLimit } = require('../planLimits');
+      await checkAttachmentLimit(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(query).toHaveBeenLastCalledWith(expect.stringContaining('SUM(size_bytes)'), ['ws-uuid-123']);
+    });
+
+    it('should block files over the free plan size limit', async () => {
+      req.file = { size: 6 * MB };
+      query.mockResolvedValueOnce({ rows: [{ workspace_id: 'ws-uuid-123' }] });
+      query.mockResolvedValueOnce({ rows: [] });
+
+      const { checkAttachmentLimit } = require('../planLimits');
+      await checkAttachmentLimit(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'PLAN_LIMIT_ATTACHMENT_SIZE',
+        limit: 5 * MB,
+      }));
+    });
+
+    it('should block uploads that would exceed workspace storage', async () => {
+      query.mockResolvedValueOnce({ rows: [{ workspace_id: 'ws-uuid-123' }] });
+      query.mockResolvedValueOnce({ rows: [] });
+      query.mockResolvedValueOnce({ rows: [{ total: String(99 * MB) }] });
+
+      const { checkAttachmentLimit } = require('../planLimits');
+      await checkAttachmentLimit(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'PLAN_LIMIT_STORAGE',
+        current: 99 * MB,
+      }));
+    });
+
+    it('should let pro plans upload larger files', async () => {
+      req.file = { size: 20 * MB };
+      query.mockResolvedValueOnce({ rows: [{ workspace_id: 'ws-uuid-123' }] });
+      query.mockResolvedValueOnce({
+        rows: [{ plan_id: 'pro', max_members: null, max_tasks_per_workspace: null, features: {} }],
+      });
+      query.mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      const { checkAttachmentLimit } = require('../planLimits');
+      await checkAttachmentLimit(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should honour plan feature overrides', async () => {
+      query.mockResolvedValueOnce({ rows: [{ workspace_id: 'ws-uuid-123' }] });
+      query.mockResolvedValueOnce({
+        rows: [{ plan_id: 'free', max_members: 3, max_tasks_per_workspace: 50, features: { max_attachment_mb: 1 } }],
+      });
+
+      const { checkAttachmentLimit } = require('../planLimits');
+      await checkAttachmentLimit(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'PLAN_LIMIT_ATTACHMENT_SIZE',
+        limit: MB,
+      }));
+    });
+
+    it('should fail open on database error', async () => {
+      query.mockRejectedValueOnce(new Error('DB connection refused'));
+
+      const { checkAttachmentLimit } = require('../planLimits');
+      await checkAttachmentLimit(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -7,17 +7,28 @@ const {
   verifyEmailSchema,
   createTaskSchema,
   updateTaskSchema,
+  bulkUpdateTasksSchema,
+  bulkDeleteTasksSchema,
+  createTaskDependencySchema,
   createCategorySchema,
   updateCategorySchema,
   createWorkspaceSchema,
   updateWorkspaceSchema,
   inviteToWorkspaceSchema,
+  updateWorkflowStatusesSchema,
+  createCustomFieldSchema,
+  updateCustomFieldSchema,
+  updateHolidayCalendarSchema,
+  createWorkspaceHolidaySchema,
   createCommentSchema,
   updateCommentSchema,
   updateProfileSchema,
   updatePreferencesSchema,
+  updateNotificationPreferencesSchema,
+  updateNotificationSchema,
   changePasswordSchema,
   updateMemberRoleSchema,
+  updateMemberCapacitySchema,
   updateTaskPositionSchema,
   reorderCategoriesSchema,
   _sanitize: sanitize,
@@ -149,7 +160,7 @@ describe('createTaskSchema', () => {
     const data = expectSuccess(createTaskSchema, validInput);
     expect(data.title).toBe('My Task');
     expect(data.priority).toBe('medium'); // default
-    expect(data.status).toBe('todo'); // default
+    expect(data.status).toBeUndefined(); // resolved per workspace by the controller
   });
 
   it('should pass with all optional fields', () => {
@@ -183,8 +194,13 @@ describe('createTaskSchema', () => {
     expectFailure(createTaskSchema, { ...validInput, priority: 'critical' });
   });
 
-  it('should fail with invalid status enum value', () => {
-    expectFailure(createTaskSchema, { ...validInput, status: 'archived' });
+  it('should accept custom workflow status keys', () => {
+    const data = expectSuccess(createTaskSchema, { ...validInput, status: 'in_review' });
+    expect(data.status).toBe('in_review');
+  });
+
+  it('should fail with a malformed status key', () => {
+    expectFailure(createTaskSchema, { ...validInput, status: 'In Review' });
   });
 
   it('should strip HTML from title (XSS prevention)', () => {
@@ -221,6 +237,17 @@ describe('updateTaskSchema', () => {
     expect(data.priority).toBe('high');
   });
 
+  it('should pass with custom field values keyed by field id', () => {
+    const data = expectSuccess(updateTaskSchema, {
+      custom_fields: { 2: 5, 3: '<b>prod</b>', 4: true, 5: null },
+    });
+    expect(data.custom_fields).toEqual({ 2: 5, 3: 'prod', 4: true, 5: null });
+  });
+
+  it('should fail with non-numeric custom field ids', () => {
+    expectFailure(updateTaskSchema, { custom_fields: { env: 'prod' } });
+  });
+
   it('should fail with invalid priority', () => {
     expectFailure(updateTaskSchema, { priority: 'extreme' });
   });
@@ -230,6 +257,79 @@ describe('updateTaskSchema', () => {
     expect(data.description).not.toContain('<b>');
     expect(data.description).toContain('Bold');
   });
+
+  it('should default recurrence interval to 1', () => {
+    const data = expectSuccess(updateTaskSchema, { recurrence_rule: { frequency: 'weekly' } });
+    expect(data.recurrence_rule.interval).toBe(1);
+  });
+
+  it('should allow clearing the recurrence rule', () => {
+    const data = expectSuccess(updateTaskSchema, { recurrence_rule: null });
+    expect(data.recurrence_rule).toBeNull();
+  });
+
+  it('should fail with an unknown recurrence frequency', () => {
+    expectFailure(updateTaskSchema, { recurrence_rule: { frequency: 'hourly' } });
+  });
+
+  it('should fail when recurrence has both an end date and a count', () => {
+    expectFailure(updateTaskSchema, {
+      recurrence_rule: { frequency: 'daily', end_date: '2025-06-01', count: 5 },
+    });
+  });
+});
+
+// ============================================================================
+// bulkUpdateTasksSchema / bulkDeleteTasksSchema
+// ============================================================================
+describe('bulkUpdateTasksSchema', () => {
+  it('should pass with task ids and at least one change', () => {
+    const data = expectSuccess(bulkUpdateTasksSchema, {
+      workspace_id: VALID_UUID,
+      task_ids: [1, 2],
+      changes: { status: 'in_progress', category_id: null },
+    });
+    expect(data.changes).toEqual({ status: 'in_progress', category_id: null });
+  });
+
+  it('should fail without any changes', () => {
+    expectFailure(bulkUpdateTasksSchema, { workspace_id: VALID_UUID, task_ids: [1], changes: {} });
+  });
+
+  it('should fail with fields that cannot be bulk edited', () => {
+    expectFailure(bulkUpdateTasksSchema, { workspace_id: VALID_UUID, task_ids: [1], changes: { title: 'Same for all' } });
+  });
+
+  it('should fail with more than 200 tasks', () => {
+    const task_ids = Array.from({ length: 201 }, (_, i) => i + 1);
+    expectFailure(bulkUpdateTasksSchema, { workspace_id: VALID_UUID, task_ids, changes: { priority: 'low' } });
+  });
+});
+
+describe('bulkDeleteTasksSchema', () => {
+  it('should require at least one task id and a workspace', () => {
+    expectSuccess(bulkDeleteTasksSchema, { workspace_id: VALID_UUID, task_ids: [3] });
+    expectFailure(bulkDeleteTasksSchema, { workspace_id: VALID_UUID, task_ids: [] });
+    expectFailure(bulkDeleteTasksSchema, { task_ids: [3] });
+  });
+});
+
+// ============================================================================
+// createTaskDependencySchema
+// ============================================================================
+describe('createTaskDependencySchema', () => {
+  it('should pass with a task id', () => {
+    const data = expectSuccess(createTaskDependencySchema, { depends_on_task_id: 2 });
+    expect(data.depends_on_task_id).toBe(2);
+  });
+
+  it('should fail without a task id', () => {
+    expectFailure(createTaskDependencySchema, {});
+  });
+
+  it('should fail with a non-integer task id', () => {
+    expectFailure(createTaskDependencySchema, { depends_on_task_id: '2' });
+  });
 });
 
 // ============================================================================
@@ -335,6 +435,82 @@ describe('inviteToWorkspaceSchema', () => {
   });
 });
 
+// ============================================================================
+// updateWorkflowStatusesSchema
+// ============================================================================
+describe('updateWorkflowStatusesSchema', () => {
+  const validStatuses = [
+    { key: 'todo', name: 'To Do', category: 'not_started' },
+    { name: 'In Review', category: 'active', color: '#F59E0B' },
+    { key: 'completed', name: 'Completed', category: 'done' },
+  ];
+
+  it('should pass with an ordered status set', () => {
+    const data = expectSuccess(updateWorkflowStatusesSchema, { statuses: validStatuses });
+    expect(data.statuses).toHaveLength(3);
+    expect(data.statuses[1].key).toBeUndefined();
+  });
+
+  it('should fail without a not-started status', () => {
+    expectFailure(updateWorkflowStatusesSchema, { statuses: validStatuses.slice(1) });
+  });
+
+  it('should fail without a done status', () => {
+    expectFailure(updateWorkflowStatusesSchema, { statuses: validStatuses.slice(0, 2) });
+  });
+
+  it('should fail with an unknown category', () => {
+    expectFailure(updateWorkflowStatusesSchema, {
+      statuses: [...validStatuses, { name: 'Archived', category: 'archived' }],
+    });
+  });
+
+  it('should fail with a malformed key', () => {
+    expectFailure(updateWorkflowStatusesSchema, {
+      statuses: [{ ...validStatuses[0], key: 'To-Do' }, validStatuses[2]],
+    });
+  });
+});
+
+// ============================================================================
+// createCustomFieldSchema / updateCustomFieldSchema
+// ============================================================================
+describe('createCustomFieldSchema', () => {
+  it('should pass with a typed field', () => {
+    const data = expectSuccess(createCustomFieldSchema, { name: 'Story points', field_type: 'number' });
+    expect(data.field_type).toBe('number');
+  });
+
+  it('should pass with a dropdown and its options', () => {
+    const data = expectSuccess(createCustomFieldSchema, {
+      name: 'Environment', field_type: 'dropdown', options: ['staging', 'prod'],
+    });
+    expect(data.options).toEqual(['staging', 'prod']);
+  });
+
+  it('should fail for a dropdown without options', () => {
+    expectFailure(createCustomFieldSchema, { name: 'Environment', field_type: 'dropdown' });
+  });
+
+  it('should fail with duplicate options', () => {
+    expectFailure(createCustomFieldSchema, { name: 'Environment', field_type: 'dropdown', options: ['prod', 'prod'] });
+  });
+
+  it('should fail with an unknown type', () => {
+    expectFailure(createCustomFieldSchema, { name: 'Owner', field_type: 'user' });
+  });
+});
+
+describe('updateCustomFieldSchema', () => {
+  it('should pass with a rename and position', () => {
+    expectSuccess(updateCustomFieldSchema, { name: 'Points', position: 2 });
+  });
+
+  it('should fail with an empty option list', () => {
+    expectFailure(updateCustomFieldSchema, { options: [] });
+  });
+});
+
 // ============================================================================
 // createCommentSchema
 // ============================================================================
@@ -443,6 +619,55 @@ describe('updatePreferencesSchema', () => {
   it('should fail when timezone exceeds 50 characters', () => {
     expectFailure(updatePreferencesSchema, { timezone: 'A'.repeat(51) });
   });
+
+  it('should uppercase and dedupe holiday regions', () => {
+    const data = expectSuccess(updatePreferencesSchema, { holidayRegions: ['pl', 'de-by', 'PL'] });
+    expect(data.holidayRegions).toEqual(['PL', 'DE-BY']);
+  });
+
+  it('should accept null holiday regions', () => {
+    expect(expectSuccess(updatePreferencesSchema, { holidayRegions: null }).holidayRegions).toBeNull();
+  });
+
+  it('should fail for unknown holiday regions', () => {
+    expectFailure(updatePreferencesSchema, { holidayRegions: ['XX'] });
+  });
+});
+
+// ============================================================================
+// updateNotificationPreferencesSchema
+// ============================================================================
+describe('updateNotificationPreferencesSchema', () => {
+  it('should pass with per-type channel switches', () => {
+    const data = expectSuccess(updateNotificationPreferencesSchema, {
+      preferences: { comment: { email: false }, due_soon: { inApp: false, email: true } },
+    });
+    expect(data.preferences.comment).toEqual({ email: false });
+  });
+
+  it('should fail with an unknown type', () => {
+    expectFailure(updateNotificationPreferencesSchema, { preferences: { digest: { email: false } } });
+  });
+
+  it('should fail with an unknown channel or a non-boolean value', () => {
+    expectFailure(updateNotificationPreferencesSchema, { preferences: { comment: { sms: false } } });
+    expectFailure(updateNotificationPreferencesSchema, { preferences: { comment: { email: 'no' } } });
+  });
+
+  it('should fail with no types', () => {
+    expectFailure(updateNotificationPreferencesSchema, { preferences: {} });
+  });
+});
+
+// ============================================================================
+// updateNotificationSchema
+// ============================================================================
+describe('updateNotificationSchema', () => {
+  it('should require a boolean read flag', () => {
+    expectSuccess(updateNotificationSchema, { read: true });
+    expectFailure(updateNotificationSchema, {});
+    expectFailure(updateNotificationSchema, { read: 'yes' });
+  });
 });
 
 // ============================================================================
@@ -498,6 +723,30 @@ describe('updateMemberRoleSchema', () => {
   });
 });
 
+// ============================================================================
+// updateMemberCapacitySchema
+// ============================================================================
+describe('updateMemberCapacitySchema', () => {
+  it('should pass with a whole number of tasks', () => {
+    const data = expectSuccess(updateMemberCapacitySchema, { weekly_capacity: 8 });
+    expect(data.weekly_capacity).toBe(8);
+  });
+
+  it('should pass with null to clear the capacity', () => {
+    expectSuccess(updateMemberCapacitySchema, { weekly_capacity: null });
+  });
+
+  it('should fail with zero, fractions or too many', () => {
+    expectFailure(updateMemberCapacitySchema, { weekly_capacity: 0 });
+    expectFailure(updateMemberCapacitySchema, { weekly_capacity: 2.5 });
+    expectFailure(updateMemberCapacitySchema, { weekly_capacity: 201 });
+  });
+
+  it('should fail when weekly_capacity is missing', () => {
+    expectFailure(updateMemberCapacitySchema, {});
+  });
+});
+
 // ============================================================================
 // updateTaskPositionSchema
 // ============================================================================
@@ -703,3 +952,50 @@ describe('updateWorkspaceSchema', () => {
     expect(data.name).toBe('New Name');
   });
 });
+
+// ============================================================================
+// Holiday calendar schemas
+// ============================================================================
+describe('updateHolidayCalendarSchema', () => {
+  it('should pass with supported regions', () => {
+    expect(expectSuccess(updateHolidayCalendarSchema, { regions: ['LT', 'DE-BY'] }).regions).toEqual(['LT', 'DE-BY']);
+  });
+
+  it('should pass with null to use the default', () => {
+    expectSuccess(updateHolidayCalendarSchema, { regions: null });
+  });
+
+  it('should fail with more than 5 regions', () => {
+    expectFailure(updateHolidayCalendarSchema, { regions: ['LT', 'LV', 'EE', 'PL', 'DE', 'AT'] });
+  });
+
+  it('should fail when regions are missing', () => {
+    expectFailure(updateHolidayCalendarSchema, {});
+  });
+
+  it('should pass with working days alone, sorted and deduplicated', () => {
+    expect(expectSuccess(updateHolidayCalendarSchema, { workingDays: [5, 1, 2, 2, 3, 4] })).toEqual({ workingDays: [1, 2, 3, 4, 5] });
+  });
+
+  it('should fail without working days or with days outside 1-7', () => {
+    expectFailure(updateHolidayCalendarSchema, { workingDays: [] });
+    expectFailure(updateHolidayCalendarSchema, { workingDays: [0, 1] });
+    expectFailure(updateHolidayCalendarSchema, { workingDays: [1.5] });
+  });
+});
+
+describe('createWorkspaceHolidaySchema', () => {
+  it('should pass with a date and name', () => {
+    const data = expectSuccess(createWorkspaceHolidaySchema, { date: '2026-12-31', name: '<b>Office</b> closed', recurring: true });
+    expect(data).toEqual({ date: '2026-12-31', name: 'Office closed', recurring: true });
+  });
+
+  it('should fail for malformed or impossible dates', () => {
+    expectFailure(createWorkspaceHolidaySchema, { date: '31/12/2026', name: 'Office closed' });
+    expectFailure(createWorkspaceHolidaySchema, { date: '2026-02-30', name: 'Office closed' });
+  });
+
+  it('should fail without a name', () => {
+    expectFailure(createWorkspaceHolidaySchema, { date: '2026-12-31', name: '' });
+  });
+});
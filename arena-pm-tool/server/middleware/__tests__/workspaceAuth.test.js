@@ -9,6 +9,7 @@ const {
   verifyWorkspaceAccess,
   canUserEdit,
 } = require('../workspaceAuth');
+const { runWithApiToken } = require('../../lib/apiTokenScope');
 
 jest.mock('../../config/database', () => ({ query: jest.fn() }));
 jest.mock('../../lib/logger', () => ({
@@ -164,6 +165,17 @@ describe('Workspace Auth Middleware', () => {
   // requireWorkspaceRole
   // ---------------------------------------------------------------------------
   describe('requireWorkspaceRole', () => {
+    it('should return 403 for a workspace outside the API token scope', async () => {
+      req.query.workspace_id = 'ws-2';
+      req.apiToken = { id: 7, workspaceId: 'ws-1', scope: 'write' };
+
+      await requireWorkspaceRole('admin', 'member')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(query).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should return 400 when no workspace_id is present', async () => {
       const middleware = requireWorkspaceRole('admin');
 
@@ -463,6 +475,18 @@ describe('Workspace Auth Middleware', () => {
 
       expect(result).toBeNull();
     });
+
+    it('should only allow the workspace of the request\'s API token', async () => {
+      query.mockResolvedValue({ rows: [{ role: 'member' }] });
+      const apiToken = { id: 7, workspaceId: 'ws-1', scope: 'read' };
+
+      const own = await runWithApiToken(apiToken, () => verifyWorkspaceAccess(1, 'ws-1'));
+      const other = await runWithApiToken(apiToken, () => verifyWorkspaceAccess(1, 'ws-2'));
+
+      expect(own).toEqual({ role: 'member' });
+      expect(other).toBeNull();
+      expect(query).toHaveBeenCalledTimes(1);
+    });
   });
 
   // ---------------------------------------------------------------------------
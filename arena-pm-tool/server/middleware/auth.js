@@ -3,21 +3,79 @@
 
 const jwt = require('jsonwebtoken');
 const Sentry = require('../lib/sentry');
+const { API_TOKEN_ROUTES, isApiToken, findApiToken, touchApiToken } = require('../lib/apiTokens');
 
-// Middleware to verify JWT token from cookies or Authorization header
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+};
+
+// Authenticate a personal access token (tdr_pat_...) sent as a Bearer token.
+// The token is limited to its workspace (see lib/apiTokenScope.js) and scope.
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!API_TOKEN_ROUTES.includes(req.baseUrl)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API tokens cannot be used for this endpoint.'
+    });
+  }
+
+  const apiToken = await findApiToken(token);
+
+  if (!apiToken) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid API token.'
+    });
+  }
+
+  if (new Date(apiToken.expires_at) <= new Date()) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'API token has expired.'
+    });
+  }
+
+  if (apiToken.scope === 'read' && !READ_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This API token is read-only.'
+    });
+  }
+
+  req.user = {
+    id: apiToken.user_id,
+    email: apiToken.email,
+    role: apiToken.role
+  };
+  req.apiToken = {
+    id: apiToken.id,
+    workspaceId: apiToken.workspace_id,
+    scope: apiToken.scope
+  };
+
+  Sentry.setUser({ id: apiToken.user_id, email: apiToken.email });
+  touchApiToken(apiToken);
+
+  next();
+};
+
+// Middleware to verify JWT token from cookies or Authorization header,
+// or a personal access token from the Authorization header
 const authMiddleware = async (req, res, next) => {
   try {
-    // Try to get token from cookie first, then Authorization header
-    let token = req.cookies.token;
-
-    if (!token && req.headers.authorization) {
-      // Check for "Bearer <token>" format
-      const authHeader = req.headers.authorization;
-      if (authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
-      }
+    const bearerToken = getBearerToken(req);
+
+    // Personal access tokens take precedence over any session cookie
+    if (isApiToken(bearerToken)) {
+      return await authenticateApiToken(req, res, next, bearerToken);
     }
 
+    // Try to get token from cookie first, then Authorization header
+    const token = req.cookies.token || bearerToken;
+
     // If no token found, deny access
     if (!token) {
       return res.status(401).json({
@@ -77,7 +135,19 @@ const adminMiddleware = (req, res, next) => {
   }
 };
 
+// Middleware to keep a route session-only, e.g. joining or creating workspaces
+const requireSessionAuth = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API tokens cannot be used for this endpoint.'
+    });
+  }
+  next();
+};
+
 module.exports = {
   authMiddleware,
-  adminMiddleware
+  adminMiddleware,
+  requireSessionAuth
 };
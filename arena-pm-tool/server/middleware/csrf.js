@@ -2,10 +2,11 @@
 // Uses the double-submit cookie pattern via csrf-csrf
 
 const { doubleCsrf } = require('csrf-csrf');
+const { isApiToken } = require('../lib/apiTokens');
 
 const {
   generateCsrfToken,
-  doubleCsrfProtection,
+  doubleCsrfProtection: verifyCsrfToken,
 } = doubleCsrf({
   getSecret: () => process.env.JWT_SECRET,
   getSessionIdentifier: () => '',
@@ -20,6 +21,16 @@ const {
     req.headers['x-csrf-token'] || req.body?._csrf,
 });
 
+// Requests authenticated with a personal access token carry no cookies, so
+// they cannot be forged cross-site and skip the double-submit check
+const doubleCsrfProtection = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && isApiToken(authHeader.substring(7))) {
+    return next();
+  }
+  return verifyCsrfToken(req, res, next);
+};
+
 // Endpoint to get a CSRF token (called by the SPA on load)
 const csrfTokenRoute = (req, res) => {
   const token = generateCsrfToken(req, res);
@@ -1,10 +1,23 @@
 // Plan Limits Middleware
 // Enforces usage limits based on workspace subscription plan.
-// Checks task count, member count, and workspace count limits.
+// Checks task count, member count, workspace count, and attachment size/storage limits.
 
 const { query } = require('../config/database');
 const logger = require('../lib/logger');
 
+const MB = 1024 * 1024;
+
+// Attachment limits per plan. A plan's features can override them with
+// max_attachment_mb (per file) and attachment_storage_mb (workspace total).
+const ATTACHMENT_LIMITS = {
+  free: { maxFileBytes: 5 * MB, maxStorageBytes: 100 * MB },
+  pro: { maxFileBytes: 25 * MB, maxStorageBytes: 5 * 1024 * MB },
+  lifetime: { maxFileBytes: 25 * MB, maxStorageBytes: 5 * 1024 * MB },
+};
+
+// Largest per-file size on any plan - the hard cap for the upload parser
+const MAX_ATTACHMENT_BYTES = 25 * MB;
+
 /**
  * Get workspace_id from the request (body, query, or params).
  */
@@ -47,6 +60,17 @@ const getWorkspacePlanLimits = async (workspaceId) => {
   };
 };
 
+/**
+ * Count a workspace's top-level tasks (subtasks don't count towards the limit).
+ */
+const countWorkspaceTasks = async (workspaceId) => {
+  const countResult = await query(
+    'SELECT COUNT(*) as count FROM tasks WHERE workspace_id = $1 AND parent_task_id IS NULL',
+    [workspaceId]
+  );
+  return parseInt(countResult.rows[0].count);
+};
+
 /**
  * Middleware: enforce task creation limit.
  * Use on POST /api/tasks.
@@ -64,12 +88,7 @@ const checkTaskLimit = async (req, res, next) => {
       return next();
     }
 
-    // Count current top-level tasks (exclude subtasks)
-    const countResult = await query(
-      'SELECT COUNT(*) as count FROM tasks WHERE workspace_id = $1 AND parent_task_id IS NULL',
-      [workspaceId]
-    );
-    const currentCount = parseInt(countResult.rows[0].count);
+    const currentCount = await countWorkspaceTasks(workspaceId);
 
     if (currentCount >= plan.maxTasksPerWorkspace) {
       return res.status(403).json({
@@ -195,9 +214,81 @@ const checkWorkspaceLimit = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve the attachment limits for a plan (see ATTACHMENT_LIMITS).
+ */
+const getAttachmentLimits = (plan) => {
+  const defaults = ATTACHMENT_LIMITS[plan.planId] || ATTACHMENT_LIMITS.free;
+  const features = plan.features || {};
+  return {
+    maxFileBytes: features.max_attachment_mb ? features.max_attachment_mb * MB : defaults.maxFileBytes,
+    maxStorageBytes: features.attachment_storage_mb ? features.attachment_storage_mb * MB : defaults.maxStorageBytes,
+  };
+};
+
+const formatMb = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+/**
+ * Middleware: enforce attachment file size and workspace storage limits.
+ * Use after the upload parser on POST /api/tasks/:id/attachments.
+ */
+const checkAttachmentLimit = async (req, res, next) => {
+  try {
+    if (!req.file) return next();
+
+    // The workspace comes from the task being attached to
+    const taskResult = await query('SELECT workspace_id FROM tasks WHERE id = $1', [req.params.id]);
+    const workspaceId = taskResult.rows[0]?.workspace_id;
+    if (!workspaceId) return next();
+
+    const plan = await getWorkspacePlanLimits(workspaceId);
+    const limits = getAttachmentLimits(plan);
+    const planName = plan.planId === 'free' ? 'Free' : plan.planId;
+
+    if (req.file.size > limits.maxFileBytes) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'PLAN_LIMIT_ATTACHMENT_SIZE',
+        message: `Files on the ${planName} plan can be up to ${formatMb(limits.maxFileBytes)}. Upgrade to Pro for larger attachments.`,
+        limit: limits.maxFileBytes,
+        current: req.file.size,
+        planId: plan.planId,
+      });
+    }
+
+    const usageResult = await query(
+      'SELECT COALESCE(SUM(size_bytes), 0) as total FROM task_attachments WHERE workspace_id = $1',
+      [workspaceId]
+    );
+    const usedBytes = parseInt(usageResult.rows[0].total);
+
+    if (usedBytes + req.file.size > limits.maxStorageBytes) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'PLAN_LIMIT_STORAGE',
+        message: `Your workspace has used ${formatMb(usedBytes)} of its ${formatMb(limits.maxStorageBytes)} attachment storage on the ${planName} plan. Delete old attachments or upgrade to Pro.`,
+        limit: limits.maxStorageBytes,
+        current: usedBytes,
+        planId: plan.planId,
+      });
+    }
+
+    req.planLimits = plan;
+    next();
+  } catch (error) {
+    logger.error({ err: error }, 'Check attachment limit error');
+    // Fail open
+    next();
+  }
+};
+
 module.exports = {
   checkTaskLimit,
   checkMemberLimit,
   checkWorkspaceLimit,
+  checkAttachmentLimit,
   getWorkspacePlanLimits,
+  countWorkspaceTasks,
+  getAttachmentLimits,
+  MAX_ATTACHMENT_BYTES,
 };
@@ -62,9 +62,23 @@ const uploadLimiter = rateLimit({
   }
 });
 
+// Rate limiter for task/comment attachment uploads
+// 20 uploads per minute per IP (several files are often dropped at once)
+const attachmentUploadLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    status: 'error',
+    message: 'Too many upload requests. Limit is 20 per minute. Please try again shortly.'
+  }
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
   inviteLimiter,
-  uploadLimiter
+  uploadLimiter,
+  attachmentUploadLimiter
 };
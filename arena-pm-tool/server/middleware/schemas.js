@@ -1,5 +1,10 @@
 // Zod validation schemas for all API endpoints
 const { z } = require('zod');
+const { NOTIFICATION_TYPES } = require('../lib/notifications');
+const { WEBHOOK_EVENTS } = require('../lib/webhooks');
+const { API_TOKEN_SCOPES, DEFAULT_API_TOKEN_EXPIRY_DAYS, MAX_API_TOKEN_EXPIRY_DAYS } = require('../lib/apiTokens');
+const { MAX_HOLIDAY_REGIONS, isSupportedRegion } = require('../lib/holidays');
+const { MAX_WEEKLY_CAPACITY } = require('../lib/workload');
 
 // ============================================================================
 // Shared helpers
@@ -19,6 +24,24 @@ const optionalSanitizedString = (maxLen = 500) =>
 
 const uuidString = z.string().uuid('Invalid UUID format');
 
+// Workflow status keys are stored in tasks.status, e.g. 'in_review'
+const statusKey = z.string().trim().max(50).regex(/^[a-z][a-z0-9_]*$/, 'Status key must be lowercase letters, numbers and underscores');
+
+// Custom field values keyed by field id; the field's type is checked by the controller
+const customFieldValues = z.record(
+  z.string().regex(/^\d+$/, 'Custom field ids must be numeric'),
+  z.union([z.string().transform(sanitize).pipe(z.string().max(1000)), z.number(), z.boolean(), z.null()])
+);
+
+// Planned effort on a task, in minutes (up to 1000 hours)
+const estimateMinutes = z.number().int().min(0).max(60000);
+
+// Holiday countries/regions, e.g. ["PL", "DE-BY"]; null means "not set" (inherit)
+const holidayRegions = z.array(
+  z.string().trim().toUpperCase().refine(isSupportedRegion, 'Unknown holiday region')
+).max(MAX_HOLIDAY_REGIONS, `Choose at most ${MAX_HOLIDAY_REGIONS} holiday regions`)
+  .transform((regions) => [...new Set(regions)]);
+
 const hexColor = z.string().regex(/^#[0-9A-Fa-f]{6}$/, 'Must be a hex color (e.g., #3B82F6)');
 
 const emailString = z.string().email('Please provide a valid email address').max(255).transform((v) => v.toLowerCase().trim());
@@ -74,6 +97,15 @@ const verifyEmailSchema = {
 // Task schemas
 // ============================================================================
 
+const recurrenceRuleSchema = z.object({
+  frequency: z.enum(['daily', 'weekly', 'monthly', 'yearly']),
+  interval: z.number().int().min(1).max(365).optional().default(1),
+  end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'end_date must be YYYY-MM-DD').optional().nullable(),
+  count: z.number().int().min(1).max(1000).optional().nullable(),
+}).refine((rule) => !(rule.end_date && rule.count), {
+  message: 'Recurrence can end on a date or after a number of occurrences, not both',
+});
+
 const createTaskSchema = {
   body: z.object({
     title: sanitizedString(500).refine((v) => v.length >= 1, 'Task title is required'),
@@ -81,9 +113,13 @@ const createTaskSchema = {
     category_id: z.number().int().positive().optional().nullable(),
     assignee_ids: z.array(z.number().int().positive()).optional().default([]),
     priority: z.enum(['low', 'medium', 'high', 'urgent']).optional().default('medium'),
-    status: z.enum(['todo', 'in_progress', 'completed']).optional().default('todo'),
+    status: statusKey.optional(),
+    start_date: z.string().optional().nullable(),
     due_date: z.string().optional().nullable(),
     parent_task_id: z.number().int().positive().optional().nullable(),
+    recurrence_rule: recurrenceRuleSchema.optional().nullable(),
+    custom_fields: customFieldValues.optional(),
+    estimate_minutes: estimateMinutes.optional().nullable(),
     workspace_id: uuidString,
   }),
 };
@@ -95,13 +131,95 @@ const updateTaskSchema = {
     category_id: z.number().int().positive().optional().nullable(),
     assignee_ids: z.array(z.number().int().positive()).optional(),
     priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
-    status: z.enum(['todo', 'in_progress', 'completed']).optional(),
+    status: statusKey.optional(),
+    start_date: z.string().optional().nullable(),
     due_date: z.string().optional().nullable(),
     parent_task_id: z.number().int().positive().optional().nullable(),
+    recurrence_rule: recurrenceRuleSchema.optional().nullable(),
+    ignore_blockers: z.boolean().optional(),
+    custom_fields: customFieldValues.optional(),
+    estimate_minutes: estimateMinutes.optional().nullable(),
     workspace_id: uuidString.optional(),
   }),
 };
 
+// Bulk operations act on up to MAX_BULK_TASKS tasks from one workspace
+const MAX_BULK_TASKS = 200;
+const bulkTaskIds = z.array(z.number().int().positive())
+  .min(1, 'Select at least one task')
+  .max(MAX_BULK_TASKS, `At most ${MAX_BULK_TASKS} tasks can be changed at once`);
+
+const bulkUpdateTasksSchema = {
+  body: z.object({
+    workspace_id: uuidString,
+    task_ids: bulkTaskIds,
+    changes: z.object({
+      status: statusKey.optional(),
+      priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+      assignee_ids: z.array(z.number().int().positive()).optional(),
+      category_id: z.number().int().positive().optional().nullable(),
+      due_date: z.string().optional().nullable(),
+    }).strict().refine((changes) => Object.keys(changes).length > 0, 'No fields to update'),
+    ignore_blockers: z.boolean().optional(),
+  }),
+};
+
+const bulkDeleteTasksSchema = {
+  body: z.object({
+    workspace_id: uuidString,
+    task_ids: bulkTaskIds,
+  }),
+};
+
+// Task imports arrive as multipart/form-data, so every field is a string.
+// mapping is a JSON object of import field -> column name (null skips a field).
+const importColumnMapping = z.string().transform((value, ctx) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    ctx.addIssue({ code: 'custom', message: 'Column mapping must be a JSON object' });
+    return z.NEVER;
+  }
+}).pipe(z.record(z.string(), z.string().max(255).nullable(), { message: 'Column mapping must be a JSON object' }));
+
+const importTasksSchema = {
+  body: z.object({
+    workspace_id: uuidString,
+    format: z.enum(['csv', 'json'], { message: 'Format must be csv or json' }).optional(),
+    mapping: importColumnMapping.optional(),
+    dry_run: z.enum(['true', 'false']).optional().transform((value) => value === 'true'),
+  }),
+};
+
+const createTaskDependencySchema = {
+  body: z.object({
+    depends_on_task_id: z.number().int().positive(),
+  }),
+};
+
+// ============================================================================
+// Time entry schemas
+// ============================================================================
+
+const timeEntryStartedAt = z.string().refine((v) => !Number.isNaN(Date.parse(v)), 'started_at must be a date and time');
+const timeEntryMinutes = z.number().int().min(1, 'Duration must be at least 1 minute').max(1440, 'A single time entry can be at most 24 hours');
+
+const createTimeEntrySchema = {
+  body: z.object({
+    started_at: timeEntryStartedAt,
+    duration_minutes: timeEntryMinutes,
+    note: optionalSanitizedString(500).nullable().optional(),
+  }),
+};
+
+const updateTimeEntrySchema = {
+  body: z.object({
+    started_at: timeEntryStartedAt.optional(),
+    duration_minutes: timeEntryMinutes.optional(),
+    note: optionalSanitizedString(500).nullable().optional(),
+  }),
+};
+
 // ============================================================================
 // Category schemas
 // ============================================================================
@@ -145,6 +263,175 @@ const inviteToWorkspaceSchema = {
   }),
 };
 
+// Replaces the workspace's ordered status set. New statuses may omit `key`;
+// it is derived from the name.
+const updateWorkflowStatusesSchema = {
+  body: z.object({
+    statuses: z.array(z.object({
+      key: statusKey.optional(),
+      name: sanitizedString(50).refine((v) => v.length >= 1, 'Status name is required'),
+      category: z.enum(['not_started', 'active', 'done'], { message: 'Category must be not_started, active, or done' }),
+      color: hexColor.optional(),
+    })).min(1).max(20, 'A workflow can have at most 20 statuses')
+      .refine((statuses) => statuses.some((s) => s.category === 'not_started'), 'A workflow needs at least one not-started status')
+      .refine((statuses) => statuses.some((s) => s.category === 'done'), 'A workflow needs at least one done status'),
+  }),
+};
+
+const customFieldOptions = z.array(sanitizedString(100).refine((v) => v.length >= 1, 'Options cannot be empty'))
+  .max(50, 'A dropdown can have at most 50 options')
+  .refine((options) => new Set(options).size === options.length, 'Options must be unique');
+
+const createCustomFieldSchema = {
+  body: z.object({
+    name: sanitizedString(100).refine((v) => v.length >= 1, 'Field name is required'),
+    field_type: z.enum(['text', 'number', 'dropdown', 'date', 'checkbox'], { message: 'Field type must be text, number, dropdown, date, or checkbox' }),
+    options: customFieldOptions.optional(),
+  }).refine(
+    (field) => field.field_type !== 'dropdown' || (field.options && field.options.length > 0),
+    { message: 'Dropdown fields need at least one option', path: ['options'] }
+  ),
+};
+
+const updateCustomFieldSchema = {
+  body: z.object({
+    name: sanitizedString(100).refine((v) => v.length >= 1, 'Field name is required').optional(),
+    options: customFieldOptions.min(1, 'Dropdown fields need at least one option').optional(),
+    position: z.number().int().min(0).optional(),
+  }),
+};
+
+// ============================================================================
+// Saved view schemas
+// ============================================================================
+
+// Mirrors the client's useTaskFilters state and ListView sortConfig
+const savedViewFilters = z.object({
+  assignees: z.array(z.number().int().positive()).max(100).default([]),
+  priorities: z.array(z.string().max(20)).max(10).default([]),
+  categories: z.array(z.number().int().positive()).max(100).default([]),
+  statuses: z.array(statusKey).max(50).default([]),
+  hideCompleted: z.boolean().default(false),
+}).strict();
+
+const savedViewSort = z.object({
+  key: z.enum(['title', 'priority', 'dueDate', 'assignee']),
+  direction: z.enum(['asc', 'desc']),
+}).strict();
+
+const savedViewName = sanitizedString(100).refine((v) => v.length >= 1, 'View name is required');
+
+const createSavedViewSchema = {
+  body: z.object({
+    name: savedViewName,
+    visibility: z.enum(['personal', 'shared']).default('personal'),
+    filters: savedViewFilters.default({}),
+    sort: savedViewSort.nullable().optional(),
+    search: z.string().trim().max(200).default(''),
+    is_default: z.boolean().optional(),
+  }),
+};
+
+const updateSavedViewSchema = {
+  body: z.object({
+    name: savedViewName.optional(),
+    visibility: z.enum(['personal', 'shared']).optional(),
+    filters: savedViewFilters.optional(),
+    sort: savedViewSort.nullable().optional(),
+    search: z.string().trim().max(200).optional(),
+  }),
+};
+
+const setDefaultSavedViewSchema = {
+  body: z.object({
+    view_id: z.number().int().positive().nullable(),
+  }),
+};
+
+// ============================================================================
+// Webhook schemas
+// ============================================================================
+
+// Public-host and protocol rules are checked by the controller (lib/webhooks getWebhookUrlError)
+const webhookUrl = z.string().trim().url('Webhook URL must be a valid URL').max(2000);
+
+const webhookEvents = z.array(z.enum(WEBHOOK_EVENTS, { message: 'Unknown webhook event' }))
+  .min(1, 'Choose at least one event')
+  .transform((events) => [...new Set(events)]);
+
+const createWebhookSchema = {
+  body: z.object({
+    url: webhookUrl,
+    description: optionalSanitizedString(255),
+    events: webhookEvents,
+  }),
+};
+
+const updateWebhookSchema = {
+  body: z.object({
+    url: webhookUrl.optional(),
+    description: optionalSanitizedString(255),
+    events: webhookEvents.optional(),
+    is_active: z.boolean().optional(),
+  }),
+};
+
+// Trello / Asana / Jira exports arrive as multipart/form-data with the file
+const createImportJobSchema = {
+  body: z.object({
+    source: z.enum(['trello', 'asana', 'jira'], { message: 'Source must be trello, asana or jira' }),
+  }),
+};
+
+// ============================================================================
+// Holiday calendar schemas
+// ============================================================================
+
+// ISO weekdays, 1 = Monday ... 7 = Sunday
+const workingDays = z.array(z.number().int().min(1).max(7))
+  .min(1, 'Choose at least one working day')
+  .transform((days) => [...new Set(days)].sort((a, b) => a - b));
+
+const updateHolidayCalendarSchema = {
+  body: z.object({
+    regions: holidayRegions.nullable().optional(),
+    workingDays: workingDays.optional(),
+  }).refine((body) => body.regions !== undefined || body.workingDays !== undefined, 'No fields to update'),
+};
+
+const createWorkspaceHolidaySchema = {
+  body: z.object({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'date must be YYYY-MM-DD')
+      .refine((v) => !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().startsWith(v), 'date must be a valid date'),
+    name: sanitizedString(100).refine((v) => v.length >= 1, 'Holiday name is required'),
+    recurring: z.boolean().optional(),
+  }),
+};
+
+// ============================================================================
+// API token schemas
+// ============================================================================
+
+const createApiTokenSchema = {
+  body: z.object({
+    name: sanitizedString(100).pipe(z.string().min(1, 'Token name is required')),
+    workspace_id: uuidString,
+    scope: z.enum(API_TOKEN_SCOPES, { message: 'Scope must be read or write' }),
+    expires_in_days: z.number().int().min(1).max(MAX_API_TOKEN_EXPIRY_DAYS).default(DEFAULT_API_TOKEN_EXPIRY_DAYS),
+  }),
+};
+
+// ============================================================================
+// Calendar feed schemas
+// ============================================================================
+
+// Without a workspace_id the feed lists the user's assigned tasks
+const createCalendarFeedSchema = {
+  body: z.object({
+    workspace_id: uuidString.nullable().optional(),
+  }),
+};
+
 // ============================================================================
 // Comment schemas
 // ============================================================================
@@ -176,6 +463,30 @@ const updatePreferencesSchema = {
   body: z.object({
     language: z.string().max(10).optional(),
     timezone: z.string().max(50).optional(),
+    holidayRegions: holidayRegions.nullable().optional(),
+  }),
+};
+
+// ============================================================================
+// Notification schemas
+// ============================================================================
+
+const notificationChannelSettings = z.object({
+  inApp: z.boolean().optional(),
+  email: z.boolean().optional(),
+}).strict();
+
+const updateNotificationPreferencesSchema = {
+  body: z.object({
+    preferences: z.object(
+      Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, notificationChannelSettings.optional()]))
+    ).strict().refine((v) => Object.keys(v).length > 0, 'At least one notification type is required'),
+  }),
+};
+
+const updateNotificationSchema = {
+  body: z.object({
+    read: z.boolean(),
   }),
 };
 
@@ -196,6 +507,13 @@ const updateMemberRoleSchema = {
   }),
 };
 
+// Open tasks per week; null clears the capacity
+const updateMemberCapacitySchema = {
+  body: z.object({
+    weekly_capacity: z.number().int().min(1, 'Capacity must be at least 1').max(MAX_WEEKLY_CAPACITY).nullable(),
+  }),
+};
+
 const updateTaskPositionSchema = {
   body: z.object({
     position: z.number().int().min(0),
@@ -219,17 +537,39 @@ module.exports = {
   verifyEmailSchema,
   createTaskSchema,
   updateTaskSchema,
+  bulkUpdateTasksSchema,
+  bulkDeleteTasksSchema,
+  importTasksSchema,
+  createTaskDependencySchema,
+  createTimeEntrySchema,
+  updateTimeEntrySchema,
   createCategorySchema,
   updateCategorySchema,
   createWorkspaceSchema,
   updateWorkspaceSchema,
   inviteToWorkspaceSchema,
+  updateWorkflowStatusesSchema,
+  createCustomFieldSchema,
+  updateCustomFieldSchema,
+  createSavedViewSchema,
+  updateSavedViewSchema,
+  setDefaultSavedViewSchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  createImportJobSchema,
+  updateHolidayCalendarSchema,
+  createWorkspaceHolidaySchema,
+  createApiTokenSchema,
+  createCalendarFeedSchema,
   createCommentSchema,
   updateCommentSchema,
   updateProfileSchema,
   updatePreferencesSchema,
+  updateNotificationPreferencesSchema,
+  updateNotificationSchema,
   changePasswordSchema,
   updateMemberRoleSchema,
+  updateMemberCapacitySchema,
   updateTaskPositionSchema,
   reorderCategoriesSchema,
   // Exported for testing only
@@ -3,6 +3,7 @@
 
 const { query } = require('../config/database');
 const logger = require('../lib/logger');
+const { getApiTokenScope } = require('../lib/apiTokenScope');
 
 // Helper: Get workspace ID from request (body, query, or params)
 const getWorkspaceIdFromRequest = (req) => {
@@ -12,6 +13,10 @@ const getWorkspaceIdFromRequest = (req) => {
          req.params?.id;
 };
 
+// Helper: An API token only grants access to its own workspace
+const isOutsideApiTokenScope = (apiToken, workspaceId) =>
+  Boolean(apiToken) && apiToken.workspaceId !== workspaceId;
+
 // Middleware: Require workspace membership
 // Verifies user is a member of the specified workspace
 const requireWorkspaceMember = async (req, res, next) => {
@@ -25,11 +30,13 @@ const requireWorkspaceMember = async (req, res, next) => {
       });
     }
 
-    const result = await query(
-      `SELECT role FROM workspace_members
-       WHERE user_id = $1 AND workspace_id = $2`,
-      [req.user.id, workspaceId]
-    );
+    const result = isOutsideApiTokenScope(req.apiToken, workspaceId)
+      ? { rows: [] }
+      : await query(
+        `SELECT role FROM workspace_members
+         WHERE user_id = $1 AND workspace_id = $2`,
+        [req.user.id, workspaceId]
+      );
 
     if (result.rows.length === 0) {
       return res.status(403).json({
@@ -69,11 +76,13 @@ const requireWorkspaceRole = (...allowedRoles) => {
         });
       }
 
-      const result = await query(
-        `SELECT role FROM workspace_members
-         WHERE user_id = $1 AND workspace_id = $2`,
-        [req.user.id, workspaceId]
-      );
+      const result = isOutsideApiTokenScope(req.apiToken, workspaceId)
+        ? { rows: [] }
+        : await query(
+          `SELECT role FROM workspace_members
+           WHERE user_id = $1 AND workspace_id = $2`,
+          [req.user.id, workspaceId]
+        );
 
       if (result.rows.length === 0) {
         return res.status(403).json({
@@ -121,7 +130,7 @@ const checkWorkspaceEditPermission = async (req, res, next) => {
   try {
     const workspaceId = getWorkspaceIdFromRequest(req);
 
-    if (!workspaceId) {
+    if (!workspaceId || isOutsideApiTokenScope(req.apiToken, workspaceId)) {
       req.workspace = { canEdit: false };
       return next();
     }
@@ -154,7 +163,11 @@ const checkWorkspaceEditPermission = async (req, res, next) => {
 };
 
 // Helper: Verify workspace access (can be used in controllers)
+// Inside a request made with an API token, only the token's workspace is accessible.
 const verifyWorkspaceAccess = async (userId, workspaceId) => {
+  if (isOutsideApiTokenScope(getApiTokenScope(), workspaceId)) {
+    return null;
+  }
   const result = await query(
     `SELECT role FROM workspace_members
      WHERE user_id = $1 AND workspace_id = $2`,
@@ -0,0 +1,20 @@
+exports.up = (pgm) => {
+  pgm.addColumns('tasks', {
+    recurrence_rule: { type: 'jsonb' },
+    recurrence_series_id: { type: 'integer', references: 'tasks(id)', onDelete: 'SET NULL' },
+    recurrence_index: { type: 'integer', default: 1 },
+    recurrence_spawned_at: { type: 'timestamptz' },
+  });
+
+  pgm.createIndex('tasks', 'recurrence_series_id');
+  pgm.createIndex('tasks', ['due_date'], {
+    name: 'idx_tasks_recurrence_pending',
+    where: 'recurrence_rule IS NOT NULL AND recurrence_spawned_at IS NULL',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('tasks', ['due_date'], { name: 'idx_tasks_recurrence_pending' });
+  pgm.dropIndex('tasks', 'recurrence_series_id');
+  pgm.dropColumns('tasks', ['recurrence_rule', 'recurrence_series_id', 'recurrence_index', 'recurrence_spawned_at']);
+};
@@ -0,0 +1,23 @@
+exports.up = (pgm) => {
+  pgm.createTable('task_dependencies', {
+    id: { type: 'serial', primaryKey: true },
+    task_id: { type: 'integer', notNull: true, references: 'tasks(id)', onDelete: 'CASCADE' },
+    depends_on_task_id: { type: 'integer', notNull: true, references: 'tasks(id)', onDelete: 'CASCADE' },
+    created_by: { type: 'integer', references: 'users(id)', onDelete: 'SET NULL' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.addConstraint('task_dependencies', 'task_dependencies_unique', {
+    unique: ['task_id', 'depends_on_task_id'],
+  });
+  pgm.addConstraint('task_dependencies', 'task_dependencies_no_self', {
+    check: 'task_id <> depends_on_task_id',
+  });
+
+  pgm.createIndex('task_dependencies', 'task_id');
+  pgm.createIndex('task_dependencies', 'depends_on_task_id');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('task_dependencies');
+};
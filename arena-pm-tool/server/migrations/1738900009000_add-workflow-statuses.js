@@ -0,0 +1,33 @@
+exports.up = (pgm) => {
+  // Ordered, per-workspace status set. A workspace without rows here uses the
+  // built-in todo / in_progress / completed statuses.
+  pgm.createTable('workflow_statuses', {
+    id: { type: 'serial', primaryKey: true },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    key: { type: 'varchar(50)', notNull: true },
+    name: { type: 'varchar(50)', notNull: true },
+    category: { type: 'varchar(20)', notNull: true, check: "category IN ('not_started', 'active', 'done')" },
+    color: { type: 'varchar(7)', default: "'#94A3B8'" },
+    position: { type: 'integer', notNull: true, default: 0 },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+    updated_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.addConstraint('workflow_statuses', 'workflow_statuses_workspace_key_unique', {
+    unique: ['workspace_id', 'key'],
+  });
+  pgm.createIndex('workflow_statuses', ['workspace_id', 'position']);
+
+  // Task status is now validated against the workspace's set, not a fixed list
+  pgm.dropConstraint('tasks', 'tasks_status_check', { ifExists: true });
+  pgm.alterColumn('tasks', 'status', { type: 'varchar(50)' });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('workflow_statuses');
+  pgm.sql("UPDATE tasks SET status = 'todo' WHERE status NOT IN ('todo', 'in_progress', 'completed')");
+  pgm.alterColumn('tasks', 'status', { type: 'varchar(20)' });
+  pgm.addConstraint('tasks', 'tasks_status_check', {
+    check: "status IN ('todo', 'in_progress', 'completed')",
+  });
+};
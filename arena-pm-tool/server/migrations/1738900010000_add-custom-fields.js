@@ -0,0 +1,41 @@
+exports.up = (pgm) => {
+  // Workspace-defined task fields. Dropdown fields keep their choices in options.
+  pgm.createTable('custom_fields', {
+    id: { type: 'serial', primaryKey: true },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    name: { type: 'varchar(100)', notNull: true },
+    field_type: {
+      type: 'varchar(20)',
+      notNull: true,
+      check: "field_type IN ('text', 'number', 'dropdown', 'date', 'checkbox')",
+    },
+    options: { type: 'jsonb', notNull: true, default: pgm.func("'[]'::jsonb") },
+    position: { type: 'integer', notNull: true, default: 0 },
+    created_by: { type: 'integer', references: 'users(id)', onDelete: 'SET NULL' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+    updated_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.addConstraint('custom_fields', 'custom_fields_workspace_name_unique', {
+    unique: ['workspace_id', 'name'],
+  });
+  pgm.createIndex('custom_fields', ['workspace_id', 'position']);
+
+  // One typed value per task and field, stored as JSON (string, number or boolean)
+  pgm.createTable('task_custom_field_values', {
+    task_id: { type: 'integer', notNull: true, references: 'tasks(id)', onDelete: 'CASCADE' },
+    field_id: { type: 'integer', notNull: true, references: 'custom_fields(id)', onDelete: 'CASCADE' },
+    value: { type: 'jsonb', notNull: true },
+    updated_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.addConstraint('task_custom_field_values', 'task_custom_field_values_pkey', {
+    primaryKey: ['task_id', 'field_id'],
+  });
+  pgm.createIndex('task_custom_field_values', 'field_id');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('task_custom_field_values');
+  pgm.dropTable('custom_fields');
+};
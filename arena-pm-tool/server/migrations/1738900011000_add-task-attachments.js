@@ -0,0 +1,25 @@
+exports.up = (pgm) => {
+  // Files attached to a task, optionally through one of its comments.
+  // The bytes live in the storage backend under storage_key; rows cascade with
+  // the task/comment, and the controllers remove the stored files.
+  pgm.createTable('task_attachments', {
+    id: { type: 'serial', primaryKey: true },
+    task_id: { type: 'integer', notNull: true, references: 'tasks(id)', onDelete: 'CASCADE' },
+    comment_id: { type: 'integer', references: 'comments(id)', onDelete: 'CASCADE' },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    uploaded_by: { type: 'integer', references: 'users(id)', onDelete: 'SET NULL' },
+    file_name: { type: 'varchar(255)', notNull: true },
+    content_type: { type: 'varchar(255)', notNull: true },
+    size_bytes: { type: 'integer', notNull: true },
+    storage_key: { type: 'varchar(500)', notNull: true, unique: true },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('task_attachments', 'task_id');
+  pgm.createIndex('task_attachments', 'comment_id');
+  pgm.createIndex('task_attachments', 'workspace_id');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('task_attachments');
+};
@@ -0,0 +1,36 @@
+exports.up = (pgm) => {
+  // Planned effort for the task, in minutes
+  pgm.addColumns('tasks', {
+    estimate_minutes: { type: 'integer', check: 'estimate_minutes >= 0' },
+  });
+
+  // Time spent on a task by one user. A running timer is a row with no
+  // ended_at/duration_seconds yet; stopping it fills both in.
+  pgm.createTable('time_entries', {
+    id: { type: 'serial', primaryKey: true },
+    task_id: { type: 'integer', notNull: true, references: 'tasks(id)', onDelete: 'CASCADE' },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    user_id: { type: 'integer', notNull: true, references: 'users(id)', onDelete: 'CASCADE' },
+    started_at: { type: 'timestamptz', notNull: true },
+    ended_at: { type: 'timestamptz' },
+    duration_seconds: { type: 'integer', check: 'duration_seconds >= 0' },
+    note: { type: 'varchar(500)' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+    updated_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('time_entries', 'task_id');
+  pgm.createIndex('time_entries', ['workspace_id', 'started_at']);
+  pgm.createIndex('time_entries', 'user_id');
+  // At most one running timer per user
+  pgm.createIndex('time_entries', 'user_id', {
+    name: 'idx_time_entries_running_user',
+    unique: true,
+    where: 'ended_at IS NULL',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('time_entries');
+  pgm.dropColumns('tasks', ['estimate_minutes']);
+};
@@ -0,0 +1,26 @@
+// Weighted tsvectors for full-text search: task titles (A) outrank
+// descriptions (B), which outrank comment content (C).
+// Generated columns keep them in sync without triggers.
+exports.up = (pgm) => {
+  pgm.sql(`
+    ALTER TABLE tasks ADD COLUMN search_vector tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+      ) STORED
+  `);
+  pgm.sql(`
+    ALTER TABLE comments ADD COLUMN search_vector tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(content, '')), 'C')
+      ) STORED
+  `);
+
+  pgm.createIndex('tasks', 'search_vector', { method: 'gin' });
+  pgm.createIndex('comments', 'search_vector', { method: 'gin' });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('comments', ['search_vector']);
+  pgm.dropColumns('tasks', ['search_vector']);
+};
@@ -0,0 +1,34 @@
+exports.up = (pgm) => {
+  // Named filter/sort/search combinations for the board and list views.
+  // Personal views are only visible to their owner; shared views to the workspace.
+  pgm.createTable('saved_views', {
+    id: { type: 'serial', primaryKey: true },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    user_id: { type: 'integer', notNull: true, references: 'users(id)', onDelete: 'CASCADE' },
+    name: { type: 'varchar(100)', notNull: true },
+    visibility: {
+      type: 'varchar(20)',
+      notNull: true,
+      default: 'personal',
+      check: "visibility IN ('personal', 'shared')",
+    },
+    filters: { type: 'jsonb', notNull: true, default: pgm.func("'{}'::jsonb") },
+    sort: { type: 'jsonb' },
+    search: { type: 'varchar(200)', notNull: true, default: '' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+    updated_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('saved_views', ['workspace_id', 'visibility']);
+  pgm.createIndex('saved_views', 'user_id');
+
+  // Each member's default view in the workspace (personal or shared)
+  pgm.addColumns('workspace_members', {
+    default_saved_view_id: { type: 'integer', references: 'saved_views(id)', onDelete: 'SET NULL' },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('workspace_members', ['default_saved_view_id']);
+  pgm.dropTable('saved_views');
+};
@@ -0,0 +1,39 @@
+exports.up = (pgm) => {
+  // Members @mentioned in a comment, one row per mentioned user
+  pgm.createTable('comment_mentions', {
+    id: { type: 'serial', primaryKey: true },
+    comment_id: { type: 'integer', notNull: true, references: 'comments(id)', onDelete: 'CASCADE' },
+    user_id: { type: 'integer', notNull: true, references: 'users(id)', onDelete: 'CASCADE' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.addConstraint('comment_mentions', 'comment_mentions_comment_id_user_id_key', {
+    unique: ['comment_id', 'user_id'],
+  });
+  pgm.createIndex('comment_mentions', 'user_id');
+
+  // In-app notifications, one row per recipient
+  pgm.createTable('notifications', {
+    id: { type: 'serial', primaryKey: true },
+    user_id: { type: 'integer', notNull: true, references: 'users(id)', onDelete: 'CASCADE' },
+    workspace_id: { type: 'uuid', references: 'workspaces(id)', onDelete: 'CASCADE' },
+    type: { type: 'varchar(50)', notNull: true },
+    actor_id: { type: 'integer', references: 'users(id)', onDelete: 'SET NULL' },
+    task_id: { type: 'integer', references: 'tasks(id)', onDelete: 'CASCADE' },
+    comment_id: { type: 'integer', references: 'comments(id)', onDelete: 'CASCADE' },
+    data: { type: 'jsonb', notNull: true, default: pgm.func("'{}'::jsonb") },
+    read_at: { type: 'timestamptz' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('notifications', ['user_id', { name: 'created_at', sort: 'DESC' }]);
+  pgm.createIndex('notifications', 'user_id', {
+    name: 'idx_notifications_user_id_unread',
+    where: 'read_at IS NULL',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('notifications');
+  pgm.dropTable('comment_mentions');
+};
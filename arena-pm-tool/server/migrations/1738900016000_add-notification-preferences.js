@@ -0,0 +1,11 @@
+exports.up = (pgm) => {
+  // Per-type notification switches for each channel, e.g.
+  // { "comment": { "inApp": true, "email": false } }. Missing entries mean "on".
+  pgm.addColumns('users', {
+    notification_preferences: { type: 'jsonb', notNull: true, default: pgm.func("'{}'::jsonb") },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('users', ['notification_preferences']);
+};
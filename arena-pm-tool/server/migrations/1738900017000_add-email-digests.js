@@ -0,0 +1,31 @@
+exports.up = (pgm) => {
+  // Early builds stored "daily_digest"; the column only allows the four modes below
+  pgm.sql("UPDATE users SET email_digest_mode = 'daily' WHERE email_digest_mode = 'daily_digest'");
+  pgm.sql("UPDATE users SET email_digest_mode = 'immediate' WHERE email_digest_mode IS NULL OR email_digest_mode NOT IN ('immediate', 'daily', 'weekly', 'none')");
+
+  pgm.addColumns('users', {
+    last_digest_sent_at: { type: 'timestamptz' },
+  });
+
+  // Notification emails held back for a user's daily or weekly digest
+  pgm.createTable('email_digest_items', {
+    id: { type: 'serial', primaryKey: true },
+    user_id: { type: 'integer', notNull: true, references: 'users(id)', onDelete: 'CASCADE' },
+    workspace_id: { type: 'uuid', references: 'workspaces(id)', onDelete: 'CASCADE' },
+    type: { type: 'varchar(50)', notNull: true },
+    task_id: { type: 'integer', references: 'tasks(id)', onDelete: 'CASCADE' },
+    data: { type: 'jsonb', notNull: true, default: pgm.func("'{}'::jsonb") },
+    sent_at: { type: 'timestamptz' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('email_digest_items', 'user_id', {
+    name: 'idx_email_digest_items_user_id_pending',
+    where: 'sent_at IS NULL',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('email_digest_items');
+  pgm.dropColumns('users', ['last_digest_sent_at']);
+};
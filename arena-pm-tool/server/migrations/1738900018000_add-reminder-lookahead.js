@@ -0,0 +1,16 @@
+exports.up = (pgm) => {
+  // How many days ahead each user wants due-soon reminders for (replaces the
+  // global REMINDER_LOOKAHEAD_DAYS). Reminders follow users.timezone.
+  pgm.addColumns('users', {
+    reminder_lookahead_days: {
+      type: 'integer',
+      notNull: true,
+      default: 2,
+      check: 'reminder_lookahead_days BETWEEN 0 AND 14',
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('users', ['reminder_lookahead_days']);
+};
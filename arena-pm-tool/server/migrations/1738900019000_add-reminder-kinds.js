@@ -0,0 +1,36 @@
+exports.up = (pgm) => {
+  // Reminders now come in kinds: due_soon before the due date, a daily overdue
+  // nudge to each assignee after it, and one overdue_escalation to the task
+  // creator. Each kind is logged once per task, user and local day.
+  pgm.addColumns('reminder_log', {
+    kind: {
+      type: 'varchar(30)',
+      notNull: true,
+      default: 'due_soon',
+      check: "kind IN ('due_soon', 'overdue', 'overdue_escalation')",
+    },
+  });
+
+  pgm.dropConstraint('reminder_log', 'unique_reminder_per_task_user_day', { ifExists: true });
+  pgm.addConstraint('reminder_log', 'unique_reminder_per_task_user_day_kind', {
+    unique: ['task_id', 'user_id', 'reminded_on', 'kind'],
+  });
+
+  pgm.dropIndex('reminder_log', [], { name: 'idx_reminder_log_lookup', ifExists: true });
+  pgm.createIndex('reminder_log', ['task_id', 'user_id', 'kind', 'reminded_on'], {
+    name: 'idx_reminder_log_lookup',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.sql("DELETE FROM reminder_log WHERE kind <> 'due_soon'");
+  pgm.dropIndex('reminder_log', [], { name: 'idx_reminder_log_lookup', ifExists: true });
+  pgm.dropConstraint('reminder_log', 'unique_reminder_per_task_user_day_kind', { ifExists: true });
+  pgm.dropColumns('reminder_log', ['kind']);
+  pgm.addConstraint('reminder_log', 'unique_reminder_per_task_user_day', {
+    unique: ['task_id', 'user_id', 'reminded_on'],
+  });
+  pgm.createIndex('reminder_log', ['task_id', 'user_id', 'reminded_on'], {
+    name: 'idx_reminder_log_lookup',
+  });
+};
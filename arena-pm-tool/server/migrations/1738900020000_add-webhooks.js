@@ -0,0 +1,54 @@
+exports.up = (pgm) => {
+  // Outgoing webhook subscriptions, managed by workspace admins. Each one
+  // receives the events it lists, signed with its own secret.
+  pgm.createTable('webhooks', {
+    id: { type: 'serial', primaryKey: true },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    url: { type: 'varchar(2000)', notNull: true },
+    description: { type: 'varchar(255)' },
+    secret: { type: 'varchar(100)', notNull: true },
+    events: { type: 'text[]', notNull: true, default: pgm.func("'{}'::text[]") },
+    is_active: { type: 'boolean', notNull: true, default: true },
+    created_by: { type: 'integer', references: 'users(id)', onDelete: 'SET NULL' },
+    created_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+    updated_at: { type: 'timestamptz', default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('webhooks', 'workspace_id');
+
+  // One row per event and webhook: the delivery queue (like email_queue) and its log
+  pgm.createTable('webhook_deliveries', {
+    id: { type: 'serial', primaryKey: true },
+    webhook_id: { type: 'integer', notNull: true, references: 'webhooks(id)', onDelete: 'CASCADE' },
+    event: { type: 'varchar(50)', notNull: true },
+    payload: { type: 'jsonb', notNull: true },
+    status: {
+      type: 'varchar(20)',
+      notNull: true,
+      default: 'pending',
+      check: "status IN ('pending', 'delivered', 'failed')",
+    },
+    attempts: { type: 'integer', notNull: true, default: 0 },
+    max_attempts: { type: 'integer', notNull: true, default: 8 },
+    response_status: { type: 'integer' },
+    response_body: { type: 'text' },
+    duration_ms: { type: 'integer' },
+    last_error: { type: 'text' },
+    last_attempted_at: { type: 'timestamptz' },
+    delivered_at: { type: 'timestamptz' },
+    created_at: { type: 'timestamptz', notNull: true, default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('webhook_deliveries', ['status', 'created_at'], {
+    name: 'idx_webhook_deliveries_pending',
+    where: "status = 'pending'",
+  });
+  pgm.createIndex('webhook_deliveries', ['webhook_id', { name: 'created_at', sort: 'DESC' }], {
+    name: 'idx_webhook_deliveries_webhook_created',
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('webhook_deliveries');
+  pgm.dropTable('webhooks');
+};
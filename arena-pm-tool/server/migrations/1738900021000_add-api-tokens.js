@@ -0,0 +1,22 @@
+exports.up = (pgm) => {
+  // Personal access tokens for scripts and CI. Only a SHA-256 hash of the
+  // token is stored; each one is limited to a single workspace and scope.
+  pgm.createTable('api_tokens', {
+    id: { type: 'serial', primaryKey: true },
+    user_id: { type: 'integer', notNull: true, references: 'users(id)', onDelete: 'CASCADE' },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    name: { type: 'varchar(100)', notNull: true },
+    token_hash: { type: 'varchar(64)', notNull: true, unique: true },
+    token_hint: { type: 'varchar(4)', notNull: true },
+    scope: { type: 'varchar(10)', notNull: true, check: "scope IN ('read', 'write')" },
+    expires_at: { type: 'timestamptz', notNull: true },
+    last_used_at: { type: 'timestamptz' },
+    created_at: { type: 'timestamptz', notNull: true, default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('api_tokens', 'user_id');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('api_tokens');
+};
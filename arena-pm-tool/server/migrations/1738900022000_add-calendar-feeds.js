@@ -0,0 +1,18 @@
+exports.up = (pgm) => {
+  // Read-only iCalendar subscription URLs. A feed without a workspace lists the
+  // user's assigned tasks across workspaces; otherwise it lists the workspace's tasks.
+  pgm.createTable('calendar_feeds', {
+    id: { type: 'serial', primaryKey: true },
+    user_id: { type: 'integer', notNull: true, references: 'users(id)', onDelete: 'CASCADE' },
+    workspace_id: { type: 'uuid', references: 'workspaces(id)', onDelete: 'CASCADE' },
+    token: { type: 'varchar(64)', notNull: true, unique: true },
+    last_accessed_at: { type: 'timestamptz' },
+    created_at: { type: 'timestamptz', notNull: true, default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('calendar_feeds', 'user_id');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('calendar_feeds');
+};
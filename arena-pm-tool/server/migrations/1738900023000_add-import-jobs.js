@@ -0,0 +1,27 @@
+exports.up = (pgm) => {
+  // Imports of Trello, Asana and Jira exports, processed in the background by
+  // jobs/importJob.js. The uploaded file is kept in payload until the job finishes.
+  pgm.createTable('import_jobs', {
+    id: { type: 'serial', primaryKey: true },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    user_id: { type: 'integer', references: 'users(id)', onDelete: 'SET NULL' },
+    source: { type: 'varchar(20)', notNull: true, check: "source IN ('trello', 'asana', 'jira')" },
+    file_name: { type: 'varchar(255)' },
+    payload: { type: 'text' },
+    status: { type: 'varchar(20)', notNull: true, default: 'pending', check: "status IN ('pending', 'running', 'completed', 'failed')" },
+    total_items: { type: 'integer', notNull: true, default: 0 },
+    processed_items: { type: 'integer', notNull: true, default: 0 },
+    summary: { type: 'jsonb' },
+    error: { type: 'text' },
+    created_at: { type: 'timestamptz', notNull: true, default: pgm.func('NOW()') },
+    started_at: { type: 'timestamptz' },
+    completed_at: { type: 'timestamptz' },
+  });
+
+  pgm.createIndex('import_jobs', ['workspace_id', 'created_at']);
+  pgm.createIndex('import_jobs', 'created_at', { where: "status = 'pending'", name: 'import_jobs_pending_index' });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('import_jobs');
+};
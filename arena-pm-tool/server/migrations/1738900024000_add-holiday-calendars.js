@@ -0,0 +1,41 @@
+exports.up = (pgm) => {
+  // Holiday regions ("PL", "DE-BY", ...) shown in the calendar. NULL on a
+  // workspace means the app default (HOLIDAY_DEFAULT_REGIONS); NULL on a user
+  // means "use the workspace's regions".
+  pgm.addColumns('workspaces', {
+    holiday_regions: { type: 'text[]' },
+  });
+  pgm.addColumns('users', {
+    holiday_regions: { type: 'text[]' },
+  });
+
+  // Company holidays added by workspace admins. Recurring ones repeat every
+  // year on the same month and day.
+  pgm.createTable('workspace_holidays', {
+    id: { type: 'serial', primaryKey: true },
+    workspace_id: { type: 'uuid', notNull: true, references: 'workspaces(id)', onDelete: 'CASCADE' },
+    date: { type: 'date', notNull: true },
+    name: { type: 'varchar(100)', notNull: true },
+    recurring: { type: 'boolean', notNull: true, default: false },
+    created_by: { type: 'integer', references: 'users(id)', onDelete: 'SET NULL' },
+    created_at: { type: 'timestamptz', notNull: true, default: pgm.func('NOW()') },
+  });
+  pgm.createIndex('workspace_holidays', 'workspace_id');
+
+  // Holidays fetched from online providers, shared by every server instance
+  pgm.createTable('holiday_cache', {
+    provider: { type: 'varchar(20)', notNull: true },
+    region: { type: 'varchar(10)', notNull: true },
+    year: { type: 'integer', notNull: true },
+    holidays: { type: 'jsonb', notNull: true },
+    fetched_at: { type: 'timestamptz', notNull: true, default: pgm.func('NOW()') },
+  });
+  pgm.addConstraint('holiday_cache', 'holiday_cache_pkey', { primaryKey: ['provider', 'region', 'year'] });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('holiday_cache');
+  pgm.dropTable('workspace_holidays');
+  pgm.dropColumns('users', ['holiday_regions']);
+  pgm.dropColumns('workspaces', ['holiday_regions']);
+};
@@ -0,0 +1,11 @@
+exports.up = (pgm) => {
+  // ISO weekdays the workspace works (1 = Monday ... 7 = Sunday). Together with
+  // its holidays they make the working calendar used for due dates and reminders.
+  pgm.addColumns('workspaces', {
+    working_days: { type: 'smallint[]', notNull: true, default: pgm.func("'{1,2,3,4,5}'::smallint[]") },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('workspaces', ['working_days']);
+};
@@ -0,0 +1,10 @@
+exports.up = (pgm) => {
+  // Optional start date, so tasks can span days in the timeline. Never after due_date.
+  pgm.addColumns('tasks', {
+    start_date: { type: 'date' },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('tasks', ['start_date']);
+};
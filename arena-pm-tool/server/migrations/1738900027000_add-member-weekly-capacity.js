@@ -0,0 +1,11 @@
+exports.up = (pgm) => {
+  // How many open tasks a member can take on per week, for the workload view.
+  // NULL means no capacity is set and the member is never shown as over-allocated.
+  pgm.addColumns('workspace_members', {
+    weekly_capacity: { type: 'integer', check: 'weekly_capacity > 0' },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('workspace_members', ['weekly_capacity']);
+};
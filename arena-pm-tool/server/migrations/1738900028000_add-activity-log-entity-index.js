@@ -0,0 +1,8 @@
+exports.up = (pgm) => {
+  // Analytics looks up each completed task's status changes to measure cycle time
+  pgm.createIndex('activity_log', ['workspace_id', 'entity_type', 'entity_id']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('activity_log', ['workspace_id', 'entity_type', 'entity_id']);
+};
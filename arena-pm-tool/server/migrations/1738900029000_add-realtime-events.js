@@ -0,0 +1,22 @@
+exports.up = (pgm) => {
+  // Workspace event stream (lib/realtime.js). Events are written here and every
+  // open stream polls for the ones after its cursor, so they reach clients on
+  // any API instance. Pruned by the retention job.
+  pgm.createTable('realtime_events', {
+    id: { type: 'bigserial', primaryKey: true },
+    workspace_id: { type: 'uuid', references: 'workspaces(id)', onDelete: 'CASCADE' },
+    // Set for events meant for one user only
+    user_id: { type: 'integer', references: 'users(id)', onDelete: 'CASCADE' },
+    type: { type: 'varchar(50)', notNull: true },
+    actor_id: { type: 'integer' },
+    origin_client_id: { type: 'varchar(64)' },
+    data: { type: 'jsonb', notNull: true, default: pgm.func("'{}'::jsonb") },
+    created_at: { type: 'timestamptz', notNull: true, default: pgm.func('NOW()') },
+  });
+
+  pgm.createIndex('realtime_events', 'created_at');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('realtime_events');
+};
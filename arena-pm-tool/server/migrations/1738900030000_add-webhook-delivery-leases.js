@@ -0,0 +1,22 @@
+exports.up = (pgm) => {
+  // The delivery processor claims deliveries by marking them in_progress with a
+  // lease, commits, and only then posts them, so no transaction stays open
+  // during the HTTP requests. A delivery whose lease runs out was interrupted
+  // and is put back in the queue.
+  pgm.dropConstraint('webhook_deliveries', 'webhook_deliveries_status_check', { ifExists: true });
+  pgm.addConstraint('webhook_deliveries', 'webhook_deliveries_status_check', {
+    check: "status IN ('pending', 'in_progress', 'delivered', 'failed')",
+  });
+  pgm.addColumns('webhook_deliveries', {
+    lease_expires_at: { type: 'timestamptz' },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.sql("UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'in_progress'");
+  pgm.dropColumns('webhook_deliveries', ['lease_expires_at']);
+  pgm.dropConstraint('webhook_deliveries', 'webhook_deliveries_status_check', { ifExists: true });
+  pgm.addConstraint('webhook_deliveries', 'webhook_deliveries_status_check', {
+    check: "status IN ('pending', 'delivered', 'failed')",
+  });
+};
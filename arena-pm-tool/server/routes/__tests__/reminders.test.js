@@ -0,0 +1,62 @@
+jest.mock('../../jobs/reminderJob', () => ({ runReminderJob: jest.fn() }));
+jest.mock('../../jobs/recurrenceJob', () => ({ runRecurrenceJob: jest.fn() }));
+jest.mock('../../jobs/digestJob', () => ({ runDigestJob: jest.fn() }));
+jest.mock('../../jobs/webhookJob', () => ({ runWebhookJob: jest.fn() }));
+jest.mock('../../jobs/importJob', () => ({ runImportJob: jest.fn() }));
+jest.mock('../../middleware/auth', () => ({ authMiddleware: jest.fn((req, res, next) => next()) }));
+
+const express = require('express');
+const request = require('supertest');
+const reminderRoutes = require('../reminders');
+const { runImportJob } = require('../../jobs/importJob');
+
+describe('Reminder Routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/reminders', reminderRoutes);
+
+  const originalSecret = process.env.CRON_SECRET;
+
+  beforeEach(() => {
+    process.env.CRON_SECRET = 'cron-secret';
+  });
+
+  afterAll(() => {
+    process.env.CRON_SECRET = originalSecret;
+  });
+
+  describe('POST /api/reminders/imports/trigger', () => {
+    it('runs the queued imports', async () => {
+      runImportJob.mockResolvedValue({ processed: 1, completed: 1, failed: 0, interrupted: 0 });
+
+      const res = await request(app)
+        .post('/api/reminders/imports/trigger')
+        .set('Authorization', 'Bearer cron-secret');
+
+      expect(res.status).toBe(200);
+      expect(runImportJob).toHaveBeenCalledWith('vercel-cron');
+      expect(res.body).toEqual({
+        status: 'OK',
+        message: 'Import job completed',
+        summary: { processed: 1, completed: 1, failed: 0, interrupted: 0 }
+      });
+    });
+
+    it('reports an empty summary when the job fails', async () => {
+      runImportJob.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/reminders/imports/trigger')
+        .set('Authorization', 'Bearer cron-secret');
+
+      expect(res.body.summary).toEqual({ processed: 0, failed: 0 });
+    });
+
+    it('rejects requests without the cron secret', async () => {
+      const res = await request(app).post('/api/reminders/imports/trigger');
+
+      expect(res.status).toBe(401);
+      expect(runImportJob).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,13 @@
+// Calendar Feed Routes
+// Public iCalendar subscriptions; the token in the URL authenticates the request.
+// Feeds are created and revoked under /api/me/calendar-feeds.
+
+const express = require('express');
+const router = express.Router();
+const withErrorHandling = require('../lib/withErrorHandling');
+const { getCalendarFeed } = require('../controllers/calendarFeedController');
+
+// GET /api/calendar/:token.ics
+router.get('/:token.ics', withErrorHandling(getCalendarFeed));
+
+module.exports = router;
@@ -5,12 +5,15 @@ const express = require('express');
 const router = express.Router();
 const { authMiddleware } = require('../middleware/auth');
 const withErrorHandling = require('../lib/withErrorHandling');
-const { getHolidays } = require('../controllers/holidayController');
+const { getHolidays, getHolidayRegions } = require('../controllers/holidayController');
 
 // All holiday routes require authentication
 router.use(authMiddleware);
 
-// GET /api/holidays?year=2026
+// GET /api/holidays?year=2026&workspace_id=<uuid> - Public and company holidays for the calendar
 router.get('/', withErrorHandling(getHolidays));
 
+// GET /api/holidays/regions - Countries and regions that can be chosen
+router.get('/regions', withErrorHandling(getHolidayRegions));
+
 module.exports = router;
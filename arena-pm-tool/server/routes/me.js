@@ -9,7 +9,15 @@ const { authMiddleware } = require('../middleware/auth');
 const { uploadLimiter } = require('../middleware/rateLimiter');
 const withErrorHandling = require('../lib/withErrorHandling');
 const validate = require('../middleware/validate');
-const { updateProfileSchema, updatePreferencesSchema, changePasswordSchema } = require('../middleware/schemas');
+const {
+  updateProfileSchema,
+  updatePreferencesSchema,
+  changePasswordSchema,
+  updateNotificationSchema,
+  updateNotificationPreferencesSchema,
+  createApiTokenSchema,
+  createCalendarFeedSchema
+} = require('../middleware/schemas');
 const {
   getProfile,
   updateProfile,
@@ -23,6 +31,23 @@ const {
   exportTasksCsv,
   getDataExport
 } = require('../controllers/meController');
+const {
+  getNotifications,
+  updateNotification,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../controllers/notificationController');
+const {
+  getApiTokens,
+  createApiToken,
+  deleteApiToken
+} = require('../controllers/apiTokenController');
+const {
+  getCalendarFeeds,
+  createCalendarFeed,
+  deleteCalendarFeed
+} = require('../controllers/calendarFeedController');
 
 // Allowed file extensions for avatar uploads (whitelist)
 const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
@@ -62,6 +87,11 @@ router.patch('/preferences', validate(updatePreferencesSchema), withErrorHandlin
 
 // Notification routes
 router.patch('/notifications', withErrorHandling(updateNotifications));
+router.get('/notifications', withErrorHandling(getNotifications));
+router.post('/notifications/read-all', withErrorHandling(markAllNotificationsRead));
+router.get('/notifications/preferences', withErrorHandling(getNotificationPreferences));
+router.patch('/notifications/preferences', validate(updateNotificationPreferencesSchema), withErrorHandling(updateNotificationPreferences));
+router.patch('/notifications/:id', validate(updateNotificationSchema), withErrorHandling(updateNotification));
 
 // Avatar routes (rate limited)
 router.post('/avatar', uploadLimiter, upload.single('avatar'), withErrorHandling(uploadAvatar));
@@ -82,6 +112,16 @@ router.get('/tasks/export', withErrorHandling(exportTasksCsv));
 // GDPR data export (full JSON)
 router.get('/export', withErrorHandling(getDataExport));
 
+// Personal access tokens for scripts and CI
+router.get('/api-tokens', withErrorHandling(getApiTokens));
+router.post('/api-tokens', validate(createApiTokenSchema), withErrorHandling(createApiToken));
+router.delete('/api-tokens/:tokenId', withErrorHandling(deleteApiToken));
+
+// iCalendar feeds of due dates (the feeds themselves are served by routes/calendar.js)
+router.get('/calendar-feeds', withErrorHandling(getCalendarFeeds));
+router.post('/calendar-feeds', validate(createCalendarFeedSchema), withErrorHandling(createCalendarFeed));
+router.delete('/calendar-feeds/:feedId', withErrorHandling(deleteCalendarFeed));
+
 // Error handling middleware for multer errors
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -4,30 +4,42 @@
 const express = require('express');
 const router = express.Router();
 const { runReminderJob } = require('../jobs/reminderJob');
+const { runRecurrenceJob } = require('../jobs/recurrenceJob');
+const { runDigestJob } = require('../jobs/digestJob');
+const { runWebhookJob } = require('../jobs/webhookJob');
+const { runImportJob } = require('../jobs/importJob');
 const { authMiddleware } = require('../middleware/auth');
 const withErrorHandling = require('../lib/withErrorHandling');
 
-// POST /api/reminders/trigger
-// This endpoint is called by Vercel Cron to trigger reminder emails
+// Verify the request using CRON_SECRET in all environments
 // API-03: CRON_SECRET is now enforced in ALL environments (not just Vercel)
-router.post('/trigger', withErrorHandling(async (req, res) => {
-  // Verify the request using CRON_SECRET in all environments
+// Returns true when the request may proceed; otherwise the response has been sent.
+const verifyCronSecret = (req, res) => {
   const cronSecret = process.env.CRON_SECRET;
   if (cronSecret) {
     const authHeader = req.headers.authorization;
     if (authHeader !== `Bearer ${cronSecret}`) {
-      return res.status(401).json({
+      res.status(401).json({
         status: 'error',
         message: 'Unauthorized - Invalid cron secret'
       });
+      return false;
     }
   } else if (process.env.NODE_ENV === 'production') {
     // In production, CRON_SECRET must be configured
-    return res.status(500).json({
+    res.status(500).json({
       status: 'error',
       message: 'CRON_SECRET is not configured'
     });
+    return false;
   }
+  return true;
+};
+
+// POST /api/reminders/trigger
+// This endpoint is called by Vercel Cron to trigger reminder emails
+router.post('/trigger', withErrorHandling(async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
 
   const summary = await runReminderJob('vercel-cron');
 
@@ -38,6 +50,62 @@ router.post('/trigger', withErrorHandling(async (req, res) => {
   });
 }));
 
+// POST /api/reminders/recurring/trigger
+// Called by Vercel Cron to create the next occurrences of recurring tasks
+router.post('/recurring/trigger', withErrorHandling(async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  const summary = await runRecurrenceJob('vercel-cron');
+
+  res.json({
+    status: 'OK',
+    message: 'Recurrence job completed',
+    summary: summary || { created: 0, failed: 0 }
+  });
+}));
+
+// POST /api/reminders/digests/trigger
+// Called hourly by Vercel Cron to send the daily and weekly email digests that are due
+router.post('/digests/trigger', withErrorHandling(async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  const summary = await runDigestJob('vercel-cron');
+
+  res.json({
+    status: 'OK',
+    message: 'Digest job completed',
+    summary: summary || { sent: 0, failed: 0 }
+  });
+}));
+
+// POST /api/reminders/webhooks/trigger
+// Called every minute by Vercel Cron to deliver queued outgoing webhooks
+router.post('/webhooks/trigger', withErrorHandling(async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  const summary = await runWebhookJob('vercel-cron');
+
+  res.json({
+    status: 'OK',
+    message: 'Webhook job completed',
+    summary: summary || { delivered: 0, failed: 0 }
+  });
+}));
+
+// POST /api/reminders/imports/trigger
+// Called every minute by Vercel Cron to run queued Trello, Asana and Jira imports
+router.post('/imports/trigger', withErrorHandling(async (req, res) => {
+  if (!verifyCronSecret(req, res)) return;
+
+  const summary = await runImportJob('vercel-cron');
+
+  res.json({
+    status: 'OK',
+    message: 'Import job completed',
+    summary: summary || { processed: 0, failed: 0 }
+  });
+}));
+
 // GET /api/reminders/status
 // Health check for the reminder system (API-07: now requires authentication)
 router.get('/status', authMiddleware, (req, res) => {
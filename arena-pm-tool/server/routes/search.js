@@ -0,0 +1,14 @@
+// Search Routes
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const withErrorHandling = require('../lib/withErrorHandling');
+const searchController = require('../controllers/searchController');
+
+// All search routes require authentication
+router.use(authMiddleware);
+
+// Full-text search across a workspace's tasks and comments
+router.get('/', withErrorHandling(searchController.search));
+
+module.exports = router;
@@ -3,13 +3,15 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { authMiddleware } = require('../middleware/auth');
 const { requireActiveSubscription } = require('../middleware/billingGuard');
-const { checkTaskLimit } = require('../middleware/planLimits');
+const { checkTaskLimit, checkAttachmentLimit, MAX_ATTACHMENT_BYTES } = require('../middleware/planLimits');
+const { attachmentUploadLimiter } = require('../middleware/rateLimiter');
 const { auditLog } = require('../middleware/auditLog');
 const validate = require('../middleware/validate');
 const withErrorHandling = require('../lib/withErrorHandling');
-const { createTaskSchema, updateTaskSchema, updateTaskPositionSchema, createCommentSchema } = require('../middleware/schemas');
+const { createTaskSchema, updateTaskSchema, bulkUpdateTasksSchema, bulkDeleteTasksSchema, importTasksSchema, updateTaskPositionSchema, createCommentSchema, createTaskDependencySchema, createTimeEntrySchema } = require('../middleware/schemas');
 const {
   getAllTasks,
   getTaskById,
@@ -19,14 +21,65 @@ const {
   deleteTask,
   getSubtasks
 } = require('../controllers/taskController');
+const {
+  bulkUpdateTasks,
+  bulkDeleteTasks
+} = require('../controllers/bulkTaskController');
+const { importTasks } = require('../controllers/taskImportController');
+const { MAX_IMPORT_BYTES } = require('../lib/taskImport');
 const {
   getCommentsByTaskId,
   createComment
 } = require('../controllers/commentController');
+const {
+  getTaskDependencies,
+  getWorkspaceDependencies,
+  addTaskDependency,
+  removeTaskDependency
+} = require('../controllers/taskDependencyController');
+const {
+  getTaskAttachments,
+  uploadTaskAttachment,
+  downloadTaskAttachment,
+  deleteTaskAttachment
+} = require('../controllers/attachmentController');
+const {
+  getTaskTimeEntries,
+  createTimeEntry,
+  startTimer,
+  stopTimer
+} = require('../controllers/timeEntryController');
+
+// Attachments are buffered in memory and handed to the storage backend.
+// The hard cap is the largest plan's per-file limit; checkAttachmentLimit
+// then applies the workspace's own plan limits.
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_BYTES,
+    files: 1
+  }
+});
+
+// Import files are parsed from memory; multer runs before the plan checks so
+// they can read workspace_id from the multipart body
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_BYTES,
+    files: 1
+  }
+});
 
 // All task routes require authentication
 router.use(authMiddleware);
 
+// Bulk, import and dependency routes (declared before /:id so these paths are never read as a task id)
+router.patch('/bulk', requireActiveSubscription, validate(bulkUpdateTasksSchema), auditLog('bulk_update', 'task'), withErrorHandling(bulkUpdateTasks)); // PATCH /api/tasks/bulk
+router.post('/bulk/delete', requireActiveSubscription, validate(bulkDeleteTasksSchema), auditLog('bulk_delete', 'task'), withErrorHandling(bulkDeleteTasks)); // POST /api/tasks/bulk/delete
+router.get('/dependencies', withErrorHandling(getWorkspaceDependencies)); // GET /api/tasks/dependencies?workspace_id=
+router.post('/import', importUpload.single('file'), requireActiveSubscription, validate(importTasksSchema), auditLog('import', 'task'), withErrorHandling(importTasks)); // POST /api/tasks/import
+
 // Task CRUD routes
 router.get('/', withErrorHandling(getAllTasks));              // GET /api/tasks (with optional filters + pagination)
 router.get('/:id', withErrorHandling(getTaskById));           // GET /api/tasks/:id
@@ -40,4 +93,40 @@ router.delete('/:id', requireActiveSubscription, auditLog('delete', 'task'), wit
 router.get('/:taskId/comments', withErrorHandling(getCommentsByTaskId)); // GET /api/tasks/:taskId/comments
 router.post('/:taskId/comments', requireActiveSubscription, validate(createCommentSchema), withErrorHandling(createComment)); // POST /api/tasks/:taskId/comments
 
+// Task dependency routes ("blocked by")
+router.get('/:id/dependencies', withErrorHandling(getTaskDependencies)); // GET /api/tasks/:id/dependencies
+router.post('/:id/dependencies', requireActiveSubscription, validate(createTaskDependencySchema), auditLog('create', 'task_dependency'), withErrorHandling(addTaskDependency)); // POST /api/tasks/:id/dependencies
+router.delete('/:id/dependencies/:dependsOnId', requireActiveSubscription, auditLog('delete', 'task_dependency'), withErrorHandling(removeTaskDependency)); // DELETE /api/tasks/:id/dependencies/:dependsOnId
+
+// Task attachment routes (comment attachments are uploaded with a comment_id field)
+router.get('/:id/attachments', withErrorHandling(getTaskAttachments)); // GET /api/tasks/:id/attachments
+router.post('/:id/attachments', requireActiveSubscription, attachmentUploadLimiter, attachmentUpload.single('file'), checkAttachmentLimit, auditLog('create', 'attachment'), withErrorHandling(uploadTaskAttachment)); // POST /api/tasks/:id/attachments
+router.get('/:id/attachments/:attachmentId', withErrorHandling(downloadTaskAttachment)); // GET /api/tasks/:id/attachments/:attachmentId
+router.delete('/:id/attachments/:attachmentId', requireActiveSubscription, auditLog('delete', 'attachment'), withErrorHandling(deleteTaskAttachment)); // DELETE /api/tasks/:id/attachments/:attachmentId
+
+// Task time tracking routes (entries are edited/deleted via /api/time-entries)
+router.get('/:id/time-entries', withErrorHandling(getTaskTimeEntries)); // GET /api/tasks/:id/time-entries
+router.post('/:id/time-entries', requireActiveSubscription, validate(createTimeEntrySchema), auditLog('create', 'time_entry'), withErrorHandling(createTimeEntry)); // POST /api/tasks/:id/time-entries
+router.post('/:id/timer/start', requireActiveSubscription, withErrorHandling(startTimer)); // POST /api/tasks/:id/timer/start
+router.post('/:id/timer/stop', requireActiveSubscription, withErrorHandling(stopTimer)); // POST /api/tasks/:id/timer/stop
+
+// Error handling middleware for attachment and import upload errors
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      const maxBytes = req.path === '/import' ? MAX_IMPORT_BYTES : MAX_ATTACHMENT_BYTES;
+      return res.status(400).json({
+        status: 'error',
+        message: `File too large. Maximum size is ${maxBytes / (1024 * 1024)}MB.`
+      });
+    }
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  next(error);
+});
+
 module.exports = router;
@@ -0,0 +1,25 @@
+// Time Entry Routes
+// Timers are started/stopped and entries created under /api/tasks/:id
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requireSessionAuth } = require('../middleware/auth');
+const { requireActiveSubscription } = require('../middleware/billingGuard');
+const { auditLog } = require('../middleware/auditLog');
+const withErrorHandling = require('../lib/withErrorHandling');
+const validate = require('../middleware/validate');
+const { updateTimeEntrySchema } = require('../middleware/schemas');
+const timeEntryController = require('../controllers/timeEntryController');
+
+// All time entry routes require authentication
+router.use(authMiddleware);
+
+// Get the current user's running timer
+router.get('/running', requireSessionAuth, withErrorHandling(timeEntryController.getMyRunningTimer));
+
+// Update a time entry
+router.put('/:id', requireActiveSubscription, validate(updateTimeEntrySchema), auditLog('update', 'time_entry'), withErrorHandling(timeEntryController.updateTimeEntry));
+
+// Delete a time entry
+router.delete('/:id', requireActiveSubscription, auditLog('delete', 'time_entry'), withErrorHandling(timeEntryController.deleteTimeEntry));
+
+module.exports = router;
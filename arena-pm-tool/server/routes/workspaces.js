@@ -2,17 +2,38 @@
 // API endpoints for workspace management
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireSessionAuth } = require('../middleware/auth');
 const { inviteLimiter } = require('../middleware/rateLimiter');
 const { requireActiveSubscription } = require('../middleware/billingGuard');
-const { checkMemberLimit, checkWorkspaceLimit } = require('../middleware/planLimits');
+const { checkMemberLimit, checkWorkspaceLimit, checkTaskLimit } = require('../middleware/planLimits');
 const withErrorHandling = require('../lib/withErrorHandling');
 const validate = require('../middleware/validate');
-const { createWorkspaceSchema, updateWorkspaceSchema, inviteToWorkspaceSchema, updateMemberRoleSchema } = require('../middleware/schemas');
+const { createWorkspaceSchema, updateWorkspaceSchema, inviteToWorkspaceSchema, updateMemberRoleSchema, updateWorkflowStatusesSchema, createCustomFieldSchema, updateCustomFieldSchema, createSavedViewSchema, updateSavedViewSchema, setDefaultSavedViewSchema, createWebhookSchema, updateWebhookSchema, createImportJobSchema, updateHolidayCalendarSchema, createWorkspaceHolidaySchema, updateMemberCapacitySchema } = require('../middleware/schemas');
 const { auditLog } = require('../middleware/auditLog');
 const workspaceController = require('../controllers/workspaceController');
 const onboardingController = require('../controllers/onboardingController');
+const workflowStatusController = require('../controllers/workflowStatusController');
+const customFieldController = require('../controllers/customFieldController');
+const timeEntryController = require('../controllers/timeEntryController');
+const savedViewController = require('../controllers/savedViewController');
+const webhookController = require('../controllers/webhookController');
+const realtimeController = require('../controllers/realtimeController');
+const importJobController = require('../controllers/importJobController');
+const holidayController = require('../controllers/holidayController');
+const workloadController = require('../controllers/workloadController');
+const analyticsController = require('../controllers/analyticsController');
+const { MAX_IMPORT_FILE_BYTES } = require('../lib/importers');
+
+// Exports are stored on the job and parsed by jobs/importJob.js
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_BYTES,
+    files: 1
+  }
+});
 
 // ============================================================================
 // Public Routes (no authentication required)
@@ -32,7 +53,7 @@ router.use(authMiddleware);
 router.get('/', withErrorHandling(workspaceController.getMyWorkspaces));
 
 // POST /api/workspaces - Create new workspace (plan limit enforced)
-router.post('/', checkWorkspaceLimit, validate(createWorkspaceSchema), auditLog('create', 'workspace'), withErrorHandling(workspaceController.createWorkspace));
+router.post('/', requireSessionAuth, checkWorkspaceLimit, validate(createWorkspaceSchema), auditLog('create', 'workspace'), withErrorHandling(workspaceController.createWorkspace));
 
 // GET /api/workspaces/users - Get users for workspace (for assignee dropdown)
 router.get('/users', withErrorHandling(workspaceController.getWorkspaceUsers));
@@ -44,7 +65,7 @@ router.get('/:id', withErrorHandling(workspaceController.getWorkspaceById));
 router.put('/:id', validate(updateWorkspaceSchema), auditLog('update', 'workspace'), withErrorHandling(workspaceController.updateWorkspace));
 
 // DELETE /api/workspaces/:id - Delete workspace
-router.delete('/:id', auditLog('delete', 'workspace'), withErrorHandling(workspaceController.deleteWorkspace));
+router.delete('/:id', requireSessionAuth, auditLog('delete', 'workspace'), withErrorHandling(workspaceController.deleteWorkspace));
 
 // ============================================================================
 // Workspace Members
@@ -54,10 +75,10 @@ router.delete('/:id', auditLog('delete', 'workspace'), withErrorHandling(workspa
 router.get('/:id/members', withErrorHandling(workspaceController.getWorkspaceMembers));
 
 // PATCH /api/workspaces/:id/members/:memberId - Update member role
-router.patch('/:id/members/:memberId', validate(updateMemberRoleSchema), withErrorHandling(workspaceController.updateMemberRole));
+router.patch('/:id/members/:memberId', requireSessionAuth, validate(updateMemberRoleSchema), withErrorHandling(workspaceController.updateMemberRole));
 
 // DELETE /api/workspaces/:id/members/:memberId - Remove member from workspace
-router.delete('/:id/members/:memberId', withErrorHandling(workspaceController.removeMember));
+router.delete('/:id/members/:memberId', requireSessionAuth, withErrorHandling(workspaceController.removeMember));
 
 // ============================================================================
 // Workspace Invitations
@@ -65,10 +86,10 @@ router.delete('/:id/members/:memberId', withErrorHandling(workspaceController.re
 
 // POST /api/workspaces/accept-invite/:token - Accept invitation (any authenticated user)
 // Defined before /:id routes to prevent parameterized route conflicts
-router.post('/accept-invite/:token', withErrorHandling(workspaceController.acceptInvitation));
+router.post('/accept-invite/:token', requireSessionAuth, withErrorHandling(workspaceController.acceptInvitation));
 
 // POST /api/workspaces/:id/invite - Invite user to workspace (rate + plan limited)
-router.post('/:id/invite', inviteLimiter, requireActiveSubscription, checkMemberLimit, validate(inviteToWorkspaceSchema), withErrorHandling(workspaceController.inviteToWorkspace));
+router.post('/:id/invite', requireSessionAuth, inviteLimiter, requireActiveSubscription, checkMemberLimit, validate(inviteToWorkspaceSchema), withErrorHandling(workspaceController.inviteToWorkspace));
 
 // GET /api/workspaces/:id/invitations - Get pending invitations for workspace
 router.get('/:id/invitations', withErrorHandling(workspaceController.getWorkspaceInvitations));
@@ -76,6 +97,129 @@ router.get('/:id/invitations', withErrorHandling(workspaceController.getWorkspac
 // DELETE /api/workspaces/:id/invitations/:invitationId - Cancel invitation
 router.delete('/:id/invitations/:invitationId', withErrorHandling(workspaceController.cancelInvitation));
 
+// ============================================================================
+// Workflow Statuses
+// ============================================================================
+
+// GET /api/workspaces/:id/statuses - Get the workspace's ordered task statuses
+router.get('/:id/statuses', withErrorHandling(workflowStatusController.getWorkflowStatuses));
+
+// PUT /api/workspaces/:id/statuses - Replace the status set (admin only)
+router.put('/:id/statuses', requireActiveSubscription, validate(updateWorkflowStatusesSchema), auditLog('update', 'workflow_status'), withErrorHandling(workflowStatusController.updateWorkflowStatuses));
+
+// ============================================================================
+// Custom Fields
+// ============================================================================
+
+// GET /api/workspaces/:id/custom-fields - Get the workspace's custom field definitions
+router.get('/:id/custom-fields', withErrorHandling(customFieldController.getCustomFields));
+
+// POST /api/workspaces/:id/custom-fields - Create a custom field (admin only)
+router.post('/:id/custom-fields', requireActiveSubscription, validate(createCustomFieldSchema), auditLog('create', 'custom_field'), withErrorHandling(customFieldController.createCustomField));
+
+// PUT /api/workspaces/:id/custom-fields/:fieldId - Rename, reorder or edit options (admin only)
+router.put('/:id/custom-fields/:fieldId', requireActiveSubscription, validate(updateCustomFieldSchema), auditLog('update', 'custom_field'), withErrorHandling(customFieldController.updateCustomField));
+
+// DELETE /api/workspaces/:id/custom-fields/:fieldId - Delete a custom field (admin only)
+router.delete('/:id/custom-fields/:fieldId', requireActiveSubscription, auditLog('delete', 'custom_field'), withErrorHandling(customFieldController.deleteCustomField));
+
+// ============================================================================
+// Webhooks
+// ============================================================================
+
+// GET /api/workspaces/:id/webhooks - Get the workspace's webhooks (admin only)
+router.get('/:id/webhooks', withErrorHandling(webhookController.getWebhooks));
+
+// POST /api/workspaces/:id/webhooks - Create a webhook; the response holds its secret (admin only)
+router.post('/:id/webhooks', requireActiveSubscription, validate(createWebhookSchema), auditLog('create', 'webhook'), withErrorHandling(webhookController.createWebhook));
+
+// PUT /api/workspaces/:id/webhooks/:webhookId - Edit, pause or resume a webhook (admin only)
+router.put('/:id/webhooks/:webhookId', requireActiveSubscription, validate(updateWebhookSchema), auditLog('update', 'webhook'), withErrorHandling(webhookController.updateWebhook));
+
+// DELETE /api/workspaces/:id/webhooks/:webhookId - Delete a webhook (admin only)
+router.delete('/:id/webhooks/:webhookId', requireActiveSubscription, auditLog('delete', 'webhook'), withErrorHandling(webhookController.deleteWebhook));
+
+// GET /api/workspaces/:id/webhooks/:webhookId/deliveries - Recent deliveries (admin only)
+router.get('/:id/webhooks/:webhookId/deliveries', withErrorHandling(webhookController.getWebhookDeliveries));
+
+// POST /api/workspaces/:id/webhooks/:webhookId/test - Queue a test event (admin only)
+router.post('/:id/webhooks/:webhookId/test', requireActiveSubscription, withErrorHandling(webhookController.testWebhook));
+
+// ============================================================================
+// Imports from Trello, Asana and Jira
+// ============================================================================
+
+// GET /api/workspaces/:id/imports - Most recent imports
+router.get('/:id/imports', withErrorHandling(importJobController.getImportJobs));
+
+// POST /api/workspaces/:id/imports - Upload an export (multipart: source, file); runs as a background job
+router.post('/:id/imports', importUpload.single('file'), requireActiveSubscription, checkTaskLimit, validate(createImportJobSchema), auditLog('create', 'import_job'), withErrorHandling(importJobController.createImportJob));
+
+// GET /api/workspaces/:id/imports/:jobId - Progress and summary of one import
+router.get('/:id/imports/:jobId', withErrorHandling(importJobController.getImportJob));
+
+// ============================================================================
+// Holiday calendar
+// ============================================================================
+
+// GET /api/workspaces/:id/holiday-calendar - Holiday regions, working days and company holidays
+router.get('/:id/holiday-calendar', withErrorHandling(holidayController.getWorkspaceHolidayCalendar));
+
+// PUT /api/workspaces/:id/holiday-calendar - Choose holiday regions and working days (admin only)
+router.put('/:id/holiday-calendar', requireActiveSubscription, validate(updateHolidayCalendarSchema), auditLog('update', 'holiday_calendar'), withErrorHandling(holidayController.updateWorkspaceHolidayCalendar));
+
+// POST /api/workspaces/:id/holidays - Add a company holiday (admin only)
+router.post('/:id/holidays', requireActiveSubscription, validate(createWorkspaceHolidaySchema), auditLog('create', 'workspace_holiday'), withErrorHandling(holidayController.createWorkspaceHoliday));
+
+// DELETE /api/workspaces/:id/holidays/:holidayId - Remove a company holiday (admin only)
+router.delete('/:id/holidays/:holidayId', requireActiveSubscription, auditLog('delete', 'workspace_holiday'), withErrorHandling(holidayController.deleteWorkspaceHoliday));
+
+// ============================================================================
+// Workload
+// ============================================================================
+
+// GET /api/workspaces/:id/workload - Open tasks per assignee per week, with capacities
+router.get('/:id/workload', withErrorHandling(workloadController.getWorkload));
+
+// PUT /api/workspaces/:id/members/:memberId/capacity - Set a member's weekly capacity (admin only)
+router.put('/:id/members/:memberId/capacity', requireActiveSubscription, validate(updateMemberCapacitySchema), auditLog('update', 'member_capacity'), withErrorHandling(workloadController.updateMemberCapacity));
+
+// ============================================================================
+// Analytics
+// ============================================================================
+
+// GET /api/workspaces/:id/analytics - Weekly created/completed, burndown, overdue and cycle time (admin only)
+router.get('/:id/analytics', withErrorHandling(analyticsController.getAnalytics));
+
+// GET /api/workspaces/:id/analytics/export - The same report as CSV (admin only)
+router.get('/:id/analytics/export', withErrorHandling(analyticsController.exportAnalyticsCsv));
+
+// ============================================================================
+// Realtime
+// ============================================================================
+
+// GET /api/workspaces/:id/events - Server-Sent Events stream of task, category and comment changes
+router.get('/:id/events', withErrorHandling(realtimeController.streamWorkspaceEvents));
+
+// ============================================================================
+// Saved Views
+// ============================================================================
+
+// GET /api/workspaces/:id/views - Views visible to the current user, plus their default
+router.get('/:id/views', withErrorHandling(savedViewController.getSavedViews));
+
+// PUT /api/workspaces/:id/views/default - Set or clear the current user's default view
+router.put('/:id/views/default', requireActiveSubscription, validate(setDefaultSavedViewSchema), withErrorHandling(savedViewController.setDefaultSavedView));
+
+// POST /api/workspaces/:id/views - Save a personal or shared view
+router.post('/:id/views', requireActiveSubscription, validate(createSavedViewSchema), auditLog('create', 'saved_view'), withErrorHandling(savedViewController.createSavedView));
+
+// PUT /api/workspaces/:id/views/:viewId - Update a view (owner, or admin for shared views)
+router.put('/:id/views/:viewId', requireActiveSubscription, validate(updateSavedViewSchema), auditLog('update', 'saved_view'), withErrorHandling(savedViewController.updateSavedView));
+
+// DELETE /api/workspaces/:id/views/:viewId - Delete a view (owner, or admin for shared views)
+router.delete('/:id/views/:viewId', requireActiveSubscription, auditLog('delete', 'saved_view'), withErrorHandling(savedViewController.deleteSavedView));
+
 // ============================================================================
 // Workspace Activity Feed
 // ============================================================================
@@ -86,23 +230,44 @@ router.get('/:id/activity', withErrorHandling(workspaceController.getWorkspaceAc
 // GET /api/workspaces/:id/audit-log - View audit log (admin only)
 router.get('/:id/audit-log', withErrorHandling(workspaceController.getAuditLog));
 
+// ============================================================================
+// Time Tracking Report
+// ============================================================================
+
+// GET /api/workspaces/:id/time-report - Tracked time by category, person and day
+router.get('/:id/time-report', withErrorHandling(timeEntryController.getTimeReport));
+
 // ============================================================================
 // Workspace Onboarding
 // ============================================================================
 
 // GET /api/workspaces/:id/onboarding - Get onboarding status and data
-router.get('/:id/onboarding', withErrorHandling(onboardingController.getOnboardingStatus));
+router.get('/:id/onboarding', requireSessionAuth, withErrorHandling(onboardingController.getOnboardingStatus));
 
 // POST /api/workspaces/:id/onboarding/start - Start/restart onboarding
-router.post('/:id/onboarding/start', withErrorHandling(onboardingController.startOnboarding));
+router.post('/:id/onboarding/start', requireSessionAuth, withErrorHandling(onboardingController.startOnboarding));
 
 // PUT /api/workspaces/:id/onboarding/progress - Update step progress
-router.put('/:id/onboarding/progress', withErrorHandling(onboardingController.updateProgress));
+router.put('/:id/onboarding/progress', requireSessionAuth, withErrorHandling(onboardingController.updateProgress));
 
 // POST /api/workspaces/:id/onboarding/complete - Mark onboarding as complete
-router.post('/:id/onboarding/complete', withErrorHandling(onboardingController.completeOnboarding));
+router.post('/:id/onboarding/complete', requireSessionAuth, withErrorHandling(onboardingController.completeOnboarding));
 
 // POST /api/workspaces/:id/onboarding/skip - Skip onboarding
-router.post('/:id/onboarding/skip', withErrorHandling(onboardingController.skipOnboarding));
+router.post('/:id/onboarding/skip', requireSessionAuth, withErrorHandling(onboardingController.skipOnboarding));
+
+// Error handling middleware for import upload errors
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `File too large. Maximum size is ${MAX_IMPORT_FILE_BYTES / (1024 * 1024)}MB.`
+        : error.message
+    });
+  }
+
+  next(error);
+});
 
 module.exports = router;
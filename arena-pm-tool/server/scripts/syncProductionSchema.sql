@@ -2,7 +2,7 @@
 -- Todoria Production Database Schema Sync
 -- ============================================================================
 -- Run this in Supabase SQL Editor to bring the production database
--- in sync with all migrations (1-7). Safe to run multiple times
+-- in sync with all migrations (1-29). Safe to run multiple times
 -- (uses IF NOT EXISTS / IF EXISTS throughout).
 -- ============================================================================
 
@@ -251,6 +251,410 @@ DO $$ BEGIN
   END IF;
 END $$;
 
+-- ============================================================================
+-- 13. TASK RECURRENCE (migration 7)
+-- ============================================================================
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule JSONB;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_series_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_index INTEGER DEFAULT 1;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_spawned_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_series_id ON tasks(recurrence_series_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_recurrence_pending ON tasks(due_date)
+    WHERE recurrence_rule IS NOT NULL AND recurrence_spawned_at IS NULL;
+
+-- ============================================================================
+-- 14. TASK DEPENDENCIES (migration 8)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    depends_on_task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT task_dependencies_unique UNIQUE (task_id, depends_on_task_id),
+    CONSTRAINT task_dependencies_no_self CHECK (task_id <> depends_on_task_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_task_id ON task_dependencies(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on_task_id ON task_dependencies(depends_on_task_id);
+
+-- ============================================================================
+-- 15. WORKFLOW STATUSES (migration 9)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS workflow_statuses (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('not_started', 'active', 'done')),
+    color VARCHAR(7) DEFAULT '#94A3B8',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT workflow_statuses_workspace_key_unique UNIQUE (workspace_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_statuses_workspace_position ON workflow_statuses(workspace_id, position);
+
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+ALTER TABLE tasks ALTER COLUMN status TYPE VARCHAR(50);
+
+-- ============================================================================
+-- 16. CUSTOM FIELDS (migration 10)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS custom_fields (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    field_type VARCHAR(20) NOT NULL CHECK (field_type IN ('text', 'number', 'dropdown', 'date', 'checkbox')),
+    options JSONB NOT NULL DEFAULT '[]'::jsonb,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT custom_fields_workspace_name_unique UNIQUE (workspace_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_fields_workspace_position ON custom_fields(workspace_id, position);
+
+CREATE TABLE IF NOT EXISTS task_custom_field_values (
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    field_id INTEGER NOT NULL REFERENCES custom_fields(id) ON DELETE CASCADE,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT task_custom_field_values_pkey PRIMARY KEY (task_id, field_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_custom_field_values_field_id ON task_custom_field_values(field_id);
+
+-- ============================================================================
+-- 17. TASK ATTACHMENTS (migration 11)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS task_attachments (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_key VARCHAR(500) NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_attachments_comment_id ON task_attachments(comment_id);
+CREATE INDEX IF NOT EXISTS idx_task_attachments_workspace_id ON task_attachments(workspace_id);
+
+-- ============================================================================
+-- 18. TIME TRACKING (migration 12)
+-- ============================================================================
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimate_minutes INTEGER CHECK (estimate_minutes >= 0);
+
+CREATE TABLE IF NOT EXISTS time_entries (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ,
+    duration_seconds INTEGER CHECK (duration_seconds >= 0),
+    note VARCHAR(500),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_entries_task_id ON time_entries(task_id);
+CREATE INDEX IF NOT EXISTS idx_time_entries_workspace_id_started_at ON time_entries(workspace_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_id ON time_entries(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running_user ON time_entries(user_id) WHERE ended_at IS NULL;
+
+-- ============================================================================
+-- 19. FULL-TEXT SEARCH (migration 13)
+-- ============================================================================
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED;
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(content, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_search_vector ON tasks USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_comments_search_vector ON comments USING GIN (search_vector);
+
+-- ============================================================================
+-- 20. SAVED VIEWS (migration 14)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS saved_views (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    visibility VARCHAR(20) NOT NULL DEFAULT 'personal' CHECK (visibility IN ('personal', 'shared')),
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sort JSONB,
+    search VARCHAR(200) NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_workspace_id_visibility ON saved_views(workspace_id, visibility);
+CREATE INDEX IF NOT EXISTS idx_saved_views_user_id ON saved_views(user_id);
+
+ALTER TABLE workspace_members ADD COLUMN IF NOT EXISTS default_saved_view_id INTEGER REFERENCES saved_views(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- 21. COMMENT MENTIONS AND NOTIFICATIONS (migration 15)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS comment_mentions (
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (comment_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_mentions_user_id ON comment_mentions(user_id);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id_created_at ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- ============================================================================
+-- 22. NOTIFICATION PREFERENCES (migration 16)
+-- ============================================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_preferences JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- ============================================================================
+-- 23. EMAIL DIGESTS (migration 17)
+-- ============================================================================
+UPDATE users SET email_digest_mode = 'daily' WHERE email_digest_mode = 'daily_digest';
+UPDATE users SET email_digest_mode = 'immediate' WHERE email_digest_mode IS NULL OR email_digest_mode NOT IN ('immediate', 'daily', 'weekly', 'none');
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_digest_mode_check;
+ALTER TABLE users ADD CONSTRAINT users_email_digest_mode_check CHECK (email_digest_mode IN ('immediate', 'daily', 'weekly', 'none'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_digest_sent_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS email_digest_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_digest_items_user_id_pending ON email_digest_items(user_id) WHERE sent_at IS NULL;
+
+-- ============================================================================
+-- 24. PER-USER REMINDER LOOKAHEAD (migration 18)
+-- ============================================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reminder_lookahead_days INTEGER NOT NULL DEFAULT 2 CHECK (reminder_lookahead_days BETWEEN 0 AND 14);
+
+-- ============================================================================
+-- 25. REMINDER KINDS (migration 19)
+-- ============================================================================
+ALTER TABLE reminder_log ADD COLUMN IF NOT EXISTS kind VARCHAR(30) NOT NULL DEFAULT 'due_soon' CHECK (kind IN ('due_soon', 'overdue', 'overdue_escalation'));
+ALTER TABLE reminder_log DROP CONSTRAINT IF EXISTS reminder_log_task_id_user_id_reminded_on_key;
+ALTER TABLE reminder_log DROP CONSTRAINT IF EXISTS unique_reminder_per_task_user_day;
+ALTER TABLE reminder_log DROP CONSTRAINT IF EXISTS unique_reminder_per_task_user_day_kind;
+ALTER TABLE reminder_log ADD CONSTRAINT unique_reminder_per_task_user_day_kind UNIQUE (task_id, user_id, reminded_on, kind);
+DROP INDEX IF EXISTS idx_reminder_log_lookup;
+CREATE INDEX IF NOT EXISTS idx_reminder_log_lookup ON reminder_log(task_id, user_id, kind, reminded_on);
+
+-- ============================================================================
+-- 26. OUTGOING WEBHOOKS (migration 20)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS webhooks (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    url VARCHAR(2000) NOT NULL,
+    description VARCHAR(255),
+    secret VARCHAR(100) NOT NULL,
+    events TEXT[] NOT NULL DEFAULT '{}'::text[],
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS webhooks_workspace_id_index ON webhooks(workspace_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8,
+    response_status INTEGER,
+    response_body TEXT,
+    duration_ms INTEGER,
+    last_error TEXT,
+    last_attempted_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_created ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- ============================================================================
+-- 27. PERSONAL API TOKENS (migration 21)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    token_hint VARCHAR(4) NOT NULL,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('read', 'write')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS api_tokens_user_id_index ON api_tokens(user_id);
+
+-- ============================================================================
+-- 28. CALENDAR FEEDS (migration 22)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    last_accessed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS calendar_feeds_user_id_index ON calendar_feeds(user_id);
+
+-- ============================================================================
+-- 29. IMPORT JOBS (migration 23)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('trello', 'asana', 'jira')),
+    file_name VARCHAR(255),
+    payload TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    total_items INTEGER NOT NULL DEFAULT 0,
+    processed_items INTEGER NOT NULL DEFAULT 0,
+    summary JSONB,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS import_jobs_workspace_id_created_at_index ON import_jobs(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS import_jobs_pending_index ON import_jobs(created_at) WHERE status = 'pending';
+
+-- ============================================================================
+-- 30. HOLIDAY CALENDARS (migration 24)
+-- ============================================================================
+
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS holiday_regions TEXT[];
+ALTER TABLE users ADD COLUMN IF NOT EXISTS holiday_regions TEXT[];
+
+CREATE TABLE IF NOT EXISTS workspace_holidays (
+    id SERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    recurring BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS workspace_holidays_workspace_id_index ON workspace_holidays(workspace_id);
+
+CREATE TABLE IF NOT EXISTS holiday_cache (
+    provider VARCHAR(20) NOT NULL,
+    region VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    holidays JSONB NOT NULL,
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (provider, region, year)
+);
+
+-- ============================================================================
+-- 31. WORKING DAYS (migration 25)
+-- ============================================================================
+
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}';
+
+-- ============================================================================
+-- 32. TASK START DATES (migration 26)
+-- ============================================================================
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS start_date DATE;
+
+-- ============================================================================
+-- 33. MEMBER WEEKLY CAPACITY (migration 27)
+-- ============================================================================
+
+ALTER TABLE workspace_members ADD COLUMN IF NOT EXISTS weekly_capacity INTEGER CHECK (weekly_capacity > 0);
+
+-- ============================================================================
+-- 34. ACTIVITY LOG ENTITY INDEX (migration 28)
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS activity_log_workspace_id_entity_type_entity_id_index ON activity_log(workspace_id, entity_type, entity_id);
+
+-- ============================================================================
+-- 35. REALTIME EVENTS (migration 29)
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    actor_id INTEGER,
+    origin_client_id VARCHAR(64),
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS realtime_events_created_at_index ON realtime_events(created_at);
+
+-- ============================================================================
+-- 36. WEBHOOK DELIVERY LEASES (migration 30)
+-- ============================================================================
+
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_status_check;
+ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_status_check
+    CHECK (status IN ('pending', 'in_progress', 'delivered', 'failed'));
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
 -- ============================================================================
 -- DONE! Verify with:
 --   SELECT column_name FROM information_schema.columns WHERE table_name = 'users' ORDER BY ordinal_position;
@@ -2,15 +2,15 @@
  * Manual tester for reminder logic.
  *
  * Usage:
- *   node scripts/testReminders.js             // Dry run using default lookahead
- *   node scripts/testReminders.js --days 3    // Dry run with custom lookahead
+ *   node scripts/testReminders.js             // Dry run at the default local send hour
+ *   node scripts/testReminders.js --hour 0    // Dry run as if every assignee's send hour had come
  *   node scripts/testReminders.js --send      // Actually send emails (needs EMAIL_* env)
  */
 
 require('dotenv').config();
 const args = process.argv.slice(2);
 const { pool } = require('../config/database');
-const { findTasksNeedingReminders, sendReminderEmails } = require('../utils/reminderService');
+const { findTasksNeedingReminders, findOverdueEscalations, sendReminderEmails } = require('../utils/reminderService');
 
 const getArgValue = (flag) => {
   const withEquals = args.find(arg => arg.startsWith(`${flag}=`));
@@ -29,53 +29,49 @@ const getArgValue = (flag) => {
   return undefined;
 };
 
-const resolveLookaheadDays = () => {
-  const cliValue = getArgValue('--days');
+// Lookahead windows are per user (users.reminder_lookahead_days, in working days); only the
+// local send hour can be overridden here
+const resolveSendHour = () => {
+  const cliValue = getArgValue('--hour');
   const parsedCli = cliValue !== undefined ? parseInt(cliValue, 10) : NaN;
-  if (!Number.isNaN(parsedCli)) {
-    return parsedCli;
-  }
-
-  const envValue = process.env.REMINDER_LOOKAHEAD_DAYS;
-  const parsedEnv = envValue ? parseInt(envValue, 10) : NaN;
-  if (!Number.isNaN(parsedEnv)) {
-    return parsedEnv;
-  }
-
-  return undefined; // fall back to service default
+  return Number.isNaN(parsedCli) ? undefined : parsedCli; // fall back to service default
 };
 
-const lookaheadDays = resolveLookaheadDays();
+const sendHour = resolveSendHour();
 const dryRun = !args.includes('--send');
 
 (async () => {
   try {
     console.log('\n📅 Reminder logic test');
     console.log('---------------------');
-    if (lookaheadDays !== undefined) {
-      console.log(`Checking for tasks due within ${lookaheadDays} day(s)...`);
+    if (sendHour !== undefined) {
+      console.log(`Checking for assignees whose local time is past ${sendHour}:00...`);
     } else {
-      console.log('Checking for tasks with default lookahead window...');
+      console.log('Checking for assignees whose local send hour has come...');
     }
 
-    const tasks = await findTasksNeedingReminders(
-      lookaheadDays !== undefined ? { lookaheadDays } : undefined
-    );
+    const options = sendHour !== undefined ? { sendHour } : undefined;
+    const reminders = [
+      ...await findTasksNeedingReminders(options),
+      ...await findOverdueEscalations(options)
+    ];
 
-    console.log(`Found ${tasks.length} task(s) that require reminders.`);
-    if (tasks.length) {
+    console.log(`Found ${reminders.length} reminder(s) to send.`);
+    if (reminders.length) {
       console.table(
-        tasks.map(task => ({
-          id: task.id,
-          title: task.title,
-          dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : null,
-          assignee: `${task.assigneeName || 'Unknown'} <${task.assigneeEmail}>`,
-          priority: task.priority
+        reminders.map(reminder => ({
+          id: reminder.id,
+          title: reminder.title,
+          kind: reminder.kind,
+          dueDate: reminder.dueDate ? new Date(reminder.dueDate).toISOString().split('T')[0] : null,
+          recipient: `${reminder.userName || 'Unknown'} <${reminder.userEmail}>`,
+          localDate: reminder.localDate,
+          priority: reminder.priority
         }))
       );
     }
 
-    const summary = await sendReminderEmails({ lookaheadDays, dryRun });
+    const summary = await sendReminderEmails({ sendHour, dryRun });
     console.log('\nSummary:', summary);
 
     if (dryRun) {
@@ -42,6 +42,10 @@ const { startReminderScheduler } = require('./jobs/reminderJob');
 const { startEmailQueueScheduler } = require('./jobs/emailQueueJob');
 const { startBackupScheduler } = require('./jobs/backupJob');
 const { startRetentionScheduler } = require('./jobs/retentionJob');
+const { startRecurrenceScheduler } = require('./jobs/recurrenceJob');
+const { startDigestScheduler } = require('./jobs/digestJob');
+const { startWebhookScheduler } = require('./jobs/webhookJob');
+const { startImportScheduler } = require('./jobs/importJob');
 const { recordRequest, checkAlertThresholds } = require('./lib/alerts');
 const { apiLimiter } = require('./middleware/rateLimiter');
 const { doubleCsrfProtection, csrfTokenRoute } = require('./middleware/csrf');
@@ -53,6 +57,9 @@ const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const categoryRoutes = require('./routes/categories');
 const commentRoutes = require('./routes/comments');
+const timeEntryRoutes = require('./routes/timeEntries');
+const searchRoutes = require('./routes/search');
+const calendarRoutes = require('./routes/calendar');
 const meRoutes = require('./routes/me');
 const holidayRoutes = require('./routes/holidays');
 const reminderRoutes = require('./routes/reminders');
@@ -158,7 +165,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-Client-Id'],
   optionsSuccessStatus: 200
 };
 
@@ -219,6 +226,18 @@ app.get('/api/health', async (req, res) => {
     } catch (error) {
       health.emailQueue = { status: 'error' };
     }
+    try {
+      const { getWebhookQueueHealth } = require('./jobs/webhookJob');
+      health.webhookQueue = await getWebhookQueueHealth();
+    } catch (error) {
+      health.webhookQueue = { status: 'error' };
+    }
+    try {
+      const { getImportQueueHealth } = require('./jobs/importJob');
+      health.importQueue = await getImportQueueHealth();
+    } catch (error) {
+      health.importQueue = { status: 'error' };
+    }
   }
 
   // Only expose config checks in non-production
@@ -248,8 +267,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/search', searchRoutes);
 app.use('/api/me', meRoutes);
 app.use('/api/holidays', holidayRoutes);
+app.use('/api/calendar', calendarRoutes);
 app.use('/api/reminders', reminderRoutes);
 app.use('/api/workspaces', workspaceRoutes);
 app.use('/api/billing', billingRoutes);
@@ -315,6 +337,18 @@ if (!process.env.VERCEL) {
     // Start data retention scheduler
     startRetentionScheduler();
 
+    // Generate next occurrences of recurring tasks
+    startRecurrenceScheduler();
+
+    // Send daily and weekly email digests at each user's local send hour
+    startDigestScheduler();
+
+    // Deliver queued outgoing webhooks
+    startWebhookScheduler();
+
+    // Run queued Trello, Asana and Jira imports
+    startImportScheduler();
+
     // Periodic alert threshold checks
     setInterval(checkAlertThresholds, 60 * 1000);
   });
@@ -0,0 +1,26 @@
+/**
+ * CSV Helper Tests
+ *
+ * Tests utils/csv.js, used by the task and analytics CSV exports.
+ */
+
+const { escCsv } = require('../utils/csv');
+
+describe('escCsv', () => {
+  it('leaves plain values as they are', () => {
+    expect(escCsv('Ship v2')).toBe('Ship v2');
+    expect(escCsv(2.5)).toBe('2.5');
+    expect(escCsv(0)).toBe('0');
+  });
+
+  it('writes null and undefined as empty fields', () => {
+    expect(escCsv(null)).toBe('');
+    expect(escCsv(undefined)).toBe('');
+  });
+
+  it('quotes values with commas, quotes or newlines', () => {
+    expect(escCsv('a,b')).toBe('"a,b"');
+    expect(escCsv('say "hi"')).toBe('"say ""hi"""');
+    expect(escCsv('line 1\nline 2')).toBe('"line 1\nline 2"');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Digest Service Tests
+ *
+ * Tests utils/digestService.js, which sends the notification emails held back
+ * for users on daily or weekly digests.
+ *
+ * Verifies:
+ * - Only users whose local send time has come get a digest
+ * - Each digest holds all of the user's pending items, rendered as rows
+ * - Sent items are marked so they are never sent twice
+ * - A failed digest leaves its items pending for the next run
+ */
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.mock('../lib/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+jest.mock('../utils/emailQueue', () => ({
+  queueNotificationDigest: jest.fn(),
+}));
+
+const { query } = require('../config/database');
+const { queueNotificationDigest } = require('../utils/emailQueue');
+const { buildDigestRows, sendDigests } = require('../utils/digestService');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+// Monday 2 March 2026, 08:15 in Berlin and 02:15 in New York
+const NOW = new Date('2026-03-02T07:15:00Z');
+
+const userRow = (overrides = {}) => ({
+  id: 7,
+  email: 'ann@example.com',
+  name: 'Ann',
+  timezone: 'Europe/Berlin',
+  email_digest_mode: 'daily',
+  last_digest_sent_at: '2026-03-01T07:10:00Z',
+  ...overrides,
+});
+
+const itemRows = [
+  { id: 1, type: 'assignment', task_id: 5, data: { taskTitle: 'Plan', actorName: 'Bob', dueDate: '2026-03-04' } },
+  { id: 2, type: 'comment', task_id: 5, data: { taskTitle: 'Plan', actorName: 'Cy', excerpt: 'Looks good' } },
+];
+
+const updateCalls = (table) => query.mock.calls.filter(([sql]) => sql.includes(`UPDATE ${table}`));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  query.mockResolvedValue({ rows: [] });
+  queueNotificationDigest.mockResolvedValue({ id: 42 });
+  process.env.CLIENT_URL = 'https://www.todoria.com';
+});
+
+// ---------------------------------------------------------------------------
+// buildDigestRows
+// ---------------------------------------------------------------------------
+
+describe('buildDigestRows', () => {
+  it('renders one row per item with a link to its task', () => {
+    const html = buildDigestRows(itemRows);
+
+    expect(html).toContain('Bob assigned you &quot;Plan&quot;');
+    expect(html).toContain('Due Wed, Mar 4');
+    expect(html).toContain('Cy commented on &quot;Plan&quot;');
+    expect(html).toContain('Looks good');
+    expect(html.match(/href="https:\/\/www\.todoria\.com\/tasks\?taskId=5"/g)).toHaveLength(2);
+  });
+
+  it('names the assignees of a task that is still overdue', () => {
+    const html = buildDigestRows([{
+      id: 3,
+      type: 'overdue_escalation',
+      task_id: 5,
+      data: { taskTitle: 'Plan', dueDate: '2026-03-04', assigneeNames: ['Ann', 'Bob'] },
+    }]);
+
+    expect(html).toContain('&quot;Plan&quot; is still overdue');
+    expect(html).toContain('Was due Wed, Mar 4 · Assigned to Ann, Bob');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// sendDigests
+// ---------------------------------------------------------------------------
+
+describe('sendDigests', () => {
+  it('sends one digest with every pending item and marks them sent', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+      .mockResolvedValueOnce({ rows: [userRow()] })
+      .mockResolvedValueOnce({ rows: itemRows });
+
+    const summary = await sendDigests({ now: NOW });
+
+    expect(queueNotificationDigest).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ann@example.com',
+      userName: 'Ann',
+      period: 'daily',
+      itemCount: 2,
+    }));
+    expect(updateCalls('email_digest_items')[0][1]).toEqual([[1, 2]]);
+    expect(updateCalls('users')[0][1]).toEqual([7]);
+    expect(summary).toEqual(expect.objectContaining({ sent: 1, failed: 0, items: 2, totalUsers: 1 }));
+  });
+
+  it('waits for the send hour in each user\'s own timezone', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+      .mockResolvedValueOnce({ rows: [userRow({ timezone: 'America/New_York' })] });
+
+    const summary = await sendDigests({ now: NOW });
+
+    expect(queueNotificationDigest).not.toHaveBeenCalled();
+    expect(summary.totalUsers).toBe(0);
+  });
+
+  it('skips users who already got today\'s digest', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+      .mockResolvedValueOnce({ rows: [userRow({ last_digest_sent_at: '2026-03-02T07:05:00Z' })] });
+
+    await sendDigests({ now: NOW });
+
+    expect(queueNotificationDigest).not.toHaveBeenCalled();
+  });
+
+  it('leaves items pending when the digest cannot be queued', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+      .mockResolvedValueOnce({ rows: [userRow({ email_digest_mode: 'weekly' })] })
+      .mockResolvedValueOnce({ rows: itemRows });
+    queueNotificationDigest.mockRejectedValueOnce(new Error('db down'));
+
+    const summary = await sendDigests({ now: NOW });
+
+    expect(updateCalls('email_digest_items')).toHaveLength(0);
+    expect(summary).toEqual(expect.objectContaining({ sent: 0, failed: 1 }));
+  });
+
+  it('skips the run when another one holds the lock', async () => {
+    query.mockResolvedValueOnce({ rows: [{ acquired: false }] });
+
+    const summary = await sendDigests({ now: NOW });
+
+    expect(summary.skipped).toBe(true);
+    expect(queueNotificationDigest).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing on a dry run', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [userRow()] })
+      .mockResolvedValueOnce({ rows: itemRows });
+
+    const summary = await sendDigests({ now: NOW, dryRun: true });
+
+    expect(queueNotificationDigest).not.toHaveBeenCalled();
+    expect(summary.results).toEqual([{ email: 'ann@example.com', count: 2, success: true, dryRun: true }]);
+  });
+});
@@ -30,6 +30,9 @@ const {
   queueTaskReminder,
   queueMultipleTasksReminder,
   queueTaskAssignmentNotification,
+  queueCommentMentionNotification,
+  queueTaskCommentNotification,
+  queueNotificationDigest,
   queueWorkspaceInvite,
   queueWelcomeEmail,
   queueVerificationEmail,
@@ -481,6 +484,119 @@ describe('queueTaskAssignmentNotification', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// queueCommentMentionNotification
+// ---------------------------------------------------------------------------
+
+describe('queueCommentMentionNotification', () => {
+  const params = {
+    to: 'mentioned@user.com',
+    userName: 'Iris',
+    taskId: 42,
+    taskTitle: 'Design review',
+    commentExcerpt: '@Iris can you take a look?',
+    mentionedByName: 'Manager Gail',
+  };
+
+  it('inserts with correct template and subject', async () => {
+    await queueCommentMentionNotification(params);
+
+    const args = getInsertArgs();
+    expect(args.template).toBe('commentMention.html');
+    expect(args.subject).toBe('Manager Gail mentioned you on "Design review"');
+    expect(args.to).toBe('mentioned@user.com');
+  });
+
+  it('stores the comment excerpt and builds taskUrl', async () => {
+    process.env.CLIENT_URL = 'https://app.todoria.com/';
+    await queueCommentMentionNotification(params);
+
+    const args = getInsertArgs();
+    expect(args.templateData.commentExcerpt).toBe('@Iris can you take a look?');
+    expect(args.templateData.taskUrl).toBe('https://app.todoria.com/tasks?taskId=42');
+  });
+
+  it('defaults userName and mentionedByName', async () => {
+    await queueCommentMentionNotification({ ...params, userName: undefined, mentionedByName: undefined });
+
+    const args = getInsertArgs();
+    expect(args.templateData.userName).toBe('there');
+    expect(args.templateData.mentionedByName).toBe('A team member');
+    expect(args.subject).toContain('A team member mentioned you');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// queueTaskCommentNotification
+// ---------------------------------------------------------------------------
+
+describe('queueTaskCommentNotification', () => {
+  const params = {
+    to: 'owner@user.com',
+    userName: 'Jack',
+    taskId: 7,
+    taskTitle: 'Ship v2',
+    commentExcerpt: 'Staging looks good',
+    commenterName: 'Kim',
+  };
+
+  it('inserts with correct template and subject', async () => {
+    await queueTaskCommentNotification(params);
+
+    const args = getInsertArgs();
+    expect(args.template).toBe('taskComment.html');
+    expect(args.subject).toBe('Kim commented on "Ship v2"');
+    expect(args.templateData.taskUrl).toBe('https://www.todoria.com/tasks?taskId=7');
+  });
+
+  it('defaults userName and commenterName', async () => {
+    await queueTaskCommentNotification({ ...params, userName: undefined, commenterName: undefined });
+
+    const args = getInsertArgs();
+    expect(args.templateData.userName).toBe('there');
+    expect(args.templateData.commenterName).toBe('A team member');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// queueNotificationDigest
+// ---------------------------------------------------------------------------
+
+describe('queueNotificationDigest', () => {
+  const params = {
+    to: 'jack@user.com',
+    userName: 'Jack',
+    period: 'weekly',
+    itemCount: 3,
+    digestRows: '<tr><td>row</td></tr>',
+  };
+
+  it('inserts with correct template and subject', async () => {
+    await queueNotificationDigest(params);
+
+    const args = getInsertArgs();
+    expect(args.template).toBe('notificationDigest.html');
+    expect(args.subject).toBe('Your weekly Todoria digest: 3 updates');
+    expect(args.templateData).toEqual({
+      userName: 'Jack',
+      periodLabel: 'weekly',
+      itemCount: 3,
+      itemPlural: 's',
+      digestRows: '<tr><td>row</td></tr>',
+      dashboardUrl: 'https://www.todoria.com/dashboard',
+    });
+  });
+
+  it('treats anything but weekly as a daily digest', async () => {
+    await queueNotificationDigest({ ...params, period: 'immediate', itemCount: 1, userName: undefined });
+
+    const args = getInsertArgs();
+    expect(args.subject).toBe('Your daily Todoria digest: 1 update');
+    expect(args.templateData.userName).toBe('there');
+    expect(args.templateData.itemPlural).toBe('');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // queueWorkspaceInvite
 // ---------------------------------------------------------------------------
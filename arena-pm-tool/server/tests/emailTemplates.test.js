@@ -1,7 +1,7 @@
 /**
  * Email Template Rendering Integration Tests
  *
- * Tests all 8 email templates via the emailTemplates.js renderQueuedEmail() function:
+ * Tests all 12 email templates via the emailTemplates.js renderQueuedEmail() function:
  * - welcome.html
  * - emailVerification.html
  * - passwordReset.html
@@ -10,6 +10,10 @@
  * - taskAssignment.html
  * - workspaceInvite.html
  * - trialEnding.html
+ * - commentMention.html
+ * - taskComment.html
+ * - notificationDigest.html (with notificationDigestItem.html rows)
+ * - overdueTasks.html
  *
  * Verifies:
  * - Each template renders without throwing
@@ -20,7 +24,7 @@
  * - Conditional {{#if}} blocks work correctly
  */
 
-const { renderQueuedEmail } = require('../utils/emailTemplates');
+const { renderTemplate, renderQueuedEmail } = require('../utils/emailTemplates');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -467,6 +471,168 @@ describe('Email Template: trialEnding.html', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// 9. commentMention.html
+// ---------------------------------------------------------------------------
+
+describe('Email Template: commentMention.html', () => {
+  const templateName = 'commentMention.html';
+
+  const data = {
+    userName: 'Iris',
+    taskTitle: 'Design new landing page',
+    commentExcerpt: '@Iris can you check the hero copy?',
+    mentionedByName: 'Manager Bob',
+    taskUrl: 'https://todoria.com/tasks?taskId=42',
+  };
+
+  it('substitutes all variables', () => {
+    const { html } = renderQueuedEmail(templateName, data);
+    expect(html).toContain('Iris');
+    expect(html).toContain('Design new landing page');
+    expect(html).toContain('@Iris can you check the hero copy?');
+    expect(html).toContain('Manager Bob');
+    expect(html).toContain('href="https://todoria.com/tasks?taskId=42"');
+    expectNoRawPlaceholders(html);
+  });
+
+  it('generates a text-only version', () => {
+    const { text } = renderQueuedEmail(templateName, data);
+    expectCleanText(text);
+    expect(text).toContain('mentioned you');
+  });
+
+  it('HTML-escapes the comment excerpt (XSS protection)', () => {
+    const { html } = renderQueuedEmail(templateName, {
+      ...data,
+      commentExcerpt: '<script>alert(1)</script>',
+    });
+    expect(html).not.toContain('<script>alert');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 10. taskComment.html
+// ---------------------------------------------------------------------------
+
+describe('Email Template: taskComment.html', () => {
+  const templateName = 'taskComment.html';
+
+  const data = {
+    userName: 'Jack',
+    taskTitle: 'Ship v2',
+    commentExcerpt: 'Staging looks good',
+    commenterName: 'Kim',
+    taskUrl: 'https://todoria.com/tasks?taskId=7',
+  };
+
+  it('substitutes all variables', () => {
+    const { html } = renderQueuedEmail(templateName, data);
+    expect(html).toContain('Jack');
+    expect(html).toContain('Ship v2');
+    expect(html).toContain('Staging looks good');
+    expect(html).toContain('Kim');
+    expect(html).toContain('href="https://todoria.com/tasks?taskId=7"');
+    expectNoRawPlaceholders(html);
+  });
+
+  it('generates a text-only version', () => {
+    const { text } = renderQueuedEmail(templateName, data);
+    expectCleanText(text);
+    expect(text).toContain('commented on');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 11. notificationDigest.html
+// ---------------------------------------------------------------------------
+
+describe('Email Template: notificationDigest.html', () => {
+  const templateName = 'notificationDigest.html';
+
+  const row = renderTemplate('notificationDigestItem.html', {
+    headline: 'Kim commented on "Ship v2"',
+    excerpt: 'Staging looks good',
+    taskUrl: 'https://todoria.com/tasks?taskId=7',
+  });
+
+  const data = {
+    userName: 'Jack',
+    periodLabel: 'weekly',
+    itemCount: 2,
+    itemPlural: 's',
+    digestRows: row,
+    dashboardUrl: 'https://todoria.com/dashboard',
+  };
+
+  it('substitutes all variables and keeps the pre-rendered rows', () => {
+    const { html } = renderQueuedEmail(templateName, data);
+    expect(html).toContain('Jack');
+    expect(html).toContain('weekly digest');
+    expect(html).toContain('2 updates');
+    expect(html).toContain('Kim commented on &quot;Ship v2&quot;');
+    expect(html).toContain('href="https://todoria.com/tasks?taskId=7"');
+    expect(html).toContain('href="https://todoria.com/dashboard"');
+    expectNoRawPlaceholders(html);
+  });
+
+  it('generates a text-only version', () => {
+    const { text } = renderQueuedEmail(templateName, data);
+    expectCleanText(text);
+    expect(text).toContain('Staging looks good');
+  });
+
+  it('HTML-escapes item text and drops empty parts of a row', () => {
+    const html = renderTemplate('notificationDigestItem.html', { headline: '<b>Task</b>' });
+    expect(html).toContain('&lt;b&gt;Task&lt;/b&gt;');
+    expect(html).not.toContain('View task');
+    expectNoRawPlaceholders(html);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// 12. overdueTasks.html
+// ---------------------------------------------------------------------------
+
+describe('Email Template: overdueTasks.html', () => {
+  const templateName = 'overdueTasks.html';
+
+  const data = {
+    userName: 'Kim',
+    nudge: true,
+    taskCount: 2,
+    taskPlural: 's',
+    taskVerb: 'are',
+    overdueDays: 3,
+    overdueDaysPlural: 's',
+    taskRows: '<tr><td>Overdue row</td></tr>',
+  };
+
+  it('nudges the assignee about their overdue tasks', () => {
+    const { html } = renderQueuedEmail(templateName, data);
+    expect(html).toContain('Kim');
+    expect(html).toContain('2 tasks</strong> that are past the due date');
+    expect(html).not.toContain('you created');
+    expect(html).toContain('Overdue row');
+    expectNoRawPlaceholders(html);
+  });
+
+  it('tells the creator when the reminders have run out', () => {
+    const { html } = renderQueuedEmail(templateName, {
+      ...data,
+      nudge: false,
+      escalation: true,
+      taskCount: 1,
+      taskPlural: '',
+      taskVerb: 'is',
+    });
+    expect(html).toContain('1 task you created</strong> is still overdue after 3 days of reminders');
+    expect(html).not.toContain('past the due date');
+    expectNoRawPlaceholders(html);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Cross-cutting concerns
 // ---------------------------------------------------------------------------
@@ -481,6 +647,10 @@ describe('Email Templates: cross-cutting', () => {
     { name: 'taskAssignment.html', data: { userName: 'Test', taskTitle: 'Task', assignedByName: 'Boss', dueDate: 'Tomorrow', priority: 'medium', priorityColor: '#f59e0b', taskUrl: 'https://example.com/task' } },
     { name: 'workspaceInvite.html', data: { inviterName: 'Admin', workspaceName: 'WS', inviteUrl: 'https://example.com/invite' } },
     { name: 'trialEnding.html', data: { userName: 'Test', trialEndDate: 'March 20', billingUrl: 'https://example.com/billing' } },
+    { name: 'commentMention.html', data: { userName: 'Test', taskTitle: 'Task', commentExcerpt: '@Test hi', mentionedByName: 'Boss', taskUrl: 'https://example.com/task' } },
+    { name: 'taskComment.html', data: { userName: 'Test', taskTitle: 'Task', commentExcerpt: 'hi', commenterName: 'Boss', taskUrl: 'https://example.com/task' } },
+    { name: 'notificationDigest.html', data: { userName: 'Test', periodLabel: 'daily', itemCount: 1, itemPlural: '', digestRows: '<tr><td>row</td></tr>', dashboardUrl: 'https://example.com/dashboard' } },
+    { name: 'overdueTasks.html', data: { userName: 'Test', nudge: true, taskCount: 1, taskPlural: '', taskVerb: 'is', overdueDays: 3, overdueDaysPlural: 's', taskRows: '<tr><td>row</td></tr>' } },
   ];
 
   it.each(allTemplates)('$name — returns both html and text properties', ({ name, data }) => {
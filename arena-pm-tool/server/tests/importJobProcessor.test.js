@@ -0,0 +1,199 @@
+/**
+ * Import Job Processor Tests
+ *
+ * Tests jobs/importJobProcessor.js, which runs queued Trello, Asana and Jira
+ * imports (import_jobs rows).
+ *
+ * Verifies:
+ * - Pending jobs are claimed, applied in a transaction and completed with a summary
+ * - Files that aren't usable exports fail the job with the parser's message
+ * - Errors while applying roll back and fail the job
+ * - Running jobs cut off by a restart are failed
+ * - A run is skipped while another processor holds the advisory lock
+ */
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.mock('../lib/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+jest.mock('../lib/importers/apply', () => ({
+  applyImportPlan: jest.fn(),
+}));
+
+jest.mock('../lib/activityLog', () => ({
+  logActivities: jest.fn(),
+}));
+
+jest.mock('../lib/realtime', () => ({
+  publishEvent: jest.fn(),
+}));
+
+jest.mock('../lib/webhooks', () => ({
+  ...jest.requireActual('../lib/webhooks'),
+  queueWebhookEvent: jest.fn(),
+  queueWebhookEvents: jest.fn(),
+}));
+
+const { query, getClient } = require('../config/database');
+const { applyImportPlan } = require('../lib/importers/apply');
+const { logActivities } = require('../lib/activityLog');
+const { publishEvent } = require('../lib/realtime');
+const { queueWebhookEvent, queueWebhookEvents } = require('../lib/webhooks');
+const { processImportJobs } = require('../jobs/importJobProcessor');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const WORKSPACE_ID = '3f2b8c1e-8d1a-4c5e-9b7a-1234567890ab';
+
+const ASANA_CSV = 'Task ID,Name,Section/Column\n1,Plan offsite,Planning\n2,Book venue,Planning';
+
+const jobRow = (overrides = {}) => ({
+  id: 12,
+  workspace_id: WORKSPACE_ID,
+  user_id: 1,
+  source: 'asana',
+  payload: ASANA_CSV,
+  ...overrides,
+});
+
+// The lock client claims `jobs`; the transaction client records its statements
+const mockClients = (jobs, { acquired = true } = {}) => {
+  const lockClient = {
+    query: jest.fn((sql) => {
+      if (sql.includes('pg_try_advisory_lock')) return Promise.resolve({ rows: [{ acquired }] });
+      if (sql.includes("SET status = 'running'")) return Promise.resolve({ rows: jobs });
+      return Promise.resolve({ rows: [] });
+    }),
+    release: jest.fn(),
+  };
+  const txClient = {
+    query: jest.fn().mockResolvedValue({ rows: [] }),
+    release: jest.fn(),
+  };
+  getClient.mockResolvedValueOnce(lockClient).mockResolvedValue(txClient);
+  return { lockClient, txClient };
+};
+
+const queryCalls = (text) => query.mock.calls.filter(([sql]) => sql.includes(text));
+
+const applied = {
+  summary: { tasksCreated: 2, subtasksCreated: 0, skippedCount: 0, skipped: [], unmatchedUsers: [] },
+  tasks: [{ id: 40, title: 'Plan offsite' }, { id: 41, title: 'Book venue' }],
+  categories: [{ id: 8, name: 'Planning' }],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  query.mockResolvedValue({ rows: [] });
+});
+
+// ---------------------------------------------------------------------------
+// processImportJobs
+// ---------------------------------------------------------------------------
+
+describe('processImportJobs', () => {
+  it('applies a pending job in a transaction and stores its summary', async () => {
+    const { lockClient, txClient } = mockClients([jobRow()]);
+    applyImportPlan.mockResolvedValue(applied);
+
+    const result = await processImportJobs();
+
+    expect(result).toEqual({ processed: 1, completed: 1, failed: 0, interrupted: 0 });
+
+    const [, job, plan] = applyImportPlan.mock.calls[0];
+    expect(job).toEqual({ workspaceId: WORKSPACE_ID, userId: 1, sourceLabel: 'Asana' });
+    expect(plan.tasks.map((t) => t.title)).toEqual(['Plan offsite', 'Book venue']);
+    expect(txClient.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'COMMIT']);
+
+    expect(queryCalls('SET total_items')[0][1]).toEqual([2, 12]);
+    const [completed] = queryCalls("status = 'completed'");
+    expect(completed[0]).toContain('payload = NULL');
+    expect(completed[1]).toEqual([JSON.stringify(applied.summary), 12]);
+
+    expect(lockClient.query).toHaveBeenCalledWith('SELECT pg_advisory_unlock($1)', [expect.any(Number)]);
+    expect(lockClient.release).toHaveBeenCalled();
+    expect(txClient.release).toHaveBeenCalled();
+  });
+
+  it('announces the new categories and tasks', async () => {
+    mockClients([jobRow()]);
+    applyImportPlan.mockResolvedValue(applied);
+
+    await processImportJobs();
+
+    expect(publishEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'category.created', { category: applied.categories[0] }, null);
+    expect(queueWebhookEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'category.created', { category: applied.categories[0] }, 1);
+    expect(publishEvent).toHaveBeenCalledWith(WORKSPACE_ID, 'tasks.invalidated', { taskIds: [40, 41] }, null);
+    expect(logActivities).toHaveBeenCalledWith(WORKSPACE_ID, 1, 'created', 'task', [
+      { entityId: 40, metadata: { title: 'Plan offsite', imported: 'asana' } },
+      { entityId: 41, metadata: { title: 'Book venue', imported: 'asana' } },
+    ]);
+    expect(queueWebhookEvents).toHaveBeenCalledWith(WORKSPACE_ID, 'task.created', expect.any(Array), 1);
+  });
+
+  it('records progress reported while applying', async () => {
+    mockClients([jobRow()]);
+    applyImportPlan.mockImplementation(async (db, job, plan, { onProgress }) => {
+      await onProgress(1);
+      return applied;
+    });
+
+    await processImportJobs();
+
+    expect(queryCalls('SET processed_items = $1')[0][1]).toEqual([1, 12]);
+  });
+
+  it('fails jobs whose file is not a usable export', async () => {
+    mockClients([jobRow({ payload: 'Title,Status\nA,B' })]);
+
+    const result = await processImportJobs();
+
+    expect(result).toMatchObject({ completed: 0, failed: 1 });
+    expect(applyImportPlan).not.toHaveBeenCalled();
+    expect(queryCalls("status = 'failed'")[0][1]).toEqual(['This is not an Asana CSV export', 12]);
+  });
+
+  it('rolls back and fails the job when applying throws', async () => {
+    const { txClient } = mockClients([jobRow()]);
+    applyImportPlan.mockRejectedValue(new Error('deadlock detected'));
+
+    const result = await processImportJobs();
+
+    expect(result).toMatchObject({ completed: 0, failed: 1 });
+    expect(txClient.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(queryCalls("status = 'failed'")[0][1]).toEqual(['The import failed. Nothing was imported.', 12]);
+    expect(publishEvent).not.toHaveBeenCalled();
+  });
+
+  it('fails running jobs that were interrupted', async () => {
+    const { lockClient } = mockClients([]);
+    lockClient.query.mockImplementation((sql) => {
+      if (sql.includes('pg_try_advisory_lock')) return Promise.resolve({ rows: [{ acquired: true }] });
+      if (sql.includes("WHERE status = 'running'")) return Promise.resolve({ rows: [{ id: 3 }] });
+      return Promise.resolve({ rows: [] });
+    });
+
+    const result = await processImportJobs();
+
+    expect(result).toEqual({ processed: 0, completed: 0, failed: 0, interrupted: 1 });
+  });
+
+  it('skips the run when another processor holds the lock', async () => {
+    const { lockClient } = mockClients([jobRow()], { acquired: false });
+
+    const result = await processImportJobs();
+
+    expect(result).toEqual({ skipped: true, reason: 'Another processor holds the lock' });
+    expect(applyImportPlan).not.toHaveBeenCalled();
+    expect(lockClient.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Recurrence Service Tests
+ *
+ * Tests utils/recurrenceService.js, which creates the next occurrence of a
+ * recurring task when the current one is completed or falls due.
+ *
+ * Verifies:
+ * - The next occurrence is inserted with the computed due date and series link
+ * - Assignees are copied and the source is marked as spawned
+ * - Completed-column occurrences restart in "To Do"
+ * - Series that have ended or were already spawned create nothing
+ * - The scheduled run is guarded by an advisory lock
+ */
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.mock('../lib/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const { query, getClient } = require('../config/database');
+const {
+  spawnNextOccurrence,
+  generateRecurringTasks,
+} = require('../utils/recurrenceService');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const baseTask = {
+  id: 10,
+  title: 'Weekly report',
+  description: null,
+  category_id: 3,
+  priority: 'medium',
+  due_date: '2025-01-06',
+  parent_task_id: null,
+  created_by: 1,
+  workspace_id: 'ws-1',
+  recurrence_rule: { frequency: 'weekly', interval: 1, end_date: null, count: null },
+  recurrence_series_id: null,
+  recurrence_index: 1,
+  recurrence_spawned_at: null,
+};
+
+let mockClient;
+
+/**
+ * Route client.query calls by SQL so tests don't depend on call order.
+ */
+const setupClient = (task, { todoCategoryId = null } = {}) => {
+  mockClient.query.mockImplementation((sql) => {
+    if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: task ? [task] : [] });
+    if (sql.includes("todo.name = 'To Do'")) {
+      return Promise.resolve({ rows: todoCategoryId ? [{ id: todoCategoryId }] : [] });
+    }
+    if (sql.includes('next_position')) return Promise.resolve({ rows: [{ next_position: 4 }] });
+    if (sql.includes('INSERT INTO tasks')) return Promise.resolve({ rows: [{ id: 11, due_date: '2025-01-13' }] });
+    return Promise.resolve({ rows: [] });
+  });
+};
+
+const findCall = (fragment) => mockClient.query.mock.calls.find(([sql]) => sql.includes(fragment));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient = { query: jest.fn(), release: jest.fn() };
+  getClient.mockResolvedValue(mockClient);
+});
+
+// ---------------------------------------------------------------------------
+// spawnNextOccurrence
+// ---------------------------------------------------------------------------
+
+describe('spawnNextOccurrence', () => {
+  it('inserts the next occurrence linked to the series', async () => {
+    setupClient(baseTask);
+
+    const nextTask = await spawnNextOccurrence(10);
+
+    expect(nextTask).toEqual({ id: 11, due_date: '2025-01-13' });
+    const [, params] = findCall('INSERT INTO tasks');
+    expect(params).toEqual([
+      'Weekly report', null, 3, 'medium', '2025-01-13', 4, null, 1, 'ws-1',
+      JSON.stringify(baseTask.recurrence_rule), 10, 2, null, 10,
+    ]);
+    expect(findCall('INSERT INTO task_assignments')[1]).toEqual([11, 10]);
+    expect(findCall('recurrence_spawned_at = NOW()')[1]).toEqual([10]);
+    expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it('keeps the root task as the series id for later occurrences', async () => {
+    setupClient({ ...baseTask, id: 12, recurrence_series_id: 10, recurrence_index: 3 });
+
+    await spawnNextOccurrence(12);
+
+    const [, params] = findCall('INSERT INTO tasks');
+    expect(params[10]).toBe(10);
+    expect(params[11]).toBe(4);
+  });
+
+  it('carries the estimate over to the next occurrence', async () => {
+    setupClient({ ...baseTask, estimate_minutes: 90 });
+
+    await spawnNextOccurrence(10);
+
+    const [, params] = findCall('INSERT INTO tasks');
+    expect(params[12]).toBe(90);
+  });
+
+  it('starts the next occurrence as many days before its due date as the source', async () => {
+    setupClient({ ...baseTask, start_date: '2025-01-02' });
+
+    await spawnNextOccurrence(10);
+
+    const [sql, params] = findCall('INSERT INTO tasks');
+    expect(sql).toContain('$5::date - (SELECT due_date - start_date FROM tasks WHERE id = $14)');
+    expect(params[13]).toBe(10);
+  });
+
+  it('moves occurrences completed into "Completed" back to "To Do"', async () => {
+    setupClient(baseTask, { todoCategoryId: 1 });
+
+    await spawnNextOccurrence(10);
+
+    const [, params] = findCall('INSERT INTO tasks');
+    expect(params[2]).toBe(1);
+  });
+
+  it('marks the task but creates nothing when the series has ended', async () => {
+    setupClient({ ...baseTask, recurrence_rule: { ...baseTask.recurrence_rule, count: 1 } });
+
+    const nextTask = await spawnNextOccurrence(10);
+
+    expect(nextTask).toBeNull();
+    expect(findCall('recurrence_spawned_at = NOW()')).toBeDefined();
+    expect(findCall('INSERT INTO tasks')).toBeUndefined();
+    expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('does nothing when the next occurrence was already created', async () => {
+    setupClient({ ...baseTask, recurrence_spawned_at: new Date() });
+
+    const nextTask = await spawnNextOccurrence(10);
+
+    expect(nextTask).toBeNull();
+    expect(findCall('recurrence_spawned_at = NOW()')).toBeUndefined();
+    expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('does nothing for tasks without a recurrence rule', async () => {
+    setupClient({ ...baseTask, recurrence_rule: null });
+
+    expect(await spawnNextOccurrence(10)).toBeNull();
+    expect(findCall('INSERT INTO tasks')).toBeUndefined();
+  });
+
+  it('rolls back and rethrows on errors', async () => {
+    mockClient.query.mockImplementation((sql) => {
+      if (sql.includes('FOR UPDATE')) return Promise.reject(new Error('DB error'));
+      return Promise.resolve({ rows: [] });
+    });
+
+    await expect(spawnNextOccurrence(10)).rejects.toThrow('DB error');
+    expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateRecurringTasks
+// ---------------------------------------------------------------------------
+
+describe('generateRecurringTasks', () => {
+  it('skips when another run holds the advisory lock', async () => {
+    query.mockResolvedValueOnce({ rows: [{ acquired: false }] });
+
+    const summary = await generateRecurringTasks();
+
+    expect(summary.skipped).toBe(true);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  it('creates occurrences for due tasks and releases the lock', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ acquired: true }] }) // lock
+      .mockResolvedValueOnce({ rows: [{ id: 10 }] }) // due tasks
+      .mockResolvedValueOnce({}); // unlock
+    setupClient(baseTask);
+
+    const summary = await generateRecurringTasks();
+
+    expect(summary).toEqual({ created: 1, ended: 0, failed: 0, totalTasks: 1 });
+    expect(query).toHaveBeenLastCalledWith('SELECT pg_advisory_unlock($1)', [expect.any(Number)]);
+  });
+
+  it('counts failures without stopping the run', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+      .mockResolvedValueOnce({ rows: [{ id: 10 }, { id: 12 }] })
+      .mockResolvedValueOnce({});
+    getClient
+      .mockRejectedValueOnce(new Error('pool exhausted'))
+      .mockResolvedValueOnce(mockClient);
+    setupClient({ ...baseTask, id: 12 });
+
+    const summary = await generateRecurringTasks();
+
+    expect(summary).toEqual({ created: 1, ended: 0, failed: 1, totalTasks: 2 });
+  });
+
+  it('only counts due tasks in dry-run mode', async () => {
+    query.mockResolvedValueOnce({ rows: [{ id: 10 }, { id: 12 }] });
+
+    const summary = await generateRecurringTasks({ dryRun: true });
+
+    expect(summary).toEqual({ created: 0, ended: 0, failed: 0, totalTasks: 2, dryRun: true });
+    expect(getClient).not.toHaveBeenCalled();
+  });
+});
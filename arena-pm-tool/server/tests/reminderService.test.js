@@ -0,0 +1,407 @@
+/**
+ * Reminder Service Tests
+ *
+ * Tests utils/reminderService.js, which reminds assignees of tasks that are
+ * about to fall due or overdue, and tells task creators when the overdue
+ * reminders run out.
+ *
+ * Verifies:
+ * - Every assignee in task_assignments is reminded, plus the legacy assignee_id
+ * - Only users who want that kind of reminder in some channel are selected
+ * - "Due soon" and the send hour follow each assignee's timezone and lookahead
+ * - Lookahead windows count working days, skipping weekends and holidays
+ * - Email and in-app reminders follow each assignee's preferences
+ * - Reminders are logged per user and kind so they are only sent once per local day
+ * - Overdue tasks nudge assignees daily, then escalate once to the creator
+ * - A failed email is retried on the next run, in-app notification included
+ * - Emails for assignees on daily or weekly digests are held for the digest
+ */
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.mock('../lib/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+jest.mock('../utils/emailService', () => ({
+  sendTaskReminder: jest.fn(),
+  sendMultipleTasksReminder: jest.fn(),
+  sendOverdueTasksReminder: jest.fn(),
+  verifyConnection: jest.fn(),
+}));
+
+jest.mock('../lib/notifications', () => ({
+  ...jest.requireActual('../lib/notifications'),
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../lib/workingCalendar', () => ({
+  ...jest.requireActual('../lib/workingCalendar'),
+  loadWorkingCalendar: jest.fn(),
+}));
+
+const { query } = require('../config/database');
+const {
+  sendTaskReminder,
+  sendMultipleTasksReminder,
+  sendOverdueTasksReminder,
+  verifyConnection,
+} = require('../utils/emailService');
+const { createNotification } = require('../lib/notifications');
+const { loadWorkingCalendar, buildWorkingCalendar } = require('../lib/workingCalendar');
+const { findTasksNeedingReminders, findOverdueEscalations, sendReminderEmails } = require('../utils/reminderService');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const taskRow = (overrides = {}) => ({
+  id: 1,
+  title: 'Ship release',
+  description: null,
+  due_date: '2026-03-02',
+  due_on: '2026-03-02',
+  priority: 'high',
+  status: 'todo',
+  workspace_id: 'ws-1',
+  kind: 'due_soon',
+  user_id: 7,
+  user_email: 'ann@example.com',
+  user_name: 'Ann',
+  reminder_lookahead_days: 1,
+  local_date: '2026-03-01',
+  email_enabled: true,
+  in_app_enabled: true,
+  ...overrides,
+});
+
+const escalationRow = (overrides = {}) => taskRow({
+  due_date: '2026-02-25',
+  due_on: '2026-02-25',
+  kind: 'overdue_escalation',
+  user_id: 3,
+  user_email: 'cat@example.com',
+  user_name: 'Cat',
+  assignee_names: ['Ann', 'Bob'],
+  ...overrides,
+});
+
+// Lock, assignee reminders, escalations, then whatever the run does; unlock is answered by the default
+const mockRun = (rows, escalations = []) => {
+  query
+    .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+    .mockResolvedValueOnce({ rows })
+    .mockResolvedValueOnce({ rows: escalations });
+};
+
+const reminderLogCalls = () => query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO reminder_log'));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  query.mockResolvedValue({ rows: [] });
+  verifyConnection.mockResolvedValue(true);
+  sendTaskReminder.mockResolvedValue({ success: true });
+  sendMultipleTasksReminder.mockResolvedValue({ success: true });
+  sendOverdueTasksReminder.mockResolvedValue({ success: true });
+  loadWorkingCalendar.mockResolvedValue(buildWorkingCalendar({ workingDays: [1, 2, 3, 4, 5] }));
+});
+
+// ---------------------------------------------------------------------------
+// findTasksNeedingReminders
+// ---------------------------------------------------------------------------
+
+describe('findTasksNeedingReminders', () => {
+  it('selects assignees who want due_soon reminders by email or in-app', async () => {
+    query.mockResolvedValueOnce({ rows: [taskRow({ email_enabled: false })] });
+
+    const tasks = await findTasksNeedingReminders({ sendHour: 8 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("u.notification_preferences -> 'due_soon' ->> 'email'");
+    expect(sql).toContain("u.notification_preferences -> 'due_soon' ->> 'inApp'");
+    expect(params).toEqual([8, 3]);
+    expect(tasks[0]).toEqual(expect.objectContaining({
+      kind: 'due_soon',
+      id: 1,
+      userId: 7,
+      workspaceId: 'ws-1',
+      localDate: '2026-03-01',
+      sendEmail: false,
+      notifyInApp: true,
+    }));
+  });
+
+  it("judges due dates in the assignee's timezone and lookahead window", async () => {
+    await findTasksNeedingReminders();
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('pg_timezone_names');
+    expect(sql).toContain("COALESCE(tz.name, 'UTC')");
+    expect(sql).toContain('EXTRACT(HOUR FROM local.now) >= $1');
+    expect(sql).toContain('local.now::date + (u.reminder_lookahead_days + 1) * 7');
+    expect(sql).toContain('rl.reminded_on = local.now::date');
+    expect(sql).not.toContain('CURRENT_DATE');
+    expect(params).toEqual([9, 3]);
+  });
+
+  it('fans out to every assignee in task_assignments and the legacy assignee_id', async () => {
+    await findTasksNeedingReminders();
+
+    const [sql] = query.mock.calls[0];
+    expect(sql).toContain('SELECT task_id, user_id FROM task_assignments');
+    expect(sql).toContain('SELECT id AS task_id, assignee_id AS user_id FROM tasks');
+    expect(sql).toContain('JOIN users u ON u.id = a.user_id');
+    // Deduplicated per assignee and kind
+    expect(sql).toContain('rl.user_id = u.id');
+    expect(sql).toContain('rl.kind = r.kind');
+  });
+
+  it('counts the lookahead window in working days of the workspace', async () => {
+    // Friday 6 March 2026, one working day ahead: Monday is a company holiday
+    loadWorkingCalendar.mockResolvedValueOnce(buildWorkingCalendar({
+      workingDays: [1, 2, 3, 4, 5],
+      holidays: [{ date: '2026-03-09', name: 'Office closed' }],
+    }));
+    const friday = { local_date: '2026-03-06', reminder_lookahead_days: 1 };
+    query.mockResolvedValueOnce({
+      rows: [
+        taskRow({ id: 1, due_on: '2026-03-10', ...friday }),
+        taskRow({ id: 2, due_on: '2026-03-11', ...friday }),
+        // Another assignee whose week includes Saturday
+        taskRow({ id: 3, due_on: '2026-03-09', ...friday, user_id: 8 }),
+        taskRow({ id: 4, due_on: '2026-03-07', ...friday, user_id: 8 }),
+        taskRow({ id: 5, due_on: '2026-03-03', ...friday, kind: 'overdue' }),
+      ],
+    });
+    loadWorkingCalendar.mockResolvedValueOnce(buildWorkingCalendar({ workingDays: [1, 2, 3, 4, 5, 6] }));
+
+    const reminders = await findTasksNeedingReminders();
+
+    expect(reminders.map((reminder) => reminder.id)).toEqual([1, 4, 5]);
+    // One calendar per workspace and assignee, covering the year after too
+    expect(loadWorkingCalendar).toHaveBeenCalledTimes(2);
+    expect(loadWorkingCalendar).toHaveBeenCalledWith({ workspaceId: 'ws-1', userId: 7, years: [2026, 2027] });
+  });
+
+  it('selects overdue tasks for the configured number of nudge days', async () => {
+    await findTasksNeedingReminders({ overdueDays: 5 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("WHEN t.due_date::date < local.now::date THEN 'overdue'");
+    expect(sql).toContain('local.now::date - $2::integer AND local.now::date - 1');
+    expect(sql).toContain("u.notification_preferences -> 'overdue' ->> 'email'");
+    expect(params).toEqual([9, 5]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// findOverdueEscalations
+// ---------------------------------------------------------------------------
+
+describe('findOverdueEscalations', () => {
+  it('selects creators of assigned tasks whose overdue nudges have run out, once per task', async () => {
+    query.mockResolvedValueOnce({ rows: [escalationRow()] });
+
+    const reminders = await findOverdueEscalations({ overdueDays: 2 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('JOIN users u ON u.id = t.created_by');
+    expect(sql).toContain('cardinality(assignees.names) > 0');
+    expect(sql).toContain('local.now::date - ($2::integer + 1)');
+    expect(sql).toContain("rl.kind = 'overdue_escalation'");
+    expect(sql).not.toContain('rl.reminded_on');
+    expect(params).toEqual([9, 2]);
+    expect(reminders[0]).toEqual(expect.objectContaining({
+      kind: 'overdue_escalation',
+      userId: 3,
+      assigneeNames: ['Ann', 'Bob'],
+    }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// sendReminderEmails
+// ---------------------------------------------------------------------------
+
+describe('sendReminderEmails', () => {
+  it('emails and notifies each assignee once for all their tasks', async () => {
+    mockRun([taskRow(), taskRow({ id: 2, title: 'Write notes' })]);
+
+    const summary = await sendReminderEmails();
+
+    expect(sendMultipleTasksReminder).toHaveBeenCalledTimes(1);
+    expect(createNotification).toHaveBeenCalledTimes(2);
+    expect(createNotification).toHaveBeenCalledWith({
+      userId: 7,
+      workspaceId: 'ws-1',
+      type: 'due_soon',
+      taskId: 1,
+      data: { taskTitle: 'Ship release', dueDate: '2026-03-02' },
+    });
+    expect(reminderLogCalls()).toHaveLength(2);
+    // Logged against the assignee's local date
+    expect(reminderLogCalls()[0][1]).toEqual([1, 7, '2026-03-01', 'due_soon']);
+    expect(summary).toEqual(expect.objectContaining({ sent: 1, failed: 0, notified: 2 }));
+  });
+
+  it('only notifies in-app when the assignee turned reminder emails off', async () => {
+    mockRun([taskRow({ email_enabled: false })]);
+
+    const summary = await sendReminderEmails();
+
+    expect(verifyConnection).not.toHaveBeenCalled();
+    expect(sendTaskReminder).not.toHaveBeenCalled();
+    expect(createNotification).toHaveBeenCalledTimes(1);
+    expect(reminderLogCalls()).toHaveLength(1);
+    expect(summary).toEqual(expect.objectContaining({ sent: 0, notified: 1 }));
+  });
+
+  it('only emails when the assignee turned in-app reminders off', async () => {
+    mockRun([taskRow({ in_app_enabled: false })]);
+
+    await sendReminderEmails();
+
+    expect(sendTaskReminder).toHaveBeenCalledWith(expect.objectContaining({ to: 'ann@example.com', taskName: 'Ship release' }));
+    expect(createNotification).not.toHaveBeenCalled();
+    expect(reminderLogCalls()).toHaveLength(1);
+  });
+
+  it('leaves a failed email unlogged so the next run retries it', async () => {
+    mockRun([taskRow()]);
+    sendTaskReminder.mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+
+    const summary = await sendReminderEmails();
+
+    expect(createNotification).not.toHaveBeenCalled();
+    expect(reminderLogCalls()).toHaveLength(0);
+    expect(summary).toEqual(expect.objectContaining({ sent: 0, failed: 1 }));
+  });
+
+  it('still notifies in-app only assignees when email is misconfigured', async () => {
+    mockRun([taskRow(), taskRow({ id: 2, user_id: 8, email_enabled: false })]);
+    verifyConnection.mockResolvedValueOnce(false);
+
+    const summary = await sendReminderEmails();
+
+    expect(sendTaskReminder).not.toHaveBeenCalled();
+    expect(createNotification).toHaveBeenCalledTimes(1);
+    expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 8 }));
+    expect(summary).toEqual(expect.objectContaining({
+      failed: 1,
+      notified: 1,
+      message: 'Email configuration failed verification.',
+    }));
+  });
+
+  it('holds reminder emails for assignees on a digest', async () => {
+    mockRun([
+      taskRow({ email_digest_mode: 'daily' }),
+      taskRow({ id: 2, title: 'Write notes', email_digest_mode: 'daily' }),
+    ]);
+
+    const summary = await sendReminderEmails();
+
+    const digestInserts = query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO email_digest_items'));
+    expect(verifyConnection).not.toHaveBeenCalled();
+    expect(sendMultipleTasksReminder).not.toHaveBeenCalled();
+    expect(digestInserts).toHaveLength(2);
+    expect(digestInserts[0][1]).toEqual([7, 'ws-1', 'due_soon', 1, JSON.stringify({ taskTitle: 'Ship release', dueDate: '2026-03-02' })]);
+    expect(createNotification).toHaveBeenCalledTimes(2);
+    expect(reminderLogCalls()).toHaveLength(2);
+    expect(summary).toEqual(expect.objectContaining({ sent: 0, digested: 2, notified: 2 }));
+  });
+
+  it('sends nothing on a dry run', async () => {
+    query.mockResolvedValueOnce({ rows: [taskRow()] });
+
+    const summary = await sendReminderEmails({ dryRun: true });
+
+    expect(sendTaskReminder).not.toHaveBeenCalled();
+    expect(createNotification).not.toHaveBeenCalled();
+    expect(summary.results).toEqual([
+      { email: 'ann@example.com', kind: 'due_soon', count: 1, emailCount: 1, success: true, dryRun: true },
+    ]);
+  });
+
+  it('reminds each assignee of a shared task and logs it per assignee', async () => {
+    mockRun([
+      taskRow(),
+      taskRow({ user_id: 8, user_email: 'bob@example.com', user_name: 'Bob' }),
+    ]);
+
+    const summary = await sendReminderEmails();
+
+    expect(sendTaskReminder).toHaveBeenCalledTimes(2);
+    expect(sendTaskReminder).toHaveBeenCalledWith(expect.objectContaining({ to: 'bob@example.com', userName: 'Bob' }));
+    expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 8, taskId: 1 }));
+    expect(reminderLogCalls().map(([, params]) => params)).toEqual([
+      [1, 7, '2026-03-01', 'due_soon'],
+      [1, 8, '2026-03-01', 'due_soon'],
+    ]);
+    expect(summary).toEqual(expect.objectContaining({ sent: 2, notified: 2 }));
+  });
+
+  it('nudges assignees about overdue tasks separately from due-soon ones', async () => {
+    mockRun([
+      taskRow({ id: 3, title: 'Fix login', due_date: '2026-02-27', kind: 'overdue' }),
+      taskRow(),
+    ]);
+
+    await sendReminderEmails();
+
+    expect(sendTaskReminder).toHaveBeenCalledWith(expect.objectContaining({ taskName: 'Ship release' }));
+    expect(sendOverdueTasksReminder).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ann@example.com',
+      escalation: false,
+      overdueDays: 3,
+      tasks: [expect.objectContaining({ id: 3, title: 'Fix login' })],
+    }));
+    expect(createNotification).toHaveBeenCalledWith({
+      userId: 7,
+      workspaceId: 'ws-1',
+      type: 'overdue',
+      taskId: 3,
+      data: { taskTitle: 'Fix login', dueDate: '2026-02-27' },
+    });
+    expect(reminderLogCalls()[0][1]).toEqual([3, 7, '2026-03-01', 'overdue']);
+  });
+
+  it('escalates to the task creator once the nudges have run out', async () => {
+    mockRun([], [escalationRow()]);
+
+    const summary = await sendReminderEmails();
+
+    expect(sendOverdueTasksReminder).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'cat@example.com',
+      userName: 'Cat',
+      escalation: true,
+      tasks: [expect.objectContaining({ id: 1, assigneeNames: ['Ann', 'Bob'] })],
+    }));
+    expect(createNotification).toHaveBeenCalledWith({
+      userId: 3,
+      workspaceId: 'ws-1',
+      type: 'overdue_escalation',
+      taskId: 1,
+      data: { taskTitle: 'Ship release', dueDate: '2026-02-25', assigneeNames: ['Ann', 'Bob'] },
+    });
+    expect(reminderLogCalls()[0][1]).toEqual([1, 3, '2026-03-01', 'overdue_escalation']);
+    expect(summary).toEqual(expect.objectContaining({ sent: 1, escalated: 1 }));
+  });
+
+  it('skips overdue escalations when overdue reminders are turned off', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const summary = await sendReminderEmails({ overdueDays: 0 });
+
+    expect(query.mock.calls[1][1]).toEqual([9, 0]);
+    expect(query.mock.calls.some(([sql]) => sql.includes('t.created_by'))).toBe(false);
+    expect(summary.totalTasks).toBe(0);
+  });
+});
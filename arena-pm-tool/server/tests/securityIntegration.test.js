@@ -45,6 +45,15 @@ jest.mock('../lib/activityLog', () => ({
   logActivity: jest.fn(),
 }));
 
+// Workspaces in these flows use the built-in statuses
+jest.mock('../lib/workflowStatuses', () => {
+  const actual = jest.requireActual('../lib/workflowStatuses');
+  return {
+    ...actual,
+    getWorkspaceStatuses: jest.fn().mockImplementation(async () => actual.DEFAULT_STATUSES),
+  };
+});
+
 jest.mock('../lib/sentry', () => ({
   setUser: jest.fn(),
 }));
@@ -31,6 +31,21 @@ jest.mock('../lib/activityLog', () => ({
   logActivity: jest.fn(),
 }));
 
+// Workspaces in these flows use the built-in statuses
+jest.mock('../lib/workflowStatuses', () => {
+  const actual = jest.requireActual('../lib/workflowStatuses');
+  return {
+    ...actual,
+    getWorkspaceStatuses: jest.fn().mockImplementation(async () => actual.DEFAULT_STATUSES),
+  };
+});
+
+jest.mock('../lib/attachments', () => ({
+  ...jest.requireActual('../lib/attachments'),
+  getTaskTreeStorageKeys: jest.fn().mockResolvedValue([]),
+  removeStoredFiles: jest.fn().mockResolvedValue(),
+}));
+
 jest.mock('../lib/logger', () => ({
   info: jest.fn(),
   error: jest.fn(),
@@ -0,0 +1,241 @@
+/**
+ * Webhook Delivery Processor Tests
+ *
+ * Tests jobs/webhookDeliveryProcessor.js, which posts queued webhook_deliveries
+ * the same way the email queue processor sends email_queue rows.
+ *
+ * Verifies:
+ * - Deliveries are signed with the webhook secret over the timestamp and body
+ * - 2xx responses mark the delivery delivered and record the response
+ * - Other responses and network errors are retried until max_attempts, then failed
+ * - Hosts that resolve to private addresses are never contacted, and connections
+ *   go to the address that was checked
+ * - Only the start of a response body is read
+ * - Deliveries are claimed with a lease before posting, and expired leases are requeued
+ */
+
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.mock('../lib/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { query, getClient } = require('../config/database');
+const { processWebhookDeliveries } = require('../jobs/webhookDeliveryProcessor');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+// As returned by the claim, so attempts already counts the one being made
+const deliveryRow = (overrides = {}) => ({
+  id: 31,
+  event: 'task.created',
+  payload: { id: 'evt-1', event: 'task.created', data: { task: { id: 5 } } },
+  attempts: 1,
+  max_attempts: 8,
+  url: 'https://hooks.example.com/todoria',
+  secret: 'whsec_test',
+  ...overrides,
+});
+
+// The claim returns the given rows; every other statement succeeds
+const mockQueue = (rows, { interrupted = [] } = {}) => {
+  query.mockImplementation((sql) => {
+    if (sql.includes("SET status = 'in_progress'")) return Promise.resolve({ rows });
+    if (sql.includes("WHERE status = 'in_progress' AND lease_expires_at < NOW()")) {
+      return Promise.resolve({ rows: interrupted });
+    }
+    return Promise.resolve({ rows: [] });
+  });
+};
+
+const claimCall = () => query.mock.calls.find(([sql]) => sql.includes("SET status = 'in_progress'"));
+
+const resultParams = () => query.mock.calls
+  .filter(([sql]) => sql.includes('UPDATE webhook_deliveries') && sql.includes('WHERE id ='))
+  .map(([, params]) => params);
+
+// Answers https.request with the given status and body, recording what was sent
+const mockEndpoint = (status, body = '') => jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+  const request = new EventEmitter();
+  request.end = jest.fn(() => {
+    const response = new PassThrough();
+    response.statusCode = status;
+    callback(response);
+    response.end(body);
+  });
+  return request;
+});
+
+const mockEndpointError = (error) => jest.spyOn(https, 'request').mockImplementation(() => {
+  const request = new EventEmitter();
+  request.end = jest.fn(() => request.emit('error', error));
+  return request;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// ---------------------------------------------------------------------------
+// processWebhookDeliveries
+// ---------------------------------------------------------------------------
+
+describe('processWebhookDeliveries', () => {
+  it('posts a signed delivery and marks it delivered', async () => {
+    mockQueue([deliveryRow()]);
+    const request = mockEndpoint(200, 'ok');
+
+    const result = await processWebhookDeliveries();
+
+    const [url, options] = request.mock.calls[0];
+    expect(url.href).toBe('https://hooks.example.com/todoria');
+    expect(options.method).toBe('POST');
+    expect(options.headers['X-Todoria-Event']).toBe('task.created');
+    expect(options.headers['X-Todoria-Delivery']).toBe('31');
+
+    const body = request.mock.results[0].value.end.mock.calls[0][0];
+    const timestamp = options.headers['X-Todoria-Timestamp'];
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex');
+    expect(options.headers['X-Todoria-Signature']).toBe(`sha256=${expected}`);
+    expect(options.headers['Content-Length']).toBe(Buffer.byteLength(body));
+    expect(JSON.parse(body)).toEqual(deliveryRow().payload);
+
+    const [params] = resultParams();
+    expect(params[0]).toBe(200);
+    expect(params[1]).toBe('ok');
+    expect(result).toEqual({ processed: 1, delivered: 1, failed: 0, retried: 0, interrupted: 0 });
+  });
+
+  it('retries a delivery the endpoint rejected', async () => {
+    mockQueue([deliveryRow({ attempts: 3 })]);
+    mockEndpoint(500, 'boom');
+
+    const result = await processWebhookDeliveries();
+
+    const [params] = resultParams();
+    expect(params.slice(0, 3)).toEqual(['pending', 500, 'boom']);
+    expect(params[4]).toBe('Endpoint responded with 500');
+    expect(result.retried).toBe(1);
+  });
+
+  it('fails a delivery on its last attempt', async () => {
+    mockQueue([deliveryRow({ attempts: 8 })]);
+    mockEndpointError(new Error('socket hang up'));
+
+    const result = await processWebhookDeliveries();
+
+    const [params] = resultParams();
+    expect(params[0]).toBe('failed');
+    expect(params[4]).toBe('socket hang up');
+    expect(result.failed).toBe(1);
+  });
+
+  it('does not contact hosts that resolve to private addresses', async () => {
+    mockQueue([deliveryRow()]);
+    dns.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+    const request = jest.spyOn(https, 'request');
+
+    await processWebhookDeliveries();
+
+    expect(request).not.toHaveBeenCalled();
+    expect(resultParams()[0][4]).toContain('does not resolve to a public address');
+  });
+
+  it('connects to the address that was checked, whatever DNS answers later', async () => {
+    mockQueue([deliveryRow()]);
+    const request = mockEndpoint(200);
+
+    await processWebhookDeliveries();
+
+    dns.lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+    const { lookup } = request.mock.calls[0][1];
+    const answers = await Promise.all([
+      new Promise((resolve) => lookup('hooks.example.com', {}, (err, address, family) => resolve({ err, address, family }))),
+      new Promise((resolve) => lookup('hooks.example.com', { all: true }, (err, addresses) => resolve({ err, addresses }))),
+      new Promise((resolve) => lookup('hooks.example.com', { family: 6 }, (err) => resolve({ err }))),
+    ]);
+
+    expect(answers[0]).toEqual({ err: null, address: '93.184.216.34', family: 4 });
+    expect(answers[1]).toEqual({ err: null, addresses: [{ address: '93.184.216.34', family: 4 }] });
+    expect(answers[2].err.code).toBe('ENOTFOUND');
+  });
+
+  it('stops reading a response once it has enough of the body', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    // An endpoint that never finishes its response
+    const server = http.createServer((req, res) => {
+      res.writeHead(200);
+      const interval = setInterval(() => res.write('x'.repeat(512)), 5);
+      res.on('close', () => clearInterval(interval));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      mockQueue([deliveryRow({ url: `http://127.0.0.1:${server.address().port}/hook` })]);
+
+      const result = await processWebhookDeliveries();
+
+      const [params] = resultParams();
+      expect(params[1]).toBe('x'.repeat(1000));
+      expect(result.delivered).toBe(1);
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('claims deliveries of active webhooks that are due for a retry before posting them', async () => {
+    mockQueue([]);
+
+    await processWebhookDeliveries();
+
+    const [claimSql, claimParams] = claimCall();
+    expect(claimSql).toContain('hook.is_active');
+    expect(claimSql).toContain("POWER(2, queued.attempts) || ' minutes'");
+    expect(claimSql).toContain('FOR UPDATE OF queued SKIP LOCKED');
+    expect(claimSql).toContain('attempts = d.attempts + 1');
+    expect(claimParams).toEqual([10, 160]);
+  });
+
+  it('commits the claim before contacting the endpoint', async () => {
+    mockQueue([deliveryRow()]);
+    const request = mockEndpoint(200);
+
+    await processWebhookDeliveries();
+
+    const claimOrder = query.mock.invocationCallOrder[query.mock.calls.indexOf(claimCall())];
+    expect(claimOrder).toBeLessThan(request.mock.invocationCallOrder[0]);
+    // Every statement runs on its own; no transaction spans the requests
+    expect(getClient).not.toHaveBeenCalled();
+    expect(query.mock.calls.map(([sql]) => sql)).not.toContain('BEGIN');
+  });
+
+  it('requeues deliveries whose lease ran out', async () => {
+    mockQueue([], { interrupted: [{ id: 4 }, { id: 9 }] });
+
+    const result = await processWebhookDeliveries();
+
+    const [expireSql] = query.mock.calls[0];
+    expect(expireSql).toContain("CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END");
+    expect(result).toEqual({ processed: 0, delivered: 0, failed: 0, retried: 0, interrupted: 2 });
+  });
+});
@@ -0,0 +1,15 @@
+// CSV helpers shared by the CSV exports (tasks from /api/me, workspace analytics)
+
+// One CSV field: empty for null/undefined, quoted when it holds a comma, quote or newline
+const escCsv = (val) => {
+  if (val == null) return '';
+  const str = String(val);
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+module.exports = {
+  escCsv,
+};
@@ -0,0 +1,166 @@
+// Digest Service
+// Rolls up the notification emails held back for users on daily or weekly
+// digests (email_digest_items) into one email each, at the user's local send
+// hour. Uses a PostgreSQL advisory lock to prevent concurrent execution.
+
+const { query } = require('../config/database');
+const { renderTemplate } = require('./emailTemplates');
+const { queueNotificationDigest } = require('./emailQueue');
+const { isDigestDue } = require('../lib/digests');
+const logger = require('../lib/logger');
+
+const DIGEST_LOCK_ID = 718264; // Arbitrary advisory lock ID for digest job
+
+const formatDate = (date) => {
+  if (!date) return null;
+  return new Date(date).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+// Users with held-back items who can still receive email
+const findDigestRecipients = async () => {
+  const result = await query(`
+    SELECT u.id, u.email, u.name, u.timezone, u.email_digest_mode, u.last_digest_sent_at
+    FROM users u
+    WHERE EXISTS (
+        SELECT 1 FROM email_digest_items d
+        WHERE d.user_id = u.id AND d.sent_at IS NULL
+      )
+      AND u.email IS NOT NULL AND u.email <> ''
+      AND u.email_notifications_enabled IS DISTINCT FROM false
+      AND u.email_digest_mode IS DISTINCT FROM 'none'
+  `);
+  return result.rows;
+};
+
+// One line of the digest for an item, from the data its notification stored
+const describeDigestItem = ({ type, data = {} }) => {
+  const actorName = data.actorName || 'A team member';
+  const taskTitle = data.taskTitle || 'a task';
+  const dueDate = formatDate(data.dueDate);
+
+  switch (type) {
+    case 'assignment':
+      return { headline: `${actorName} assigned you "${taskTitle}"`, detail: dueDate && `Due ${dueDate}` };
+    case 'mention':
+      return { headline: `${actorName} mentioned you on "${taskTitle}"`, excerpt: data.excerpt };
+    case 'comment':
+      return { headline: `${actorName} commented on "${taskTitle}"`, excerpt: data.excerpt };
+    case 'due_soon':
+      return { headline: `"${taskTitle}" is due soon`, detail: dueDate && `Due ${dueDate}` };
+    case 'overdue':
+      return { headline: `"${taskTitle}" is overdue`, detail: dueDate && `Was due ${dueDate}` };
+    case 'overdue_escalation':
+      return {
+        headline: `"${taskTitle}" is still overdue`,
+        detail: [dueDate && `Was due ${dueDate}`, data.assigneeNames?.length && `Assigned to ${data.assigneeNames.join(', ')}`]
+          .filter(Boolean)
+          .join(' · '),
+      };
+    default:
+      return { headline: `Update on "${taskTitle}"` };
+  }
+};
+
+const buildDigestRows = (items = []) => {
+  const clientUrl = (process.env.CLIENT_URL || 'https://www.todoria.com').replace(/\/+$/, '');
+
+  return items.map(item => renderTemplate('notificationDigestItem.html', {
+    ...describeDigestItem(item),
+    taskUrl: item.task_id ? `${clientUrl}/tasks?taskId=${item.task_id}` : undefined
+  })).join('');
+};
+
+// Send every digest that is due at `now`
+const sendDigests = async ({ now = new Date(), dryRun = false } = {}) => {
+  if (!dryRun) {
+    const lockResult = await query('SELECT pg_try_advisory_lock($1) AS acquired', [DIGEST_LOCK_ID]);
+    if (!lockResult.rows[0].acquired) {
+      return {
+        sent: 0,
+        failed: 0,
+        items: 0,
+        message: 'Skipped: another digest job is already running.',
+        skipped: true,
+      };
+    }
+  }
+
+  try {
+    const recipients = (await findDigestRecipients()).filter(user => isDigestDue({
+      mode: user.email_digest_mode,
+      timezone: user.timezone,
+      lastSentAt: user.last_digest_sent_at
+    }, now));
+
+    const results = [];
+    let sent = 0;
+    let failed = 0;
+    let itemCount = 0;
+
+    for (const user of recipients) {
+      const itemResult = await query(`
+        SELECT id, type, task_id, data, created_at
+        FROM email_digest_items
+        WHERE user_id = $1 AND sent_at IS NULL
+        ORDER BY created_at ASC, id ASC
+      `, [user.id]);
+      const items = itemResult.rows;
+      if (!items.length) continue;
+
+      if (dryRun) {
+        results.push({ email: user.email, count: items.length, success: true, dryRun: true });
+        continue;
+      }
+
+      try {
+        await queueNotificationDigest({
+          to: user.email,
+          userName: user.name,
+          period: user.email_digest_mode,
+          itemCount: items.length,
+          digestRows: buildDigestRows(items)
+        });
+        await query(
+          'UPDATE email_digest_items SET sent_at = NOW() WHERE id = ANY($1::int[])',
+          [items.map(item => item.id)]
+        );
+        await query('UPDATE users SET last_digest_sent_at = NOW() WHERE id = $1', [user.id]);
+
+        sent += 1;
+        itemCount += items.length;
+        results.push({ email: user.email, count: items.length, success: true });
+      } catch (error) {
+        failed += 1;
+        logger.warn({ err: error, userId: user.id }, 'Failed to queue digest email');
+        results.push({ email: user.email, count: items.length, success: false, error: error.message });
+      }
+    }
+
+    return {
+      sent,
+      failed,
+      items: itemCount,
+      totalUsers: recipients.length,
+      results
+    };
+  } finally {
+    if (!dryRun) {
+      try {
+        await query('SELECT pg_advisory_unlock($1)', [DIGEST_LOCK_ID]);
+      } catch (_) {
+        // Lock release failed — will auto-release on disconnect
+      }
+    }
+  }
+};
+
+module.exports = {
+  findDigestRecipients,
+  buildDigestRows,
+  sendDigests
+};
@@ -88,6 +88,75 @@ const queueTaskAssignmentNotification = async ({
   });
 };
 
+/**
+ * Enqueue a "you were mentioned" email for an @mention in a comment.
+ */
+const queueCommentMentionNotification = async ({
+  to, userName, taskId, taskTitle, commentExcerpt, mentionedByName
+}) => {
+  const clientUrl = (process.env.CLIENT_URL || 'https://www.todoria.com').replace(/\/+$/, '');
+  const taskUrl = `${clientUrl}/tasks?taskId=${taskId}`;
+
+  return queueEmail({
+    to,
+    subject: `${mentionedByName || 'A team member'} mentioned you on "${taskTitle}"`,
+    template: 'commentMention.html',
+    templateData: {
+      userName: userName || 'there',
+      taskTitle,
+      commentExcerpt,
+      mentionedByName: mentionedByName || 'A team member',
+      taskUrl,
+    },
+  });
+};
+
+/**
+ * Enqueue a "new comment" email for the creator or an assignee of a task.
+ */
+const queueTaskCommentNotification = async ({
+  to, userName, taskId, taskTitle, commentExcerpt, commenterName
+}) => {
+  const clientUrl = (process.env.CLIENT_URL || 'https://www.todoria.com').replace(/\/+$/, '');
+  const taskUrl = `${clientUrl}/tasks?taskId=${taskId}`;
+
+  return queueEmail({
+    to,
+    subject: `${commenterName || 'A team member'} commented on "${taskTitle}"`,
+    template: 'taskComment.html',
+    templateData: {
+      userName: userName || 'there',
+      taskTitle,
+      commentExcerpt,
+      commenterName: commenterName || 'A team member',
+      taskUrl,
+    },
+  });
+};
+
+/**
+ * Enqueue a daily or weekly digest of held-back notification emails.
+ * `digestRows` is pre-rendered HTML, one row per update.
+ */
+const queueNotificationDigest = async ({ to, userName, period, itemCount, digestRows }) => {
+  const clientUrl = (process.env.CLIENT_URL || 'https://www.todoria.com').replace(/\/+$/, '');
+  const periodLabel = period === 'weekly' ? 'weekly' : 'daily';
+
+  return queueEmail({
+    to,
+    subject: `Your ${periodLabel} Todoria digest: ${itemCount} update${itemCount === 1 ? '' : 's'}`,
+    template: 'notificationDigest.html',
+    templateData: {
+      userName: userName || 'there',
+      periodLabel,
+      itemCount,
+      itemPlural: itemCount === 1 ? '' : 's',
+      digestRows: digestRows || '',
+      dashboardUrl: `${clientUrl}/dashboard`,
+    },
+  });
+};
+
 /**
  * Enqueue a workspace invitation email.
  */
@@ -174,6 +243,9 @@ module.exports = {
   queueTaskReminder,
   queueMultipleTasksReminder,
   queueTaskAssignmentNotification,
+  queueCommentMentionNotification,
+  queueTaskCommentNotification,
+  queueNotificationDigest,
   queueWorkspaceInvite,
   queueWelcomeEmail,
   queueVerificationEmail,
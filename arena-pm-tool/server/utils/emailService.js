@@ -134,6 +134,10 @@ const buildTaskRows = (tasks = []) => {
                 <p style="margin: 0; color: #888888; font-size: 13px;">
                   Due: ${dueDate}
                 </p>
+                ${task.assigneeNames?.length ? `
+                <p style="margin: 4px 0 0 0; color: #888888; font-size: 13px;">
+                  Assigned to: ${escapeHtml(task.assigneeNames.join(', '))}
+                </p>` : ''}
               </td>
               <td align="right" valign="top">
                 <span style="display: inline-block; padding: 4px 10px; background-color: ${getPriorityColor(priority)}; color: #ffffff; font-size: 11px; font-weight: 500; border-radius: 10px; text-transform: capitalize;">
@@ -185,6 +189,34 @@ const sendMultipleTasksReminder = async ({ to, userName, tasks }) => {
   return sendEmail({ to, subject, html });
 };
 
+// Send overdue tasks email: a nudge to an assignee, or with `escalation` a
+// note to the creator that the assignees' reminders have run out
+const sendOverdueTasksReminder = async ({ to, userName, tasks, escalation = false, overdueDays }) => {
+  const taskCount = Array.isArray(tasks) ? tasks.length : 0;
+
+  if (taskCount === 0) {
+    return { success: false, error: 'No tasks provided for overdue email' };
+  }
+
+  const subject = escalation
+    ? `⚠️ Still overdue: ${taskCount} task${taskCount > 1 ? 's' : ''} you created`
+    : `⚠️ Overdue: You have ${taskCount} task${taskCount > 1 ? 's' : ''} past the due date`;
+
+  const html = renderTemplate('overdueTasks.html', {
+    userName: userName || 'there',
+    escalation,
+    nudge: !escalation,
+    taskCount,
+    taskPlural: taskCount > 1 ? 's' : '',
+    taskVerb: taskCount > 1 ? 'are' : 'is',
+    overdueDays,
+    overdueDaysPlural: overdueDays === 1 ? '' : 's',
+    taskRows: buildTaskRows(tasks)
+  });
+
+  return sendEmail({ to, subject, html });
+};
+
 // Send task assignment notification email
 const sendTaskAssignmentNotification = async ({
   to,
@@ -304,6 +336,7 @@ module.exports = {
   sendEmail,
   sendTaskReminder,
   sendMultipleTasksReminder,
+  sendOverdueTasksReminder,
   sendTaskAssignmentNotification,
   sendWorkspaceInvite,
   sendWelcomeEmail,
@@ -33,7 +33,7 @@ const escapeHtml = (str) => {
 };
 
 // Keys that contain pre-built HTML and must NOT be escaped
-const HTML_SAFE_KEYS = new Set(['taskRows', 'taskUrl', 'inviteUrl', 'priorityColor']);
+const HTML_SAFE_KEYS = new Set(['taskRows', 'digestRows', 'taskUrl', 'dashboardUrl', 'inviteUrl', 'priorityColor']);
 
 const renderTemplate = (templateName, data = {}) => {
   let template = loadTemplate(templateName);
@@ -67,5 +67,6 @@ const renderQueuedEmail = (templateName, templateData) => {
 };
 
 module.exports = {
+  renderTemplate,
   renderQueuedEmail,
 };
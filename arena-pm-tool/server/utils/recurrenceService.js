@@ -0,0 +1,207 @@
+// Recurrence Service
+// Generates the next occurrence of recurring tasks. Runs when an occurrence
+// is completed (from updateTask) and on a schedule for occurrences whose
+// due date has arrived, so the next one exists even if the current one is
+// still open. tasks.recurrence_spawned_at makes generation idempotent.
+
+const { query, getClient } = require('../config/database');
+const { toDateKey, getNextOccurrenceDate, isWithinBounds } = require('../lib/recurrence');
+const logger = require('../lib/logger');
+
+const RECURRENCE_LOCK_ID = 583922; // Arbitrary advisory lock ID for recurrence job
+
+// Create the next occurrence for a recurring task.
+// Returns the new task row, or null if the series has ended or was already spawned.
+const spawnNextOccurrence = async (taskId) => {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const sourceResult = await client.query(
+      'SELECT * FROM tasks WHERE id = $1 FOR UPDATE',
+      [taskId]
+    );
+    const source = sourceResult.rows[0];
+
+    if (!source || !source.recurrence_rule || source.recurrence_spawned_at || !source.due_date) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const rule = source.recurrence_rule;
+    const nextIndex = (source.recurrence_index || 1) + 1;
+    const nextDueDate = getNextOccurrenceDate(rule, source.due_date);
+
+    // Mark the source as handled whether or not the series continues
+    await client.query(
+      'UPDATE tasks SET recurrence_spawned_at = NOW() WHERE id = $1',
+      [taskId]
+    );
+
+    if (!nextDueDate || !isWithinBounds(rule, nextIndex, nextDueDate)) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    // Occurrences completed via the board are moved into "Completed";
+    // the next one should start back in "To Do" when that category exists
+    let categoryId = source.category_id;
+    if (categoryId) {
+      const categoryResult = await client.query(
+        `SELECT todo.id FROM categories c
+         JOIN categories todo ON todo.workspace_id = c.workspace_id AND todo.name = 'To Do'
+         WHERE c.id = $1 AND c.name = 'Completed'
+         LIMIT 1`,
+        [categoryId]
+      );
+      if (categoryResult.rows.length > 0) {
+        categoryId = categoryResult.rows[0].id;
+      }
+    }
+
+    let position = 0;
+    if (categoryId) {
+      const posResult = await client.query(
+        'SELECT COALESCE(MAX(position), -1) + 1 as next_position FROM tasks WHERE category_id = $1',
+        [categoryId]
+      );
+      position = posResult.rows[0].next_position;
+    }
+
+    // Each occurrence starts in the workspace's first not-started status, and as many
+    // days before its due date as the source did
+    const insertResult = await client.query(`
+      INSERT INTO tasks (
+        title, description, category_id, priority, status, due_date, position,
+        parent_task_id, created_by, workspace_id,
+        recurrence_rule, recurrence_series_id, recurrence_index, estimate_minutes, start_date
+      )
+      VALUES (
+        $1, $2, $3, $4,
+        COALESCE(
+          (SELECT key FROM workflow_statuses
+           WHERE workspace_id = $9 AND category = 'not_started'
+           ORDER BY position ASC, id ASC LIMIT 1),
+          'todo'
+        ),
+        $5, $6, $7, $8, $9, $10, $11, $12, $13,
+        $5::date - (SELECT due_date - start_date FROM tasks WHERE id = $14)
+      )
+      RETURNING *
+    `, [
+      source.title,
+      source.description,
+      categoryId,
+      source.priority,
+      nextDueDate,
+      position,
+      source.parent_task_id,
+      source.created_by,
+      source.workspace_id,
+      JSON.stringify(rule),
+      source.recurrence_series_id || source.id,
+      nextIndex,
+      source.estimate_minutes ?? null,
+      source.id,
+    ]);
+
+    const nextTask = insertResult.rows[0];
+
+    await client.query(
+      `INSERT INTO task_assignments (task_id, user_id)
+       SELECT $1, user_id FROM task_assignments WHERE task_id = $2`,
+      [nextTask.id, source.id]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info({
+      component: 'recurrence',
+      sourceTaskId: source.id,
+      nextTaskId: nextTask.id,
+      dueDate: toDateKey(nextDueDate),
+    }, 'Recurring task occurrence created');
+
+    return nextTask;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Find recurring tasks whose due date has arrived and whose next occurrence
+// has not been generated yet
+const findTasksNeedingNextOccurrence = async () => {
+  const result = await query(`
+    SELECT id
+    FROM tasks
+    WHERE recurrence_rule IS NOT NULL
+      AND recurrence_spawned_at IS NULL
+      AND due_date IS NOT NULL
+      AND due_date <= CURRENT_DATE
+    ORDER BY due_date ASC
+  `);
+  return result.rows.map(row => row.id);
+};
+
+// Generate next occurrences for all due recurring tasks.
+// Uses advisory lock to prevent concurrent execution.
+const generateRecurringTasks = async ({ dryRun = false } = {}) => {
+  if (!dryRun) {
+    const lockResult = await query('SELECT pg_try_advisory_lock($1) AS acquired', [RECURRENCE_LOCK_ID]);
+    if (!lockResult.rows[0].acquired) {
+      return {
+        created: 0,
+        ended: 0,
+        failed: 0,
+        totalTasks: 0,
+        message: 'Skipped: another recurrence job is already running.',
+        skipped: true,
+      };
+    }
+  }
+
+  try {
+    const taskIds = await findTasksNeedingNextOccurrence();
+
+    if (dryRun) {
+      return { created: 0, ended: 0, failed: 0, totalTasks: taskIds.length, dryRun: true };
+    }
+
+    let created = 0;
+    let ended = 0;
+    let failed = 0;
+
+    for (const taskId of taskIds) {
+      try {
+        const nextTask = await spawnNextOccurrence(taskId);
+        if (nextTask) {
+          created += 1;
+        } else {
+          ended += 1;
+        }
+      } catch (error) {
+        failed += 1;
+        logger.error({ component: 'recurrence', taskId, err: error }, 'Failed to create next occurrence');
+      }
+    }
+
+    return { created, ended, failed, totalTasks: taskIds.length };
+  } finally {
+    if (!dryRun) {
+      try {
+        await query('SELECT pg_advisory_unlock($1)', [RECURRENCE_LOCK_ID]);
+      } catch (_) {
+        // Lock release failed — will auto-release on disconnect
+      }
+    }
+  }
+};
+
+module.exports = {
+  spawnNextOccurrence,
+  findTasksNeedingNextOccurrence,
+  generateRecurringTasks,
+};
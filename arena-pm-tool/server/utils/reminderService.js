@@ -1,30 +1,172 @@
 // Reminder Service
-// Finds tasks that need reminders and sends emails to assignees.
-// Uses reminder_log table to prevent duplicate reminders and
-// PostgreSQL advisory locks to prevent concurrent execution.
+// Reminds everyone assigned to a task (task_assignments, plus the legacy
+// tasks.assignee_id) in-app and by email, following their notification preferences:
+// - due_soon: the task falls due within the assignee's lookahead window, counted in
+//   working days of the task's workspace (lib/workingCalendar)
+// - overdue: a daily nudge for the first REMINDER_OVERDUE_DAYS days past the due date
+// - overdue_escalation: once the nudges run out, one reminder to the task creator
+// Emails for users on daily or weekly digests are held for their next digest instead.
+// Dates are judged in each recipient's timezone, and reminders go out from
+// REMINDER_SEND_HOUR of their local day, so the job runs hourly.
+// Uses reminder_log table (keyed by kind and the recipient's local date) to prevent
+// duplicate reminders and PostgreSQL advisory locks to prevent concurrent execution.
 
 const { query, getClient } = require('../config/database');
 const {
   sendTaskReminder,
   sendMultipleTasksReminder,
+  sendOverdueTasksReminder,
   verifyConnection
 } = require('./emailService');
 const logger = require('../lib/logger');
+const { statusCategorySql } = require('../lib/workflowStatuses');
+const { createNotification, notificationEnabledSql } = require('../lib/notifications');
+const { isDigestMode, addDigestItem } = require('../lib/digests');
+const { loadWorkingCalendar, addWorkingDays } = require('../lib/workingCalendar');
 
 const REMINDER_LOCK_ID = 583921; // Arbitrary advisory lock ID for reminder job
 
-const parsedDefault = parseInt(process.env.REMINDER_LOOKAHEAD_DAYS || '2', 10);
-const DEFAULT_LOOKAHEAD_DAYS = Number.isFinite(parsedDefault) ? parsedDefault : 2;
-const normalizeLookaheadDays = (value) => {
-  const parsed = parseInt(value, 10);
-  return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_LOOKAHEAD_DAYS;
+const parsedSendHour = parseInt(process.env.REMINDER_SEND_HOUR || '9', 10);
+const REMINDER_SEND_HOUR = parsedSendHour >= 0 && parsedSendHour <= 23 ? parsedSendHour : 9;
+
+// 0 turns overdue nudges and escalations off
+const parsedOverdueDays = parseInt(process.env.REMINDER_OVERDUE_DAYS || '3', 10);
+const REMINDER_OVERDUE_DAYS = parsedOverdueDays >= 0 && parsedOverdueDays <= 30 ? parsedOverdueDays : 3;
+
+// Escalations only look back this many days past the last nudge, so tasks that were
+// long overdue before escalations existed don't all reach their creators at once
+const ESCALATION_WINDOW_DAYS = 7;
+
+// User wants this kind of reminder by email and has an address to send it to
+const emailReminderSql = (kind) =>
+  `(u.email IS NOT NULL AND u.email <> '' AND ${notificationEnabledSql('u', kind, 'email')})`;
+
+// Everyone assigned to a task. Tasks from before multi-assignee support may only have tasks.assignee_id.
+const TASK_ASSIGNEES_SQL = `
+  SELECT task_id, user_id FROM task_assignments
+  UNION
+  SELECT id AS task_id, assignee_id AS user_id FROM tasks WHERE assignee_id IS NOT NULL
+`;
+
+// The current time in the timezone of user u. Unknown timezones count as UTC.
+const LOCAL_TIME_SQL = `
+  LEFT JOIN (SELECT name FROM pg_timezone_names) tz ON tz.name = u.timezone
+  CROSS JOIN LATERAL (SELECT NOW() AT TIME ZONE COALESCE(tz.name, 'UTC') AS now) local
+`;
+
+const toReminder = (row) => ({
+  kind: row.kind,
+  id: row.id,
+  title: row.title,
+  description: row.description,
+  dueDate: row.due_date,
+  priority: row.priority || 'medium',
+  status: row.status,
+  workspaceId: row.workspace_id,
+  userId: row.user_id,
+  userEmail: row.user_email,
+  userName: row.user_name,
+  localDate: row.local_date,
+  ...(row.assignee_names ? { assigneeNames: row.assignee_names } : {}),
+  sendEmail: row.email_enabled,
+  digest: isDigestMode(row.email_digest_mode),
+  notifyInApp: row.in_app_enabled
+});
+
+// Lookahead windows count working days, so the query fetches a week of calendar days
+// per working day (plus one) and this trims the rest. Calendars are per workspace and
+// assignee, since holidays follow the assignee's regions.
+const isDueWithinLookahead = async (row, calendars) => {
+  const key = `${row.workspace_id}:${row.user_id}`;
+  if (!calendars.has(key)) {
+    const year = Number(row.local_date.slice(0, 4));
+    calendars.set(key, await loadWorkingCalendar({
+      workspaceId: row.workspace_id,
+      userId: row.user_id,
+      years: [year, year + 1]
+    }));
+  }
+  return row.due_on <= addWorkingDays(row.local_date, row.reminder_lookahead_days, calendars.get(key));
 };
 
-// Find tasks that are due within the lookahead window and not completed,
-// excluding tasks that already have a reminder logged for today.
-const findTasksNeedingReminders = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAYS } = {}) => {
-  const lookahead = normalizeLookaheadDays(lookaheadDays);
+// Find open tasks that fall due within an assignee's lookahead window of working days
+// (due_soon) or were due up to `overdueDays` days ago (overdue), one row per assignee,
+// for assignees whose local time has reached the send hour. Reminders already logged
+// for the assignee's local date are skipped.
+const findTasksNeedingReminders = async ({
+  sendHour = REMINDER_SEND_HOUR,
+  overdueDays = REMINDER_OVERDUE_DAYS
+} = {}) => {
+  const result = await query(
+    `
+      SELECT
+        t.id,
+        t.title,
+        t.description,
+        t.due_date,
+        t.priority,
+        t.status,
+        t.workspace_id,
+        u.id AS user_id,
+        u.email AS user_email,
+        u.name AS user_name,
+        u.email_digest_mode,
+        u.reminder_lookahead_days,
+        r.kind,
+        to_char(local.now, 'YYYY-MM-DD') AS local_date,
+        to_char(t.due_date::date, 'YYYY-MM-DD') AS due_on,
+        pref.email_enabled,
+        pref.in_app_enabled
+      FROM tasks t
+      JOIN (${TASK_ASSIGNEES_SQL}) a ON a.task_id = t.id
+      JOIN users u ON u.id = a.user_id
+      ${LOCAL_TIME_SQL}
+      CROSS JOIN LATERAL (
+        SELECT CASE WHEN t.due_date::date < local.now::date THEN 'overdue' ELSE 'due_soon' END AS kind
+      ) r
+      CROSS JOIN LATERAL (
+        SELECT
+          CASE r.kind WHEN 'overdue' THEN ${emailReminderSql('overdue')}
+            ELSE ${emailReminderSql('due_soon')} END AS email_enabled,
+          CASE r.kind WHEN 'overdue' THEN ${notificationEnabledSql('u', 'overdue', 'inApp')}
+            ELSE ${notificationEnabledSql('u', 'due_soon', 'inApp')} END AS in_app_enabled
+      ) pref
+      WHERE ${statusCategorySql('t')} <> 'done'
+        AND t.completed_at IS NULL
+        AND t.due_date IS NOT NULL
+        AND (pref.email_enabled OR pref.in_app_enabled)
+        AND EXTRACT(HOUR FROM local.now) >= $1
+        AND (
+          t.due_date::date BETWEEN local.now::date AND local.now::date + (u.reminder_lookahead_days + 1) * 7
+          OR t.due_date::date BETWEEN local.now::date - $2::integer AND local.now::date - 1
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM reminder_log rl
+          WHERE rl.task_id = t.id
+            AND rl.user_id = u.id
+            AND rl.kind = r.kind
+            AND rl.reminded_on = local.now::date
+        )
+      ORDER BY t.due_date ASC
+    `,
+    [sendHour, overdueDays]
+  );
+
+  const reminders = [];
+  const calendars = new Map();
+  for (const row of result.rows) {
+    if (row.kind === 'due_soon' && !(await isDueWithinLookahead(row, calendars))) continue;
+    reminders.push(toReminder(row));
+  }
+  return reminders;
+};
 
+// Find assigned, open tasks whose overdue nudges have run out, for creators whose
+// local time has reached the send hour. Each creator hears about a task only once.
+const findOverdueEscalations = async ({
+  sendHour = REMINDER_SEND_HOUR,
+  overdueDays = REMINDER_OVERDUE_DAYS
+} = {}) => {
   const result = await query(
     `
       SELECT
@@ -34,67 +176,136 @@ const findTasksNeedingReminders = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAY
         t.due_date,
         t.priority,
         t.status,
-        t.assignee_id,
-        u.email AS assignee_email,
-        u.name AS assignee_name
+        t.workspace_id,
+        u.id AS user_id,
+        u.email AS user_email,
+        u.name AS user_name,
+        u.email_digest_mode,
+        'overdue_escalation' AS kind,
+        to_char(local.now, 'YYYY-MM-DD') AS local_date,
+        assignees.names AS assignee_names,
+        ${emailReminderSql('overdue_escalation')} AS email_enabled,
+        ${notificationEnabledSql('u', 'overdue_escalation', 'inApp')} AS in_app_enabled
       FROM tasks t
-      JOIN users u ON u.id = t.assignee_id
-      WHERE (t.status IS NULL OR t.status <> 'completed')
+      JOIN users u ON u.id = t.created_by
+      ${LOCAL_TIME_SQL}
+      CROSS JOIN LATERAL (
+        SELECT ARRAY(
+          SELECT au.name
+          FROM (${TASK_ASSIGNEES_SQL}) a
+          JOIN users au ON au.id = a.user_id
+          WHERE a.task_id = t.id
+          ORDER BY au.name
+        ) AS names
+      ) assignees
+      WHERE ${statusCategorySql('t')} <> 'done'
         AND t.completed_at IS NULL
         AND t.due_date IS NOT NULL
-        AND u.email IS NOT NULL
-        AND u.email <> ''
-        AND (u.email_notifications_enabled IS NULL OR u.email_notifications_enabled = true)
-        AND t.due_date::date BETWEEN CURRENT_DATE AND CURRENT_DATE + ($1 * INTERVAL '1 day')
+        AND cardinality(assignees.names) > 0
+        AND (${emailReminderSql('overdue_escalation')} OR ${notificationEnabledSql('u', 'overdue_escalation', 'inApp')})
+        AND EXTRACT(HOUR FROM local.now) >= $1
+        AND t.due_date::date BETWEEN local.now::date - ($2::integer + ${ESCALATION_WINDOW_DAYS})
+          AND local.now::date - ($2::integer + 1)
         AND NOT EXISTS (
           SELECT 1 FROM reminder_log rl
           WHERE rl.task_id = t.id
-            AND rl.user_id = t.assignee_id
-            AND rl.reminded_on = CURRENT_DATE
+            AND rl.user_id = u.id
+            AND rl.kind = 'overdue_escalation'
         )
       ORDER BY t.due_date ASC
     `,
-    [lookahead]
+    [sendHour, overdueDays]
   );
 
-  return result.rows.map(task => ({
-    id: task.id,
-    title: task.title,
-    description: task.description,
-    dueDate: task.due_date,
-    priority: task.priority || 'medium',
-    status: task.status,
-    assigneeId: task.assignee_id,
-    assigneeEmail: task.assignee_email,
-    assigneeName: task.assignee_name
-  }));
+  return result.rows.map(toReminder);
 };
 
-// Group tasks by assignee so each user gets a single email
-const groupTasksByAssignee = (tasks = []) => {
-  return tasks.reduce((groups, task) => {
-    if (!groups[task.assigneeEmail]) {
-      groups[task.assigneeEmail] = [];
+// Group reminders by recipient and kind so each user gets a single email per kind
+const groupReminders = (reminders = []) => {
+  return reminders.reduce((groups, reminder) => {
+    const key = `${reminder.userId}:${reminder.kind}`;
+    if (!groups[key]) {
+      groups[key] = [];
     }
-    groups[task.assigneeEmail].push(task);
+    groups[key].push(reminder);
     return groups;
   }, {});
 };
 
-// Log that a reminder was sent for a task+user on today's date (idempotency key)
-const logReminder = async (taskId, userId) => {
+// What the in-app notification and digest item store for a reminder
+const reminderData = (reminder) => ({
+  taskTitle: reminder.title,
+  dueDate: reminder.dueDate,
+  ...(reminder.assigneeNames ? { assigneeNames: reminder.assigneeNames } : {})
+});
+
+// In-app notifications for one recipient's reminders
+const notifyInApp = async (reminders) => {
+  for (const reminder of reminders.filter(r => r.notifyInApp)) {
+    await createNotification({
+      userId: reminder.userId,
+      workspaceId: reminder.workspaceId,
+      type: reminder.kind,
+      taskId: reminder.id,
+      data: reminderData(reminder)
+    });
+  }
+};
+
+// Log that a reminder was sent for a task+user+kind on the recipient's local date (idempotency key)
+const logReminder = async (reminder) => {
   await query(`
-    INSERT INTO reminder_log (task_id, user_id, reminded_on)
-    VALUES ($1, $2, CURRENT_DATE)
-    ON CONFLICT (task_id, user_id, reminded_on) DO NOTHING
-  `, [taskId, userId]);
+    INSERT INTO reminder_log (task_id, user_id, reminded_on, kind)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (task_id, user_id, reminded_on, kind) DO NOTHING
+  `, [reminder.id, reminder.userId, reminder.localDate, reminder.kind]);
 };
 
-// Send reminder emails (aggregated per assignee)
-// Uses advisory lock to prevent concurrent execution.
-const sendReminderEmails = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAYS, dryRun = false } = {}) => {
-  const lookahead = normalizeLookaheadDays(lookaheadDays);
+// Email one recipient their reminders of one kind
+const sendReminderEmail = ({ kind, to, userName, reminders, overdueDays }) => {
+  // Build payload compatible with email templates
+  const templateTasks = reminders.map(reminder => ({
+    id: reminder.id,
+    name: reminder.title,
+    title: reminder.title,
+    description: reminder.description,
+    due_date: reminder.dueDate,
+    priority: reminder.priority,
+    assigneeNames: reminder.assigneeNames
+  }));
 
+  if (kind !== 'due_soon') {
+    return sendOverdueTasksReminder({
+      to,
+      userName,
+      tasks: templateTasks,
+      escalation: kind === 'overdue_escalation',
+      overdueDays
+    });
+  }
+
+  if (reminders.length === 1) {
+    const [reminder] = reminders;
+    return sendTaskReminder({
+      to,
+      userName,
+      taskName: reminder.title,
+      taskDescription: reminder.description,
+      dueDate: reminder.dueDate,
+      priority: reminder.priority
+    });
+  }
+
+  return sendMultipleTasksReminder({ to, userName, tasks: templateTasks });
+};
+
+// Send reminders (one email per recipient and kind)
+// Uses advisory lock to prevent concurrent execution.
+const sendReminderEmails = async ({
+  sendHour = REMINDER_SEND_HOUR,
+  overdueDays = REMINDER_OVERDUE_DAYS,
+  dryRun = false
+} = {}) => {
   // Acquire advisory lock to prevent concurrent runs
   if (!dryRun) {
     const lockResult = await query('SELECT pg_try_advisory_lock($1) AS acquired', [REMINDER_LOCK_ID]);
@@ -103,7 +314,6 @@ const sendReminderEmails = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAYS, dryR
         sent: 0,
         failed: 0,
         totalTasks: 0,
-        lookaheadDays: lookahead,
         message: 'Skipped: another reminder job is already running.',
         skipped: true,
       };
@@ -111,91 +321,105 @@ const sendReminderEmails = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAYS, dryR
   }
 
   try {
-    const tasks = await findTasksNeedingReminders({ lookaheadDays: lookahead });
+    const reminders = await findTasksNeedingReminders({ sendHour, overdueDays });
+    if (overdueDays > 0) {
+      reminders.push(...await findOverdueEscalations({ sendHour, overdueDays }));
+    }
 
-    if (!tasks.length) {
+    if (!reminders.length) {
       return {
         sent: 0,
         failed: 0,
         totalTasks: 0,
-        lookaheadDays: lookahead,
-        message: 'No tasks need reminders in the configured window.'
+        message: 'No tasks need reminders right now.'
       };
     }
 
-    if (!dryRun) {
-      const emailReady = await verifyConnection().catch(error => {
+    // Only check the mail server when someone is due an email right now
+    let emailReady = true;
+    if (!dryRun && reminders.some(reminder => reminder.sendEmail && !reminder.digest)) {
+      emailReady = await verifyConnection().catch(error => {
         logger.error({ err: error }, 'Email verification failed');
         return false;
       });
-
-      if (!emailReady) {
-        return {
-          sent: 0,
-          failed: tasks.length,
-          totalTasks: tasks.length,
-          lookaheadDays: lookahead,
-          message: 'Email configuration failed verification.'
-        };
-      }
     }
 
-    const grouped = groupTasksByAssignee(tasks);
+    const grouped = groupReminders(reminders);
     const results = [];
     let sent = 0;
     let failed = 0;
+    let notified = 0;
+    let digested = 0;
+    let escalated = 0;
 
-    for (const [email, userTasks] of Object.entries(grouped)) {
-      const userName = userTasks[0].assigneeName || 'there';
+    // In-app notifications and the log entries that stop a reminder repeating today
+    const complete = async (userReminders) => {
+      await notifyInApp(userReminders);
+      notified += userReminders.filter(reminder => reminder.notifyInApp).length;
+      for (const reminder of userReminders) {
+        await logReminder(reminder);
+      }
+      if (userReminders[0].kind === 'overdue_escalation') {
+        escalated += userReminders.length;
+      }
+    };
 
-      // Build payload compatible with email templates
-      const templateTasks = userTasks.map(task => ({
-        id: task.id,
-        name: task.title,
-        title: task.title,
-        description: task.description,
-        due_date: task.dueDate,
-        priority: task.priority
-      }));
+    for (const userReminders of Object.values(grouped)) {
+      const { kind, userEmail: email } = userReminders[0];
+      const userName = userReminders[0].userName || 'there';
+      const emailReminders = userReminders.filter(reminder => reminder.sendEmail);
 
       if (dryRun) {
-        results.push({ email, count: userTasks.length, success: true, dryRun: true });
+        results.push({ email, kind, count: userReminders.length, emailCount: emailReminders.length, success: true, dryRun: true });
         continue;
       }
 
-      try {
-        let response;
-        if (userTasks.length === 1) {
-          const task = userTasks[0];
-          response = await sendTaskReminder({
-            to: email,
-            userName,
-            taskName: task.title,
-            taskDescription: task.description,
-            dueDate: task.dueDate,
-            priority: task.priority
-          });
-        } else {
-          response = await sendMultipleTasksReminder({
-            to: email,
-            userName,
-            tasks: templateTasks
+      // In-app only: nothing can fail to send
+      if (!emailReminders.length) {
+        await complete(userReminders);
+        results.push({ email, kind, count: userReminders.length, emailCount: 0, success: true });
+        continue;
+      }
+
+      // Digest users get the emails with their next digest
+      if (userReminders[0].digest) {
+        for (const reminder of emailReminders) {
+          await addDigestItem({
+            userId: reminder.userId,
+            workspaceId: reminder.workspaceId,
+            type: kind,
+            taskId: reminder.id,
+            data: reminderData(reminder)
           });
         }
+        digested += emailReminders.length;
+        await complete(userReminders);
+        results.push({ email, kind, count: userReminders.length, emailCount: emailReminders.length, success: true, digested: true });
+        continue;
+      }
+
+      if (!emailReady) {
+        failed += 1;
+        results.push({ email, kind, count: userReminders.length, success: false, error: 'Email configuration failed verification.' });
+        continue;
+      }
+
+      try {
+        const response = await sendReminderEmail({ kind, to: email, userName, reminders: emailReminders, overdueDays });
 
         if (response.success) {
           sent += 1;
-          // Log each task as reminded for today to prevent duplicates
-          for (const task of userTasks) {
-            await logReminder(task.id, task.assigneeId);
-          }
+          // Notify in-app only once the email went out, so a retry doesn't repeat it
+          await complete(userReminders);
         } else {
           failed += 1;
         }
 
         results.push({
           email,
-          count: userTasks.length,
+          kind,
+          count: userReminders.length,
+          emailCount: emailReminders.length,
           success: response.success,
           error: response.error || null
         });
@@ -203,7 +427,9 @@ const sendReminderEmails = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAYS, dryR
         failed += 1;
         results.push({
           email,
-          count: userTasks.length,
+          kind,
+          count: userReminders.length,
+          emailCount: emailReminders.length,
           success: false,
           error: error.message
         });
@@ -213,8 +439,11 @@ const sendReminderEmails = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAYS, dryR
     return {
       sent,
       failed,
-      totalTasks: tasks.length,
-      lookaheadDays: lookahead,
+      notified,
+      digested,
+      escalated,
+      totalTasks: reminders.length,
+      ...(emailReady ? {} : { message: 'Email configuration failed verification.' }),
       results
     };
   } finally {
@@ -231,5 +460,6 @@ const sendReminderEmails = async ({ lookaheadDays = DEFAULT_LOOKAHEAD_DAYS, dryR
 
 module.exports = {
   findTasksNeedingReminders,
+  findOverdueEscalations,
   sendReminderEmails
 };